@@ -0,0 +1,120 @@
+/**
+ * Audit Chain Database Tests
+ *
+ * Tests the audit_logs_chain trigger and audit_log_hash() against a real
+ * database, so they only run when DATABASE_URL is set (e.g. the local
+ * docker Postgres with migrations applied).
+ */
+
+const describeWithDatabase = process.env.DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('Audit Chain Verification', () => {
+  let prisma;
+  let verifyChain;
+  let group;
+
+  // Loaded here so the Prisma client isn't created when the tests are skipped
+  beforeAll(() => {
+    ({ prisma } = require('../config/database'));
+    ({ verifyChain } = require('../services/auditChain.service'));
+  });
+
+  beforeEach(async () => {
+    group = await prisma.group.create({
+      data: { name: 'Audit chain test group' },
+    });
+  });
+
+  afterEach(async () => {
+    await prisma.group.delete({ where: { groupId: group.groupId } });
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  /**
+   * Add a member to the test group
+   * @param {string} displayName - Member name
+   * @returns {Promise<Object>} GroupMember
+   */
+  function createMember(displayName) {
+    return prisma.groupMember.create({
+      data: {
+        groupId: group.groupId,
+        role: 'parent',
+        displayName: displayName,
+        iconLetters: displayName.slice(0, 1),
+        iconColor: '#6200ee',
+        email: `${displayName.toLowerCase()}@example.com`,
+      },
+    });
+  }
+
+  /**
+   * Log an action by a member
+   * @param {Object} member - GroupMember
+   * @param {string} action - Action
+   * @returns {Promise<Object>} AuditLog
+   */
+  function logAction(member, action) {
+    return prisma.auditLog.create({
+      data: {
+        groupId: group.groupId,
+        action: action,
+        performedBy: member.groupMemberId,
+        performedByName: member.displayName,
+        performedByEmail: member.email,
+        actionLocation: 'messages',
+        messageContent: `${member.displayName} did ${action}`,
+      },
+    });
+  }
+
+  it('should verify an untouched chain', async () => {
+    const mum = await createMember('Mum');
+    await logAction(mum, 'send_message');
+    await logAction(mum, 'edit_message');
+
+    const result = await verifyChain(group.groupId);
+
+    expect(result.valid).toBe(true);
+    expect(result.entriesChecked).toBe(2);
+  });
+
+  it('should still verify after a member who logged entries is removed', async () => {
+    const mum = await createMember('Mum');
+    const dad = await createMember('Dad');
+    await logAction(dad, 'send_message');
+    await logAction(mum, 'remove_member');
+
+    // Removing the member sets performedBy to null on their entries
+    await prisma.groupMember.delete({ where: { groupMemberId: dad.groupMemberId } });
+
+    const dadEntry = await prisma.auditLog.findFirst({
+      where: { groupId: group.groupId, performedByName: 'Dad' },
+    });
+    expect(dadEntry.performedBy).toBeNull();
+
+    const result = await verifyChain(group.groupId);
+
+    expect(result.valid).toBe(true);
+    expect(result.firstBrokenLink).toBeNull();
+  });
+
+  it('should report an entry whose content was edited', async () => {
+    const mum = await createMember('Mum');
+    const entry = await logAction(mum, 'send_message');
+    await logAction(mum, 'edit_message');
+
+    await prisma.auditLog.update({
+      where: { logId: entry.logId },
+      data: { messageContent: 'Something else' },
+    });
+
+    const result = await verifyChain(group.groupId);
+
+    expect(result.valid).toBe(false);
+    expect(result.firstBrokenLink).toMatchObject({ logId: entry.logId, reason: 'hash_mismatch' });
+  });
+});
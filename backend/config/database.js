@@ -28,6 +28,10 @@ const prisma = globalForPrisma.prisma || new PrismaClient({
       url: process.env.DATABASE_URL + '?connection_limit=1&pool_timeout=10',
     },
   },
+  // Blind search tokens are only ever filtered on, never sent to clients
+  omit: {
+    message: { searchTokens: true },
+  },
 });
 
 // Prevent creating new clients in development hot-reload
@@ -7,6 +7,8 @@
 const { prisma } = require('../config/database');
 const { emailService } = require('../services/email');
 const emailTemplates = require('../services/email/templates');
+const realtimeService = require('../services/realtime.service');
+const { isValidApprovalPolicies } = require('../utils/approvalExpiry');
 
 /**
  * Execute the action for an approved approval
@@ -320,6 +322,159 @@ async function executeApprovedAction(approval) {
         }
         break;
 
+      case 'change_approval_policies':
+        // Update approval expiry policies for the group
+        if (isValidApprovalPolicies(data.approvalExpiryPolicies)) {
+          await prisma.groupSettings.upsert({
+            where: { groupId: approval.groupId },
+            update: { approvalExpiryPolicies: data.approvalExpiryPolicies },
+            create: {
+              groupId: approval.groupId,
+              approvalExpiryPolicies: data.approvalExpiryPolicies,
+            },
+          });
+
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+            include: {
+              user: { select: { email: true, displayName: true } },
+            },
+          });
+
+          await prisma.auditLog.create({
+            data: {
+              groupId: approval.groupId,
+              action: 'change_approval_policies',
+              performedBy: approval.requestedBy,
+              performedByName: requester?.user?.displayName || requester?.displayName || 'Admin',
+              performedByEmail: requester?.user?.email || 'N/A',
+              actionLocation: 'group_settings',
+              messageContent: `Approval expiry updated via approval: ${data.description}`,
+            },
+          });
+
+          console.log(`[executeApprovedAction] Updated approval expiry policies for group ${approval.groupId}`);
+        }
+        break;
+
+      case 'create_custody_schedule':
+        // Create the custody schedule's recurring responsibility events
+        if (Array.isArray(data.series) && data.series.length > 0) {
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+            include: {
+              user: { select: { email: true, displayName: true } },
+            },
+          });
+
+          const { createCustodyScheduleEvents } = require('./calendar.controller');
+          const events = await createCustodyScheduleEvents(
+            approval.groupId,
+            {
+              groupMemberId: approval.requestedBy,
+              displayName: requester?.user?.displayName || requester?.displayName || 'Member',
+              email: requester?.user?.email || requester?.email,
+            },
+            data,
+            approval.approvalId
+          );
+
+          console.log(`[executeApprovedAction] Created ${events.length} custody schedule events for group ${approval.groupId}`);
+        }
+        break;
+
+      case 'create_calendar_event':
+      case 'create_responsibility_event':
+      case 'update_calendar_event':
+        // Create or change the calendar event as requested
+        {
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+            include: {
+              user: { select: { email: true, displayName: true } },
+            },
+          });
+          const requesterInfo = {
+            groupMemberId: approval.requestedBy,
+            displayName: requester?.user?.displayName || requester?.displayName || 'Member',
+            email: requester?.user?.email || requester?.email,
+          };
+
+          const {
+            createCalendarEventRecord,
+            createResponsibilityEventRecord,
+            applyCalendarEventUpdate,
+          } = require('./calendar.controller');
+
+          if (approval.approvalType === 'create_calendar_event') {
+            const event = await createCalendarEventRecord(approval.groupId, requesterInfo, data, approval.approvalId);
+            console.log(`[executeApprovedAction] Created calendar event ${event.eventId}`);
+          } else if (approval.approvalType === 'create_responsibility_event') {
+            const { event } = await createResponsibilityEventRecord(approval.groupId, requesterInfo, data, approval.approvalId);
+            console.log(`[executeApprovedAction] Created responsibility event ${event.eventId}`);
+          } else if (data.eventId && data.changes) {
+            const event = await applyCalendarEventUpdate(approval.groupId, requesterInfo, data.eventId, data.changes, approval.approvalId);
+            if (event) {
+              console.log(`[executeApprovedAction] Updated calendar event ${data.eventId}`);
+            }
+          }
+        }
+        break;
+
+      case 'hide_message':
+        // Hide the message unless it is already gone
+        if (approval.relatedEntityId) {
+          const message = await prisma.message.findUnique({
+            where: { messageId: approval.relatedEntityId },
+          });
+
+          if (message && !message.isHidden) {
+            const requester = await prisma.groupMember.findUnique({
+              where: { groupMemberId: approval.requestedBy },
+            });
+
+            const { hideMessageRecord } = require('./messages.controller');
+            await hideMessageRecord(
+              approval.groupId,
+              {
+                groupMemberId: approval.requestedBy,
+                displayName: requester?.displayName || 'Admin',
+                email: requester?.email,
+              },
+              message,
+              approval.approvalId
+            );
+            console.log(`[executeApprovedAction] Hid message ${message.messageId}`);
+          } else {
+            console.log(`[executeApprovedAction] Message ${approval.relatedEntityId} already hidden or not found`);
+          }
+        }
+        break;
+
+      case 'assign_relationship':
+      case 'change_relationship':
+        // Add, change or remove the relationship unless things have moved on
+        {
+          const requester = await prisma.groupMember.findUnique({
+            where: { groupMemberId: approval.requestedBy },
+          });
+          const requesterInfo = {
+            groupMemberId: approval.requestedBy,
+            displayName: requester?.displayName || 'Member',
+            email: requester?.email,
+          };
+
+          const { createRelationshipRecord, changeRelationshipRecord } = require('./relationships.controller');
+
+          const relationship = approval.approvalType === 'assign_relationship'
+            ? await createRelationshipRecord(approval.groupId, requesterInfo, data, approval.approvalId)
+            : await changeRelationshipRecord(approval.groupId, requesterInfo, data, approval.approvalId);
+          if (relationship) {
+            console.log(`[executeApprovedAction] Applied ${approval.approvalType} for relationship ${relationship.relationshipId}`);
+          }
+        }
+        break;
+
       default:
         console.log(`[executeApprovedAction] Unknown approval type: ${approval.approvalType}`);
     }
@@ -468,6 +623,18 @@ async function getApprovals(req, res) {
         case 'delete_group':
           description = `${requesterName} requested to delete the group "${data.groupName || 'this group'}"`;
           break;
+        case 'create_custody_schedule':
+          description = `${requesterName} requested to set up a ${data.description || 'custody schedule'}`;
+          break;
+        case 'create_calendar_event':
+        case 'create_responsibility_event':
+        case 'update_calendar_event':
+        case 'hide_message':
+        case 'assign_relationship':
+        case 'change_relationship':
+          // Stored as a verb phrase by the approval request service
+          description = `${requesterName} requested to ${data.description || approval.approvalType.replace(/_/g, ' ')}`;
+          break;
         default:
           description = `${requesterName} requested approval for ${approval.approvalType.replace(/_/g, ' ')}`;
       }
@@ -672,6 +839,14 @@ async function voteOnApproval(req, res) {
       });
     }
 
+    // Expired approvals are resolved by the approval expiry job
+    if (approval.expiresAt && approval.expiresAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Approval has expired',
+      });
+    }
+
     // Check if user has already voted
     const existingVote = approval.votes.find(v => v.adminId === groupMembership.groupMemberId);
     if (existingVote) {
@@ -807,6 +982,9 @@ async function voteOnApproval(req, res) {
     }
     // Note: Vote audit log is already created above right after the vote is recorded
 
+    // Vote counts changed even if the status didn't, so other admins refresh either way
+    realtimeService.publishApprovalChange({ ...approval, status: newStatus });
+
     res.json({
       success: true,
       message: 'Vote recorded successfully',
@@ -907,6 +1085,8 @@ async function cancelApproval(req, res) {
       },
     });
 
+    realtimeService.publishApprovalChange({ ...approval, status: 'canceled' });
+
     res.json({
       success: true,
       message: 'Approval canceled successfully',
@@ -918,6 +1098,7 @@ async function cancelApproval(req, res) {
 }
 
 module.exports = {
+  executeApprovedAction,
   getApprovals,
   voteOnApproval,
   cancelApproval,
@@ -11,8 +11,68 @@
  */
 
 const { prisma } = require('../config/database');
-const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { isGroupReadOnly, getReadOnlyErrorResponse, getCalendarAccessError } = require('../utils/permissions');
+const {
+  DEFAULT_EXPANSION_DAYS,
+  isValidRecurrenceRule,
+  buildOccurrenceId,
+  parseOccurrenceId,
+  resolveExpansionWindow,
+  expandEvent,
+  expandEvents,
+  getOccurrences,
+  findOccurrence,
+  findOverlappingOccurrences,
+  splitRecurrenceRule,
+} = require('../utils/recurrence');
+const {
+  getCustodyTemplate,
+  listCustodyTemplates,
+  buildCustodySchedule,
+} = require('../utils/custodySchedules');
+const { isValidTimeZone } = require('../utils/timeZones');
 const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const { getApprovalExpiryFields } = require('../services/approvalExpiry.service');
+const { requestApproval } = require('../services/approvalRequest.service');
+const { EVENT_RELATIVE_TYPES, getChildRelativeIds } = require('../services/familyRelationships.service');
+const { getCalendarPermissionFields } = require('../utils/approvalThresholds');
+
+/**
+ * Scopes for editing/deleting an occurrence of a recurring event
+ * - this: only the selected occurrence
+ * - following: the selected occurrence and every later one (splits the series)
+ * - all: the whole series
+ */
+const RECURRENCE_SCOPES = ['this', 'following', 'all'];
+
+const SCOPE_DESCRIPTIONS = {
+  this: 'this occurrence of',
+  following: 'this and following occurrences of',
+  all: 'all occurrences of',
+};
+
+/**
+ * How many days ahead recurring responsibility events are checked for overlaps
+ * (requests may ask for a different horizon, up to MAX_OVERLAP_HORIZON_DAYS)
+ */
+const OVERLAP_HORIZON_DAYS = parseInt(process.env.RESPONSIBILITY_OVERLAP_HORIZON_DAYS, 10) || DEFAULT_EXPANSION_DAYS;
+const MAX_OVERLAP_HORIZON_DAYS = 5 * DEFAULT_EXPANSION_DAYS;
+
+/**
+ * Overlaps listed individually in the warning message (the overlaps array has all of them)
+ */
+const MAX_LISTED_OVERLAPS = 10;
+
+/**
+ * Includes needed to edit a series and its exceptions
+ */
+const SERIES_EDIT_INCLUDE = {
+  attendees: true,
+  responsibilityEvents: true,
+  exceptionDates: true,
+  childEvents: { select: { eventId: true, recurrenceId: true } },
+};
 
 /**
  * Get calendar events for a group
@@ -51,53 +111,55 @@ async function getCalendarEvents(req, res) {
       });
     }
 
-    // Supervisors cannot access calendar
-    if (membership.role === 'supervisor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Supervisors do not have access to the calendar',
-      });
-    }
-
-    // Check admin visibility permissions from group settings
+    // Supervisors cannot access calendar, and admins only if the group allows it
+    let groupSettings = null;
     if (membership.role === 'admin') {
-      const groupSettings = await prisma.groupSettings.findUnique({
+      groupSettings = await prisma.groupSettings.findUnique({
         where: { groupId },
         select: { calendarVisibleToAdmins: true },
       });
-      if (groupSettings && !groupSettings.calendarVisibleToAdmins) {
-        return res.status(403).json({
-          success: false,
-          message: 'Calendar is not visible to admins in this group',
-        });
-      }
+    }
+    const accessError = getCalendarAccessError(membership, groupSettings);
+    if (accessError) {
+      return res.status(403).json({
+        success: false,
+        message: accessError,
+      });
     }
 
-    // Build date filter
+    // Build date filter for one-off events
     const dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter.OR = [];
-
-      if (startDate && endDate) {
-        // Events that overlap with the date range
-        dateFilter.OR.push({
-          AND: [
-            { startTime: { lte: new Date(endDate) } },
-            { endTime: { gte: new Date(startDate) } },
-          ],
-        });
-      } else if (startDate) {
-        dateFilter.endTime = { gte: new Date(startDate) };
-      } else if (endDate) {
-        dateFilter.startTime = { lte: new Date(endDate) };
-      }
+    if (startDate && endDate) {
+      // Events that overlap with the date range
+      dateFilter.AND = [
+        { startTime: { lte: new Date(endDate) } },
+        { endTime: { gte: new Date(startDate) } },
+      ];
+    } else if (startDate) {
+      dateFilter.endTime = { gte: new Date(startDate) };
+    } else if (endDate) {
+      dateFilter.startTime = { lte: new Date(endDate) };
     }
 
+    // Recurring series are fetched if they could have an occurrence in the
+    // window, then expanded into concrete occurrences below
+    const { windowStart, windowEnd } = resolveExpansionWindow(startDate, endDate);
+
     // Get all calendar events for this group
     const events = await prisma.calendarEvent.findMany({
       where: {
         groupId: groupId,
-        ...dateFilter,
+        OR: [
+          { isRecurring: false, ...dateFilter },
+          {
+            isRecurring: true,
+            startTime: { lte: windowEnd },
+            OR: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { gte: windowStart } },
+            ],
+          },
+        ],
       },
       include: {
         creator: {
@@ -190,6 +252,9 @@ async function getCalendarEvents(req, res) {
             },
           },
         } : false,
+        // Exceptions are skipped when the series is expanded
+        exceptionDates: { select: { recurrenceId: true } },
+        childEvents: { select: { recurrenceId: true } },
       },
       orderBy: {
         createdAt: 'asc', // Important for layering logic
@@ -259,7 +324,7 @@ async function getCalendarEvents(req, res) {
 
     return res.status(200).json({
       success: true,
-      events: eventsWithProfiles,
+      events: expandEvents(eventsWithProfiles, windowStart, windowEnd),
     });
   } catch (err) {
     console.error('Get calendar events error:', err);
@@ -271,10 +336,139 @@ async function getCalendarEvents(req, res) {
   }
 }
 
+/**
+ * Create a calendar event and notify its attendees
+ *
+ * Used directly when the event needs no approval, and by executeApprovedAction
+ * once a 'create_calendar_event' approval passes.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} eventData - Request body fields (title, description, startTime, endTime, attendeeIds, ...)
+ * @param {string|null} [approvalId] - Approval that authorised the event, if any
+ * @returns {Promise<Object>} Created calendar event with creator and attendees
+ */
+async function createCalendarEventRecord(groupId, requester, eventData, approvalId = null) {
+  const {
+    title,
+    description,
+    startTime,
+    endTime,
+    isRecurring = false,
+    recurrenceRule,
+    recurrenceEndDate,
+    timeZone,
+    attendeeIds = [],
+    notificationMinutes = 15,
+  } = eventData;
+
+  const event = await prisma.calendarEvent.create({
+    data: {
+      groupId: groupId,
+      title: title,
+      notes: description || null,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      isRecurring: isRecurring,
+      recurrencePattern: recurrenceRule || null,
+      recurrenceEndDate: isRecurring && recurrenceEndDate ? new Date(recurrenceEndDate) : null,
+      timeZone: timeZone || null,
+      notificationMinutes: notificationMinutes,
+      createdBy: requester.groupMemberId,
+      attendees: {
+        create: attendeeIds.map(attendeeId => ({
+          groupMemberId: attendeeId,
+        })),
+      },
+    },
+    include: {
+      creator: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          role: true,
+        },
+      },
+      attendees: {
+        include: {
+          groupMember: {
+            select: {
+              groupMemberId: true,
+              displayName: true,
+              iconLetters: true,
+              iconColor: true,
+              role: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'create_calendar_event',
+      performedBy: requester.groupMemberId,
+      performedByName: requester.displayName,
+      performedByEmail: requester.email || 'N/A',
+      actionLocation: 'calendar',
+      messageContent: `Created event "${title}" from ${startTime} to ${endTime}${approvalId ? ' via approval' : ''}`,
+      ...(approvalId && { logData: { eventId: event.eventId, approvalId: approvalId } }),
+    },
+  });
+
+  // Send push notifications to attendees only (excluding creator)
+  // Fire and forget - don't block the response
+  (async () => {
+    try {
+      // Only notify attendees, not all group members
+      const notifyAttendeeIds = attendeeIds.filter(id => id !== requester.groupMemberId);
+
+      if (notifyAttendeeIds.length > 0) {
+        const startDate = new Date(startTime);
+        const formattedDate = startDate.toLocaleDateString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit',
+        });
+
+        await pushNotificationService.sendToGroupMembersWithPreferences(
+          notifyAttendeeIds,
+          'calendar',
+          `New Event: ${title}`,
+          `${requester.displayName} invited you to an event on ${formattedDate}`,
+          {
+            type: 'new_calendar_event',
+            groupId: groupId,
+            eventId: event.eventId,
+          }
+        );
+      }
+    } catch (notificationError) {
+      console.error('[Calendar] Failed to send push notifications:', notificationError);
+    }
+  })();
+
+  return event;
+}
+
 /**
  * Create a calendar event
  * POST /groups/:groupId/calendar/events
  *
+ * Approval: the event is created straight away when the requester's own vote (or
+ * other admins' autoApproveCalendarEntries grants, plus the children/caregiver
+ * assignment grants when those are attendees) make up more than half of the
+ * admins. Otherwise nothing is created until the admins approve (202 with approvalId).
+ *
+ * Attendees: when attendeeIds is left out, childIds default them to those children
+ * plus their recorded parents, step-parents and caregivers.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -289,9 +483,12 @@ async function createCalendarEvent(req, res) {
       endTime,
       isRecurring = false,
       recurrenceRule, // Maps to 'recurrencePattern' in database
-      attendeeIds = [],
+      recurrenceEndDate,
+      timeZone, // IANA time zone a recurring event repeats in (default UTC)
+      childIds = [], // Children the event is for; only used to default attendeeIds
       notificationMinutes = 15, // Default 15 minutes before
     } = req.body;
+    let { attendeeIds } = req.body;
 
     if (!userId) {
       return res.status(401).json({
@@ -318,6 +515,21 @@ async function createCalendarEvent(req, res) {
       });
     }
 
+    // Recurring events must carry an RRULE we can expand
+    if (isRecurring && !isValidRecurrenceRule(recurrenceRule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurrence rule',
+      });
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone',
+      });
+    }
+
     // Check if user is a member of this group
     const membership = await prisma.groupMember.findUnique({
       where: {
@@ -379,101 +591,68 @@ async function createCalendarEvent(req, res) {
       return res.status(403).json(getReadOnlyErrorResponse(group));
     }
 
-    // TODO: Check auto-approval settings and create approval if needed
-    // For now, directly create the event
+    // Without attendees, a child's event defaults to the child and their parents, step-parents and caregivers
+    if (attendeeIds === undefined) {
+      attendeeIds = Array.isArray(childIds) && childIds.length > 0
+        ? [...new Set([...childIds, ...await getChildRelativeIds(groupId, childIds, EVENT_RELATIVE_TYPES)])]
+        : [];
+    }
 
-    // Create the calendar event
-    const event = await prisma.calendarEvent.create({
-      data: {
+    // Approval: calendar entries (and assigning children/caregivers) need admin approval
+    const assignedMembers = await prisma.groupMember.findMany({
+      where: {
         groupId: groupId,
-        title: title,
-        notes: description || null,
-        startTime: new Date(startTime),
-        endTime: new Date(endTime),
-        isRecurring: isRecurring,
-        recurrencePattern: recurrenceRule || null,
-        notificationMinutes: notificationMinutes,
-        createdBy: membership.groupMemberId,
-        attendees: {
-          create: attendeeIds.map(attendeeId => ({
-            groupMemberId: attendeeId,
-          })),
-        },
+        groupMemberId: { in: attendeeIds },
       },
-      include: {
-        creator: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-          },
-        },
-        attendees: {
-          include: {
-            groupMember: {
-              select: {
-                groupMemberId: true,
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                role: true,
-              },
-            },
-          },
-        },
+      select: {
+        role: true,
       },
     });
 
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'create_calendar_event',
-        performedBy: membership.groupMemberId,
-        performedByName: membership.displayName,
-        performedByEmail: membership.email || 'N/A',
-        actionLocation: 'calendar',
-        messageContent: `Created event "${title}" from ${startTime} to ${endTime}`,
-      },
+    if (assignedMembers.length !== new Set(attendeeIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every attendee must be a member of this group',
+      });
+    }
+
+    const eventData = {
+      title,
+      description,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      recurrenceEndDate,
+      timeZone,
+      attendeeIds,
+      notificationMinutes,
+    };
+
+    const { requiresApproval, approval } = await requestApproval({
+      groupId: groupId,
+      requester: membership,
+      approvalType: 'create_calendar_event',
+      permissionFields: getCalendarPermissionFields(assignedMembers.map(m => m.role)),
+      description: `add "${title}" to the calendar on ${start.toISOString()}`,
+      approvalData: eventData,
+      actionLocation: 'calendar',
     });
 
-    // Send push notifications to attendees only (excluding creator)
-    // Fire and forget - don't block the response
-    (async () => {
-      try {
-        // Only notify attendees, not all group members
-        const notifyAttendeeIds = attendeeIds.filter(id => id !== membership.groupMemberId);
-
-        if (notifyAttendeeIds.length > 0) {
-          const startDate = new Date(startTime);
-          const formattedDate = startDate.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: 'numeric',
-            minute: '2-digit',
-          });
-
-          await pushNotificationService.sendToGroupMembersWithPreferences(
-            notifyAttendeeIds,
-            'calendar',
-            `New Event: ${title}`,
-            `${membership.displayName} invited you to an event on ${formattedDate}`,
-            {
-              type: 'new_calendar_event',
-              groupId: groupId,
-              eventId: event.eventId,
-            }
-          );
-        }
-      } catch (notificationError) {
-        console.error('[Calendar] Failed to send push notifications:', notificationError);
-      }
-    })();
+    if (requiresApproval) {
+      return res.status(202).json({
+        success: true,
+        message: 'Approval request created for the event. Waiting for admin approvals.',
+        requiresApproval: true,
+        approvalId: approval.approvalId,
+      });
+    }
+
+    const event = await createCalendarEventRecord(groupId, membership, eventData, approval?.approvalId || null);
 
     return res.status(201).json({
       success: true,
+      requiresApproval: false,
       event: event,
     });
   } catch (err) {
@@ -490,6 +669,8 @@ async function createCalendarEvent(req, res) {
  * Get a single calendar event by ID
  * GET /groups/:groupId/calendar/events/:eventId
  *
+ * Pass `?occurrenceId=` to get one occurrence of a recurring series.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -497,6 +678,7 @@ async function getCalendarEventById(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, eventId } = req.params;
+    const { occurrenceId } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -636,6 +818,37 @@ async function getCalendarEventById(req, res) {
       });
     }
 
+    // Occurrence fields, so an occurrence opened from the calendar shows its own times
+    let occurrenceFields = {};
+    if (event.parentEventId && event.recurrenceId) {
+      occurrenceFields = {
+        occurrenceId: buildOccurrenceId(event.parentEventId, event.recurrenceId),
+        isOccurrence: true,
+      };
+    } else if (occurrenceId) {
+      const { eventId: seriesId, recurrenceId } = parseOccurrenceId(occurrenceId);
+      const occurrence = seriesId === event.eventId && recurrenceId && event.isRecurring
+        ? findOccurrence(event, recurrenceId)
+        : null;
+
+      if (!occurrence) {
+        return res.status(404).json({
+          success: false,
+          message: 'Occurrence not found',
+        });
+      }
+
+      occurrenceFields = {
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        occurrenceId: buildOccurrenceId(event.eventId, occurrence.originalStart),
+        recurrenceId: occurrence.originalStart,
+        isOccurrence: true,
+        seriesStartTime: event.startTime,
+        seriesEndTime: event.endTime,
+      };
+    }
+
     // Merge user profile data
     const eventWithProfiles = {
       ...event,
@@ -695,6 +908,7 @@ async function getCalendarEventById(req, res) {
           user: undefined,
         },
       })),
+      ...occurrenceFields,
     };
 
     return res.status(200).json({
@@ -712,117 +926,252 @@ async function getCalendarEventById(req, res) {
 }
 
 /**
- * Update a calendar event
- * PUT /groups/:groupId/calendar/events/:eventId
+ * Resolve the series and occurrence an edit/delete of a recurring event targets
  *
- * IMPORTANT: Updating an event updates its createdAt timestamp, moving it to the top
- * of the layering stack for responsibility events (as per user requirements)
+ * Overridden instances are separate rows. With scope 'this' they are edited
+ * directly; with a wider scope the request applies to the parent series at
+ * the instance's original start.
  *
- * @param {Object} req - Express request
- * @param {Object} res - Express response
+ * @param {Object} event - CalendarEvent from the request path (with SERIES_EDIT_INCLUDE)
+ * @param {string} scope - One of RECURRENCE_SCOPES
+ * @param {string} [occurrenceId] - Occurrence ID from GET /calendar/events
+ * @returns {Promise<Object>} { series, occurrence, error } - series is null when the event row is edited as-is
  */
-async function updateCalendarEvent(req, res) {
-  try {
-    const userId = req.user?.userId;
-    const { groupId, eventId } = req.params;
-    const {
-      title,
-      description, // Maps to 'notes' in database
-      startTime,
-      endTime,
-      isRecurring,
-      recurrenceRule, // Maps to 'recurrencePattern' in database
-      attendeeIds = [],
-      notificationMinutes,
-    } = req.body;
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated',
-      });
+async function resolveRecurrenceTarget(event, scope, occurrenceId) {
+  if (event.parentEventId && event.recurrenceId) {
+    if (scope === 'this') {
+      return { series: null, occurrence: null };
     }
 
-    // Check if user is a member of this group
-    const membership = await prisma.groupMember.findUnique({
-      where: {
-        groupId_userId: {
-          groupId: groupId,
-          userId: userId,
-        },
-      },
+    const series = await prisma.calendarEvent.findUnique({
+      where: { eventId: event.parentEventId },
+      include: SERIES_EDIT_INCLUDE,
     });
-
-    if (!membership || !membership.isRegistered) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a member of this group',
-      });
+    const occurrence = series ? findOccurrence(series, event.recurrenceId) : null;
+    if (!occurrence) {
+      return { error: { status: 404, message: 'Occurrence not found' } };
     }
+    return { series, occurrence };
+  }
 
-    // Supervisors and children cannot edit events
-    if (membership.role === 'supervisor') {
-      return res.status(403).json({
-        success: false,
-        message: 'Supervisors cannot edit calendar events',
-      });
-    }
+  if (!event.isRecurring || !isValidRecurrenceRule(event.recurrencePattern)) {
+    return { series: null, occurrence: null };
+  }
 
-    if (membership.role === 'child') {
-      return res.status(403).json({
-        success: false,
-        message: 'Children cannot edit calendar events',
-      });
-    }
+  if (!occurrenceId) {
+    return { series: event, occurrence: null };
+  }
 
-    // Get existing event
-    const existingEvent = await prisma.calendarEvent.findUnique({
-      where: { eventId: eventId },
+  const { eventId, recurrenceId } = parseOccurrenceId(occurrenceId);
+  const occurrence = eventId === event.eventId && recurrenceId ? findOccurrence(event, recurrenceId) : null;
+  if (!occurrence) {
+    return { error: { status: 404, message: 'Occurrence not found' } };
+  }
+  return { series: event, occurrence };
+}
+
+/**
+ * Build create data for a row derived from a series (an overridden instance or a split-off series)
+ *
+ * @param {Object} series - Series with SERIES_EDIT_INCLUDE
+ * @param {string[]} attendeeIds - Replacement attendees (empty keeps the series attendees)
+ * @returns {Object} Prisma create data
+ */
+function buildSeriesCopyData(series, attendeeIds) {
+  const memberIds = attendeeIds.length > 0 ? attendeeIds : series.attendees.map(a => a.groupMemberId);
+
+  return {
+    groupId: series.groupId,
+    title: series.title,
+    notes: series.notes,
+    isResponsibilityEvent: series.isResponsibilityEvent,
+    notificationMinutes: series.notificationMinutes,
+    timeZone: series.timeZone,
+    createdBy: series.createdBy,
+    attendees: {
+      create: memberIds.map(groupMemberId => ({ groupMemberId })),
+    },
+    responsibilityEvents: {
+      create: series.responsibilityEvents.map(re => ({
+        childId: re.childId,
+        startResponsibilityType: re.startResponsibilityType,
+        startResponsibleMemberId: re.startResponsibleMemberId,
+        startResponsibleOtherName: re.startResponsibleOtherName,
+        startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters,
+        startResponsibleOtherColor: re.startResponsibleOtherColor,
+        endResponsibilityType: re.endResponsibilityType,
+        endResponsibleMemberId: re.endResponsibleMemberId,
+        endResponsibleOtherName: re.endResponsibleOtherName,
+        endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters,
+        endResponsibleOtherColor: re.endResponsibleOtherColor,
+      })),
+    },
+  };
+}
+
+/**
+ * Move a series' exceptions at or after a point onto another series (or the same one)
+ *
+ * Recurrence IDs are shifted along with the occurrences they refer to, so
+ * EXDATEs and overridden instances keep lining up when the series start moves.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} series - Series with SERIES_EDIT_INCLUDE
+ * @param {string} targetEventId - Series that should own the exceptions
+ * @param {Date} since - Earliest recurrence ID to move
+ * @param {number} shiftMs - Milliseconds to shift each recurrence ID by
+ */
+async function moveSeriesExceptions(tx, series, targetEventId, since, shiftMs) {
+  // Walk against the shift direction so shifted IDs never collide with unmoved ones
+  const byShiftOrder = (a, b) => (shiftMs > 0 ? b.recurrenceId - a.recurrenceId : a.recurrenceId - b.recurrenceId);
+  const shifted = date => new Date(date.getTime() + shiftMs);
+
+  for (const exception of series.exceptionDates.filter(e => e.recurrenceId >= since).sort(byShiftOrder)) {
+    await tx.calendarEventExceptionDate.update({
+      where: { exceptionDateId: exception.exceptionDateId },
+      data: { eventId: targetEventId, recurrenceId: shifted(exception.recurrenceId) },
     });
+  }
 
-    if (!existingEvent || existingEvent.groupId !== groupId) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found',
-      });
-    }
+  for (const override of series.childEvents.filter(c => c.recurrenceId && c.recurrenceId >= since).sort(byShiftOrder)) {
+    await tx.calendarEvent.update({
+      where: { eventId: override.eventId },
+      data: { parentEventId: targetEventId, recurrenceId: shifted(override.recurrenceId) },
+    });
+  }
+}
 
-    // Validate time range if provided
-    if (startTime && endTime) {
-      const start = new Date(startTime);
-      const end = new Date(endTime);
-      if (end <= start) {
-        return res.status(400).json({
-          success: false,
-          message: 'End time must be after start time',
-        });
-      }
-    }
+/**
+ * Work out what an update to a calendar event will change
+ *
+ * Resolves the series/occurrence being edited and the times (and recurrence) the
+ * edited event will have once saved. Approved updates are planned again against
+ * the event as it is when the approval passes.
+ *
+ * @param {Object} existingEvent - CalendarEvent from the request path (with SERIES_EDIT_INCLUDE)
+ * @param {Object} changes - Update request body (startTime, endTime, recurrence fields, scope, occurrenceId)
+ * @returns {Promise<Object>} { series, occurrence, effectiveScope, targetEvent, proposed, splitRules } or { error }
+ */
+async function planCalendarEventUpdate(existingEvent, changes) {
+  const {
+    startTime,
+    endTime,
+    isRecurring,
+    recurrenceRule,
+    recurrenceEndDate,
+    timeZone,
+    scope = 'all',
+    occurrenceId,
+  } = changes;
+
+  const { series, occurrence, error } = await resolveRecurrenceTarget(existingEvent, scope, occurrenceId);
+  if (error) {
+    return { error };
+  }
 
-    // TODO: Check if editing requires approval based on settings
+  if (series && scope !== 'all' && !occurrence) {
+    return { error: { status: 400, message: 'occurrenceId is required to edit part of a recurring event' } };
+  }
 
-    // Update the event
-    // IMPORTANT: Update createdAt to current time (moves to top of layer stack)
-    const updatedEvent = await prisma.calendarEvent.update({
-      where: { eventId: eventId },
-      data: {
-        ...(title && { title }),
-        ...(description !== undefined && { notes: description }), // Frontend sends 'description', DB uses 'notes'
-        ...(startTime && { startTime: new Date(startTime) }),
-        ...(endTime && { endTime: new Date(endTime) }),
-        ...(isRecurring !== undefined && { isRecurring }),
-        ...(recurrenceRule !== undefined && { recurrencePattern: recurrenceRule }), // Frontend sends 'recurrenceRule', DB uses 'recurrencePattern'
-        ...(notificationMinutes !== undefined && { notificationMinutes }),
-        createdAt: new Date(), // Update timestamp to move to top of layer stack
-        attendees: attendeeIds.length > 0 ? {
-          deleteMany: {},
-          create: attendeeIds.map(attendeeId => ({
-            groupMemberId: attendeeId,
-          })),
-        } : undefined,
-      },
+  // "This and following" from the first occurrence is the same as editing the whole series
+  const effectiveScope = !series
+    ? 'all'
+    : scope === 'following' && occurrence.originalStart <= series.startTime ? 'all' : scope;
+  const targetEvent = series || existingEvent;
+
+  // Validate recurrence rule if the event is (or stays) recurring
+  if (effectiveScope !== 'this') {
+    const willBeRecurring = isRecurring !== undefined ? isRecurring : targetEvent.isRecurring;
+    const nextRecurrenceRule = recurrenceRule !== undefined ? recurrenceRule : targetEvent.recurrencePattern;
+    if (willBeRecurring && !isValidRecurrenceRule(nextRecurrenceRule)) {
+      return { error: { status: 400, message: 'Invalid recurrence rule' } };
+    }
+  }
+
+  // Times (and recurrence) the edited event will have once saved
+  let proposed;
+  let splitRules = null;
+  if (effectiveScope === 'this') {
+    proposed = {
+      startTime: startTime ? new Date(startTime) : occurrence.startTime,
+      endTime: endTime ? new Date(endTime) : occurrence.endTime,
+      isRecurring: false,
+    };
+  } else if (effectiveScope === 'following') {
+    // End the original series just before this occurrence and start a new one from it
+    splitRules = splitRecurrenceRule(series, occurrence.originalStart);
+    proposed = {
+      startTime: startTime ? new Date(startTime) : occurrence.startTime,
+      endTime: endTime ? new Date(endTime) : occurrence.endTime,
+      isRecurring: isRecurring !== undefined ? isRecurring : splitRules.afterRule !== null,
+      recurrencePattern: recurrenceRule !== undefined ? recurrenceRule : splitRules.afterRule,
+      recurrenceEndDate: recurrenceEndDate !== undefined
+        ? (recurrenceEndDate ? new Date(recurrenceEndDate) : null)
+        : series.recurrenceEndDate,
+      timeZone: timeZone !== undefined ? timeZone || null : series.timeZone,
+    };
+  } else {
+    // Times sent for one occurrence move the whole series by the same amount
+    const anchor = occurrence || targetEvent;
+    const nextStartTime = startTime
+      ? new Date(targetEvent.startTime.getTime() + (new Date(startTime) - anchor.startTime))
+      : targetEvent.startTime;
+    proposed = {
+      startTime: nextStartTime,
+      endTime: endTime
+        ? new Date(nextStartTime.getTime() + (new Date(endTime) - (startTime ? new Date(startTime) : anchor.startTime)))
+        : targetEvent.endTime,
+      isRecurring: isRecurring !== undefined ? isRecurring : targetEvent.isRecurring,
+      recurrencePattern: recurrenceRule !== undefined ? recurrenceRule : targetEvent.recurrencePattern,
+      recurrenceEndDate: recurrenceEndDate !== undefined
+        ? (recurrenceEndDate ? new Date(recurrenceEndDate) : null)
+        : targetEvent.recurrenceEndDate,
+      timeZone: timeZone !== undefined ? timeZone || null : targetEvent.timeZone,
+    };
+  }
+
+  return { series, occurrence, effectiveScope, targetEvent, proposed, splitRules };
+}
+
+/**
+ * Save a planned update to a calendar event
+ *
+ * IMPORTANT: Updating an event updates its createdAt timestamp, moving it to the top
+ * of the layering stack for responsibility events.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} existingEvent - CalendarEvent from the request path (with SERIES_EDIT_INCLUDE)
+ * @param {Object} plan - Result of planCalendarEventUpdate
+ * @param {Object} changes - Update request body
+ * @param {string|null} [approvalId] - Approval that authorised the update, if any
+ * @returns {Promise<Object>} The saved event (an overridden instance or new series for partial edits)
+ */
+async function saveCalendarEventUpdate(groupId, requester, existingEvent, plan, changes, approvalId = null) {
+  const { series, occurrence, effectiveScope, targetEvent, proposed, splitRules } = plan;
+  const {
+    title,
+    description, // Maps to 'notes' in database
+    isRecurring,
+    recurrenceRule, // Maps to 'recurrencePattern' in database
+    recurrenceEndDate,
+    attendeeIds = [],
+    notificationMinutes,
+  } = changes;
+
+  const eventInclude = {
+    creator: {
+      select: {
+        groupMemberId: true,
+        displayName: true,
+        iconLetters: true,
+        iconColor: true,
+        role: true,
+      },
+    },
+    attendees: {
       include: {
-        creator: {
+        groupMember: {
           select: {
             groupMemberId: true,
             displayName: true,
@@ -831,37 +1180,385 @@ async function updateCalendarEvent(req, res) {
             role: true,
           },
         },
-        attendees: {
-          include: {
-            groupMember: {
-              select: {
-                groupMemberId: true,
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                role: true,
-              },
-            },
-          },
+      },
+    },
+  };
+
+  // Fields shared by every scope
+  // IMPORTANT: Update createdAt to current time (moves to top of layer stack)
+  const detailFields = {
+    ...(title && { title }),
+    ...(description !== undefined && { notes: description }), // Frontend sends 'description', DB uses 'notes'
+    ...(notificationMinutes !== undefined && { notificationMinutes }),
+    createdAt: new Date(), // Update timestamp to move to top of layer stack
+  };
+
+  let updatedEvent;
+
+  if (effectiveScope === 'this') {
+    // Store the edited occurrence as an overridden instance of the series
+    const existingOverride = series.childEvents.find(
+      c => c.recurrenceId && c.recurrenceId.getTime() === occurrence.originalStart.getTime()
+    );
+    const overrideFields = {
+      ...detailFields,
+      startTime: proposed.startTime,
+      endTime: proposed.endTime,
+    };
+
+    updatedEvent = existingOverride
+      ? await prisma.calendarEvent.update({
+        where: { eventId: existingOverride.eventId },
+        data: {
+          ...overrideFields,
+          attendees: attendeeIds.length > 0 ? {
+            deleteMany: {},
+            create: attendeeIds.map(attendeeId => ({
+              groupMemberId: attendeeId,
+            })),
+          } : undefined,
+        },
+        include: eventInclude,
+      })
+      : await prisma.calendarEvent.create({
+        data: {
+          ...buildSeriesCopyData(series, attendeeIds),
+          ...overrideFields,
+          isRecurring: false,
+          parentEventId: series.eventId,
+          recurrenceId: occurrence.originalStart,
+        },
+        include: eventInclude,
+      });
+  } else if (effectiveScope === 'following') {
+    updatedEvent = await prisma.$transaction(async (tx) => {
+      await tx.calendarEvent.update({
+        where: { eventId: series.eventId },
+        data: { recurrencePattern: splitRules.beforeRule },
+      });
+
+      const newSeries = await tx.calendarEvent.create({
+        data: {
+          ...buildSeriesCopyData(series, attendeeIds),
+          ...detailFields,
+          ...proposed,
+        },
+        include: eventInclude,
+      });
+
+      // The edited occurrence is now the first one of the new series
+      const splitOverride = series.childEvents.find(
+        c => c.recurrenceId && c.recurrenceId.getTime() === occurrence.originalStart.getTime()
+      );
+      if (splitOverride) {
+        await tx.calendarEvent.delete({ where: { eventId: splitOverride.eventId } });
+      }
+
+      await moveSeriesExceptions(
+        tx,
+        { ...series, childEvents: series.childEvents.filter(c => c !== splitOverride) },
+        newSeries.eventId,
+        occurrence.originalStart,
+        proposed.startTime.getTime() - occurrence.startTime.getTime()
+      );
+
+      return newSeries;
+    });
+  } else {
+    // Moving a series' start moves its exceptions with it
+    const shiftMs = series ? proposed.startTime.getTime() - series.startTime.getTime() : 0;
+
+    updatedEvent = await prisma.$transaction(async (tx) => {
+      if (shiftMs !== 0) {
+        await moveSeriesExceptions(tx, series, series.eventId, series.startTime, shiftMs);
+      }
+
+      return tx.calendarEvent.update({
+        where: { eventId: targetEvent.eventId },
+        data: {
+          ...detailFields,
+          startTime: proposed.startTime,
+          endTime: proposed.endTime,
+          ...(isRecurring !== undefined && { isRecurring }),
+          ...(recurrenceRule !== undefined && { recurrencePattern: recurrenceRule }), // Frontend sends 'recurrenceRule', DB uses 'recurrencePattern'
+          ...(recurrenceEndDate !== undefined && { recurrenceEndDate: recurrenceEndDate ? new Date(recurrenceEndDate) : null }),
+          timeZone: proposed.timeZone,
+          attendees: attendeeIds.length > 0 ? {
+            deleteMany: {},
+            create: attendeeIds.map(attendeeId => ({
+              groupMemberId: attendeeId,
+            })),
+          } : undefined,
+        },
+        include: eventInclude,
+      });
+    });
+  }
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'update_calendar_event',
+      performedBy: requester.groupMemberId,
+      performedByName: requester.displayName,
+      performedByEmail: requester.email || 'N/A',
+      actionLocation: 'calendar',
+      messageContent: (series
+        ? `Updated ${SCOPE_DESCRIPTIONS[effectiveScope]} recurring event "${updatedEvent.title}" (${series.eventId})`
+        : `Updated event "${updatedEvent.title}" (${existingEvent.eventId})`) + (approvalId ? ' via approval' : ''),
+      logData: {
+        eventId: targetEvent.eventId,
+        scope: effectiveScope,
+        ...(occurrence && { occurrenceId: buildOccurrenceId(series.eventId, occurrence.originalStart) }),
+        ...(updatedEvent.eventId !== targetEvent.eventId && { resultEventId: updatedEvent.eventId }),
+        ...(approvalId && { approvalId }),
+      },
+    },
+  });
+
+  return updatedEvent;
+}
+
+/**
+ * Apply an approved update to a calendar event
+ *
+ * Called by executeApprovedAction once an 'update_calendar_event' approval passes.
+ * The update is skipped (and logged) if the event is gone or the edit no longer fits it.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {string} eventId - Event from the original request path
+ * @param {Object} changes - Update request body
+ * @param {string} approvalId - Approval that authorised the update
+ * @returns {Promise<Object|null>} The saved event, or null if it couldn't be applied
+ */
+async function applyCalendarEventUpdate(groupId, requester, eventId, changes, approvalId) {
+  const existingEvent = await prisma.calendarEvent.findUnique({
+    where: { eventId: eventId },
+    include: SERIES_EDIT_INCLUDE,
+  });
+
+  if (!existingEvent || existingEvent.groupId !== groupId) {
+    console.log(`[Calendar] Approved update skipped: event ${eventId} no longer exists`);
+    return null;
+  }
+
+  const plan = await planCalendarEventUpdate(existingEvent, changes);
+  if (plan.error) {
+    console.log(`[Calendar] Approved update of event ${eventId} skipped: ${plan.error.message}`);
+    return null;
+  }
+
+  return saveCalendarEventUpdate(groupId, requester, existingEvent, plan, changes, approvalId);
+}
+
+/**
+ * Update a calendar event
+ * PUT /groups/:groupId/calendar/events/:eventId
+ *
+ * IMPORTANT: Updating an event updates its createdAt timestamp, moving it to the top
+ * of the layering stack for responsibility events (as per user requirements)
+ *
+ * For recurring events, `scope` picks what is edited (default 'all'):
+ * - this: only the occurrence in `occurrenceId` (stored as an overridden instance)
+ * - following: that occurrence and later ones (the series is split in two)
+ * - all: the whole series
+ *
+ * Approval: edits go through the same approval as new calendar entries (newly added
+ * child or caregiver attendees need the assignment grants too). Until approved,
+ * nothing changes (202 with approvalId).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateCalendarEvent(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, eventId } = req.params;
+    const {
+      title,
+      description, // Maps to 'notes' in database
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule, // Maps to 'recurrencePattern' in database
+      recurrenceEndDate,
+      timeZone,
+      attendeeIds = [],
+      notificationMinutes,
+      scope = 'all',
+      occurrenceId,
+      checkOverlaps = false, // When true, return overlapping responsibility events for confirmation instead of saving
+      overlapHorizonDays,
+    } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is a member of this group
+    const membership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
         },
       },
     });
 
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
+    if (!membership || !membership.isRegistered) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Supervisors and children cannot edit events
+    if (membership.role === 'supervisor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Supervisors cannot edit calendar events',
+      });
+    }
+
+    if (membership.role === 'child') {
+      return res.status(403).json({
+        success: false,
+        message: 'Children cannot edit calendar events',
+      });
+    }
+
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be one of: this, following, all',
+      });
+    }
+
+    // Get existing event
+    const existingEvent = await prisma.calendarEvent.findUnique({
+      where: { eventId: eventId },
+      include: SERIES_EDIT_INCLUDE,
+    });
+
+    if (!existingEvent || existingEvent.groupId !== groupId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found',
+      });
+    }
+
+    // Validate time range if provided
+    if (startTime && endTime) {
+      const start = new Date(startTime);
+      const end = new Date(endTime);
+      if (end <= start) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time',
+        });
+      }
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone',
+      });
+    }
+
+    const changes = {
+      title,
+      description,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      recurrenceEndDate,
+      timeZone,
+      attendeeIds,
+      notificationMinutes,
+      scope,
+      occurrenceId,
+    };
+
+    const plan = await planCalendarEventUpdate(existingEvent, changes);
+    if (plan.error) {
+      return res.status(plan.error.status).json({
+        success: false,
+        message: plan.error.message,
+      });
+    }
+    const { series, proposed, targetEvent } = plan;
+
+    // Layering system: warn about the responsibility events this edit will override before saving
+    if (checkOverlaps && targetEvent.isResponsibilityEvent && targetEvent.responsibilityEvents.length > 0) {
+      const overlapInfo = await detectResponsibilityOverlaps(
+        groupId,
+        [...new Set(targetEvent.responsibilityEvents.map(re => re.childId))],
+        proposed,
+        {
+          // The series being edited (and its overridden instances) can't clash with itself
+          excludeEventId: series ? series.eventId : targetEvent.eventId,
+          horizonDays: overlapHorizonDays,
+        }
+      );
+
+      if (overlapInfo.hasOverlaps) {
+        return res.status(200).json({
+          success: false,
+          requiresConfirmation: true,
+          message: 'Overlapping responsibility events detected',
+          overlapInfo,
+        });
+      }
+    }
+
+    // Approval: moving or changing an event is a calendar entry; new attendees may be assignments
+    const currentAttendeeIds = new Set(targetEvent.attendees.map(a => a.groupMemberId));
+    const assignedMembers = await prisma.groupMember.findMany({
+      where: {
         groupId: groupId,
-        action: 'update_calendar_event',
-        performedBy: membership.groupMemberId,
-        performedByName: membership.displayName,
-        performedByEmail: membership.email || 'N/A',
-        actionLocation: 'calendar',
-        messageContent: `Updated event "${updatedEvent.title}" (${eventId})`,
+        groupMemberId: { in: attendeeIds.filter(id => !currentAttendeeIds.has(id)) },
+      },
+      select: {
+        role: true,
+      },
+    });
+
+    const { requiresApproval, approval } = await requestApproval({
+      groupId: groupId,
+      requester: membership,
+      approvalType: 'update_calendar_event',
+      permissionFields: getCalendarPermissionFields(assignedMembers.map(m => m.role)),
+      description: `change the event "${targetEvent.title}"${startTime || endTime ? ` to ${proposed.startTime.toISOString()} - ${proposed.endTime.toISOString()}` : ''}`,
+      approvalData: {
+        eventId: eventId,
+        changes: changes,
       },
+      relatedEntityType: 'calendar_event',
+      relatedEntityId: eventId,
+      actionLocation: 'calendar',
     });
 
+    if (requiresApproval) {
+      return res.status(202).json({
+        success: true,
+        message: 'Approval request created for the event change. Waiting for admin approvals.',
+        requiresApproval: true,
+        approvalId: approval.approvalId,
+      });
+    }
+
+    const updatedEvent = await saveCalendarEventUpdate(groupId, membership, existingEvent, plan, changes, approval?.approvalId || null);
+
     return res.status(200).json({
       success: true,
+      requiresApproval: false,
       event: updatedEvent,
     });
   } catch (err) {
@@ -875,9 +1572,16 @@ async function updateCalendarEvent(req, res) {
 }
 
 /**
- * Delete a calendar event (soft delete)
+ * Delete a calendar event
  * DELETE /groups/:groupId/calendar/events/:eventId
  *
+ * For recurring events, the `scope` query param picks what is deleted (default 'all'):
+ * - this: only the occurrence in `occurrenceId` (recorded as an exception date)
+ * - following: that occurrence and later ones (the series is ended before it)
+ * - all: the whole series, including overridden instances
+ *
+ * Older app versions send `deleteSeries=true` (all) or `fromDate` (following from that date).
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -885,6 +1589,9 @@ async function deleteCalendarEvent(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, eventId } = req.params;
+    const { occurrenceId, deleteSeries, fromDate } = req.query;
+    const scope = req.query.scope
+      || (deleteSeries === 'true' ? 'all' : fromDate ? 'following' : occurrenceId ? 'this' : 'all');
 
     if (!userId) {
       return res.status(401).json({
@@ -925,9 +1632,17 @@ async function deleteCalendarEvent(req, res) {
       });
     }
 
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be one of: this, following, all',
+      });
+    }
+
     // Get existing event
     const existingEvent = await prisma.calendarEvent.findUnique({
       where: { eventId: eventId },
+      include: SERIES_EDIT_INCLUDE,
     });
 
     if (!existingEvent || existingEvent.groupId !== groupId) {
@@ -937,10 +1652,107 @@ async function deleteCalendarEvent(req, res) {
       });
     }
 
-    // Hard delete the event (calendar events don't support soft delete)
-    await prisma.calendarEvent.delete({
-      where: { eventId: eventId },
-    });
+    const { series, occurrence, error } = await resolveRecurrenceTarget(existingEvent, scope, occurrenceId);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Where a "this and following" delete starts
+    const splitAt = occurrence ? occurrence.originalStart : (fromDate ? new Date(fromDate) : null);
+
+    if (series && ((scope === 'this' && !occurrence) || (scope === 'following' && !splitAt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'occurrenceId is required to delete part of a recurring event',
+      });
+    }
+
+    // Deleting from the first occurrence onwards is the same as deleting the whole series
+    const effectiveScope = !series
+      ? 'all'
+      : scope === 'following' && splitAt <= series.startTime ? 'all' : scope;
+
+    if (effectiveScope === 'this') {
+      // Exclude the occurrence from the series and drop any overridden instance of it
+      await prisma.$transaction([
+        prisma.calendarEventExceptionDate.upsert({
+          where: {
+            eventId_recurrenceId: {
+              eventId: series.eventId,
+              recurrenceId: occurrence.originalStart,
+            },
+          },
+          create: {
+            eventId: series.eventId,
+            recurrenceId: occurrence.originalStart,
+          },
+          update: {},
+        }),
+        prisma.calendarEvent.deleteMany({
+          where: {
+            parentEventId: series.eventId,
+            recurrenceId: occurrence.originalStart,
+          },
+        }),
+      ]);
+    } else if (effectiveScope === 'following') {
+      const { beforeRule } = splitRecurrenceRule(series, splitAt);
+
+      await prisma.$transaction([
+        prisma.calendarEvent.update({
+          where: { eventId: series.eventId },
+          data: { recurrencePattern: beforeRule },
+        }),
+        prisma.calendarEvent.deleteMany({
+          where: {
+            parentEventId: series.eventId,
+            recurrenceId: { gte: splitAt },
+          },
+        }),
+        prisma.calendarEventExceptionDate.deleteMany({
+          where: {
+            eventId: series.eventId,
+            recurrenceId: { gte: splitAt },
+          },
+        }),
+      ]);
+    } else {
+      const target = series || existingEvent;
+
+      // Hard delete the event (calendar events don't support soft delete).
+      // Overridden instances reference the series, so they go first.
+      await prisma.$transaction([
+        prisma.calendarEvent.deleteMany({
+          where: { parentEventId: target.eventId },
+        }),
+        prisma.calendarEvent.delete({
+          where: { eventId: target.eventId },
+        }),
+      ]);
+    }
+
+    // An overridden instance deleted on its own still needs excluding from its series
+    if (!series && existingEvent.parentEventId && existingEvent.recurrenceId) {
+      await prisma.calendarEventExceptionDate.upsert({
+        where: {
+          eventId_recurrenceId: {
+            eventId: existingEvent.parentEventId,
+            recurrenceId: existingEvent.recurrenceId,
+          },
+        },
+        create: {
+          eventId: existingEvent.parentEventId,
+          recurrenceId: existingEvent.recurrenceId,
+        },
+        update: {},
+      });
+    }
+
+    const title = (series || existingEvent).title;
+    const targetEventId = (series || existingEvent).eventId;
 
     // Create audit log
     await prisma.auditLog.create({
@@ -951,7 +1763,15 @@ async function deleteCalendarEvent(req, res) {
         performedByName: membership.displayName,
         performedByEmail: membership.email || 'N/A',
         actionLocation: 'calendar',
-        messageContent: `Deleted event "${existingEvent.title}" (${eventId})`,
+        messageContent: series
+          ? `Deleted ${SCOPE_DESCRIPTIONS[effectiveScope]} recurring event "${title}" (${targetEventId})`
+          : `Deleted event "${title}" (${eventId})`,
+        logData: {
+          eventId: targetEventId,
+          scope: effectiveScope,
+          ...(occurrence && { occurrenceId: buildOccurrenceId(series.eventId, occurrence.originalStart) }),
+          ...(!occurrence && effectiveScope === 'following' && { fromDate: splitAt.toISOString() }),
+        },
       },
     });
 
@@ -970,40 +1790,123 @@ async function deleteCalendarEvent(req, res) {
 }
 
 /**
- * Detect overlapping responsibility events for a child in a given time range
+ * Build the overlap warning shown before creating or updating responsibility events
  *
- * This utility implements the layering system where later-created events override earlier ones.
- * It returns information about what existing events will be overridden by a new event.
- *
- * @param {string} groupId - The group ID
- * @param {string} childId - The child's groupMemberId
- * @param {Date} newStartTime - Start time of the new event
- * @param {Date} newEndTime - End time of the new event
- * @param {string} [excludeEventId] - Optional event ID to exclude (for updates)
- * @returns {Promise<Object>} Object with overlaps array and warning message
+ * @param {Array<Object>} overlaps - Overlaps as returned by detectResponsibilityOverlaps (sorted)
+ * @param {string} [subject] - What is being saved, e.g. 'event' or 'custody schedule'
+ * @returns {string} Warning message listing up to MAX_LISTED_OVERLAPS overlaps
  */
-async function detectResponsibilityOverlaps(groupId, childId, newStartTime, newEndTime, excludeEventId = null) {
-  try {
-    // Query all existing responsibility events for this child in the overlapping time range
-    const existingEvents = await prisma.childResponsibilityEvent.findMany({
-      where: {
-        childId: childId,
+function buildOverlapWarningMessage(overlaps, subject = 'event') {
+  const childNames = [...new Set(overlaps.map(overlap => overlap.child.displayName))].join(', ');
+  const overlapCount = overlaps.length;
+
+  let warningMessage = `This ${subject} will override ${overlapCount} existing responsibility event${overlapCount > 1 ? 's' : ''} for ${childNames}:\n\n`;
+
+  overlaps.slice(0, MAX_LISTED_OVERLAPS).forEach((overlap, index) => {
+    const startTime = new Date(overlap.eventStartTime).toLocaleString();
+    const endTime = new Date(overlap.eventEndTime).toLocaleString();
+    const overlapStartTime = new Date(overlap.overlapStartTime).toLocaleString();
+    const overlapEndTime = new Date(overlap.overlapEndTime).toLocaleString();
+
+    warningMessage += `${index + 1}. "${overlap.eventTitle}" (${overlap.child.displayName})\n`;
+    warningMessage += `   Original: ${startTime} → ${endTime}\n`;
+    warningMessage += `   Overlap: ${overlapStartTime} → ${overlapEndTime}\n`;
+    warningMessage += `   Start Responsible: ${overlap.startResponsibleMember.displayName}\n`;
+    if (overlap.endResponsibleMember) {
+      warningMessage += `   End Responsible: ${overlap.endResponsibleMember.displayName}\n`;
+    }
+    warningMessage += '\n';
+  });
+
+  if (overlapCount > MAX_LISTED_OVERLAPS) {
+    warningMessage += `...and ${overlapCount - MAX_LISTED_OVERLAPS} more.\n\n`;
+  }
+
+  warningMessage += `The new ${subject} will be layered on top and take priority during the overlapping times.`;
+
+  return warningMessage;
+}
+
+/**
+ * Detect overlapping responsibility events for children
+ *
+ * This utility implements the layering system where later-created events override earlier ones.
+ * It returns information about what existing events will be overridden by a new event.
+ *
+ * Both the proposed event and existing events are expanded into occurrences, so
+ * recurring custody schedules that only collide weeks ahead are still reported.
+ * Recurring events are checked from their start (or now, if later) up to the horizon.
+ *
+ * @param {string} groupId - The group ID
+ * @param {string[]} childIds - The children's groupMemberIds
+ * @param {Object} proposed - Proposed event: { startTime, endTime, isRecurring, recurrencePattern, recurrenceEndDate }
+ * @param {Object} [options] - Options
+ * @param {string} [options.excludeEventId] - Event (and its overridden instances) to ignore, for updates
+ * @param {number} [options.horizonDays] - How many days of recurring events to check (default OVERLAP_HORIZON_DAYS)
+ * @returns {Promise<Object>} Object with overlaps array and warning message
+ */
+async function detectResponsibilityOverlaps(groupId, childIds, proposed, options = {}) {
+  try {
+    const { excludeEventId = null } = options;
+    const horizonDays = Math.min(
+      Math.max(parseInt(options.horizonDays, 10) || OVERLAP_HORIZON_DAYS, 1),
+      MAX_OVERLAP_HORIZON_DAYS
+    );
+
+    const proposedStart = new Date(proposed.startTime);
+    const proposedEvent = {
+      ...proposed,
+      startTime: proposedStart,
+      endTime: new Date(proposed.endTime),
+    };
+    const isRecurringProposal = !!proposed.isRecurring && isValidRecurrenceRule(proposed.recurrencePattern);
+    const windowStart = isRecurringProposal ? new Date(Math.max(proposedStart.getTime(), Date.now())) : proposedStart;
+    const windowEnd = isRecurringProposal
+      ? new Date(windowStart.getTime() + horizonDays * 24 * 60 * 60 * 1000)
+      : proposedEvent.endTime;
+
+    const proposedOccurrences = getOccurrences(proposedEvent, windowStart, windowEnd);
+
+    // Query existing responsibility events for these children that could have an occurrence in the window
+    const existingEvents = await prisma.childResponsibilityEvent.findMany({
+      where: {
+        childId: { in: childIds },
         event: {
           groupId: groupId,
-          ...(excludeEventId ? { eventId: { not: excludeEventId } } : {}),
-          OR: [
-            // Event starts before new event ends AND ends after new event starts
+          AND: [
+            ...(excludeEventId ? [
+              { eventId: { not: excludeEventId } },
+              { OR: [{ parentEventId: null }, { parentEventId: { not: excludeEventId } }] },
+            ] : []),
             {
-              AND: [
-                { startTime: { lt: newEndTime } },
-                { endTime: { gt: newStartTime } },
+              OR: [
+                // One-off event starts before the window ends AND ends after it starts
+                {
+                  isRecurring: false,
+                  startTime: { lt: windowEnd },
+                  endTime: { gt: windowStart },
+                },
+                // Recurring series still running during the window
+                {
+                  isRecurring: true,
+                  startTime: { lt: windowEnd },
+                  OR: [
+                    { recurrenceEndDate: null },
+                    { recurrenceEndDate: { gte: windowStart } },
+                  ],
+                },
               ],
             },
           ],
         },
       },
       include: {
-        event: true,
+        event: {
+          include: {
+            exceptionDates: { select: { recurrenceId: true } },
+            childEvents: { select: { recurrenceId: true } },
+          },
+        },
         child: {
           select: {
             groupMemberId: true,
@@ -1060,122 +1963,593 @@ async function detectResponsibilityOverlaps(groupId, childId, newStartTime, newE
       },
     });
 
-    if (existingEvents.length === 0) {
-      return {
-        hasOverlaps: false,
-        overlaps: [],
-        warningMessage: null,
-      };
+    // Occurrence ID as returned by GET /calendar/events
+    const getExistingOccurrenceId = (event, originalStart) => {
+      if (event.parentEventId && event.recurrenceId) {
+        return buildOccurrenceId(event.parentEventId, event.recurrenceId);
+      }
+      if (event.isRecurring && isValidRecurrenceRule(event.recurrencePattern)) {
+        return buildOccurrenceId(event.eventId, originalStart);
+      }
+      return event.eventId;
+    };
+
+    // Calculate overlap details for warning popup (one entry per clashing occurrence)
+    const overlaps = existingEvents.flatMap((respEvent) => {
+      const event = respEvent.event;
+
+      // Profile merging for child
+      const childDisplayName = respEvent.child.user?.displayName || respEvent.child.displayName;
+      const childIconLetters = respEvent.child.user?.memberIcon || respEvent.child.iconLetters;
+      const childIconColor = respEvent.child.user?.iconColor || respEvent.child.iconColor;
+
+      // Profile merging for responsible members ('other' responsibility has no member)
+      const startResponsibleDisplayName = respEvent.startResponsibleMember?.user?.displayName
+        || respEvent.startResponsibleMember?.displayName
+        || respEvent.startResponsibleOtherName;
+      const endResponsibleDisplayName = respEvent.endResponsibleMember?.user?.displayName
+        || respEvent.endResponsibleMember?.displayName
+        || respEvent.endResponsibleOtherName;
+
+      return findOverlappingOccurrences(proposedOccurrences, getOccurrences(event, windowStart, windowEnd))
+        .map(({ first, second, overlapStart, overlapEnd }) => ({
+          eventId: event.eventId,
+          occurrenceId: getExistingOccurrenceId(event, second.originalStart),
+          eventTitle: event.title,
+          eventStartTime: second.startTime,
+          eventEndTime: second.endTime,
+          eventCreatedAt: event.createdAt,
+          proposedStartTime: first.startTime,
+          proposedEndTime: first.endTime,
+          overlapStartTime: overlapStart,
+          overlapEndTime: overlapEnd,
+          child: {
+            groupMemberId: respEvent.child.groupMemberId,
+            displayName: childDisplayName,
+            iconLetters: childIconLetters,
+            iconColor: childIconColor,
+          },
+          startResponsibleMember: {
+            groupMemberId: respEvent.startResponsibleMember?.groupMemberId || null,
+            displayName: startResponsibleDisplayName,
+          },
+          endResponsibleMember: endResponsibleDisplayName ? {
+            groupMemberId: respEvent.endResponsibleMember?.groupMemberId || null,
+            displayName: endResponsibleDisplayName,
+          } : null,
+        }));
+    }).sort((a, b) => a.overlapStartTime - b.overlapStartTime);
+
+    if (overlaps.length === 0) {
+      return {
+        hasOverlaps: false,
+        overlaps: [],
+        warningMessage: null,
+      };
+    }
+
+    return {
+      hasOverlaps: true,
+      overlaps: overlaps,
+      warningMessage: buildOverlapWarningMessage(overlaps),
+    };
+
+  } catch (err) {
+    console.error('Detect responsibility overlaps error:', err);
+    throw err;
+  }
+}
+
+/**
+ * Create a responsibility event and its child responsibility records in one transaction
+ *
+ * Used directly when the event needs no approval, and by executeApprovedAction
+ * once a 'create_responsibility_event' approval passes.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} eventData - Request body fields (title, notes, startTime, endTime, responsibilityEvents, ...)
+ * @param {string|null} [approvalId] - Approval that authorised the event, if any
+ * @returns {Promise<Object>} { event, responsibilityEvents }
+ */
+async function createResponsibilityEventRecord(groupId, requester, eventData, approvalId = null) {
+  const {
+    title,
+    notes,
+    startTime,
+    endTime,
+    isRecurring,
+    recurrenceRule,
+    recurrenceEndDate,
+    timeZone,
+    responsibilityEvents,
+    notificationMinutes = 15,
+  } = eventData;
+
+  return prisma.$transaction(async (tx) => {
+    // Create the calendar event
+    const event = await tx.calendarEvent.create({
+      data: {
+        groupId: groupId,
+        title: title,
+        notes: notes || null,
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        isRecurring: isRecurring || false,
+        recurrencePattern: recurrenceRule || null,
+        recurrenceEndDate: isRecurring && recurrenceEndDate ? new Date(recurrenceEndDate) : null,
+        timeZone: timeZone || null,
+        notificationMinutes: notificationMinutes,
+        isResponsibilityEvent: true,
+        createdBy: requester.groupMemberId,
+      },
+    });
+
+    // Create responsibility events for each child
+    const createdResponsibilityEvents = await Promise.all(
+      responsibilityEvents.map(async (re) => {
+        return await tx.childResponsibilityEvent.create({
+          data: {
+            eventId: event.eventId,
+            childId: re.childId,
+            startResponsibilityType: re.startResponsibilityType || 'member',
+            startResponsibleMemberId: re.startResponsibleMemberId || null,
+            startResponsibleOtherName: re.startResponsibleOtherName || null,
+            startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters || null,
+            startResponsibleOtherColor: re.startResponsibleOtherColor || null,
+            endResponsibilityType: re.endResponsibilityType || re.startResponsibilityType || 'member',
+            endResponsibleMemberId: re.endResponsibleMemberId || null,
+            endResponsibleOtherName: re.endResponsibleOtherName || null,
+            endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters || null,
+            endResponsibleOtherColor: re.endResponsibleOtherColor || null,
+          },
+      include: {
+        event: true,
+        child: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+        startResponsibleMember: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+        endResponsibleMember: re.endResponsibleMemberId ? {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        } : undefined,
+      },
+        });
+      })
+    );
+
+    // Create audit log
+    const childrenNames = responsibilityEvents.map(re => re.childId).join(', ');
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'create_responsibility_event',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `Created responsibility event "${title}" for ${responsibilityEvents.length} child(ren) from ${startTime} to ${endTime}${approvalId ? ' via approval' : ''}`,
+        ...(approvalId && { logData: { eventId: event.eventId, approvalId: approvalId } }),
+      },
+    });
+
+    return { event, responsibilityEvents: createdResponsibilityEvents };
+  });
+}
+
+/**
+ * Create a child responsibility event
+ * POST /groups/:groupId/calendar/responsibility-events
+ *
+ * Creates a responsibility event for a child with optional overlap detection warning.
+ * Implements layering system where newer events override older ones.
+ *
+ * Approval: like other calendar entries, it needs more than half of the admins
+ * (autoApproveCalendarEntries plus autoApproveAssignChildrenToEvents, and
+ * autoApproveAssignCaregiversToEvents when a caregiver is responsible). Until
+ * approved, nothing is created (202 with approvalId).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createResponsibilityEvent(req, res) {
+  try {
+    const { groupId } = req.params;
+    const {
+      title,
+      notes,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      recurrenceEndDate,
+      timeZone, // IANA time zone a recurring event repeats in (default UTC)
+      responsibilityEvents = [], // Array of {childId, startResponsibilityType, startResponsibleMemberId, ...}
+      notificationMinutes = 15, // Default 15 minutes before
+      checkOverlaps = false, // When true, return overlapping events for confirmation instead of creating
+      overlapHorizonDays, // Optional: days of recurring events to check (default OVERLAP_HORIZON_DAYS)
+    } = req.body;
+
+    // Validate required fields
+    if (!title || !startTime || !endTime || responsibilityEvents.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: title, startTime, endTime, and at least one responsibility event',
+      });
+    }
+
+    // Get current user's group membership
+    const membership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: req.user.userId,
+      },
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Permission check: Supervisors and children cannot create responsibility events
+    if (membership.role === 'supervisor') {
+      return res.status(403).json({
+        success: false,
+        message: 'Supervisors cannot create responsibility events',
+      });
+    }
+
+    if (membership.role === 'child') {
+      return res.status(403).json({
+        success: false,
+        message: 'Children cannot create responsibility events',
+      });
+    }
+
+    // Validate time range
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time',
+      });
+    }
+
+    if (isRecurring && !isValidRecurrenceRule(recurrenceRule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid recurrence rule',
+      });
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone',
+      });
+    }
+
+    // Layering system: warn about the events this one will override before creating it
+    if (checkOverlaps) {
+      const overlapInfo = await detectResponsibilityOverlaps(
+        groupId,
+        [...new Set(responsibilityEvents.map(re => re.childId))],
+        {
+          startTime: start,
+          endTime: end,
+          isRecurring: !!isRecurring,
+          recurrencePattern: recurrenceRule,
+          recurrenceEndDate: isRecurring && recurrenceEndDate ? new Date(recurrenceEndDate) : null,
+          timeZone: timeZone || null,
+        },
+        { horizonDays: overlapHorizonDays }
+      );
+
+      if (overlapInfo.hasOverlaps) {
+        return res.status(200).json({
+          success: false,
+          requiresConfirmation: true,
+          message: 'Overlapping responsibility events detected',
+          overlapInfo,
+        });
+      }
+    }
+
+    // Approval: children are always assigned; caregivers too when they hand over
+    const responsibleMemberIds = [...new Set(responsibilityEvents
+      .flatMap(re => [re.startResponsibleMemberId, re.endResponsibleMemberId])
+      .filter(Boolean))];
+    const responsibleMembers = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: responsibleMemberIds },
+      },
+      select: {
+        role: true,
+      },
+    });
+
+    const eventData = {
+      title,
+      notes,
+      startTime,
+      endTime,
+      isRecurring,
+      recurrenceRule,
+      recurrenceEndDate,
+      timeZone,
+      responsibilityEvents,
+      notificationMinutes,
+    };
+
+    const { requiresApproval, approval } = await requestApproval({
+      groupId: groupId,
+      requester: membership,
+      approvalType: 'create_responsibility_event',
+      permissionFields: getCalendarPermissionFields(['child', ...responsibleMembers.map(m => m.role)]),
+      description: `add the responsibility event "${title}" for ${responsibilityEvents.length} child(ren) on ${start.toISOString()}`,
+      approvalData: eventData,
+      actionLocation: 'calendar',
+    });
+
+    if (requiresApproval) {
+      return res.status(202).json({
+        success: true,
+        message: 'Approval request created for the responsibility event. Waiting for admin approvals.',
+        requiresApproval: true,
+        approvalId: approval.approvalId,
+      });
+    }
+
+    const result = await createResponsibilityEventRecord(groupId, membership, eventData, approval?.approvalId || null);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Child responsibility event created successfully',
+      requiresApproval: false,
+      event: result.event,
+      responsibilityEvents: result.responsibilityEvents,
+    });
+
+  } catch (err) {
+    console.error('Create responsibility event error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create responsibility event',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * List custody schedule templates
+ * GET /groups/:groupId/calendar/custody-templates
+ *
+ * Returns the rotations the custody schedule wizard can generate.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCustodyTemplates(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const membership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: req.user.userId,
+      },
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
     }
 
-    // Calculate overlap details for warning popup
-    const overlaps = existingEvents.map((respEvent) => {
-      const event = respEvent.event;
-
-      // Calculate the overlapping time range
-      const overlapStart = new Date(Math.max(new Date(event.startTime).getTime(), newStartTime.getTime()));
-      const overlapEnd = new Date(Math.min(new Date(event.endTime).getTime(), newEndTime.getTime()));
+    return res.status(200).json({
+      success: true,
+      templates: listCustodyTemplates(),
+    });
 
-      // Profile merging for child
-      const childDisplayName = respEvent.child.user?.displayName || respEvent.child.displayName;
-      const childIconLetters = respEvent.child.user?.memberIcon || respEvent.child.iconLetters;
-      const childIconColor = respEvent.child.user?.iconColor || respEvent.child.iconColor;
+  } catch (err) {
+    console.error('Get custody templates error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get custody templates',
+      error: err.message,
+    });
+  }
+}
 
-      // Profile merging for responsible members
-      const startResponsibleDisplayName = respEvent.startResponsibleMember.user?.displayName || respEvent.startResponsibleMember.displayName;
-      const endResponsibleDisplayName = respEvent.endResponsibleMember?.user?.displayName || respEvent.endResponsibleMember?.displayName;
+/**
+ * Create the responsibility series for a custody schedule in one transaction
+ *
+ * Used directly when the schedule needs no approval, and by executeApprovedAction
+ * once a 'create_custody_schedule' approval passes (dates arrive as strings then).
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} schedule - { pattern, templateName, childIds, parentMemberIds, notificationMinutes, timeZone, series[] }
+ * @param {string|null} [approvalId] - Approval that authorised the schedule, if any
+ * @returns {Promise<Array<Object>>} Created calendar events with their responsibility events
+ */
+async function createCustodyScheduleEvents(groupId, requester, schedule, approvalId = null) {
+  return prisma.$transaction(async (tx) => {
+    const events = [];
 
-      return {
-        eventId: event.eventId,
-        eventTitle: event.title,
-        eventStartTime: event.startTime,
-        eventEndTime: event.endTime,
-        eventCreatedAt: event.createdAt,
-        overlapStartTime: overlapStart,
-        overlapEndTime: overlapEnd,
-        child: {
-          groupMemberId: respEvent.child.groupMemberId,
-          displayName: childDisplayName,
-          iconLetters: childIconLetters,
-          iconColor: childIconColor,
+    for (const series of schedule.series) {
+      const event = await tx.calendarEvent.create({
+        data: {
+          groupId: groupId,
+          title: series.title,
+          notes: `Generated from the ${schedule.templateName} custody template`,
+          startTime: new Date(series.startTime),
+          endTime: new Date(series.endTime),
+          isRecurring: true,
+          recurrencePattern: series.recurrencePattern,
+          recurrenceEndDate: series.recurrenceEndDate ? new Date(series.recurrenceEndDate) : null,
+          timeZone: schedule.timeZone || null,
+          notificationMinutes: schedule.notificationMinutes,
+          isResponsibilityEvent: true,
+          createdBy: requester.groupMemberId,
+          responsibilityEvents: {
+            create: schedule.childIds.map(childId => ({
+              childId: childId,
+              startResponsibilityType: 'member',
+              startResponsibleMemberId: series.startResponsibleMemberId,
+              endResponsibilityType: 'member',
+              endResponsibleMemberId: series.endResponsibleMemberId,
+            })),
+          },
         },
-        startResponsibleMember: {
-          groupMemberId: respEvent.startResponsibleMember.groupMemberId,
-          displayName: startResponsibleDisplayName,
+        include: {
+          responsibilityEvents: true,
         },
-        endResponsibleMember: respEvent.endResponsibleMember ? {
-          groupMemberId: respEvent.endResponsibleMember.groupMemberId,
-          displayName: endResponsibleDisplayName,
-        } : null,
-      };
-    });
-
-    // Generate warning message for popup
-    const childName = overlaps[0].child.displayName;
-    const overlapCount = overlaps.length;
-
-    let warningMessage = `This event will override ${overlapCount} existing responsibility event${overlapCount > 1 ? 's' : ''} for ${childName}:\n\n`;
-
-    overlaps.forEach((overlap, index) => {
-      const startTime = new Date(overlap.eventStartTime).toLocaleString();
-      const endTime = new Date(overlap.eventEndTime).toLocaleString();
-      const overlapStartTime = new Date(overlap.overlapStartTime).toLocaleString();
-      const overlapEndTime = new Date(overlap.overlapEndTime).toLocaleString();
+      });
+      events.push(event);
+    }
 
-      warningMessage += `${index + 1}. "${overlap.eventTitle}"\n`;
-      warningMessage += `   Original: ${startTime} → ${endTime}\n`;
-      warningMessage += `   Overlap: ${overlapStartTime} → ${overlapEndTime}\n`;
-      warningMessage += `   Start Responsible: ${overlap.startResponsibleMember.displayName}\n`;
-      if (overlap.endResponsibleMember) {
-        warningMessage += `   End Responsible: ${overlap.endResponsibleMember.displayName}\n`;
-      }
-      warningMessage += '\n';
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'create_custody_schedule',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: 'calendar',
+        messageContent: `Created ${schedule.templateName} custody schedule (${events.length} recurring events) for ${schedule.childIds.length} child(ren)${approvalId ? ' via approval' : ''}`,
+        logData: {
+          pattern: schedule.pattern,
+          eventIds: events.map(event => event.eventId),
+          childIds: schedule.childIds,
+          parentMemberIds: schedule.parentMemberIds,
+          approvalId: approvalId,
+        },
+      },
     });
 
-    warningMessage += 'The new event will be layered on top and take priority during the overlapping times.';
-
-    return {
-      hasOverlaps: true,
-      overlaps: overlaps,
-      warningMessage: warningMessage,
-    };
-
-  } catch (err) {
-    console.error('Detect responsibility overlaps error:', err);
-    throw err;
-  }
+    return events;
+  });
 }
 
 /**
- * Create a child responsibility event
- * POST /groups/:groupId/calendar/responsibility-events
+ * Create a custody schedule from a template
+ * POST /groups/:groupId/calendar/custody-schedules
  *
- * Creates a responsibility event for a child with optional overlap detection warning.
- * Implements layering system where newer events override older ones.
+ * Generates every responsibility series of a standard rotation (see utils/custodySchedules.js)
+ * for the given children and two parents. With checkOverlaps, returns the existing events the
+ * schedule would override for confirmation first.
+ *
+ * Approval: in groups with other admins, the schedule needs approval from all admins unless
+ * every other admin has granted the requester autoApproveCalendarEntries. Until approved,
+ * nothing is created (202 with approvalId).
  *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-async function createResponsibilityEvent(req, res) {
+async function createCustodySchedule(req, res) {
   try {
     const { groupId } = req.params;
     const {
-      title,
-      notes,
-      startTime,
-      endTime,
-      isRecurring,
-      recurrenceRule,
+      pattern,
+      childIds = [],
+      parentMemberIds = [], // [first parent, second parent] - the first parent starts the rotation
+      startTime, // First handover (start date + handover time)
       recurrenceEndDate,
-      responsibilityEvents = [], // Array of {childId, startResponsibilityType, startResponsibleMemberId, ...}
-      notificationMinutes = 15, // Default 15 minutes before
+      timeZone, // IANA time zone handovers keep their local time in (default UTC)
+      notificationMinutes = 15,
+      checkOverlaps = false,
+      overlapHorizonDays,
     } = req.body;
 
-    // Validate required fields
-    if (!title || !startTime || !endTime || responsibilityEvents.length === 0) {
+    const template = getCustodyTemplate(pattern);
+    if (!template) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: title, startTime, endTime, and at least one responsibility event',
+        message: `Unknown custody template. Expected one of: ${listCustodyTemplates().map(t => t.pattern).join(', ')}`,
+      });
+    }
+
+    if (!startTime || !Array.isArray(childIds) || childIds.length === 0
+        || !Array.isArray(parentMemberIds) || parentMemberIds.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: startTime, at least one childId and exactly two parentMemberIds',
+      });
+    }
+
+    if (parentMemberIds[0] === parentMemberIds[1]) {
+      return res.status(400).json({
+        success: false,
+        message: 'The two parents must be different members',
+      });
+    }
+
+    const start = new Date(startTime);
+    if (isNaN(start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time',
+      });
+    }
+
+    if (recurrenceEndDate && new Date(recurrenceEndDate) <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule end date must be after the start time',
+      });
+    }
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone',
       });
     }
 
@@ -1194,152 +2568,266 @@ async function createResponsibilityEvent(req, res) {
       });
     }
 
-    // Permission check: Supervisors and children cannot create responsibility events
-    if (membership.role === 'supervisor') {
+    if (membership.role === 'supervisor' || membership.role === 'child') {
       return res.status(403).json({
         success: false,
-        message: 'Supervisors cannot create responsibility events',
+        message: `${membership.role === 'child' ? 'Children' : 'Supervisors'} cannot create custody schedules`,
       });
     }
 
-    if (membership.role === 'child') {
-      return res.status(403).json({
+    // Check if group is in read-only mode (all admins unsubscribed)
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
+
+    // Children and parents must belong to this group
+    const uniqueChildIds = [...new Set(childIds)];
+    const members = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: [...uniqueChildIds, ...parentMemberIds] },
+      },
+      select: {
+        groupMemberId: true,
+        role: true,
+        displayName: true,
+        user: {
+          select: {
+            displayName: true,
+          },
+        },
+      },
+    });
+    const memberById = new Map(members.map(member => [member.groupMemberId, member]));
+
+    if (uniqueChildIds.some(childId => memberById.get(childId)?.role !== 'child')) {
+      return res.status(400).json({
         success: false,
-        message: 'Children cannot create responsibility events',
+        message: 'Every childId must be a child in this group',
       });
     }
 
-    // Validate time range
-    const start = new Date(startTime);
-    const end = new Date(endTime);
-
-    if (end <= start) {
+    if (parentMemberIds.some(parentId => !memberById.has(parentId) || memberById.get(parentId).role === 'child')) {
       return res.status(400).json({
         success: false,
-        message: 'End time must be after start time',
+        message: 'Both parents must be adult members of this group',
       });
     }
 
-    // Create the calendar event and responsibility events in a transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Create the calendar event
-      const event = await tx.calendarEvent.create({
+    const parentNames = parentMemberIds.map((parentId) => {
+      const parent = memberById.get(parentId);
+      return parent.user?.displayName || parent.displayName;
+    });
+
+    const schedule = {
+      pattern: pattern,
+      templateName: template.name,
+      childIds: uniqueChildIds,
+      parentMemberIds: parentMemberIds,
+      notificationMinutes: notificationMinutes,
+      timeZone: timeZone || null,
+      series: buildCustodySchedule(pattern, start, recurrenceEndDate || null, timeZone || 'UTC').map(series => ({
+        title: `${template.name}: ${parentNames[series.parentIndex]}`,
+        startTime: series.startTime,
+        endTime: series.endTime,
+        recurrencePattern: series.recurrencePattern,
+        recurrenceEndDate: series.recurrenceEndDate,
+        startResponsibleMemberId: parentMemberIds[series.parentIndex],
+        endResponsibleMemberId: parentMemberIds[series.nextParentIndex],
+      })),
+    };
+
+    // Layering system: warn about the events the whole schedule will override
+    if (checkOverlaps) {
+      const results = [];
+      for (const series of schedule.series) {
+        results.push(await detectResponsibilityOverlaps(
+          groupId,
+          uniqueChildIds,
+          { ...series, isRecurring: true, timeZone: schedule.timeZone },
+          { horizonDays: overlapHorizonDays }
+        ));
+      }
+
+      const overlaps = results
+        .flatMap(result => result.overlaps)
+        .sort((a, b) => a.overlapStartTime - b.overlapStartTime);
+
+      if (overlaps.length > 0) {
+        return res.status(200).json({
+          success: false,
+          requiresConfirmation: true,
+          message: 'Overlapping responsibility events detected',
+          overlapInfo: {
+            hasOverlaps: true,
+            overlaps: overlaps,
+            warningMessage: buildOverlapWarningMessage(overlaps, 'custody schedule'),
+          },
+        });
+      }
+    }
+
+    // Approval: every other admin must approve, or have granted autoApproveCalendarEntries
+    const allAdmins = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        role: 'admin',
+      },
+      select: {
+        groupMemberId: true,
+        displayName: true,
+      },
+    });
+
+    const allAdminIds = allAdmins.map(a => a.groupMemberId);
+    const otherAdmins = allAdmins.filter(a => a.groupMemberId !== membership.groupMemberId);
+    const isAdmin = membership.role === 'admin';
+
+    let canAutoApprove = otherAdmins.length === 0;
+
+    if (isAdmin && otherAdmins.length > 0) {
+      const autoApprovePermissions = await prisma.adminPermission.findMany({
+        where: {
+          groupId: groupId,
+          receivingAdminId: membership.groupMemberId,
+          autoApproveCalendarEntries: true,
+        },
+        select: {
+          grantingAdminId: true,
+        },
+      });
+
+      const grantorIds = new Set(autoApprovePermissions.map(p => p.grantingAdminId));
+      canAutoApprove = otherAdmins.every(admin => grantorIds.has(admin.groupMemberId));
+    }
+
+    const description = `${template.name} custody schedule between ${parentNames.join(' and ')} starting ${start.toISOString()}`;
+
+    if (!canAutoApprove) {
+      const approval = await prisma.approval.create({
         data: {
           groupId: groupId,
-          title: title,
-          notes: notes || null,
-          startTime: start,
-          endTime: end,
-          isRecurring: isRecurring || false,
-          recurrencePattern: recurrenceRule || null,
-          notificationMinutes: notificationMinutes,
-          isResponsibilityEvent: true,
-          createdBy: membership.groupMemberId,
+          requestedBy: membership.groupMemberId,
+          approvalType: 'create_custody_schedule',
+          requiresAllAdmins: true,
+          requiredApprovalPercentage: '100.00',
+          status: 'pending',
+          ...(await getApprovalExpiryFields(groupId, 'create_custody_schedule')),
+          approvalData: JSON.stringify({
+            ...schedule,
+            allAdminIds: allAdminIds, // Snapshot of admins at approval creation time
+            description: description,
+          }),
         },
       });
 
-      // Create responsibility events for each child
-      const createdResponsibilityEvents = await Promise.all(
-        responsibilityEvents.map(async (re) => {
-          return await tx.childResponsibilityEvent.create({
-            data: {
-              eventId: event.eventId,
-              childId: re.childId,
-              startResponsibilityType: re.startResponsibilityType || 'member',
-              startResponsibleMemberId: re.startResponsibleMemberId || null,
-              startResponsibleOtherName: re.startResponsibleOtherName || null,
-              startResponsibleOtherIconLetters: re.startResponsibleOtherIconLetters || null,
-              startResponsibleOtherColor: re.startResponsibleOtherColor || null,
-              endResponsibilityType: re.endResponsibilityType || re.startResponsibilityType || 'member',
-              endResponsibleMemberId: re.endResponsibleMemberId || null,
-              endResponsibleOtherName: re.endResponsibleOtherName || null,
-              endResponsibleOtherIconLetters: re.endResponsibleOtherIconLetters || null,
-              endResponsibleOtherColor: re.endResponsibleOtherColor || null,
-            },
-        include: {
-          event: true,
-          child: {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
-          },
-          startResponsibleMember: {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
+      // Create requester's vote (admins approve their own request)
+      if (isAdmin) {
+        await prisma.approvalVote.create({
+          data: {
+            approvalId: approval.approvalId,
+            adminId: membership.groupMemberId,
+            vote: 'approve',
+            isAutoApproved: false,
           },
-          endResponsibleMember: re.endResponsibleMemberId ? {
-            select: {
-              groupMemberId: true,
-              displayName: true,
-              iconLetters: true,
-              iconColor: true,
-              user: {
-                select: {
-                  displayName: true,
-                  memberIcon: true,
-                  iconColor: true,
-                  profilePhotoFileId: true,
-                },
-              },
-            },
-          } : undefined,
-        },
-          });
-        })
-      );
+        });
+      }
 
-      // Create audit log
-      const childrenNames = responsibilityEvents.map(re => re.childId).join(', ');
-      await tx.auditLog.create({
+      await prisma.auditLog.create({
         data: {
           groupId: groupId,
-          action: 'create_responsibility_event',
+          action: 'request_custody_schedule',
           performedBy: membership.groupMemberId,
           performedByName: membership.displayName,
           performedByEmail: membership.email || 'N/A',
           actionLocation: 'calendar',
-          messageContent: `Created responsibility event "${title}" for ${responsibilityEvents.length} child(ren) from ${startTime} to ${endTime}`,
+          messageContent: `Requested approval for ${description}`,
+          logData: {
+            approvalId: approval.approvalId,
+            pattern: pattern,
+          },
         },
       });
 
-      return { event, responsibilityEvents: createdResponsibilityEvents };
-    });
+      // Send push notification to other admins (fire and forget)
+      pushNotificationService.sendApprovalNotification(
+        groupId,
+        membership.groupMemberId,
+        'create_custody_schedule',
+        `${membership.displayName} wants to set up a ${description}`,
+        approval.approvalId
+      ).catch(err => console.error('[Calendar] Failed to send approval notification:', err));
+
+      realtimeService.publishApprovalChange(approval);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Approval request created for the custody schedule. Waiting for admin approvals.',
+        requiresApproval: true,
+        approvalId: approval.approvalId,
+      });
+    }
+
+    // Record the auto-approval for the audit trail when other admins pre-approved it
+    let approvalId = null;
+    if (otherAdmins.length > 0) {
+      const approval = await prisma.approval.create({
+        data: {
+          groupId: groupId,
+          requestedBy: membership.groupMemberId,
+          approvalType: 'create_custody_schedule',
+          requiresAllAdmins: true,
+          requiredApprovalPercentage: '100.00',
+          status: 'approved',
+          completedAt: new Date(),
+          approvalData: JSON.stringify({
+            ...schedule,
+            allAdminIds: allAdminIds,
+            description: description,
+          }),
+        },
+      });
+
+      await prisma.approvalVote.createMany({
+        data: [
+          {
+            approvalId: approval.approvalId,
+            adminId: membership.groupMemberId,
+            vote: 'approve',
+            isAutoApproved: false,
+          },
+          ...otherAdmins.map(admin => ({
+            approvalId: approval.approvalId,
+            adminId: admin.groupMemberId,
+            vote: 'approve',
+            isAutoApproved: true,
+          })),
+        ],
+      });
+
+      approvalId = approval.approvalId;
+      realtimeService.publishApprovalChange(approval);
+    }
+
+    const events = await createCustodyScheduleEvents(groupId, membership, schedule, approvalId);
 
     return res.status(201).json({
       success: true,
-      message: 'Child responsibility event created successfully',
-      event: result.event,
-      responsibilityEvents: result.responsibilityEvents,
+      message: 'Custody schedule created successfully',
+      requiresApproval: false,
+      events: events,
     });
 
   } catch (err) {
-    console.error('Create responsibility event error:', err);
+    console.error('Create custody schedule error:', err);
     return res.status(500).json({
       success: false,
-      message: 'Failed to create responsibility event',
+      message: 'Failed to create custody schedule',
       error: err.message,
     });
   }
@@ -1427,13 +2915,31 @@ async function markCalendarViewed(req, res) {
     const upcomingEvents = await prisma.calendarEvent.findMany({
       where: {
         groupId: groupId,
-        startTime: { gt: now },
+        OR: [
+          { isRecurring: false, startTime: { gt: now } },
+          {
+            isRecurring: true,
+            OR: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { gte: now } },
+            ],
+          },
+        ],
       },
       select: {
         eventId: true,
         startTime: true,
+        endTime: true,
+        isRecurring: true,
+        recurrencePattern: true,
+        recurrenceEndDate: true,
+        timeZone: true,
+        parentEventId: true,
+        recurrenceId: true,
         notificationMinutes: true,
         createdBy: true,
+        exceptionDates: { select: { recurrenceId: true } },
+        childEvents: { select: { recurrenceId: true } },
         attendees: {
           select: {
             groupMemberId: true,
@@ -1442,8 +2948,16 @@ async function markCalendarViewed(req, res) {
       },
     });
 
+    // Expand recurring series into the occurrences starting within their notification window
+    const upcomingOccurrences = upcomingEvents.flatMap(event => {
+      const notifyMs = (event.notificationMinutes || 15) * 60 * 1000;
+      return expandEvent(event, now, new Date(now.getTime() + notifyMs));
+    });
+
     // Filter to events within their notification window AND with notifications enabled
-    const eventsInNotificationWindow = upcomingEvents.filter(event => {
+    const eventsInNotificationWindow = upcomingOccurrences.filter(event => {
+      if (event.startTime <= now) return false;
+
       const notifyMinutes = event.notificationMinutes || 15;
       const notifyTime = new Date(event.startTime.getTime() - notifyMinutes * 60 * 1000);
       if (now < notifyTime) return false;
@@ -1459,13 +2973,14 @@ async function markCalendarViewed(req, res) {
     for (const event of eventsInNotificationWindow) {
       await prisma.calendarEventReminder.upsert({
         where: {
-          eventId_userId: {
-            eventId: event.eventId,
+          occurrenceId_userId: {
+            occurrenceId: event.occurrenceId,
             userId: userId,
           },
         },
         create: {
           eventId: event.eventId,
+          occurrenceId: event.occurrenceId,
           userId: userId,
           remindedAt: now,
         },
@@ -1492,10 +3007,16 @@ async function markCalendarViewed(req, res) {
 module.exports = {
   getCalendarEvents,
   createCalendarEvent,
+  createCalendarEventRecord,
   getCalendarEventById,
   updateCalendarEvent,
+  applyCalendarEventUpdate,
   deleteCalendarEvent,
   createResponsibilityEvent,
+  createResponsibilityEventRecord,
+  getCustodyTemplates,
+  createCustodySchedule,
+  createCustodyScheduleEvents,
   markCalendarViewed,
   detectResponsibilityOverlaps, // Export for testing
 };
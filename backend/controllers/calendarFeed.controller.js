@@ -0,0 +1,457 @@
+/**
+ * Calendar Feed Controller
+ *
+ * Secret iCal feed URLs that let a member subscribe to a group calendar from
+ * other calendar apps. Each user has at most one active feed token per group;
+ * creating a new one revokes the old URL. The feed itself is public (the token
+ * is the credential) and only contains what the member could see in the app:
+ * it uses the same calendar access check as the app (getCalendarAccessError)
+ * and honours their calendar layer preferences.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { buildCalendarFeed } = require('../utils/icalFeed');
+const { getCalendarAccessError } = require('../utils/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How far back one-off events are published
+ */
+const FEED_PAST_DAYS = 90;
+
+/**
+ * How far ahead one-off events and recurring series are published
+ */
+const FEED_FUTURE_DAYS = 2 * 365;
+
+/**
+ * Build the public URL for a feed token
+ * @param {string} token - Feed token
+ * @returns {string} Feed URL
+ */
+function buildFeedUrl(token) {
+  return `${process.env.API_BASE_URL || 'http://localhost:3000'}/calendar-feeds/${token}.ics`;
+}
+
+/**
+ * Generate a unique feed token
+ * @returns {Promise<string>} 64-character hex token
+ */
+async function generateUniqueFeedToken() {
+  let token;
+  let exists = true;
+
+  while (exists) {
+    token = crypto.randomBytes(32).toString('hex'); // 64 chars
+    const existing = await prisma.calendarFeedToken.findUnique({
+      where: { token: token },
+    });
+    exists = !!existing;
+  }
+
+  return token;
+}
+
+/**
+ * Load the requester's membership and check they can see the calendar
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { error: { status, body } } or { membership }
+ */
+async function getCalendarMembership(groupId, userId) {
+  const membership = await prisma.groupMember.findUnique({
+    where: {
+      groupId_userId: {
+        groupId: groupId,
+        userId: userId,
+      },
+    },
+  });
+
+  if (!membership || !membership.isRegistered) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  const settings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: { calendarVisibleToAdmins: true },
+  });
+
+  const accessError = getCalendarAccessError(membership, settings);
+  if (accessError) {
+    return { error: { status: 403, body: { success: false, message: accessError } } };
+  }
+
+  return { membership };
+}
+
+/**
+ * Format a feed token for API responses
+ * @param {Object} feedToken - CalendarFeedToken record
+ * @returns {Object} Feed details
+ */
+function formatFeed(feedToken) {
+  return {
+    feedTokenId: feedToken.feedTokenId,
+    feedUrl: buildFeedUrl(feedToken.token),
+    createdAt: feedToken.createdAt,
+    lastAccessedAt: feedToken.lastAccessedAt,
+  };
+}
+
+/**
+ * Get the user's calendar feed URL for a group
+ * GET /groups/:groupId/calendar/feed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCalendarFeedUrl(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+
+    const access = await getCalendarMembership(groupId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const feedToken = await prisma.calendarFeedToken.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+        revokedAt: null,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      feed: feedToken ? formatFeed(feedToken) : null,
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create (or replace) the user's calendar feed URL for a group
+ * POST /groups/:groupId/calendar/feed
+ *
+ * Any existing feed URL stops working.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createCalendarFeed(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+
+    const access = await getCalendarMembership(groupId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+    const { membership } = access;
+
+    const token = await generateUniqueFeedToken();
+
+    const feedToken = await prisma.$transaction(async (tx) => {
+      const revoked = await tx.calendarFeedToken.updateMany({
+        where: {
+          groupId: groupId,
+          userId: userId,
+          revokedAt: null,
+        },
+        data: { revokedAt: new Date() },
+      });
+
+      const created = await tx.calendarFeedToken.create({
+        data: {
+          groupId: groupId,
+          userId: userId,
+          token: token,
+        },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: revoked.count > 0 ? 'reset_calendar_feed' : 'create_calendar_feed',
+          actionLocation: 'calendar',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          messageContent: revoked.count > 0
+            ? 'Reset calendar feed URL (previous URL revoked)'
+            : 'Created calendar feed URL',
+          logData: {
+            feedTokenId: created.feedTokenId,
+            revokedCount: revoked.count,
+          },
+        },
+      });
+
+      return created;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Calendar feed URL created',
+      feed: formatFeed(feedToken),
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Revoke the user's calendar feed URL for a group
+ * DELETE /groups/:groupId/calendar/feed
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function revokeCalendarFeed(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+
+    // Members who have lost calendar access can still turn their feed off
+    const membership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const revoked = await prisma.calendarFeedToken.updateMany({
+      where: {
+        groupId: groupId,
+        userId: userId,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (revoked.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active calendar feed found',
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'revoke_calendar_feed',
+        actionLocation: 'calendar',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        messageContent: 'Revoked calendar feed URL',
+        logData: {
+          revokedCount: revoked.count,
+        },
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL revoked',
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Serve a calendar feed (public - the token is the credential)
+ * GET /calendar-feeds/:token.ics
+ *
+ * Access is re-checked on every request, so a feed stops returning events as
+ * soon as the member leaves the group or loses calendar visibility.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCalendarFeed(req, res) {
+  try {
+    const { token } = req.params;
+
+    const feedToken = await prisma.calendarFeedToken.findUnique({
+      where: { token: token },
+      include: {
+        group: {
+          select: {
+            name: true,
+          },
+        },
+      },
+    });
+
+    if (!feedToken || feedToken.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    const access = await getCalendarMembership(feedToken.groupId, feedToken.userId);
+    if (access.error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    const now = Date.now();
+    const windowStart = new Date(now - FEED_PAST_DAYS * DAY_MS);
+    const windowEnd = new Date(now + FEED_FUTURE_DAYS * DAY_MS);
+
+    const memberSelect = {
+      select: {
+        groupMemberId: true,
+        displayName: true,
+        user: {
+          select: {
+            displayName: true,
+          },
+        },
+      },
+    };
+
+    const [events, layerPreferences] = await Promise.all([
+      prisma.calendarEvent.findMany({
+        where: {
+          groupId: feedToken.groupId,
+          OR: [
+            {
+              isRecurring: false,
+              startTime: { lte: windowEnd },
+              endTime: { gte: windowStart },
+            },
+            {
+              isRecurring: true,
+              startTime: { lte: windowEnd },
+              OR: [
+                { recurrenceEndDate: null },
+                { recurrenceEndDate: { gte: windowStart } },
+              ],
+            },
+          ],
+        },
+        include: {
+          attendees: {
+            select: {
+              groupMemberId: true,
+            },
+          },
+          responsibilityEvents: {
+            include: {
+              child: memberSelect,
+              startResponsibleMember: memberSelect,
+              endResponsibleMember: memberSelect,
+            },
+          },
+          exceptionDates: { select: { recurrenceId: true } },
+          childEvents: { select: { eventId: true, recurrenceId: true } },
+        },
+        orderBy: {
+          startTime: 'asc',
+        },
+      }),
+      prisma.calendarLayerPreference.findMany({
+        where: {
+          groupId: feedToken.groupId,
+          userId: feedToken.userId,
+        },
+        select: {
+          memberLayerId: true,
+          isVisible: true,
+        },
+      }),
+    ]);
+
+    const ics = buildCalendarFeed({
+      calendarName: feedToken.group?.name || 'Family Helper',
+      events,
+      layerPreferences,
+    });
+
+    await prisma.calendarFeedToken.update({
+      where: { feedTokenId: feedToken.feedTokenId },
+      data: { lastAccessedAt: new Date() },
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate calendar feed',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getCalendarFeedUrl,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+};
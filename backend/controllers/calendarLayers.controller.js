@@ -7,6 +7,7 @@
  */
 
 const { prisma } = require('../config/database');
+const { expandEvent, parseOccurrenceId } = require('../utils/recurrence');
 
 /**
  * Get calendar layers for a group
@@ -231,6 +232,9 @@ async function updateLayerPreference(req, res) {
  * - Event starts within the reminder window (default: 30 minutes)
  * - User hasn't been reminded for this event yet
  *
+ * Recurring events are expanded, so each occurrence in the window is returned
+ * with its own occurrenceId (eventId_YYYYMMDDTHHMMSSZ) to pass to mark-reminded.
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -282,16 +286,24 @@ async function checkCalendarReminders(req, res) {
     const now = new Date();
     const windowEnd = new Date(now.getTime() + reminderWindowMinutes * 60 * 1000);
 
-    // Get upcoming events in the reminder window
-    const upcomingEvents = await prisma.calendarEvent.findMany({
+    // Get upcoming events in the reminder window, and recurring series still running
+    const events = await prisma.calendarEvent.findMany({
       where: {
         groupId: groupId,
-        startTime: {
-          gte: now,
-          lte: windowEnd,
-        },
+        OR: [
+          { isRecurring: false, startTime: { gte: now, lte: windowEnd } },
+          {
+            isRecurring: true,
+            OR: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { gte: now } },
+            ],
+          },
+        ],
       },
       include: {
+        exceptionDates: { select: { recurrenceId: true } },
+        childEvents: { select: { recurrenceId: true } },
         attendees: {
           include: {
             groupMember: {
@@ -329,23 +341,28 @@ async function checkCalendarReminders(req, res) {
       },
     });
 
-    // Get events the user has already been reminded about
+    // Expand recurring series into the occurrences starting in the window
+    const upcomingEvents = events
+      .flatMap(event => expandEvent(event, now, windowEnd))
+      .filter(event => event.startTime >= now && event.startTime <= windowEnd);
+
+    // Get occurrences the user has already been reminded about
     const remindedEvents = await prisma.calendarEventReminder.findMany({
       where: {
         userId: userId,
-        eventId: {
-          in: upcomingEvents.map(e => e.eventId),
+        occurrenceId: {
+          in: upcomingEvents.map(e => e.occurrenceId),
         },
       },
     });
-    const remindedEventIds = new Set(remindedEvents.map(r => r.eventId));
+    const remindedOccurrenceIds = new Set(remindedEvents.map(r => r.occurrenceId));
 
     // Filter events that need reminders
     const eventsNeedingReminders = [];
 
     for (const event of upcomingEvents) {
       // Skip if already reminded
-      if (remindedEventIds.has(event.eventId)) {
+      if (remindedOccurrenceIds.has(event.occurrenceId)) {
         continue;
       }
 
@@ -398,6 +415,7 @@ async function checkCalendarReminders(req, res) {
       if (shouldNotify) {
         eventsNeedingReminders.push({
           eventId: event.eventId,
+          occurrenceId: event.occurrenceId,
           title: event.title,
           description: event.description,
           startTime: event.startTime,
@@ -426,7 +444,9 @@ async function checkCalendarReminders(req, res) {
  * Mark events as reminded
  * POST /groups/:groupId/calendar/mark-reminded
  *
- * Records that the user has been reminded about specific events.
+ * Records that the user has been reminded about specific events. Takes the
+ * occurrenceIds returned by check-reminders, so each occurrence of a recurring
+ * event is reminded once; a plain eventId is the occurrence ID of a one-off event.
  *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
@@ -435,7 +455,7 @@ async function markEventsReminded(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId } = req.params;
-    const { eventIds } = req.body;
+    const { occurrenceIds } = req.body;
 
     if (!userId) {
       return res.status(401).json({
@@ -444,10 +464,10 @@ async function markEventsReminded(req, res) {
       });
     }
 
-    if (!eventIds || !Array.isArray(eventIds) || eventIds.length === 0) {
+    if (!occurrenceIds || !Array.isArray(occurrenceIds) || occurrenceIds.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'eventIds array is required',
+        message: 'occurrenceIds array is required',
       });
     }
 
@@ -468,10 +488,26 @@ async function markEventsReminded(req, res) {
       });
     }
 
+    // Only keep occurrences of events in this group
+    const occurrences = occurrenceIds.map(occurrenceId => ({
+      occurrenceId,
+      eventId: parseOccurrenceId(occurrenceId).eventId,
+    }));
+    const groupEvents = await prisma.calendarEvent.findMany({
+      where: {
+        groupId: groupId,
+        eventId: { in: occurrences.map(o => o.eventId) },
+      },
+      select: { eventId: true },
+    });
+    const groupEventIds = new Set(groupEvents.map(e => e.eventId));
+    const groupOccurrences = occurrences.filter(o => groupEventIds.has(o.eventId));
+
     // Create reminder records (skip duplicates)
     await prisma.calendarEventReminder.createMany({
-      data: eventIds.map(eventId => ({
-        eventId,
+      data: groupOccurrences.map(occurrence => ({
+        eventId: occurrence.eventId,
+        occurrenceId: occurrence.occurrenceId,
         userId,
       })),
       skipDuplicates: true,
@@ -479,7 +515,7 @@ async function markEventsReminded(req, res) {
 
     return res.status(200).json({
       success: true,
-      message: `Marked ${eventIds.length} events as reminded`,
+      message: `Marked ${groupOccurrences.length} events as reminded`,
     });
   } catch (error) {
     console.error('Error marking events as reminded:', error);
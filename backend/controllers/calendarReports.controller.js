@@ -0,0 +1,256 @@
+/**
+ * Calendar Reports Controller
+ *
+ * Custody time-share reports built from child responsibility events:
+ * per-child nights, hours and percentages for each responsible party
+ * over a date range, as JSON or as a PDF export.
+ */
+
+const { prisma } = require('../config/database');
+const pdfService = require('../services/pdf.service');
+const { isValidTimeZone, parseReportDate, computeTimeShare } = require('../utils/timeShare');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default report range when no start date is given (days before the end date)
+ */
+const DEFAULT_REPORT_DAYS = 365;
+
+/**
+ * Longest range a single report may cover
+ */
+const MAX_REPORT_DAYS = 5 * 365;
+
+/**
+ * Validate the request and compute the time-share report
+ *
+ * Query: from, to (dates 'YYYY-MM-DD' are whole local days, to inclusive; or ISO date-times),
+ * childIds (comma-separated, default all children), timeZone (IANA, default 'UTC').
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, group, from, to, timeZone, children }
+ */
+async function buildTimeShareReport(req) {
+  const { groupId } = req.params;
+  const timeZone = req.query.timeZone || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    return { error: { status: 400, body: { success: false, message: 'Invalid timeZone' } } };
+  }
+
+  const to = req.query.to ? parseReportDate(req.query.to, timeZone, true) : new Date();
+  const from = req.query.from
+    ? parseReportDate(req.query.from, timeZone)
+    : to && new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+
+  if (!from || !to) {
+    return { error: { status: 400, body: { success: false, message: 'Invalid from or to date' } } };
+  }
+
+  if (to <= from) {
+    return { error: { status: 400, body: { success: false, message: 'The end date must be after the start date' } } };
+  }
+
+  if (to.getTime() - from.getTime() > MAX_REPORT_DAYS * DAY_MS) {
+    return { error: { status: 400, body: { success: false, message: `Reports can cover at most ${MAX_REPORT_DAYS} days` } } };
+  }
+
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  if (membership.role === 'child') {
+    return { error: { status: 403, body: { success: false, message: 'Children cannot view custody reports' } } };
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { name: true },
+  });
+
+  const requestedChildIds = req.query.childIds
+    ? String(req.query.childIds).split(',').map(id => id.trim()).filter(Boolean)
+    : null;
+
+  const childMembers = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      role: 'child',
+      ...(requestedChildIds ? { groupMemberId: { in: requestedChildIds } } : {}),
+    },
+    select: {
+      groupMemberId: true,
+      displayName: true,
+      user: {
+        select: {
+          displayName: true,
+        },
+      },
+    },
+    orderBy: { displayName: 'asc' },
+  });
+
+  const children = childMembers.map(child => ({
+    groupMemberId: child.groupMemberId,
+    displayName: child.user?.displayName || child.displayName,
+  }));
+
+  // Responsibility events that could have an occurrence in the range
+  const responsibilityEvents = await prisma.childResponsibilityEvent.findMany({
+    where: {
+      childId: { in: children.map(child => child.groupMemberId) },
+      event: {
+        groupId: groupId,
+        OR: [
+          {
+            isRecurring: false,
+            startTime: { lt: to },
+            endTime: { gt: from },
+          },
+          {
+            isRecurring: true,
+            startTime: { lt: to },
+            OR: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { gte: from } },
+            ],
+          },
+        ],
+      },
+    },
+    include: {
+      event: {
+        include: {
+          exceptionDates: { select: { recurrenceId: true } },
+          childEvents: { select: { recurrenceId: true } },
+        },
+      },
+      startResponsibleMember: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          user: {
+            select: {
+              displayName: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  return {
+    membership,
+    group,
+    from,
+    to,
+    timeZone,
+    children: computeTimeShare(children, responsibilityEvents, { from, to, timeZone }),
+  };
+}
+
+/**
+ * Get the custody time-share report
+ * GET /groups/:groupId/calendar/reports/time-share
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getTimeShareReport(req, res) {
+  try {
+    const report = await buildTimeShareReport(req);
+    if (report.error) {
+      return res.status(report.error.status).json(report.error.body);
+    }
+
+    return res.status(200).json({
+      success: true,
+      report: {
+        from: report.from,
+        to: report.to,
+        timeZone: report.timeZone,
+        children: report.children,
+      },
+    });
+
+  } catch (err) {
+    console.error('Get time-share report error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate time-share report',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Export the custody time-share report as a PDF
+ * GET /groups/:groupId/calendar/reports/time-share/pdf
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function exportTimeShareReportPDF(req, res) {
+  try {
+    const report = await buildTimeShareReport(req);
+    if (report.error) {
+      return res.status(report.error.status).json(report.error.body);
+    }
+
+    const groupName = report.group?.name || 'Group';
+    const pdfBuffer = pdfService.generateTimeShareReportPDF({
+      groupName,
+      dateFrom: report.from,
+      dateTo: report.to,
+      timeZone: report.timeZone,
+      children: report.children,
+      createdAt: new Date(),
+    });
+
+    const fileName = `TimeShare_${groupName.replace(/[^a-zA-Z0-9]/g, '_')}_${report.from.toISOString().split('T')[0]}.pdf`;
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: req.params.groupId,
+        action: 'export_time_share_report',
+        actionLocation: 'calendar',
+        performedBy: report.membership.groupMemberId,
+        performedByName: report.membership.displayName,
+        performedByEmail: report.membership.email || 'N/A',
+        messageContent: `Exported custody time-share report for ${report.children.length} child(ren) from ${report.from.toISOString()} to ${report.to.toISOString()}`,
+        logData: {
+          from: report.from,
+          to: report.to,
+          timeZone: report.timeZone,
+          childIds: report.children.map(childReport => childReport.child.groupMemberId),
+        },
+      },
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+
+  } catch (err) {
+    console.error('Export time-share report error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export time-share report',
+      error: err.message,
+    });
+  }
+}
+
+module.exports = {
+  getTimeShareReport,
+  exportTimeShareReportPDF,
+};
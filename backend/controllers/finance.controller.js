@@ -6,9 +6,18 @@
 
 const { prisma } = require('../config/database');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
-const { emailService } = require('../services/email');
-const emailTemplates = require('../services/email/templates');
-const pushNotificationService = require('../services/pushNotification.service');
+const { notifyFinanceMatterAdded } = require('../services/financeNotifications.service');
+const { applyConfirmedPayment, autoSettleIfPaid } = require('../services/financePayments.service');
+const { FINANCE_RELATIVE_TYPES, getChildRelativeIds } = require('../services/familyRelationships.service');
+const {
+  toCents,
+  calculateMemberBalances,
+  calculateSettlements,
+  isFullyPaid,
+  splitEvenly,
+  canReviewPayment,
+} = require('../utils/financeBalances');
+const { isFinanceMatterOverdue } = require('../utils/financeReminders');
 
 /**
  * Get all finance matters for a group
@@ -18,6 +27,8 @@ const pushNotificationService = require('../services/pushNotification.service');
  * - Only finance matters where user is a member OR
  * - Finance matters visible based on role permissions
  *
+ * Each matter has isOverdue: its due date has passed and it is still open.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
@@ -126,6 +137,16 @@ async function getFinanceMatters(req, res) {
             },
           },
         },
+        category: {
+          select: { categoryId: true, name: true },
+        },
+        children: {
+          include: {
+            child: {
+              select: { groupMemberId: true, displayName: true },
+            },
+          },
+        },
         creator: {
           select: {
             groupMemberId: true,
@@ -150,8 +171,10 @@ async function getFinanceMatters(req, res) {
     });
 
     // Merge user profile data with group member data for each member
+    const now = new Date();
     const formattedFinanceMatters = financeMatters.map((matter) => ({
       ...matter,
+      isOverdue: isFinanceMatterOverdue(matter, now),
       members: matter.members.map((member) => ({
         ...member,
         groupMember: {
@@ -189,6 +212,48 @@ async function getFinanceMatters(req, res) {
   }
 }
 
+/**
+ * Check a finance matter's category and children belong to the group
+ * @param {string} groupId - Group ID
+ * @param {string|null} categoryId - FinanceCategory ID
+ * @param {Array<string>} childIds - Group member IDs of the children the matter is for
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateCategoryAndChildren(groupId, categoryId, childIds) {
+  if (categoryId) {
+    const category = await prisma.financeCategory.findFirst({
+      where: {
+        categoryId: categoryId,
+        groupId: groupId,
+      },
+    });
+
+    if (!category) {
+      return 'Category not found in this group';
+    }
+  }
+
+  if (!Array.isArray(childIds)) {
+    return 'childIds must be an array';
+  }
+
+  if (childIds.length > 0) {
+    const children = await prisma.groupMember.count({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: childIds },
+        role: 'child',
+      },
+    });
+
+    if (children !== new Set(childIds).size || children !== childIds.length) {
+      return 'One or more child IDs are invalid or not children in this group';
+    }
+  }
+
+  return null;
+}
+
 /**
  * Create a new finance matter
  *
@@ -198,7 +263,13 @@ async function getFinanceMatters(req, res) {
  * - totalAmount: number (required)
  * - currency: string (required, 3-letter currency code)
  * - dueDate: ISO date string (optional)
- * - members: array of objects with groupMemberId, expectedPercentage, expectedAmount
+ * - members: array of objects with groupMemberId, expectedPercentage, expectedAmount,
+ *   and optionally paidAmount (what the member has already paid towards the matter)
+ * - categoryId: FinanceCategory ID (optional)
+ * - childIds: group member IDs of the children the expense is for (optional). When
+ *   members is left out, it is split evenly between these children's recorded parents
+ *
+ * The matter is created settled if every member has already paid their share.
  *
  * Permissions:
  * - Admins can always create
@@ -212,13 +283,15 @@ async function createFinanceMatter(req, res) {
   try {
     const { groupId } = req.params;
     const userId = req.user.userId;
-    const { name, description, totalAmount, currency, dueDate, members } = req.body;
+    const { name, description, totalAmount, currency, dueDate, categoryId, childIds = [] } = req.body;
+    let { members } = req.body;
+    const defaultMembers = (!members || members.length === 0) && Array.isArray(childIds) && childIds.length > 0;
 
-    // Validate required fields
-    if (!name || !totalAmount || !currency || !members || members.length === 0) {
+    // Validate required fields (members can be left out for a child's expense)
+    if (!name || !totalAmount || !currency || (!defaultMembers && (!members || members.length === 0))) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: name, totalAmount, currency, and at least one member',
+        message: 'Missing required fields: name, totalAmount, currency, and at least one member (or childIds)',
       });
     }
 
@@ -238,6 +311,20 @@ async function createFinanceMatter(req, res) {
       });
     }
 
+    // Without members, a child's expense is split evenly between the children's recorded parents
+    if (defaultMembers) {
+      const parentIds = await getChildRelativeIds(groupId, childIds, FINANCE_RELATIVE_TYPES);
+
+      if (parentIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No parents are recorded for these children; choose the members to split with',
+        });
+      }
+
+      members = splitEvenly(parentIds, totalAmount);
+    }
+
     // Validate member allocations are between 99% and 100% (not above 100%)
     const totalPercentage = members.reduce((sum, member) => {
       return sum + parseFloat(member.expectedPercentage || 0);
@@ -257,26 +344,27 @@ async function createFinanceMatter(req, res) {
       });
     }
 
-    // TEMPORARY: For now, require all finance matters to be fully paid upfront
-    // This prevents creating finance matters with outstanding balances
-    const totalPaid = members.reduce((sum, member) => {
-      return sum + parseFloat(member.paidAmount || 0);
-    }, 0);
+    // Members can have paid some, all or none of their share up front
+    const invalidPaidAmount = members.some((member) => {
+      const paidAmount = parseFloat(member.paidAmount || 0);
+      return isNaN(paidAmount) || paidAmount < 0;
+    });
 
-    if (totalPaid > parseFloat(totalAmount)) {
+    if (invalidPaidAmount) {
       return res.status(400).json({
         success: false,
-        message: `Total paid amounts (${currency} ${totalPaid.toFixed(2)}) cannot exceed the total amount (${currency} ${parseFloat(totalAmount).toFixed(2)})`,
+        message: 'Paid amounts must be 0 or more',
       });
     }
 
-    // TEMPORARY RESTRICTION: Require finance matters to be 100% paid upfront
-    // Allow small tolerance (0.01) for rounding errors
-    const tolerance = 0.01;
-    if (Math.abs(totalPaid - parseFloat(totalAmount)) > tolerance) {
+    const totalPaid = members.reduce((sum, member) => {
+      return sum + parseFloat(member.paidAmount || 0);
+    }, 0);
+
+    if (totalPaid > parseFloat(totalAmount)) {
       return res.status(400).json({
         success: false,
-        message: `Currently, finance matters must be fully paid when created. Total paid (${currency} ${totalPaid.toFixed(2)}) must equal total amount (${currency} ${parseFloat(totalAmount).toFixed(2)}). This restriction is temporary.`,
+        message: `Total paid amounts (${currency} ${totalPaid.toFixed(2)}) cannot exceed the total amount (${currency} ${parseFloat(totalAmount).toFixed(2)})`,
       });
     }
 
@@ -413,8 +501,19 @@ async function createFinanceMatter(req, res) {
       });
     }
 
+    const categoryError = await validateCategoryAndChildren(groupId, categoryId, childIds);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError,
+      });
+    }
+
     // Create finance matter with members in a transaction
     const financeMatter = await prisma.$transaction(async (tx) => {
+      // A matter where everyone has already paid their share starts settled
+      const fullyPaid = isFullyPaid(calculateMemberBalances(members));
+
       // Create finance matter
       const matter = await tx.financeMatter.create({
         data: {
@@ -425,6 +524,12 @@ async function createFinanceMatter(req, res) {
           currency: currency.toUpperCase(),
           dueDate: dueDate ? new Date(dueDate) : null,
           createdBy: groupMembership.groupMemberId,
+          isSettled: fullyPaid,
+          settledAt: fullyPaid ? new Date() : null,
+          categoryId: categoryId || null,
+          children: {
+            create: childIds.map(childId => ({ groupMemberId: childId })),
+          },
         },
       });
 
@@ -481,6 +586,16 @@ async function createFinanceMatter(req, res) {
             },
           },
         },
+        category: {
+          select: { categoryId: true, name: true },
+        },
+        children: {
+          include: {
+            child: {
+              select: { groupMemberId: true, displayName: true },
+            },
+          },
+        },
         creator: {
           select: {
             groupMemberId: true,
@@ -526,92 +641,16 @@ async function createFinanceMatter(req, res) {
       },
     };
 
-    // Send email notifications to all members with email addresses (excluding the creator)
-    // This includes both registered users AND placeholder members (who haven't logged in yet)
-    try {
-      const appUrl = process.env.APP_URL || 'https://familyhelperapp.com';
-      const creatorDisplayName = groupMembership.displayName;
-
-      // Get all members (excluding the creator) with their email addresses
-      const otherMemberIds = memberIds.filter(id => id !== groupMembership.groupMemberId);
-
-      if (otherMemberIds.length === 0) {
-        console.log('[Finance] No other members to notify (only creator is a member)');
-      } else {
-        const membersToNotify = await prisma.groupMember.findMany({
-          where: {
-            groupMemberId: { in: otherMemberIds },
-            email: { not: null }, // Must have an email address
-          },
-          include: {
-            user: {
-              select: {
-                email: true,
-                displayName: true,
-              },
-            },
-          },
-        });
-
-        if (membersToNotify.length === 0) {
-          console.log('[Finance] No members with email addresses to notify');
-        } else {
-          console.log(`[Finance] Sending notifications to ${membersToNotify.length} member(s)`);
-
-          // Format amount with currency
-          const formattedAmount = `${currency.toUpperCase()} ${parseFloat(totalAmount).toFixed(2)}`;
-
-          for (const member of membersToNotify) {
-            // Use user email if registered, otherwise use the GroupMember email
-            const recipientEmail = member.user?.email || member.email;
-            const recipientName = member.user?.displayName || member.displayName;
-
-            if (recipientEmail) {
-              try {
-                const emailContent = emailTemplates.finance_matter_added({
-                  recipientName: recipientName,
-                  groupName: group.name,
-                  matterTitle: name.trim(),
-                  matterType: 'Shared Expense',
-                  amount: formattedAmount,
-                  createdBy: creatorDisplayName,
-                  appUrl: appUrl,
-                });
-                await emailService.sendEmail({
-                  to: recipientEmail,
-                  subject: emailContent.subject,
-                  text: emailContent.text,
-                  html: emailContent.html,
-                });
-                console.log(`[Finance] Notification email sent to ${recipientEmail}`);
-              } catch (emailError) {
-                // Don't fail the request if email fails
-                console.error(`[Finance] Failed to send email to ${recipientEmail}:`, emailError.message);
-              }
-            }
-          }
-        }
-      }
-    } catch (emailError) {
-      console.error('[Finance] Error sending notification emails:', emailError.message);
-    }
-
-    // Send push notifications to members (excluding creator) - fire and forget
-    const otherMemberIds = memberIds.filter(id => id !== groupMembership.groupMemberId);
-    if (otherMemberIds.length > 0) {
-      const formattedAmount = `${currency.toUpperCase()} ${parseFloat(totalAmount).toFixed(2)}`;
-      pushNotificationService.sendToGroupMembersWithPreferences(
-        otherMemberIds,
-        'finance',
-        `New Finance: ${name.trim()}`,
-        `${groupMembership.displayName} added a ${formattedAmount} expense`,
-        {
-          type: 'new_finance_matter',
-          groupId: groupId,
-          financeMatterId: financeMatter.financeMatterId,
-        }
-      ).catch(err => console.error('[Finance] Failed to send push notifications:', err));
-    }
+    await notifyFinanceMatterAdded({
+      groupId: groupId,
+      groupName: group.name,
+      financeMatterId: financeMatter.financeMatterId,
+      name: name.trim(),
+      totalAmount: totalAmount,
+      currency: currency,
+      memberIds: memberIds,
+      creator: groupMembership,
+    });
 
     return res.status(201).json({
       success: true,
@@ -631,6 +670,10 @@ async function createFinanceMatter(req, res) {
 /**
  * Get a single finance matter by ID
  *
+ * Also returns pending payments, each member's outstanding balance and who
+ * owes whom (settlements; toMemberId is null for amounts still owed towards
+ * the matter itself).
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
@@ -717,6 +760,16 @@ async function getFinanceMatterById(req, res) {
             },
           },
         },
+        category: {
+          select: { categoryId: true, name: true },
+        },
+        children: {
+          include: {
+            child: {
+              select: { groupMemberId: true, displayName: true },
+            },
+          },
+        },
         creator: {
           select: {
             groupMemberId: true,
@@ -767,6 +820,7 @@ async function getFinanceMatterById(req, res) {
       where: {
         financeMatterId: financeMatterId,
         isConfirmed: false,
+        isRejected: false,
       },
       include: {
         fromMember: {
@@ -813,6 +867,7 @@ async function getFinanceMatterById(req, res) {
       amount: parseFloat(payment.amount),
       reportedAt: payment.reportedAt,
       receiptImageUrl: payment.receiptImageUrl,
+      settlementId: payment.settlementId,
       from: {
         groupMemberId: payment.fromMember.groupMemberId,
         displayName: payment.fromMember.user?.displayName || payment.fromMember.displayName,
@@ -822,7 +877,8 @@ async function getFinanceMatterById(req, res) {
           ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${payment.fromMember.user.profilePhotoFileId}`
           : null,
       },
-      to: {
+      // Payments made towards the matter itself have no recipient
+      to: payment.toMember ? {
         groupMemberId: payment.toMember.groupMemberId,
         displayName: payment.toMember.user?.displayName || payment.toMember.displayName,
         iconLetters: payment.toMember.user?.memberIcon || payment.toMember.iconLetters,
@@ -830,12 +886,19 @@ async function getFinanceMatterById(req, res) {
         profilePhotoUrl: payment.toMember.user?.profilePhotoFileId
           ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${payment.toMember.user.profilePhotoFileId}`
           : null,
-      },
+      } : null,
     }));
 
+    // Outstanding shares and who owes whom
+    const balances = calculateMemberBalances(financeMatter.members, pendingPayments);
+    const settlements = financeMatter.isSettled || financeMatter.isCanceled
+      ? []
+      : calculateSettlements(balances);
+
     // Merge user profile data
     const formattedFinanceMatter = {
       ...financeMatter,
+      isOverdue: isFinanceMatterOverdue(financeMatter),
       members: financeMatter.members.map((member) => ({
         ...member,
         groupMember: {
@@ -863,6 +926,8 @@ async function getFinanceMatterById(req, res) {
       userRole: userRole,
       currentGroupMemberId: groupMembership.groupMemberId,
       pendingPayments: formattedPendingPayments,
+      balances: balances,
+      settlements: settlements,
     });
   } catch (error) {
     console.error('Get finance matter by ID error:', error);
@@ -1316,6 +1381,10 @@ async function sendFinanceMatterMessage(req, res) {
 
 /**
  * PUT /groups/:groupId/finance-matters/:financeMatterId/record-payment
+ * Report a payment (awaiting confirmation)
+ *
+ * toMemberId is the member being paid back. Leave it out for a payment made
+ * towards the matter itself (e.g. paying the bill directly).
  */
 async function recordPayment(req, res) {
   try {
@@ -1338,10 +1407,10 @@ async function recordPayment(req, res) {
       });
     }
 
-    if (!toMemberId) {
+    if (toMemberId && toMemberId === groupMemberId) {
       return res.status(400).json({
         success: false,
-        message: 'Payment recipient (toMemberId) is required',
+        message: 'A member cannot pay themselves',
       });
     }
 
@@ -1399,6 +1468,13 @@ async function recordPayment(req, res) {
       });
     }
 
+    if (financeMatter.isCanceled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record payment for a canceled finance matter',
+      });
+    }
+
     // Check if user has permission to access finance section at all
     const userRole = groupMembership.role;
     const isAdmin = userRole === 'admin';
@@ -1467,42 +1543,75 @@ async function recordPayment(req, res) {
     }
 
     // Find the recipient member
-    const recipientMember = financeMatter.members.find(
-      (m) => m.groupMemberId === toMemberId
-    );
+    const recipientMember = toMemberId
+      ? financeMatter.members.find((m) => m.groupMemberId === toMemberId)
+      : null;
 
-    if (!recipientMember) {
+    if (toMemberId && !recipientMember) {
       return res.status(404).json({
         success: false,
         message: 'Payment recipient not found in this finance matter',
       });
     }
 
-    // Calculate current debt (what they should have paid so far)
-    const paymentAmount = parseFloat(amount);
-    const expectedAmount = parseFloat(financeMatterMember.expectedAmount);
-    const currentPaid = parseFloat(financeMatterMember.paidAmount);
-    const remainingDebt = expectedAmount - currentPaid;
+    // Work out what is still outstanding, counting payments awaiting confirmation
+    const pendingPayments = await prisma.financePayment.findMany({
+      where: {
+        financeMatterId: financeMatterId,
+        isConfirmed: false,
+        isRejected: false,
+      },
+    });
+
+    const balances = calculateMemberBalances(financeMatter.members, pendingPayments);
+    const payerBalance = balances.find((b) => b.groupMemberId === groupMemberId);
+    const paymentAmount = toCents(amount) / 100;
+    const maxPayment = Math.max(
+      Math.round((payerBalance.remainingAmount - payerBalance.pendingAmount) * 100) / 100,
+      0
+    );
 
-    // Check if payment would exceed remaining debt
-    if (paymentAmount > remainingDebt + 0.01) { // Allow small rounding error
+    if (paymentAmount > maxPayment) {
       return res.status(400).json({
         success: false,
-        message: `Payment would exceed remaining debt. Maximum payment: ${remainingDebt.toFixed(2)}`,
+        message: `Payment would exceed remaining debt. Maximum payment: ${maxPayment.toFixed(2)}`,
       });
     }
 
+    // A member can only be paid back what they paid over their share
+    if (recipientMember) {
+      const recipientBalance = balances.find((b) => b.groupMemberId === toMemberId);
+      const pendingToRecipient = pendingPayments
+        .filter((p) => p.toMemberId === toMemberId)
+        .reduce((sum, p) => sum + parseFloat(p.amount), 0);
+      const maxToRecipient = Math.max(
+        Math.round((recipientBalance.creditAmount - pendingToRecipient) * 100) / 100,
+        0
+      );
+
+      if (paymentAmount > maxToRecipient) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment would exceed what ${recipientMember.groupMember.displayName} is owed. Maximum payment: ${maxToRecipient.toFixed(2)}`,
+        });
+      }
+    }
+
     // Create pending FinancePayment record (awaiting confirmation)
     const financePayment = await prisma.financePayment.create({
       data: {
         financeMatterId: financeMatterId,
         fromMemberId: groupMemberId,
-        toMemberId: toMemberId,
+        toMemberId: toMemberId || null,
         amount: paymentAmount,
         isConfirmed: false,
       },
     });
 
+    const recipientName = recipientMember
+      ? recipientMember.groupMember.displayName
+      : 'the finance matter';
+
     // Create audit log
     await prisma.auditLog.create({
       data: {
@@ -1512,13 +1621,15 @@ async function recordPayment(req, res) {
         performedByName: groupMembership.displayName,
         performedByEmail: groupMembership.email || 'N/A',
         actionLocation: 'finance',
-        messageContent: `Reported payment of ${paymentAmount.toFixed(2)} from ${financeMatterMember.groupMember.displayName} to ${recipientMember.groupMember.displayName} in finance matter "${financeMatter.title}". Awaiting confirmation.`,
+        messageContent: `Reported payment of ${paymentAmount.toFixed(2)} from ${financeMatterMember.groupMember.displayName} to ${recipientName} in finance matter "${financeMatter.name}". Awaiting confirmation.`,
       },
     });
 
     return res.status(200).json({
       success: true,
-      message: 'Payment reported successfully. Awaiting confirmation from recipient.',
+      message: recipientMember
+        ? 'Payment reported successfully. Awaiting confirmation from recipient.'
+        : 'Payment reported successfully. Awaiting confirmation from the matter creator or an admin.',
       payment: {
         paymentId: financePayment.paymentId,
         amount: parseFloat(financePayment.amount),
@@ -1540,7 +1651,9 @@ async function recordPayment(req, res) {
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm
- * Confirm a payment (recipient only)
+ * Confirm a payment (recipient, or the matter creator or an admin for payments towards the matter)
+ *
+ * Auto-settles the finance matter once every member has paid their share.
  */
 async function confirmPayment(req, res) {
   try {
@@ -1632,70 +1745,40 @@ async function confirmPayment(req, res) {
       });
     }
 
-    // Only the recipient can confirm
-    if (payment.toMemberId !== groupMembership.groupMemberId) {
-      return res.status(403).json({
+    if (payment.isRejected) {
+      return res.status(400).json({
         success: false,
-        message: 'Only the payment recipient can confirm this payment',
+        message: 'Payment has already been rejected',
       });
     }
 
-    // Update payment to confirmed and update paidAmount
-    const paymentAmount = parseFloat(payment.amount);
-
-    await prisma.$transaction(async (tx) => {
-      // Mark payment as confirmed
-      await tx.financePayment.update({
-        where: { paymentId: paymentId },
-        data: {
-          isConfirmed: true,
-          confirmedAt: new Date(),
-        },
+    // Payments allocated from a settlement are confirmed or rejected together
+    if (payment.settlementId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment is part of a settlement. Confirm the settlement instead.',
       });
+    }
 
-      // Update the paidAmount for the fromMember (increase)
-      const fromMember = payment.financeMatter.members.find(
-        (m) => m.groupMemberId === payment.fromMemberId
-      );
-
-      if (fromMember) {
-        const currentPaid = parseFloat(fromMember.paidAmount);
-        const newPaidAmount = currentPaid + paymentAmount;
-
-        await tx.financeMatterMember.update({
-          where: {
-            financeMatterId_groupMemberId: {
-              financeMatterId: financeMatterId,
-              groupMemberId: payment.fromMemberId,
-            },
-          },
-          data: {
-            paidAmount: newPaidAmount,
-          },
-        });
-      }
+    // Only the recipient can confirm (the matter creator or an admin for payments towards the matter)
+    if (!canReviewPayment(payment, groupMembership)) {
+      return res.status(403).json({
+        success: false,
+        message: payment.fromMemberId === groupMembership.groupMemberId
+          ? 'You cannot confirm your own payment'
+          : payment.toMemberId
+            ? 'Only the payment recipient can confirm this payment'
+            : 'Only the finance matter creator or an admin can confirm this payment',
+      });
+    }
 
-      // Update the paidAmount for the toMember (decrease)
-      const toMember = payment.financeMatter.members.find(
-        (m) => m.groupMemberId === payment.toMemberId
-      );
+    // Update payment to confirmed and update paidAmount
+    const paymentAmount = parseFloat(payment.amount);
+    const recipientName = payment.toMember ? payment.toMember.displayName : 'the finance matter';
 
-      if (toMember) {
-        const currentPaid = parseFloat(toMember.paidAmount);
-        const newPaidAmount = currentPaid - paymentAmount;
-
-        await tx.financeMatterMember.update({
-          where: {
-            financeMatterId_groupMemberId: {
-              financeMatterId: financeMatterId,
-              groupMemberId: payment.toMemberId,
-            },
-          },
-          data: {
-            paidAmount: newPaidAmount,
-          },
-        });
-      }
+    const autoSettled = await prisma.$transaction(async (tx) => {
+      // Mark payment as confirmed and update paidAmount for both members
+      await applyConfirmedPayment(tx, payment);
 
       // Create audit log for confirmation
       await tx.auditLog.create({
@@ -1706,61 +1789,20 @@ async function confirmPayment(req, res) {
           performedByName: groupMembership.displayName,
           performedByEmail: groupMembership.email || 'N/A',
           actionLocation: 'finance',
-          messageContent: `Confirmed payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember.displayName} in finance matter "${payment.financeMatter.title}".`,
-        },
-      });
-
-      // Check if finance matter should be auto-settled
-      // Get updated member data
-      const updatedMembers = await tx.financeMatterMember.findMany({
-        where: { financeMatterId: financeMatterId },
-      });
-
-      // Check if all members have paid their share
-      const allMembersPaid = updatedMembers.every((member) => {
-        const paid = parseFloat(member.paidAmount);
-        const expected = parseFloat(member.expectedAmount);
-        return paid >= expected - 0.01; // Allow small rounding error
-      });
-
-      // Check if all payments are confirmed
-      const pendingPayments = await tx.financePayment.findMany({
-        where: {
-          financeMatterId: financeMatterId,
-          isConfirmed: false,
+          messageContent: `Confirmed payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${recipientName} in finance matter "${payment.financeMatter.name}".`,
         },
       });
 
-      const allPaymentsConfirmed = pendingPayments.length === 0;
-
-      // Auto-settle if both conditions are met
-      if (allMembersPaid && allPaymentsConfirmed && !payment.financeMatter.isSettled) {
-        await tx.financeMatter.update({
-          where: { financeMatterId: financeMatterId },
-          data: {
-            isSettled: true,
-            settledAt: new Date(),
-          },
-        });
-
-        // Create audit log for auto-settle
-        await tx.auditLog.create({
-          data: {
-            groupId: groupId,
-            action: 'auto_settle',
-            performedBy: groupMembership.groupMemberId,
-            performedByName: groupMembership.displayName,
-            performedByEmail: groupMembership.email || 'N/A',
-            actionLocation: 'finance',
-            messageContent: `Finance matter "${payment.financeMatter.title}" auto-settled after all payments were confirmed.`,
-          },
-        });
-      }
+      // Auto-settle once all members have paid their share and all payments are confirmed
+      return autoSettleIfPaid(tx, payment.financeMatter, groupMembership);
     });
 
     return res.status(200).json({
       success: true,
-      message: 'Payment confirmed successfully',
+      message: autoSettled
+        ? 'Payment confirmed. Everyone has paid their share, so the finance matter is now settled.'
+        : 'Payment confirmed successfully',
+      isSettled: autoSettled,
     });
   } catch (error) {
     console.error('Confirm payment error:', error);
@@ -1774,7 +1816,9 @@ async function confirmPayment(req, res) {
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/reject
- * Reject a payment (recipient only)
+ * Reject a payment (recipient, or the matter creator or an admin for payments towards the matter)
+ *
+ * The payment is kept, marked rejected, so it still shows on finance statements.
  */
 async function rejectPayment(req, res) {
   try {
@@ -1812,7 +1856,8 @@ async function rejectPayment(req, res) {
           select: {
             financeMatterId: true,
             groupId: true,
-            title: true,
+            name: true,
+            createdBy: true,
           },
         },
         fromMember: {
@@ -1859,20 +1904,44 @@ async function rejectPayment(req, res) {
       });
     }
 
-    // Only the recipient can reject
-    if (payment.toMemberId !== groupMembership.groupMemberId) {
+    if (payment.isRejected) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment has already been rejected',
+      });
+    }
+
+    // Payments allocated from a settlement are confirmed or rejected together
+    if (payment.settlementId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment is part of a settlement. Reject the settlement instead.',
+      });
+    }
+
+    // Only the recipient can reject (the matter creator or an admin for payments towards the matter)
+    if (!canReviewPayment(payment, groupMembership)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the payment recipient can reject this payment',
+        message: payment.fromMemberId === groupMembership.groupMemberId
+          ? 'You cannot reject your own payment'
+          : payment.toMemberId
+            ? 'Only the payment recipient can reject this payment'
+            : 'Only the finance matter creator or an admin can reject this payment',
       });
     }
 
     const paymentAmount = parseFloat(payment.amount);
+    const recipientName = payment.toMember ? payment.toMember.displayName : 'the finance matter';
 
     await prisma.$transaction(async (tx) => {
-      // Delete the payment record
-      await tx.financePayment.delete({
+      // Keep the payment record (it appears on finance statements) but stop it counting as pending
+      await tx.financePayment.update({
         where: { paymentId: paymentId },
+        data: {
+          isRejected: true,
+          rejectedAt: new Date(),
+        },
       });
 
       // Create audit log
@@ -1884,7 +1953,7 @@ async function rejectPayment(req, res) {
           performedByName: groupMembership.displayName,
           performedByEmail: groupMembership.email || 'N/A',
           actionLocation: 'finance',
-          messageContent: `Rejected payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${payment.toMember.displayName} in finance matter "${payment.financeMatter.title}".`,
+          messageContent: `Rejected payment of ${paymentAmount.toFixed(2)} from ${payment.fromMember.displayName} to ${recipientName} in finance matter "${payment.financeMatter.name}".`,
         },
       });
     });
@@ -2019,6 +2088,141 @@ async function cancelFinanceMatter(req, res) {
   }
 }
 
+/**
+ * PUT /groups/:groupId/finance-matters/:financeMatterId/category
+ * Set a finance matter's category and the children it was for (admin or creator only)
+ *
+ * Request body:
+ * - categoryId: FinanceCategory ID, or null to clear it
+ * - childIds: group member IDs of the children (replaces the current list)
+ */
+async function updateFinanceMatterCategory(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { groupId, financeMatterId } = req.params;
+    const { categoryId = null, childIds = [] } = req.body;
+
+    // Get user's group membership
+    const groupMembership = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const financeMatter = await prisma.financeMatter.findUnique({
+      where: { financeMatterId: financeMatterId },
+    });
+
+    if (!financeMatter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Finance matter not found',
+      });
+    }
+
+    if (financeMatter.groupId !== groupId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Finance matter does not belong to this group',
+      });
+    }
+
+    // Check if user is admin or creator
+    const isAdmin = groupMembership.role === 'admin';
+    const isCreator = financeMatter.createdBy === groupMembership.groupMemberId;
+
+    if (!isAdmin && !isCreator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins or the creator can change a finance matter\'s category',
+      });
+    }
+
+    // Check if group is in read-only mode (all admins unsubscribed)
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
+
+    const categoryError = await validateCategoryAndChildren(groupId, categoryId, childIds);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError,
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.financeMatterChild.deleteMany({
+        where: { financeMatterId: financeMatterId },
+      });
+
+      const matter = await tx.financeMatter.update({
+        where: { financeMatterId: financeMatterId },
+        data: {
+          categoryId: categoryId,
+          children: {
+            create: childIds.map(childId => ({ groupMemberId: childId })),
+          },
+        },
+        include: {
+          category: {
+            select: { categoryId: true, name: true },
+          },
+          children: {
+            include: {
+              child: {
+                select: { groupMemberId: true, displayName: true },
+              },
+            },
+          },
+        },
+      });
+
+      // Create audit log
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'update_finance_matter_category',
+          performedBy: groupMembership.groupMemberId,
+          performedByName: groupMembership.displayName,
+          performedByEmail: groupMembership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Set category of finance matter "${matter.name}" to ${matter.category ? `"${matter.category.name}"` : 'none'}${matter.children.length > 0 ? ` for ${matter.children.map(c => c.child.displayName).join(', ')}` : ''}.`,
+        },
+      });
+
+      return matter;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Finance matter category updated successfully',
+      category: updated.category,
+      children: updated.children,
+    });
+  } catch (error) {
+    console.error('Update finance matter category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update finance matter category',
+      error: error.message,
+    });
+  }
+}
+
 module.exports = {
   getFinanceMatters,
   createFinanceMatter,
@@ -2030,4 +2234,5 @@ module.exports = {
   confirmPayment,
   rejectPayment,
   cancelFinanceMatter,
+  updateFinanceMatterCategory,
 };
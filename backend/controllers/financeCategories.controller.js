@@ -0,0 +1,595 @@
+/**
+ * Finance Categories Controller
+ *
+ * Group-defined expense categories for finance matters (medical, education,
+ * extracurricular, clothing...), optional annual budgets per category, and a
+ * summary of spending against those budgets per category and per child.
+ *
+ * Anyone who can see the finance section can list categories and view the
+ * summary; only admins manage categories and budgets.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { getFinanceMembership } = require('../services/financeAccess.service');
+const { isValidTimeZone, parseReportDate } = require('../utils/timeShare');
+const { buildBudgetSummary } = require('../utils/financeBudgets');
+
+/**
+ * Check the user is an admin who can change finance settings
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { error: { status, body } } or { membership }
+ */
+async function getAdminMembership(groupId, userId) {
+  const access = await getFinanceMembership(groupId, userId);
+  if (access.error) {
+    return access;
+  }
+
+  if (access.membership.role !== 'admin') {
+    return { error: { status: 403, body: { success: false, message: 'Only admins can manage finance categories and budgets' } } };
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    return { error: { status: 403, body: getReadOnlyErrorResponse(group) } };
+  }
+
+  return access;
+}
+
+/**
+ * Parse a budget year (defaults to the current year)
+ * @param {*} value - Year from the query or body
+ * @returns {number|null} Year, or null if invalid
+ */
+function parseYear(value) {
+  if (value === undefined || value === null || value === '') {
+    return new Date().getFullYear();
+  }
+
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+}
+
+/**
+ * Format a category for responses
+ * @param {Object} category - FinanceCategory with budgets (for one year)
+ * @returns {Object} Category
+ */
+function formatCategory(category) {
+  return {
+    categoryId: category.categoryId,
+    name: category.name,
+    budgets: (category.budgets || []).map(budget => ({
+      year: budget.year,
+      currency: budget.currency,
+      amount: parseFloat(budget.amount),
+    })),
+  };
+}
+
+/**
+ * Get the group's finance categories with their budgets for a year
+ * GET /groups/:groupId/finance/categories?year=2026
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceCategories(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const year = parseYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid year',
+      });
+    }
+
+    const access = await getFinanceMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const categories = await prisma.financeCategory.findMany({
+      where: { groupId: groupId },
+      include: {
+        budgets: {
+          where: { year: year },
+          orderBy: { currency: 'asc' },
+        },
+      },
+      orderBy: { name: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      year: year,
+      categories: categories.map(formatCategory),
+      canManage: access.membership.role === 'admin',
+    });
+  } catch (error) {
+    console.error('Get finance categories error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load finance categories',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create a finance category (admin only)
+ * POST /groups/:groupId/finance/categories
+ *
+ * Body: { name }
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createFinanceCategory(req, res) {
+  try {
+    const { groupId } = req.params;
+    const name = (req.body.name || '').trim();
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required (up to 100 characters)',
+      });
+    }
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const existing = await prisma.financeCategory.findFirst({
+      where: {
+        groupId: groupId,
+        name: { equals: name, mode: 'insensitive' },
+      },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A category named "${existing.name}" already exists`,
+      });
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const created = await tx.financeCategory.create({
+        data: {
+          groupId: groupId,
+          name: name,
+        },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'create_finance_category',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Created finance category "${name}"`,
+        },
+      });
+
+      return created;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category: formatCategory(category),
+    });
+  } catch (error) {
+    console.error('Create finance category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Rename a finance category (admin only)
+ * PUT /groups/:groupId/finance/categories/:categoryId
+ *
+ * Body: { name }
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateFinanceCategory(req, res) {
+  try {
+    const { groupId, categoryId } = req.params;
+    const name = (req.body.name || '').trim();
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required (up to 100 characters)',
+      });
+    }
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const category = await prisma.financeCategory.findFirst({
+      where: {
+        categoryId: categoryId,
+        groupId: groupId,
+      },
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const existing = await prisma.financeCategory.findFirst({
+      where: {
+        groupId: groupId,
+        name: { equals: name, mode: 'insensitive' },
+        categoryId: { not: categoryId },
+      },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A category named "${existing.name}" already exists`,
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const saved = await tx.financeCategory.update({
+        where: { categoryId: categoryId },
+        data: { name: name },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'update_finance_category',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Renamed finance category "${category.name}" to "${name}"`,
+        },
+      });
+
+      return saved;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      category: formatCategory(updated),
+    });
+  } catch (error) {
+    console.error('Update finance category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete a finance category (admin only)
+ * DELETE /groups/:groupId/finance/categories/:categoryId
+ *
+ * Its budgets are deleted; finance matters in it become uncategorized.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteFinanceCategory(req, res) {
+  try {
+    const { groupId, categoryId } = req.params;
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const category = await prisma.financeCategory.findFirst({
+      where: {
+        categoryId: categoryId,
+        groupId: groupId,
+      },
+      include: {
+        _count: { select: { financeMatters: true } },
+      },
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.financeCategory.delete({
+        where: { categoryId: categoryId },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'delete_finance_category',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Deleted finance category "${category.name}" (${category._count.financeMatters} finance matter(s) are now uncategorized)`,
+        },
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete finance category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Set or clear a category's annual budget (admin only)
+ * PUT /groups/:groupId/finance/categories/:categoryId/budget
+ *
+ * Body: { year, currency, amount } - amount null or 0 removes the budget
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function setCategoryBudget(req, res) {
+  try {
+    const { groupId, categoryId } = req.params;
+    const { amount } = req.body;
+    const currency = (req.body.currency || '').toUpperCase();
+
+    const year = parseYear(req.body.year);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid year',
+      });
+    }
+
+    if (currency.length !== 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)',
+      });
+    }
+
+    const clearBudget = amount === null || amount === undefined || parseFloat(amount) === 0;
+
+    if (!clearBudget && (isNaN(amount) || parseFloat(amount) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Budget amount must be 0 or more',
+      });
+    }
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const category = await prisma.financeCategory.findFirst({
+      where: {
+        categoryId: categoryId,
+        groupId: groupId,
+      },
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const budgetKey = {
+      categoryId_year_currency: {
+        categoryId: categoryId,
+        year: year,
+        currency: currency,
+      },
+    };
+
+    await prisma.$transaction(async (tx) => {
+      if (clearBudget) {
+        await tx.financeCategoryBudget.deleteMany({
+          where: { categoryId: categoryId, year: year, currency: currency },
+        });
+      } else {
+        await tx.financeCategoryBudget.upsert({
+          where: budgetKey,
+          create: { categoryId: categoryId, year: year, currency: currency, amount: parseFloat(amount) },
+          update: { amount: parseFloat(amount) },
+        });
+      }
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'set_finance_budget',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: clearBudget
+            ? `Removed the ${year} budget (${currency}) for finance category "${category.name}"`
+            : `Set the ${year} budget for finance category "${category.name}" to ${currency} ${parseFloat(amount).toFixed(2)}`,
+        },
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: clearBudget ? 'Budget removed' : 'Budget saved',
+    });
+  } catch (error) {
+    console.error('Set finance budget error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save budget',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get spending against budgets per category and per child for a year
+ * GET /groups/:groupId/finance/summary?year=2026&timeZone=Australia/Sydney
+ *
+ * Counts uncanceled finance matters created during the year (in timeZone,
+ * default 'UTC'); admins see every matter, other members only their own.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceSummary(req, res) {
+  try {
+    const { groupId } = req.params;
+    const timeZone = req.query.timeZone || 'UTC';
+
+    const year = parseYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid year',
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timeZone',
+      });
+    }
+
+    const access = await getFinanceMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, seesAllMatters } = access;
+
+    const matters = await prisma.financeMatter.findMany({
+      where: {
+        groupId: groupId,
+        isCanceled: false,
+        createdAt: {
+          gte: parseReportDate(`${year}-01-01`, timeZone),
+          lt: parseReportDate(`${year}-12-31`, timeZone, true),
+        },
+        ...(seesAllMatters ? {} : { members: { some: { groupMemberId: membership.groupMemberId } } }),
+      },
+      select: {
+        currency: true,
+        totalAmount: true,
+        categoryId: true,
+        children: { select: { groupMemberId: true } },
+      },
+    });
+
+    const categories = await prisma.financeCategory.findMany({
+      where: { groupId: groupId },
+      include: { budgets: { where: { year: year } } },
+      orderBy: { name: 'asc' },
+    });
+
+    const summary = buildBudgetSummary({
+      matters: matters,
+      categories: categories,
+      budgets: categories.flatMap(category => category.budgets),
+    });
+
+    const childIds = new Set(summary.flatMap(entry => entry.children.map(child => child.groupMemberId)));
+    const children = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: Array.from(childIds) },
+      },
+      select: {
+        groupMemberId: true,
+        displayName: true,
+        user: { select: { displayName: true } },
+      },
+    });
+    const childNames = new Map(children.map(child => [child.groupMemberId, child.user?.displayName || child.displayName]));
+
+    return res.status(200).json({
+      success: true,
+      year: year,
+      summary: summary.map(entry => ({
+        ...entry,
+        children: entry.children.map(child => ({
+          ...child,
+          displayName: childNames.get(child.groupMemberId) || 'Unknown',
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error('Get finance summary error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load finance summary',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getFinanceCategories,
+  createFinanceCategory,
+  updateFinanceCategory,
+  deleteFinanceCategory,
+  setCategoryBudget,
+  getFinanceSummary,
+};
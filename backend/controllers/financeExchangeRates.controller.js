@@ -0,0 +1,401 @@
+/**
+ * Finance Exchange Rates Controller
+ *
+ * The dated exchange rates a group uses to convert finance matters in other
+ * currencies into its base currency (GroupSettings.defaultCurrency) for the
+ * ledger and statements. Rates are kept by admins, one at a time or imported
+ * from a CSV; nothing is fetched from outside the app.
+ *
+ * Anyone who can see the finance section can list the rates; only admins
+ * change them.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { getFinanceMembership } = require('../services/financeAccess.service');
+const { getBaseCurrency } = require('../services/financeCurrency.service');
+const { toDateKey, isValidCurrency, isValidRate, parseExchangeRateCsv } = require('../utils/exchangeRates');
+
+/**
+ * Most rates accepted in one CSV import
+ */
+const MAX_IMPORT_RATES = 1000;
+
+/**
+ * Check the user is an admin who can change finance settings
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { error: { status, body } } or { membership }
+ */
+async function getAdminMembership(groupId, userId) {
+  const access = await getFinanceMembership(groupId, userId);
+  if (access.error) {
+    return access;
+  }
+
+  if (access.membership.role !== 'admin') {
+    return { error: { status: 403, body: { success: false, message: 'Only admins can manage exchange rates' } } };
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    return { error: { status: 403, body: getReadOnlyErrorResponse(group) } };
+  }
+
+  return access;
+}
+
+/**
+ * Format an exchange rate for responses
+ * @param {Object} rate - FinanceExchangeRate
+ * @returns {Object} Exchange rate
+ */
+function formatRate(rate) {
+  return {
+    rateId: rate.rateId,
+    fromCurrency: rate.fromCurrency,
+    toCurrency: rate.toCurrency,
+    rate: parseFloat(rate.rate),
+    effectiveDate: toDateKey(rate.effectiveDate),
+    updatedAt: rate.updatedAt,
+  };
+}
+
+/**
+ * Save a rate, replacing any rate for the same currencies and date
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} groupId - Group ID
+ * @param {string} groupMemberId - Member setting the rate
+ * @param {Object} rate - { effectiveDate: 'YYYY-MM-DD', fromCurrency, toCurrency, rate }
+ * @returns {Promise<Object>} FinanceExchangeRate
+ */
+function upsertRate(tx, groupId, groupMemberId, rate) {
+  const effectiveDate = new Date(`${rate.effectiveDate}T00:00:00Z`);
+
+  return tx.financeExchangeRate.upsert({
+    where: {
+      groupId_fromCurrency_toCurrency_effectiveDate: {
+        groupId: groupId,
+        fromCurrency: rate.fromCurrency,
+        toCurrency: rate.toCurrency,
+        effectiveDate: effectiveDate,
+      },
+    },
+    create: {
+      groupId: groupId,
+      fromCurrency: rate.fromCurrency,
+      toCurrency: rate.toCurrency,
+      rate: rate.rate,
+      effectiveDate: effectiveDate,
+      setBy: groupMemberId,
+    },
+    update: {
+      rate: rate.rate,
+      setBy: groupMemberId,
+    },
+  });
+}
+
+/**
+ * Get the group's exchange rates
+ * GET /groups/:groupId/finance/exchange-rates?currency=NZD
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getExchangeRates(req, res) {
+  try {
+    const { groupId } = req.params;
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+
+    if (currency && !isValidCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)',
+      });
+    }
+
+    const access = await getFinanceMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const rates = await prisma.financeExchangeRate.findMany({
+      where: {
+        groupId: groupId,
+        ...(currency ? { OR: [{ fromCurrency: currency }, { toCurrency: currency }] } : {}),
+      },
+      orderBy: [
+        { fromCurrency: 'asc' },
+        { toCurrency: 'asc' },
+        { effectiveDate: 'desc' },
+      ],
+    });
+
+    return res.status(200).json({
+      success: true,
+      baseCurrency: await getBaseCurrency(groupId),
+      rates: rates.map(formatRate),
+      canManage: access.membership.role === 'admin',
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load exchange rates',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Set an exchange rate (admin only)
+ * POST /groups/:groupId/finance/exchange-rates
+ *
+ * Body: { fromCurrency, toCurrency, rate, effectiveDate ('YYYY-MM-DD') }
+ *
+ * 1 fromCurrency = rate toCurrency from effectiveDate until the next rate for
+ * the pair. Replaces an existing rate for the same pair and date.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function setExchangeRate(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { effectiveDate } = req.body;
+    const fromCurrency = (req.body.fromCurrency || '').toUpperCase();
+    const toCurrency = (req.body.toCurrency || '').toUpperCase();
+
+    if (!isValidCurrency(fromCurrency) || !isValidCurrency(toCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currencies must be 3-letter codes (e.g., USD, EUR, GBP)',
+      });
+    }
+
+    if (fromCurrency === toCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'From and to currencies must be different',
+      });
+    }
+
+    if (!isValidRate(req.body.rate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a number greater than 0',
+      });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate || '') || isNaN(new Date(`${effectiveDate}T00:00:00Z`).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'effectiveDate must be a date (YYYY-MM-DD)',
+      });
+    }
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+    const rate = parseFloat(req.body.rate);
+
+    const saved = await prisma.$transaction(async (tx) => {
+      const upserted = await upsertRate(tx, groupId, membership.groupMemberId, {
+        effectiveDate: effectiveDate,
+        fromCurrency: fromCurrency,
+        toCurrency: toCurrency,
+        rate: rate,
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'set_finance_exchange_rate',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Set the exchange rate from ${effectiveDate} to 1 ${fromCurrency} = ${rate} ${toCurrency}`,
+        },
+      });
+
+      return upserted;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Exchange rate saved',
+      rate: formatRate(saved),
+    });
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Import exchange rates from CSV (admin only)
+ * POST /groups/:groupId/finance/exchange-rates/import
+ *
+ * Body: { csv } - rows of date (YYYY-MM-DD), from currency, to currency, rate,
+ * with an optional header row. Nothing is imported if any row is invalid.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function importExchangeRates(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    if (typeof req.body.csv !== 'string' || !req.body.csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV data (csv) is required',
+      });
+    }
+
+    const { rates, errors } = parseExchangeRateCsv(req.body.csv);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} row(s) could not be read; no rates were imported`,
+        errors: errors,
+      });
+    }
+
+    if (rates.length === 0 || rates.length > MAX_IMPORT_RATES) {
+      return res.status(400).json({
+        success: false,
+        message: `The CSV must contain between 1 and ${MAX_IMPORT_RATES} rates`,
+      });
+    }
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+    const pairs = Array.from(new Set(rates.map(rate => `${rate.fromCurrency}/${rate.toCurrency}`))).sort();
+
+    await prisma.$transaction(async (tx) => {
+      for (const rate of rates) {
+        await upsertRate(tx, groupId, membership.groupMemberId, rate);
+      }
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'import_finance_exchange_rates',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Imported ${rates.length} exchange rate(s) for ${pairs.join(', ')}`,
+          logData: { count: rates.length, pairs: pairs },
+        },
+      });
+    }, { timeout: 30000 });
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${rates.length} exchange rate(s)`,
+      imported: rates.length,
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to import exchange rates',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete an exchange rate (admin only)
+ * DELETE /groups/:groupId/finance/exchange-rates/:rateId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteExchangeRate(req, res) {
+  try {
+    const { groupId, rateId } = req.params;
+
+    const access = await getAdminMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const rate = await prisma.financeExchangeRate.findFirst({
+      where: {
+        rateId: rateId,
+        groupId: groupId,
+      },
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found',
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.financeExchangeRate.delete({
+        where: { rateId: rateId },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'delete_finance_exchange_rate',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Deleted the ${rate.fromCurrency} to ${rate.toCurrency} exchange rate from ${toDateKey(rate.effectiveDate)} (${parseFloat(rate.rate)})`,
+        },
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted',
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getExchangeRates,
+  setExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate,
+};
@@ -0,0 +1,601 @@
+/**
+ * Finance Ledger Controller
+ *
+ * Group-wide view of open finance matters: net balances per member and
+ * currency (and combined in the group's base currency), a settle-up
+ * suggestion with the fewest transfers, and settlement payments that are
+ * allocated across the underlying matters.
+ */
+
+const { prisma } = require('../config/database');
+const { getFinanceMembership } = require('../services/financeAccess.service');
+const { applyConfirmedPayment, autoSettleIfPaid } = require('../services/financePayments.service');
+const { getGroupCurrencyConverter } = require('../services/financeCurrency.service');
+const { buildLedger, convertLedger, allocateSettlement } = require('../utils/financeLedger');
+const { toCents } = require('../utils/financeBalances');
+
+/**
+ * Member fields returned with ledger entries and settlements
+ */
+const memberSelect = {
+  groupMemberId: true,
+  displayName: true,
+  iconLetters: true,
+  iconColor: true,
+  user: {
+    select: {
+      displayName: true,
+      memberIcon: true,
+      iconColor: true,
+    },
+  },
+};
+
+/**
+ * Merge a member's user profile into their group member details
+ * @param {Object} member - GroupMember selected with memberSelect
+ * @returns {Object} { groupMemberId, displayName, iconLetters, iconColor }
+ */
+function formatMember(member) {
+  return {
+    groupMemberId: member.groupMemberId,
+    displayName: member.user?.displayName || member.displayName,
+    iconLetters: member.user?.memberIcon || member.iconLetters,
+    iconColor: member.user?.iconColor || member.iconColor,
+  };
+}
+
+/**
+ * Format a settlement for responses
+ * @param {Object} settlement - FinanceSettlement with fromMember, toMember and payments
+ * @returns {Object} Settlement
+ */
+function formatSettlement(settlement) {
+  return {
+    settlementId: settlement.settlementId,
+    amount: parseFloat(settlement.amount),
+    currency: settlement.currency,
+    from: formatMember(settlement.fromMember),
+    to: formatMember(settlement.toMember),
+    reportedAt: settlement.reportedAt,
+    isConfirmed: settlement.isConfirmed,
+    confirmedAt: settlement.confirmedAt,
+    isRejected: settlement.isRejected,
+    rejectedAt: settlement.rejectedAt,
+    allocations: settlement.payments.map(payment => ({
+      paymentId: payment.paymentId,
+      financeMatterId: payment.financeMatterId,
+      financeMatterName: payment.financeMatter?.name,
+      fromMemberId: payment.fromMemberId,
+      toMemberId: payment.toMemberId,
+      amount: parseFloat(payment.amount),
+    })),
+  };
+}
+
+/**
+ * Get the group finance ledger
+ * GET /groups/:groupId/finance/ledger
+ *
+ * Aggregates all unsettled, uncanceled finance matters (the user's own unless
+ * they are an admin) per currency into each member's net balance (positive =
+ * owed money), what they still owe towards the matters themselves, and the
+ * fewest transfers that settle everyone up. Also returns pending settlements.
+ *
+ * Each currency is also converted to the group's base currency at today's
+ * rate from the group's exchange rates, and the converted balances are
+ * combined into one settle-up (currencies without a rate are left out and
+ * listed in combined.missingCurrencies).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceLedger(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const access = await getFinanceMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, seesAllMatters } = access;
+
+    const matters = await prisma.financeMatter.findMany({
+      where: {
+        groupId: groupId,
+        isSettled: false,
+        isCanceled: false,
+        ...(seesAllMatters ? {} : { members: { some: { groupMemberId: membership.groupMemberId } } }),
+      },
+      select: {
+        financeMatterId: true,
+        currency: true,
+        members: {
+          select: {
+            groupMemberId: true,
+            expectedAmount: true,
+            paidAmount: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const converter = await getGroupCurrencyConverter(groupId);
+    const { entries: ledger, combined } = convertLedger(buildLedger(matters), converter, new Date());
+
+    const pendingSettlements = await prisma.financeSettlement.findMany({
+      where: {
+        groupId: groupId,
+        isConfirmed: false,
+        isRejected: false,
+        ...(seesAllMatters ? {} : {
+          OR: [
+            { fromMemberId: membership.groupMemberId },
+            { toMemberId: membership.groupMemberId },
+          ],
+        }),
+      },
+      include: {
+        fromMember: { select: memberSelect },
+        toMember: { select: memberSelect },
+        payments: { include: { financeMatter: { select: { name: true } } } },
+      },
+      orderBy: { reportedAt: 'desc' },
+    });
+
+    const memberIds = new Set(ledger.flatMap(entry => entry.balances.map(balance => balance.groupMemberId)));
+    const members = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: Array.from(memberIds) },
+      },
+      select: memberSelect,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ledger: ledger,
+      baseCurrency: converter.baseCurrency,
+      combined: combined,
+      members: members.map(formatMember),
+      pendingSettlements: pendingSettlements.map(formatSettlement),
+      currentGroupMemberId: membership.groupMemberId,
+    });
+  } catch (error) {
+    console.error('Get finance ledger error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load finance ledger',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a settlement payment between two members
+ * POST /groups/:groupId/finance/settlements
+ *
+ * Body: { fromMemberId (defaults to the user), toMemberId, amount, currency }
+ *
+ * The amount is allocated across the open matters in that currency as
+ * pending FinancePayments, which are confirmed (or rejected) together by the
+ * recipient. Admins can record settlements for any member; everyone else only
+ * for themselves.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function recordSettlement(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { toMemberId, amount, currency } = req.body;
+
+    if (!toMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment recipient (toMemberId) is required',
+      });
+    }
+
+    if (!amount || isNaN(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid payment amount is required',
+      });
+    }
+
+    if (!currency || currency.length !== 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)',
+      });
+    }
+
+    const access = await getFinanceMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+    const fromMemberId = req.body.fromMemberId || membership.groupMemberId;
+
+    if (membership.role !== 'admin' && fromMemberId !== membership.groupMemberId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record payments for yourself',
+      });
+    }
+
+    if (fromMemberId === toMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A member cannot pay themselves',
+      });
+    }
+
+    const parties = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: [fromMemberId, toMemberId] },
+      },
+      select: memberSelect,
+    });
+
+    if (parties.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more member IDs are invalid or not in this group',
+      });
+    }
+
+    const matters = await prisma.financeMatter.findMany({
+      where: {
+        groupId: groupId,
+        currency: currency.toUpperCase(),
+        isSettled: false,
+        isCanceled: false,
+      },
+      select: {
+        financeMatterId: true,
+        members: {
+          select: {
+            groupMemberId: true,
+            expectedAmount: true,
+            paidAmount: true,
+          },
+        },
+        payments: {
+          where: { isConfirmed: false, isRejected: false },
+          select: {
+            fromMemberId: true,
+            toMemberId: true,
+            amount: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const paymentAmount = toCents(amount) / 100;
+    const { allocations, unallocatedAmount } = allocateSettlement(
+      matters.map(matter => ({ ...matter, pendingPayments: matter.payments })),
+      fromMemberId,
+      toMemberId,
+      paymentAmount
+    );
+
+    const fromName = formatMember(parties.find(p => p.groupMemberId === fromMemberId)).displayName;
+    const toName = formatMember(parties.find(p => p.groupMemberId === toMemberId)).displayName;
+
+    if (unallocatedAmount > 0) {
+      const maxPayment = Math.round((paymentAmount - unallocatedAmount) * 100) / 100;
+      return res.status(400).json({
+        success: false,
+        message: `${fromName} owes ${toName} at most ${currency.toUpperCase()} ${maxPayment.toFixed(2)} across open finance matters`,
+      });
+    }
+
+    const settlement = await prisma.$transaction(async (tx) => {
+      const created = await tx.financeSettlement.create({
+        data: {
+          groupId: groupId,
+          fromMemberId: fromMemberId,
+          toMemberId: toMemberId,
+          amount: paymentAmount,
+          currency: currency.toUpperCase(),
+          reportedBy: membership.groupMemberId,
+        },
+      });
+
+      await tx.financePayment.createMany({
+        data: allocations.map(allocation => ({
+          financeMatterId: allocation.financeMatterId,
+          fromMemberId: allocation.fromMemberId,
+          toMemberId: allocation.toMemberId,
+          amount: allocation.amount,
+          isConfirmed: false,
+          settlementId: created.settlementId,
+        })),
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'report_settlement',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Reported settlement of ${currency.toUpperCase()} ${paymentAmount.toFixed(2)} from ${fromName} to ${toName}, allocated across ${new Set(allocations.map(a => a.financeMatterId)).size} finance matter(s). Awaiting confirmation.`,
+          logData: { settlementId: created.settlementId, allocations: allocations },
+        },
+      });
+
+      return tx.financeSettlement.findUnique({
+        where: { settlementId: created.settlementId },
+        include: {
+          fromMember: { select: memberSelect },
+          toMember: { select: memberSelect },
+          payments: { include: { financeMatter: { select: { name: true } } } },
+        },
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Settlement reported successfully. Awaiting confirmation from recipient.',
+      settlement: formatSettlement(settlement),
+    });
+  } catch (error) {
+    console.error('Record settlement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to record settlement',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Load a pending settlement that the user can confirm or reject (recipient only)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, settlement }
+ */
+async function getReviewableSettlement(req) {
+  const { groupId, settlementId } = req.params;
+
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: req.user.userId,
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  const settlement = await prisma.financeSettlement.findUnique({
+    where: { settlementId: settlementId },
+    include: {
+      fromMember: { select: memberSelect },
+      toMember: { select: memberSelect },
+      payments: {
+        include: {
+          financeMatter: {
+            select: {
+              financeMatterId: true,
+              groupId: true,
+              name: true,
+              isSettled: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!settlement || settlement.groupId !== groupId) {
+    return { error: { status: 404, body: { success: false, message: 'Settlement not found' } } };
+  }
+
+  if (settlement.isConfirmed) {
+    return { error: { status: 400, body: { success: false, message: 'Settlement has already been confirmed' } } };
+  }
+
+  if (settlement.isRejected) {
+    return { error: { status: 400, body: { success: false, message: 'Settlement has already been rejected' } } };
+  }
+
+  if (settlement.toMemberId !== membership.groupMemberId) {
+    return { error: { status: 403, body: { success: false, message: 'Only the payment recipient can confirm or reject this settlement' } } };
+  }
+
+  return { membership, settlement };
+}
+
+/**
+ * Confirm a settlement (recipient only)
+ * POST /groups/:groupId/finance/settlements/:settlementId/confirm
+ *
+ * Confirms every payment it was allocated to and auto-settles the matters
+ * that are now fully paid.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function confirmSettlement(req, res) {
+  try {
+    const result = await getReviewableSettlement(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { membership, settlement } = result;
+
+    const settledCount = await prisma.$transaction(async (tx) => {
+      // Claim the settlement so a double tap or retry can't apply its payments twice
+      const claimed = await tx.financeSettlement.updateMany({
+        where: {
+          settlementId: settlement.settlementId,
+          isConfirmed: false,
+          isRejected: false,
+        },
+        data: {
+          isConfirmed: true,
+          confirmedAt: new Date(),
+        },
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      for (const payment of settlement.payments) {
+        await applyConfirmedPayment(tx, payment);
+      }
+
+      await tx.auditLog.create({
+        data: {
+          groupId: settlement.groupId,
+          action: 'confirm_settlement',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Confirmed settlement of ${settlement.currency} ${parseFloat(settlement.amount).toFixed(2)} from ${formatMember(settlement.fromMember).displayName} to ${formatMember(settlement.toMember).displayName}.`,
+          logData: { settlementId: settlement.settlementId },
+        },
+      });
+
+      const matters = new Map(settlement.payments.map(payment => [payment.financeMatterId, payment.financeMatter]));
+      let settled = 0;
+      for (const financeMatter of matters.values()) {
+        if (await autoSettleIfPaid(tx, financeMatter, membership)) {
+          settled++;
+        }
+      }
+      return settled;
+    });
+
+    if (settledCount === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Settlement has already been confirmed or rejected',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: settledCount > 0
+        ? `Settlement confirmed. ${settledCount} finance matter(s) are now settled.`
+        : 'Settlement confirmed successfully',
+      settledMatterCount: settledCount,
+    });
+  } catch (error) {
+    console.error('Confirm settlement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to confirm settlement',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reject a settlement (recipient only)
+ * POST /groups/:groupId/finance/settlements/:settlementId/reject
+ *
+ * Marks the settlement and the payments it was allocated to as rejected.
+ * They are kept, like a rejected payment, so they still appear on finance
+ * statements.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function rejectSettlement(req, res) {
+  try {
+    const result = await getReviewableSettlement(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { membership, settlement } = result;
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      // Claim the settlement so it can't be rejected after it was confirmed meanwhile
+      const rejectedAt = new Date();
+      const claimed = await tx.financeSettlement.updateMany({
+        where: {
+          settlementId: settlement.settlementId,
+          isConfirmed: false,
+          isRejected: false,
+        },
+        data: {
+          isRejected: true,
+          rejectedAt: rejectedAt,
+        },
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      // Keep the allocated payments but stop them counting as pending
+      await tx.financePayment.updateMany({
+        where: { settlementId: settlement.settlementId },
+        data: {
+          isRejected: true,
+          rejectedAt: rejectedAt,
+        },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: settlement.groupId,
+          action: 'reject_settlement',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Rejected settlement of ${settlement.currency} ${parseFloat(settlement.amount).toFixed(2)} from ${formatMember(settlement.fromMember).displayName} to ${formatMember(settlement.toMember).displayName}.`,
+          logData: { settlementId: settlement.settlementId },
+        },
+      });
+
+      return true;
+    });
+
+    if (!rejected) {
+      return res.status(400).json({
+        success: false,
+        message: 'Settlement has already been confirmed or rejected',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Settlement rejected successfully',
+    });
+  } catch (error) {
+    console.error('Reject settlement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reject settlement',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getFinanceLedger,
+  recordSettlement,
+  confirmSettlement,
+  rejectSettlement,
+};
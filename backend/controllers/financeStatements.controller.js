@@ -0,0 +1,310 @@
+/**
+ * Finance Statements Controller
+ *
+ * Statements of finance matters for tax time or mediation: each matter with
+ * every member's expected share, confirmed and rejected payments and the
+ * outstanding balance, as JSON or as a CSV or PDF export. Amounts are also
+ * converted to the group's base currency using its exchange rates.
+ */
+
+const { prisma } = require('../config/database');
+const pdfService = require('../services/pdf.service');
+const { getFinanceMembership } = require('../services/financeAccess.service');
+const { getGroupCurrencyConverter } = require('../services/financeCurrency.service');
+const { isValidTimeZone, parseReportDate } = require('../utils/timeShare');
+const { getMemberName } = require('../utils/logExport');
+const { buildFinanceStatement, buildFinanceStatementCsv } = require('../utils/financeStatement');
+
+/**
+ * Finance matter states that can be filtered on
+ */
+const STATUS_FILTERS = {
+  open: { isSettled: false, isCanceled: false },
+  settled: { isSettled: true, isCanceled: false },
+  canceled: { isCanceled: true },
+};
+
+const memberNameSelect = {
+  select: {
+    groupMemberId: true,
+    displayName: true,
+    user: {
+      select: {
+        displayName: true,
+      },
+    },
+  },
+};
+
+/**
+ * Validate the request and build the finance statement
+ *
+ * Query: from, to (dates 'YYYY-MM-DD' are whole local days, to inclusive; or ISO date-times;
+ * matters are included by creation date), memberId, status (comma-separated: open, settled,
+ * canceled), currency, timeZone (IANA, default 'UTC').
+ *
+ * Admins get every matter; other members only the matters they are part of.
+ * Shares are converted to the base currency at the rate on the matter's
+ * creation date and payments at the rate on the day they were reported.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, group, filters, statement }
+ */
+async function buildStatementRequest(req) {
+  const { groupId } = req.params;
+  const timeZone = req.query.timeZone || 'UTC';
+
+  if (!isValidTimeZone(timeZone)) {
+    return { error: { status: 400, body: { success: false, message: 'Invalid timeZone' } } };
+  }
+
+  const from = req.query.from ? parseReportDate(req.query.from, timeZone) : null;
+  const to = req.query.to ? parseReportDate(req.query.to, timeZone, true) : null;
+
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return { error: { status: 400, body: { success: false, message: 'Invalid from or to date' } } };
+  }
+
+  if (from && to && to <= from) {
+    return { error: { status: 400, body: { success: false, message: 'The end date must be after the start date' } } };
+  }
+
+  const statuses = req.query.status
+    ? String(req.query.status).split(',').map(status => status.trim().toLowerCase().replace('cancelled', 'canceled')).filter(Boolean)
+    : [];
+
+  if (statuses.some(status => !STATUS_FILTERS[status])) {
+    return { error: { status: 400, body: { success: false, message: 'status must be open, settled or canceled' } } };
+  }
+
+  const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+
+  if (currency && currency.length !== 3) {
+    return { error: { status: 400, body: { success: false, message: 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)' } } };
+  }
+
+  const access = await getFinanceMembership(groupId, req.user.userId);
+  if (access.error) {
+    return access;
+  }
+
+  const { membership, seesAllMatters } = access;
+
+  let member = null;
+  if (req.query.memberId) {
+    member = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        groupMemberId: req.query.memberId,
+      },
+      ...memberNameSelect,
+    });
+
+    if (!member) {
+      return { error: { status: 404, body: { success: false, message: 'Member not found in this group' } } };
+    }
+  }
+
+  const memberFilters = [
+    ...(seesAllMatters ? [] : [membership.groupMemberId]),
+    ...(member ? [member.groupMemberId] : []),
+  ];
+
+  const matters = await prisma.financeMatter.findMany({
+    where: {
+      groupId: groupId,
+      ...(from || to ? { createdAt: { ...(from && { gte: from }), ...(to && { lt: to }) } } : {}),
+      ...(currency ? { currency: currency } : {}),
+      AND: [
+        ...memberFilters.map(groupMemberId => ({ members: { some: { groupMemberId: groupMemberId } } })),
+        ...(statuses.length > 0 ? [{ OR: statuses.map(status => STATUS_FILTERS[status]) }] : []),
+      ],
+    },
+    include: {
+      members: { include: { groupMember: memberNameSelect } },
+      payments: {
+        where: {
+          OR: [{ isConfirmed: true }, { isRejected: true }],
+        },
+        include: {
+          fromMember: memberNameSelect,
+          toMember: memberNameSelect,
+        },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { name: true },
+  });
+
+  const converter = await getGroupCurrencyConverter(groupId);
+
+  return {
+    membership,
+    group,
+    filters: {
+      dateFrom: from,
+      dateTo: to,
+      memberId: member ? member.groupMemberId : null,
+      memberName: member ? getMemberName(member) : null,
+      statuses: statuses,
+      currency: currency,
+      timeZone: timeZone,
+    },
+    statement: buildFinanceStatement(matters, { memberId: member ? member.groupMemberId : null, converter: converter }),
+  };
+}
+
+/**
+ * Record a statement export in the audit log
+ * @param {Object} req - Express request
+ * @param {Object} report - Output of buildStatementRequest
+ * @param {string} format - 'csv' or 'pdf'
+ * @returns {Promise<void>}
+ */
+async function logStatementExport(req, report, format) {
+  await prisma.auditLog.create({
+    data: {
+      groupId: req.params.groupId,
+      action: 'export_finance_statement',
+      actionLocation: 'finance',
+      performedBy: report.membership.groupMemberId,
+      performedByName: report.membership.displayName,
+      performedByEmail: report.membership.email || 'N/A',
+      messageContent: `Exported finance statement (${format.toUpperCase()}) covering ${report.statement.matters.length} finance matter(s)${report.filters.memberName ? ` for ${report.filters.memberName}` : ''}`,
+      logData: {
+        format: format,
+        from: report.filters.dateFrom,
+        to: report.filters.dateTo,
+        memberId: report.filters.memberId,
+        statuses: report.filters.statuses,
+        currency: report.filters.currency,
+      },
+    },
+  });
+}
+
+/**
+ * Build the export file name
+ * @param {Object} report - Output of buildStatementRequest
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+function getStatementFileName(report, extension) {
+  const groupName = (report.group?.name || 'Group').replace(/[^a-zA-Z0-9]/g, '_');
+  return `FinanceStatement_${groupName}_${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+/**
+ * Get a finance statement
+ * GET /groups/:groupId/finance/statement
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getFinanceStatement(req, res) {
+  try {
+    const report = await buildStatementRequest(req);
+    if (report.error) {
+      return res.status(report.error.status).json(report.error.body);
+    }
+
+    return res.status(200).json({
+      success: true,
+      statement: {
+        filters: report.filters,
+        totals: report.statement.totals,
+        convertedTotals: report.statement.convertedTotals,
+        matters: report.statement.matters,
+      },
+    });
+
+  } catch (err) {
+    console.error('Get finance statement error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate finance statement',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Export a finance statement as CSV
+ * GET /groups/:groupId/finance/statement/csv
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function exportFinanceStatementCSV(req, res) {
+  try {
+    const report = await buildStatementRequest(req);
+    if (report.error) {
+      return res.status(report.error.status).json(report.error.body);
+    }
+
+    const csv = buildFinanceStatementCsv(report.statement);
+
+    await logStatementExport(req, report, 'csv');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${getStatementFileName(report, 'csv')}"`);
+    res.send(csv);
+
+  } catch (err) {
+    console.error('Export finance statement CSV error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export finance statement',
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Export a finance statement as a PDF
+ * GET /groups/:groupId/finance/statement/pdf
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function exportFinanceStatementPDF(req, res) {
+  try {
+    const report = await buildStatementRequest(req);
+    if (report.error) {
+      return res.status(report.error.status).json(report.error.body);
+    }
+
+    const pdfBuffer = pdfService.generateFinanceStatementPDF({
+      groupName: report.group?.name || 'Group',
+      filters: report.filters,
+      timeZone: report.filters.timeZone,
+      statement: report.statement,
+      createdAt: new Date(),
+    });
+
+    await logStatementExport(req, report, 'pdf');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getStatementFileName(report, 'pdf')}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+
+  } catch (err) {
+    console.error('Export finance statement PDF error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export finance statement',
+      error: err.message,
+    });
+  }
+}
+
+module.exports = {
+  getFinanceStatement,
+  exportFinanceStatementCSV,
+  exportFinanceStatementPDF,
+};
@@ -0,0 +1,804 @@
+/**
+ * Finance Templates Controller
+ *
+ * Recurring finance matters (child support, school fees, after-school
+ * care...). A template holds the amount, member split and schedule; the
+ * recurring finance matters job (jobs/recurringFinanceMatters.js) creates a
+ * finance matter from it on each occurrence.
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { calculateMemberBalances } = require('../utils/financeBalances');
+const { isValidFrequency, getNextOccurrenceDate } = require('../utils/financeRecurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Member fields returned with templates
+ */
+const memberSelect = {
+  groupMemberId: true,
+  displayName: true,
+  iconLetters: true,
+  iconColor: true,
+  user: {
+    select: {
+      displayName: true,
+      memberIcon: true,
+      iconColor: true,
+    },
+  },
+};
+
+const templateInclude = {
+  members: {
+    include: {
+      groupMember: { select: memberSelect },
+    },
+  },
+  creator: { select: memberSelect },
+};
+
+/**
+ * Merge a member's user profile into their group member details
+ * @param {Object} member - GroupMember selected with memberSelect
+ * @returns {Object} { groupMemberId, displayName, iconLetters, iconColor }
+ */
+function formatMember(member) {
+  return {
+    groupMemberId: member.groupMemberId,
+    displayName: member.user?.displayName || member.displayName,
+    iconLetters: member.user?.memberIcon || member.iconLetters,
+    iconColor: member.user?.iconColor || member.iconColor,
+  };
+}
+
+/**
+ * Format a template for responses
+ * @param {Object} template - FinanceMatterTemplate included with templateInclude
+ * @returns {Object} Template
+ */
+function formatTemplate(template) {
+  return {
+    templateId: template.templateId,
+    name: template.name,
+    description: template.description,
+    totalAmount: parseFloat(template.totalAmount),
+    currency: template.currency,
+    frequency: template.frequency,
+    startDate: template.startDate,
+    endDate: template.endDate,
+    dueInDays: template.dueInDays,
+    occurrenceCount: template.occurrenceCount,
+    nextOccurrenceAt: template.isActive ? template.nextOccurrenceAt : null,
+    isActive: template.isActive,
+    createdAt: template.createdAt,
+    creator: formatMember(template.creator),
+    members: template.members.map(member => ({
+      ...formatMember(member.groupMember),
+      expectedAmount: parseFloat(member.expectedAmount),
+      expectedPercentage: parseFloat(member.expectedPercentage),
+    })),
+  };
+}
+
+/**
+ * Look up the user's membership and the group's finance settings
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, groupSettings }
+ */
+async function getFinanceAccess(groupId, userId) {
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: userId,
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: {
+      financeCreatableByAdmins: true,
+      financeCreatableByParents: true,
+      financeCreatableByAdults: true,
+      financeCreatableByCaregivers: true,
+      financeCreatableByChildren: true,
+      financeVisibleToAdmins: true,
+      financeVisibleToParents: true,
+      financeVisibleToAdults: true,
+      financeVisibleToCaregivers: true,
+      financeVisibleToChildren: true,
+    },
+  });
+
+  // Supervisors can be members of finance matters but don't get the finance section
+  if (membership.role === 'supervisor' || !canViewFinance(membership.role, groupSettings)) {
+    return { error: { status: 403, body: { success: false, message: 'You do not have permission to view finance matters' } } };
+  }
+
+  return { membership, groupSettings };
+}
+
+/**
+ * Check a role can see finance matters it is a member of
+ * @param {string} role - Member role
+ * @param {Object} groupSettings - Group finance settings
+ * @returns {boolean} True if visible
+ */
+function canViewFinance(role, groupSettings) {
+  // Supervisors have view access (read-only)
+  if (role === 'supervisor') return true;
+
+  const visibleByRole = {
+    admin: groupSettings?.financeVisibleToAdmins,
+    parent: groupSettings?.financeVisibleToParents,
+    adult: groupSettings?.financeVisibleToAdults,
+    caregiver: groupSettings?.financeVisibleToCaregivers,
+    child: groupSettings?.financeVisibleToChildren,
+  };
+
+  return visibleByRole[role] === true;
+}
+
+/**
+ * Check a role can create finance matters (and so recurring ones)
+ * @param {string} role - Member role
+ * @param {Object} groupSettings - Group finance settings
+ * @returns {boolean} True if allowed
+ */
+function canCreateFinance(role, groupSettings) {
+  const creatableByRole = {
+    admin: groupSettings?.financeCreatableByAdmins,
+    parent: groupSettings?.financeCreatableByParents,
+    adult: groupSettings?.financeCreatableByAdults,
+    caregiver: groupSettings?.financeCreatableByCaregivers,
+    child: groupSettings?.financeCreatableByChildren,
+  };
+
+  return creatableByRole[role] === true;
+}
+
+/**
+ * Validate a member split, as for a one-off finance matter
+ * @param {string} groupId - Group ID
+ * @param {Array<Object>} members - { groupMemberId, expectedPercentage, expectedAmount }
+ * @param {Object} groupSettings - Group finance settings
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateMemberSplit(groupId, members, groupSettings) {
+  if (!Array.isArray(members) || members.length === 0) {
+    return 'At least one member is required';
+  }
+
+  // Member allocations must be between 99% and 100% (not above 100%)
+  const totalPercentage = members.reduce((sum, member) => {
+    return sum + parseFloat(member.expectedPercentage || 0);
+  }, 0);
+
+  if (totalPercentage > 100) {
+    return `Member allocations cannot exceed 100% (currently ${totalPercentage.toFixed(2)}%)`;
+  }
+
+  if (totalPercentage < 99) {
+    return `Member allocations must be at least 99% (currently ${totalPercentage.toFixed(2)}%)`;
+  }
+
+  const memberIds = members.map((m) => m.groupMemberId);
+  const existingMembers = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      groupMemberId: { in: memberIds },
+    },
+  });
+
+  if (existingMembers.length !== new Set(memberIds).size || existingMembers.length !== memberIds.length) {
+    return 'One or more member IDs are invalid or not in this group';
+  }
+
+  // Members who can't see finance shouldn't be added to finance matters
+  const membersWithoutFinanceAccess = existingMembers.filter(member => !canViewFinance(member.role, groupSettings));
+
+  if (membersWithoutFinanceAccess.length > 0) {
+    const memberNames = membersWithoutFinanceAccess.map((m) => m.displayName).join(', ');
+    return `The following members cannot be added because they don't have permission to view finance: ${memberNames}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the number of days after each occurrence a matter is due
+ * @param {*} dueInDays - Days (null/undefined for no due date)
+ * @returns {boolean} True if valid
+ */
+function isValidDueInDays(dueInDays) {
+  return dueInDays === null || dueInDays === undefined || (Number.isInteger(dueInDays) && dueInDays >= 0);
+}
+
+/**
+ * Get a template the user may change (its creator or an admin)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, groupSettings, template }
+ */
+async function getEditableTemplate(req) {
+  const { groupId, templateId } = req.params;
+
+  const access = await getFinanceAccess(groupId, req.user.userId);
+  if (access.error) {
+    return access;
+  }
+
+  const template = await prisma.financeMatterTemplate.findFirst({
+    where: {
+      templateId: templateId,
+      groupId: groupId,
+    },
+  });
+
+  if (!template) {
+    return { error: { status: 404, body: { success: false, message: 'Recurring finance matter not found' } } };
+  }
+
+  if (access.membership.role !== 'admin' && template.createdBy !== access.membership.groupMemberId) {
+    return { error: { status: 403, body: { success: false, message: 'Only the creator or an admin can change this recurring finance matter' } } };
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    return { error: { status: 403, body: getReadOnlyErrorResponse(group) } };
+  }
+
+  return { ...access, template };
+}
+
+/**
+ * Get recurring finance matters for a group
+ * GET /groups/:groupId/finance/templates
+ *
+ * Admins see all; everyone else only the ones they are part of or created.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceTemplates(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const access = await getFinanceAccess(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const templates = await prisma.financeMatterTemplate.findMany({
+      where: {
+        groupId: groupId,
+        ...(membership.role === 'admin' ? {} : {
+          OR: [
+            { createdBy: membership.groupMemberId },
+            { members: { some: { groupMemberId: membership.groupMemberId } } },
+          ],
+        }),
+      },
+      include: templateInclude,
+      orderBy: [{ isActive: 'desc' }, { createdAt: 'desc' }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      templates: templates.map(formatTemplate),
+    });
+  } catch (error) {
+    console.error('Get finance templates error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load recurring finance matters',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create a recurring finance matter
+ * POST /groups/:groupId/finance/templates
+ *
+ * Body: { name, description, totalAmount, currency, frequency, startDate,
+ * endDate, dueInDays, members: [{ groupMemberId, expectedPercentage, expectedAmount }] }
+ *
+ * frequency is weekly, fortnightly, monthly or termly (every 3 months). The
+ * first finance matter is created on startDate, then one per period until
+ * endDate (if any). Each is due dueInDays after its occurrence (no due date
+ * if omitted). Permissions are the same as for creating a finance matter.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createFinanceTemplate(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { name, description, totalAmount, currency, frequency, startDate, endDate, dueInDays, members } = req.body;
+
+    if (!name || !totalAmount || !currency || !frequency || !startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, totalAmount, currency, frequency, startDate and at least one member',
+      });
+    }
+
+    if (currency.length !== 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a 3-letter code (e.g., USD, EUR, GBP)',
+      });
+    }
+
+    if (isNaN(totalAmount) || parseFloat(totalAmount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Total amount must be greater than 0',
+      });
+    }
+
+    if (!isValidFrequency(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Frequency must be one of: weekly, fortnightly, monthly, termly',
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = endDate ? new Date(endDate) : null;
+
+    if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start or end date',
+      });
+    }
+
+    // Allow a day's leeway so "today" works in every timezone
+    if (start.getTime() < Date.now() - DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past',
+      });
+    }
+
+    if (end && end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date',
+      });
+    }
+
+    if (!isValidDueInDays(dueInDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dueInDays must be a whole number of days (0 or more)',
+      });
+    }
+
+    const access = await getFinanceAccess(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, groupSettings } = access;
+
+    if (!canCreateFinance(membership.role, groupSettings)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to create finance matters',
+      });
+    }
+
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
+
+    const memberError = await validateMemberSplit(groupId, members, groupSettings);
+    if (memberError) {
+      return res.status(400).json({
+        success: false,
+        message: memberError,
+      });
+    }
+
+    const schedule = { startDate: start, frequency: frequency, endDate: end };
+
+    const template = await prisma.$transaction(async (tx) => {
+      const created = await tx.financeMatterTemplate.create({
+        data: {
+          groupId: groupId,
+          name: name.trim(),
+          description: description?.trim() || null,
+          totalAmount: parseFloat(totalAmount),
+          currency: currency.toUpperCase(),
+          frequency: frequency,
+          startDate: start,
+          endDate: end,
+          dueInDays: dueInDays ?? null,
+          nextOccurrenceAt: getNextOccurrenceDate(schedule, 0),
+          createdBy: membership.groupMemberId,
+          members: {
+            create: members.map((member) => ({
+              groupMemberId: member.groupMemberId,
+              expectedPercentage: parseFloat(member.expectedPercentage),
+              expectedAmount: parseFloat(member.expectedAmount),
+            })),
+          },
+        },
+        include: templateInclude,
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'create_finance_template',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Created recurring finance matter "${created.name}" (${frequency}) with total amount ${created.currency} ${parseFloat(totalAmount).toFixed(2)}`,
+        },
+      });
+
+      return created;
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Recurring finance matter created successfully',
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    console.error('Create finance template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a recurring finance matter with the finance matters created from it
+ * GET /groups/:groupId/finance/templates/:templateId
+ *
+ * Returns each instance's paid and outstanding amounts, and a summary over
+ * the instances that weren't canceled.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFinanceTemplateById(req, res) {
+  try {
+    const { groupId, templateId } = req.params;
+
+    const access = await getFinanceAccess(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const template = await prisma.financeMatterTemplate.findFirst({
+      where: {
+        templateId: templateId,
+        groupId: groupId,
+      },
+      include: {
+        ...templateInclude,
+        instances: {
+          include: {
+            members: {
+              select: {
+                groupMemberId: true,
+                expectedAmount: true,
+                paidAmount: true,
+              },
+            },
+          },
+          orderBy: { occurrenceDate: 'desc' },
+        },
+      },
+    });
+
+    const isInvolved = template && (
+      template.createdBy === membership.groupMemberId ||
+      template.members.some(member => member.groupMemberId === membership.groupMemberId)
+    );
+
+    if (!template || (membership.role !== 'admin' && !isInvolved)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring finance matter not found',
+      });
+    }
+
+    const summary = { instanceCount: 0, settledCount: 0, totalAmount: 0, outstandingAmount: 0 };
+
+    const instances = template.instances.map((matter) => {
+      const outstandingAmount = calculateMemberBalances(matter.members)
+        .reduce((sum, balance) => sum + balance.remainingAmount, 0);
+
+      if (!matter.isCanceled) {
+        summary.instanceCount++;
+        summary.settledCount += matter.isSettled ? 1 : 0;
+        summary.totalAmount += parseFloat(matter.totalAmount);
+        summary.outstandingAmount += matter.isSettled ? 0 : outstandingAmount;
+      }
+
+      return {
+        financeMatterId: matter.financeMatterId,
+        name: matter.name,
+        occurrenceDate: matter.occurrenceDate,
+        dueDate: matter.dueDate,
+        totalAmount: parseFloat(matter.totalAmount),
+        outstandingAmount: matter.isSettled || matter.isCanceled ? 0 : parseFloat(outstandingAmount.toFixed(2)),
+        isSettled: matter.isSettled,
+        isCanceled: matter.isCanceled,
+      };
+    });
+
+    summary.totalAmount = parseFloat(summary.totalAmount.toFixed(2));
+    summary.outstandingAmount = parseFloat(summary.outstandingAmount.toFixed(2));
+    summary.paidAmount = parseFloat((summary.totalAmount - summary.outstandingAmount).toFixed(2));
+
+    return res.status(200).json({
+      success: true,
+      template: {
+        ...formatTemplate(template),
+        instances: instances,
+        summary: summary,
+      },
+    });
+  } catch (error) {
+    console.error('Get finance template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update a recurring finance matter (creator or admin)
+ * PUT /groups/:groupId/finance/templates/:templateId
+ *
+ * Body (all optional): { name, description, totalAmount, members, endDate, dueInDays }
+ *
+ * totalAmount and members must be sent together. Changes apply to finance
+ * matters created from now on; existing ones are left as they are.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateFinanceTemplate(req, res) {
+  try {
+    const { name, description, totalAmount, members, endDate, dueInDays } = req.body;
+
+    const result = await getEditableTemplate(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { membership, groupSettings, template } = result;
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring finance matter has been stopped',
+      });
+    }
+
+    const data = {};
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name cannot be empty',
+        });
+      }
+      data.name = name.trim();
+    }
+
+    if (description !== undefined) {
+      data.description = description?.trim() || null;
+    }
+
+    if ((totalAmount !== undefined) !== (members !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'totalAmount and members must be updated together',
+      });
+    }
+
+    if (totalAmount !== undefined) {
+      if (isNaN(totalAmount) || parseFloat(totalAmount) <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Total amount must be greater than 0',
+        });
+      }
+
+      const memberError = await validateMemberSplit(template.groupId, members, groupSettings);
+      if (memberError) {
+        return res.status(400).json({
+          success: false,
+          message: memberError,
+        });
+      }
+
+      data.totalAmount = parseFloat(totalAmount);
+    }
+
+    if (endDate !== undefined) {
+      const end = endDate ? new Date(endDate) : null;
+
+      if (end && (isNaN(end.getTime()) || end < template.startDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must be on or after the start date',
+        });
+      }
+
+      data.endDate = end;
+      data.nextOccurrenceAt = getNextOccurrenceDate({ ...template, endDate: end }, template.occurrenceCount);
+    }
+
+    if (dueInDays !== undefined) {
+      if (!isValidDueInDays(dueInDays)) {
+        return res.status(400).json({
+          success: false,
+          message: 'dueInDays must be a whole number of days (0 or more)',
+        });
+      }
+      data.dueInDays = dueInDays;
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (members !== undefined) {
+        await tx.financeMatterTemplateMember.deleteMany({
+          where: { templateId: template.templateId },
+        });
+
+        await tx.financeMatterTemplateMember.createMany({
+          data: members.map((member) => ({
+            templateId: template.templateId,
+            groupMemberId: member.groupMemberId,
+            expectedPercentage: parseFloat(member.expectedPercentage),
+            expectedAmount: parseFloat(member.expectedAmount),
+          })),
+        });
+      }
+
+      const saved = await tx.financeMatterTemplate.update({
+        where: { templateId: template.templateId },
+        data: data,
+        include: templateInclude,
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: template.groupId,
+          action: 'update_finance_template',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Updated recurring finance matter "${saved.name}"`,
+          logData: {
+            templateId: template.templateId,
+            changedFields: Object.keys(data).filter(field => field !== 'nextOccurrenceAt').concat(members !== undefined ? ['members'] : []),
+          },
+        },
+      });
+
+      return saved;
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter updated successfully',
+      template: formatTemplate(updated),
+    });
+  } catch (error) {
+    console.error('Update finance template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Stop a recurring finance matter (creator or admin)
+ * POST /groups/:groupId/finance/templates/:templateId/stop
+ *
+ * No more finance matters are created from it. Finance matters already
+ * created stay linked to it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function stopFinanceTemplate(req, res) {
+  try {
+    const result = await getEditableTemplate(req);
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    const { membership, template } = result;
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring finance matter has already been stopped',
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.financeMatterTemplate.update({
+        where: { templateId: template.templateId },
+        data: { isActive: false },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: template.groupId,
+          action: 'stop_finance_template',
+          performedBy: membership.groupMemberId,
+          performedByName: membership.displayName,
+          performedByEmail: membership.email || 'N/A',
+          actionLocation: 'finance',
+          messageContent: `Stopped recurring finance matter "${template.name}" after ${template.occurrenceCount} finance matter(s)`,
+        },
+      });
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recurring finance matter stopped',
+    });
+  } catch (error) {
+    console.error('Stop finance template error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to stop recurring finance matter',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getFinanceTemplates,
+  createFinanceTemplate,
+  getFinanceTemplateById,
+  updateFinanceTemplate,
+  stopFinanceTemplate,
+};
@@ -8,6 +8,18 @@ const { prisma } = require('../config/database');
 const { emailService } = require('../services/email');
 const emailTemplates = require('../services/email/templates');
 const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const { getApprovalExpiryFields } = require('../services/approvalExpiry.service');
+const { isValidReminderDays, MAX_REMINDER_DAY } = require('../utils/financeReminders');
+const {
+  isValidApprovalPolicies,
+  isValidReminderHours,
+  getChangedPolicyTypes,
+  describeApprovalPolicy,
+  MAX_EXPIRY_DAYS,
+  MAX_REMINDER_HOURS,
+} = require('../utils/approvalExpiry');
+const { isValidEditWindow, MAX_EDIT_WINDOW_MINUTES } = require('../utils/messageEdits');
 
 /**
  * Generate icon letters from name or email
@@ -1307,6 +1319,8 @@ async function inviteMember(req, res) {
         }
       }
 
+      realtimeService.publishApprovalChange(approval);
+
       res.status(201).json({
         success: true,
         message: `Successfully invited ${email} to the group`,
@@ -1329,6 +1343,7 @@ async function inviteMember(req, res) {
           requiresAllAdmins: false,
           requiredApprovalPercentage: '50.00',
           status: 'pending',
+          ...(await getApprovalExpiryFields(groupId, 'add_member', { targetRole: role })),
           approvalData: JSON.stringify({
             targetEmail: email.toLowerCase(),
             targetDisplayName: displayName,
@@ -1374,6 +1389,8 @@ async function inviteMember(req, res) {
         approval.approvalId
       ).catch(err => console.error('[Groups] Failed to send approval notification:', err));
 
+      realtimeService.publishApprovalChange(approval);
+
       res.status(202).json({
         success: true,
         message: `Approval request created to add ${email} to the group. Waiting for other admin approvals.`,
@@ -1607,6 +1624,7 @@ async function deleteGroup(req, res) {
           requiresAllAdmins: false, // Deleting group requires >50% approval
           requiredApprovalPercentage: '50.00',
           status: 'pending', // Always pending for multi-admin delete
+          ...(await getApprovalExpiryFields(groupId, 'delete_group')),
           approvalData: JSON.stringify({
             groupName: group.name,
             allAdminIds: allAdminIds, // Snapshot of admins at approval creation time
@@ -1646,6 +1664,8 @@ async function deleteGroup(req, res) {
         approval.approvalId
       ).catch(err => console.error('[Groups] Failed to send approval notification:', err));
 
+      realtimeService.publishApprovalChange(approval);
+
       return res.status(200).json({
         success: true,
         requiresApproval: true,
@@ -1713,6 +1733,8 @@ async function deleteGroup(req, res) {
       },
     });
 
+    realtimeService.publishApprovalChange(approval);
+
     res.status(200).json({
       success: true,
       requiresApproval: false,
@@ -2368,6 +2390,7 @@ async function changeMemberRole(req, res) {
           requiresAllAdmins: true, // Adding admin requires 100% approval
           requiredApprovalPercentage: '100.00',
           status: shouldAutoApprove ? 'approved' : 'pending',
+          ...(shouldAutoApprove ? {} : await getApprovalExpiryFields(groupId, 'change_role_to_admin')),
           approvalData: JSON.stringify({
             targetUserId: targetMembership.userId,
             targetGroupMemberId: targetMembership.groupMemberId,
@@ -2431,6 +2454,8 @@ async function changeMemberRole(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: false,
@@ -2451,6 +2476,8 @@ async function changeMemberRole(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: true,
@@ -2542,6 +2569,7 @@ async function changeMemberRole(req, res) {
           requiresAllAdmins: false, // Removing admin requires >50% approval
           requiredApprovalPercentage: '50.00',
           status: shouldAutoApprove ? 'approved' : 'pending',
+          ...(shouldAutoApprove ? {} : await getApprovalExpiryFields(groupId, 'change_role_from_admin')),
           approvalData: JSON.stringify({
             targetUserId: targetMembership.userId,
             targetGroupMemberId: targetMembership.groupMemberId,
@@ -2605,6 +2633,8 @@ async function changeMemberRole(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: false,
@@ -2625,6 +2655,8 @@ async function changeMemberRole(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: true,
@@ -2909,6 +2941,7 @@ async function removeMember(req, res) {
           requiresAllAdmins: false, // Removing admin requires >50% approval
           requiredApprovalPercentage: '50.00',
           status: shouldAutoApprove ? 'approved' : 'pending',
+          ...(shouldAutoApprove ? {} : await getApprovalExpiryFields(groupId, 'remove_member')),
           approvalData: JSON.stringify({
             targetUserId: targetMembership.userId,
             targetGroupMemberId: targetMembership.groupMemberId,
@@ -2969,6 +3002,8 @@ async function removeMember(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: false,
@@ -2989,6 +3024,8 @@ async function removeMember(req, res) {
           },
         });
 
+        realtimeService.publishApprovalChange(approval);
+
         return res.status(200).json({
           success: true,
           requiresApproval: true,
@@ -3181,6 +3218,80 @@ async function getGroupSettings(req, res) {
   }
 }
 
+/**
+ * Ask the other admins to approve a settings change (>50% vote required)
+ *
+ * The requester's own vote counts, so the change is applied straight away if
+ * that is already enough.
+ *
+ * @param {string} groupId - Group ID
+ * @param {Object} membership - Requesting admin's group membership
+ * @param {Array<string>} allAdminIds - Group member IDs of the group's admins
+ * @param {string} approvalType - e.g. 'change_recording_settings'
+ * @param {Object} changes - Settings to apply once approved
+ * @param {string} description - What is changing, for notifications
+ * @param {string} summary - e.g. 'change recording settings'
+ * @returns {Promise<boolean>} True if the change is waiting for other admins
+ */
+async function requestSettingsApproval(groupId, membership, allAdminIds, approvalType, changes, description, summary) {
+  const approval = await prisma.approval.create({
+    data: {
+      groupId: groupId,
+      requestedBy: membership.groupMemberId,
+      approvalType: approvalType,
+      requiresAllAdmins: false,
+      requiredApprovalPercentage: '50.00',
+      status: 'pending',
+      ...(await getApprovalExpiryFields(groupId, approvalType)),
+      approvalData: JSON.stringify({
+        ...changes,
+        allAdminIds: allAdminIds,
+        description: description,
+      }),
+    },
+  });
+
+  // Create requester's vote (they approve their own request)
+  await prisma.approvalVote.create({
+    data: {
+      approvalId: approval.approvalId,
+      adminId: membership.groupMemberId,
+      vote: 'approve',
+      isAutoApproved: false,
+    },
+  });
+
+  // Check if >50% threshold is already met (requester is 1 vote)
+  const requiredVotes = Math.floor(allAdminIds.length / 2) + 1; // >50%
+  if (1 >= requiredVotes) {
+    // Solo admin or exactly 50% - auto-approve
+    await prisma.approval.update({
+      where: { approvalId: approval.approvalId },
+      data: {
+        status: 'approved',
+        completedAt: new Date(),
+      },
+    });
+
+    // Execute the change
+    const { executeApprovedAction } = require('./approvals.controller');
+    await executeApprovedAction(approval);
+    realtimeService.publishApprovalChange({ ...approval, status: 'approved' });
+    return false;
+  }
+
+  // Send push notification to other admins (fire and forget)
+  pushNotificationService.sendApprovalNotification(
+    groupId,
+    membership.groupMemberId,
+    approvalType,
+    `${membership.displayName} wants to ${summary}: ${description}`,
+    approval.approvalId
+  ).catch(err => console.error('[Groups] Failed to send approval notification:', err));
+  realtimeService.publishApprovalChange(approval);
+  return true;
+}
+
 /**
  * Update group settings (admin only)
  * PUT /groups/:groupId/settings
@@ -3213,6 +3324,57 @@ async function updateGroupSettings(req, res) {
       ...settingsData
     } = req.body;
 
+    // Finance due-date reminder days: days relative to the due date (negative before, positive after)
+    if (settingsData.financeReminderDays !== undefined) {
+      if (!isValidReminderDays(settingsData.financeReminderDays)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'financeReminderDays must be up to 6 different whole days from -30 (before the due date) to 90 (after it)',
+        });
+      }
+      settingsData.financeReminderDays = [...settingsData.financeReminderDays].sort((a, b) => a - b);
+    }
+
+    if (settingsData.financeOverdueEscalationDays !== undefined &&
+        settingsData.financeOverdueEscalationDays !== null &&
+        (!Number.isInteger(settingsData.financeOverdueEscalationDays) ||
+          settingsData.financeOverdueEscalationDays < 1 ||
+          settingsData.financeOverdueEscalationDays > MAX_REMINDER_DAY)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `financeOverdueEscalationDays must be a whole number of days from 1 to ${MAX_REMINDER_DAY}, or null to turn escalation off`,
+      });
+    }
+
+    // Approval expiry per approval type; approvals already waiting keep the expiry they were given
+    if (settingsData.approvalExpiryPolicies !== undefined && !isValidApprovalPolicies(settingsData.approvalExpiryPolicies)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `approvalExpiryPolicies must map approval types to { expiryDays: 1 to ${MAX_EXPIRY_DAYS} or null, onExpiry: 'approve' or 'reject' }; removing members, admin role changes, deletions and custody schedules can only be rejected on expiry`,
+      });
+    }
+
+    if (settingsData.approvalReminderHours !== undefined && !isValidReminderHours(settingsData.approvalReminderHours)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `approvalReminderHours must be a whole number of hours from 1 to ${MAX_REMINDER_HOURS}, or null to turn reminders off`,
+      });
+    }
+
+    if (settingsData.messageEditWindowMinutes !== undefined && !isValidEditWindow(settingsData.messageEditWindowMinutes)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `messageEditWindowMinutes must be a whole number of minutes from 1 to ${MAX_EDIT_WINDOW_MINUTES}, or null to turn editing off`,
+      });
+    }
+
+    if (settingsData.toneCheckEnabled !== undefined && typeof settingsData.toneCheckEnabled !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'toneCheckEnabled must be true or false',
+      });
+    }
+
     // Check if recording settings are being changed (requires >50% admin approval)
     const recordingSettingsChanged = {};
     if (settingsData.recordPhoneCalls !== undefined) {
@@ -3268,60 +3430,17 @@ async function updateGroupSettings(req, res) {
           changesDesc.push(`Video call recording: ${actualChanges.recordVideoCalls ? 'ON' : 'OFF'}`);
         }
 
-        const approval = await prisma.approval.create({
-          data: {
-            groupId: groupId,
-            requestedBy: membership.groupMemberId,
-            approvalType: 'change_recording_settings',
-            requiresAllAdmins: false,
-            requiredApprovalPercentage: '50.00',
-            status: 'pending',
-            approvalData: JSON.stringify({
-              ...actualChanges,
-              allAdminIds: allAdminIds,
-              description: changesDesc.join(', '),
-            }),
-          },
-        });
-
-        // Create requester's vote (they approve their own request)
-        await prisma.approvalVote.create({
-          data: {
-            approvalId: approval.approvalId,
-            adminId: membership.groupMemberId,
-            vote: 'approve',
-            isAutoApproved: false,
-          },
-        });
-
-        // Check if >50% threshold is already met (requester is 1 vote)
-        const requiredVotes = Math.floor(adminCount / 2) + 1; // >50%
-        if (1 >= requiredVotes) {
-          // Solo admin or exactly 50% - auto-approve
-          await prisma.approval.update({
-            where: { approvalId: approval.approvalId },
-            data: {
-              status: 'approved',
-              completedAt: new Date(),
-            },
-          });
-
-          // Execute the change
-          const { executeApprovedAction } = require('./approvals.controller');
-          await executeApprovedAction(approval);
-
-        } else {
-          recordingApprovalCreated = true;
+        recordingApprovalCreated = await requestSettingsApproval(
+          groupId,
+          membership,
+          allAdminIds,
+          'change_recording_settings',
+          actualChanges,
+          changesDesc.join(', '),
+          'change recording settings'
+        );
+        if (recordingApprovalCreated) {
           pendingRecordingChanges = changesDesc;
-
-          // Send push notification to other admins (fire and forget)
-          pushNotificationService.sendApprovalNotification(
-            groupId,
-            membership.groupMemberId,
-            'change_recording_settings',
-            `${membership.displayName} wants to change recording settings: ${changesDesc.join(', ')}`,
-            approval.approvalId
-          ).catch(err => console.error('[Groups] Failed to send approval notification:', err));
         }
       }
 
@@ -3330,6 +3449,39 @@ async function updateGroupSettings(req, res) {
       delete settingsData.recordVideoCalls;
     }
 
+    // Approval expiry policies decide what happens to unanswered approvals, so
+    // changing them needs the same >50% admin approval
+    let policyApprovalCreated = false;
+    let pendingPolicyChanges = null;
+
+    if (settingsData.approvalExpiryPolicies !== undefined && adminCount >= 2) {
+      const currentSettings = await prisma.groupSettings.findUnique({
+        where: { groupId },
+        select: { approvalExpiryPolicies: true },
+      });
+
+      const changedTypes = getChangedPolicyTypes(currentSettings?.approvalExpiryPolicies, settingsData.approvalExpiryPolicies);
+      if (changedTypes.length > 0) {
+        const changesDesc = changedTypes.map(type => describeApprovalPolicy(settingsData.approvalExpiryPolicies, type));
+
+        policyApprovalCreated = await requestSettingsApproval(
+          groupId,
+          membership,
+          allAdminIds,
+          'change_approval_policies',
+          { approvalExpiryPolicies: settingsData.approvalExpiryPolicies },
+          changesDesc.join(', '),
+          'change approval expiry'
+        );
+        if (policyApprovalCreated) {
+          pendingPolicyChanges = changesDesc;
+        }
+      }
+
+      // Remove the policies from the direct update
+      delete settingsData.approvalExpiryPolicies;
+    }
+
     // Enforce dependency: creatable requires visible for all features
     // For each role (Parents, Caregivers, Children), if feature is not visible, set creatable to false
     const features = ['messageGroups', 'calendar', 'finance', 'giftRegistry', 'secretSanta', 'itemRegistry', 'wiki', 'documents'];
@@ -3376,7 +3528,10 @@ async function updateGroupSettings(req, res) {
           .replace(/([A-Z])/g, ' $1')
           .replace(/^./, str => str.toUpperCase())
           .trim();
-        changedSettings.push(`${readable}: ${updatedData[key]}`);
+        const value = updatedData[key] && typeof updatedData[key] === 'object' && !Array.isArray(updatedData[key])
+          ? JSON.stringify(updatedData[key])
+          : updatedData[key];
+        changedSettings.push(`${readable}: ${value}`);
       }
     });
 
@@ -3393,7 +3548,11 @@ async function updateGroupSettings(req, res) {
       auditMessage += `\n[PENDING APPROVAL] Recording settings change: ${pendingRecordingChanges.join(', ')}`;
     }
 
-    if (changedSettings.length > 0 || updatedData.defaultCurrency || recordingApprovalCreated) {
+    if (policyApprovalCreated) {
+      auditMessage += `\n[PENDING APPROVAL] Approval expiry change: ${pendingPolicyChanges.join(', ')}`;
+    }
+
+    if (changedSettings.length > 0 || updatedData.defaultCurrency || recordingApprovalCreated || policyApprovalCreated) {
       await prisma.auditLog.create({
         data: {
           groupId: groupId,
@@ -3412,6 +3571,11 @@ async function updateGroupSettings(req, res) {
     if (recordingApprovalCreated) {
       responseMessage = 'Settings updated. Recording setting changes require approval from other admins (>50% vote required).';
     }
+    if (policyApprovalCreated) {
+      responseMessage = recordingApprovalCreated
+        ? 'Settings updated. Recording setting and approval expiry changes require approval from other admins (>50% vote required).'
+        : 'Settings updated. Approval expiry changes require approval from other admins (>50% vote required).';
+    }
 
     res.status(200).json({
       success: true,
@@ -3421,6 +3585,10 @@ async function updateGroupSettings(req, res) {
         type: 'change_recording_settings',
         changes: pendingRecordingChanges,
       } : null,
+      pendingPolicyApproval: policyApprovalCreated ? {
+        type: 'change_approval_policies',
+        changes: pendingPolicyChanges,
+      } : null,
     });
   } catch (error) {
     console.error('Update group settings error:', error);
@@ -1,16 +1,32 @@
 /**
  * Logs Controller
  *
- * Handles audit log export operations.
- * When exporting messages, all encrypted content must be decrypted for admin review.
+ * Handles audit log export operations:
+ * - PDF exports of filtered audit logs, generated on request
+ * - Full exports (password-protected ZIP with decrypted messages, audit log and
+ *   attachment links), built by the log export job (jobs/logExports.js)
+ * - Evidence bundles (ZIP with the PDF, raw data, media and a signed hash
+ *   manifest), built by the evidence bundle job (jobs/evidenceBundles.js)
+ * - Verifying the audit log hash chain (services/auditChain.service.js)
  */
 
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const bcrypt = require('bcrypt');
 const encryptionService = require('../services/encryption.service');
 const pdfService = require('../services/pdf.service');
+const fileEncryption = require('../services/fileEncryption.service');
+const { storageService } = require('../services/storage');
 const { prisma } = require('../config/database');
+const realtimeService = require('../services/realtime.service');
+const { getApprovalExpiryFields } = require('../services/approvalExpiry.service');
+const { enqueueJob } = require('../services/jobQueue.service');
+const { LOG_EXPORT_JOB_TYPE, EXPORTS_DIR } = require('../jobs/logExports');
+const { EVIDENCE_BUNDLE_JOB_TYPE } = require('../jobs/evidenceBundles');
+const evidenceSigning = require('../services/evidenceSigning.service');
+const auditChainService = require('../services/auditChain.service');
+const { buildAuditLogWhere } = require('../utils/logExport');
 
 /**
  * Get audit logs for a group
@@ -182,7 +198,63 @@ async function getAuditLogs(req, res) {
 }
 
 /**
- * Request a new log export
+ * Verify a group's audit log hash chain
+ * GET /logs/groups/:groupId/verify
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function verifyAuditChain(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is admin of this group
+    const groupMember = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+        role: 'admin',
+      },
+    });
+
+    if (!groupMember) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You must be an admin of this group to verify audit logs',
+      });
+    }
+
+    const result = await auditChainService.verifyChain(groupId);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      verifiedAt: new Date(),
+    });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({
+      error: 'Failed to verify audit logs',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * How long full exports (and their attachment links) can be downloaded
+ */
+const EXPORT_RETENTION_DAYS = 30;
+
+/**
+ * Request a new full log export (password-protected ZIP built in the background)
  * POST /logs/exports
  *
  * @param {Object} req - Express request
@@ -190,7 +262,6 @@ async function getAuditLogs(req, res) {
  */
 async function requestExport(req, res) {
   try {
-    const { prisma } = require('../config/database');
     const userId = req.user?.userId;
     const { groupId, password } = req.body;
 
@@ -210,7 +281,7 @@ async function requestExport(req, res) {
     }
 
     // Validate password length
-    if (password.length < 8) {
+    if (typeof password !== 'string' || password.length < 8) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Password must be at least 8 characters',
@@ -240,47 +311,77 @@ async function requestExport(req, res) {
       });
     }
 
-    // Create export request
-    // For now, we'll store this in a simple JSON file
-    // In production, this would be in a database table
+    // One full export at a time per admin per group
+    const inProgress = await prisma.logExport.findFirst({
+      where: {
+        groupId: groupId,
+        createdBy: groupMember.groupMemberId,
+        format: 'zip',
+        status: { in: ['pending', 'processing'] },
+        isHidden: false,
+      },
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'You already have an export being prepared for this group',
+        exportId: inProgress.exportId,
+      });
+    }
+
     const exportId = uuidv4();
-    const exportRequest = {
-      exportId: exportId,
-      groupId: groupId,
-      groupName: groupMember.group.name,
-      userId: userId,
-      requestedAt: new Date().toISOString(),
-      status: 'pending', // pending, processing, completed, failed
-      password: password, // In production, this should be hashed
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-    };
-
-    // Store export request (simplified for local development)
-    const exportsDir = path.join(__dirname, '../uploads/exports');
-    if (!fs.existsSync(exportsDir)) {
-      fs.mkdirSync(exportsDir, { recursive: true });
-    }
-
-    const exportFilePath = path.join(exportsDir, `${exportId}.json`);
-    fs.writeFileSync(exportFilePath, JSON.stringify(exportRequest, null, 2));
-
-    // In production, trigger background job to process export
-    // IMPORTANT: When exporting messages, use encryptionService.decrypt() to decrypt
-    // all message content so admins can read them in the export ZIP file
-    // For now, we'll just mark it as completed immediately for testing
-    setTimeout(() => {
-      try {
-        const request = JSON.parse(fs.readFileSync(exportFilePath, 'utf8'));
-        request.status = 'completed';
-        fs.writeFileSync(exportFilePath, JSON.stringify(request, null, 2));
-      } catch (err) {
-        console.error('Failed to update export status:', err);
-      }
-    }, 2000); // Simulate processing delay
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `LogExport_${groupMember.group.name.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.zip`;
+    const expiresAt = new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.logExport.create({
+        data: {
+          exportId: exportId,
+          groupId: groupId,
+          createdBy: groupMember.groupMemberId,
+          filters: {},
+          filePath: `${EXPORTS_DIR}/${fileName}`,
+          fileName: fileName,
+          format: 'zip',
+          status: 'pending',
+          progress: 0,
+          passwordHash: passwordHash,
+          expiresAt: expiresAt,
+        },
+      });
+
+      // The job needs the password to encrypt the ZIP; it's removed from the
+      // payload as soon as the job finishes
+      await enqueueJob(LOG_EXPORT_JOB_TYPE, {
+        exportId: exportId,
+        encryptedPassword: encryptionService.encrypt(password),
+      }, { tx });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'request_log_export',
+          actionLocation: 'logs',
+          performedBy: groupMember.groupMemberId,
+          performedByName: groupMember.displayName,
+          performedByEmail: groupMember.email || 'N/A',
+          messageContent: 'Requested a full password-protected log export',
+          mediaLinks: [],
+          logData: {
+            exportId: exportId,
+            fileName: fileName,
+          },
+        },
+      });
+    });
 
     res.status(201).json({
       success: true,
       exportId: exportId,
+      status: 'pending',
       message: 'Export request created. You will receive an email when it is ready.',
     });
   } catch (error) {
@@ -293,7 +394,7 @@ async function requestExport(req, res) {
 }
 
 /**
- * Get all export requests for the user
+ * Get all full export requests for the user
  * GET /logs/exports
  *
  * @param {Object} req - Express request
@@ -310,37 +411,41 @@ async function getExports(req, res) {
       });
     }
 
-    // Read all export requests for this user
-    const exportsDir = path.join(__dirname, '../uploads/exports');
-
-    if (!fs.existsSync(exportsDir)) {
-      return res.status(200).json({
-        success: true,
-        exports: [],
-      });
-    }
+    const exports = await prisma.logExport.findMany({
+      where: {
+        format: 'zip',
+        isHidden: false,
+        creator: {
+          userId: userId,
+        },
+      },
+      include: {
+        group: {
+          select: {
+            name: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
 
-    const files = fs.readdirSync(exportsDir);
-    const exports = files
-      .filter(file => file.endsWith('.json'))
-      .map(file => {
-        const filePath = path.join(exportsDir, file);
-        const content = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(content);
-      })
-      .filter(exp => exp.userId === userId)
-      .map(exp => ({
+    res.status(200).json({
+      success: true,
+      exports: exports.map(exp => ({
         exportId: exp.exportId,
-        groupName: exp.groupName,
-        requestedAt: exp.requestedAt,
+        groupId: exp.groupId,
+        groupName: exp.group.name,
+        requestedAt: exp.createdAt,
         status: exp.status,
+        progress: exp.progress,
+        completedAt: exp.completedAt,
         expiresAt: exp.expiresAt,
-      }))
-      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
-
-    res.status(200).json({
-      success: true,
-      exports: exports,
+        fileName: exp.fileName,
+        fileSizeBytes: exp.fileSizeBytes.toString(),
+        errorMessage: exp.errorMessage,
+      })),
     });
   } catch (error) {
     console.error('Get exports error:', error);
@@ -352,7 +457,7 @@ async function getExports(req, res) {
 }
 
 /**
- * Download a completed export
+ * Download a completed full export
  * GET /logs/exports/:id/download
  *
  * @param {Object} req - Express request
@@ -370,20 +475,28 @@ async function downloadExport(req, res) {
       });
     }
 
-    // Read export request
-    const exportFilePath = path.join(__dirname, '../uploads/exports', `${exportId}.json`);
+    const logExport = await prisma.logExport.findUnique({
+      where: {
+        exportId: exportId,
+      },
+      include: {
+        creator: {
+          select: {
+            userId: true,
+          },
+        },
+      },
+    });
 
-    if (!fs.existsSync(exportFilePath)) {
+    if (!logExport || logExport.format !== 'zip' || logExport.isHidden) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Export not found',
       });
     }
 
-    const exportRequest = JSON.parse(fs.readFileSync(exportFilePath, 'utf8'));
-
     // Check if user owns this export
-    if (exportRequest.userId !== userId) {
+    if (logExport.creator.userId !== userId) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You do not have permission to download this export',
@@ -391,28 +504,33 @@ async function downloadExport(req, res) {
     }
 
     // Check if export is completed
-    if (exportRequest.status !== 'completed') {
+    if (logExport.status !== 'completed') {
       return res.status(404).json({
         error: 'Not Found',
-        message: `Export is ${exportRequest.status}. Please wait for it to complete.`,
+        message: `Export is ${logExport.status}. Please wait for it to complete.`,
       });
     }
 
     // Check if export has expired
-    if (new Date(exportRequest.expiresAt) < new Date()) {
+    if (logExport.expiresAt && logExport.expiresAt < new Date()) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Export has expired',
       });
     }
 
-    // For local development, create a dummy ZIP file
-    // In production, this would be a real password-protected ZIP with audit logs
-    const dummyZipContent = Buffer.from(`Audit logs for ${exportRequest.groupName}\nRequested at: ${exportRequest.requestedAt}\nPassword protected with: ${exportRequest.password}`);
+    const fullPath = path.join(__dirname, '..', logExport.filePath);
+    if (!fs.existsSync(fullPath)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Export file not found on server',
+      });
+    }
 
     res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${exportId}.zip"`);
-    res.send(dummyZipContent);
+    res.setHeader('Content-Disposition', `attachment; filename="${logExport.fileName}"`);
+    res.setHeader('Content-Length', logExport.fileSizeBytes.toString());
+    fs.createReadStream(fullPath).pipe(res);
   } catch (error) {
     console.error('Download export error:', error);
     res.status(500).json({
@@ -422,6 +540,75 @@ async function downloadExport(req, res) {
   }
 }
 
+/**
+ * Download an attachment linked from a full export (public - the token is the credential)
+ * GET /logs/media/:token
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getExportMedia(req, res) {
+  try {
+    const { token } = req.params;
+
+    const link = await prisma.mediaLogLink.findFirst({
+      where: {
+        accessToken: token,
+      },
+      include: {
+        media: {
+          select: {
+            url: true,
+            mimeType: true,
+          },
+        },
+        LogExport: {
+          select: {
+            isHidden: true,
+          },
+        },
+      },
+    });
+
+    // Links stop working when they expire or the export is deleted
+    if (!link || link.expiresAt < new Date() || link.LogExport?.isHidden) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Link not found or expired',
+      });
+    }
+
+    // MessageMedia.url holds the storage fileId
+    let fileBuffer = await storageService.getFile(link.media.url);
+    if (fileEncryption.isEncrypted(fileBuffer)) {
+      fileBuffer = fileEncryption.decryptFile(fileBuffer);
+    }
+
+    await prisma.mediaLogLink.update({
+      where: { linkId: link.linkId },
+      data: { accessedCount: { increment: 1 } },
+    });
+
+    res.setHeader('Content-Type', link.media.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Length', fileBuffer.length);
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Get export media error:', error);
+
+    if (error.message === 'File not found' || error.message === 'File has been deleted') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get attachment',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * Export audit logs as PDF
  * POST /logs/:groupId/export
@@ -475,39 +662,9 @@ async function exportLogsAsPDF(req, res) {
 
     const groupName = groupMember.group.name;
 
-    // Build filter conditions for Prisma query
-    const whereConditions = {
-      groupId: groupId,
-    };
-
-    // Date range filter
-    if (filters.dateFrom || filters.dateTo) {
-      whereConditions.performedAt = {};
-      if (filters.dateFrom) {
-        whereConditions.performedAt.gte = new Date(filters.dateFrom);
-      }
-      if (filters.dateTo) {
-        whereConditions.performedAt.lte = new Date(filters.dateTo);
-      }
-    }
-
-    // Action types filter
-    if (filters.actionTypes && filters.actionTypes.length > 0) {
-      whereConditions.action = {
-        in: filters.actionTypes,
-      };
-    }
-
-    // Users filter
-    if (filters.userIds && filters.userIds.length > 0) {
-      whereConditions.performedBy = {
-        in: filters.userIds,
-      };
-    }
-
     // Fetch filtered audit logs
     const logs = await prisma.auditLog.findMany({
-      where: whereConditions,
+      where: buildAuditLogWhere(groupId, filters),
       orderBy: {
         performedAt: 'desc',
       },
@@ -545,6 +702,7 @@ async function exportLogsAsPDF(req, res) {
         userNames,
       },
       logs,
+      chainHead: await auditChainService.getChainHead(groupId),
       createdAt: new Date(),
     });
 
@@ -605,6 +763,150 @@ async function exportLogsAsPDF(req, res) {
   }
 }
 
+/**
+ * Request an evidence bundle (built in the background)
+ * POST /logs/:groupId/evidence-bundle
+ *
+ * Uses the same filters as PDF exports. The bundle appears in the group's
+ * previous exports and can be downloaded once completed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function requestEvidenceBundle(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+    const { filters = {} } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is admin of this group
+    const groupMember = await prisma.groupMember.findFirst({
+      where: {
+        groupId: groupId,
+        userId: userId,
+        role: 'admin',
+      },
+      include: {
+        group: {
+          select: {
+            name: true,
+          },
+        },
+      },
+    });
+
+    if (!groupMember) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You must be an admin of this group to export logs',
+      });
+    }
+
+    // One bundle at a time per admin per group
+    const inProgress = await prisma.logExport.findFirst({
+      where: {
+        groupId: groupId,
+        createdBy: groupMember.groupMemberId,
+        format: 'evidence',
+        status: { in: ['pending', 'processing'] },
+        isHidden: false,
+      },
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'You already have an evidence bundle being prepared for this group',
+        exportId: inProgress.exportId,
+      });
+    }
+
+    const exportId = uuidv4();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `EvidenceBundle_${groupMember.group.name.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.zip`;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.logExport.create({
+        data: {
+          exportId: exportId,
+          groupId: groupId,
+          createdBy: groupMember.groupMemberId,
+          filters: filters,
+          filePath: `${EXPORTS_DIR}/${fileName}`,
+          fileName: fileName,
+          format: 'evidence',
+          status: 'pending',
+          progress: 0,
+        },
+      });
+
+      await enqueueJob(EVIDENCE_BUNDLE_JOB_TYPE, { exportId: exportId }, { tx });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'request_evidence_bundle',
+          actionLocation: 'logs',
+          performedBy: groupMember.groupMemberId,
+          performedByName: groupMember.displayName,
+          performedByEmail: groupMember.email || 'N/A',
+          messageContent: 'Requested an evidence bundle',
+          mediaLinks: [],
+          logData: {
+            exportId: exportId,
+            fileName: fileName,
+            filters: filters,
+          },
+        },
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      exportId: exportId,
+      status: 'pending',
+      message: 'Evidence bundle requested. It will appear in previous exports when ready.',
+    });
+  } catch (error) {
+    console.error('Request evidence bundle error:', error);
+    res.status(500).json({
+      error: 'Failed to request evidence bundle',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Get the public key evidence bundle manifests are signed with
+ * GET /logs/evidence/public-key
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getEvidencePublicKey(req, res) {
+  try {
+    res.status(200).json({
+      success: true,
+      algorithm: 'Ed25519',
+      publicKey: evidenceSigning.getPublicKeyPem(),
+      fingerprint: evidenceSigning.getPublicKeyFingerprint(),
+    });
+  } catch (error) {
+    console.error('Get evidence public key error:', error);
+    res.status(500).json({
+      error: 'Failed to get public key',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * Get all previous exports for a group
  * GET /logs/:groupId/exports
@@ -669,6 +971,12 @@ async function getPreviousExports(req, res) {
         fileName: exp.fileName,
         fileSizeBytes: exp.fileSizeBytes.toString(),
         filters: exp.filters,
+        format: exp.format,
+        status: exp.status,
+        progress: exp.progress,
+        expiresAt: exp.expiresAt,
+        errorMessage: exp.errorMessage,
+        manifestSha256: exp.manifestSha256,
       })),
     });
   } catch (error) {
@@ -745,7 +1053,22 @@ async function downloadPreviousExport(req, res) {
       });
     }
 
-    // Read the PDF file
+    // Full exports are built in the background and expire
+    if (logExport.status !== 'completed') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Export is ${logExport.status}. Please wait for it to complete.`,
+      });
+    }
+
+    if (logExport.expiresAt && logExport.expiresAt < new Date()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Export has expired',
+      });
+    }
+
+    // Read the export file
     const fullPath = path.join(__dirname, '..', logExport.filePath);
     if (!fs.existsSync(fullPath)) {
       return res.status(404).json({
@@ -754,13 +1077,14 @@ async function downloadPreviousExport(req, res) {
       });
     }
 
-    const pdfBuffer = fs.readFileSync(fullPath);
-
-    // Return the PDF file
-    res.setHeader('Content-Type', 'application/pdf');
+    // Return the PDF or ZIP file (streamed - evidence bundles include media)
+    res.setHeader('Content-Type', logExport.format === 'pdf' ? 'application/pdf' : 'application/zip');
     res.setHeader('Content-Disposition', `attachment; filename="${logExport.fileName}"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-    res.send(pdfBuffer);
+    res.setHeader('Content-Length', fs.statSync(fullPath).size);
+    if (logExport.manifestSha256) {
+      res.setHeader('X-Manifest-Sha256', logExport.manifestSha256);
+    }
+    fs.createReadStream(fullPath).pipe(res);
   } catch (error) {
     console.error('Download previous export error:', error);
     res.status(500).json({
@@ -853,6 +1177,7 @@ async function requestDeleteExport(req, res) {
         },
         requiresAllAdmins: false,
         requiredApprovalPercentage: 50.0,
+        ...(await getApprovalExpiryFields(groupId, 'delete_log_export')),
       },
     });
 
@@ -917,6 +1242,8 @@ async function requestDeleteExport(req, res) {
         },
       });
 
+      realtimeService.publishApprovalChange({ ...approval, status: 'approved' });
+
       return res.status(200).json({
         success: true,
         message: 'Export deleted successfully',
@@ -924,6 +1251,8 @@ async function requestDeleteExport(req, res) {
       });
     }
 
+    realtimeService.publishApprovalChange(approval);
+
     // Threshold not met yet, return pending approval
     res.status(200).json({
       success: true,
@@ -944,10 +1273,14 @@ async function requestDeleteExport(req, res) {
 
 module.exports = {
   getAuditLogs,
+  verifyAuditChain,
   requestExport,
   getExports,
   downloadExport,
+  getExportMedia,
   exportLogsAsPDF,
+  requestEvidenceBundle,
+  getEvidencePublicKey,
   getPreviousExports,
   downloadPreviousExport,
   requestDeleteExport,
@@ -10,6 +10,241 @@ const encryptionService = require('../services/encryption.service');
 const storageService = require('../services/storage');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
 const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const { requestApproval } = require('../services/approvalRequest.service');
+const { getSearchIndexFields, searchMessages } = require('../services/messageSearch.service');
+const { getQueryTerms } = require('../utils/messageSearch');
+const { DEFAULT_EDIT_WINDOW_MINUTES, getEditBlockReason, buildRevisionHistory } = require('../utils/messageEdits');
+const { getReplyBlockReason, buildQuote } = require('../utils/messageReplies');
+const {
+  checkOutgoingTone,
+  getToneCheckResponse,
+  getToneCheckStats: loadToneCheckStats,
+} = require('../services/toneCheck.service');
+
+/**
+ * Fields of a replied-to message needed to quote it (see utils/messageReplies.js)
+ */
+const QUOTED_MESSAGE_SELECT = {
+  messageId: true,
+  messageGroupId: true,
+  senderId: true,
+  createdAt: true,
+  isHidden: true,
+  content: true,
+  sender: {
+    select: {
+      groupMemberId: true,
+      displayName: true,
+      user: { select: { displayName: true } },
+    },
+  },
+  media: { select: { mediaId: true } },
+};
+
+/**
+ * Relations loaded with messages for the message list
+ * @param {boolean} isAdmin - Viewer is an admin (reply counts include hidden replies)
+ * @returns {Object} Prisma include
+ */
+function getMessageListInclude(isAdmin) {
+  return {
+    sender: {
+      select: {
+        groupMemberId: true,
+        displayName: true,
+        iconLetters: true,
+        iconColor: true,
+        role: true,
+        user: {
+          select: {
+            displayName: true,
+            memberIcon: true,
+            iconColor: true,
+            profilePhotoFileId: true,
+          },
+        },
+      },
+    },
+    readReceipts: {
+      select: {
+        groupMemberId: true,
+        readAt: true,
+        groupMember: {
+          select: {
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+      },
+    },
+    media: {
+      select: {
+        mediaId: true,
+        mediaType: true,
+        mimeType: true,
+        url: true,
+        thumbnailUrl: true,
+        fileSizeBytes: true,
+        durationMs: true,
+        uploadedAt: true,
+        isHidden: true,
+        hiddenAt: true,
+        hiddenBy: true,
+        s3Key: true,
+        hider: {
+          select: {
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+      },
+    },
+    reactions: {
+      select: {
+        reactionId: true,
+        emoji: true,
+        createdAt: true,
+        reactor: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            iconLetters: true,
+            iconColor: true,
+            user: {
+              select: {
+                displayName: true,
+                memberIcon: true,
+                iconColor: true,
+                profilePhotoFileId: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'asc',
+      },
+    },
+    replyTo: { select: QUOTED_MESSAGE_SELECT },
+    _count: {
+      select: {
+        replies: isAdmin ? true : { where: { isHidden: false } },
+      },
+    },
+  };
+}
+
+/**
+ * Decrypt a message and shape it for the message list
+ *
+ * Merges User profile data with GroupMember data (prioritizing the User profile)
+ * and replaces the reply relation with a quote of the original.
+ *
+ * @param {Object} message - Message loaded with getMessageListInclude
+ * @returns {Object} Message for the client
+ */
+function formatListMessage(message) {
+  const { _count: counts, ...fields } = message;
+
+  // Decrypt message content
+  let decryptedContent;
+  try {
+    decryptedContent = encryptionService.decrypt(message.content);
+  } catch (error) {
+    // If decryption fails (old unencrypted message or corrupted data), use original
+    console.warn(`Failed to decrypt message ${message.messageId}:`, error.message);
+    decryptedContent = message.content;
+  }
+
+  return {
+    ...fields,
+    content: decryptedContent, // Return decrypted content
+    replyTo: buildQuote(message.replyTo, encryptionService.decrypt),
+    replyCount: counts.replies,
+    sender: {
+      groupMemberId: message.sender.groupMemberId,
+      displayName: message.sender.user?.displayName || message.sender.displayName,
+      iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
+      iconColor: message.sender.user?.iconColor || message.sender.iconColor,
+      profilePhotoUrl: message.sender.user?.profilePhotoFileId
+        ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
+        : null,
+      role: message.sender.role,
+    },
+    readReceipts: message.readReceipts.map(receipt => ({
+      groupMemberId: receipt.groupMemberId,
+      readAt: receipt.readAt,
+      displayName: receipt.groupMember.user?.displayName || receipt.groupMember.displayName,
+      iconLetters: receipt.groupMember.user?.memberIcon || receipt.groupMember.iconLetters,
+      iconColor: receipt.groupMember.user?.iconColor || receipt.groupMember.iconColor,
+      profilePhotoUrl: receipt.groupMember.user?.profilePhotoFileId
+        ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${receipt.groupMember.user.profilePhotoFileId}`
+        : null,
+    })),
+    // Format reactions with reactor profile data
+    reactions: message.reactions?.map(reaction => ({
+      reactionId: reaction.reactionId,
+      emoji: reaction.emoji,
+      createdAt: reaction.createdAt,
+      reactor: {
+        groupMemberId: reaction.reactor.groupMemberId,
+        displayName: reaction.reactor.user?.displayName || reaction.reactor.displayName,
+        iconLetters: reaction.reactor.user?.memberIcon || reaction.reactor.iconLetters,
+        iconColor: reaction.reactor.user?.iconColor || reaction.reactor.iconColor,
+        profilePhotoUrl: reaction.reactor.user?.profilePhotoFileId
+          ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${reaction.reactor.user.profilePhotoFileId}`
+          : null,
+      },
+    })) || [],
+    // Convert BigInt fileSizeBytes to Number for JSON serialization
+    // Include isHidden flag and deleted info for media
+    media: message.media?.map(m => {
+      // Extract filename from s3Key
+      const s3KeyParts = m.s3Key ? m.s3Key.split('/') : [];
+      const fileName = s3KeyParts.length > 0 ? s3KeyParts[s3KeyParts.length - 1] : 'Deleted file';
+
+      return {
+        mediaId: m.mediaId,
+        mediaType: m.mediaType,
+        mimeType: m.mimeType || null, // Full MIME type for format detection
+        // Don't send URL for hidden/deleted files - they can't be viewed
+        url: m.isHidden ? null : m.url,
+        thumbnailUrl: m.isHidden ? null : m.thumbnailUrl,
+        fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
+        durationMs: m.durationMs || null, // Duration in ms for audio/video
+        uploadedAt: m.uploadedAt,
+        // Deletion info
+        isDeleted: m.isHidden || false,
+        deletedAt: m.hiddenAt,
+        fileName: fileName,
+        deletedBy: m.isHidden && m.hider ? {
+          displayName: m.hider.user?.displayName || m.hider.displayName,
+          iconLetters: m.hider.user?.memberIcon || m.hider.iconLetters,
+          iconColor: m.hider.user?.iconColor || m.hider.iconColor,
+        } : null,
+      };
+    }),
+  };
+}
 
 /**
  * Get messages for a group
@@ -200,103 +435,7 @@ async function getMessageGroupMessages(req, res) {
         createdAt: 'asc', // Oldest first
       },
       take: parseInt(limit),
-      include: {
-        sender: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-            user: {
-              select: {
-                displayName: true,
-                memberIcon: true,
-                iconColor: true,
-                profilePhotoFileId: true,
-              },
-            },
-          },
-        },
-        readReceipts: {
-          select: {
-            groupMemberId: true,
-            readAt: true,
-            groupMember: {
-              select: {
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                user: {
-                  select: {
-                    displayName: true,
-                    memberIcon: true,
-                    iconColor: true,
-                    profilePhotoFileId: true,
-                  },
-                },
-              },
-            },
-          },
-        },
-        media: {
-          select: {
-            mediaId: true,
-            mediaType: true,
-            mimeType: true,
-            url: true,
-            thumbnailUrl: true,
-            fileSizeBytes: true,
-            durationMs: true,
-            uploadedAt: true,
-            isHidden: true,
-            hiddenAt: true,
-            hiddenBy: true,
-            s3Key: true,
-            hider: {
-              select: {
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                user: {
-                  select: {
-                    displayName: true,
-                    memberIcon: true,
-                    iconColor: true,
-                    profilePhotoFileId: true,
-                  },
-                },
-              },
-            },
-          },
-        },
-        reactions: {
-          select: {
-            reactionId: true,
-            emoji: true,
-            createdAt: true,
-            reactor: {
-              select: {
-                groupMemberId: true,
-                displayName: true,
-                iconLetters: true,
-                iconColor: true,
-                user: {
-                  select: {
-                    displayName: true,
-                    memberIcon: true,
-                    iconColor: true,
-                    profilePhotoFileId: true,
-                  },
-                },
-              },
-            },
-          },
-          orderBy: {
-            createdAt: 'asc',
-          },
-        },
-      },
+      include: getMessageListInclude(groupMembership.role === 'admin'),
     };
 
     // If 'before' timestamp provided, get messages before that time
@@ -309,85 +448,7 @@ async function getMessageGroupMessages(req, res) {
     const messages = await prisma.message.findMany(queryOptions);
 
     // Decrypt and merge User profile data with GroupMember data (prioritize User profile)
-    const messagesWithLatestProfile = messages.map(message => {
-      // Decrypt message content
-      let decryptedContent;
-      try {
-        decryptedContent = encryptionService.decrypt(message.content);
-      } catch (error) {
-        // If decryption fails (old unencrypted message or corrupted data), use original
-        console.warn(`Failed to decrypt message ${message.messageId}:`, error.message);
-        decryptedContent = message.content;
-      }
-
-      return {
-        ...message,
-        content: decryptedContent, // Return decrypted content
-        sender: {
-          groupMemberId: message.sender.groupMemberId,
-          displayName: message.sender.user?.displayName || message.sender.displayName,
-          iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
-          iconColor: message.sender.user?.iconColor || message.sender.iconColor,
-          profilePhotoUrl: message.sender.user?.profilePhotoFileId
-            ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
-            : null,
-          role: message.sender.role,
-        },
-        readReceipts: message.readReceipts.map(receipt => ({
-          groupMemberId: receipt.groupMemberId,
-          readAt: receipt.readAt,
-          displayName: receipt.groupMember.user?.displayName || receipt.groupMember.displayName,
-          iconLetters: receipt.groupMember.user?.memberIcon || receipt.groupMember.iconLetters,
-          iconColor: receipt.groupMember.user?.iconColor || receipt.groupMember.iconColor,
-          profilePhotoUrl: receipt.groupMember.user?.profilePhotoFileId
-            ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${receipt.groupMember.user.profilePhotoFileId}`
-            : null,
-        })),
-        // Format reactions with reactor profile data
-        reactions: message.reactions?.map(reaction => ({
-          reactionId: reaction.reactionId,
-          emoji: reaction.emoji,
-          createdAt: reaction.createdAt,
-          reactor: {
-            groupMemberId: reaction.reactor.groupMemberId,
-            displayName: reaction.reactor.user?.displayName || reaction.reactor.displayName,
-            iconLetters: reaction.reactor.user?.memberIcon || reaction.reactor.iconLetters,
-            iconColor: reaction.reactor.user?.iconColor || reaction.reactor.iconColor,
-            profilePhotoUrl: reaction.reactor.user?.profilePhotoFileId
-              ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${reaction.reactor.user.profilePhotoFileId}`
-              : null,
-          },
-        })) || [],
-        // Convert BigInt fileSizeBytes to Number for JSON serialization
-        // Include isHidden flag and deleted info for media
-        media: message.media?.map(m => {
-          // Extract filename from s3Key
-          const s3KeyParts = m.s3Key ? m.s3Key.split('/') : [];
-          const fileName = s3KeyParts.length > 0 ? s3KeyParts[s3KeyParts.length - 1] : 'Deleted file';
-
-          return {
-            mediaId: m.mediaId,
-            mediaType: m.mediaType,
-            mimeType: m.mimeType || null, // Full MIME type for format detection
-            // Don't send URL for hidden/deleted files - they can't be viewed
-            url: m.isHidden ? null : m.url,
-            thumbnailUrl: m.isHidden ? null : m.thumbnailUrl,
-            fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
-            durationMs: m.durationMs || null, // Duration in ms for audio/video
-            uploadedAt: m.uploadedAt,
-            // Deletion info
-            isDeleted: m.isHidden || false,
-            deletedAt: m.hiddenAt,
-            fileName: fileName,
-            deletedBy: m.isHidden && m.hider ? {
-              displayName: m.hider.user?.displayName || m.hider.displayName,
-              iconLetters: m.hider.user?.memberIcon || m.hider.iconLetters,
-              iconColor: m.hider.user?.iconColor || m.hider.iconColor,
-            } : null,
-          };
-        }),
-      };
-    });
+    const messagesWithLatestProfile = messages.map(formatListMessage);
 
     res.status(200).json({
       success: true,
@@ -403,6 +464,283 @@ async function getMessageGroupMessages(req, res) {
   }
 }
 
+/**
+ * Send a message and record it in the audit log
+ *
+ * Encrypts and stores the message, then pushes it to connected apps and
+ * sends push notifications (including the quoted author's "replied to you").
+ * Used by sendMessageGroupMessage, and by the scheduled messages job
+ * (jobs/scheduledMessages.js) when a scheduled message is due. Callers check
+ * the sender may post in the message group first.
+ *
+ * @param {string} groupId - The group ID
+ * @param {string} messageGroupId - Message group to send to
+ * @param {Object} sender - Sending GroupMember (groupMemberId, displayName, email)
+ * @param {Object} options - Message
+ * @param {string} options.messageContent - Plaintext content (' ' for media-only messages)
+ * @param {string[]} [options.mentions] - Mentioned group member IDs; those not in the message group are dropped
+ * @param {Array<Object>} [options.mediaFiles] - Uploaded files ({ fileId, mimeType, s3Key, fileSizeBytes, durationMs })
+ * @param {Object|null} [options.replyTo] - Message being replied to (QUOTED_MESSAGE_SELECT)
+ * @param {string|null} [options.scheduledMessageId] - Scheduled message being sent, if any
+ * @returns {Promise<Object>} The message as returned to clients
+ */
+async function sendMessageRecord(groupId, messageGroupId, sender, {
+  messageContent,
+  mentions,
+  mediaFiles = [],
+  replyTo = null,
+  scheduledMessageId = null,
+}) {
+  // Keep only mentions of message group members
+  let validMentions = [];
+  if (mentions && Array.isArray(mentions) && mentions.length > 0) {
+    // Verify all mentioned members are in the message group
+    const messageGroupMembers = await prisma.messageGroupMember.findMany({
+      where: {
+        messageGroupId: messageGroupId,
+        groupMemberId: {
+          in: mentions,
+        },
+      },
+      select: {
+        groupMemberId: true,
+      },
+    });
+
+    validMentions = messageGroupMembers.map(m => m.groupMemberId);
+  }
+
+  const encryptedContent = encryptionService.encrypt(messageContent);
+
+  // Create the message with media
+  const message = await prisma.message.create({
+    data: {
+      messageGroup: {
+        connect: {
+          messageGroupId: messageGroupId,
+        },
+      },
+      sender: {
+        connect: {
+          groupMemberId: sender.groupMemberId,
+        },
+      },
+      content: encryptedContent, // Store encrypted content
+      ...getSearchIndexFields(groupId, messageContent), // Blind search tokens
+      mentions: validMentions,
+      ...(replyTo && {
+        replyTo: {
+          connect: {
+            messageId: replyTo.messageId,
+          },
+        },
+      }),
+      media: {
+        create: mediaFiles.map(file => {
+          // Determine media type - default to 'image' for unknown types
+          let mediaType = 'image'; // Default to image
+          if (file.mimeType) {
+            if (file.mimeType.startsWith('audio/')) {
+              mediaType = 'audio';
+            } else if (file.mimeType.startsWith('video/')) {
+              mediaType = 'video';
+            } else if (file.mimeType.startsWith('image/')) {
+              mediaType = 'image';
+            }
+            // For other mimeTypes (e.g., application/octet-stream), keep default 'image'
+          }
+          return {
+            mediaType: mediaType,
+            mimeType: file.mimeType || null, // Full MIME type (e.g., audio/webm)
+            s3Key: file.s3Key,
+            url: file.fileId, // Store fileId as URL for retrieval
+            fileSizeBytes: file.fileSizeBytes,
+            durationMs: file.durationMs, // Duration for audio/video files
+          };
+        }),
+      },
+    },
+    include: {
+      sender: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          role: true,
+          user: {
+            select: {
+              displayName: true,
+              memberIcon: true,
+              iconColor: true,
+              profilePhotoFileId: true,
+            },
+          },
+        },
+      },
+      media: {
+        select: {
+          mediaId: true,
+          mediaType: true,
+          mimeType: true,
+          url: true,
+          thumbnailUrl: true,
+          fileSizeBytes: true,
+          durationMs: true,
+          uploadedAt: true,
+        },
+      },
+    },
+  });
+
+  // Decrypt message content before sending to client
+  const decryptedContent = encryptionService.decrypt(message.content);
+
+  // Merge User profile data with GroupMember data (prioritize User profile)
+  const messageWithLatestProfile = {
+    ...message,
+    content: decryptedContent, // Return decrypted content to client
+    replyTo: buildQuote(replyTo, encryptionService.decrypt),
+    replyCount: 0,
+    sender: {
+      groupMemberId: message.sender.groupMemberId,
+      displayName: message.sender.user?.displayName || message.sender.displayName,
+      iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
+      iconColor: message.sender.user?.iconColor || message.sender.iconColor,
+      profilePhotoUrl: message.sender.user?.profilePhotoFileId
+        ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
+        : null,
+      role: message.sender.role,
+    },
+    // Convert BigInt fileSizeBytes to Number for JSON serialization
+    media: message.media?.map(m => ({
+      ...m,
+      fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
+    })),
+  };
+
+  // Update lastMessageAt on the message group and get message group name for audit log
+  const messageGroup = await prisma.messageGroup.update({
+    where: {
+      messageGroupId: messageGroupId,
+    },
+    data: {
+      lastMessageAt: new Date(),
+    },
+    select: {
+      name: true,
+    },
+  });
+
+  // Create audit log for sent message with complete details
+  let auditLogContent = `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\n`;
+  auditLogContent += `Message ID: ${message.messageId}\n`;
+  auditLogContent += `Content: "${messageContent}"\n`;
+
+  if (replyTo) {
+    auditLogContent += `Reply to Message ID: ${replyTo.messageId}\n`;
+  }
+
+  if (scheduledMessageId) {
+    auditLogContent += `Sent as scheduled (Scheduled Message ID: ${scheduledMessageId})\n`;
+  }
+
+  if (message.media && message.media.length > 0) {
+    auditLogContent += `Media Files (${message.media.length}):\n`;
+    message.media.forEach((media, index) => {
+      auditLogContent += `  ${index + 1}. ${media.mediaType} - Media ID: ${media.mediaId}\n`;
+    });
+  }
+
+  if (validMentions.length > 0) {
+    auditLogContent += `Mentions: ${validMentions.length} member(s)`;
+  }
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'send_message',
+      performedBy: sender.groupMemberId,
+      performedByName: sender.displayName,
+      performedByEmail: sender.email || 'N/A',
+      actionLocation: 'messages',
+      messageContent: auditLogContent,
+    },
+  });
+
+  // Push the new message to connected apps (including the sender's other devices)
+  realtimeService.publishToMessageGroup(groupId, messageGroupId, 'message.created', {
+    message: { ...messageWithLatestProfile, readReceipts: [], reactions: [] },
+  });
+
+  // Send push notifications to other message group members
+  // Fire and forget - don't block the response
+  (async () => {
+    try {
+      // Get all members of this message group except the sender
+      const messageGroupMembers = await prisma.messageGroupMember.findMany({
+        where: {
+          messageGroupId: messageGroupId,
+          groupMemberId: { not: sender.groupMemberId },
+        },
+        select: {
+          groupMemberId: true,
+        },
+      });
+
+      let memberIds = messageGroupMembers.map(m => m.groupMemberId);
+
+      // Get sender display name
+      const senderName = messageWithLatestProfile.sender.displayName;
+      const truncatedContent = messageContent.length > 100
+        ? messageContent.substring(0, 100) + '...'
+        : messageContent;
+
+      // Tell the quoted author their message was replied to (like a mention)
+      if (replyTo && memberIds.includes(replyTo.senderId)) {
+        memberIds = memberIds.filter(id => id !== replyTo.senderId);
+
+        await pushNotificationService.sendToGroupMembersWithPreferences(
+          [replyTo.senderId],
+          'mention',
+          `${senderName} replied to you in ${messageGroup.name}`,
+          truncatedContent,
+          {
+            type: 'new_message',
+            groupId: groupId,
+            messageGroupId: messageGroupId,
+            messageId: message.messageId,
+          }
+        );
+      }
+
+      if (memberIds.length > 0) {
+        // Determine notification type based on mentions
+        const notificationType = validMentions.length > 0 ? 'mention' : 'message';
+
+        // Send to members who have notifications enabled for this type
+        await pushNotificationService.sendToGroupMembersWithPreferences(
+          memberIds,
+          notificationType,
+          `${senderName} in ${messageGroup.name}`,
+          truncatedContent,
+          {
+            type: 'new_message',
+            groupId: groupId,
+            messageGroupId: messageGroupId,
+            messageId: message.messageId,
+          }
+        );
+      }
+    } catch (notificationError) {
+      console.error('[Messages] Failed to send push notifications:', notificationError);
+      // Don't fail the request if notifications fail
+    }
+  })();
+
+  return messageWithLatestProfile;
+}
+
 /**
  * Send a message to a message group
  * POST /groups/:groupId/message-groups/:messageGroupId/messages
@@ -414,7 +752,7 @@ async function sendMessageGroupMessage(req, res) {
   try {
     const userId = req.user?.userId;
     const { groupId, messageGroupId } = req.params;
-    const { content, mentions, mediaFiles: mediaFilesInput } = req.body;
+    const { content, mentions, mediaFiles: mediaFilesInput, replyToId, sendAnyway } = req.body;
 
     if (!userId) {
       return res.status(401).json({
@@ -481,23 +819,21 @@ async function sendMessageGroupMessage(req, res) {
       });
     }
 
-    // Validate mentions if provided
-    let validMentions = [];
-    if (mentions && Array.isArray(mentions) && mentions.length > 0) {
-      // Verify all mentioned members are in the message group
-      const messageGroupMembers = await prisma.messageGroupMember.findMany({
-        where: {
-          messageGroupId: messageGroupId,
-          groupMemberId: {
-            in: mentions,
-          },
-        },
-        select: {
-          groupMemberId: true,
-        },
+    // Validate the message being replied to, if any
+    let replyTo = null;
+    if (replyToId) {
+      replyTo = await prisma.message.findUnique({
+        where: { messageId: replyToId },
+        select: QUOTED_MESSAGE_SELECT,
       });
 
-      validMentions = messageGroupMembers.map(m => m.groupMemberId);
+      const replyBlockReason = getReplyBlockReason(replyTo, messageGroupId);
+      if (replyBlockReason) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: replyBlockReason,
+        });
+      }
     }
 
     // Validate media files if provided
@@ -513,219 +849,738 @@ async function sendMessageGroupMessage(req, res) {
       }));
     }
 
-    // Encrypt message content before storing (use space if content is empty)
+    // Use a space if content is empty (media-only messages)
     const messageContent = content && content.trim().length > 0 ? content.trim() : ' ';
-    const encryptedContent = encryptionService.encrypt(messageContent);
 
-    // Create the message with media
-    const message = await prisma.message.create({
-      data: {
-        messageGroup: {
-          connect: {
-            messageGroupId: messageGroupId,
-          },
-        },
-        sender: {
-          connect: {
-            groupMemberId: groupMembership.groupMemberId,
-          },
-        },
-        content: encryptedContent, // Store encrypted content
-        mentions: validMentions,
-        media: {
-          create: mediaFiles.map(file => {
-            // Determine media type - default to 'image' for unknown types
-            let mediaType = 'image'; // Default to image
-            if (file.mimeType) {
-              if (file.mimeType.startsWith('audio/')) {
-                mediaType = 'audio';
-              } else if (file.mimeType.startsWith('video/')) {
-                mediaType = 'video';
-              } else if (file.mimeType.startsWith('image/')) {
-                mediaType = 'image';
-              }
-              // For other mimeTypes (e.g., application/octet-stream), keep default 'image'
-            }
-            return {
-              mediaType: mediaType,
-              mimeType: file.mimeType || null, // Full MIME type (e.g., audio/webm)
-              s3Key: file.s3Key,
-              url: file.fileId, // Store fileId as URL for retrieval
-              fileSizeBytes: file.fileSizeBytes,
-              durationMs: file.durationMs, // Duration for audio/video files
-            };
-          }),
-        },
-      },
-      include: {
-        sender: {
-          select: {
-            groupMemberId: true,
-            displayName: true,
-            iconLetters: true,
-            iconColor: true,
-            role: true,
-            user: {
-              select: {
-                displayName: true,
-                memberIcon: true,
-                iconColor: true,
-                profilePhotoFileId: true,
-              },
-            },
-          },
+    // Tone assistant (if the group turned it on): hold back hostile phrasing
+    // so the sender can revise it, or resend with sendAnyway
+    const toneCheck = await checkOutgoingTone({ groupId, content: messageContent, sendAnyway: sendAnyway === true });
+    if (toneCheck) {
+      return res.status(422).json(getToneCheckResponse(toneCheck));
+    }
+
+    const messageWithLatestProfile = await sendMessageRecord(groupId, messageGroupId, groupMembership, {
+      messageContent,
+      mentions,
+      mediaFiles,
+      replyTo,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: messageWithLatestProfile,
+    });
+  } catch (error) {
+    console.error('Send message group message error:', error);
+    res.status(500).json({
+      error: 'Failed to send message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Read search parameters from the query string
+ * @param {Object} query - req.query ({ q, limit, offset, context })
+ * @returns {Object} { error } or { query, limit, offset, contextSize }
+ */
+function parseSearchParams({ q, limit = 20, offset = 0, context = 1 }) {
+  if (typeof q !== 'string' || getQueryTerms(q).length === 0) {
+    return { error: 'Search query (q) must contain a word of at least 2 characters' };
+  }
+
+  return {
+    query: q,
+    limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50),
+    offset: Math.max(parseInt(offset, 10) || 0, 0),
+    contextSize: Math.min(Math.max(parseInt(context, 10) || 0, 0), 5),
+  };
+}
+
+/**
+ * Search messages in a message group
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/search
+ *
+ * Query: q (required; messages must contain every word, or a word starting with it),
+ * limit (default 20, max 50), offset, context (messages either side of each hit, default 1, max 5)
+ *
+ * Same visibility as the message list: message group members, and admins
+ * (who also find hidden messages).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function searchMessageGroupMessages(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    const params = parseSearchParams(req.query);
+    if (params.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: params.error,
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
         },
-        media: {
-          select: {
-            mediaId: true,
-            mediaType: true,
-            mimeType: true,
-            url: true,
-            thumbnailUrl: true,
-            fileSizeBytes: true,
-            durationMs: true,
-            uploadedAt: true,
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const messageGroup = await prisma.messageGroup.findFirst({
+      where: {
+        messageGroupId: messageGroupId,
+        groupId: groupId,
+      },
+      include: {
+        members: {
+          where: { groupMemberId: groupMembership.groupMemberId },
+          select: { groupMemberId: true },
+        },
+      },
+    });
+
+    if (!messageGroup) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message group not found',
+      });
+    }
+
+    // Admins can search messages even if not a member (read-only)
+    if (messageGroup.members.length === 0 && groupMembership.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this message group',
+      });
+    }
+
+    const results = await searchMessages({
+      groupId: groupId,
+      messageGroupIds: [messageGroupId],
+      includeHidden: groupMembership.role === 'admin',
+      ...params,
+    });
+
+    res.status(200).json({
+      success: true,
+      ...results,
+    });
+  } catch (error) {
+    console.error('Search message group messages error:', error);
+    res.status(500).json({
+      error: 'Failed to search messages',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Search messages across a group
+ * GET /groups/:groupId/messages/search
+ *
+ * Same query as searchMessageGroupMessages. Searches the message groups the user
+ * can see in the message group list: their own (not hidden) ones, or every one for
+ * admins unless the group hides message groups from admins.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function searchGroupMessages(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    const params = parseSearchParams(req.query);
+    if (params.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: params.error,
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    const isAdmin = groupMembership.role === 'admin';
+    if (isAdmin) {
+      const groupSettings = await prisma.groupSettings.findUnique({
+        where: { groupId },
+        select: { messageGroupsVisibleToAdmins: true },
+      });
+      if (groupSettings && !groupSettings.messageGroupsVisibleToAdmins) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Message groups are not visible to admins in this group',
+        });
+      }
+    }
+
+    const messageGroups = await prisma.messageGroup.findMany({
+      where: {
+        groupId: groupId,
+        ...(!isAdmin && {
+          members: {
+            some: {
+              groupMemberId: groupMembership.groupMemberId,
+            },
           },
+          isHidden: false,
+        }),
+      },
+      select: { messageGroupId: true },
+    });
+
+    const results = await searchMessages({
+      groupId: groupId,
+      messageGroupIds: messageGroups.map(mg => mg.messageGroupId),
+      includeHidden: isAdmin,
+      ...params,
+    });
+
+    res.status(200).json({
+      success: true,
+      ...results,
+    });
+  } catch (error) {
+    console.error('Search group messages error:', error);
+    res.status(500).json({
+      error: 'Failed to search messages',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Mark message group as read
+ * PUT /groups/:groupId/message-groups/:messageGroupId/mark-read
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function markMessageGroupAsRead(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId} = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
         },
       },
     });
 
-    // Decrypt message content before sending to client
-    const decryptedContent = encryptionService.decrypt(message.content);
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
 
-    // Merge User profile data with GroupMember data (prioritize User profile)
-    const messageWithLatestProfile = {
-      ...message,
-      content: decryptedContent, // Return decrypted content to client
-      sender: {
-        groupMemberId: message.sender.groupMemberId,
-        displayName: message.sender.user?.displayName || message.sender.displayName,
-        iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
-        iconColor: message.sender.user?.iconColor || message.sender.iconColor,
-        profilePhotoUrl: message.sender.user?.profilePhotoFileId
-          ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${message.sender.user.profilePhotoFileId}`
-          : null,
-        role: message.sender.role,
+    // Get current lastReadAt to find unread messages
+    const messageGroupMember = await prisma.messageGroupMember.findUnique({
+      where: {
+        messageGroupId_groupMemberId: {
+          messageGroupId: messageGroupId,
+          groupMemberId: groupMembership.groupMemberId,
+        },
       },
-      // Convert BigInt fileSizeBytes to Number for JSON serialization
-      media: message.media?.map(m => ({
-        ...m,
-        fileSizeBytes: m.fileSizeBytes ? Number(m.fileSizeBytes) : 0,
-      })),
-    };
+    });
 
-    // Update lastMessageAt on the message group and get message group name for audit log
-    const messageGroup = await prisma.messageGroup.update({
+    // If user is not a member (admin viewing), just return success without marking as read
+    // Non-member admins should never have unread counts anyway
+    if (!messageGroupMember) {
+      return res.json({
+        success: true,
+        message: 'No action needed - not a member',
+        markedAsRead: 0,
+      });
+    }
+
+    // Find all unread messages (messages created after lastReadAt that user hasn't read yet)
+    const unreadMessages = await prisma.message.findMany({
       where: {
         messageGroupId: messageGroupId,
+        isHidden: false,
+        senderId: {
+          not: groupMembership.groupMemberId, // Don't create read receipts for own messages
+        },
+        createdAt: {
+          gt: messageGroupMember?.lastReadAt || new Date(0),
+        },
+        // Only get messages that don't already have a read receipt from this user
+        readReceipts: {
+          none: {
+            groupMemberId: groupMembership.groupMemberId,
+          },
+        },
+      },
+      select: {
+        messageId: true,
+        content: true,
+        senderId: true,
+      },
+    });
+
+    const now = new Date();
+
+    // Create read receipts for all unread messages
+    if (unreadMessages.length > 0) {
+      await prisma.messageReadReceipt.createMany({
+        data: unreadMessages.map(msg => ({
+          messageId: msg.messageId,
+          groupMemberId: groupMembership.groupMemberId,
+          readAt: now,
+        })),
+        skipDuplicates: true, // Skip if read receipt already exists
+      });
+
+      // Get message group name for audit log
+      const messageGroup = await prisma.messageGroup.findUnique({
+        where: { messageGroupId: messageGroupId },
+        select: { name: true },
+      });
+
+      // Create individual audit log for each message read
+      for (const msg of unreadMessages) {
+        try {
+          const decryptedContent = encryptionService.decrypt(msg.content);
+
+          let auditLogContent = `Message Group: "${messageGroup?.name || 'Unknown'}" (ID: ${messageGroupId})\n`;
+          auditLogContent += `Message ID: ${msg.messageId}\n`;
+          auditLogContent += `Content: "${decryptedContent}"`;
+
+          await prisma.auditLog.create({
+            data: {
+              groupId: groupId,
+              action: 'read_messages',
+              performedBy: groupMembership.groupMemberId,
+              performedByName: groupMembership.displayName,
+              performedByEmail: groupMembership.email || 'N/A',
+              actionLocation: 'messages',
+              messageContent: auditLogContent,
+            },
+          });
+        } catch (err) {
+          console.error('Failed to decrypt message for audit log:', err);
+
+          // Still log it even if decryption fails
+          let auditLogContent = `Message Group: "${messageGroup?.name || 'Unknown'}" (ID: ${messageGroupId})\n`;
+          auditLogContent += `Message ID: ${msg.messageId}\n`;
+          auditLogContent += `Content: [Failed to decrypt]`;
+
+          await prisma.auditLog.create({
+            data: {
+              groupId: groupId,
+              action: 'read_messages',
+              performedBy: groupMembership.groupMemberId,
+              performedByName: groupMembership.displayName,
+              performedByEmail: groupMembership.email || 'N/A',
+              actionLocation: 'messages',
+              messageContent: auditLogContent,
+            },
+          });
+        }
+      }
+    }
+
+    // Push the new read receipts so senders see them without polling
+    if (unreadMessages.length > 0 && realtimeService.hasConnections()) {
+      const reader = await prisma.groupMember.findUnique({
+        where: { groupMemberId: groupMembership.groupMemberId },
+        select: {
+          displayName: true,
+          iconLetters: true,
+          iconColor: true,
+          user: {
+            select: {
+              displayName: true,
+              memberIcon: true,
+              iconColor: true,
+              profilePhotoFileId: true,
+            },
+          },
+        },
+      });
+
+      realtimeService.publishToMessageGroup(groupId, messageGroupId, 'message.read', {
+        messageIds: unreadMessages.map(msg => msg.messageId),
+        readReceipt: {
+          groupMemberId: groupMembership.groupMemberId,
+          readAt: now,
+          displayName: reader?.user?.displayName || reader?.displayName,
+          iconLetters: reader?.user?.memberIcon || reader?.iconLetters,
+          iconColor: reader?.user?.iconColor || reader?.iconColor,
+          profilePhotoUrl: reader?.user?.profilePhotoFileId
+            ? `${process.env.API_BASE_URL || 'http://localhost:3000'}/files/${reader.user.profilePhotoFileId}`
+            : null,
+        },
+      });
+    }
+
+    // Update lastReadAt for this message group member
+    await prisma.messageGroupMember.update({
+      where: {
+        messageGroupId_groupMemberId: {
+          messageGroupId: messageGroupId,
+          groupMemberId: groupMembership.groupMemberId,
+        },
       },
       data: {
-        lastMessageAt: new Date(),
+        lastReadAt: now,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Marked as read',
+      messagesRead: unreadMessages.length,
+    });
+  } catch (error) {
+    console.error('Mark as read error:', error);
+    res.status(500).json({
+      error: 'Failed to mark as read',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Edit a message
+ * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId
+ *
+ * Body: { content }
+ *
+ * Only the sender can edit, within the group's messageEditWindowMinutes of sending.
+ * The previous version is kept as a MessageRevision (still encrypted), the message
+ * shows as edited, and the change is recorded in the audit log.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function editMessage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, messageId } = req.params;
+    const { content, sendAnyway } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message content cannot be empty',
+      });
+    }
+
+    // Check if user is a member of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
       },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    // Check if group is in read-only mode (all admins unsubscribed)
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
       select: {
-        name: true,
+        readOnlyUntil: true,
+        settings: { select: { messageEditWindowMinutes: true } },
       },
     });
 
-    // Create audit log for sent message with complete details
-    let auditLogContent = `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\n`;
-    auditLogContent += `Message ID: ${message.messageId}\n`;
-    auditLogContent += `Content: "${messageContent}"\n`;
+    if (isGroupReadOnly(group)) {
+      return res.status(403).json(getReadOnlyErrorResponse(group));
+    }
 
-    if (message.media && message.media.length > 0) {
-      auditLogContent += `Media Files (${message.media.length}):\n`;
-      message.media.forEach((media, index) => {
-        auditLogContent += `  ${index + 1}. ${media.mediaType} - Media ID: ${media.mediaId}\n`;
+    const message = await prisma.message.findUnique({
+      where: { messageId: messageId },
+      include: {
+        messageGroup: { select: { groupId: true, name: true } },
+        _count: { select: { revisions: true } },
+      },
+    });
+
+    if (!message || message.messageGroup.groupId !== groupId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
       });
     }
 
-    if (validMentions.length > 0) {
-      auditLogContent += `Mentions: ${validMentions.length} member(s)`;
+    if (message.messageGroupId !== messageGroupId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Message does not belong to this message group',
+      });
     }
 
-    await prisma.auditLog.create({
-      data: {
-        groupId: groupId,
-        action: 'send_message',
-        performedBy: groupMembership.groupMemberId,
-        performedByName: groupMembership.displayName,
-        performedByEmail: groupMembership.email || 'N/A',
-        actionLocation: 'messages',
-        messageContent: auditLogContent,
+    const windowMinutes = group.settings
+      ? group.settings.messageEditWindowMinutes
+      : DEFAULT_EDIT_WINDOW_MINUTES;
+    const blockReason = getEditBlockReason(message, groupMembership.groupMemberId, windowMinutes);
+
+    if (blockReason) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: blockReason,
+      });
+    }
+
+    let previousContent;
+    try {
+      previousContent = encryptionService.decrypt(message.content);
+    } catch (error) {
+      previousContent = message.content;
+    }
+
+    const newContent = content.trim();
+    if (newContent === previousContent) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'The message has not changed',
+      });
+    }
+
+    const toneCheck = await checkOutgoingTone({ groupId, content: newContent, sendAnyway: sendAnyway === true });
+    if (toneCheck) {
+      return res.status(422).json(getToneCheckResponse(toneCheck));
+    }
+
+    const editedAt = new Date();
+    const revisionNumber = message._count.revisions + 1;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.messageRevision.create({
+        data: {
+          messageId: messageId,
+          revisionNumber: revisionNumber,
+          content: message.content, // Already encrypted
+          writtenAt: message.editedAt || message.createdAt,
+          replacedAt: editedAt,
+        },
+      });
+
+      const result = await tx.message.update({
+        where: { messageId: messageId },
+        data: {
+          content: encryptionService.encrypt(newContent),
+          editedAt: editedAt,
+          ...getSearchIndexFields(groupId, newContent),
+        },
+        select: { messageId: true, editedAt: true },
+      });
+
+      await tx.auditLog.create({
+        data: {
+          groupId: groupId,
+          action: 'edit_message',
+          performedBy: groupMembership.groupMemberId,
+          performedByName: groupMembership.displayName,
+          performedByEmail: groupMembership.email || 'N/A',
+          actionLocation: 'messages',
+          messageContent: `Message Group: "${message.messageGroup.name}" (ID: ${messageGroupId})\n` +
+            `Message ID: ${messageId}\n` +
+            `Edit ${revisionNumber}\n` +
+            `Previous content: "${previousContent}"\n` +
+            `New content: "${newContent}"`,
+        },
+      });
+
+      return result;
+    });
+
+    const editedMessage = {
+      messageId: updated.messageId,
+      content: newContent,
+      editedAt: updated.editedAt,
+      revisionCount: revisionNumber,
+    };
+
+    // Push the edit to connected apps
+    realtimeService.publishToMessageGroup(groupId, messageGroupId, 'message.updated', {
+      message: editedMessage,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: editedMessage,
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      error: 'Failed to edit message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Get a message's edit history (admin only)
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/revisions
+ *
+ * Every version of the message, oldest first, ending with the current content.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getMessageRevisions(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, messageId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Check if user is an admin of this group
+    const groupMembership = await prisma.groupMember.findUnique({
+      where: {
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
+        },
+      },
+    });
+
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    if (groupMembership.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can view edit history',
+      });
+    }
+
+    const message = await prisma.message.findUnique({
+      where: { messageId: messageId },
+      include: {
+        messageGroup: { select: { groupId: true } },
+        revisions: true,
       },
     });
 
-    // Send push notifications to other message group members
-    // Fire and forget - don't block the response
-    (async () => {
-      try {
-        // Get all members of this message group except the sender
-        const messageGroupMembers = await prisma.messageGroupMember.findMany({
-          where: {
-            messageGroupId: messageGroupId,
-            groupMemberId: { not: groupMembership.groupMemberId },
-          },
-          select: {
-            groupMemberId: true,
-          },
-        });
+    if (!message || message.messageGroup.groupId !== groupId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
+      });
+    }
 
-        const memberIds = messageGroupMembers.map(m => m.groupMemberId);
-
-        if (memberIds.length > 0) {
-          // Get sender display name
-          const senderName = messageWithLatestProfile.sender.displayName;
-          const truncatedContent = messageContent.length > 100
-            ? messageContent.substring(0, 100) + '...'
-            : messageContent;
-
-          // Determine notification type based on mentions
-          const notificationType = validMentions.length > 0 ? 'mention' : 'message';
-
-          // Send to members who have notifications enabled for this type
-          await pushNotificationService.sendToGroupMembersWithPreferences(
-            memberIds,
-            notificationType,
-            `${senderName} in ${messageGroup.name}`,
-            truncatedContent,
-            {
-              type: 'new_message',
-              groupId: groupId,
-              messageGroupId: messageGroupId,
-              messageId: message.messageId,
-            }
-          );
-        }
-      } catch (notificationError) {
-        console.error('[Messages] Failed to send push notifications:', notificationError);
-        // Don't fail the request if notifications fail
-      }
-    })();
+    if (message.messageGroupId !== messageGroupId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Message does not belong to this message group',
+      });
+    }
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: messageWithLatestProfile,
+      messageId: messageId,
+      editedAt: message.editedAt,
+      revisions: buildRevisionHistory(message, message.revisions, encryptionService.decrypt),
     });
   } catch (error) {
-    console.error('Send message group message error:', error);
+    console.error('Get message revisions error:', error);
     res.status(500).json({
-      error: 'Failed to send message',
+      error: 'Failed to get edit history',
       message: error.message,
     });
   }
 }
 
 /**
- * Mark message group as read
- * PUT /groups/:groupId/message-groups/:messageGroupId/mark-read
+ * Get a message and its replies
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/thread
+ *
+ * Query: limit (default 50, max 200), after (ISO timestamp, replies sent after it)
+ *
+ * Replies are oldest first. Hidden replies are only returned to admins, and a
+ * hidden original is returned to everyone else without its content.
  *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
-async function markMessageGroupAsRead(req, res) {
+async function getMessageThread(req, res) {
   try {
     const userId = req.user?.userId;
-    const { groupId, messageGroupId} = req.params;
+    const { groupId, messageGroupId, messageId } = req.params;
+    const { after } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
     if (!userId) {
       return res.status(401).json({
@@ -751,144 +1606,199 @@ async function markMessageGroupAsRead(req, res) {
       });
     }
 
-    // Get current lastReadAt to find unread messages
-    const messageGroupMember = await prisma.messageGroupMember.findUnique({
+    // Same access as the message list: message group members, and admins (read-only)
+    const isAdmin = groupMembership.role === 'admin';
+    const messageGroupMembership = await prisma.messageGroupMember.findFirst({
       where: {
-        messageGroupId_groupMemberId: {
-          messageGroupId: messageGroupId,
-          groupMemberId: groupMembership.groupMemberId,
-        },
+        messageGroupId: messageGroupId,
+        groupMemberId: groupMembership.groupMemberId,
       },
     });
 
-    // If user is not a member (admin viewing), just return success without marking as read
-    // Non-member admins should never have unread counts anyway
-    if (!messageGroupMember) {
-      return res.json({
-        success: true,
-        message: 'No action needed - not a member',
-        markedAsRead: 0,
+    if (!messageGroupMembership && !isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this message group',
       });
     }
 
-    // Find all unread messages (messages created after lastReadAt that user hasn't read yet)
-    const unreadMessages = await prisma.message.findMany({
-      where: {
-        messageGroupId: messageGroupId,
-        isHidden: false,
-        senderId: {
-          not: groupMembership.groupMemberId, // Don't create read receipts for own messages
-        },
-        createdAt: {
-          gt: messageGroupMember?.lastReadAt || new Date(0),
-        },
-        // Only get messages that don't already have a read receipt from this user
-        readReceipts: {
-          none: {
-            groupMemberId: groupMembership.groupMemberId,
-          },
-        },
-      },
-      select: {
-        messageId: true,
-        content: true,
-        senderId: true,
-      },
-    });
+    if (after && isNaN(new Date(after).getTime())) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'after must be a valid date',
+      });
+    }
 
-    const now = new Date();
+    const include = getMessageListInclude(isAdmin);
+    const message = await prisma.message.findUnique({
+      where: { messageId: messageId },
+      include: include,
+    });
 
-    // Create read receipts for all unread messages
-    if (unreadMessages.length > 0) {
-      await prisma.messageReadReceipt.createMany({
-        data: unreadMessages.map(msg => ({
-          messageId: msg.messageId,
-          groupMemberId: groupMembership.groupMemberId,
-          readAt: now,
-        })),
-        skipDuplicates: true, // Skip if read receipt already exists
+    if (!message || message.messageGroupId !== messageGroupId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Message not found',
       });
+    }
 
-      // Get message group name for audit log
-      const messageGroup = await prisma.messageGroup.findUnique({
-        where: { messageGroupId: messageGroupId },
-        select: { name: true },
-      });
+    const replies = await prisma.message.findMany({
+      where: {
+        replyToId: messageId,
+        ...(!isAdmin && { isHidden: false }),
+        ...(after && { createdAt: { gt: new Date(after) } }),
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+      include: include,
+    });
 
-      // Create individual audit log for each message read
-      for (const msg of unreadMessages) {
-        try {
-          const decryptedContent = encryptionService.decrypt(msg.content);
+    const formattedMessage = formatListMessage(message);
 
-          let auditLogContent = `Message Group: "${messageGroup?.name || 'Unknown'}" (ID: ${messageGroupId})\n`;
-          auditLogContent += `Message ID: ${msg.messageId}\n`;
-          auditLogContent += `Content: "${decryptedContent}"`;
+    res.status(200).json({
+      success: true,
+      // Don't leak the content of a hidden original
+      message: message.isHidden && !isAdmin
+        ? { ...formattedMessage, content: null, media: [], reactions: [], replyTo: null }
+        : formattedMessage,
+      replies: replies.map(formatListMessage),
+      hasMore: replies.length === limit,
+    });
+  } catch (error) {
+    console.error('Get message thread error:', error);
+    res.status(500).json({
+      error: 'Failed to get thread',
+      message: error.message,
+    });
+  }
+}
 
-          await prisma.auditLog.create({
-            data: {
-              groupId: groupId,
-              action: 'read_messages',
-              performedBy: groupMembership.groupMemberId,
-              performedByName: groupMembership.displayName,
-              performedByEmail: groupMembership.email || 'N/A',
-              actionLocation: 'messages',
-              messageContent: auditLogContent,
-            },
-          });
-        } catch (err) {
-          console.error('Failed to decrypt message for audit log:', err);
+/**
+ * Get tone assistant statistics (admin only)
+ * GET /groups/:groupId/messages/tone-stats
+ *
+ * Query: days (default 30, max 365)
+ *
+ * Counts only: how often messages were held back, sent anyway, and for what.
+ * Never includes message content or who was warned.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getToneCheckStats(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId } = req.params;
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
 
-          // Still log it even if decryption fails
-          let auditLogContent = `Message Group: "${messageGroup?.name || 'Unknown'}" (ID: ${messageGroupId})\n`;
-          auditLogContent += `Message ID: ${msg.messageId}\n`;
-          auditLogContent += `Content: [Failed to decrypt]`;
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
 
-          await prisma.auditLog.create({
-            data: {
-              groupId: groupId,
-              action: 'read_messages',
-              performedBy: groupMembership.groupMemberId,
-              performedByName: groupMembership.displayName,
-              performedByEmail: groupMembership.email || 'N/A',
-              actionLocation: 'messages',
-              messageContent: auditLogContent,
-            },
-          });
-        }
-      }
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'days must be a whole number from 1 to 365',
+      });
     }
 
-    // Update lastReadAt for this message group member
-    await prisma.messageGroupMember.update({
+    // Check if user is an admin of this group
+    const groupMembership = await prisma.groupMember.findUnique({
       where: {
-        messageGroupId_groupMemberId: {
-          messageGroupId: messageGroupId,
-          groupMemberId: groupMembership.groupMemberId,
+        groupId_userId: {
+          groupId: groupId,
+          userId: userId,
         },
       },
-      data: {
-        lastReadAt: now,
-      },
     });
 
+    if (!groupMembership) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You are not a member of this group',
+      });
+    }
+
+    if (groupMembership.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only admins can view tone assistant statistics',
+      });
+    }
+
+    const settings = await prisma.groupSettings.findUnique({
+      where: { groupId: groupId },
+      select: { toneCheckEnabled: true },
+    });
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const stats = await loadToneCheckStats(groupId, since);
+
     res.status(200).json({
       success: true,
-      message: 'Marked as read',
-      messagesRead: unreadMessages.length,
+      toneCheckEnabled: !!settings?.toneCheckEnabled,
+      days: days,
+      since: since,
+      stats: stats,
     });
   } catch (error) {
-    console.error('Mark as read error:', error);
+    console.error('Get tone check stats error:', error);
     res.status(500).json({
-      error: 'Failed to mark as read',
+      error: 'Failed to get tone assistant statistics',
       message: error.message,
     });
   }
 }
 
+/**
+ * Hide a message and record it in the audit log
+ *
+ * Used directly by hideMessage, and by executeApprovedAction once a
+ * 'hide_message' approval passes.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - GroupMember hiding the message (groupMemberId, displayName, email)
+ * @param {Object} message - Message to hide (messageId, content)
+ * @param {string|null} [approvalId] - Approval that authorised hiding it, if any
+ */
+async function hideMessageRecord(groupId, requester, message, approvalId = null) {
+  await prisma.message.update({
+    where: {
+      messageId: message.messageId,
+    },
+    data: {
+      isHidden: true,
+      hiddenAt: new Date(),
+      hiddenBy: requester.groupMemberId,
+    },
+  });
+
+  // Create audit log
+  await prisma.auditLog.create({
+    data: {
+      groupId: groupId,
+      action: 'hide_message',
+      performedBy: requester.groupMemberId,
+      performedByName: requester.displayName,
+      performedByEmail: requester.email || 'N/A',
+      actionLocation: 'messages',
+      messageContent: `Hidden message: "${message.content.substring(0, 100)}${message.content.length > 100 ? '...' : ''}" (Message ID: ${message.messageId})${approvalId ? ' via approval' : ''}`,
+      ...(approvalId && { logData: { approvalId: approvalId } }),
+    },
+  });
+}
+
 /**
  * Hide a message
  * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/hide
  *
+ * Members hide their own messages straight away (if the message group allows it).
+ * An admin hiding someone else's message needs more than half of the admins,
+ * counting those who granted autoApproveHideMessages (202 with approvalId until then).
+ *
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -928,6 +1838,11 @@ async function hideMessage(req, res) {
       },
       include: {
         messageGroup: true,
+        sender: {
+          select: {
+            displayName: true,
+          },
+        },
       },
     });
 
@@ -965,34 +1880,42 @@ async function hideMessage(req, res) {
       });
     }
 
-    // Hide the message
-    await prisma.message.update({
-      where: {
-        messageId: messageId,
-      },
-      data: {
-        isHidden: true,
-        hiddenAt: new Date(),
-        hiddenBy: groupMembership.groupMemberId,
-      },
-    });
-
-    // Create audit log
-    await prisma.auditLog.create({
-      data: {
+    // Approval: admins hiding someone else's message need the other admins (autoApproveHideMessages)
+    let approvalId = null;
+    if (!isOwnMessage) {
+      const { requiresApproval, approval } = await requestApproval({
         groupId: groupId,
-        action: 'hide_message',
-        performedBy: groupMembership.groupMemberId,
-        performedByName: groupMembership.displayName,
-        performedByEmail: groupMembership.email || 'N/A',
+        requester: groupMembership,
+        approvalType: 'hide_message',
+        permissionFields: ['autoApproveHideMessages'],
+        description: `hide a message from ${message.sender.displayName}`,
+        approvalData: {
+          messageGroupId: messageGroupId,
+          senderName: message.sender.displayName,
+        },
+        relatedEntityType: 'message',
+        relatedEntityId: messageId,
         actionLocation: 'messages',
-        messageContent: `Hidden message: "${message.content.substring(0, 100)}${message.content.length > 100 ? '...' : ''}" (Message ID: ${messageId})`,
-      },
-    });
+      });
+
+      if (requiresApproval) {
+        return res.status(202).json({
+          success: true,
+          message: 'Approval request created to hide the message. Waiting for admin approvals.',
+          requiresApproval: true,
+          approvalId: approval.approvalId,
+        });
+      }
+
+      approvalId = approval?.approvalId || null;
+    }
+
+    await hideMessageRecord(groupId, groupMembership, message, approvalId);
 
     res.status(200).json({
       success: true,
       message: 'Message hidden successfully',
+      requiresApproval: false,
     });
   } catch (error) {
     console.error('Hide message error:', error);
@@ -1227,6 +2150,11 @@ async function addReaction(req, res) {
       },
     });
 
+    realtimeService.publishToMessageGroup(groupId, messageGroupId, 'message.reaction_added', {
+      messageId: messageId,
+      reaction: formattedReaction,
+    });
+
     res.status(201).json({
       success: true,
       reaction: formattedReaction,
@@ -1291,6 +2219,12 @@ async function removeReaction(req, res) {
       },
     });
 
+    realtimeService.publishToMessageGroup(groupId, messageGroupId, 'message.reaction_removed', {
+      messageId: messageId,
+      reactorId: groupMembership.groupMemberId,
+      emoji: decodedEmoji,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Reaction removed successfully',
@@ -1390,8 +2324,16 @@ module.exports = {
   sendMessage,
   getMessageGroupMessages,
   sendMessageGroupMessage,
+  searchMessageGroupMessages,
+  searchGroupMessages,
   markMessageGroupAsRead,
+  editMessage,
+  getMessageRevisions,
+  getMessageThread,
+  getToneCheckStats,
   hideMessage,
+  hideMessageRecord,
+  sendMessageRecord,
   unhideMessage,
   addReaction,
   removeReaction,
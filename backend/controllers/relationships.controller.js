@@ -0,0 +1,568 @@
+/**
+ * Relationships Controller
+ *
+ * Family relationships between group members (see utils/familyGraph.js): who
+ * is whose parent, step-parent, grandparent, caregiver, sibling or partner.
+ * They feed the family graph and default the attendees of children's events
+ * and the split of children's finance matters.
+ *
+ * Every member can read them. Adding a relationship is an 'assign_relationship'
+ * approval and changing or removing one a 'change_relationship' approval, both
+ * needing more than half of the admins (autoApproveAssignRelationships /
+ * autoApproveChangeRelationships count as pre-approval).
+ */
+
+const { prisma } = require('../config/database');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const {
+  RELATIONSHIP_TYPES,
+  isValidRelationshipType,
+  findRelationshipBetween,
+  buildFamilyGraph,
+} = require('../utils/familyGraph');
+const { requestApproval } = require('../services/approvalRequest.service');
+
+/**
+ * Member fields returned with relationships
+ */
+const MEMBER_SELECT = {
+  groupMemberId: true,
+  displayName: true,
+  iconLetters: true,
+  iconColor: true,
+  role: true,
+};
+
+/**
+ * Check the user is a member of the group (and, to make changes, one who can)
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {boolean} [manage] - True for changes: children and supervisors are refused, as are read-only groups
+ * @returns {Promise<Object>} { error: { status, body } } or { membership }
+ */
+async function getRelationshipMembership(groupId, userId, manage = false) {
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: userId,
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  if (!manage) {
+    return { membership };
+  }
+
+  if (membership.role === 'child' || membership.role === 'supervisor') {
+    return { error: { status: 403, body: { success: false, message: `${membership.role === 'child' ? 'Children' : 'Supervisors'} cannot change relationships` } } };
+  }
+
+  const group = await prisma.group.findUnique({
+    where: { groupId: groupId },
+    select: { readOnlyUntil: true },
+  });
+
+  if (isGroupReadOnly(group)) {
+    return { error: { status: 403, body: getReadOnlyErrorResponse(group) } };
+  }
+
+  return { membership };
+}
+
+/**
+ * Describe a relationship for messages and audit logs
+ * @param {string} name1 - memberId1's name
+ * @param {string} relationshipType - Relationship type
+ * @param {string} name2 - memberId2's name
+ * @returns {string} e.g. 'Mum is the step-parent of Sam'
+ */
+function describeRelationship(name1, relationshipType, name2) {
+  return `${name1} is the ${relationshipType.replace(/_/g, '-')} of ${name2}`;
+}
+
+/**
+ * Add a relationship
+ *
+ * Used directly when no approval is needed, and by executeApprovedAction once an
+ * 'assign_relationship' approval passes. Skipped if either member has left or the
+ * two members have been related in the meantime.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} data - { memberId1, memberId2, relationshipType }
+ * @param {string|null} [approvalId] - Approval that authorised the relationship, if any
+ * @returns {Promise<Object|null>} Created relationship with both members, or null if skipped
+ */
+async function createRelationshipRecord(groupId, requester, data, approvalId = null) {
+  const { memberId1, memberId2, relationshipType } = data;
+
+  const members = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      groupMemberId: { in: [memberId1, memberId2] },
+    },
+    select: MEMBER_SELECT,
+  });
+  const existing = await prisma.relationship.findMany({
+    where: {
+      groupId: groupId,
+      memberId1: { in: [memberId1, memberId2] },
+      memberId2: { in: [memberId1, memberId2] },
+    },
+  });
+
+  if (members.length !== 2 || findRelationshipBetween(existing, memberId1, memberId2)) {
+    console.log(`[Relationships] Skipped adding ${relationshipType} relationship between ${memberId1} and ${memberId2}`);
+    return null;
+  }
+
+  const name = memberId => members.find(m => m.groupMemberId === memberId).displayName;
+
+  return prisma.$transaction(async (tx) => {
+    const relationship = await tx.relationship.create({
+      data: {
+        groupId: groupId,
+        memberId1: memberId1,
+        memberId2: memberId2,
+        relationshipType: relationshipType,
+      },
+      include: {
+        member1: { select: MEMBER_SELECT },
+        member2: { select: MEMBER_SELECT },
+      },
+    });
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'assign_relationship',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: 'relationships',
+        messageContent: `Recorded that ${describeRelationship(name(memberId1), relationshipType, name(memberId2))}${approvalId ? ' via approval' : ''}`,
+        logData: {
+          relationshipId: relationship.relationshipId,
+          approvalId: approvalId,
+        },
+      },
+    });
+
+    return relationship;
+  });
+}
+
+/**
+ * Change a relationship's type, or remove it (relationshipType null)
+ *
+ * Used directly when no approval is needed, and by executeApprovedAction once a
+ * 'change_relationship' approval passes. Skipped if the relationship is gone.
+ *
+ * @param {string} groupId - The group ID
+ * @param {Object} requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {Object} data - { relationshipId, relationshipType } - relationshipType null removes it
+ * @param {string|null} [approvalId] - Approval that authorised the change, if any
+ * @returns {Promise<Object|null>} Updated (or removed) relationship, or null if skipped
+ */
+async function changeRelationshipRecord(groupId, requester, data, approvalId = null) {
+  const { relationshipId, relationshipType } = data;
+
+  const relationship = await prisma.relationship.findUnique({
+    where: { relationshipId: relationshipId },
+    include: {
+      member1: { select: MEMBER_SELECT },
+      member2: { select: MEMBER_SELECT },
+    },
+  });
+
+  if (!relationship || relationship.groupId !== groupId) {
+    console.log(`[Relationships] Skipped changing relationship ${relationshipId}: not found`);
+    return null;
+  }
+
+  const before = describeRelationship(relationship.member1.displayName, relationship.relationshipType, relationship.member2.displayName);
+
+  return prisma.$transaction(async (tx) => {
+    const result = relationshipType
+      ? await tx.relationship.update({
+        where: { relationshipId: relationshipId },
+        data: { relationshipType: relationshipType },
+        include: {
+          member1: { select: MEMBER_SELECT },
+          member2: { select: MEMBER_SELECT },
+        },
+      })
+      : await tx.relationship.delete({
+        where: { relationshipId: relationshipId },
+      });
+
+    await tx.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: relationshipType ? 'change_relationship' : 'remove_relationship',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: 'relationships',
+        messageContent: (relationshipType
+          ? `Changed relationship "${before}" to "${describeRelationship(relationship.member1.displayName, relationshipType, relationship.member2.displayName)}"`
+          : `Removed relationship "${before}"`) + (approvalId ? ' via approval' : ''),
+        logData: {
+          relationshipId: relationshipId,
+          previousType: relationship.relationshipType,
+          relationshipType: relationshipType || null,
+          approvalId: approvalId,
+        },
+      },
+    });
+
+    return result;
+  });
+}
+
+/**
+ * Get the group's relationships
+ * GET /groups/:groupId/relationships
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getRelationships(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const access = await getRelationshipMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const relationships = await prisma.relationship.findMany({
+      where: { groupId: groupId },
+      include: {
+        member1: { select: MEMBER_SELECT },
+        member2: { select: MEMBER_SELECT },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return res.status(200).json({
+      success: true,
+      relationshipTypes: RELATIONSHIP_TYPES,
+      relationships: relationships,
+    });
+  } catch (error) {
+    console.error('Get relationships error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load relationships',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the group's family graph
+ * GET /groups/:groupId/relationships/graph
+ *
+ * Every member with their parents, children, step-parents, grandparents (recorded or
+ * through their parents), caregivers, siblings and partners.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFamilyGraph(req, res) {
+  try {
+    const { groupId } = req.params;
+
+    const access = await getRelationshipMembership(groupId, req.user.userId);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const [members, relationships] = await Promise.all([
+      prisma.groupMember.findMany({
+        where: { groupId: groupId },
+        select: MEMBER_SELECT,
+        orderBy: { displayName: 'asc' },
+      }),
+      prisma.relationship.findMany({
+        where: { groupId: groupId },
+        orderBy: { createdAt: 'asc' },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      graph: buildFamilyGraph(members, relationships),
+    });
+  } catch (error) {
+    console.error('Get family graph error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to load family graph',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Add a relationship
+ * POST /groups/:groupId/relationships
+ *
+ * Body: { memberId1, memberId2, relationshipType } - memberId1 is the relationshipType of memberId2
+ *
+ * Returns 201 with the relationship, or 202 with approvalId while admins vote.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createRelationship(req, res) {
+  try {
+    const { groupId } = req.params;
+    const { memberId1, memberId2, relationshipType } = req.body;
+
+    if (!memberId1 || !memberId2 || !relationshipType) {
+      return res.status(400).json({
+        success: false,
+        message: 'memberId1, memberId2 and relationshipType are required',
+      });
+    }
+
+    if (!isValidRelationshipType(relationshipType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Relationship type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`,
+      });
+    }
+
+    if (memberId1 === memberId2) {
+      return res.status(400).json({
+        success: false,
+        message: 'A member cannot have a relationship with themselves',
+      });
+    }
+
+    const access = await getRelationshipMembership(groupId, req.user.userId, true);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership } = access;
+
+    const members = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: [memberId1, memberId2] },
+      },
+      select: MEMBER_SELECT,
+    });
+
+    if (members.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both members must belong to this group',
+      });
+    }
+
+    const existing = await prisma.relationship.findMany({
+      where: {
+        groupId: groupId,
+        memberId1: { in: [memberId1, memberId2] },
+        memberId2: { in: [memberId1, memberId2] },
+      },
+    });
+
+    if (findRelationshipBetween(existing, memberId1, memberId2)) {
+      return res.status(400).json({
+        success: false,
+        message: 'These members already have a relationship; change it instead',
+      });
+    }
+
+    const name = memberId => members.find(m => m.groupMemberId === memberId).displayName;
+    const data = { memberId1, memberId2, relationshipType };
+
+    const { requiresApproval, approval } = await requestApproval({
+      groupId: groupId,
+      requester: membership,
+      approvalType: 'assign_relationship',
+      permissionFields: ['autoApproveAssignRelationships'],
+      description: `record that ${describeRelationship(name(memberId1), relationshipType, name(memberId2))}`,
+      approvalData: data,
+      actionLocation: 'relationships',
+    });
+
+    if (requiresApproval) {
+      return res.status(202).json({
+        success: true,
+        message: 'Approval request created for the relationship. Waiting for admin approvals.',
+        requiresApproval: true,
+        approvalId: approval.approvalId,
+      });
+    }
+
+    const relationship = await createRelationshipRecord(groupId, membership, data, approval?.approvalId || null);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Relationship added successfully',
+      requiresApproval: false,
+      relationship: relationship,
+    });
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add relationship',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Request a change to (or removal of) a relationship
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} relationshipType - New type, or null to remove the relationship
+ * @returns {Promise<void>}
+ */
+async function requestRelationshipChange(req, res, relationshipType) {
+  const { groupId, relationshipId } = req.params;
+
+  const access = await getRelationshipMembership(groupId, req.user.userId, true);
+  if (access.error) {
+    return res.status(access.error.status).json(access.error.body);
+  }
+
+  const { membership } = access;
+
+  const relationship = await prisma.relationship.findUnique({
+    where: { relationshipId: relationshipId },
+    include: {
+      member1: { select: MEMBER_SELECT },
+      member2: { select: MEMBER_SELECT },
+    },
+  });
+
+  if (!relationship || relationship.groupId !== groupId) {
+    return res.status(404).json({
+      success: false,
+      message: 'Relationship not found',
+    });
+  }
+
+  if (relationshipType === relationship.relationshipType) {
+    return res.status(400).json({
+      success: false,
+      message: 'The relationship already has this type',
+    });
+  }
+
+  const current = describeRelationship(relationship.member1.displayName, relationship.relationshipType, relationship.member2.displayName);
+  const data = { relationshipId, relationshipType };
+
+  const { requiresApproval, approval } = await requestApproval({
+    groupId: groupId,
+    requester: membership,
+    approvalType: 'change_relationship',
+    permissionFields: ['autoApproveChangeRelationships'],
+    description: relationshipType
+      ? `change "${current}" to "${describeRelationship(relationship.member1.displayName, relationshipType, relationship.member2.displayName)}"`
+      : `remove the relationship "${current}"`,
+    approvalData: data,
+    relatedEntityType: 'relationship',
+    relatedEntityId: relationshipId,
+    actionLocation: 'relationships',
+  });
+
+  if (requiresApproval) {
+    return res.status(202).json({
+      success: true,
+      message: 'Approval request created for the relationship change. Waiting for admin approvals.',
+      requiresApproval: true,
+      approvalId: approval.approvalId,
+    });
+  }
+
+  const result = await changeRelationshipRecord(groupId, membership, data, approval?.approvalId || null);
+
+  return res.status(200).json({
+    success: true,
+    message: relationshipType ? 'Relationship updated successfully' : 'Relationship removed successfully',
+    requiresApproval: false,
+    ...(relationshipType && { relationship: result }),
+  });
+}
+
+/**
+ * Change a relationship's type
+ * PUT /groups/:groupId/relationships/:relationshipId
+ *
+ * Body: { relationshipType }
+ *
+ * Returns 200 with the relationship, or 202 with approvalId while admins vote.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateRelationship(req, res) {
+  try {
+    const { relationshipType } = req.body;
+
+    if (!isValidRelationshipType(relationshipType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Relationship type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`,
+      });
+    }
+
+    return await requestRelationshipChange(req, res, relationshipType);
+  } catch (error) {
+    console.error('Update relationship error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update relationship',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Remove a relationship
+ * DELETE /groups/:groupId/relationships/:relationshipId
+ *
+ * Returns 200, or 202 with approvalId while admins vote.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteRelationship(req, res) {
+  try {
+    return await requestRelationshipChange(req, res, null);
+  } catch (error) {
+    console.error('Delete relationship error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove relationship',
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getRelationships,
+  getFamilyGraph,
+  createRelationship,
+  updateRelationship,
+  deleteRelationship,
+  createRelationshipRecord,
+  changeRelationshipRecord,
+};
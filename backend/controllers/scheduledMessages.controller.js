@@ -0,0 +1,584 @@
+/**
+ * Scheduled Messages Controller
+ *
+ * Messages written now and sent later - once, or repeatedly on a schedule
+ * ("Reminder: swap bags for school camp" every fortnight). The scheduled
+ * messages job (jobs/scheduledMessages.js) sends each due message through the
+ * normal send path, so it is encrypted, mentions are kept and members are
+ * notified exactly as if the sender had just sent it.
+ *
+ * Scheduled messages are private to their sender until they are sent: members
+ * only list, edit and cancel their own. The tone assistant checks them when
+ * they are scheduled or edited, not again when they are sent.
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
+const { checkOutgoingTone, getToneCheckResponse } = require('../services/toneCheck.service');
+const { validateSchedule, getSendDate } = require('../utils/scheduledMessages');
+
+/**
+ * Most scheduled messages a member can have waiting in a message group
+ */
+const MAX_PENDING_PER_MEMBER = 50;
+
+/**
+ * Why a scheduled message that is no longer pending can't be changed, by status
+ */
+const FINISHED_MESSAGES = {
+  completed: 'This scheduled message has already been sent',
+  canceled: 'This scheduled message has been canceled',
+  failed: 'This scheduled message could not be sent and can no longer be changed',
+};
+
+/**
+ * Format a scheduled message for responses
+ * @param {Object} scheduledMessage - ScheduledMessage
+ * @returns {Object} Scheduled message with decrypted content
+ */
+function formatScheduledMessage(scheduledMessage) {
+  let content;
+  try {
+    content = encryptionService.decrypt(scheduledMessage.content);
+  } catch (error) {
+    content = scheduledMessage.content;
+  }
+
+  return {
+    scheduledMessageId: scheduledMessage.scheduledMessageId,
+    messageGroupId: scheduledMessage.messageGroupId,
+    content: content,
+    mentions: scheduledMessage.mentions,
+    scheduledFor: scheduledMessage.scheduledFor,
+    frequency: scheduledMessage.frequency,
+    endDate: scheduledMessage.endDate,
+    nextSendAt: scheduledMessage.nextSendAt,
+    status: scheduledMessage.status,
+    occurrenceCount: scheduledMessage.occurrenceCount,
+    lastSentAt: scheduledMessage.lastSentAt,
+    lastMessageId: scheduledMessage.lastMessageId,
+    failureReason: scheduledMessage.failureReason,
+    createdAt: scheduledMessage.createdAt,
+    updatedAt: scheduledMessage.updatedAt,
+  };
+}
+
+/**
+ * Check the user can schedule messages in a message group
+ * @param {string} groupId - Group ID
+ * @param {string} messageGroupId - Message group ID
+ * @param {string} userId - User ID
+ * @param {boolean} forWriting - Creating or editing (blocked while the group is read-only)
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, messageGroup }
+ */
+async function getScheduleAccess(groupId, messageGroupId, userId, forWriting) {
+  const membership = await prisma.groupMember.findUnique({
+    where: {
+      groupId_userId: {
+        groupId: groupId,
+        userId: userId,
+      },
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { error: 'Forbidden', message: 'You are not a member of this group' } } };
+  }
+
+  // Supervisors cannot send messages, so cannot schedule them either
+  if (membership.role === 'supervisor') {
+    return { error: { status: 403, body: { error: 'Forbidden', message: 'Supervisors cannot send messages' } } };
+  }
+
+  if (forWriting) {
+    const group = await prisma.group.findUnique({
+      where: { groupId: groupId },
+      select: { readOnlyUntil: true },
+    });
+
+    if (isGroupReadOnly(group)) {
+      return { error: { status: 403, body: getReadOnlyErrorResponse(group) } };
+    }
+  }
+
+  const messageGroup = await prisma.messageGroup.findUnique({
+    where: { messageGroupId: messageGroupId },
+    select: {
+      messageGroupId: true,
+      groupId: true,
+      name: true,
+      isHidden: true,
+      members: {
+        where: { groupMemberId: membership.groupMemberId },
+        select: { groupMemberId: true },
+      },
+    },
+  });
+
+  if (!messageGroup || messageGroup.groupId !== groupId || messageGroup.isHidden) {
+    return { error: { status: 404, body: { error: 'Not Found', message: 'Message group not found' } } };
+  }
+
+  if (messageGroup.members.length === 0) {
+    return { error: { status: 403, body: { error: 'Forbidden', message: 'You are not a member of this message group' } } };
+  }
+
+  return { membership, messageGroup };
+}
+
+/**
+ * Keep only mentions of message group members
+ * @param {string} messageGroupId - Message group ID
+ * @param {Array} mentions - Mentioned group member IDs from the request
+ * @returns {Promise<string[]>} Valid mentions
+ */
+async function filterMentions(messageGroupId, mentions) {
+  if (!Array.isArray(mentions) || mentions.length === 0) {
+    return [];
+  }
+
+  const members = await prisma.messageGroupMember.findMany({
+    where: {
+      messageGroupId: messageGroupId,
+      groupMemberId: { in: mentions.filter(id => typeof id === 'string') },
+    },
+    select: { groupMemberId: true },
+  });
+
+  return members.map(member => member.groupMemberId);
+}
+
+/**
+ * Describe a schedule for audit logs
+ * @param {Object} schedule - { scheduledFor, frequency, endDate }
+ * @returns {string} e.g. "2026-02-01T08:00:00.000Z, repeating weekly until 2026-06-30T00:00:00.000Z"
+ */
+function describeSchedule(schedule) {
+  let description = new Date(schedule.scheduledFor).toISOString();
+
+  if (schedule.frequency) {
+    description += `, repeating ${schedule.frequency}`;
+    if (schedule.endDate) {
+      description += ` until ${new Date(schedule.endDate).toISOString()}`;
+    }
+  }
+
+  return description;
+}
+
+/**
+ * Get the user's scheduled messages in a message group
+ * GET /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ *
+ * Query: includeFinished=true to include sent, canceled and failed messages
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getScheduledMessages(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId } = req.params;
+    const includeFinished = req.query.includeFinished === 'true';
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    const access = await getScheduleAccess(groupId, messageGroupId, userId, false);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const scheduledMessages = await prisma.scheduledMessage.findMany({
+      where: {
+        messageGroupId: messageGroupId,
+        senderId: access.membership.groupMemberId,
+        ...(!includeFinished && { status: 'scheduled' }),
+      },
+      orderBy: [
+        { nextSendAt: { sort: 'asc', nulls: 'last' } },
+        { createdAt: 'desc' },
+      ],
+    });
+
+    res.status(200).json({
+      success: true,
+      scheduledMessages: scheduledMessages.map(formatScheduledMessage),
+    });
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({
+      error: 'Failed to get scheduled messages',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Schedule a message
+ * POST /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ *
+ * Body: { content, mentions?, scheduledFor, frequency?, endDate?, sendAnyway? }
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createScheduledMessage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId } = req.params;
+    const { content, mentions, scheduledFor, frequency, endDate, sendAnyway } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message content cannot be empty',
+      });
+    }
+
+    const schedule = {
+      scheduledFor: scheduledFor,
+      frequency: frequency || null,
+      endDate: endDate || null,
+    };
+
+    const scheduleError = validateSchedule(schedule, new Date());
+    if (scheduleError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: scheduleError,
+      });
+    }
+
+    const access = await getScheduleAccess(groupId, messageGroupId, userId, true);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, messageGroup } = access;
+
+    const pendingCount = await prisma.scheduledMessage.count({
+      where: {
+        messageGroupId: messageGroupId,
+        senderId: membership.groupMemberId,
+        status: 'scheduled',
+      },
+    });
+
+    if (pendingCount >= MAX_PENDING_PER_MEMBER) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `You can have at most ${MAX_PENDING_PER_MEMBER} scheduled messages in a message group`,
+      });
+    }
+
+    const messageContent = content.trim();
+
+    const toneCheck = await checkOutgoingTone({ groupId, content: messageContent, sendAnyway: sendAnyway === true });
+    if (toneCheck) {
+      return res.status(422).json(getToneCheckResponse(toneCheck));
+    }
+
+    const validMentions = await filterMentions(messageGroupId, mentions);
+
+    const scheduledMessage = await prisma.scheduledMessage.create({
+      data: {
+        messageGroupId: messageGroupId,
+        senderId: membership.groupMemberId,
+        content: encryptionService.encrypt(messageContent),
+        mentions: validMentions,
+        scheduledFor: new Date(schedule.scheduledFor),
+        frequency: schedule.frequency,
+        endDate: schedule.endDate ? new Date(schedule.endDate) : null,
+        nextSendAt: new Date(schedule.scheduledFor),
+      },
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'schedule_message',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'messages',
+        messageContent: `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\nScheduled Message ID: ${scheduledMessage.scheduledMessageId}\nSend: ${describeSchedule(schedule)}\nContent: "${messageContent}"`,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      scheduledMessage: formatScheduledMessage(scheduledMessage),
+    });
+  } catch (error) {
+    console.error('Create scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to schedule message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Find the user's own pending scheduled message
+ * @param {string} scheduledMessageId - Scheduled message ID
+ * @param {string} messageGroupId - Message group from the URL
+ * @param {string} groupMemberId - Requesting member
+ * @returns {Promise<Object>} { error: { status, body } } or { scheduledMessage }
+ */
+async function getOwnPendingScheduledMessage(scheduledMessageId, messageGroupId, groupMemberId) {
+  const scheduledMessage = await prisma.scheduledMessage.findUnique({
+    where: { scheduledMessageId: scheduledMessageId },
+  });
+
+  // Other members' scheduled messages are private, so they are "not found" too
+  if (!scheduledMessage
+    || scheduledMessage.messageGroupId !== messageGroupId
+    || scheduledMessage.senderId !== groupMemberId) {
+    return { error: { status: 404, body: { error: 'Not Found', message: 'Scheduled message not found' } } };
+  }
+
+  if (scheduledMessage.status !== 'scheduled') {
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Bad Request', message: FINISHED_MESSAGES[scheduledMessage.status] },
+      },
+    };
+  }
+
+  return { scheduledMessage };
+}
+
+/**
+ * Edit a scheduled message
+ * PUT /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ *
+ * Body: any of { content, mentions, scheduledFor, frequency, endDate }, plus sendAnyway.
+ * Changing the schedule restarts it from the new scheduledFor.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateScheduledMessage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, scheduledMessageId } = req.params;
+    const { content, mentions, sendAnyway } = req.body;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    if (content !== undefined && (typeof content !== 'string' || content.trim().length === 0)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Message content cannot be empty',
+      });
+    }
+
+    const access = await getScheduleAccess(groupId, messageGroupId, userId, true);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, messageGroup } = access;
+
+    const found = await getOwnPendingScheduledMessage(scheduledMessageId, messageGroupId, membership.groupMemberId);
+    if (found.error) {
+      return res.status(found.error.status).json(found.error.body);
+    }
+
+    const { scheduledMessage } = found;
+    const data = {};
+
+    if (content !== undefined) {
+      const messageContent = content.trim();
+
+      const toneCheck = await checkOutgoingTone({ groupId, content: messageContent, sendAnyway: sendAnyway === true });
+      if (toneCheck) {
+        return res.status(422).json(getToneCheckResponse(toneCheck));
+      }
+
+      data.content = encryptionService.encrypt(messageContent);
+    }
+
+    if (mentions !== undefined) {
+      data.mentions = await filterMentions(messageGroupId, mentions);
+    }
+
+    const scheduleChanged = ['scheduledFor', 'frequency', 'endDate'].some(field => req.body[field] !== undefined);
+    let schedule = scheduledMessage;
+
+    if (scheduleChanged) {
+      schedule = {
+        scheduledFor: req.body.scheduledFor !== undefined ? req.body.scheduledFor : scheduledMessage.scheduledFor,
+        frequency: req.body.frequency !== undefined ? req.body.frequency || null : scheduledMessage.frequency,
+        endDate: req.body.endDate !== undefined ? req.body.endDate || null : scheduledMessage.endDate,
+      };
+
+      const scheduleError = validateSchedule(schedule, new Date());
+      if (scheduleError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: scheduleError,
+        });
+      }
+
+      data.scheduledFor = new Date(schedule.scheduledFor);
+      data.frequency = schedule.frequency;
+      data.endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+      data.occurrenceCount = 0;
+      data.nextSendAt = getSendDate(schedule, 0);
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Nothing to update',
+      });
+    }
+
+    // Only update if nothing (the job, or another edit) changed it in the meantime
+    const updated = await prisma.scheduledMessage.updateMany({
+      where: {
+        scheduledMessageId: scheduledMessageId,
+        status: 'scheduled',
+        updatedAt: scheduledMessage.updatedAt,
+      },
+      data: data,
+    });
+
+    if (updated.count === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This scheduled message changed while you were editing it. Please try again.',
+      });
+    }
+
+    const result = await prisma.scheduledMessage.findUnique({
+      where: { scheduledMessageId: scheduledMessageId },
+    });
+    const formatted = formatScheduledMessage(result);
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'edit_scheduled_message',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'messages',
+        messageContent: `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\nScheduled Message ID: ${scheduledMessageId}\nSend: ${describeSchedule(schedule)}\nContent: "${formatted.content}"`,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      scheduledMessage: formatted,
+    });
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduled message',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cancel a scheduled message (it is kept, with status 'canceled')
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function cancelScheduledMessage(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const { groupId, messageGroupId, scheduledMessageId } = req.params;
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Canceling is allowed while the group is read-only - it only stops messages being sent
+    const access = await getScheduleAccess(groupId, messageGroupId, userId, false);
+    if (access.error) {
+      return res.status(access.error.status).json(access.error.body);
+    }
+
+    const { membership, messageGroup } = access;
+
+    const found = await getOwnPendingScheduledMessage(scheduledMessageId, messageGroupId, membership.groupMemberId);
+    if (found.error) {
+      return res.status(found.error.status).json(found.error.body);
+    }
+
+    const canceled = await prisma.scheduledMessage.updateMany({
+      where: {
+        scheduledMessageId: scheduledMessageId,
+        status: 'scheduled',
+      },
+      data: {
+        status: 'canceled',
+        nextSendAt: null,
+      },
+    });
+
+    if (canceled.count === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This scheduled message was sent before it could be canceled.',
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'cancel_scheduled_message',
+        performedBy: membership.groupMemberId,
+        performedByName: membership.displayName,
+        performedByEmail: membership.email || 'N/A',
+        actionLocation: 'messages',
+        messageContent: `Message Group: "${messageGroup.name}" (ID: ${messageGroupId})\nCanceled Scheduled Message ID: ${scheduledMessageId}`,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled message canceled',
+    });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel scheduled message',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  getScheduledMessages,
+  createScheduledMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+};
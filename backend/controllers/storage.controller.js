@@ -8,6 +8,8 @@
  */
 
 const { prisma } = require('../config/database');
+const realtimeService = require('../services/realtime.service');
+const { getApprovalExpiryFields } = require('../services/approvalExpiry.service');
 
 /**
  * Get storage usage overview
@@ -1108,6 +1110,7 @@ async function requestFileDeletion(req, res) {
         relatedEntityId: mediaId,
         requestedBy: membership.groupMemberId,
         status: 'pending',
+        ...(await getApprovalExpiryFields(groupId, 'delete_file')),
         approvalData: {
           fileName: fileName,
           fileSizeBytes: Number(media.fileSizeBytes),
@@ -1168,6 +1171,8 @@ async function requestFileDeletion(req, res) {
       // Single admin - execute deletion immediately
       await executeFileDeletion(mediaId, groupId, approval.approvalId, membership.groupMemberId);
 
+      realtimeService.publishApprovalChange({ ...approval, status: 'approved' });
+
       return res.status(200).json({
         success: true,
         message: 'File deleted successfully (single admin auto-approval)',
@@ -1178,6 +1183,8 @@ async function requestFileDeletion(req, res) {
       });
     }
 
+    realtimeService.publishApprovalChange(approval);
+
     res.status(200).json({
       success: true,
       message: 'Deletion request submitted for admin approval',
@@ -1366,6 +1373,7 @@ async function requestCallRecordingDeletion(req, res, userId, mediaId) {
       relatedEntityId: callId,
       requestedBy: membership.groupMemberId,
       status: 'pending',
+      ...(await getApprovalExpiryFields(groupId, 'delete_call_recording')),
       approvalData: {
         fileName: fileName,
         fileSizeBytes: fileSizeBytes,
@@ -1404,6 +1412,8 @@ async function requestCallRecordingDeletion(req, res, userId, mediaId) {
     },
   });
 
+  realtimeService.publishApprovalChange(approval);
+
   return res.status(200).json({
     success: true,
     message: 'Deletion request submitted for admin approval',
@@ -14,6 +14,7 @@ const { prisma } = require('../config/database');
 const { isGroupReadOnly, getReadOnlyErrorResponse } = require('../utils/permissions');
 const videoConverter = require('../services/videoConverter');
 const recorderService = require('../services/recorder.service');
+const realtimeService = require('../services/realtime.service');
 const { storageService } = require('../services/storage');
 const fileEncryption = require('../services/fileEncryption.service');
 const { v4: uuidv4 } = require('uuid');
@@ -1816,7 +1817,18 @@ async function sendSignal(req, res) {
       }
     }
 
-    // Create signal records for each target peer
+    // Push to peers whose call screen is listening on the realtime channel
+    const delivered = await realtimeService.pushWebRTCSignal({
+      groupId,
+      callId,
+      callType: 'video',
+      fromPeerId: membership.groupMemberId,
+      toPeerIds: targetPeers,
+      type,
+      data,
+    });
+
+    // Create signal records for each target peer (already consumed if pushed)
     await prisma.webRTCSignal.createMany({
       data: targetPeers.map(toPeerId => ({
         callId: callId,
@@ -1825,6 +1837,8 @@ async function sendSignal(req, res) {
         toPeerId: toPeerId,
         signalType: type,
         signalData: data,
+        isConsumed: delivered.has(toPeerId),
+        consumedAt: delivered.has(toPeerId) ? new Date() : null,
       })),
     });
 
@@ -2317,7 +2331,17 @@ async function sendRecorderSignal(req, res) {
       return res.status(404).json({ success: false, message: 'Call not found' });
     }
 
-    // Store signal in database for target participant
+    const delivered = await realtimeService.pushWebRTCSignal({
+      groupId,
+      callId,
+      callType: 'video',
+      fromPeerId: 'recorder',
+      toPeerIds: [targetPeerId],
+      type,
+      data,
+    });
+
+    // Store signal in database for target participant (already consumed if pushed)
     await prisma.webRTCSignal.create({
       data: {
         callId: callId,
@@ -2326,6 +2350,8 @@ async function sendRecorderSignal(req, res) {
         toPeerId: targetPeerId,
         signalType: type,
         signalData: data,
+        isConsumed: delivered.has(targetPeerId),
+        consumedAt: delivered.has(targetPeerId) ? new Date() : null,
       },
     });
 
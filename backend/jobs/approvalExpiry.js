@@ -0,0 +1,288 @@
+/**
+ * Approval Expiry Job
+ *
+ * Keeps pending approvals moving:
+ * - Reminds admins who haven't voted, every approvalReminderHours (group
+ *   setting, default 24), via the same push notification as the request.
+ * - Resolves approvals whose expiresAt has passed by approving or rejecting
+ *   them according to the expiryAction they were given when requested. An
+ *   approval any admin voted against is always rejected (see
+ *   utils/approvalExpiry.js). The outcome is recorded in the audit log and
+ *   the requester is notified.
+ *
+ * Runs every 15 minutes.
+ */
+
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const pushNotificationService = require('../services/pushNotification.service');
+const realtimeService = require('../services/realtime.service');
+const { executeApprovedAction } = require('../controllers/approvals.controller');
+const {
+  DEFAULT_REMINDER_HOURS,
+  getExpiryOutcome,
+  getPendingVoterIds,
+  isApprovalReminderDue,
+  describeTimeLeft,
+} = require('../utils/approvalExpiry');
+
+/**
+ * Describe what an approval is for, for notification and audit log text
+ * @param {Object} approval - Approval with approvalData
+ * @returns {string} e.g. 'remove member (Sam)'
+ */
+function describeApproval(approval) {
+  let data = approval.approvalData || {};
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      data = {};
+    }
+  }
+
+  const action = approval.approvalType.replace(/_/g, ' ');
+  const subject = data.targetDisplayName || data.targetEmail || data.fileName || data.description || data.groupName;
+
+  return subject ? `${action} (${subject})` : action;
+}
+
+/**
+ * Approve or reject an approval whose expiry has passed
+ * @param {Object} approval - Approval with votes, requester and group
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if this run resolved it
+ */
+async function resolveExpiredApproval(approval, now) {
+  const newStatus = getExpiryOutcome(approval);
+
+  // Only resolve if the approval is still pending (a last-minute vote may have
+  // settled it), and only approve if nobody has voted against it since it was loaded
+  const claimed = await prisma.approval.updateMany({
+    where: {
+      approvalId: approval.approvalId,
+      status: 'pending',
+      ...(newStatus === 'approved' && { votes: { none: { vote: 'reject' } } }),
+    },
+    data: {
+      status: newStatus,
+      completedAt: now,
+      resolvedOnExpiry: true,
+    },
+  });
+
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const description = describeApproval(approval);
+  const approveVotes = approval.votes.filter(v => v.vote === 'approve').length;
+  const rejectVotes = approval.votes.filter(v => v.vote === 'reject').length;
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: approval.groupId,
+      action: 'approval_expired',
+      performedBy: null,
+      performedByName: 'System',
+      performedByEmail: 'system',
+      actionLocation: 'approvals',
+      messageContent: `Approval ${newStatus} on expiry: ${description}. Votes when it expired: ${approveVotes} approve, ${rejectVotes} reject`,
+      logData: {
+        approvalId: approval.approvalId,
+        approvalType: approval.approvalType,
+        finalStatus: newStatus,
+        expiresAt: approval.expiresAt,
+        approveVotes: approveVotes,
+        rejectVotes: rejectVotes,
+      },
+    },
+  });
+
+  const resolved = { ...approval, status: newStatus };
+
+  if (newStatus === 'approved') {
+    await executeApprovedAction(resolved);
+  }
+
+  realtimeService.publishApprovalChange(resolved);
+
+  // Let the requester know how their request ended
+  const requester = approval.requester;
+  if (requester?.userId && !requester.isMuted) {
+    pushNotificationService.sendToUser(
+      requester.userId,
+      `Request ${newStatus === 'approved' ? 'Approved' : 'Rejected'}: ${approval.group?.name || 'Group'}`,
+      `Your request to ${description} expired before enough admins voted and was ${newStatus}`,
+      {
+        type: 'approval_resolved',
+        approvalType: approval.approvalType,
+        groupId: approval.groupId,
+        approvalId: approval.approvalId,
+        status: newStatus,
+      }
+    ).catch(err => console.error('[ApprovalExpiry] Failed to notify requester:', err));
+  }
+
+  return true;
+}
+
+/**
+ * Remind admins who haven't voted on a pending approval, if a reminder is due
+ * @param {Object} approval - Approval with votes, requester and group (with settings)
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of admins reminded
+ */
+async function remindPendingVoters(approval, now) {
+  const settings = approval.group?.settings;
+  const reminderHours = settings ? settings.approvalReminderHours : DEFAULT_REMINDER_HOURS;
+
+  if (!isApprovalReminderDue(approval, reminderHours, now)) {
+    return 0;
+  }
+
+  const admins = await prisma.groupMember.findMany({
+    where: {
+      groupId: approval.groupId,
+      role: 'admin',
+    },
+    select: { groupMemberId: true },
+  });
+  const adminIds = admins.map(admin => admin.groupMemberId);
+
+  const pendingIds = getPendingVoterIds(approval, adminIds);
+  if (pendingIds.length === 0) {
+    return 0;
+  }
+
+  // Only remind if this run is the one that moves lastRemindedAt on
+  const claimed = await prisma.approval.updateMany({
+    where: {
+      approvalId: approval.approvalId,
+      status: 'pending',
+      lastRemindedAt: approval.lastRemindedAt,
+    },
+    data: { lastRemindedAt: now },
+  });
+
+  if (claimed.count === 0) {
+    return 0;
+  }
+
+  const requesterName = approval.requester?.displayName || 'An admin';
+  const timeLeft = approval.expiresAt
+    ? ` It ${describeTimeLeft(approval.expiresAt, now)} and will then be ${getExpiryOutcome(approval)}.`
+    : '';
+
+  // Everyone except the admins still to vote is excluded
+  await pushNotificationService.sendApprovalNotification(
+    approval.groupId,
+    adminIds.filter(adminId => !pendingIds.includes(adminId)).concat(approval.requestedBy),
+    approval.approvalType,
+    `Reminder: ${requesterName} is waiting for your vote to ${describeApproval(approval)}.${timeLeft}`,
+    approval.approvalId
+  );
+
+  return pendingIds.length;
+}
+
+/**
+ * Resolve expired approvals and send reminders that are due
+ * @returns {Promise<void>}
+ */
+async function runApprovalExpiryJob() {
+  const now = new Date();
+
+  try {
+    const include = {
+      votes: true,
+      requester: {
+        select: {
+          groupMemberId: true,
+          displayName: true,
+          userId: true,
+          isMuted: true,
+        },
+      },
+      group: {
+        select: {
+          name: true,
+          settings: { select: { approvalReminderHours: true } },
+        },
+      },
+    };
+
+    const expired = await prisma.approval.findMany({
+      where: {
+        status: 'pending',
+        expiresAt: { lte: now },
+      },
+      include: include,
+      orderBy: { expiresAt: 'asc' },
+    });
+
+    let totalResolved = 0;
+    for (const approval of expired) {
+      try {
+        if (await resolveExpiredApproval(approval, now)) {
+          totalResolved++;
+        }
+      } catch (error) {
+        console.error(`[ApprovalExpiry] Error resolving approval ${approval.approvalId}:`, error);
+      }
+    }
+
+    const pending = await prisma.approval.findMany({
+      where: {
+        status: 'pending',
+        OR: [
+          { expiresAt: null },
+          { expiresAt: { gt: now } },
+        ],
+      },
+      include: include,
+    });
+
+    let totalReminded = 0;
+    for (const approval of pending) {
+      try {
+        totalReminded += await remindPendingVoters(approval, now);
+      } catch (error) {
+        console.error(`[ApprovalExpiry] Error sending reminder for approval ${approval.approvalId}:`, error);
+      }
+    }
+
+    if (totalResolved > 0 || totalReminded > 0) {
+      console.log(`[ApprovalExpiry] Completed: resolved ${totalResolved} expired approvals, reminded ${totalReminded} admins`);
+    }
+  } catch (error) {
+    console.error('[ApprovalExpiry] Critical error in approval expiry job:', error);
+  }
+}
+
+/**
+ * Initialize the approval expiry job
+ * Runs every 15 minutes to resolve expired approvals and remind admins
+ */
+function initApprovalExpiryJob() {
+  cron.schedule('*/15 * * * *', () => {
+    runApprovalExpiryJob().catch(error => {
+      console.error('[ApprovalExpiry] Unhandled error:', error);
+    });
+  });
+
+  console.log('[ApprovalExpiry] Approval expiry job initialized (runs every 15 minutes)');
+
+  // Run once on startup after a short delay
+  setTimeout(() => {
+    console.log('[ApprovalExpiry] Running initial approval expiry check...');
+    runApprovalExpiryJob().catch(error => {
+      console.error('[ApprovalExpiry] Initial check error:', error);
+    });
+  }, 5000); // 5 second delay
+}
+
+module.exports = {
+  initApprovalExpiryJob,
+  runApprovalExpiryJob,
+};
@@ -5,12 +5,16 @@
  * For example, if an event is at 3:00 PM with notificationMinutes=15,
  * this job will send the reminder at 2:45 PM.
  *
+ * Recurring events are expanded into occurrences (see utils/recurrence.js) and
+ * reminders are tracked per occurrence, so each instance of a series is reminded once.
+ *
  * Runs every minute to check for events that need reminders.
  */
 
 const cron = require('node-cron');
 const { prisma } = require('../config/database');
 const pushNotificationService = require('../services/pushNotification.service');
+const { expandEvent } = require('../utils/recurrence');
 
 /**
  * Format a date for display in notifications
@@ -39,7 +43,7 @@ function getReminderText(notificationMinutes) {
 }
 
 /**
- * Process a single event and send reminders to attendees
+ * Process a single event occurrence and send reminders to attendees
  */
 async function processEventReminder(event) {
   try {
@@ -71,8 +75,8 @@ async function processEventReminder(event) {
       // Check if already reminded
       const existingReminder = await prisma.calendarEventReminder.findUnique({
         where: {
-          eventId_userId: {
-            eventId: event.eventId,
+          occurrenceId_userId: {
+            occurrenceId: event.occurrenceId,
             userId: attendee.groupMember.userId,
           },
         },
@@ -98,6 +102,7 @@ async function processEventReminder(event) {
       {
         type: 'calendar_reminder',
         eventId: event.eventId,
+        occurrenceId: event.occurrenceId,
         groupId: event.groupId,
       }
     );
@@ -106,6 +111,7 @@ async function processEventReminder(event) {
     await prisma.calendarEventReminder.createMany({
       data: userIds.map(userId => ({
         eventId: event.eventId,
+        occurrenceId: event.occurrenceId,
         userId: userId,
       })),
       skipDuplicates: true,
@@ -128,24 +134,43 @@ async function runReminderJob() {
 
   try {
     // Find events that:
-    // 1. Start in the future (haven't happened yet)
+    // 1. Start in the future (haven't happened yet), or are recurring series still running
     // 2. Have a notification time that has passed
     // 3. Are in an active (non-hidden) group
     const events = await prisma.calendarEvent.findMany({
       where: {
-        startTime: { gt: now }, // Event hasn't started yet
         notificationMinutes: { not: null, gt: 0 }, // Has reminder set
         group: { isHidden: false }, // Group is active
+        OR: [
+          { isRecurring: false, startTime: { gt: now } }, // Event hasn't started yet
+          {
+            isRecurring: true,
+            OR: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { gte: now } },
+            ],
+          },
+        ],
       },
       include: {
         group: {
           select: { name: true },
         },
+        exceptionDates: { select: { recurrenceId: true } },
+        childEvents: { select: { recurrenceId: true } },
       },
     });
 
-    // Filter to events where notification time has arrived
-    const eventsToProcess = events.filter(event => {
+    // Expand recurring series into the occurrences starting within their reminder lead time
+    const occurrences = events.flatMap(event => {
+      const leadTimeMs = (event.notificationMinutes || 15) * 60 * 1000;
+      return expandEvent(event, now, new Date(now.getTime() + leadTimeMs));
+    });
+
+    // Filter to occurrences where notification time has arrived
+    const eventsToProcess = occurrences.filter(event => {
+      if (event.startTime <= now) return false; // Already started
+
       const notifyMinutes = event.notificationMinutes || 15;
       const notifyTime = new Date(event.startTime.getTime() - notifyMinutes * 60 * 1000);
       return now >= notifyTime;
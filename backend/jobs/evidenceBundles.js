@@ -0,0 +1,494 @@
+/**
+ * Evidence Bundle Job
+ *
+ * Builds court-ready evidence bundles requested via POST /logs/:groupId/evidence-bundle
+ * on the background job queue (services/jobQueue.service.js). The bundle is a
+ * ZIP containing:
+ * - audit-log.pdf (same as a PDF export with the same filters) and audit-log.csv
+ * - messages.json, calendar-events.csv, finance-matters.csv, finance-payments.csv, calls.csv
+ * - media/: message attachments and call recordings referenced by the above
+ * - manifest.json: SHA-256 of every file, export time and exporter
+ * - manifest.sig + public-key.pem: Ed25519 signature of manifest.json
+ * - VERIFY.txt: how recipients check the signature and hashes
+ *
+ * Files are hashed as they are added so media is only held in memory one file at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const evidenceSigning = require('../services/evidenceSigning.service');
+const fileEncryption = require('../services/fileEncryption.service');
+const pdfService = require('../services/pdf.service');
+const { storageService } = require('../services/storage');
+const { registerJobHandler } = require('../services/jobQueue.service');
+const { getChainHead } = require('../services/auditChain.service');
+const {
+  buildAuditLogWhere,
+  buildAuditLogCsv,
+  buildMessagesExport,
+} = require('../utils/logExport');
+const {
+  sha256,
+  getFileExtension,
+  buildCalendarEventsCsv,
+  buildFinanceMattersCsv,
+  buildFinancePaymentsCsv,
+  buildCallsCsv,
+  buildManifest,
+  buildVerificationInstructions,
+} = require('../utils/evidenceBundle');
+
+const EVIDENCE_BUNDLE_JOB_TYPE = 'evidence_bundle';
+
+const memberNameSelect = {
+  select: {
+    displayName: true,
+    user: { select: { displayName: true } },
+  },
+};
+
+/**
+ * Update a LogExport's status/progress
+ * @param {string} exportId - Export ID
+ * @param {Object} data - Fields to update
+ */
+async function updateExport(exportId, data) {
+  await prisma.logExport.update({
+    where: { exportId: exportId },
+    data: data,
+  });
+}
+
+/**
+ * Build a created-at style date range from export filters
+ * @param {Object} filters - { dateFrom, dateTo }
+ * @returns {Object|undefined} Prisma date filter, or undefined for no range
+ */
+function getDateRange(filters) {
+  if (!filters.dateFrom && !filters.dateTo) return undefined;
+  return {
+    ...(filters.dateFrom && { gte: new Date(filters.dateFrom) }),
+    ...(filters.dateTo && { lte: new Date(filters.dateTo) }),
+  };
+}
+
+/**
+ * Read a stored file, decrypting it if it was encrypted at rest
+ * @param {string} fileId - Storage file ID
+ * @returns {Promise<Buffer>} File content
+ */
+async function readStoredFile(fileId) {
+  const fileBuffer = await storageService.getFile(fileId);
+  return fileEncryption.isEncrypted(fileBuffer) ? fileEncryption.decryptFile(fileBuffer) : fileBuffer;
+}
+
+/**
+ * Work out a media file's path in the bundle (recordings are mp3, mp4 or
+ * webm depending on conversion, so their type comes from storage metadata)
+ * @param {Object} mediaFile - Entry from listMediaFiles
+ * @returns {Promise<string>} Path inside the ZIP
+ */
+async function getMediaFilePath(mediaFile) {
+  const mimeType = mediaFile.mimeType || (await storageService.getFileMetadata(mediaFile.fileId)).mimeType;
+  return `${mediaFile.name}.${getFileExtension(mimeType)}`;
+}
+
+/**
+ * Open a ZIP for writing, recording the SHA-256 and size of each file added
+ * @param {string} filePath - Absolute output path
+ * @returns {Object} { addFile, finalize, abort, files }
+ */
+function createHashedZip(filePath) {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 8 } });
+  const files = [];
+
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Errors are surfaced by addFile/finalize; avoid an unhandled rejection after abort
+  closed.catch(() => {});
+
+  archive.pipe(output);
+
+  return {
+    files,
+
+    /**
+     * Add a file and wait until it has been written
+     * @param {string} name - Path inside the ZIP
+     * @param {Buffer|string} content - File content
+     */
+    async addFile(name, content) {
+      files.push({ path: name, sha256: sha256(content), sizeBytes: Buffer.byteLength(content) });
+      const written = once(archive, 'entry');
+      archive.append(content, { name });
+      await written;
+    },
+
+    /**
+     * Finish the ZIP
+     * @returns {Promise<number>} ZIP size in bytes
+     */
+    async finalize() {
+      archive.finalize();
+      return closed;
+    },
+
+    /**
+     * Stop writing and remove the partial file
+     */
+    abort() {
+      archive.abort();
+      output.destroy();
+      fs.rmSync(filePath, { force: true });
+    },
+  };
+}
+
+/**
+ * Load everything that goes into a bundle
+ * @param {string} groupId - Group ID
+ * @param {Object} filters - Export filters
+ * @returns {Promise<Object>} { logs, userNames, messageGroups, events, financeMatters, calls }
+ */
+async function loadBundleData(groupId, filters) {
+  const dateRange = getDateRange(filters);
+
+  const logs = await prisma.auditLog.findMany({
+    where: buildAuditLogWhere(groupId, filters),
+    orderBy: { performedAt: 'desc' },
+    include: {
+      performer: { select: { displayName: true, email: true } },
+    },
+  });
+
+  let userNames = [];
+  if (filters.userIds && filters.userIds.length > 0) {
+    const users = await prisma.groupMember.findMany({
+      where: { groupMemberId: { in: filters.userIds } },
+      select: { displayName: true },
+    });
+    userNames = users.map(u => u.displayName);
+  }
+
+  // Messages (including hidden message groups and messages)
+  const messageGroups = await prisma.messageGroup.findMany({
+    where: { groupId: groupId },
+    include: {
+      messages: {
+        where: dateRange ? { createdAt: dateRange } : undefined,
+        include: {
+          sender: memberNameSelect,
+          media: true,
+          revisions: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  // Calendar events overlapping the range (recurring series that are still running)
+  const eventWhere = { groupId: groupId };
+  if (filters.dateTo) {
+    eventWhere.startTime = { lte: new Date(filters.dateTo) };
+  }
+  if (filters.dateFrom) {
+    const dateFrom = new Date(filters.dateFrom);
+    eventWhere.OR = [
+      { endTime: { gte: dateFrom } },
+      { isRecurring: true, recurrenceEndDate: null },
+      { isRecurring: true, recurrenceEndDate: { gte: dateFrom } },
+    ];
+  }
+  const events = await prisma.calendarEvent.findMany({
+    where: eventWhere,
+    include: {
+      creator: memberNameSelect,
+      attendees: { include: { groupMember: memberNameSelect } },
+      responsibilityEvents: {
+        include: {
+          child: memberNameSelect,
+          startResponsibleMember: memberNameSelect,
+          endResponsibleMember: memberNameSelect,
+        },
+      },
+    },
+    orderBy: { startTime: 'asc' },
+  });
+
+  const financeMatters = await prisma.financeMatter.findMany({
+    where: {
+      groupId: groupId,
+      ...(dateRange && { createdAt: dateRange }),
+    },
+    include: {
+      creator: memberNameSelect,
+      members: { include: { groupMember: memberNameSelect } },
+      payments: {
+        include: {
+          fromMember: memberNameSelect,
+          toMember: memberNameSelect,
+        },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const callWhere = {
+    groupId: groupId,
+    ...(dateRange && { startedAt: dateRange }),
+  };
+  const callInclude = {
+    initiator: memberNameSelect,
+    participants: { include: { participant: memberNameSelect } },
+    recordingChunks: {
+      where: { status: 'ready' },
+      orderBy: { chunkIndex: 'asc' },
+    },
+  };
+  const [phoneCalls, videoCalls] = await Promise.all([
+    prisma.phoneCall.findMany({ where: callWhere, include: callInclude }),
+    prisma.videoCall.findMany({ where: callWhere, include: callInclude }),
+  ]);
+  const calls = [
+    ...phoneCalls.map(call => ({ ...call, callType: 'phone' })),
+    ...videoCalls.map(call => ({ ...call, callType: 'video' })),
+  ];
+
+  return { logs, userNames, messageGroups, events, financeMatters, calls };
+}
+
+/**
+ * List the media files a bundle references
+ * @param {Array<Object>} messageGroups - MessageGroups with messages and media
+ * @param {Array<Object>} calls - Calls with recordingChunks
+ * @returns {Array<{name: string, fileId: string, mimeType?: string, mediaId?: string, callId?: string}>} Media files (name without extension)
+ */
+function listMediaFiles(messageGroups, calls) {
+  const mediaFiles = [];
+
+  messageGroups.forEach((messageGroup) => {
+    messageGroup.messages.forEach((message) => {
+      message.media.forEach((media) => {
+        mediaFiles.push({
+          name: `media/messages/${media.mediaId}`,
+          fileId: media.url,
+          mimeType: media.mimeType,
+          mediaId: media.mediaId,
+        });
+      });
+    });
+  });
+
+  calls.forEach((call) => {
+    if (call.recordingChunks.length > 0) {
+      call.recordingChunks.forEach((chunk) => {
+        mediaFiles.push({
+          name: `media/recordings/${call.callType}-${call.callId}-${chunk.chunkIndex}`,
+          fileId: chunk.fileId,
+          callId: call.callId,
+        });
+      });
+    } else if (call.recordingFileId) {
+      // Legacy single-file recording
+      mediaFiles.push({
+        name: `media/recordings/${call.callType}-${call.callId}`,
+        fileId: call.recordingFileId,
+        callId: call.callId,
+      });
+    }
+  });
+
+  return mediaFiles;
+}
+
+/**
+ * Build an evidence bundle
+ * @param {Object} job - BackgroundJob with payload { exportId }
+ */
+async function processEvidenceBundle(job) {
+  const { exportId } = job.payload;
+
+  const logExport = await prisma.logExport.findUnique({
+    where: { exportId: exportId },
+    include: {
+      group: { select: { groupId: true, name: true } },
+      creator: { select: { groupMemberId: true, displayName: true, email: true } },
+    },
+  });
+
+  if (!logExport || logExport.isHidden || logExport.status === 'completed') {
+    console.log(`[EvidenceBundle] Export ${exportId} no longer needs building, skipping`);
+    return;
+  }
+
+  // Fail fast (before any work) if the server can't sign bundles
+  const publicKeyPem = evidenceSigning.getPublicKeyPem();
+  const publicKeyFingerprint = evidenceSigning.getPublicKeyFingerprint();
+
+  await updateExport(exportId, { status: 'processing', progress: 5, errorMessage: null });
+
+  const filters = logExport.filters || {};
+  const exportedAt = new Date();
+  const data = await loadBundleData(logExport.groupId, filters);
+  await updateExport(exportId, { progress: 20 });
+
+  const zipPath = path.join(__dirname, '..', logExport.filePath);
+  fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+  const zip = createHashedZip(zipPath);
+
+  try {
+    // Media first, so the data files can say which attachments made it in
+    const mediaFiles = listMediaFiles(data.messageGroups, data.calls);
+    const missingFiles = [];
+
+    for (let i = 0; i < mediaFiles.length; i++) {
+      const mediaFile = mediaFiles[i];
+      try {
+        const filePath = await getMediaFilePath(mediaFile);
+        await zip.addFile(filePath, await readStoredFile(mediaFile.fileId));
+        mediaFile.path = filePath;
+      } catch (fileError) {
+        console.error(`[EvidenceBundle] Could not include ${mediaFile.name}:`, fileError.message);
+        missingFiles.push({ path: mediaFile.name, reason: 'File could not be read from storage' });
+      }
+
+      if ((i + 1) % 10 === 0) {
+        await updateExport(exportId, { progress: 20 + Math.floor(((i + 1) / mediaFiles.length) * 65) });
+      }
+    }
+    await updateExport(exportId, { progress: 85 });
+
+    const mediaPathById = new Map(mediaFiles
+      .filter(mediaFile => mediaFile.mediaId && mediaFile.path)
+      .map(mediaFile => [mediaFile.mediaId, mediaFile.path]));
+    const recordingPathsByCallId = new Map();
+    mediaFiles
+      .filter(mediaFile => mediaFile.callId && mediaFile.path)
+      .forEach((mediaFile) => {
+        recordingPathsByCallId.set(mediaFile.callId, [
+          ...(recordingPathsByCallId.get(mediaFile.callId) || []),
+          mediaFile.path,
+        ]);
+      });
+
+    const chainHead = await getChainHead(logExport.groupId);
+    const pdfBuffer = pdfService.generateAuditLogPDF({
+      groupName: logExport.group.name,
+      filters: {
+        ...filters,
+        userNames: data.userNames,
+      },
+      logs: data.logs,
+      chainHead,
+      createdAt: exportedAt,
+    });
+
+    await zip.addFile('audit-log.pdf', pdfBuffer);
+    await zip.addFile('audit-log.csv', buildAuditLogCsv([...data.logs].reverse()));
+    await zip.addFile('messages.json', JSON.stringify(buildMessagesExport(data.messageGroups, {
+      decrypt: encryptionService.decrypt,
+      mediaPathById,
+    }), null, 2));
+    await zip.addFile('calendar-events.csv', buildCalendarEventsCsv(data.events));
+    await zip.addFile('finance-matters.csv', buildFinanceMattersCsv(data.financeMatters));
+    await zip.addFile('finance-payments.csv', buildFinancePaymentsCsv(data.financeMatters));
+    await zip.addFile('calls.csv', buildCallsCsv(data.calls, recordingPathsByCallId));
+    await zip.addFile('public-key.pem', publicKeyPem);
+    await zip.addFile('VERIFY.txt', buildVerificationInstructions({
+      publicKeyUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/logs/evidence/public-key`,
+      publicKeyFingerprint,
+    }));
+
+    // Manifest last: it covers every file above
+    const manifest = buildManifest({
+      exportId: exportId,
+      group: logExport.group,
+      exportedAt,
+      exportedBy: {
+        groupMemberId: logExport.creator.groupMemberId,
+        name: logExport.creator.displayName,
+        email: logExport.creator.email || null,
+      },
+      filters,
+      files: zip.files,
+      missingFiles,
+      auditChainHead: chainHead,
+      publicKeyFingerprint,
+    });
+    const manifestSha256 = sha256(manifest);
+    const fileCount = zip.files.length;
+
+    await zip.addFile('manifest.json', manifest);
+    await zip.addFile('manifest.sig', evidenceSigning.signManifest(manifest));
+    const fileSizeBytes = await zip.finalize();
+
+    await updateExport(exportId, {
+      status: 'completed',
+      progress: 100,
+      fileSizeBytes: BigInt(fileSizeBytes),
+      completedAt: new Date(),
+      manifestSha256: manifestSha256,
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        groupId: logExport.groupId,
+        action: 'export_evidence_bundle',
+        actionLocation: 'logs',
+        performedBy: logExport.createdBy,
+        performedByName: logExport.creator.displayName,
+        performedByEmail: logExport.creator.email || 'N/A',
+        messageContent: `Generated evidence bundle: ${data.logs.length} audit log entries, ${fileCount} files (manifest SHA-256 ${manifestSha256})`,
+        mediaLinks: [],
+        logData: {
+          exportId: exportId,
+          fileName: logExport.fileName,
+          filters: filters,
+          manifestSha256: manifestSha256,
+          fileCount: fileCount,
+          missingFileCount: missingFiles.length,
+        },
+      },
+    });
+  } catch (error) {
+    zip.abort();
+    throw error;
+  }
+}
+
+/**
+ * Mark a bundle failed once its job has used up its retries
+ * @param {Object} job - BackgroundJob record
+ * @param {Error} error - Last error
+ */
+async function handleEvidenceBundleFailed(job, error) {
+  await updateExport(job.payload.exportId, {
+    status: 'failed',
+    errorMessage: error.message,
+  });
+}
+
+/**
+ * Register the evidence bundle handler with the job queue
+ */
+function initEvidenceBundleJob() {
+  registerJobHandler(EVIDENCE_BUNDLE_JOB_TYPE, {
+    run: processEvidenceBundle,
+    onFailed: handleEvidenceBundleFailed,
+  });
+}
+
+module.exports = {
+  EVIDENCE_BUNDLE_JOB_TYPE,
+  initEvidenceBundleJob,
+  processEvidenceBundle,
+};
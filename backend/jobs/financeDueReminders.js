@@ -0,0 +1,268 @@
+/**
+ * Finance Due-Date Reminder Job
+ *
+ * Reminds members who still owe part of their share of a finance matter
+ * before and after its due date, on the days the group has chosen
+ * (GroupSettings.financeReminderDays, e.g. 3 days before, on the day, 1 and 7
+ * days after). Each member gets each reminder day once, tracked in
+ * FinanceMatterReminder, by push notification and email.
+ *
+ * Once a matter has been overdue for financeOverdueEscalationDays, the group's
+ * admins and the matter's creator are told who still owes money (once per
+ * matter) and the escalation is recorded in the audit log.
+ *
+ * Runs every hour.
+ */
+
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const {
+  notifyFinanceMatterDue,
+  notifyFinanceMatterOverdue,
+} = require('../services/financeNotifications.service');
+const {
+  DEFAULT_REMINDER_DAYS,
+  DEFAULT_ESCALATION_DAYS,
+  MIN_REMINDER_DAY,
+  MAX_REMINDER_DAY,
+  getDueReminderDay,
+  getOverdueDays,
+} = require('../utils/financeReminders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the members of a finance matter who still owe part of their share
+ * @param {Object} matter - FinanceMatter with members and their groupMember
+ * @returns {Array<Object>} [{ groupMember, outstandingAmount }]
+ */
+function getOwingMembers(matter) {
+  return matter.members
+    .map(member => ({
+      groupMember: member.groupMember,
+      outstandingAmount: parseFloat(member.expectedAmount) - parseFloat(member.paidAmount),
+    }))
+    .filter(member => member.outstandingAmount >= 0.01);
+}
+
+/**
+ * Send the reminder that has come due for a finance matter, if any
+ * @param {Object} matter - FinanceMatter with members, group and settings
+ * @param {Array<Object>} owing - Output of getOwingMembers
+ * @param {Array<number>} reminderDays - Group's reminder days
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of members reminded
+ */
+async function sendDueReminder(matter, owing, reminderDays, now) {
+  const reminderDay = getDueReminderDay(matter, reminderDays, now);
+  if (reminderDay === null) {
+    return 0;
+  }
+
+  const alreadyReminded = await prisma.financeMatterReminder.findMany({
+    where: {
+      financeMatterId: matter.financeMatterId,
+      reminderDay: reminderDay,
+    },
+    select: { groupMemberId: true },
+  });
+  const remindedIds = new Set(alreadyReminded.map(reminder => reminder.groupMemberId));
+
+  const recipients = owing.filter(member => !remindedIds.has(member.groupMember.groupMemberId));
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  // Record the reminders before sending so a failed send isn't retried every hour
+  await prisma.financeMatterReminder.createMany({
+    data: recipients.map(member => ({
+      financeMatterId: matter.financeMatterId,
+      groupMemberId: member.groupMember.groupMemberId,
+      reminderDay: reminderDay,
+    })),
+    skipDuplicates: true,
+  });
+
+  return notifyFinanceMatterDue({
+    groupId: matter.groupId,
+    groupName: matter.group.name,
+    financeMatter: matter,
+    reminderDay: reminderDay,
+    recipients: recipients,
+  });
+}
+
+/**
+ * Tell admins and the creator about a matter that has been overdue too long
+ * @param {Object} matter - FinanceMatter with members
+ * @param {Array<Object>} owing - Output of getOwingMembers
+ * @param {number|null} escalationDays - Days overdue before escalating (null = never)
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if the matter was escalated
+ */
+async function escalateOverdue(matter, owing, escalationDays, now) {
+  if (escalationDays === null || matter.overdueEscalatedAt) {
+    return false;
+  }
+
+  const overdueDays = getOverdueDays(matter.dueDate, now);
+  if (overdueDays < escalationDays) {
+    return false;
+  }
+
+  // Only escalate if this run is the one that marks the matter
+  const claimed = await prisma.financeMatter.updateMany({
+    where: {
+      financeMatterId: matter.financeMatterId,
+      overdueEscalatedAt: null,
+    },
+    data: { overdueEscalatedAt: now },
+  });
+
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const owingIds = new Set(owing.map(member => member.groupMember.groupMemberId));
+  const owingNames = owing.map(member => member.groupMember.user?.displayName || member.groupMember.displayName);
+
+  const admins = await prisma.groupMember.findMany({
+    where: {
+      groupId: matter.groupId,
+      role: 'admin',
+    },
+    select: { groupMemberId: true },
+  });
+
+  const memberIds = [...new Set([...admins.map(admin => admin.groupMemberId), matter.createdBy])]
+    .filter(groupMemberId => !owingIds.has(groupMemberId));
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: matter.groupId,
+      action: 'escalate_overdue_finance_matter',
+      performedBy: null,
+      performedByName: 'System',
+      performedByEmail: 'system',
+      actionLocation: 'finance',
+      messageContent: `Finance matter "${matter.name}" is ${overdueDays} days overdue and still owed by ${owingNames.join(', ')}`,
+      logData: {
+        financeMatterId: matter.financeMatterId,
+        overdueDays: overdueDays,
+        owing: owing.map(member => ({
+          groupMemberId: member.groupMember.groupMemberId,
+          outstandingAmount: member.outstandingAmount.toFixed(2),
+        })),
+      },
+    },
+  });
+
+  notifyFinanceMatterOverdue({
+    groupId: matter.groupId,
+    financeMatter: matter,
+    overdueDays: overdueDays,
+    owingNames: owingNames,
+    memberIds: memberIds,
+  });
+
+  return true;
+}
+
+/**
+ * Main job function - sends due reminders and escalations for open finance matters
+ */
+async function runFinanceReminderJob() {
+  try {
+    const now = new Date();
+
+    // Only matters whose due date is within reach of a reminder day
+    const matters = await prisma.financeMatter.findMany({
+      where: {
+        isSettled: false,
+        isCanceled: false,
+        dueDate: {
+          gte: new Date(now.getTime() - (MAX_REMINDER_DAY + 1) * DAY_MS),
+          lte: new Date(now.getTime() - MIN_REMINDER_DAY * DAY_MS),
+        },
+        group: { isHidden: false },
+      },
+      include: {
+        members: {
+          include: {
+            groupMember: {
+              include: {
+                user: {
+                  select: { email: true, displayName: true },
+                },
+              },
+            },
+          },
+        },
+        group: {
+          select: {
+            name: true,
+            settings: {
+              select: {
+                financeReminderDays: true,
+                financeOverdueEscalationDays: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    let totalReminded = 0;
+    let totalEscalated = 0;
+
+    for (const matter of matters) {
+      const settings = matter.group.settings;
+      const owing = getOwingMembers(matter);
+      if (owing.length === 0) continue;
+
+      try {
+        totalReminded += await sendDueReminder(matter, owing, settings ? settings.financeReminderDays : DEFAULT_REMINDER_DAYS, now);
+
+        if (await escalateOverdue(matter, owing, settings ? settings.financeOverdueEscalationDays : DEFAULT_ESCALATION_DAYS, now)) {
+          totalEscalated++;
+        }
+      } catch (error) {
+        console.error(`[FinanceReminder] Error processing finance matter ${matter.financeMatterId}:`, error);
+      }
+    }
+
+    if (totalReminded > 0 || totalEscalated > 0) {
+      console.log(`[FinanceReminder] Completed: reminded ${totalReminded} members, escalated ${totalEscalated} overdue finance matters`);
+    }
+  } catch (error) {
+    console.error('[FinanceReminder] Critical error in finance reminder job:', error);
+  }
+}
+
+/**
+ * Initialize the finance due-date reminder job
+ * Runs every hour to send reminders that have come due
+ */
+function initFinanceReminderJob() {
+  // Run at quarter past every hour (after the recurring finance matters job)
+  cron.schedule('15 * * * *', () => {
+    runFinanceReminderJob().catch(error => {
+      console.error('[FinanceReminder] Unhandled error:', error);
+    });
+  });
+
+  console.log('[FinanceReminder] Finance due-date reminder job initialized (runs every hour)');
+
+  // Run once on startup after a short delay
+  setTimeout(() => {
+    console.log('[FinanceReminder] Running initial reminder check...');
+    runFinanceReminderJob().catch(error => {
+      console.error('[FinanceReminder] Initial check error:', error);
+    });
+  }, 5000); // 5 second delay
+}
+
+module.exports = {
+  initFinanceReminderJob,
+  runFinanceReminderJob,
+};
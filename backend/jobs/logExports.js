@@ -0,0 +1,281 @@
+/**
+ * Log Export Job
+ *
+ * Builds full audit log exports requested via POST /logs/exports on the
+ * background job queue (services/jobQueue.service.js):
+ * 1. Collects the group's audit log and all message groups/messages (decrypted,
+ *    including hidden ones)
+ * 2. Creates a MediaLogLink per attachment (temporary download link)
+ * 3. Writes an AES-256 password-protected ZIP to uploads/log-exports
+ * 4. Marks the LogExport completed and emails the requester (log_export template)
+ *
+ * Status and progress are tracked on the LogExport row. The ZIP password is
+ * only kept (encrypted) in the job payload until the job finishes; the
+ * LogExport stores a bcrypt hash.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const { emailService } = require('../services/email');
+const { registerJobHandler } = require('../services/jobQueue.service');
+const {
+  buildAuditLogCsv,
+  buildMessagesExport,
+  buildMediaIndex,
+  buildReadme,
+} = require('../utils/logExport');
+
+if (!archiver.isRegisteredFormat('zip-encrypted')) {
+  archiver.registerFormat('zip-encrypted', require('archiver-zip-encrypted'));
+}
+
+const LOG_EXPORT_JOB_TYPE = 'log_export';
+
+/**
+ * Where export ZIPs are written (relative paths are stored on LogExport.filePath)
+ */
+const EXPORTS_DIR = 'uploads/log-exports';
+
+/**
+ * Update a LogExport's status/progress
+ * @param {string} exportId - Export ID
+ * @param {Object} data - Fields to update
+ */
+async function updateExport(exportId, data) {
+  await prisma.logExport.update({
+    where: { exportId: exportId },
+    data: data,
+  });
+}
+
+/**
+ * Write the password-protected ZIP
+ * @param {string} filePath - Absolute output path
+ * @param {string} password - ZIP password
+ * @param {Array<{name: string, content: string}>} files - Files to add
+ * @returns {Promise<number>} ZIP size in bytes
+ */
+function writeEncryptedZip(filePath, password, files) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver.create('zip-encrypted', {
+      zlib: { level: 8 },
+      encryptionMethod: 'aes256',
+      password: password,
+    });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    files.forEach((file) => {
+      archive.append(file.content, { name: file.name });
+    });
+    archive.finalize();
+  });
+}
+
+/**
+ * Remove the ZIP password from a finished job's payload
+ * @param {Object} job - BackgroundJob record
+ */
+async function clearJobPassword(job) {
+  await prisma.backgroundJob.update({
+    where: { jobId: job.jobId },
+    data: { payload: { exportId: job.payload.exportId } },
+  });
+}
+
+/**
+ * Build a log export
+ * @param {Object} job - BackgroundJob with payload { exportId, encryptedPassword }
+ */
+async function processLogExport(job) {
+  const { exportId, encryptedPassword } = job.payload;
+
+  const logExport = await prisma.logExport.findUnique({
+    where: { exportId: exportId },
+    include: {
+      group: { select: { name: true } },
+      creator: {
+        select: {
+          displayName: true,
+          email: true,
+          user: { select: { displayName: true, email: true } },
+        },
+      },
+    },
+  });
+
+  if (!logExport || logExport.isHidden || logExport.status === 'completed') {
+    console.log(`[LogExport] Export ${exportId} no longer needs building, skipping`);
+    await clearJobPassword(job);
+    return;
+  }
+
+  await updateExport(exportId, { status: 'processing', progress: 5, errorMessage: null });
+
+  const password = encryptionService.decrypt(encryptedPassword);
+  const generatedAt = new Date();
+  const expiresAt = logExport.expiresAt || new Date(generatedAt.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+  // Audit log
+  const auditLogs = await prisma.auditLog.findMany({
+    where: { groupId: logExport.groupId },
+    orderBy: { performedAt: 'asc' },
+  });
+  await updateExport(exportId, { progress: 25 });
+
+  // Messages (including hidden message groups and messages)
+  const messageGroups = await prisma.messageGroup.findMany({
+    where: { groupId: logExport.groupId },
+    include: {
+      messages: {
+        include: {
+          sender: {
+            select: {
+              displayName: true,
+              user: { select: { displayName: true } },
+            },
+          },
+          media: true,
+          revisions: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+  await updateExport(exportId, { progress: 50 });
+
+  // Temporary download links for attachments (replacing any from a failed attempt)
+  const allMedia = messageGroups.flatMap(mg => mg.messages.flatMap(message => message.media));
+  const apiBaseUrl = process.env.API_BASE_URL || 'http://localhost:3000';
+  const mediaLinks = allMedia.map(media => ({
+    logExportId: exportId,
+    logExportExportId: exportId,
+    mediaId: media.mediaId,
+    accessToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: expiresAt,
+  }));
+
+  await prisma.$transaction([
+    prisma.mediaLogLink.deleteMany({ where: { logExportId: exportId } }),
+    prisma.mediaLogLink.createMany({ data: mediaLinks }),
+  ]);
+
+  const mediaUrlById = new Map(
+    mediaLinks.map(link => [link.mediaId, `${apiBaseUrl}/logs/media/${link.accessToken}`])
+  );
+  await updateExport(exportId, { progress: 65 });
+
+  // ZIP
+  const messagesExport = buildMessagesExport(messageGroups, {
+    decrypt: encryptionService.decrypt,
+    mediaUrlById,
+  });
+  const messageCount = messagesExport.reduce((sum, mg) => sum + mg.messages.length, 0);
+  const files = [
+    {
+      name: 'README.txt',
+      content: buildReadme({
+        groupName: logExport.group.name,
+        generatedAt,
+        expiresAt,
+        counts: {
+          auditLogs: auditLogs.length,
+          messageGroups: messageGroups.length,
+          messages: messageCount,
+          media: allMedia.length,
+        },
+      }),
+    },
+    { name: 'audit-log.csv', content: buildAuditLogCsv(auditLogs) },
+    { name: 'messages.json', content: JSON.stringify(messagesExport, null, 2) },
+    { name: 'media.json', content: JSON.stringify(buildMediaIndex(messageGroups, mediaUrlById), null, 2) },
+  ];
+
+  const zipPath = path.join(__dirname, '..', logExport.filePath);
+  fs.mkdirSync(path.dirname(zipPath), { recursive: true });
+  const fileSizeBytes = await writeEncryptedZip(zipPath, password, files);
+
+  await updateExport(exportId, {
+    status: 'completed',
+    progress: 100,
+    fileSizeBytes: BigInt(fileSizeBytes),
+    completedAt: new Date(),
+    expiresAt: expiresAt,
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      groupId: logExport.groupId,
+      action: 'export_logs',
+      actionLocation: 'logs',
+      performedBy: logExport.createdBy,
+      performedByName: logExport.creator.displayName,
+      performedByEmail: logExport.creator.email || 'N/A',
+      messageContent: `Generated password-protected log export: ${auditLogs.length} audit log entries, ${messageCount} messages, ${allMedia.length} attachments`,
+      mediaLinks: [],
+      logData: {
+        exportId: exportId,
+        fileName: logExport.fileName,
+        auditLogCount: auditLogs.length,
+        messageCount: messageCount,
+        mediaCount: allMedia.length,
+      },
+    },
+  });
+
+  await clearJobPassword(job);
+
+  // Email the requester (don't fail the export if email fails)
+  const recipient = logExport.creator.user?.email || logExport.creator.email;
+  if (recipient) {
+    try {
+      await emailService.sendTemplate('log_export', recipient, {
+        userName: logExport.creator.user?.displayName || logExport.creator.displayName || recipient,
+        groupName: logExport.group.name,
+        downloadUrl: `${process.env.WEB_APP_URL || 'https://familyhelperapp.com'}/audit-logs`,
+        expiresIn: `${Math.round((expiresAt - generatedAt) / (24 * 60 * 60 * 1000))} days`,
+      });
+    } catch (emailError) {
+      console.error(`[LogExport] Failed to send export email for ${exportId}:`, emailError.message);
+    }
+  }
+}
+
+/**
+ * Mark an export failed once its job has used up its retries
+ * @param {Object} job - BackgroundJob record
+ * @param {Error} error - Last error
+ */
+async function handleLogExportFailed(job, error) {
+  await updateExport(job.payload.exportId, {
+    status: 'failed',
+    errorMessage: error.message,
+  });
+  await clearJobPassword(job);
+}
+
+/**
+ * Register the log export handler with the job queue
+ */
+function initLogExportJob() {
+  registerJobHandler(LOG_EXPORT_JOB_TYPE, {
+    run: processLogExport,
+    onFailed: handleLogExportFailed,
+  });
+}
+
+module.exports = {
+  LOG_EXPORT_JOB_TYPE,
+  EXPORTS_DIR,
+  initLogExportJob,
+  processLogExport,
+};
@@ -0,0 +1,121 @@
+/**
+ * Message Search Index Job
+ *
+ * Builds the blind search index (Message.searchTokens) for messages that don't
+ * have one yet: messages sent before search existed, and any whose indexing
+ * failed. New messages are indexed when they are sent, so once the backlog is
+ * done each run finds nothing to do.
+ *
+ * To rebuild the index (e.g. after changing MESSAGE_SEARCH_KEY), clear
+ * messages.search_indexed_at and let the job run.
+ *
+ * Runs every 10 minutes, indexing up to MAX_BATCHES_PER_RUN batches.
+ */
+
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const { getSearchIndexFields } = require('../services/messageSearch.service');
+
+/**
+ * Messages indexed per batch
+ */
+const BATCH_SIZE = 200;
+
+/**
+ * Batches per run, so a large backlog doesn't hold the server up
+ */
+const MAX_BATCHES_PER_RUN = 25;
+
+let isRunning = false;
+
+/**
+ * Index one batch of unindexed messages, oldest first
+ * @returns {Promise<number>} Messages indexed
+ */
+async function indexBatch() {
+  const messages = await prisma.message.findMany({
+    where: { searchIndexedAt: null },
+    orderBy: { createdAt: 'asc' },
+    take: BATCH_SIZE,
+    select: {
+      messageId: true,
+      content: true,
+      messageGroup: { select: { groupId: true } },
+    },
+  });
+
+  for (const message of messages) {
+    let plaintext;
+    try {
+      plaintext = encryptionService.decrypt(message.content);
+    } catch (error) {
+      // Old unencrypted messages are stored as plaintext
+      plaintext = message.content;
+    }
+
+    await prisma.message.update({
+      where: { messageId: message.messageId },
+      data: getSearchIndexFields(message.messageGroup.groupId, plaintext),
+    });
+  }
+
+  return messages.length;
+}
+
+/**
+ * Index messages that aren't in the search index yet
+ */
+async function runMessageSearchIndexJob() {
+  if (isRunning) {
+    return;
+  }
+
+  isRunning = true;
+  try {
+    let totalIndexed = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+      const indexed = await indexBatch();
+      totalIndexed += indexed;
+      if (indexed < BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (totalIndexed > 0) {
+      console.log(`[MessageSearchIndex] Completed: indexed ${totalIndexed} messages`);
+    }
+  } catch (error) {
+    console.error('[MessageSearchIndex] Critical error in message search index job:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize the message search index job
+ * Runs every 10 minutes to index messages sent before search existed
+ */
+function initMessageSearchIndexJob() {
+  cron.schedule('*/10 * * * *', () => {
+    runMessageSearchIndexJob().catch(error => {
+      console.error('[MessageSearchIndex] Unhandled error:', error);
+    });
+  });
+
+  console.log('[MessageSearchIndex] Message search index job initialized (runs every 10 minutes)');
+
+  // Run once on startup after a short delay
+  setTimeout(() => {
+    console.log('[MessageSearchIndex] Running initial message search index...');
+    runMessageSearchIndexJob().catch(error => {
+      console.error('[MessageSearchIndex] Initial run error:', error);
+    });
+  }, 5000); // 5 second delay
+}
+
+module.exports = {
+  initMessageSearchIndexJob,
+  runMessageSearchIndexJob,
+};
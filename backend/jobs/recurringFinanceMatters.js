@@ -0,0 +1,201 @@
+/**
+ * Recurring Finance Matters Job
+ *
+ * Creates the finance matters for recurring finance matter templates (child
+ * support, school fees, after-school care...). Each due occurrence becomes a
+ * FinanceMatter with the template's member split, linked back to the template
+ * by templateId/occurrenceDate, and members get the usual new finance matter
+ * email and push notification.
+ *
+ * Occurrences missed while the server was down are caught up, at most
+ * MAX_OCCURRENCES_PER_RUN per template per run. Groups in read-only mode are
+ * skipped until they are writable again.
+ *
+ * Runs every hour.
+ */
+
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const { isGroupReadOnly } = require('../utils/permissions');
+const { notifyFinanceMatterAdded } = require('../services/financeNotifications.service');
+const { getDueOccurrences, getNextOccurrenceDate } = require('../utils/financeRecurrence');
+
+const MAX_OCCURRENCES_PER_RUN = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the finance matter for one occurrence of a template
+ *
+ * The template's occurrenceCount is only advanced if it is still at this
+ * occurrence, so overlapping runs can't create the same occurrence twice.
+ *
+ * @param {Object} template - FinanceMatterTemplate with members and creator
+ * @param {Object} occurrence - { index, date } from getDueOccurrences
+ * @returns {Promise<Object|null>} Created FinanceMatter, or null if another run got there first
+ */
+async function createOccurrence(template, occurrence) {
+  const occurrenceLabel = occurrence.date.toISOString().slice(0, 10);
+
+  return prisma.$transaction(async (tx) => {
+    const advanced = await tx.financeMatterTemplate.updateMany({
+      where: {
+        templateId: template.templateId,
+        occurrenceCount: occurrence.index,
+      },
+      data: {
+        occurrenceCount: occurrence.index + 1,
+        nextOccurrenceAt: getNextOccurrenceDate(template, occurrence.index + 1),
+      },
+    });
+
+    if (advanced.count === 0) {
+      return null;
+    }
+
+    const matter = await tx.financeMatter.create({
+      data: {
+        groupId: template.groupId,
+        name: `${template.name} (${occurrenceLabel})`,
+        description: template.description,
+        totalAmount: template.totalAmount,
+        currency: template.currency,
+        dueDate: template.dueInDays !== null
+          ? new Date(occurrence.date.getTime() + template.dueInDays * DAY_MS)
+          : null,
+        createdBy: template.createdBy,
+        templateId: template.templateId,
+        occurrenceDate: occurrence.date,
+      },
+    });
+
+    await tx.financeMatterMember.createMany({
+      data: template.members.map((member) => ({
+        financeMatterId: matter.financeMatterId,
+        groupMemberId: member.groupMemberId,
+        expectedPercentage: member.expectedPercentage,
+        expectedAmount: member.expectedAmount,
+        paidAmount: 0,
+      })),
+    });
+
+    await tx.auditLog.create({
+      data: {
+        groupId: template.groupId,
+        action: 'create_finance_matter',
+        performedBy: template.creator.groupMemberId,
+        performedByName: template.creator.displayName,
+        performedByEmail: template.creator.email || 'N/A',
+        actionLocation: 'finance',
+        messageContent: `Created finance matter "${matter.name}" with total amount ${template.currency} ${template.totalAmount} from recurring finance matter "${template.name}"`,
+      },
+    });
+
+    return matter;
+  });
+}
+
+/**
+ * Create all due occurrences of a template
+ * @param {Object} template - FinanceMatterTemplate with members, creator and group
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of finance matters created
+ */
+async function processTemplate(template, now) {
+  let created = 0;
+
+  for (const occurrence of getDueOccurrences(template, now, MAX_OCCURRENCES_PER_RUN)) {
+    const matter = await createOccurrence(template, occurrence);
+    if (!matter) break;
+
+    created++;
+
+    await notifyFinanceMatterAdded({
+      groupId: template.groupId,
+      groupName: template.group.name,
+      financeMatterId: matter.financeMatterId,
+      name: matter.name,
+      totalAmount: template.totalAmount,
+      currency: template.currency,
+      memberIds: template.members.map(member => member.groupMemberId),
+      creator: template.creator,
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Main job function - creates finance matters for all due templates
+ */
+async function runRecurringFinanceJob() {
+  try {
+    const now = new Date();
+
+    const templates = await prisma.financeMatterTemplate.findMany({
+      where: {
+        isActive: true,
+        nextOccurrenceAt: { lte: now },
+        group: { isHidden: false },
+      },
+      include: {
+        members: true,
+        creator: {
+          select: { groupMemberId: true, displayName: true, email: true },
+        },
+        group: {
+          select: { name: true, readOnlyUntil: true },
+        },
+      },
+    });
+
+    if (templates.length === 0) {
+      return;
+    }
+
+    let totalCreated = 0;
+    for (const template of templates) {
+      if (isGroupReadOnly(template.group)) continue;
+
+      try {
+        totalCreated += await processTemplate(template, now);
+      } catch (error) {
+        console.error(`[RecurringFinance] Error processing template ${template.templateId}:`, error);
+      }
+    }
+
+    if (totalCreated > 0) {
+      console.log(`[RecurringFinance] Completed: created ${totalCreated} finance matters`);
+    }
+  } catch (error) {
+    console.error('[RecurringFinance] Critical error in recurring finance job:', error);
+  }
+}
+
+/**
+ * Initialize the recurring finance matters job
+ * Runs every hour to create finance matters for due templates
+ */
+function initRecurringFinanceJob() {
+  // Run at the start of every hour
+  cron.schedule('0 * * * *', () => {
+    runRecurringFinanceJob().catch(error => {
+      console.error('[RecurringFinance] Unhandled error:', error);
+    });
+  });
+
+  console.log('[RecurringFinance] Recurring finance matters job initialized (runs every hour)');
+
+  // Run once on startup after a short delay
+  setTimeout(() => {
+    console.log('[RecurringFinance] Running initial recurring finance check...');
+    runRecurringFinanceJob().catch(error => {
+      console.error('[RecurringFinance] Initial check error:', error);
+    });
+  }, 5000); // 5 second delay
+}
+
+module.exports = {
+  initRecurringFinanceJob,
+  runRecurringFinanceJob,
+};
@@ -0,0 +1,211 @@
+/**
+ * Scheduled Messages Job
+ *
+ * Sends scheduled messages (ScheduledMessage) when they are due, through the
+ * same path as a message sent from the app (sendMessageRecord): the message
+ * is encrypted and indexed for search, mentions are kept, connected apps get
+ * it in real time and members get the usual push notifications.
+ *
+ * Recurring messages are then moved on to their next send; missed sends are
+ * skipped rather than caught up (see utils/scheduledMessages.js). If the
+ * sender can no longer post in the message group the message is marked
+ * failed with the reason. Groups in read-only mode are skipped until they are
+ * writable again.
+ *
+ * Runs every minute.
+ */
+
+const cron = require('node-cron');
+const { prisma } = require('../config/database');
+const encryptionService = require('../services/encryption.service');
+const { isGroupReadOnly } = require('../utils/permissions');
+const { getDueSend, getSendDate } = require('../utils/scheduledMessages');
+const { sendMessageRecord } = require('../controllers/messages.controller');
+
+/**
+ * Why the sender can no longer send a scheduled message
+ * @param {Object} scheduledMessage - ScheduledMessage with sender and messageGroup
+ * @returns {string|null} Failure reason, or null if it can be sent
+ */
+function getSendBlockReason(scheduledMessage) {
+  if (scheduledMessage.messageGroup.isHidden) {
+    return 'The message group was deleted';
+  }
+
+  if (scheduledMessage.sender.role === 'supervisor') {
+    return 'Supervisors cannot send messages';
+  }
+
+  const isMember = scheduledMessage.sender.messageGroupMemberships
+    .some(membership => membership.messageGroupId === scheduledMessage.messageGroupId);
+  if (!isMember) {
+    return 'The sender is no longer a member of the message group';
+  }
+
+  return null;
+}
+
+/**
+ * Send one scheduled message if it is due
+ *
+ * The scheduled message is only moved on if nobody else (another run, or the
+ * sender editing or canceling it) changed it since it was loaded, so it can't
+ * be sent twice.
+ *
+ * @param {Object} scheduledMessage - ScheduledMessage with sender and messageGroup
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if a message was sent
+ */
+async function processScheduledMessage(scheduledMessage, now) {
+  const claimWhere = {
+    scheduledMessageId: scheduledMessage.scheduledMessageId,
+    status: 'scheduled',
+    occurrenceCount: scheduledMessage.occurrenceCount,
+    updatedAt: scheduledMessage.updatedAt,
+  };
+
+  const blockReason = getSendBlockReason(scheduledMessage);
+  if (blockReason) {
+    await prisma.scheduledMessage.updateMany({
+      where: claimWhere,
+      data: {
+        status: 'failed',
+        nextSendAt: null,
+        failureReason: blockReason,
+      },
+    });
+    return false;
+  }
+
+  const due = getDueSend(scheduledMessage, now);
+  if (!due) {
+    // Nothing left to send (e.g. the end date passed) - finish it
+    const nextSendAt = getSendDate(scheduledMessage, scheduledMessage.occurrenceCount);
+    await prisma.scheduledMessage.updateMany({
+      where: claimWhere,
+      data: nextSendAt
+        ? { nextSendAt: nextSendAt }
+        : { status: 'completed', nextSendAt: null },
+    });
+    return false;
+  }
+
+  const nextSendAt = getSendDate(scheduledMessage, due.index + 1);
+  const claimed = await prisma.scheduledMessage.updateMany({
+    where: claimWhere,
+    data: {
+      occurrenceCount: due.index + 1,
+      nextSendAt: nextSendAt,
+      status: nextSendAt ? 'scheduled' : 'completed',
+      lastSentAt: now,
+    },
+  });
+
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const message = await sendMessageRecord(
+    scheduledMessage.messageGroup.groupId,
+    scheduledMessage.messageGroupId,
+    scheduledMessage.sender,
+    {
+      messageContent: encryptionService.decrypt(scheduledMessage.content),
+      mentions: scheduledMessage.mentions,
+      scheduledMessageId: scheduledMessage.scheduledMessageId,
+    }
+  );
+
+  await prisma.scheduledMessage.update({
+    where: { scheduledMessageId: scheduledMessage.scheduledMessageId },
+    data: { lastMessageId: message.messageId },
+  });
+
+  return true;
+}
+
+/**
+ * Main job function - sends all due scheduled messages
+ */
+async function runScheduledMessagesJob() {
+  try {
+    const now = new Date();
+
+    const scheduledMessages = await prisma.scheduledMessage.findMany({
+      where: {
+        status: 'scheduled',
+        nextSendAt: { lte: now },
+        messageGroup: { group: { isHidden: false } },
+      },
+      include: {
+        sender: {
+          select: {
+            groupMemberId: true,
+            displayName: true,
+            email: true,
+            role: true,
+            messageGroupMemberships: { select: { messageGroupId: true } },
+          },
+        },
+        messageGroup: {
+          select: {
+            groupId: true,
+            isHidden: true,
+            group: { select: { readOnlyUntil: true } },
+          },
+        },
+      },
+      orderBy: { nextSendAt: 'asc' },
+    });
+
+    if (scheduledMessages.length === 0) {
+      return;
+    }
+
+    let totalSent = 0;
+    for (const scheduledMessage of scheduledMessages) {
+      if (isGroupReadOnly(scheduledMessage.messageGroup.group)) continue;
+
+      try {
+        const sent = await processScheduledMessage(scheduledMessage, now);
+        if (sent) totalSent++;
+      } catch (error) {
+        console.error(`[ScheduledMessages] Error sending scheduled message ${scheduledMessage.scheduledMessageId}:`, error);
+      }
+    }
+
+    if (totalSent > 0) {
+      console.log(`[ScheduledMessages] Completed: sent ${totalSent} scheduled messages`);
+    }
+  } catch (error) {
+    console.error('[ScheduledMessages] Critical error in scheduled messages job:', error);
+  }
+}
+
+/**
+ * Initialize the scheduled messages job
+ * Runs every minute to send due scheduled messages
+ */
+function initScheduledMessagesJob() {
+  // Run every minute
+  cron.schedule('* * * * *', () => {
+    runScheduledMessagesJob().catch(error => {
+      console.error('[ScheduledMessages] Unhandled error:', error);
+    });
+  });
+
+  console.log('[ScheduledMessages] Scheduled messages job initialized (runs every minute)');
+
+  // Run once on startup after a short delay
+  setTimeout(() => {
+    console.log('[ScheduledMessages] Running initial scheduled messages check...');
+    runScheduledMessagesJob().catch(error => {
+      console.error('[ScheduledMessages] Initial check error:', error);
+    });
+  }, 5000); // 5 second delay
+}
+
+module.exports = {
+  initScheduledMessagesJob,
+  runScheduledMessagesJob,
+};
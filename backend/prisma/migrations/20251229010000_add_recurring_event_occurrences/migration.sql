@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "calendar_events" ALTER COLUMN "recurrence_pattern" SET DATA TYPE VARCHAR(255);
+
+-- AlterTable
+ALTER TABLE "calendar_event_reminders" ADD COLUMN     "occurrence_id" VARCHAR(64);
+
+-- Backfill: existing reminders belong to one-off events, whose occurrence ID is the event ID
+UPDATE "calendar_event_reminders" SET "occurrence_id" = "event_id"::text;
+
+ALTER TABLE "calendar_event_reminders" ALTER COLUMN "occurrence_id" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "calendar_event_reminders_event_id_user_id_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_event_reminders_occurrence_id_user_id_key" ON "calendar_event_reminders"("occurrence_id", "user_id");
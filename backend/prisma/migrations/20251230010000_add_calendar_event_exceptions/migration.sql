@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "calendar_events" ADD COLUMN     "recurrence_id" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "calendar_event_exception_dates" (
+    "exception_date_id" UUID NOT NULL,
+    "event_id" UUID NOT NULL,
+    "recurrence_id" TIMESTAMP(6) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "calendar_event_exception_dates_pkey" PRIMARY KEY ("exception_date_id")
+);
+
+-- CreateIndex
+CREATE INDEX "calendar_events_parent_event_id_recurrence_id_idx" ON "calendar_events"("parent_event_id", "recurrence_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_event_exception_dates_event_id_recurrence_id_key" ON "calendar_event_exception_dates"("event_id", "recurrence_id");
+
+-- AddForeignKey
+ALTER TABLE "calendar_event_exception_dates" ADD CONSTRAINT "calendar_event_exception_dates_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "calendar_events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
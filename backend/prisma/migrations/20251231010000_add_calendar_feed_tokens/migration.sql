@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "calendar_feed_tokens" (
+    "feed_token_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "token" VARCHAR(64) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_accessed_at" TIMESTAMP(6),
+    "revoked_at" TIMESTAMP(6),
+
+    CONSTRAINT "calendar_feed_tokens_pkey" PRIMARY KEY ("feed_token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feed_tokens_token_key" ON "calendar_feed_tokens"("token");
+
+-- CreateIndex
+CREATE INDEX "calendar_feed_tokens_group_id_user_id_idx" ON "calendar_feed_tokens"("group_id", "user_id");
+
+-- CreateIndex
+CREATE INDEX "calendar_feed_tokens_user_id_idx" ON "calendar_feed_tokens"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "calendar_feed_tokens" ADD CONSTRAINT "calendar_feed_tokens_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feed_tokens" ADD CONSTRAINT "calendar_feed_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "log_exports" ADD COLUMN "completed_at" TIMESTAMP(6),
+ADD COLUMN "error_message" TEXT,
+ADD COLUMN "expires_at" TIMESTAMP(6),
+ADD COLUMN "format" VARCHAR(10) NOT NULL DEFAULT 'pdf',
+ADD COLUMN "password_hash" VARCHAR(255),
+ADD COLUMN "progress" INTEGER NOT NULL DEFAULT 100,
+ADD COLUMN "status" VARCHAR(20) NOT NULL DEFAULT 'completed',
+ALTER COLUMN "file_size_bytes" SET DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "background_jobs" (
+    "job_id" UUID NOT NULL,
+    "job_type" VARCHAR(50) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "payload" JSONB NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 3,
+    "run_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_at" TIMESTAMP(6),
+    "locked_by" VARCHAR(100),
+    "last_error" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(6),
+
+    CONSTRAINT "background_jobs_pkey" PRIMARY KEY ("job_id")
+);
+
+-- CreateIndex
+CREATE INDEX "background_jobs_status_run_at_idx" ON "background_jobs"("status", "run_at");
+
+-- CreateIndex
+CREATE INDEX "media_log_links_access_token_idx" ON "media_log_links"("access_token");
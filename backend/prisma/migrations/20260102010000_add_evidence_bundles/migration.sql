@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "log_exports" ADD COLUMN "manifest_sha256" VARCHAR(64);
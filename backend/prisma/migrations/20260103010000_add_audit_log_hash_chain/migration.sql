@@ -0,0 +1,87 @@
+-- AlterTable
+ALTER TABLE "audit_logs" ADD COLUMN "chain_seq" INTEGER,
+ADD COLUMN "prev_hash" VARCHAR(64),
+ADD COLUMN "hash" VARCHAR(64);
+
+-- Hash of an audit log entry: SHA-256 of a JSON array of the previous entry's
+-- hash, the entry's position in its group's chain and every content column.
+-- Used by the insert trigger and by GET /logs/groups/:groupId/verify, so both
+-- always agree on how an entry is hashed.
+-- performed_by is left out: it is set to NULL when the member is removed, so
+-- the performer is covered by the performed_by_name/performed_by_email
+-- snapshot instead.
+CREATE FUNCTION "audit_log_hash"(entry "audit_logs") RETURNS VARCHAR(64)
+LANGUAGE sql STABLE AS $$
+  SELECT encode(sha256(convert_to(json_build_array(
+    entry."prev_hash",
+    entry."chain_seq",
+    entry."log_id",
+    entry."group_id",
+    entry."action",
+    entry."action_location",
+    entry."performed_by_name",
+    entry."performed_by_email",
+    entry."performed_at",
+    entry."message_content",
+    entry."media_links",
+    entry."log_data"
+  )::text, 'UTF8')), 'hex')
+$$;
+
+-- Chain each new entry to the previous entry for the same group. The advisory
+-- lock serialises inserts per group so two entries can't claim the same link.
+CREATE FUNCTION "audit_logs_chain"() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  previous_seq INTEGER;
+  previous_hash VARCHAR(64);
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtextextended('audit_logs:' || NEW."group_id"::text, 0));
+
+  SELECT "chain_seq", "hash" INTO previous_seq, previous_hash
+  FROM "audit_logs"
+  WHERE "group_id" = NEW."group_id" AND "chain_seq" IS NOT NULL
+  ORDER BY "chain_seq" DESC
+  LIMIT 1;
+
+  NEW."chain_seq" := COALESCE(previous_seq, 0) + 1;
+  NEW."prev_hash" := previous_hash;
+  NEW."hash" := "audit_log_hash"(NEW);
+  RETURN NEW;
+END
+$$;
+
+-- Backfill existing entries in the order they were performed
+DO $$
+DECLARE
+  entry RECORD;
+  current_group UUID;
+  seq INTEGER;
+  last_hash VARCHAR(64);
+BEGIN
+  FOR entry IN
+    SELECT "log_id", "group_id" FROM "audit_logs" ORDER BY "group_id", "performed_at", "log_id"
+  LOOP
+    IF current_group IS DISTINCT FROM entry."group_id" THEN
+      current_group := entry."group_id";
+      seq := 0;
+      last_hash := NULL;
+    END IF;
+    seq := seq + 1;
+
+    UPDATE "audit_logs" SET "chain_seq" = seq, "prev_hash" = last_hash
+    WHERE "log_id" = entry."log_id";
+
+    UPDATE "audit_logs" AS a SET "hash" = "audit_log_hash"(a)
+    WHERE a."log_id" = entry."log_id"
+    RETURNING a."hash" INTO last_hash;
+  END LOOP;
+END
+$$;
+
+CREATE TRIGGER "audit_logs_chain"
+BEFORE INSERT ON "audit_logs"
+FOR EACH ROW EXECUTE FUNCTION "audit_logs_chain"();
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_group_id_chain_seq_key" ON "audit_logs"("group_id", "chain_seq");
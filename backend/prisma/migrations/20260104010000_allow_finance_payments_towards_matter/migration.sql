@@ -0,0 +1,3 @@
+-- AlterTable
+-- A payment without a recipient is made towards the finance matter itself
+ALTER TABLE "finance_payments" ALTER COLUMN "to_member_id" DROP NOT NULL;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "finance_payments" ADD COLUMN "settlement_id" UUID;
+
+-- CreateTable
+CREATE TABLE "finance_settlements" (
+    "settlement_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "from_member_id" UUID NOT NULL,
+    "to_member_id" UUID NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "reported_by" UUID NOT NULL,
+    "reported_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "confirmed_at" TIMESTAMP(6),
+    "is_confirmed" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "finance_settlements_pkey" PRIMARY KEY ("settlement_id")
+);
+
+-- CreateIndex
+CREATE INDEX "finance_settlements_group_id_is_confirmed_idx" ON "finance_settlements"("group_id", "is_confirmed");
+
+-- CreateIndex
+CREATE INDEX "finance_payments_settlement_id_idx" ON "finance_payments"("settlement_id");
+
+-- AddForeignKey
+ALTER TABLE "finance_payments" ADD CONSTRAINT "finance_payments_settlement_id_fkey" FOREIGN KEY ("settlement_id") REFERENCES "finance_settlements"("settlement_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_settlements" ADD CONSTRAINT "finance_settlements_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_settlements" ADD CONSTRAINT "finance_settlements_from_member_id_fkey" FOREIGN KEY ("from_member_id") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_settlements" ADD CONSTRAINT "finance_settlements_to_member_id_fkey" FOREIGN KEY ("to_member_id") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_settlements" ADD CONSTRAINT "finance_settlements_reported_by_fkey" FOREIGN KEY ("reported_by") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "finance_matters" ADD COLUMN "template_id" UUID,
+ADD COLUMN "occurrence_date" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "finance_matter_templates" (
+    "template_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "name" VARCHAR(255) NOT NULL,
+    "description" TEXT,
+    "total_amount" DECIMAL(12,2) NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "frequency" VARCHAR(20) NOT NULL,
+    "start_date" TIMESTAMP(6) NOT NULL,
+    "end_date" TIMESTAMP(6),
+    "due_in_days" INTEGER,
+    "occurrence_count" INTEGER NOT NULL DEFAULT 0,
+    "next_occurrence_at" TIMESTAMP(6),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" UUID NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "finance_matter_templates_pkey" PRIMARY KEY ("template_id")
+);
+
+-- CreateTable
+CREATE TABLE "finance_matter_template_members" (
+    "template_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+    "expected_amount" DECIMAL(12,2) NOT NULL,
+    "expected_percentage" DECIMAL(5,2) NOT NULL,
+
+    CONSTRAINT "finance_matter_template_members_pkey" PRIMARY KEY ("template_id","group_member_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_matters_template_id_occurrence_date_key" ON "finance_matters"("template_id", "occurrence_date");
+
+-- CreateIndex
+CREATE INDEX "finance_matter_templates_group_id_idx" ON "finance_matter_templates"("group_id");
+
+-- CreateIndex
+CREATE INDEX "finance_matter_templates_is_active_next_occurrence_at_idx" ON "finance_matter_templates"("is_active", "next_occurrence_at");
+
+-- CreateIndex
+CREATE INDEX "finance_matter_template_members_group_member_id_idx" ON "finance_matter_template_members"("group_member_id");
+
+-- AddForeignKey
+ALTER TABLE "finance_matters" ADD CONSTRAINT "finance_matters_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "finance_matter_templates"("template_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_templates" ADD CONSTRAINT "finance_matter_templates_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_templates" ADD CONSTRAINT "finance_matter_templates_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_template_members" ADD CONSTRAINT "finance_matter_template_members_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "finance_matter_templates"("template_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_template_members" ADD CONSTRAINT "finance_matter_template_members_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "finance_payments" ADD COLUMN "is_rejected" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "rejected_at" TIMESTAMP(6);
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "finance_matters" ADD COLUMN "category_id" UUID;
+
+-- CreateTable
+CREATE TABLE "finance_categories" (
+    "category_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "finance_categories_pkey" PRIMARY KEY ("category_id")
+);
+
+-- CreateTable
+CREATE TABLE "finance_category_budgets" (
+    "budget_id" UUID NOT NULL,
+    "category_id" UUID NOT NULL,
+    "year" INTEGER NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "finance_category_budgets_pkey" PRIMARY KEY ("budget_id")
+);
+
+-- CreateTable
+CREATE TABLE "finance_matter_children" (
+    "finance_matter_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+
+    CONSTRAINT "finance_matter_children_pkey" PRIMARY KEY ("finance_matter_id","group_member_id")
+);
+
+-- CreateIndex
+CREATE INDEX "finance_matters_category_id_idx" ON "finance_matters"("category_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_categories_group_id_name_key" ON "finance_categories"("group_id", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_category_budgets_category_id_year_currency_key" ON "finance_category_budgets"("category_id", "year", "currency");
+
+-- CreateIndex
+CREATE INDEX "finance_matter_children_group_member_id_idx" ON "finance_matter_children"("group_member_id");
+
+-- AddForeignKey
+ALTER TABLE "finance_matters" ADD CONSTRAINT "finance_matters_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "finance_categories"("category_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_categories" ADD CONSTRAINT "finance_categories_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_category_budgets" ADD CONSTRAINT "finance_category_budgets_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "finance_categories"("category_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_children" ADD CONSTRAINT "finance_matter_children_finance_matter_id_fkey" FOREIGN KEY ("finance_matter_id") REFERENCES "finance_matters"("finance_matter_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_children" ADD CONSTRAINT "finance_matter_children_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "group_settings" ADD COLUMN     "finance_overdue_escalation_days" INTEGER DEFAULT 7,
+ADD COLUMN     "finance_reminder_days" INTEGER[] DEFAULT ARRAY[-3, 0, 1, 7]::INTEGER[];
+
+-- AlterTable
+ALTER TABLE "finance_matters" ADD COLUMN     "overdue_escalated_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "finance_matter_reminders" (
+    "reminder_id" UUID NOT NULL,
+    "finance_matter_id" UUID NOT NULL,
+    "group_member_id" UUID NOT NULL,
+    "reminder_day" INTEGER NOT NULL,
+    "reminded_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "finance_matter_reminders_pkey" PRIMARY KEY ("reminder_id")
+);
+
+-- CreateIndex
+CREATE INDEX "finance_matter_reminders_group_member_id_idx" ON "finance_matter_reminders"("group_member_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_matter_reminders_finance_matter_id_group_member_id__key" ON "finance_matter_reminders"("finance_matter_id", "group_member_id", "reminder_day");
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_reminders" ADD CONSTRAINT "finance_matter_reminders_finance_matter_id_fkey" FOREIGN KEY ("finance_matter_id") REFERENCES "finance_matters"("finance_matter_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_matter_reminders" ADD CONSTRAINT "finance_matter_reminders_group_member_id_fkey" FOREIGN KEY ("group_member_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
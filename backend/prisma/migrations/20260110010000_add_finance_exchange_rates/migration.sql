@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "finance_exchange_rates" (
+    "rate_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "from_currency" VARCHAR(3) NOT NULL,
+    "to_currency" VARCHAR(3) NOT NULL,
+    "rate" DECIMAL(18,8) NOT NULL,
+    "effective_date" DATE NOT NULL,
+    "set_by" UUID,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "finance_exchange_rates_pkey" PRIMARY KEY ("rate_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "finance_exchange_rates_group_id_from_currency_to_currency_e_key" ON "finance_exchange_rates"("group_id", "from_currency", "to_currency", "effective_date");
+
+-- AddForeignKey
+ALTER TABLE "finance_exchange_rates" ADD CONSTRAINT "finance_exchange_rates_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "finance_exchange_rates" ADD CONSTRAINT "finance_exchange_rates_set_by_fkey" FOREIGN KEY ("set_by") REFERENCES "group_members"("group_member_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "approvals" ADD COLUMN     "expires_at" TIMESTAMP(6),
+ADD COLUMN     "expiry_action" VARCHAR(10),
+ADD COLUMN     "last_reminded_at" TIMESTAMP(6),
+ADD COLUMN     "resolved_on_expiry" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "group_settings" ADD COLUMN     "approval_expiry_policies" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "approval_reminder_hours" INTEGER DEFAULT 24;
+
+-- CreateIndex
+CREATE INDEX "approvals_status_expires_at_idx" ON "approvals"("status", "expires_at");
@@ -0,0 +1,11 @@
+-- DropForeignKey
+ALTER TABLE "relationships" DROP CONSTRAINT "relationships_member_id_1_fkey";
+
+-- DropForeignKey
+ALTER TABLE "relationships" DROP CONSTRAINT "relationships_member_id_2_fkey";
+
+-- AddForeignKey
+ALTER TABLE "relationships" ADD CONSTRAINT "relationships_member_id_1_fkey" FOREIGN KEY ("member_id_1") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "relationships" ADD CONSTRAINT "relationships_member_id_2_fkey" FOREIGN KEY ("member_id_2") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
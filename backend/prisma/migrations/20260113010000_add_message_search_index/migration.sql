@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "search_indexed_at" TIMESTAMP(6),
+ADD COLUMN     "search_tokens" VARCHAR(32)[] DEFAULT ARRAY[]::VARCHAR(32)[];
+
+-- CreateIndex
+CREATE INDEX "messages_search_tokens_idx" ON "messages" USING GIN ("search_tokens");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "reply_to_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "messages_reply_to_id_idx" ON "messages"("reply_to_id");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_reply_to_id_fkey" FOREIGN KEY ("reply_to_id") REFERENCES "messages"("message_id") ON DELETE SET NULL ON UPDATE CASCADE;
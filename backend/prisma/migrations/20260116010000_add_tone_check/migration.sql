@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "group_settings" ADD COLUMN     "tone_check_enabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "tone_check_events" (
+    "event_id" UUID NOT NULL,
+    "group_id" UUID NOT NULL,
+    "outcome" VARCHAR(20) NOT NULL,
+    "categories" VARCHAR(20)[],
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tone_check_events_pkey" PRIMARY KEY ("event_id")
+);
+
+-- CreateIndex
+CREATE INDEX "tone_check_events_group_id_created_at_idx" ON "tone_check_events"("group_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "tone_check_events" ADD CONSTRAINT "tone_check_events_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "groups"("group_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "scheduled_messages" (
+    "scheduled_message_id" UUID NOT NULL,
+    "message_group_id" UUID NOT NULL,
+    "sender_id" UUID NOT NULL,
+    "content" TEXT NOT NULL,
+    "mentions" UUID[],
+    "scheduled_for" TIMESTAMP(6) NOT NULL,
+    "frequency" VARCHAR(20),
+    "end_date" TIMESTAMP(6),
+    "occurrence_count" INTEGER NOT NULL DEFAULT 0,
+    "next_send_at" TIMESTAMP(6),
+    "status" VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    "last_sent_at" TIMESTAMP(6),
+    "last_message_id" UUID,
+    "failure_reason" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_messages_pkey" PRIMARY KEY ("scheduled_message_id")
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_message_group_id_status_idx" ON "scheduled_messages"("message_group_id", "status");
+
+-- CreateIndex
+CREATE INDEX "scheduled_messages_status_next_send_at_idx" ON "scheduled_messages"("status", "next_send_at");
+
+-- AddForeignKey
+ALTER TABLE "scheduled_messages" ADD CONSTRAINT "scheduled_messages_message_group_id_fkey" FOREIGN KEY ("message_group_id") REFERENCES "message_groups"("message_group_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "scheduled_messages" ADD CONSTRAINT "scheduled_messages_sender_id_fkey" FOREIGN KEY ("sender_id") REFERENCES "group_members"("group_member_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- Destructive and admin-role approvals can only be rejected on expiry
+-- (REJECT_ONLY_APPROVAL_TYPES in utils/approvalExpiry.js)
+
+-- Update existing policies that approve these types on expiry
+UPDATE "group_settings"
+SET "approval_expiry_policies" = (
+  SELECT jsonb_object_agg(
+    "policy"."key",
+    CASE
+      WHEN "policy"."key" IN ('remove_member', 'change_role_to_admin', 'change_role_from_admin', 'delete_group', 'delete_file', 'delete_log_export', 'delete_call_recording', 'create_custody_schedule', 'change_approval_policies')
+        THEN jsonb_set("policy"."value", '{onExpiry}', '"reject"')
+      ELSE "policy"."value"
+    END
+  )
+  FROM jsonb_each("approval_expiry_policies") AS "policy"
+)
+WHERE "approval_expiry_policies" <> '{}';
+
+-- Update pending approvals of these types that would be approved on expiry
+UPDATE "approvals"
+SET "expiry_action" = 'reject'
+WHERE "status" = 'pending'
+  AND "expiry_action" = 'approve'
+  AND "approval_type" IN ('remove_member', 'change_role_to_admin', 'change_role_from_admin', 'delete_group', 'delete_file', 'delete_log_export', 'delete_call_recording', 'create_custody_schedule');
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "calendar_events" ADD COLUMN     "time_zone" VARCHAR(64);
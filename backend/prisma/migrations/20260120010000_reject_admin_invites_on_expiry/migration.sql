@@ -0,0 +1,11 @@
+-- Requests to add a member as an admin can only be rejected on expiry
+-- (isRejectOnlyApproval in utils/approvalExpiry.js)
+
+-- Update pending admin invites that would be approved on expiry
+-- (approval_data may hold the JSON object or a JSON string of it)
+UPDATE "approvals"
+SET "expiry_action" = 'reject'
+WHERE "status" = 'pending'
+  AND "expiry_action" = 'approve'
+  AND "approval_type" = 'add_member'
+  AND ("approval_data" #>> '{}')::jsonb ->> 'targetRole' = 'admin';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "finance_settlements" ADD COLUMN "is_rejected" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "rejected_at" TIMESTAMP(6);
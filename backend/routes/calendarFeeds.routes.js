@@ -0,0 +1,15 @@
+/**
+ * Calendar Feed Routes
+ *
+ * Public iCal feed for subscribing to a group calendar from other calendar
+ * apps (no auth required). The secret token in the URL identifies the member.
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeed.controller');
+
+// GET - iCal (.ics) feed of the member's visible group calendar
+router.get('/:token.ics', calendarFeedController.getCalendarFeed);
+
+module.exports = router;
@@ -14,8 +14,16 @@ const wishListsRouter = require('./wishLists.routes');
 const krisKringleRouter = require('./krisKringle.routes');
 const approvalsController = require('../controllers/approvals.controller');
 const financeController = require('../controllers/finance.controller');
+const financeLedgerController = require('../controllers/financeLedger.controller');
+const financeTemplatesController = require('../controllers/financeTemplates.controller');
+const financeStatementsController = require('../controllers/financeStatements.controller');
+const financeCategoriesController = require('../controllers/financeCategories.controller');
+const financeExchangeRatesController = require('../controllers/financeExchangeRates.controller');
+const relationshipsController = require('../controllers/relationships.controller');
 const calendarController = require('../controllers/calendar.controller');
 const calendarLayersController = require('../controllers/calendarLayers.controller');
+const calendarReportsController = require('../controllers/calendarReports.controller');
+const calendarFeedController = require('../controllers/calendarFeed.controller');
 const importedCalendarsController = require('../controllers/importedCalendars.controller');
 const giftRegistryController = require('../controllers/giftRegistry.controller');
 const itemRegistryController = require('../controllers/itemRegistry.controller');
@@ -106,6 +114,18 @@ router.put('/:groupId/unmute', requireAuth, groupsController.unmuteGroup);
  */
 router.get('/:groupId/messages', requireAuth, messagesController.getMessages);
 
+/**
+ * GET /groups/:groupId/messages/search
+ * Search messages across the message groups the user can see (q, limit, offset, context)
+ */
+router.get('/:groupId/messages/search', requireAuth, messagesController.searchGroupMessages);
+
+/**
+ * GET /groups/:groupId/messages/tone-stats
+ * Get tone assistant statistics - counts only, no content (admin only, days)
+ */
+router.get('/:groupId/messages/tone-stats', requireAuth, messagesController.getToneCheckStats);
+
 /**
  * POST /groups/:groupId/messages
  * Send a message to a group
@@ -174,6 +194,36 @@ router.post('/:groupId/approvals/:approvalId/vote', requireAuth, approvalsContro
  */
 router.post('/:groupId/approvals/:approvalId/cancel', requireAuth, approvalsController.cancelApproval);
 
+/**
+ * GET /groups/:groupId/relationships
+ * Get the family relationships between group members
+ */
+router.get('/:groupId/relationships', requireAuth, relationshipsController.getRelationships);
+
+/**
+ * GET /groups/:groupId/relationships/graph
+ * Get the family tree (parents, children, step-parents, grandparents, caregivers)
+ */
+router.get('/:groupId/relationships/graph', requireAuth, relationshipsController.getFamilyGraph);
+
+/**
+ * POST /groups/:groupId/relationships
+ * Add a relationship (requires admin approval)
+ */
+router.post('/:groupId/relationships', requireAuth, relationshipsController.createRelationship);
+
+/**
+ * PUT /groups/:groupId/relationships/:relationshipId
+ * Change a relationship's type (requires admin approval)
+ */
+router.put('/:groupId/relationships/:relationshipId', requireAuth, relationshipsController.updateRelationship);
+
+/**
+ * DELETE /groups/:groupId/relationships/:relationshipId
+ * Remove a relationship (requires admin approval)
+ */
+router.delete('/:groupId/relationships/:relationshipId', requireAuth, relationshipsController.deleteRelationship);
+
 /**
  * GET /groups/:groupId/finance-matters
  * Get all finance matters for a group (admins see all, non-admins see only their own)
@@ -204,6 +254,12 @@ router.put('/:groupId/finance-matters/:financeMatterId/settle', requireAuth, fin
  */
 router.put('/:groupId/finance-matters/:financeMatterId/cancel', requireAuth, financeController.cancelFinanceMatter);
 
+/**
+ * PUT /groups/:groupId/finance-matters/:financeMatterId/category
+ * Set a finance matter's category and the children it was for (admin or creator only)
+ */
+router.put('/:groupId/finance-matters/:financeMatterId/category', requireAuth, financeController.updateFinanceMatterCategory);
+
 /**
  * GET /groups/:groupId/finance-matters/:financeMatterId/messages
  * Get messages for a finance matter
@@ -224,16 +280,149 @@ router.put('/:groupId/finance-matters/:financeMatterId/record-payment', requireA
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm
- * Confirm a payment (recipient only)
+ * Confirm a payment (recipient, or the matter creator or an admin for payments towards the matter)
  */
 router.post('/:groupId/finance-matters/:financeMatterId/payments/:paymentId/confirm', requireAuth, financeController.confirmPayment);
 
 /**
  * POST /groups/:groupId/finance-matters/:financeMatterId/payments/:paymentId/reject
- * Reject a payment (recipient only)
+ * Reject a payment (recipient, or the matter creator or an admin for payments towards the matter)
  */
 router.post('/:groupId/finance-matters/:financeMatterId/payments/:paymentId/reject', requireAuth, financeController.rejectPayment);
 
+/**
+ * GET /groups/:groupId/finance/ledger
+ * Net balances per member and currency across open finance matters, with a settle-up suggestion
+ */
+router.get('/:groupId/finance/ledger', requireAuth, financeLedgerController.getFinanceLedger);
+
+/**
+ * POST /groups/:groupId/finance/settlements
+ * Record one settlement payment, allocated across the open finance matters (admin or self)
+ */
+router.post('/:groupId/finance/settlements', requireAuth, financeLedgerController.recordSettlement);
+
+/**
+ * POST /groups/:groupId/finance/settlements/:settlementId/confirm
+ * Confirm a settlement and its allocated payments (recipient only)
+ */
+router.post('/:groupId/finance/settlements/:settlementId/confirm', requireAuth, financeLedgerController.confirmSettlement);
+
+/**
+ * POST /groups/:groupId/finance/settlements/:settlementId/reject
+ * Reject a settlement and remove its allocated payments (recipient only)
+ */
+router.post('/:groupId/finance/settlements/:settlementId/reject', requireAuth, financeLedgerController.rejectSettlement);
+
+/**
+ * GET /groups/:groupId/finance/templates
+ * Get recurring finance matters (admins see all, non-admins see only their own)
+ */
+router.get('/:groupId/finance/templates', requireAuth, financeTemplatesController.getFinanceTemplates);
+
+/**
+ * POST /groups/:groupId/finance/templates
+ * Create a recurring finance matter (same permissions as creating a finance matter)
+ */
+router.post('/:groupId/finance/templates', requireAuth, financeTemplatesController.createFinanceTemplate);
+
+/**
+ * GET /groups/:groupId/finance/templates/:templateId
+ * Get a recurring finance matter with the finance matters created from it
+ */
+router.get('/:groupId/finance/templates/:templateId', requireAuth, financeTemplatesController.getFinanceTemplateById);
+
+/**
+ * PUT /groups/:groupId/finance/templates/:templateId
+ * Update a recurring finance matter for future occurrences (admin or creator only)
+ */
+router.put('/:groupId/finance/templates/:templateId', requireAuth, financeTemplatesController.updateFinanceTemplate);
+
+/**
+ * POST /groups/:groupId/finance/templates/:templateId/stop
+ * Stop a recurring finance matter (admin or creator only)
+ */
+router.post('/:groupId/finance/templates/:templateId/stop', requireAuth, financeTemplatesController.stopFinanceTemplate);
+
+/**
+ * GET /groups/:groupId/finance/statement
+ * Finance statement: shares, confirmed and rejected payments and outstanding balances per matter
+ * Query: from, to, memberId, status, currency, timeZone
+ */
+router.get('/:groupId/finance/statement', requireAuth, financeStatementsController.getFinanceStatement);
+
+/**
+ * GET /groups/:groupId/finance/statement/csv
+ * Export the finance statement as CSV (same query as above)
+ */
+router.get('/:groupId/finance/statement/csv', requireAuth, financeStatementsController.exportFinanceStatementCSV);
+
+/**
+ * GET /groups/:groupId/finance/statement/pdf
+ * Export the finance statement as a PDF (same query as above)
+ */
+router.get('/:groupId/finance/statement/pdf', requireAuth, financeStatementsController.exportFinanceStatementPDF);
+
+/**
+ * GET /groups/:groupId/finance/categories
+ * Get finance categories with their budgets for a year
+ */
+router.get('/:groupId/finance/categories', requireAuth, financeCategoriesController.getFinanceCategories);
+
+/**
+ * POST /groups/:groupId/finance/categories
+ * Create a finance category (admin only)
+ */
+router.post('/:groupId/finance/categories', requireAuth, financeCategoriesController.createFinanceCategory);
+
+/**
+ * PUT /groups/:groupId/finance/categories/:categoryId
+ * Rename a finance category (admin only)
+ */
+router.put('/:groupId/finance/categories/:categoryId', requireAuth, financeCategoriesController.updateFinanceCategory);
+
+/**
+ * DELETE /groups/:groupId/finance/categories/:categoryId
+ * Delete a finance category; its finance matters become uncategorized (admin only)
+ */
+router.delete('/:groupId/finance/categories/:categoryId', requireAuth, financeCategoriesController.deleteFinanceCategory);
+
+/**
+ * PUT /groups/:groupId/finance/categories/:categoryId/budget
+ * Set or clear a category's annual budget (admin only)
+ */
+router.put('/:groupId/finance/categories/:categoryId/budget', requireAuth, financeCategoriesController.setCategoryBudget);
+
+/**
+ * GET /groups/:groupId/finance/summary
+ * Spending against budgets per category and per child for a year
+ */
+router.get('/:groupId/finance/summary', requireAuth, financeCategoriesController.getFinanceSummary);
+
+/**
+ * GET /groups/:groupId/finance/exchange-rates
+ * Get the exchange rates used to convert finance matters to the group's base currency
+ */
+router.get('/:groupId/finance/exchange-rates', requireAuth, financeExchangeRatesController.getExchangeRates);
+
+/**
+ * POST /groups/:groupId/finance/exchange-rates
+ * Set a dated exchange rate (admin only)
+ */
+router.post('/:groupId/finance/exchange-rates', requireAuth, financeExchangeRatesController.setExchangeRate);
+
+/**
+ * POST /groups/:groupId/finance/exchange-rates/import
+ * Import dated exchange rates from CSV (admin only)
+ */
+router.post('/:groupId/finance/exchange-rates/import', requireAuth, financeExchangeRatesController.importExchangeRates);
+
+/**
+ * DELETE /groups/:groupId/finance/exchange-rates/:rateId
+ * Delete an exchange rate (admin only)
+ */
+router.delete('/:groupId/finance/exchange-rates/:rateId', requireAuth, financeExchangeRatesController.deleteExchangeRate);
+
 /**
  * GET /groups/:groupId/calendar/events
  * Get calendar events for a group (with date range filtering)
@@ -270,6 +459,30 @@ router.delete('/:groupId/calendar/events/:eventId', requireAuth, calendarControl
  */
 router.post('/:groupId/calendar/responsibility-events', requireAuth, calendarController.createResponsibilityEvent);
 
+/**
+ * GET /groups/:groupId/calendar/custody-templates
+ * List the custody rotation templates (2-2-3, week on/week off, 2-2-5-5, alternating weekends)
+ */
+router.get('/:groupId/calendar/custody-templates', requireAuth, calendarController.getCustodyTemplates);
+
+/**
+ * POST /groups/:groupId/calendar/custody-schedules
+ * Generate a full custody schedule from a template (may require admin approval)
+ */
+router.post('/:groupId/calendar/custody-schedules', requireAuth, calendarController.createCustodySchedule);
+
+/**
+ * GET /groups/:groupId/calendar/reports/time-share
+ * Custody time-share report (nights, hours and percentages per child and responsible party)
+ */
+router.get('/:groupId/calendar/reports/time-share', requireAuth, calendarReportsController.getTimeShareReport);
+
+/**
+ * GET /groups/:groupId/calendar/reports/time-share/pdf
+ * Export the custody time-share report as a PDF
+ */
+router.get('/:groupId/calendar/reports/time-share/pdf', requireAuth, calendarReportsController.exportTimeShareReportPDF);
+
 /**
  * POST /groups/:groupId/calendar/mark-viewed
  * Mark calendar as viewed (clears calendar notification badge)
@@ -297,11 +510,29 @@ router.get('/:groupId/calendar/check-reminders', requireAuth, calendarLayersCont
 
 /**
  * POST /groups/:groupId/calendar/mark-reminded
- * Mark events as reminded
- * Body: { eventIds: string[] }
+ * Mark event occurrences as reminded
+ * Body: { occurrenceIds: string[] } - occurrenceIds from check-reminders
  */
 router.post('/:groupId/calendar/mark-reminded', requireAuth, calendarLayersController.markEventsReminded);
 
+/**
+ * GET /groups/:groupId/calendar/feed
+ * Get the user's iCal feed URL for this group's calendar (null if none)
+ */
+router.get('/:groupId/calendar/feed', requireAuth, calendarFeedController.getCalendarFeedUrl);
+
+/**
+ * POST /groups/:groupId/calendar/feed
+ * Create the user's iCal feed URL (replaces and revokes any existing URL)
+ */
+router.post('/:groupId/calendar/feed', requireAuth, calendarFeedController.createCalendarFeed);
+
+/**
+ * DELETE /groups/:groupId/calendar/feed
+ * Revoke the user's iCal feed URL
+ */
+router.delete('/:groupId/calendar/feed', requireAuth, calendarFeedController.revokeCalendarFeed);
+
 // ============================================
 // IMPORTED CALENDARS ROUTES
 // ============================================
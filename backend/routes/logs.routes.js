@@ -27,28 +27,43 @@ const { requireAuth } = require('../middleware/auth.middleware');
  */
 router.get('/groups/:groupId', requireAuth, logsController.getAuditLogs);
 
+/**
+ * GET /logs/groups/:groupId/verify
+ * Verify the group's audit log hash chain
+ *
+ * Requires authentication (admin only)
+ *
+ * Response:
+ * - 200: { valid, entriesChecked, chainHead, firstBrokenLink }
+ * - 401: Not authenticated
+ * - 403: Not admin of group
+ * - 500: Server error
+ */
+router.get('/groups/:groupId/verify', requireAuth, logsController.verifyAuditChain);
+
 /**
  * POST /logs/exports
- * Request a new log export
+ * Request a new full log export (password-protected ZIP built in the background)
  *
  * Requires authentication
  *
  * Request body:
  * - groupId: Group ID to export logs for
- * - password: Password to protect the export file
+ * - password: Password to protect the export file (min 8 characters)
  *
  * Response:
- * - 201: Export request created
+ * - 201: Export request created (status 'pending')
  * - 400: Validation error
  * - 401: Not authenticated
  * - 403: Not authorized (not admin of group)
+ * - 409: An export is already being prepared
  * - 500: Server error
  */
 router.post('/exports', requireAuth, logsController.requestExport);
 
 /**
  * GET /logs/exports
- * Get all export requests for the user
+ * Get all full export requests for the user, with status and progress
  *
  * Requires authentication
  *
@@ -74,6 +89,31 @@ router.get('/exports', requireAuth, logsController.getExports);
  */
 router.get('/exports/:id/download', requireAuth, logsController.downloadExport);
 
+/**
+ * GET /logs/media/:token
+ * Download an attachment linked from a full export
+ *
+ * Public - the token is the credential
+ *
+ * Response:
+ * - 200: Attachment file
+ * - 404: Unknown or expired link, or export deleted
+ * - 500: Server error
+ */
+router.get('/media/:token', logsController.getExportMedia);
+
+/**
+ * GET /logs/evidence/public-key
+ * Get the Ed25519 public key evidence bundle manifests are signed with
+ *
+ * Public - recipients of a bundle use it to verify manifest.sig
+ *
+ * Response:
+ * - 200: { algorithm, publicKey (PEM), fingerprint }
+ * - 500: Server error (e.g. signing key not configured)
+ */
+router.get('/evidence/public-key', logsController.getEvidencePublicKey);
+
 /**
  * POST /logs/:groupId/export
  * Export audit logs as PDF with filters
@@ -95,6 +135,26 @@ router.get('/exports/:id/download', requireAuth, logsController.downloadExport);
  */
 router.post('/:groupId/export', requireAuth, logsController.exportLogsAsPDF);
 
+/**
+ * POST /logs/:groupId/evidence-bundle
+ * Request an evidence bundle: ZIP with the audit log PDF, raw messages/calendar/
+ * finance/call data, referenced media and a signed SHA-256 manifest
+ *
+ * Requires authentication (admin only)
+ *
+ * Request body:
+ * - filters: Same as POST /logs/:groupId/export (the date range also limits
+ *   messages, calendar events, finance matters and calls)
+ *
+ * Response:
+ * - 201: { exportId, status: 'pending' } - built in the background, then listed in previous exports
+ * - 401: Not authenticated
+ * - 403: Not admin of group
+ * - 409: An evidence bundle is already being prepared
+ * - 500: Server error
+ */
+router.post('/:groupId/evidence-bundle', requireAuth, logsController.requestEvidenceBundle);
+
 /**
  * GET /logs/:groupId/exports
  * Get all previous exports for a group
@@ -116,7 +176,7 @@ router.get('/:groupId/exports', requireAuth, logsController.getPreviousExports);
  * Requires authentication (admin only)
  *
  * Response:
- * - 200: PDF file download
+ * - 200: PDF or ZIP file download (evidence bundles include an X-Manifest-Sha256 header)
  * - 401: Not authenticated
  * - 403: Not admin of group
  * - 404: Export not found
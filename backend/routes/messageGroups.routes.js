@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // mergeParams to access groupId from parent router
 const messageGroupsController = require('../controllers/messageGroups.controller');
 const messagesController = require('../controllers/messages.controller');
+const scheduledMessagesController = require('../controllers/scheduledMessages.controller');
 const { requireAuth } = require('../middleware/auth.middleware');
 
 /**
@@ -76,18 +77,66 @@ router.put('/:messageGroupId/unmute', requireAuth, messageGroupsController.unmut
  */
 router.get('/:messageGroupId/messages', requireAuth, messagesController.getMessageGroupMessages);
 
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/search
+ * Search a message group's messages (q, limit, offset, context)
+ */
+router.get('/:messageGroupId/messages/search', requireAuth, messagesController.searchMessageGroupMessages);
+
 /**
  * POST /groups/:groupId/message-groups/:messageGroupId/messages
  * Send a message to a message group
  */
 router.post('/:messageGroupId/messages', requireAuth, messagesController.sendMessageGroupMessage);
 
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ * Get the current user's scheduled messages in a message group
+ */
+router.get('/:messageGroupId/scheduled-messages', requireAuth, scheduledMessagesController.getScheduledMessages);
+
+/**
+ * POST /groups/:groupId/message-groups/:messageGroupId/scheduled-messages
+ * Schedule a message (once or recurring)
+ */
+router.post('/:messageGroupId/scheduled-messages', requireAuth, scheduledMessagesController.createScheduledMessage);
+
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ * Edit a scheduled message (sender only)
+ */
+router.put('/:messageGroupId/scheduled-messages/:scheduledMessageId', requireAuth, scheduledMessagesController.updateScheduledMessage);
+
+/**
+ * DELETE /groups/:groupId/message-groups/:messageGroupId/scheduled-messages/:scheduledMessageId
+ * Cancel a scheduled message (sender only)
+ */
+router.delete('/:messageGroupId/scheduled-messages/:scheduledMessageId', requireAuth, scheduledMessagesController.cancelScheduledMessage);
+
 /**
  * PUT /groups/:groupId/message-groups/:messageGroupId/mark-read
  * Mark message group as read
  */
 router.put('/:messageGroupId/mark-read', requireAuth, messagesController.markMessageGroupAsRead);
 
+/**
+ * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId
+ * Edit a message (sender only, within the group's edit window)
+ */
+router.put('/:messageGroupId/messages/:messageId', requireAuth, messagesController.editMessage);
+
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/revisions
+ * Get a message's edit history (admin only)
+ */
+router.get('/:messageGroupId/messages/:messageId/revisions', requireAuth, messagesController.getMessageRevisions);
+
+/**
+ * GET /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/thread
+ * Get a message and its replies
+ */
+router.get('/:messageGroupId/messages/:messageId/thread', requireAuth, messagesController.getMessageThread);
+
 /**
  * PUT /groups/:groupId/message-groups/:messageGroupId/messages/:messageId/hide
  * Hide a message
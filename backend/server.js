@@ -40,8 +40,17 @@ const { validateKindeConfig } = require('./config/auth');
 const { validateStripeConfig } = require('./config/stripe');
 const { emailService } = require('./services/email');
 const mediaProcessor = require('./services/mediaProcessor.service');
+const realtimeService = require('./services/realtime.service');
 const { initSyncJob } = require('./jobs/syncImportedCalendars');
 const { initCalendarReminderJob } = require('./jobs/calendarNotificationReminders');
+const { initRecurringFinanceJob } = require('./jobs/recurringFinanceMatters');
+const { initFinanceReminderJob } = require('./jobs/financeDueReminders');
+const { initApprovalExpiryJob } = require('./jobs/approvalExpiry');
+const { initMessageSearchIndexJob } = require('./jobs/messageSearchIndex');
+const { initScheduledMessagesJob } = require('./jobs/scheduledMessages');
+const { initLogExportJob } = require('./jobs/logExports');
+const { initEvidenceBundleJob } = require('./jobs/evidenceBundles');
+const jobQueue = require('./services/jobQueue.service');
 
 // Import routes
 const healthRoutes = require('./routes/health.routes');
@@ -55,6 +64,7 @@ const logsRoutes = require('./routes/logs.routes');
 const personalRegistriesRoutes = require('./routes/personalRegistries.routes');
 const secretSantaRoutes = require('./routes/secretSanta.routes');
 const publicRegistriesRoutes = require('./routes/publicRegistries.routes');
+const calendarFeedsRoutes = require('./routes/calendarFeeds.routes');
 const feedbackRoutes = require('./routes/feedback.routes');
 const storageRoutes = require('./routes/storage.routes');
 const supportRoutes = require('./routes/support.routes');
@@ -96,6 +106,7 @@ app.use('/invitations', invitationsRoutes);
 app.use('/logs', logsRoutes);
 app.use('/secret-santa', secretSantaRoutes);
 app.use('/public', publicRegistriesRoutes);
+app.use('/calendar-feeds', calendarFeedsRoutes);
 app.use('/feedback', feedbackRoutes);
 app.use('/storage', storageRoutes);
 app.use('/support', supportRoutes);
@@ -135,6 +146,7 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`Server: http://localhost:${PORT}`);
     console.log(`Health Check: http://localhost:${PORT}/health`);
+    console.log(`Realtime: ws://localhost:${PORT}${realtimeService.REALTIME_PATH}`);
     console.log('');
     console.log('Services:');
     console.log(`- PostgreSQL: localhost:5432`);
@@ -153,15 +165,30 @@ if (process.env.NODE_ENV !== 'test') {
     // Initialize background jobs
     initSyncJob();
     initCalendarReminderJob();
+    initRecurringFinanceJob();
+    initFinanceReminderJob();
+    initApprovalExpiryJob();
+    initMessageSearchIndexJob();
+    initScheduledMessagesJob();
+
+    // Register queued job handlers, then start the job worker
+    initLogExportJob();
+    initEvidenceBundleJob();
+    jobQueue.startJobWorker();
 
     console.log('');
     console.log('Press Ctrl+C to stop');
     console.log('================================');
   });
 
+  // Real-time event channel (WebSocket) on the same port
+  realtimeService.initRealtimeServer(server);
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    realtimeService.closeRealtimeServer();
+    jobQueue.stopJobWorker();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
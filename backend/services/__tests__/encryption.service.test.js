@@ -135,6 +135,37 @@ describe('Encryption Service', () => {
     });
   });
 
+  describe('blindIndex', () => {
+    afterEach(() => {
+      delete process.env.MESSAGE_SEARCH_KEY;
+    });
+
+    it('should give the same token for the same term and scope', () => {
+      const token = encryptionService.blindIndex('group-1', 'dentist');
+
+      expect(token).toMatch(/^[0-9a-f]{32}$/);
+      expect(encryptionService.blindIndex('group-1', 'dentist')).toBe(token);
+    });
+
+    it('should give different tokens in different scopes', () => {
+      expect(encryptionService.blindIndex('group-1', 'dentist'))
+        .not.toBe(encryptionService.blindIndex('group-2', 'dentist'));
+    });
+
+    it('should use MESSAGE_SEARCH_KEY when set', () => {
+      const derived = encryptionService.blindIndex('group-1', 'dentist');
+      process.env.MESSAGE_SEARCH_KEY = 'f'.repeat(64);
+
+      expect(encryptionService.blindIndex('group-1', 'dentist')).not.toBe(derived);
+    });
+
+    it('should reject a MESSAGE_SEARCH_KEY of the wrong length', () => {
+      process.env.MESSAGE_SEARCH_KEY = 'tooshort';
+
+      expect(() => encryptionService.blindIndex('group-1', 'dentist')).toThrow('MESSAGE_SEARCH_KEY');
+    });
+  });
+
   describe('Integration', () => {
     it('should encrypt and decrypt multiple messages correctly', () => {
       const messages = [
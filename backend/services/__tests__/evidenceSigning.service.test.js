@@ -0,0 +1,48 @@
+/**
+ * Evidence Signing Service Tests
+ *
+ * Tests Ed25519 manifest signing and verification
+ */
+
+const crypto = require('crypto');
+const evidenceSigning = require('../evidenceSigning.service');
+
+describe('Evidence Signing Service', () => {
+  beforeEach(() => {
+    process.env.EVIDENCE_SIGNING_KEY = evidenceSigning.generateKey();
+  });
+
+  afterAll(() => {
+    delete process.env.EVIDENCE_SIGNING_KEY;
+  });
+
+  it('should sign a manifest that verifies with the published public key', () => {
+    const manifest = JSON.stringify({ files: [{ path: 'audit-log.pdf', sha256: 'abc' }] });
+    const signature = evidenceSigning.signManifest(manifest);
+
+    const publicKey = crypto.createPublicKey(evidenceSigning.getPublicKeyPem());
+    expect(crypto.verify(null, Buffer.from(manifest), publicKey, Buffer.from(signature, 'base64'))).toBe(true);
+    expect(evidenceSigning.verifyManifest(manifest, signature)).toBe(true);
+  });
+
+  it('should reject a manifest altered after signing', () => {
+    const signature = evidenceSigning.signManifest('{"sha256":"abc"}');
+
+    expect(evidenceSigning.verifyManifest('{"sha256":"abd"}', signature)).toBe(false);
+  });
+
+  it('should accept a key stored with escaped newlines', () => {
+    process.env.EVIDENCE_SIGNING_KEY = process.env.EVIDENCE_SIGNING_KEY.replace(/\n/g, '\\n');
+
+    expect(evidenceSigning.getPublicKeyFingerprint()).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should throw if the key is not set or not Ed25519', () => {
+    delete process.env.EVIDENCE_SIGNING_KEY;
+    expect(() => evidenceSigning.signManifest('x')).toThrow('EVIDENCE_SIGNING_KEY environment variable not set');
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    process.env.EVIDENCE_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    expect(() => evidenceSigning.signManifest('x')).toThrow('must be an Ed25519 private key');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Approval Expiry Service
+ *
+ * Looks up a group's expiry policy for an approval type so new approvals
+ * are created with their expiresAt and expiryAction.
+ *
+ * @module services/approvalExpiry
+ */
+
+const { prisma } = require('../config/database');
+const { getApprovalPolicy, getApprovalExpiry } = require('../utils/approvalExpiry');
+
+/**
+ * Get the expiry fields for a new approval
+ * @param {string} groupId - Group ID
+ * @param {string} approvalType - Approval type
+ * @param {Object|null} [approvalData] - Approval data (add_member: { targetRole }), for rules that depend on it
+ * @param {Date} [requestedAt] - When the approval is requested (default now)
+ * @returns {Promise<Object>} { expiresAt, expiryAction } to spread into prisma.approval.create data
+ */
+async function getApprovalExpiryFields(groupId, approvalType, approvalData = null, requestedAt = new Date()) {
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: { approvalExpiryPolicies: true },
+  });
+
+  return getApprovalExpiry(getApprovalPolicy(groupSettings?.approvalExpiryPolicies, approvalType, approvalData), requestedAt);
+}
+
+module.exports = {
+  getApprovalExpiryFields,
+};
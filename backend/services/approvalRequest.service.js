@@ -0,0 +1,148 @@
+/**
+ * Approval Request Service
+ *
+ * Runs the universal approval flow (APPROVAL_WORKFLOW.md) for an action:
+ * snapshots the group's admins, records the requester's vote and the votes of
+ * admins who pre-approved the action for them, and either reports the action
+ * as approved or leaves a pending approval for the other admins to vote on.
+ * The caller executes approved actions itself; pending ones are executed by
+ * executeApprovedAction once the vote passes.
+ *
+ * @module services/approvalRequest
+ */
+
+const { prisma } = require('../config/database');
+const { getApprovingAdminIds, hasApprovalPassed } = require('../utils/approvalThresholds');
+const { getApprovalExpiryFields } = require('./approvalExpiry.service');
+const pushNotificationService = require('./pushNotification.service');
+const realtimeService = require('./realtime.service');
+
+/**
+ * Request approval for an action
+ *
+ * No approval is recorded when the requester's own vote is enough (e.g. the
+ * only admin) or the group has no admins; one is recorded as 'approved' when
+ * other admins' pre-approvals carry it, and as 'pending' otherwise.
+ *
+ * @param {Object} request - Approval request
+ * @param {string} request.groupId - Group ID
+ * @param {Object} request.requester - Requesting GroupMember (groupMemberId, displayName, email)
+ * @param {string} request.approvalType - Approval type, e.g. 'create_calendar_event'
+ * @param {string[]} request.permissionFields - AdminPermission flags an admin must have granted to auto-approve
+ * @param {string} request.description - What the requester wants to do, e.g. 'hide a message from Sam'
+ * @param {Object} [request.approvalData] - Data executeApprovedAction needs to carry out the action
+ * @param {string} [request.relatedEntityType] - Type of the entity the action targets
+ * @param {string} [request.relatedEntityId] - ID of the entity the action targets
+ * @param {boolean} [request.requiresAllAdmins] - Unanimous approval instead of more than 50%
+ * @param {string} request.actionLocation - Audit log location
+ * @returns {Promise<Object>} { requiresApproval, approval } - approval is null when none was recorded
+ */
+async function requestApproval({
+  groupId,
+  requester,
+  approvalType,
+  permissionFields,
+  description,
+  approvalData = {},
+  relatedEntityType = null,
+  relatedEntityId = null,
+  requiresAllAdmins = false,
+  actionLocation,
+}) {
+  const admins = await prisma.groupMember.findMany({
+    where: {
+      groupId: groupId,
+      role: 'admin',
+    },
+    select: {
+      groupMemberId: true,
+    },
+  });
+  const allAdminIds = admins.map(a => a.groupMemberId);
+
+  // Admins who granted the requester every flag this action needs
+  const grants = await prisma.adminPermission.findMany({
+    where: {
+      groupId: groupId,
+      receivingAdminId: requester.groupMemberId,
+      ...Object.fromEntries(permissionFields.map(field => [field, true])),
+    },
+    select: {
+      grantingAdminId: true,
+    },
+  });
+
+  const approvingIds = getApprovingAdminIds(allAdminIds, requester.groupMemberId, grants.map(g => g.grantingAdminId));
+  const passed = hasApprovalPassed(allAdminIds, approvingIds, requiresAllAdmins);
+
+  if (passed && approvingIds.every(adminId => adminId === requester.groupMemberId)) {
+    return { requiresApproval: false, approval: null };
+  }
+
+  const approval = await prisma.approval.create({
+    data: {
+      groupId: groupId,
+      requestedBy: requester.groupMemberId,
+      approvalType: approvalType,
+      relatedEntityType: relatedEntityType,
+      relatedEntityId: relatedEntityId,
+      requiresAllAdmins: requiresAllAdmins,
+      requiredApprovalPercentage: requiresAllAdmins ? '100.00' : '50.00',
+      status: passed ? 'approved' : 'pending',
+      completedAt: passed ? new Date() : null,
+      ...(passed ? {} : await getApprovalExpiryFields(groupId, approvalType)),
+      approvalData: JSON.stringify({
+        ...approvalData,
+        allAdminIds: allAdminIds, // Snapshot of admins at approval creation time
+        description: description,
+      }),
+    },
+  });
+
+  if (approvingIds.length > 0) {
+    await prisma.approvalVote.createMany({
+      data: approvingIds.map(adminId => ({
+        approvalId: approval.approvalId,
+        adminId: adminId,
+        vote: 'approve',
+        isAutoApproved: adminId !== requester.groupMemberId,
+      })),
+    });
+  }
+
+  if (!passed) {
+    await prisma.auditLog.create({
+      data: {
+        groupId: groupId,
+        action: 'request_approval',
+        performedBy: requester.groupMemberId,
+        performedByName: requester.displayName,
+        performedByEmail: requester.email || 'N/A',
+        actionLocation: actionLocation,
+        messageContent: `Requested approval to ${description}`,
+        logData: {
+          approvalId: approval.approvalId,
+          approvalType: approvalType,
+          autoApprovedBy: approvingIds.filter(adminId => adminId !== requester.groupMemberId),
+        },
+      },
+    });
+
+    // Send push notification to other admins (fire and forget)
+    pushNotificationService.sendApprovalNotification(
+      groupId,
+      requester.groupMemberId,
+      approvalType,
+      `${requester.displayName} wants to ${description}`,
+      approval.approvalId
+    ).catch(err => console.error('[ApprovalRequest] Failed to send approval notification:', err));
+  }
+
+  realtimeService.publishApprovalChange(approval);
+
+  return { requiresApproval: !passed, approval };
+}
+
+module.exports = {
+  requestApproval,
+};
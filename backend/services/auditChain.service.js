@@ -0,0 +1,104 @@
+/**
+ * Audit Chain Service
+ *
+ * Reads and verifies the per-group AuditLog hash chain. Entries are chained by
+ * the audit_logs_chain database trigger, so every way of creating an AuditLog
+ * is covered; verification recomputes hashes with the same audit_log_hash()
+ * database function (see utils/auditChain.js for the rules).
+ *
+ * @module services/auditChain
+ */
+
+const { prisma } = require('../config/database');
+const { verifyChainEntries } = require('../utils/auditChain');
+
+/**
+ * Entries read per query while verifying
+ */
+const VERIFY_BATCH_SIZE = 1000;
+
+/**
+ * Get the latest entry in a group's chain
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object|null>} { logId, chainSeq, hash, performedAt }, or null if the group has no entries
+ */
+async function getChainHead(groupId) {
+  return prisma.auditLog.findFirst({
+    where: {
+      groupId: groupId,
+      chainSeq: { not: null },
+    },
+    orderBy: { chainSeq: 'desc' },
+    select: {
+      logId: true,
+      chainSeq: true,
+      hash: true,
+      performedAt: true,
+    },
+  });
+}
+
+/**
+ * Walk a group's chain and find the first broken link
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} { valid, entriesChecked, chainHead, firstBrokenLink }
+ */
+async function verifyChain(groupId) {
+  let previous = null;
+  let entriesChecked = 0;
+
+  for (;;) {
+    const afterSeq = previous ? previous.chainSeq : 0;
+    const entries = await prisma.$queryRaw`
+      SELECT a."log_id" AS "logId", a."chain_seq" AS "chainSeq", a."prev_hash" AS "prevHash",
+        a."hash", "audit_log_hash"(a) AS "expectedHash", a."performed_at" AS "performedAt", a."action"
+      FROM "audit_logs" a
+      WHERE a."group_id" = ${groupId}::uuid AND a."chain_seq" > ${afterSeq}
+      ORDER BY a."chain_seq"
+      LIMIT ${VERIFY_BATCH_SIZE}
+    `;
+
+    const result = verifyChainEntries(entries, previous);
+    entriesChecked += result.brokenLink
+      ? entries.findIndex(entry => entry.logId === result.brokenLink.logId)
+      : entries.length;
+
+    if (result.brokenLink) {
+      return {
+        valid: false,
+        entriesChecked,
+        chainHead: await getChainHead(groupId),
+        firstBrokenLink: result.brokenLink,
+      };
+    }
+
+    previous = result.last;
+    if (entries.length < VERIFY_BATCH_SIZE) break;
+  }
+
+  // Entries without a position were inserted with the trigger disabled
+  const unchained = await prisma.auditLog.findFirst({
+    where: {
+      groupId: groupId,
+      chainSeq: null,
+    },
+    orderBy: { performedAt: 'asc' },
+    select: { logId: true, chainSeq: true, performedAt: true, action: true },
+  });
+
+  return {
+    valid: !unchained,
+    entriesChecked,
+    chainHead: previous
+      ? { logId: previous.logId, chainSeq: previous.chainSeq, hash: previous.hash, performedAt: previous.performedAt }
+      : null,
+    firstBrokenLink: unchained
+      ? { ...unchained, reason: 'not_chained', message: 'Entry is not part of the chain' }
+      : null,
+  };
+}
+
+module.exports = {
+  getChainHead,
+  verifyChain,
+};
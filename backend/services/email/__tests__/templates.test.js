@@ -192,7 +192,8 @@ describe('Email Templates', () => {
       expect(result.html).toContain('https://example.com/downloads/abc123');
     });
 
-    test('log export email should include password', () => {
+    test('log export email should never include the export password', () => {
+      // Only a hash of the password is stored, and email isn't a safe place for it
       const data = {
         userName: 'John Doe',
         groupName: 'Smith Family',
@@ -203,8 +204,9 @@ describe('Email Templates', () => {
 
       const result = log_export(data);
 
-      expect(result.text).toContain('MySecretPass456');
-      expect(result.html).toContain('MySecretPass456');
+      expect(result.text).not.toContain('MySecretPass456');
+      expect(result.html).not.toContain('MySecretPass456');
+      expect(result.text).toContain('the password you chose');
     });
 
     test('log export email should include expiration time', () => {
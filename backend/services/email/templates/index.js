@@ -200,12 +200,11 @@ The Family Helper Team
  * @param {string} data.userName - User's name or email
  * @param {string} data.groupName - Name of the group
  * @param {string} data.downloadUrl - URL to download logs (password protected)
- * @param {string} data.password - Password for the export file
  * @param {string} data.expiresIn - How long the link is valid (e.g., "7 days")
  * @returns {Object} Email content {subject, text, html}
  */
 function log_export(data) {
-  const { userName, groupName, downloadUrl, password, expiresIn } = data;
+  const { userName, groupName, downloadUrl, expiresIn } = data;
 
   const subject = `Your ${groupName} audit log export is ready`;
 
@@ -215,15 +214,13 @@ Hi ${userName},
 Your audit log export for "${groupName}" is ready to download.
 
 Download Link: ${downloadUrl}
-Password: ${password}
+Password: the password you chose when requesting the export
 
 This link expires in ${expiresIn}.
 
 The export includes:
 - All group messages (including hidden messages)
-- Calendar events and responsibilities
-- Financial matters and payments
-- Media attachments (images, videos)
+- Links to media attachments (images, videos)
 - Complete audit trail with timestamps
 
 Important:
@@ -250,10 +247,7 @@ The Family Helper Team
     <p style="margin: 0 0 10px 0;"><strong>Download Link:</strong></p>
     <a href="${downloadUrl}" style="color: #3498db; word-break: break-all;">${downloadUrl}</a>
 
-    <p style="margin: 20px 0 10px 0;"><strong>Password:</strong></p>
-    <code style="background: white; padding: 8px 12px; border-radius: 3px; display: inline-block; font-size: 16px; letter-spacing: 1px;">
-      ${password}
-    </code>
+    <p style="margin: 20px 0 0 0;"><strong>Password:</strong> the password you chose when requesting the export</p>
 
     <p style="margin: 20px 0 0 0; color: #e74c3c; font-size: 14px;">
       ⏰ This link expires in ${expiresIn}
@@ -263,9 +257,7 @@ The Family Helper Team
   <h2 style="color: #2c3e50;">What's Included:</h2>
   <ul>
     <li>All group messages (including hidden messages)</li>
-    <li>Calendar events and responsibilities</li>
-    <li>Financial matters and payments</li>
-    <li>Media attachments (images, videos)</li>
+    <li>Links to media attachments (images, videos)</li>
     <li>Complete audit trail with timestamps</li>
   </ul>
 
@@ -489,6 +481,103 @@ ${appUrl}
   return { subject, text, html };
 }
 
+/**
+ * Finance matter due-date reminder email template
+ * Sent before and after a finance matter's due date to members who still owe part of their share
+ *
+ * @param {Object} data - Template data
+ * @param {string} data.recipientName - Recipient's name
+ * @param {string} data.groupName - Name of the group
+ * @param {string} data.matterTitle - Title of the finance matter
+ * @param {string} data.outstandingAmount - Amount still owed (formatted with currency)
+ * @param {string} data.dueDate - Due date (formatted)
+ * @param {string} data.dueText - When it is due, e.g. 'is due in 3 days' or 'is 7 days overdue'
+ * @param {boolean} data.isOverdue - Whether the due date has passed
+ * @param {string} data.appUrl - URL to the app
+ * @returns {Object} Email content {subject, text, html}
+ */
+function finance_due_reminder(data) {
+  const { recipientName, groupName, matterTitle, outstandingAmount, dueDate, dueText, isOverdue, appUrl } = data;
+
+  const subject = `${isOverdue ? 'Overdue' : 'Reminder'}: "${matterTitle}" ${dueText}`;
+  const accentColor = isOverdue ? '#d32f2f' : '#f57c00';
+
+  const text = `
+Hi ${recipientName},
+
+Your share of "${matterTitle}" in "${groupName}" ${dueText}.
+
+Details:
+- Outstanding: ${outstandingAmount}
+- Due date: ${dueDate}
+
+To record a payment:
+1. Log in to Family Helper at: ${appUrl}
+2. Navigate to the "${groupName}" group
+3. Go to Finance
+
+Already paid? Record the payment in the app so the other members can confirm it.
+
+Best regards,
+The Family Helper Team
+
+---
+Family Helper App
+${appUrl}
+`.trim();
+
+  const html = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+  <div style="background: ${accentColor}; padding: 30px; text-align: center;">
+    <h1 style="color: #ffffff; margin: 0; font-size: 24px;">💰 ${isOverdue ? 'Payment Overdue' : 'Payment Reminder'}</h1>
+  </div>
+
+  <div style="padding: 30px;">
+    <p style="font-size: 16px; color: #333;">Hi ${recipientName},</p>
+
+    <p style="font-size: 16px; color: #333;">
+      Your share of <strong>"${matterTitle}"</strong> in <strong>"${groupName}"</strong> ${dueText}.
+    </p>
+
+    <div style="background: #fff3e0; border-radius: 8px; padding: 20px; margin: 20px 0;">
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 8px 0; color: #666;">Outstanding:</td>
+          <td style="padding: 8px 0; color: ${accentColor}; font-weight: bold; font-size: 18px;">${outstandingAmount}</td>
+        </tr>
+        <tr>
+          <td style="padding: 8px 0; color: #666;">Due date:</td>
+          <td style="padding: 8px 0; color: #333; font-weight: bold;">${dueDate}</td>
+        </tr>
+      </table>
+    </div>
+
+    <p style="font-size: 14px; color: #666;">
+      Already paid? Record the payment in the app so the other members can confirm it.
+    </p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${appUrl}" style="display: inline-block; background: #4caf50; color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+        View Finance Matter
+      </a>
+    </div>
+  </div>
+
+  <div style="background: #f5f5f5; padding: 20px; text-align: center; border-top: 1px solid #eee;">
+    <p style="color: #999; font-size: 12px; margin: 0 0 10px 0;">
+      Questions? Reply to this email.
+    </p>
+    <p style="color: #999; font-size: 12px; margin: 0;">
+      <strong>Family Helper App</strong><br>
+      <a href="${appUrl}" style="color: #4caf50;">${appUrl}</a>
+    </p>
+  </div>
+</div>
+`.trim();
+
+  return { subject, text, html };
+}
+
 /**
  * Secret Santa participant added email template
  * Sent when a participant is added to a Secret Santa event
@@ -979,6 +1068,7 @@ module.exports = {
   log_export,
   group_invitation,
   finance_matter_added,
+  finance_due_reminder,
   secret_santa_added,
   secret_santa_match,
   billing_reminder,
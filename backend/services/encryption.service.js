@@ -4,6 +4,9 @@
  * Provides AES-256-GCM encryption/decryption for sensitive data (messages).
  * Uses a single master key stored in environment variables.
  *
+ * Also creates the keyed-HMAC blind tokens that make encrypted messages
+ * searchable without storing their words (see utils/messageSearch.js).
+ *
  * @module services/encryption
  */
 
@@ -14,6 +17,7 @@ const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16; // 128 bits
 const AUTH_TAG_LENGTH = 16; // 128 bits
 const KEY_LENGTH = 32; // 256 bits
+const SEARCH_TOKEN_LENGTH = 32; // hex characters (128 bits)
 
 /**
  * Get encryption key from environment variable
@@ -131,6 +135,47 @@ function isEncrypted(text) {
   return parts.length === 3 && parts.every(part => /^[A-Za-z0-9+/=]+$/.test(part));
 }
 
+/**
+ * Get the key for blind search tokens
+ *
+ * MESSAGE_SEARCH_KEY if set (64 hex characters), otherwise derived from
+ * MESSAGE_ENCRYPTION_KEY so the search index never uses the encryption key itself.
+ * Changing it invalidates the search index (clear messages.search_indexed_at to rebuild).
+ *
+ * @returns {Buffer} 32-byte HMAC key
+ * @throws {Error} If the key is invalid or MESSAGE_ENCRYPTION_KEY is not set
+ */
+function getSearchKey() {
+  const key = process.env.MESSAGE_SEARCH_KEY;
+
+  if (key) {
+    if (key.length !== 64) {
+      throw new Error('MESSAGE_SEARCH_KEY must be 64 hex characters (32 bytes)');
+    }
+    return Buffer.from(key, 'hex');
+  }
+
+  return Buffer.from(crypto.hkdfSync('sha256', getEncryptionKey(), Buffer.alloc(0), 'message-search-index', KEY_LENGTH));
+}
+
+/**
+ * Create a blind search token for a term (keyed HMAC-SHA256, truncated to 128 bits)
+ *
+ * The scope (e.g. the group ID) is mixed in so the same word gives different
+ * tokens in different groups.
+ *
+ * @param {string} scope - Token scope, e.g. group ID
+ * @param {string} term - Normalized search term
+ * @returns {string} 32-character hex token
+ */
+function blindIndex(scope, term) {
+  return crypto
+    .createHmac('sha256', getSearchKey())
+    .update(`${scope}:${term}`, 'utf8')
+    .digest('hex')
+    .slice(0, SEARCH_TOKEN_LENGTH);
+}
+
 /**
  * Generate a new random encryption key (for initial setup)
  * Run this once and store the output in MESSAGE_ENCRYPTION_KEY
@@ -145,5 +190,6 @@ module.exports = {
   encrypt,
   decrypt,
   isEncrypted,
+  blindIndex,
   generateKey,
 };
@@ -0,0 +1,89 @@
+/**
+ * Evidence Signing Service
+ *
+ * Signs evidence bundle manifests with an Ed25519 key so recipients (mediators,
+ * courts) can confirm a bundle came from Family Helper and wasn't altered after
+ * export. The public key is published at GET /logs/evidence/public-key.
+ *
+ * @module services/evidenceSigning
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Get the signing key from environment variables
+ * @returns {crypto.KeyObject} Ed25519 private key
+ * @throws {Error} If EVIDENCE_SIGNING_KEY not set or not an Ed25519 key
+ */
+function getSigningKey() {
+  const pem = process.env.EVIDENCE_SIGNING_KEY;
+
+  if (!pem) {
+    throw new Error('EVIDENCE_SIGNING_KEY environment variable not set');
+  }
+
+  // Allow the PEM to be stored on one line with escaped newlines
+  const key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error('EVIDENCE_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  return key;
+}
+
+/**
+ * Get the public key recipients use to verify signatures
+ * @returns {string} PEM-encoded public key
+ */
+function getPublicKeyPem() {
+  return crypto.createPublicKey(getSigningKey()).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * Get a short fingerprint of the public key (SHA-256 of the DER-encoded key)
+ * @returns {string} Hex fingerprint
+ */
+function getPublicKeyFingerprint() {
+  const der = crypto.createPublicKey(getSigningKey()).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * Sign a manifest
+ * @param {Buffer|string} manifest - Exact manifest bytes
+ * @returns {string} Base64 Ed25519 signature
+ */
+function signManifest(manifest) {
+  return crypto.sign(null, Buffer.from(manifest), getSigningKey()).toString('base64');
+}
+
+/**
+ * Verify a manifest signature
+ * @param {Buffer|string} manifest - Exact manifest bytes
+ * @param {string} signature - Base64 signature
+ * @returns {boolean} True if the signature matches
+ */
+function verifyManifest(manifest, signature) {
+  const publicKey = crypto.createPublicKey(getSigningKey());
+  return crypto.verify(null, Buffer.from(manifest), publicKey, Buffer.from(signature, 'base64'));
+}
+
+/**
+ * Generate a new signing key (for initial setup)
+ * Run this once and store the output in EVIDENCE_SIGNING_KEY
+ *
+ * @returns {string} PEM-encoded Ed25519 private key
+ */
+function generateKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+module.exports = {
+  getPublicKeyPem,
+  getPublicKeyFingerprint,
+  signManifest,
+  verifyManifest,
+  generateKey,
+};
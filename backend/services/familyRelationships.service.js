@@ -0,0 +1,52 @@
+/**
+ * Family Relationships Service
+ *
+ * Looks up children's relatives from the group's recorded relationships.
+ * Used to default the attendees of children's calendar events and the
+ * members of children's finance matters.
+ *
+ * @module services/familyRelationships
+ */
+
+const { prisma } = require('../config/database');
+const { getRelatedMemberIds } = require('../utils/familyGraph');
+
+/**
+ * Relationship types whose members attend a child's events by default
+ */
+const EVENT_RELATIVE_TYPES = ['parent', 'step_parent', 'caregiver'];
+
+/**
+ * Relationship types whose members share a child's costs by default
+ */
+const FINANCE_RELATIVE_TYPES = ['parent'];
+
+/**
+ * Get the members with one of the given relationships to any of the children
+ * @param {string} groupId - Group ID
+ * @param {string[]} childIds - Children's group member IDs
+ * @param {string[]} relationshipTypes - e.g. EVENT_RELATIVE_TYPES
+ * @returns {Promise<string[]>} Group member IDs, oldest relationship first
+ */
+async function getChildRelativeIds(groupId, childIds, relationshipTypes) {
+  if (!childIds || childIds.length === 0) {
+    return [];
+  }
+
+  const relationships = await prisma.relationship.findMany({
+    where: {
+      groupId: groupId,
+      memberId2: { in: childIds },
+      relationshipType: { in: relationshipTypes },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return getRelatedMemberIds(relationships, childIds, relationshipTypes);
+}
+
+module.exports = {
+  EVENT_RELATIVE_TYPES,
+  FINANCE_RELATIVE_TYPES,
+  getChildRelativeIds,
+};
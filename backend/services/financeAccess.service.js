@@ -0,0 +1,63 @@
+/**
+ * Finance Access Service
+ *
+ * Checks whether a user can see a group's finance section, based on their
+ * role and the group's financeVisibleTo* settings. Used by the finance
+ * ledger and finance statements.
+ *
+ * @module services/financeAccess
+ */
+
+const { prisma } = require('../config/database');
+
+/**
+ * Look up the user's membership and check they can see the finance section
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { error: { status, body } } or { membership, seesAllMatters }
+ */
+async function getFinanceMembership(groupId, userId) {
+  const membership = await prisma.groupMember.findFirst({
+    where: {
+      groupId: groupId,
+      userId: userId,
+    },
+  });
+
+  if (!membership) {
+    return { error: { status: 403, body: { success: false, message: 'You are not a member of this group' } } };
+  }
+
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: {
+      financeVisibleToAdmins: true,
+      financeVisibleToParents: true,
+      financeVisibleToAdults: true,
+      financeVisibleToCaregivers: true,
+      financeVisibleToChildren: true,
+    },
+  });
+
+  const visibleByRole = {
+    admin: groupSettings?.financeVisibleToAdmins,
+    parent: groupSettings?.financeVisibleToParents,
+    adult: groupSettings?.financeVisibleToAdults,
+    caregiver: groupSettings?.financeVisibleToCaregivers,
+    child: groupSettings?.financeVisibleToChildren,
+  };
+
+  if (!visibleByRole[membership.role]) {
+    return { error: { status: 403, body: { success: false, message: 'You do not have permission to view finance matters' } } };
+  }
+
+  return {
+    membership,
+    // Admins see every matter; everyone else only the matters they are part of
+    seesAllMatters: membership.role === 'admin',
+  };
+}
+
+module.exports = {
+  getFinanceMembership,
+};
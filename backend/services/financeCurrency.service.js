@@ -0,0 +1,59 @@
+/**
+ * Finance Currency Service
+ *
+ * Loads a group's base currency (GroupSettings.defaultCurrency) and its
+ * exchange rate table to convert finance amounts for the ledger and
+ * statements.
+ *
+ * @module services/financeCurrency
+ */
+
+const { prisma } = require('../config/database');
+const { createCurrencyConverter } = require('../utils/exchangeRates');
+
+/**
+ * Currency used when a group hasn't chosen one (matches the column default)
+ */
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+/**
+ * Get a group's base currency
+ * @param {string} groupId - Group ID
+ * @returns {Promise<string>} 3-letter currency code
+ */
+async function getBaseCurrency(groupId) {
+  const groupSettings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: { defaultCurrency: true },
+  });
+
+  return groupSettings?.defaultCurrency || DEFAULT_BASE_CURRENCY;
+}
+
+/**
+ * Create a converter into the group's base currency from its exchange rates
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Converter (see utils/exchangeRates createCurrencyConverter)
+ */
+async function getGroupCurrencyConverter(groupId) {
+  const [baseCurrency, rates] = await Promise.all([
+    getBaseCurrency(groupId),
+    prisma.financeExchangeRate.findMany({
+      where: { groupId: groupId },
+      select: {
+        fromCurrency: true,
+        toCurrency: true,
+        rate: true,
+        effectiveDate: true,
+      },
+    }),
+  ]);
+
+  return createCurrencyConverter(rates, baseCurrency);
+}
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  getBaseCurrency,
+  getGroupCurrencyConverter,
+};
@@ -0,0 +1,233 @@
+/**
+ * Finance Notifications Service
+ *
+ * Email and push notifications for finance matters. Used when a member
+ * creates a finance matter, when the recurring finance matters job creates
+ * one from a template, and by the finance due-date reminders job.
+ *
+ * @module services/financeNotifications
+ */
+
+const { prisma } = require('../config/database');
+const { emailService } = require('./email');
+const emailTemplates = require('./email/templates');
+const pushNotificationService = require('./pushNotification.service');
+const { describeReminderDay } = require('../utils/financeReminders');
+
+/**
+ * Tell the members of a new finance matter about it (excluding its creator)
+ *
+ * Emails go to every member with an email address, including placeholder
+ * members who haven't logged in yet. Failures are logged, never thrown.
+ *
+ * @param {Object} params - Notification parameters
+ * @param {string} params.groupId - Group ID
+ * @param {string} params.groupName - Group name
+ * @param {string} params.financeMatterId - Finance matter ID
+ * @param {string} params.name - Finance matter name
+ * @param {number|string} params.totalAmount - Total amount
+ * @param {string} params.currency - Currency code
+ * @param {Array<string>} params.memberIds - Group member IDs on the finance matter
+ * @param {Object} params.creator - Creating GroupMember ({ groupMemberId, displayName })
+ * @returns {Promise<void>}
+ */
+async function notifyFinanceMatterAdded({ groupId, groupName, financeMatterId, name, totalAmount, currency, memberIds, creator }) {
+  const otherMemberIds = memberIds.filter(id => id !== creator.groupMemberId);
+  const formattedAmount = `${currency.toUpperCase()} ${parseFloat(totalAmount).toFixed(2)}`;
+
+  try {
+    const appUrl = process.env.APP_URL || 'https://familyhelperapp.com';
+
+    if (otherMemberIds.length === 0) {
+      console.log('[Finance] No other members to notify (only creator is a member)');
+    } else {
+      const membersToNotify = await prisma.groupMember.findMany({
+        where: {
+          groupMemberId: { in: otherMemberIds },
+          email: { not: null }, // Must have an email address
+        },
+        include: {
+          user: {
+            select: {
+              email: true,
+              displayName: true,
+            },
+          },
+        },
+      });
+
+      if (membersToNotify.length === 0) {
+        console.log('[Finance] No members with email addresses to notify');
+      } else {
+        console.log(`[Finance] Sending notifications to ${membersToNotify.length} member(s)`);
+
+        for (const member of membersToNotify) {
+          // Use user email if registered, otherwise use the GroupMember email
+          const recipientEmail = member.user?.email || member.email;
+          const recipientName = member.user?.displayName || member.displayName;
+
+          if (recipientEmail) {
+            try {
+              const emailContent = emailTemplates.finance_matter_added({
+                recipientName: recipientName,
+                groupName: groupName,
+                matterTitle: name,
+                matterType: 'Shared Expense',
+                amount: formattedAmount,
+                createdBy: creator.displayName,
+                appUrl: appUrl,
+              });
+              await emailService.sendEmail({
+                to: recipientEmail,
+                subject: emailContent.subject,
+                text: emailContent.text,
+                html: emailContent.html,
+              });
+              console.log(`[Finance] Notification email sent to ${recipientEmail}`);
+            } catch (emailError) {
+              // Don't fail the caller if email fails
+              console.error(`[Finance] Failed to send email to ${recipientEmail}:`, emailError.message);
+            }
+          }
+        }
+      }
+    }
+  } catch (emailError) {
+    console.error('[Finance] Error sending notification emails:', emailError.message);
+  }
+
+  // Send push notifications to members (excluding creator) - fire and forget
+  if (otherMemberIds.length > 0) {
+    pushNotificationService.sendToGroupMembersWithPreferences(
+      otherMemberIds,
+      'finance',
+      `New Finance: ${name}`,
+      `${creator.displayName} added a ${formattedAmount} expense`,
+      {
+        type: 'new_finance_matter',
+        groupId: groupId,
+        financeMatterId: financeMatterId,
+      }
+    ).catch(err => console.error('[Finance] Failed to send push notifications:', err));
+  }
+}
+
+/**
+ * Remind members that their share of a finance matter is due soon or overdue
+ *
+ * Push notifications go to members who haven't muted the group and have
+ * finance notifications (all or mentions) turned on, since the reminder is
+ * about their own share. Emails go to every member with an email address,
+ * like notifyFinanceMatterAdded. Failures are logged, never thrown.
+ *
+ * @param {Object} params - Reminder parameters
+ * @param {string} params.groupId - Group ID
+ * @param {string} params.groupName - Group name
+ * @param {Object} params.financeMatter - FinanceMatter ({ financeMatterId, name, currency, dueDate })
+ * @param {number} params.reminderDay - Days relative to the due date
+ * @param {Array<Object>} params.recipients - [{ groupMember (with user), outstandingAmount }]
+ * @returns {Promise<number>} Number of members reminded by push or email
+ */
+async function notifyFinanceMatterDue({ groupId, groupName, financeMatter, reminderDay, recipients }) {
+  const appUrl = process.env.APP_URL || 'https://familyhelperapp.com';
+  const dueText = describeReminderDay(reminderDay);
+  const dueDate = new Date(financeMatter.dueDate).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+  let reminded = 0;
+
+  for (const { groupMember, outstandingAmount } of recipients) {
+    const formattedAmount = `${financeMatter.currency.toUpperCase()} ${parseFloat(outstandingAmount).toFixed(2)}`;
+    const recipientEmail = groupMember.user?.email || groupMember.email;
+    const wantsPush = groupMember.userId &&
+      !groupMember.isMuted &&
+      (groupMember.notifyAllFinance || groupMember.notifyMentionFinance);
+
+    if (wantsPush) {
+      try {
+        await pushNotificationService.sendToUsers(
+          [groupMember.userId],
+          `${reminderDay > 0 ? 'Overdue' : 'Payment Due'}: ${financeMatter.name}`,
+          `Your ${formattedAmount} share ${dueText}`,
+          {
+            type: 'finance_due_reminder',
+            groupId: groupId,
+            financeMatterId: financeMatter.financeMatterId,
+          }
+        );
+      } catch (pushError) {
+        console.error(`[Finance] Failed to send due reminder push to ${groupMember.groupMemberId}:`, pushError.message);
+      }
+    }
+
+    if (recipientEmail) {
+      try {
+        const emailContent = emailTemplates.finance_due_reminder({
+          recipientName: groupMember.user?.displayName || groupMember.displayName,
+          groupName: groupName,
+          matterTitle: financeMatter.name,
+          outstandingAmount: formattedAmount,
+          dueDate: dueDate,
+          dueText: dueText,
+          isOverdue: reminderDay > 0,
+          appUrl: appUrl,
+        });
+        await emailService.sendEmail({
+          to: recipientEmail,
+          subject: emailContent.subject,
+          text: emailContent.text,
+          html: emailContent.html,
+        });
+      } catch (emailError) {
+        console.error(`[Finance] Failed to send due reminder email to ${recipientEmail}:`, emailError.message);
+      }
+    }
+
+    if (wantsPush || recipientEmail) {
+      reminded++;
+    }
+  }
+
+  return reminded;
+}
+
+/**
+ * Tell admins and the creator that a finance matter is well overdue
+ *
+ * Fire and forget; members who still owe money are reminded separately.
+ *
+ * @param {Object} params - Notification parameters
+ * @param {string} params.groupId - Group ID
+ * @param {Object} params.financeMatter - FinanceMatter ({ financeMatterId, name })
+ * @param {number} params.overdueDays - Whole days overdue
+ * @param {Array<string>} params.owingNames - Names of members who still owe part of their share
+ * @param {Array<string>} params.memberIds - Group member IDs to notify
+ * @returns {void}
+ */
+function notifyFinanceMatterOverdue({ groupId, financeMatter, overdueDays, owingNames, memberIds }) {
+  if (memberIds.length === 0) {
+    return;
+  }
+
+  pushNotificationService.sendToGroupMembersWithPreferences(
+    memberIds,
+    'finance',
+    `Overdue: ${financeMatter.name}`,
+    `${overdueDays} days overdue - still owed by ${owingNames.join(', ')}`,
+    {
+      type: 'finance_overdue',
+      groupId: groupId,
+      financeMatterId: financeMatter.financeMatterId,
+    }
+  ).catch(err => console.error('[Finance] Failed to send overdue push notifications:', err));
+}
+
+module.exports = {
+  notifyFinanceMatterAdded,
+  notifyFinanceMatterDue,
+  notifyFinanceMatterOverdue,
+};
@@ -0,0 +1,122 @@
+/**
+ * Finance Payments Service
+ *
+ * Applies confirmed FinancePayments to member balances and auto-settles
+ * finance matters once every member has paid their share. Used when a single
+ * payment is confirmed and when a settlement spread across several matters
+ * is confirmed.
+ *
+ * @module services/financePayments
+ */
+
+const { calculateMemberBalances, isFullyPaid } = require('../utils/financeBalances');
+
+/**
+ * Mark a payment confirmed and move the paid amounts
+ *
+ * The payer's paidAmount goes up; a recipient member's goes down (they have
+ * been paid back what they paid over their share).
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payment - FinancePayment ({ paymentId, financeMatterId, fromMemberId, toMemberId, amount })
+ * @returns {Promise<void>}
+ */
+async function applyConfirmedPayment(tx, payment) {
+  const paymentAmount = parseFloat(payment.amount);
+
+  await tx.financePayment.update({
+    where: { paymentId: payment.paymentId },
+    data: {
+      isConfirmed: true,
+      confirmedAt: new Date(),
+    },
+  });
+
+  await tx.financeMatterMember.update({
+    where: {
+      financeMatterId_groupMemberId: {
+        financeMatterId: payment.financeMatterId,
+        groupMemberId: payment.fromMemberId,
+      },
+    },
+    data: {
+      paidAmount: { increment: paymentAmount },
+    },
+  });
+
+  if (payment.toMemberId) {
+    await tx.financeMatterMember.update({
+      where: {
+        financeMatterId_groupMemberId: {
+          financeMatterId: payment.financeMatterId,
+          groupMemberId: payment.toMemberId,
+        },
+      },
+      data: {
+        paidAmount: { decrement: paymentAmount },
+      },
+    });
+  }
+}
+
+/**
+ * Settle a finance matter if every member has paid their share and no
+ * payments are awaiting confirmation
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} financeMatter - FinanceMatter ({ financeMatterId, groupId, name, isSettled })
+ * @param {Object} groupMembership - GroupMember whose action settled it (for the audit log)
+ * @returns {Promise<boolean>} True if the matter was settled
+ */
+async function autoSettleIfPaid(tx, financeMatter, groupMembership) {
+  if (financeMatter.isSettled) {
+    return false;
+  }
+
+  const members = await tx.financeMatterMember.findMany({
+    where: { financeMatterId: financeMatter.financeMatterId },
+  });
+
+  if (!isFullyPaid(calculateMemberBalances(members))) {
+    return false;
+  }
+
+  const pendingCount = await tx.financePayment.count({
+    where: {
+      financeMatterId: financeMatter.financeMatterId,
+      isConfirmed: false,
+      isRejected: false,
+    },
+  });
+
+  if (pendingCount > 0) {
+    return false;
+  }
+
+  await tx.financeMatter.update({
+    where: { financeMatterId: financeMatter.financeMatterId },
+    data: {
+      isSettled: true,
+      settledAt: new Date(),
+    },
+  });
+
+  await tx.auditLog.create({
+    data: {
+      groupId: financeMatter.groupId,
+      action: 'auto_settle',
+      performedBy: groupMembership.groupMemberId,
+      performedByName: groupMembership.displayName,
+      performedByEmail: groupMembership.email || 'N/A',
+      actionLocation: 'finance',
+      messageContent: `Finance matter "${financeMatter.name}" auto-settled after all payments were confirmed.`,
+    },
+  });
+
+  return true;
+}
+
+module.exports = {
+  applyConfirmedPayment,
+  autoSettleIfPaid,
+};
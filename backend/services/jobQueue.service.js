@@ -0,0 +1,253 @@
+/**
+ * Job Queue Service
+ *
+ * Durable background job queue backed by the BackgroundJob table, so it works
+ * locally without AWS and jobs survive restarts. Each server instance runs a
+ * worker that polls for pending jobs and claims them with a conditional update,
+ * so a job is only ever processed by one instance.
+ *
+ * Failed jobs are retried with exponential backoff up to maxAttempts; jobs
+ * left 'processing' by a crashed worker are released after STALE_LOCK_MS.
+ *
+ * Usage:
+ *   registerJobHandler('log_export', { run: async (job) => {...}, onFailed: async (job, error) => {...} });
+ *   await enqueueJob('log_export', { exportId });
+ */
+
+const os = require('os');
+const { prisma } = require('../config/database');
+
+/**
+ * How often the worker checks for pending jobs
+ */
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Jobs locked longer than this are assumed abandoned and released
+ */
+const STALE_LOCK_MS = 30 * 60 * 1000;
+
+/**
+ * Delay before the first retry (doubles with each attempt)
+ */
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+/**
+ * Identifies this worker in BackgroundJob.lockedBy
+ */
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Registered handlers by job type
+ * @type {Map<string, { run: Function, onFailed?: Function }>}
+ */
+const handlers = new Map();
+
+let pollTimer = null;
+let isProcessing = false;
+
+/**
+ * Register the handler for a job type
+ * @param {string} jobType - Job type
+ * @param {Object} handler - Handler
+ * @param {Function} handler.run - async (job) => void; throw to fail the attempt
+ * @param {Function} [handler.onFailed] - async (job, error) => void; called once retries are exhausted
+ */
+function registerJobHandler(jobType, handler) {
+  handlers.set(jobType, handler);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} jobType - Job type
+ * @param {Object} payload - Job data (JSON)
+ * @param {Object} [options] - Options
+ * @param {Date} [options.runAt] - Earliest time to run (default now)
+ * @param {number} [options.maxAttempts] - Attempts before the job fails (default 3)
+ * @param {Object} [options.tx] - Prisma transaction client to enqueue within
+ * @returns {Promise<Object>} BackgroundJob record
+ */
+async function enqueueJob(jobType, payload, { runAt, maxAttempts, tx } = {}) {
+  const job = await (tx || prisma).backgroundJob.create({
+    data: {
+      jobType: jobType,
+      payload: payload,
+      ...(runAt && { runAt: runAt }),
+      ...(maxAttempts && { maxAttempts: maxAttempts }),
+    },
+  });
+
+  // Pick it up straight away rather than on the next poll
+  if (pollTimer) {
+    setImmediate(processPendingJobs);
+  }
+
+  return job;
+}
+
+/**
+ * Claim the next due job this worker has a handler for
+ * @returns {Promise<Object|null>} Claimed job, or null if there is none
+ */
+async function claimNextJob() {
+  const jobTypes = [...handlers.keys()];
+  if (jobTypes.length === 0) return null;
+
+  for (;;) {
+    const candidate = await prisma.backgroundJob.findFirst({
+      where: {
+        status: 'pending',
+        jobType: { in: jobTypes },
+        runAt: { lte: new Date() },
+      },
+      orderBy: { runAt: 'asc' },
+    });
+
+    if (!candidate) return null;
+
+    // Only succeeds if no other worker claimed it first
+    const claimed = await prisma.backgroundJob.updateMany({
+      where: {
+        jobId: candidate.jobId,
+        status: 'pending',
+      },
+      data: {
+        status: 'processing',
+        lockedAt: new Date(),
+        lockedBy: WORKER_ID,
+        attempts: { increment: 1 },
+      },
+    });
+
+    if (claimed.count === 1) {
+      return prisma.backgroundJob.findUnique({
+        where: { jobId: candidate.jobId },
+      });
+    }
+  }
+}
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {Object} job - BackgroundJob record
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.jobType);
+
+  try {
+    await handler.run(job);
+
+    await prisma.backgroundJob.update({
+      where: { jobId: job.jobId },
+      data: {
+        status: 'completed',
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+      },
+    });
+
+    console.log(`[JobQueue] ${job.jobType} job ${job.jobId} completed`);
+  } catch (error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    console.error(`[JobQueue] ${job.jobType} job ${job.jobId} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    await prisma.backgroundJob.update({
+      where: { jobId: job.jobId },
+      data: {
+        status: willRetry ? 'pending' : 'failed',
+        runAt: willRetry
+          ? new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1))
+          : job.runAt,
+        completedAt: willRetry ? null : new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: error.message,
+      },
+    });
+
+    if (!willRetry && handler.onFailed) {
+      try {
+        await handler.onFailed(job, error);
+      } catch (onFailedError) {
+        console.error(`[JobQueue] onFailed for ${job.jobType} job ${job.jobId} failed:`, onFailedError.message);
+      }
+    }
+  }
+}
+
+/**
+ * Release jobs whose worker died mid-run so they can be retried
+ */
+async function releaseStaleJobs() {
+  const released = await prisma.backgroundJob.updateMany({
+    where: {
+      status: 'processing',
+      lockedAt: { lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    data: {
+      status: 'pending',
+      lockedAt: null,
+      lockedBy: null,
+    },
+  });
+
+  if (released.count > 0) {
+    console.log(`[JobQueue] Released ${released.count} stale job(s)`);
+  }
+}
+
+/**
+ * Process due jobs one at a time until none are left
+ */
+async function processPendingJobs() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    await releaseStaleJobs();
+
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = pollTimer ? await claimNextJob() : null;
+    }
+  } catch (error) {
+    console.error('[JobQueue] Error processing jobs:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Start polling for jobs (call after registering handlers)
+ * @param {Object} [options] - Options
+ * @param {number} [options.pollIntervalMs] - Poll interval (default 5s)
+ */
+function startJobWorker({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(processPendingJobs, pollIntervalMs);
+  setImmediate(processPendingJobs);
+
+  console.log(`[JobQueue] Worker ${WORKER_ID} started for: ${[...handlers.keys()].join(', ')}`);
+}
+
+/**
+ * Stop polling (the job in progress, if any, finishes)
+ */
+function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  processPendingJobs,
+};
@@ -0,0 +1,183 @@
+/**
+ * Message Search Service
+ *
+ * Searches encrypted messages through their blind token index
+ * (Message.searchTokens, see utils/messageSearch.js). Tokens are scoped to the
+ * group, so a token can't be matched against other groups' messages.
+ *
+ * New messages are indexed when they are sent; older ones by the backfill job
+ * (jobs/messageSearchIndex.js). Messages not yet indexed aren't found.
+ *
+ * @module services/messageSearch
+ */
+
+const { prisma } = require('../config/database');
+const encryptionService = require('./encryption.service');
+const { getIndexTerms, getQueryTerms, buildSnippet } = require('../utils/messageSearch');
+
+/**
+ * Sender fields returned with hits and their context
+ */
+const SENDER_SELECT = {
+  groupMemberId: true,
+  displayName: true,
+  iconLetters: true,
+  iconColor: true,
+  user: {
+    select: {
+      displayName: true,
+      memberIcon: true,
+      iconColor: true,
+    },
+  },
+};
+
+/**
+ * Get the search index fields for a message
+ * @param {string} groupId - Group the message belongs to
+ * @param {string} plaintext - Message content
+ * @returns {Object} { searchTokens, searchIndexedAt } to store on the Message
+ */
+function getSearchIndexFields(groupId, plaintext) {
+  return {
+    searchTokens: getIndexTerms(plaintext).map(term => encryptionService.blindIndex(groupId, term)),
+    searchIndexedAt: new Date(),
+  };
+}
+
+/**
+ * Decrypt message content, falling back to the stored value (old unencrypted messages)
+ * @param {Object} message - Message with content
+ * @returns {string} Plaintext
+ */
+function decryptContent(message) {
+  try {
+    return encryptionService.decrypt(message.content);
+  } catch (error) {
+    console.warn(`Failed to decrypt message ${message.messageId}:`, error.message);
+    return message.content;
+  }
+}
+
+/**
+ * Shape a message for search results
+ * @param {Object} message - Message with sender
+ * @returns {Object} { messageId, messageGroupId, createdAt, isHidden, sender, content }
+ */
+function formatMessage(message) {
+  return {
+    messageId: message.messageId,
+    messageGroupId: message.messageGroupId,
+    createdAt: message.createdAt,
+    isHidden: message.isHidden,
+    sender: {
+      groupMemberId: message.sender.groupMemberId,
+      displayName: message.sender.user?.displayName || message.sender.displayName,
+      iconLetters: message.sender.user?.memberIcon || message.sender.iconLetters,
+      iconColor: message.sender.user?.iconColor || message.sender.iconColor,
+    },
+    content: decryptContent(message),
+  };
+}
+
+/**
+ * Get the messages either side of a hit in its message group
+ * @param {Object} message - Hit
+ * @param {boolean} includeHidden - Include hidden messages
+ * @param {number} contextSize - Messages to return either side
+ * @returns {Promise<Object>} { before, after } - oldest first
+ */
+async function getContext(message, includeHidden, contextSize) {
+  if (contextSize === 0) {
+    return { before: [], after: [] };
+  }
+
+  const where = {
+    messageGroupId: message.messageGroupId,
+    ...(!includeHidden && { isHidden: false }),
+  };
+
+  const [before, after] = await Promise.all([
+    prisma.message.findMany({
+      where: { ...where, createdAt: { lt: message.createdAt } },
+      orderBy: { createdAt: 'desc' },
+      take: contextSize,
+      include: { sender: { select: SENDER_SELECT } },
+    }),
+    prisma.message.findMany({
+      where: { ...where, createdAt: { gt: message.createdAt } },
+      orderBy: { createdAt: 'asc' },
+      take: contextSize,
+      include: { sender: { select: SENDER_SELECT } },
+    }),
+  ]);
+
+  return {
+    before: before.reverse().map(formatMessage),
+    after: after.map(formatMessage),
+  };
+}
+
+/**
+ * Search messages, newest first
+ *
+ * @param {Object} options - Search options
+ * @param {string} options.groupId - Group ID (token scope)
+ * @param {string[]} options.messageGroupIds - Message groups to search
+ * @param {boolean} options.includeHidden - Include hidden messages (admins)
+ * @param {string} options.query - Search query; messages must contain every word
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Hits to skip
+ * @param {number} options.contextSize - Messages either side of each hit to include
+ * @returns {Promise<Object>} { hits, total, hasMore, indexComplete } - each hit is a
+ *   message with messageGroupName, snippet ({ text, highlights }) and context ({ before, after })
+ */
+async function searchMessages({ groupId, messageGroupIds, includeHidden, query, limit, offset, contextSize }) {
+  const terms = getQueryTerms(query);
+  const baseWhere = {
+    messageGroupId: { in: messageGroupIds },
+    ...(!includeHidden && { isHidden: false }),
+  };
+  const where = {
+    ...baseWhere,
+    searchTokens: { hasEvery: terms.map(term => encryptionService.blindIndex(groupId, term)) },
+  };
+
+  const [total, messages, unindexedCount] = await Promise.all([
+    prisma.message.count({ where }),
+    prisma.message.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: offset,
+      take: limit,
+      include: {
+        sender: { select: SENDER_SELECT },
+        messageGroup: { select: { name: true } },
+      },
+    }),
+    prisma.message.count({ where: { ...baseWhere, searchIndexedAt: null } }),
+  ]);
+
+  const hits = [];
+  for (const message of messages) {
+    const hit = formatMessage(message);
+    hits.push({
+      ...hit,
+      messageGroupName: message.messageGroup.name,
+      snippet: buildSnippet(hit.content, terms),
+      context: await getContext(message, includeHidden, contextSize),
+    });
+  }
+
+  return {
+    hits,
+    total,
+    hasMore: offset + messages.length < total,
+    indexComplete: unindexedCount === 0,
+  };
+}
+
+module.exports = {
+  getSearchIndexFields,
+  searchMessages,
+};
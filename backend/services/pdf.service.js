@@ -1,7 +1,8 @@
 /**
  * PDF Generation Service
  *
- * Generates PDF files for audit log exports.
+ * Generates PDF files for audit log exports, custody time-share reports and
+ * finance statements.
  * Uses jsPDF and jspdf-autotable for table formatting.
  *
  * @module services/pdf
@@ -21,10 +22,11 @@ const { autoTable } = require('jspdf-autotable');
  * @param {string[]} [options.filters.actionTypes] - Array of action types to filter
  * @param {string[]} [options.filters.userIds] - Array of user IDs to filter
  * @param {Object[]} options.logs - Array of audit log entries
+ * @param {Object|null} [options.chainHead] - Latest entry in the group's audit log hash chain ({ chainSeq, hash, performedAt })
  * @param {Date} options.createdAt - Export creation date
  * @returns {Buffer} PDF file as buffer
  */
-function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
+function generateAuditLogPDF({ groupName, filters, logs, chainHead = null, createdAt }) {
   // Create new PDF document
   const doc = new jsPDF({
     orientation: 'landscape',
@@ -98,7 +100,22 @@ function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
   // Add logs count
   doc.setFont(undefined, 'bold');
   doc.text(`Total Records: ${logs.length}`, 14, yPosition);
-  yPosition += 8;
+  yPosition += 6;
+
+  // Add hash chain head (lets the group's log be checked against this export later)
+  if (chainHead) {
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(8);
+    doc.text(
+      `Audit chain head: entry #${chainHead.chainSeq} (${new Date(chainHead.performedAt).toISOString()}), SHA-256 ${chainHead.hash}`,
+      14,
+      yPosition
+    );
+    doc.setFontSize(10);
+    yPosition += 6;
+  }
+
+  yPosition += 2;
 
   // Prepare table data
   const tableData = logs.map((log) => [
@@ -164,6 +181,315 @@ function generateAuditLogPDF({ groupName, filters, logs, createdAt }) {
   return Buffer.from(doc.output('arraybuffer'));
 }
 
+/**
+ * Generate a PDF for a custody time-share report
+ *
+ * @param {Object} options - PDF generation options
+ * @param {string} options.groupName - Name of the group
+ * @param {Date} options.dateFrom - Report range start
+ * @param {Date} options.dateTo - Report range end (exclusive)
+ * @param {string} options.timeZone - Time zone used for overnight counts
+ * @param {Object[]} options.children - Per-child results from utils/timeShare.computeTimeShare
+ * @param {Date} options.createdAt - Report creation date
+ * @returns {Buffer} PDF file as buffer
+ */
+function generateTimeShareReportPDF({ groupName, dateFrom, dateTo, timeZone, children, createdAt }) {
+  const doc = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4',
+  });
+
+  const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: timeZone,
+  });
+
+  // Add title
+  doc.setFontSize(20);
+  doc.text('Custody Time-Share Report', 14, 22);
+
+  doc.setFontSize(12);
+  doc.text(`Group: ${groupName}`, 14, 32);
+  // Range end is exclusive, so show the last included day
+  doc.text(`Period: ${formatDate(dateFrom)} - ${formatDate(new Date(new Date(dateTo).getTime() - 1))}`, 14, 38);
+  doc.text(`Generated: ${new Date(createdAt).toLocaleString('en-US', { timeZone: timeZone, timeZoneName: 'short' })}`, 14, 44);
+
+  doc.setFontSize(9);
+  doc.text(
+    `Nights are counted for whoever is responsible at midnight (${timeZone}). Where events overlap, the most recently created event applies.`,
+    14,
+    52,
+    { maxWidth: 182 }
+  );
+
+  let yPosition = 62;
+
+  children.forEach((childReport) => {
+    // Start a new page if the heading would sit at the bottom of this one
+    if (yPosition > doc.internal.pageSize.height - 50) {
+      doc.addPage();
+      yPosition = 20;
+    }
+
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text(childReport.child.displayName, 14, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    doc.text(`${childReport.totalNights} nights, ${childReport.totalHours} hours`, 14, yPosition + 5);
+
+    const tableData = childReport.responsible.map(entry => [
+      entry.displayName,
+      entry.type === 'other' ? 'Other' : 'Member',
+      String(entry.nights),
+      `${entry.nightsPercentage}%`,
+      String(entry.hours),
+      `${entry.hoursPercentage}%`,
+    ]);
+
+    if (childReport.unassigned.hours > 0) {
+      tableData.push([
+        'Unassigned',
+        '-',
+        String(childReport.unassigned.nights),
+        `${childReport.unassigned.nightsPercentage}%`,
+        String(childReport.unassigned.hours),
+        `${childReport.unassigned.hoursPercentage}%`,
+      ]);
+    }
+
+    autoTable(doc, {
+      startY: yPosition + 8,
+      head: [['Responsible', 'Type', 'Nights', 'Nights %', 'Hours', 'Hours %']],
+      body: tableData,
+      styles: {
+        fontSize: 9,
+        cellPadding: 2,
+      },
+      headStyles: {
+        fillColor: [41, 128, 185],
+        textColor: 255,
+        fontStyle: 'bold',
+      },
+      alternateRowStyles: {
+        fillColor: [245, 245, 245],
+      },
+      margin: { top: 10, left: 14, right: 14 },
+      theme: 'striped',
+    });
+
+    yPosition = doc.lastAutoTable.finalY + 12;
+  });
+
+  // Add footer with page numbers
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.text(
+      `Page ${i} of ${pageCount}`,
+      doc.internal.pageSize.width / 2,
+      doc.internal.pageSize.height - 10,
+      { align: 'center' }
+    );
+  }
+
+  // Return PDF as buffer
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+/**
+ * Generate a PDF finance statement
+ *
+ * @param {Object} options - PDF generation options
+ * @param {string} options.groupName - Name of the group
+ * @param {Object} options.filters - Filters applied ({ dateFrom, dateTo, memberName, statuses, currency })
+ * @param {string} options.timeZone - Time zone for dates
+ * @param {Object} options.statement - Output of utils/financeStatement.buildFinanceStatement
+ *   (with convertedTotals, matters in other currencies also show base currency amounts)
+ * @param {Date} options.createdAt - Statement creation date
+ * @returns {Buffer} PDF file as buffer
+ */
+function generateFinanceStatementPDF({ groupName, filters, timeZone, statement, createdAt }) {
+  const doc = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'a4',
+  });
+
+  const formatDate = date => (date
+    ? new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: timeZone,
+    })
+    : '-');
+  const formatAmount = amount => amount.toFixed(2);
+
+  const tableStyles = {
+    styles: {
+      fontSize: 9,
+      cellPadding: 2,
+    },
+    headStyles: {
+      fillColor: [41, 128, 185],
+      textColor: 255,
+      fontStyle: 'bold',
+    },
+    alternateRowStyles: {
+      fillColor: [245, 245, 245],
+    },
+    margin: { top: 10, left: 14, right: 14 },
+    theme: 'striped',
+  };
+
+  // Add title
+  doc.setFontSize(20);
+  doc.text('Finance Statement', 14, 22);
+
+  doc.setFontSize(12);
+  doc.text(`Group: ${groupName}`, 14, 32);
+  // Range end is exclusive, so show the last included day
+  const period = filters.dateFrom || filters.dateTo
+    ? `${filters.dateFrom ? formatDate(filters.dateFrom) : 'Beginning'} - ${filters.dateTo ? formatDate(new Date(new Date(filters.dateTo).getTime() - 1)) : 'Now'}`
+    : 'All dates';
+  doc.text(`Period: ${period}`, 14, 38);
+  doc.text(`Generated: ${new Date(createdAt).toLocaleString('en-US', { timeZone: timeZone, timeZoneName: 'short' })}`, 14, 44);
+
+  doc.setFontSize(10);
+  doc.text(`Member: ${filters.memberName || 'All members'}`, 14, 52);
+  doc.text(`Status: ${filters.statuses && filters.statuses.length > 0 ? filters.statuses.join(', ') : 'All'}`, 14, 58);
+  doc.text(`Currency: ${filters.currency || 'All'}`, 14, 64);
+
+  // Totals per currency
+  autoTable(doc, {
+    ...tableStyles,
+    startY: 70,
+    head: [['Currency', 'Matters', 'Total', 'Expected', 'Paid', 'Outstanding', 'Rejected']],
+    body: statement.totals.map(total => [
+      total.currency,
+      String(total.matterCount),
+      formatAmount(total.totalAmount),
+      formatAmount(total.expectedAmount),
+      formatAmount(total.paidAmount),
+      formatAmount(total.outstandingAmount),
+      formatAmount(total.rejectedAmount),
+    ]),
+  });
+
+  const converted = statement.convertedTotals;
+  // Blank when there was no exchange rate for the amount's currency and date
+  const formatConverted = amount => (amount === null || amount === undefined ? '-' : formatAmount(amount));
+
+  // Totals across all currencies in the group's base currency
+  if (converted) {
+    autoTable(doc, {
+      ...tableStyles,
+      startY: doc.lastAutoTable.finalY + 2,
+      head: [[`In ${converted.currency}`, 'Matters', 'Total', 'Expected', 'Paid', 'Outstanding', 'Rejected']],
+      body: [[
+        converted.currency,
+        String(converted.matterCount),
+        formatAmount(converted.totalAmount),
+        formatAmount(converted.expectedAmount),
+        formatAmount(converted.paidAmount),
+        formatAmount(converted.outstandingAmount),
+        formatAmount(converted.rejectedAmount),
+      ]],
+    });
+  }
+
+  doc.setFontSize(8);
+  doc.text('Totals leave out canceled matters. Rejected payments were reported but not accepted by the recipient.', 14, doc.lastAutoTable.finalY + 5);
+
+  let yPosition = doc.lastAutoTable.finalY + 14;
+
+  if (converted) {
+    const missingNote = converted.missingCurrencies.length > 0
+      ? ` No exchange rate was found for ${converted.missingCurrencies.join(', ')}; those amounts are not converted.`
+      : '';
+    doc.text(`Shares are converted to ${converted.currency} at the rate on the matter date and payments at the rate on the payment date.${missingNote}`, 14, yPosition - 5, { maxWidth: 180 });
+    yPosition += missingNote ? 8 : 4;
+  }
+
+  statement.matters.forEach((matter) => {
+    // Start a new page if the heading would sit at the bottom of this one
+    if (yPosition > doc.internal.pageSize.height - 50) {
+      doc.addPage();
+      yPosition = 20;
+    }
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(matter.name, 14, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    // Matters in another currency also show their amounts in the base currency
+    const showConverted = converted && matter.currency !== converted.currency;
+    const rateText = showConverted
+      ? ` | ${matter.exchangeRate ? `${converted.currency} ${formatConverted(matter.convertedTotalAmount)} at ${matter.exchangeRate.rate.toFixed(4)}` : `No ${matter.currency} rate`}`
+      : '';
+    doc.text(
+      `${formatDate(matter.createdAt)} | ${matter.status} | ${matter.currency} ${formatAmount(matter.totalAmount)}${rateText}${matter.dueDate ? ` | Due ${formatDate(matter.dueDate)}` : ''}`,
+      14,
+      yPosition + 5
+    );
+
+    autoTable(doc, {
+      ...tableStyles,
+      startY: yPosition + 8,
+      head: [['Member', 'Share', 'Paid', 'Outstanding', ...(showConverted ? [`Outstanding (${converted.currency})`] : [])]],
+      body: matter.members.map(member => [
+        member.displayName || 'Unknown',
+        formatAmount(member.expectedAmount),
+        formatAmount(member.paidAmount),
+        formatAmount(member.outstandingAmount),
+        ...(showConverted ? [formatConverted(member.convertedOutstandingAmount)] : []),
+      ]),
+    });
+
+    if (matter.payments.length > 0) {
+      autoTable(doc, {
+        ...tableStyles,
+        startY: doc.lastAutoTable.finalY + 2,
+        head: [['Payment', 'From', 'To', 'Amount', ...(showConverted ? [`Amount (${converted.currency})`] : []), 'Status']],
+        body: matter.payments.map(payment => [
+          formatDate(payment.reviewedAt || payment.reportedAt),
+          payment.from || 'Unknown',
+          payment.to || 'Unknown',
+          formatAmount(payment.amount),
+          ...(showConverted ? [formatConverted(payment.convertedAmount)] : []),
+          payment.status,
+        ]),
+      });
+    }
+
+    yPosition = doc.lastAutoTable.finalY + 10;
+  });
+
+  // Add footer with page numbers
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.text(
+      `Page ${i} of ${pageCount}`,
+      doc.internal.pageSize.width / 2,
+      doc.internal.pageSize.height - 10,
+      { align: 'center' }
+    );
+  }
+
+  // Return PDF as buffer
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
 module.exports = {
   generateAuditLogPDF,
+  generateTimeShareReportPDF,
+  generateFinanceStatementPDF,
 };
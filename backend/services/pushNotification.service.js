@@ -411,7 +411,8 @@ async function getUserTokens(userId) {
  * Respects mute settings
  *
  * @param {string} groupId - Group ID
- * @param {string} excludeAdminId - Admin ID to exclude (the requester)
+ * @param {string|Array<string>} excludeAdminId - Admin ID to exclude (the requester), or several
+ *   (e.g. the requester and admins who have already voted, for reminders)
  * @param {string} approvalType - Type of approval (add_member, remove_member, etc.)
  * @param {string} description - Human-readable description of what needs approval
  * @param {string} approvalId - The approval record ID
@@ -427,7 +428,7 @@ async function sendApprovalNotification(groupId, excludeAdminId, approvalType, d
         isRegistered: true,
         isHidden: false,
         isMuted: false, // Respect mute setting
-        groupMemberId: { not: excludeAdminId },
+        groupMemberId: { notIn: [].concat(excludeAdminId || []) },
         userId: { not: null },
       },
       select: {
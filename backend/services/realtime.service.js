@@ -0,0 +1,354 @@
+/**
+ * Realtime Service
+ *
+ * Authenticated WebSocket channel (ws://<host>/realtime) that pushes changes to
+ * connected apps as they happen, so they don't have to poll:
+ * - message.created, message.read, message.reaction_added, message.reaction_removed
+ *   (to members of the message group and group admins)
+ * - approval.changed (to group admins and the requester)
+ * - webrtc.signal (to the target peer, only while their call screen is subscribed)
+ *
+ * Clients authenticate with the same access token as the REST API, sent as a
+ * Bearer Authorization header or a `token` query parameter (browsers can't set
+ * WebSocket headers). Every event is `{ type, data, sentAt }`.
+ *
+ * Connections are held in memory, so events only reach clients connected to
+ * the same server instance. Polling endpoints remain as the fallback.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { prisma } = require('../config/database');
+const authService = require('./auth.service');
+
+const REALTIME_PATH = '/realtime';
+
+/**
+ * Interval between pings; sockets that miss a pong are terminated
+ */
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Open sockets by userId
+ * @type {Map<string, Set<WebSocket>>}
+ */
+const connections = new Map();
+
+let wss = null;
+let heartbeatTimer = null;
+
+/**
+ * Resolve the user for an access token (Kinde or legacy JWT)
+ * @param {string|null} token - Access token
+ * @returns {Promise<Object|null>} User, or null if the token is invalid
+ */
+async function authenticateToken(token) {
+  if (!token) return null;
+
+  try {
+    if (authService.isKindeToken(token)) {
+      const kindePayload = await authService.verifyKindeToken(token);
+      return await authService.getUserByKindeId(kindePayload.sub);
+    }
+
+    const decoded = authService.verifyToken(token);
+    if (decoded.type === 'refresh') {
+      return null;
+    }
+    return await authService.getUserById(decoded.userId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Register an authenticated socket
+ * @param {WebSocket} ws - Socket
+ * @param {Object} user - Authenticated user
+ */
+function handleConnection(ws, user) {
+  ws.userId = user.userId;
+  ws.subscriptions = new Set();
+  ws.isAlive = true;
+
+  if (!connections.has(user.userId)) {
+    connections.set(user.userId, new Set());
+  }
+  connections.get(user.userId).add(ws);
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  // Clients subscribe to per-screen topics, e.g. { type: 'subscribe', topic: 'call:<callId>' }
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (typeof message?.topic !== 'string') return;
+
+    if (message.type === 'subscribe') {
+      ws.subscriptions.add(message.topic);
+    } else if (message.type === 'unsubscribe') {
+      ws.subscriptions.delete(message.topic);
+    }
+  });
+
+  ws.on('close', () => {
+    const sockets = connections.get(user.userId);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        connections.delete(user.userId);
+      }
+    }
+  });
+
+  ws.on('error', (error) => {
+    console.error('[Realtime] Socket error:', error.message);
+  });
+
+  sendEvent(ws, 'connected', { userId: user.userId });
+}
+
+/**
+ * Attach the realtime WebSocket server to the HTTP server
+ * @param {import('http').Server} server - HTTP server from app.listen()
+ */
+function initRealtimeServer(server) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== REALTIME_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const token = authService.extractTokenFromHeader(request.headers.authorization)
+      || url.searchParams.get('token');
+    const user = await authenticateToken(token);
+
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => handleConnection(ws, user));
+  });
+
+  heartbeatTimer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log(`[Realtime] WebSocket channel ready at ${REALTIME_PATH}`);
+}
+
+/**
+ * Close all realtime connections (graceful shutdown)
+ */
+function closeRealtimeServer() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (wss) {
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    wss.close();
+    wss = null;
+  }
+  connections.clear();
+}
+
+/**
+ * Send one event over a socket
+ * @param {WebSocket} ws - Socket
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {boolean} True if the socket was open
+ */
+function sendEvent(ws, type, data) {
+  if (ws.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+  ws.send(JSON.stringify({ type, data, sentAt: new Date().toISOString() }));
+  return true;
+}
+
+/**
+ * Push an event to users' open sockets
+ * @param {string[]} userIds - Recipient user IDs
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @param {Object} [options] - Options
+ * @param {string} [options.topic] - Only sockets subscribed to this topic
+ * @returns {Set<string>} User IDs the event was delivered to
+ */
+function sendToUsers(userIds, type, data, { topic } = {}) {
+  const delivered = new Set();
+  for (const userId of new Set(userIds)) {
+    for (const ws of connections.get(userId) || []) {
+      if (topic && !ws.subscriptions.has(topic)) continue;
+      if (sendEvent(ws, type, data)) {
+        delivered.add(userId);
+      }
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Check if any of the given users are connected (skips recipient lookups when nobody is)
+ * @param {string[]} [userIds] - User IDs (omit to check for any connection)
+ * @returns {boolean} True if at least one has an open socket
+ */
+function hasConnections(userIds) {
+  if (!userIds) return connections.size > 0;
+  return userIds.some(userId => connections.has(userId));
+}
+
+/**
+ * Push an event to everyone who can read a message group: its registered
+ * members plus the group's admins (who can view any message group)
+ * @param {string} groupId - Group ID
+ * @param {string} messageGroupId - Message group ID
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @param {Object} [options] - Options
+ * @param {string} [options.excludeUserId] - User who caused the event
+ */
+async function publishToMessageGroup(groupId, messageGroupId, type, data, { excludeUserId } = {}) {
+  if (!hasConnections()) return;
+
+  try {
+    const recipients = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        isRegistered: true,
+        userId: { not: null },
+        OR: [
+          { role: 'admin' },
+          { messageGroupMemberships: { some: { messageGroupId: messageGroupId } } },
+        ],
+      },
+      select: {
+        userId: true,
+      },
+    });
+
+    const userIds = recipients.map(r => r.userId).filter(id => id !== excludeUserId);
+    sendToUsers(userIds, type, { groupId, messageGroupId, ...data });
+  } catch (error) {
+    console.error(`[Realtime] Failed to publish ${type}:`, error.message);
+  }
+}
+
+/**
+ * Push an approval change to the group's admins and the requester
+ * @param {Object} approval - Approval (approvalId, groupId, approvalType, status, requestedBy)
+ */
+async function publishApprovalChange(approval) {
+  if (!hasConnections()) return;
+
+  try {
+    const recipients = await prisma.groupMember.findMany({
+      where: {
+        groupId: approval.groupId,
+        isRegistered: true,
+        userId: { not: null },
+        OR: [
+          { role: 'admin' },
+          { groupMemberId: approval.requestedBy },
+        ],
+      },
+      select: {
+        userId: true,
+      },
+    });
+
+    sendToUsers(recipients.map(r => r.userId), 'approval.changed', {
+      groupId: approval.groupId,
+      approvalId: approval.approvalId,
+      approvalType: approval.approvalType,
+      status: approval.status,
+      requestedBy: approval.requestedBy,
+    });
+  } catch (error) {
+    console.error('[Realtime] Failed to publish approval change:', error.message);
+  }
+}
+
+/**
+ * Push a WebRTC signal to the target peers whose call screen is subscribed
+ * (topic `call:<callId>`). Peers who don't get it collect it by polling.
+ * @param {Object} signal - Signal
+ * @param {string} signal.groupId - Group ID
+ * @param {string} signal.callId - Call ID
+ * @param {string} signal.callType - 'phone' or 'video'
+ * @param {string} signal.fromPeerId - Sender peer ID (groupMemberId or 'recorder')
+ * @param {string[]} signal.toPeerIds - Target peer IDs
+ * @param {string} signal.type - 'offer', 'answer' or 'ice-candidate'
+ * @param {Object} signal.data - SDP or ICE candidate
+ * @returns {Promise<Set<string>>} Peer IDs the signal was delivered to
+ */
+async function pushWebRTCSignal({ groupId, callId, callType, fromPeerId, toPeerIds, type, data }) {
+  const delivered = new Set();
+  if (!hasConnections()) return delivered;
+
+  try {
+    const targets = await prisma.groupMember.findMany({
+      where: {
+        groupId: groupId,
+        groupMemberId: { in: toPeerIds.filter(peerId => peerId !== 'recorder') },
+        userId: { not: null },
+      },
+      select: {
+        groupMemberId: true,
+        userId: true,
+      },
+    });
+
+    for (const target of targets) {
+      const sent = sendToUsers([target.userId], 'webrtc.signal', {
+        groupId,
+        callId,
+        callType,
+        signal: {
+          type,
+          data,
+          from: fromPeerId,
+          timestamp: Date.now(),
+        },
+      }, { topic: `call:${callId}` });
+
+      if (sent.size > 0) {
+        delivered.add(target.groupMemberId);
+      }
+    }
+  } catch (error) {
+    console.error('[Realtime] Failed to push WebRTC signal:', error.message);
+  }
+  return delivered;
+}
+
+module.exports = {
+  REALTIME_PATH,
+  initRealtimeServer,
+  closeRealtimeServer,
+  sendToUsers,
+  hasConnections,
+  publishToMessageGroup,
+  publishApprovalChange,
+  pushWebRTCSignal,
+};
@@ -0,0 +1,111 @@
+/**
+ * Tone Check Service
+ *
+ * Runs the tone assistant (utils/toneCheck.js) on outgoing messages for groups
+ * that turned it on, and keeps content-free statistics of its warnings for
+ * admins (ToneCheckEvent).
+ *
+ * @module services/toneCheck
+ */
+
+const { prisma } = require('../config/database');
+const { analyzeTone, summarizeToneEvents } = require('../utils/toneCheck');
+
+/**
+ * Record a tone check event (counts only - no content or sender)
+ * @param {string} groupId - Group ID
+ * @param {string} outcome - 'warned' or 'sent_anyway'
+ * @param {string[]} categories - Flagged categories
+ */
+async function recordToneEvent(groupId, outcome, categories) {
+  try {
+    await prisma.toneCheckEvent.create({
+      data: {
+        groupId: groupId,
+        outcome: outcome,
+        categories: categories,
+      },
+    });
+  } catch (error) {
+    // Statistics must never stop a message being sent
+    console.error('[ToneCheck] Failed to record tone check event:', error);
+  }
+}
+
+/**
+ * Check an outgoing message's tone
+ *
+ * @param {Object} options - Check options
+ * @param {string} options.groupId - Group the message is sent in
+ * @param {string} options.content - Message text (plaintext)
+ * @param {boolean} [options.sendAnyway] - Sender has seen the warning and is sending anyway
+ * @returns {Promise<Object|null>} Tone check result ({ categories, issues, suggestions }) if the
+ *   message should be held back, null if it can be sent
+ */
+async function checkOutgoingTone({ groupId, content, sendAnyway = false }) {
+  const settings = await prisma.groupSettings.findUnique({
+    where: { groupId: groupId },
+    select: { toneCheckEnabled: true },
+  });
+
+  if (!settings?.toneCheckEnabled) {
+    return null;
+  }
+
+  const result = analyzeTone(content);
+  if (!result.flagged) {
+    return null;
+  }
+
+  if (sendAnyway) {
+    await recordToneEvent(groupId, 'sent_anyway', result.categories);
+    return null;
+  }
+
+  await recordToneEvent(groupId, 'warned', result.categories);
+  return {
+    categories: result.categories,
+    issues: result.issues,
+    suggestions: result.suggestions,
+  };
+}
+
+/**
+ * Build the response for a message held back by the tone assistant
+ * @param {Object} toneCheck - Result of checkOutgoingTone
+ * @returns {Object} 422 response body
+ */
+function getToneCheckResponse(toneCheck) {
+  return {
+    error: 'Tone Check',
+    message: 'This message might come across as hostile. You can revise it or send it anyway.',
+    toneCheck: toneCheck,
+  };
+}
+
+/**
+ * Get tone assistant statistics for a group
+ * @param {string} groupId - Group ID
+ * @param {Date} since - Count events from this time
+ * @returns {Promise<Object>} { warnings, sentAnyway, revisedOrHeld, byCategory }
+ */
+async function getToneCheckStats(groupId, since) {
+  const events = await prisma.toneCheckEvent.findMany({
+    where: {
+      groupId: groupId,
+      createdAt: { gte: since },
+    },
+    select: {
+      outcome: true,
+      categories: true,
+    },
+  });
+
+  return summarizeToneEvents(events);
+}
+
+module.exports = {
+  checkOutgoingTone,
+  getToneCheckResponse,
+  getToneCheckStats,
+};
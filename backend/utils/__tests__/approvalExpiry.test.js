@@ -0,0 +1,175 @@
+/**
+ * Approval Expiry Tests
+ *
+ * Tests expiry policies, pending voters and reminder timing
+ */
+
+const {
+  isValidApprovalPolicies,
+  isValidReminderHours,
+  getApprovalPolicy,
+  getChangedPolicyTypes,
+  describeApprovalPolicy,
+  getApprovalExpiry,
+  getExpiryOutcome,
+  getPendingVoterIds,
+  isApprovalReminderDue,
+  describeTimeLeft,
+} = require('../approvalExpiry');
+
+describe('Approval Expiry Utility', () => {
+  describe('policies', () => {
+    it('should accept policies for known approval types', () => {
+      expect(isValidApprovalPolicies({})).toBe(true);
+      expect(isValidApprovalPolicies({
+        add_member: { expiryDays: 3, onExpiry: 'approve' },
+        delete_group: { expiryDays: null, onExpiry: 'reject' },
+      })).toBe(true);
+    });
+
+    it('should only allow destructive and admin-role types to be rejected on expiry', () => {
+      expect(isValidApprovalPolicies({ delete_group: { expiryDays: 3, onExpiry: 'approve' } })).toBe(false);
+      expect(isValidApprovalPolicies({ remove_member: { expiryDays: 3, onExpiry: 'approve' } })).toBe(false);
+      expect(isValidApprovalPolicies({ change_role_from_admin: { expiryDays: 3, onExpiry: 'approve' } })).toBe(false);
+      expect(isValidApprovalPolicies({ create_custody_schedule: { expiryDays: 3, onExpiry: 'approve' } })).toBe(false);
+      expect(isValidApprovalPolicies({ change_approval_policies: { expiryDays: 3, onExpiry: 'approve' } })).toBe(false);
+      expect(getApprovalPolicy({ delete_file: { expiryDays: 3, onExpiry: 'approve' } }, 'delete_file')).toEqual({ expiryDays: 3, onExpiry: 'reject' });
+    });
+
+    it('should always reject admin invites on expiry', () => {
+      const policies = { add_member: { expiryDays: 3, onExpiry: 'approve' } };
+      expect(getApprovalPolicy(policies, 'add_member', { targetRole: 'admin' })).toEqual({ expiryDays: 3, onExpiry: 'reject' });
+      expect(getApprovalPolicy(policies, 'add_member', { targetRole: 'parent' })).toEqual({ expiryDays: 3, onExpiry: 'approve' });
+    });
+
+    it('should reject bad policies', () => {
+      expect(isValidApprovalPolicies(null)).toBe(false);
+      expect(isValidApprovalPolicies([])).toBe(false);
+      expect(isValidApprovalPolicies({ make_coffee: { expiryDays: 1, onExpiry: 'reject' } })).toBe(false);
+      expect(isValidApprovalPolicies({ delete_file: { expiryDays: 0, onExpiry: 'reject' } })).toBe(false);
+      expect(isValidApprovalPolicies({ delete_file: { expiryDays: 91, onExpiry: 'reject' } })).toBe(false);
+      expect(isValidApprovalPolicies({ delete_file: { expiryDays: 3, onExpiry: 'ignore' } })).toBe(false);
+    });
+
+    it('should check the reminder interval', () => {
+      expect(isValidReminderHours(null)).toBe(true);
+      expect(isValidReminderHours(24)).toBe(true);
+      expect(isValidReminderHours(0)).toBe(false);
+      expect(isValidReminderHours(169)).toBe(false);
+      expect(isValidReminderHours(1.5)).toBe(false);
+    });
+
+    it('should fall back to expiring after 7 days and rejecting', () => {
+      expect(getApprovalPolicy(null, 'add_member')).toEqual({ expiryDays: 7, onExpiry: 'reject' });
+      expect(getApprovalPolicy({ add_member: { expiryDays: 3, onExpiry: 'approve' } }, 'add_member')).toEqual({ expiryDays: 3, onExpiry: 'approve' });
+    });
+
+    it('should list the types whose policy changes', () => {
+      const current = { add_member: { expiryDays: 3, onExpiry: 'approve' } };
+
+      expect(getChangedPolicyTypes(current, { add_member: { onExpiry: 'approve', expiryDays: 3 } })).toEqual([]);
+      expect(getChangedPolicyTypes(null, { hide_message: { expiryDays: 7, onExpiry: 'reject' } })).toEqual([]);
+      expect(getChangedPolicyTypes(current, {
+        add_member: { expiryDays: 3, onExpiry: 'reject' },
+        delete_group: { expiryDays: null, onExpiry: 'reject' },
+      })).toEqual(['add_member', 'delete_group']);
+    });
+
+    it('should describe a policy', () => {
+      const policies = {
+        add_member: { expiryDays: 3, onExpiry: 'approve' },
+        delete_group: { expiryDays: null, onExpiry: 'reject' },
+      };
+
+      expect(describeApprovalPolicy(policies, 'add_member')).toBe('add member: 3 days, then approve');
+      expect(describeApprovalPolicy(policies, 'delete_group')).toBe('delete group: never expires');
+      expect(describeApprovalPolicy({ hide_message: { expiryDays: 1, onExpiry: 'reject' } }, 'hide_message')).toBe('hide message: 1 day, then reject');
+    });
+  });
+
+  describe('getApprovalExpiry', () => {
+    it('should set the expiry from the request time', () => {
+      expect(getApprovalExpiry({ expiryDays: 3, onExpiry: 'approve' }, new Date('2026-03-01T10:00:00Z'))).toEqual({
+        expiresAt: new Date('2026-03-04T10:00:00Z'),
+        expiryAction: 'approve',
+      });
+    });
+
+    it('should not expire without expiry days', () => {
+      expect(getApprovalExpiry({ expiryDays: null, onExpiry: 'reject' }, new Date())).toEqual({ expiresAt: null, expiryAction: null });
+    });
+  });
+
+  describe('getExpiryOutcome', () => {
+    const approval = {
+      approvalType: 'add_member',
+      expiryAction: 'approve',
+      votes: [{ adminId: 'mum', vote: 'approve' }],
+    };
+
+    it('should follow the expiry action', () => {
+      expect(getExpiryOutcome(approval)).toBe('approved');
+      expect(getExpiryOutcome({ ...approval, expiryAction: 'reject' })).toBe('rejected');
+    });
+
+    it('should never approve an approval someone voted against', () => {
+      expect(getExpiryOutcome({
+        ...approval,
+        votes: [{ adminId: 'mum', vote: 'approve' }, { adminId: 'dad', vote: 'reject' }],
+      })).toBe('rejected');
+    });
+
+    it('should never approve destructive and admin-role types', () => {
+      expect(getExpiryOutcome({ ...approval, approvalType: 'delete_group' })).toBe('rejected');
+      expect(getExpiryOutcome({ ...approval, approvalType: 'change_role_to_admin' })).toBe('rejected');
+    });
+
+    it('should never approve an expired admin invite', () => {
+      expect(getExpiryOutcome({ ...approval, approvalData: JSON.stringify({ targetRole: 'admin' }) })).toBe('rejected');
+      expect(getExpiryOutcome({ ...approval, approvalData: { targetRole: 'admin' } })).toBe('rejected');
+      expect(getExpiryOutcome({ ...approval, approvalData: JSON.stringify({ targetRole: 'parent' }) })).toBe('approved');
+    });
+  });
+
+  describe('getPendingVoterIds', () => {
+    it('should list snapshotted admins who are still admins and have not voted', () => {
+      const approval = {
+        requestedBy: 'mum',
+        approvalData: JSON.stringify({ allAdminIds: ['mum', 'dad', 'gran', 'old'] }),
+        votes: [{ adminId: 'mum' }, { adminId: 'gran' }],
+      };
+
+      expect(getPendingVoterIds(approval, ['mum', 'dad', 'gran', 'new'])).toEqual(['dad']);
+    });
+
+    it('should use the current admins for approvals without a snapshot', () => {
+      expect(getPendingVoterIds({ requestedBy: 'mum', approvalData: {}, votes: [] }, ['mum', 'dad'])).toEqual(['dad']);
+    });
+  });
+
+  describe('reminders', () => {
+    const approval = {
+      requestedAt: new Date('2026-03-01T10:00:00Z'),
+      lastRemindedAt: null,
+      expiresAt: new Date('2026-03-08T10:00:00Z'),
+    };
+
+    it('should remind once the interval has passed since the request or last reminder', () => {
+      expect(isApprovalReminderDue(approval, 24, new Date('2026-03-02T09:00:00Z'))).toBe(false);
+      expect(isApprovalReminderDue(approval, 24, new Date('2026-03-02T10:00:00Z'))).toBe(true);
+      expect(isApprovalReminderDue({ ...approval, lastRemindedAt: new Date('2026-03-02T10:00:00Z') }, 24, new Date('2026-03-02T12:00:00Z'))).toBe(false);
+    });
+
+    it('should not remind when turned off or after expiry', () => {
+      expect(isApprovalReminderDue(approval, null, new Date('2026-03-05T10:00:00Z'))).toBe(false);
+      expect(isApprovalReminderDue(approval, 24, new Date('2026-03-08T10:00:00Z'))).toBe(false);
+    });
+
+    it('should describe the time left', () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+      expect(describeTimeLeft(new Date('2026-03-04T11:00:00Z'), now)).toBe('expires in 3 days');
+      expect(describeTimeLeft(new Date('2026-03-01T15:30:00Z'), now)).toBe('expires in 5 hours');
+      expect(describeTimeLeft(new Date('2026-03-01T10:20:00Z'), now)).toBe('expires within the hour');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Approval Threshold Tests
+ *
+ * Tests calendar permission flags, approving admins and thresholds
+ */
+
+const {
+  getCalendarPermissionFields,
+  getApprovingAdminIds,
+  hasApprovalPassed,
+} = require('../approvalThresholds');
+
+describe('Approval Threshold Utility', () => {
+  describe('getCalendarPermissionFields', () => {
+    it('should always need the calendar entries flag', () => {
+      expect(getCalendarPermissionFields()).toEqual(['autoApproveCalendarEntries']);
+      expect(getCalendarPermissionFields(['parent', 'adult'])).toEqual(['autoApproveCalendarEntries']);
+    });
+
+    it('should add the assignment flags for children and caregivers', () => {
+      expect(getCalendarPermissionFields(['child', 'caregiver', 'child'])).toEqual([
+        'autoApproveCalendarEntries',
+        'autoApproveAssignChildrenToEvents',
+        'autoApproveAssignCaregiversToEvents',
+      ]);
+    });
+  });
+
+  describe('getApprovingAdminIds', () => {
+    it('should count an admin requester and their grantors', () => {
+      expect(getApprovingAdminIds(['a', 'b', 'c'], 'a', ['c'])).toEqual(['a', 'c']);
+    });
+
+    it('should not count a non-admin requester or grantors who are no longer admins', () => {
+      expect(getApprovingAdminIds(['a', 'b'], 'p', ['b', 'x'])).toEqual(['b']);
+    });
+  });
+
+  describe('hasApprovalPassed', () => {
+    it('should need more than half of the admins', () => {
+      expect(hasApprovalPassed(['a', 'b'], ['a'], false)).toBe(false);
+      expect(hasApprovalPassed(['a', 'b', 'c'], ['a', 'c'], false)).toBe(true);
+      expect(hasApprovalPassed(['a'], ['a'], false)).toBe(true);
+    });
+
+    it('should need every admin for unanimous approvals', () => {
+      expect(hasApprovalPassed(['a', 'b', 'c'], ['a', 'c'], true)).toBe(false);
+      expect(hasApprovalPassed(['a', 'b'], ['b', 'a'], true)).toBe(true);
+    });
+
+    it('should pass when the group has no admins to ask', () => {
+      expect(hasApprovalPassed([], [], false)).toBe(true);
+      expect(hasApprovalPassed([], [], true)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Audit Chain Tests
+ *
+ * Tests walking the audit log hash chain and reporting the first broken link
+ */
+
+const { verifyChainEntries } = require('../auditChain');
+
+/**
+ * Build a valid chain (hashes are placeholders - the database computes the real ones)
+ * @param {number} length - Number of entries
+ * @returns {Array<Object>} Entries
+ */
+function buildChain(length) {
+  const entries = [];
+  for (let seq = 1; seq <= length; seq++) {
+    entries.push({
+      logId: `log-${seq}`,
+      chainSeq: seq,
+      prevHash: seq === 1 ? null : `hash-${seq - 1}`,
+      hash: `hash-${seq}`,
+      expectedHash: `hash-${seq}`,
+      performedAt: new Date(Date.UTC(2025, 0, seq)),
+      action: 'send_message',
+    });
+  }
+  return entries;
+}
+
+describe('Audit Chain Utility', () => {
+  it('should accept an intact chain', () => {
+    const { brokenLink, last } = verifyChainEntries(buildChain(3));
+
+    expect(brokenLink).toBeNull();
+    expect(last.logId).toBe('log-3');
+  });
+
+  it('should continue from the previous batch', () => {
+    const chain = buildChain(4);
+    const first = verifyChainEntries(chain.slice(0, 2));
+    const second = verifyChainEntries(chain.slice(2), first.last);
+
+    expect(second.brokenLink).toBeNull();
+    expect(second.last.chainSeq).toBe(4);
+
+    expect(verifyChainEntries(chain.slice(2)).brokenLink.reason).toBe('sequence_gap');
+  });
+
+  it('should report an edited entry', () => {
+    const chain = buildChain(3);
+    chain[1].expectedHash = 'hash-of-edited-content';
+
+    const { brokenLink, last } = verifyChainEntries(chain);
+
+    expect(brokenLink).toMatchObject({ logId: 'log-2', chainSeq: 2, reason: 'hash_mismatch' });
+    expect(last.logId).toBe('log-1');
+  });
+
+  it('should report a deleted entry', () => {
+    const chain = buildChain(4);
+    chain.splice(1, 2);
+
+    expect(verifyChainEntries(chain).brokenLink).toMatchObject({
+      logId: 'log-4',
+      reason: 'sequence_gap',
+      message: 'Entries 2 to 3 are missing',
+    });
+  });
+
+  it('should report an entry whose predecessor was replaced', () => {
+    const chain = buildChain(3);
+    chain[1] = { ...chain[1], hash: 'forged', expectedHash: 'forged' };
+
+    expect(verifyChainEntries(chain).brokenLink).toMatchObject({
+      logId: 'log-3',
+      reason: 'prev_hash_mismatch',
+    });
+  });
+
+  it('should report an entry without a hash', () => {
+    const chain = buildChain(2);
+    chain[0].hash = null;
+
+    expect(verifyChainEntries(chain).brokenLink.reason).toBe('missing_hash');
+  });
+});
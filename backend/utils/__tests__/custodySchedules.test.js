@@ -0,0 +1,103 @@
+/**
+ * Custody Schedule Template Tests
+ *
+ * Tests that each template generates a gap-free, non-overlapping rotation
+ */
+
+const {
+  getCustodyTemplate,
+  listCustodyTemplates,
+  buildCustodySchedule,
+} = require('../custodySchedules');
+const { getOccurrences, findOverlappingOccurrences } = require('../recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = '2025-01-06T17:00:00.000Z'; // Monday handover
+
+/**
+ * Expand a generated schedule into occurrences tagged with their parent
+ */
+function expandSchedule(schedule, windowStart, windowEnd) {
+  return schedule.flatMap(series => getOccurrences(series, windowStart, windowEnd)
+    .map(occurrence => ({ ...occurrence, parentIndex: series.parentIndex })))
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
+describe('Custody Schedule Templates', () => {
+  describe('listCustodyTemplates', () => {
+    it('should list every template with blocks that fill the cycle', () => {
+      const templates = listCustodyTemplates();
+
+      expect(templates.map(t => t.pattern)).toEqual([
+        '2-2-3',
+        'week-on-week-off',
+        '2-2-5-5',
+        'alternating-weekends',
+      ]);
+      templates.forEach((template) => {
+        const totalDays = template.blocks.reduce((sum, block) => sum + block.days, 0);
+        expect(totalDays).toBe(template.cycleDays);
+        expect(template.cycleDays % 7).toBe(0);
+      });
+    });
+  });
+
+  describe('getCustodyTemplate', () => {
+    it('should return null for unknown patterns', () => {
+      expect(getCustodyTemplate('3-4-4-3')).toBeNull();
+      expect(getCustodyTemplate('toString')).toBeNull();
+    });
+  });
+
+  describe('buildCustodySchedule', () => {
+    it('should build one fortnightly series per 2-2-3 block', () => {
+      const schedule = buildCustodySchedule('2-2-3', START);
+
+      expect(schedule).toHaveLength(6);
+      expect(schedule.map(s => s.parentIndex)).toEqual([0, 1, 0, 1, 0, 1]);
+      expect(schedule.map(s => s.nextParentIndex)).toEqual([1, 0, 1, 0, 1, 0]);
+      expect(schedule[0].startTime.toISOString()).toBe(START);
+      expect(schedule[2].startTime.toISOString()).toBe('2025-01-10T17:00:00.000Z');
+      expect(schedule[2].endTime.toISOString()).toBe('2025-01-13T17:00:00.000Z');
+      schedule.forEach(series => expect(series.recurrencePattern).toBe('FREQ=WEEKLY;INTERVAL=2'));
+    });
+
+    it.each(['2-2-3', 'week-on-week-off', '2-2-5-5', 'alternating-weekends'])(
+      'should cover %s without gaps or overlaps',
+      (pattern) => {
+        const schedule = buildCustodySchedule(pattern, START);
+        const windowStart = new Date(START);
+        const windowEnd = new Date(windowStart.getTime() + 8 * 7 * DAY_MS);
+        const occurrences = expandSchedule(schedule, windowStart, windowEnd);
+
+        for (let i = 1; i < occurrences.length; i++) {
+          expect(occurrences[i].startTime.getTime()).toBe(occurrences[i - 1].endTime.getTime());
+        }
+        expect(findOverlappingOccurrences(occurrences, occurrences)
+          .filter(({ first, second }) => first !== second)).toHaveLength(0);
+
+        const daysByParent = [0, 1].map(parentIndex => occurrences
+          .filter(o => o.parentIndex === parentIndex && o.endTime <= windowEnd)
+          .reduce((sum, o) => sum + (o.endTime - o.startTime) / DAY_MS, 0));
+        const template = getCustodyTemplate(pattern);
+        const expectedFirst = template.blocks
+          .filter(block => block.parentIndex === 0)
+          .reduce((sum, block) => sum + block.days, 0) * 4;
+        expect(daysByParent[0]).toBe(expectedFirst);
+        expect(daysByParent[0] + daysByParent[1]).toBe(56);
+      }
+    );
+
+    it('should drop blocks that start after the schedule ends', () => {
+      const schedule = buildCustodySchedule('2-2-5-5', START, '2025-01-09T00:00:00.000Z');
+
+      expect(schedule).toHaveLength(2);
+      schedule.forEach(series => expect(series.recurrenceEndDate.toISOString()).toBe('2025-01-09T00:00:00.000Z'));
+    });
+
+    it('should reject unknown patterns and invalid start times', () => {
+      expect(() => buildCustodySchedule('3-4-4-3', START)).toThrow('Unknown custody template');
+      expect(() => buildCustodySchedule('2-2-3', 'not a date')).toThrow('Invalid start time');
+    });
+  });
+});
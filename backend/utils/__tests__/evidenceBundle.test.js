@@ -0,0 +1,154 @@
+/**
+ * Evidence Bundle Tests
+ *
+ * Tests the data files and manifest built for evidence bundles
+ */
+
+const crypto = require('crypto');
+const {
+  sha256,
+  getFileExtension,
+  buildCalendarEventsCsv,
+  buildFinanceMattersCsv,
+  buildFinancePaymentsCsv,
+  buildCallsCsv,
+  buildManifest,
+  buildVerificationInstructions,
+} = require('../evidenceBundle');
+
+const mum = { displayName: 'Mum', user: null };
+const dad = { displayName: 'Dad', user: { displayName: 'Dad (account)' } };
+const sam = { displayName: 'Sam', user: null };
+
+describe('Evidence Bundle Utility', () => {
+  describe('getFileExtension', () => {
+    it('should map MIME types to file extensions', () => {
+      expect(getFileExtension('image/jpeg')).toBe('jpg');
+      expect(getFileExtension('audio/webm;codecs=opus')).toBe('webm');
+      expect(getFileExtension('video/quicktime')).toBe('mov');
+      expect(getFileExtension(null)).toBe('bin');
+    });
+  });
+
+  describe('buildCalendarEventsCsv', () => {
+    it('should describe recurrence and responsibility handovers', () => {
+      const csv = buildCalendarEventsCsv([{
+        eventId: 'e1',
+        title: 'School week',
+        startTime: new Date('2025-01-06T08:00:00.000Z'),
+        endTime: new Date('2025-01-10T15:00:00.000Z'),
+        isRecurring: true,
+        recurrencePattern: 'weekly',
+        recurrenceInterval: 2,
+        recurrenceEndDate: null,
+        creator: mum,
+        attendees: [{ groupMember: dad }],
+        responsibilityEvents: [{
+          child: sam,
+          startResponsibilityType: 'member',
+          startResponsibleMember: mum,
+          endResponsibilityType: 'other',
+          endResponsibleOtherName: 'School',
+        }],
+        createdAt: new Date('2025-01-01T00:00:00.000Z'),
+      }]);
+
+      const [, row] = csv.trim().split('\r\n');
+      expect(row).toBe('2025-01-06T08:00:00.000Z,2025-01-10T15:00:00.000Z,School week,weekly every 2,Sam: Mum -> School,Dad (account),,Mum,2025-01-01T00:00:00.000Z,,e1');
+    });
+  });
+
+  describe('buildFinanceMattersCsv / buildFinancePaymentsCsv', () => {
+    const matters = [{
+      financeMatterId: 'f1',
+      name: 'School fees',
+      currency: 'AUD',
+      totalAmount: '1000.00',
+      isSettled: false,
+      isCanceled: false,
+      creator: mum,
+      members: [
+        { groupMember: mum, expectedAmount: '500.00', paidAmount: '500.00' },
+        { groupMember: dad, expectedAmount: '500.00', paidAmount: '0.00' },
+      ],
+      payments: [
+        { paymentId: 'p2', fromMember: dad, toMember: mum, amount: '100.00', isConfirmed: false, reportedAt: new Date('2025-02-02T00:00:00.000Z') },
+        { paymentId: 'p1', fromMember: mum, toMember: dad, amount: '50.00', isConfirmed: true, reportedAt: new Date('2025-02-01T00:00:00.000Z') },
+      ],
+      createdAt: new Date('2025-01-01T00:00:00.000Z'),
+    }];
+
+    it('should list each matter with member shares', () => {
+      const [, row] = buildFinanceMattersCsv(matters).trim().split('\r\n');
+      expect(row).toContain('School fees');
+      expect(row).toContain(',Open,');
+      expect(row).toContain('Mum: 500.00 / 500.00; Dad (account): 500.00 / 0.00');
+    });
+
+    it('should list payments oldest first with the matter currency', () => {
+      const rows = buildFinancePaymentsCsv(matters).trim().split('\r\n');
+      expect(rows).toHaveLength(3);
+      expect(rows[1]).toBe('2025-02-01T00:00:00.000Z,School fees,Mum,Dad (account),50.00,AUD,Yes,,,,p1');
+      expect(rows[2]).toContain(',No,');
+    });
+  });
+
+  describe('buildCallsCsv', () => {
+    it('should list phone and video calls with their recording files', () => {
+      const csv = buildCallsCsv([
+        { callId: 'v1', callType: 'video', status: 'ended', startedAt: new Date('2025-03-02T00:00:00.000Z'), durationMs: 61500, initiator: dad, participants: [{ participant: mum, status: 'joined' }], recordingStatus: 'ready' },
+        { callId: 'c1', callType: 'phone', status: 'missed', startedAt: new Date('2025-03-01T00:00:00.000Z'), initiator: mum, participants: [] },
+      ], new Map([['v1', ['media/recordings/video-v1-0.mp4', 'media/recordings/video-v1-1.mp4']]]));
+
+      const rows = csv.trim().split('\r\n');
+      expect(rows[1]).toContain(',phone,missed,');
+      expect(rows[2]).toContain(',video,ended,');
+      expect(rows[2]).toContain(',62,Dad (account),Mum (joined),ready,No,media/recordings/video-v1-0.mp4 media/recordings/video-v1-1.mp4,v1');
+    });
+  });
+
+  describe('buildManifest', () => {
+    it('should record the exporter and every file hash, sorted by path', () => {
+      const files = [
+        { path: 'messages.json', sha256: sha256('[]'), sizeBytes: 2 },
+        { path: 'audit-log.pdf', sha256: sha256('%PDF'), sizeBytes: 4 },
+      ];
+      const manifest = JSON.parse(buildManifest({
+        exportId: 'x1',
+        group: { groupId: 'g1', name: 'Smith Family', members: [] },
+        exportedAt: new Date('2025-04-01T00:00:00.000Z'),
+        exportedBy: { groupMemberId: 'm1', name: 'Mum', email: 'mum@example.com' },
+        filters: { dateFrom: '2025-01-01' },
+        files,
+        missingFiles: [{ path: 'media/messages/p9', reason: 'File could not be read from storage' }],
+        publicKeyFingerprint: 'abc',
+      }));
+
+      expect(manifest).toMatchObject({
+        exportId: 'x1',
+        group: { groupId: 'g1', name: 'Smith Family' },
+        exportedAt: '2025-04-01T00:00:00.000Z',
+        exportedBy: { name: 'Mum' },
+        hashAlgorithm: 'SHA-256',
+        publicKeyFingerprint: 'abc',
+      });
+      expect(manifest.group.members).toBeUndefined();
+      expect(manifest.files.map(f => f.path)).toEqual(['audit-log.pdf', 'messages.json']);
+      expect(manifest.files[0].sha256).toBe(crypto.createHash('sha256').update('%PDF').digest('hex'));
+      expect(manifest.missingFiles).toHaveLength(1);
+    });
+  });
+
+  describe('buildVerificationInstructions', () => {
+    it('should point to the published key', () => {
+      const text = buildVerificationInstructions({
+        publicKeyUrl: 'https://api.example.com/logs/evidence/public-key',
+        publicKeyFingerprint: 'abc123',
+      });
+
+      expect(text).toContain('https://api.example.com/logs/evidence/public-key');
+      expect(text).toContain('abc123');
+      expect(text).toContain('openssl pkeyutl -verify');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Exchange Rate Tests
+ *
+ * Tests dated rate lookup, conversion into a base currency and CSV import
+ */
+
+const {
+  findExchangeRate,
+  createCurrencyConverter,
+  parseExchangeRateCsv,
+} = require('../exchangeRates');
+
+const rates = [
+  { fromCurrency: 'NZD', toCurrency: 'AUD', rate: '0.9000', effectiveDate: new Date('2026-01-01T00:00:00Z') },
+  { fromCurrency: 'NZD', toCurrency: 'AUD', rate: '0.9200', effectiveDate: new Date('2026-02-01T00:00:00Z') },
+  { fromCurrency: 'AUD', toCurrency: 'GBP', rate: '0.5000', effectiveDate: new Date('2026-01-15T00:00:00Z') },
+];
+
+describe('Exchange Rate Utility', () => {
+  describe('findExchangeRate', () => {
+    it('should use the latest rate on or before the date', () => {
+      expect(findExchangeRate(rates, 'NZD', 'AUD', new Date('2026-01-31T23:00:00Z'))).toEqual({ rate: 0.9, effectiveDate: '2026-01-01' });
+      expect(findExchangeRate(rates, 'NZD', 'AUD', new Date('2026-02-01T00:00:00Z'))).toEqual({ rate: 0.92, effectiveDate: '2026-02-01' });
+    });
+
+    it('should invert rates quoted the other way', () => {
+      expect(findExchangeRate(rates, 'GBP', 'AUD', new Date('2026-03-01T00:00:00Z'))).toEqual({ rate: 2, effectiveDate: '2026-01-15' });
+    });
+
+    it('should not use rates from after the date', () => {
+      expect(findExchangeRate(rates, 'NZD', 'AUD', new Date('2025-12-31T00:00:00Z'))).toBe(null);
+      expect(findExchangeRate(rates, 'USD', 'AUD', new Date('2026-03-01T00:00:00Z'))).toBe(null);
+    });
+
+    it('should convert a currency to itself at 1', () => {
+      expect(findExchangeRate([], 'AUD', 'AUD', new Date())).toEqual({ rate: 1, effectiveDate: null });
+    });
+  });
+
+  describe('createCurrencyConverter', () => {
+    it('should convert to cents and report missing currencies', () => {
+      const converter = createCurrencyConverter(rates, 'AUD');
+
+      expect(converter.convert('10.01', 'NZD', new Date('2026-02-10T00:00:00Z'))).toEqual({ amount: 9.21, rate: 0.92, effectiveDate: '2026-02-01' });
+      expect(converter.convert('10.00', 'USD', new Date('2026-02-10T00:00:00Z'))).toBe(null);
+      expect(converter.getMissingCurrencies()).toEqual(['USD']);
+    });
+  });
+
+  describe('parseExchangeRateCsv', () => {
+    it('should read rates and skip the header row', () => {
+      const { rates: parsed, errors } = parseExchangeRateCsv('Date,From,To,Rate\r\n2026-01-31,nzd,AUD,0.9123\n\n"2026-02-28","NZD","AUD","0.93"\n');
+
+      expect(errors).toEqual([]);
+      expect(parsed).toEqual([
+        { effectiveDate: '2026-01-31', fromCurrency: 'NZD', toCurrency: 'AUD', rate: 0.9123 },
+        { effectiveDate: '2026-02-28', fromCurrency: 'NZD', toCurrency: 'AUD', rate: 0.93 },
+      ]);
+    });
+
+    it('should report bad lines', () => {
+      const { rates: parsed, errors } = parseExchangeRateCsv('31/01/2026,NZD,AUD,0.9\n2026-01-31,NZD,AUD,-1\n2026-01-31,AUD,AUD,1\n2026-01-31,NZ,AUD,1');
+
+      expect(parsed).toEqual([]);
+      expect(errors.map(error => error.line)).toEqual([1, 2, 3, 4]);
+    });
+  });
+});
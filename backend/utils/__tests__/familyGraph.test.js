@@ -0,0 +1,84 @@
+/**
+ * Family Graph Tests
+ *
+ * Tests relationship types, the family graph and relationship-based defaults
+ */
+
+const {
+  isValidRelationshipType,
+  findRelationshipBetween,
+  buildFamilyGraph,
+  getRelatedMemberIds,
+} = require('../familyGraph');
+
+const members = [
+  { groupMemberId: 'nan', displayName: 'Nan', role: 'adult' },
+  { groupMemberId: 'mum', displayName: 'Mum', role: 'admin' },
+  { groupMemberId: 'dad', displayName: 'Dad', role: 'admin' },
+  { groupMemberId: 'steve', displayName: 'Steve', role: 'parent' },
+  { groupMemberId: 'ana', displayName: 'Ana', role: 'caregiver' },
+  { groupMemberId: 'sam', displayName: 'Sam', role: 'child' },
+  { groupMemberId: 'kim', displayName: 'Kim', role: 'child' },
+];
+
+const relationships = [
+  { relationshipId: 'r1', memberId1: 'nan', memberId2: 'mum', relationshipType: 'parent' },
+  { relationshipId: 'r2', memberId1: 'mum', memberId2: 'sam', relationshipType: 'parent' },
+  { relationshipId: 'r3', memberId1: 'dad', memberId2: 'sam', relationshipType: 'parent' },
+  { relationshipId: 'r4', memberId1: 'steve', memberId2: 'sam', relationshipType: 'step_parent' },
+  { relationshipId: 'r5', memberId1: 'ana', memberId2: 'sam', relationshipType: 'caregiver' },
+  { relationshipId: 'r6', memberId1: 'sam', memberId2: 'kim', relationshipType: 'sibling' },
+  { relationshipId: 'r7', memberId1: 'mum', memberId2: 'kim', relationshipType: 'parent' },
+];
+
+describe('Family Graph Utility', () => {
+  it('should check relationship types', () => {
+    expect(isValidRelationshipType('step_parent')).toBe(true);
+    expect(isValidRelationshipType('cousin')).toBe(false);
+  });
+
+  it('should find a relationship whichever way round it was recorded', () => {
+    expect(findRelationshipBetween(relationships, 'sam', 'dad').relationshipId).toBe('r3');
+    expect(findRelationshipBetween(relationships, 'dad', 'kim')).toBeNull();
+  });
+
+  describe('buildFamilyGraph', () => {
+    const graph = buildFamilyGraph(members, relationships);
+    const node = id => graph.members.find(m => m.groupMemberId === id);
+
+    it('should list relatives both ways round', () => {
+      expect(node('sam').parents).toEqual(['mum', 'dad']);
+      expect(node('sam').stepParents).toEqual(['steve']);
+      expect(node('sam').caregivers).toEqual(['ana']);
+      expect(node('sam').siblings).toEqual(['kim']);
+      expect(node('kim').siblings).toEqual(['sam']);
+      expect(node('mum').children).toEqual(['sam', 'kim']);
+      expect(node('steve').stepChildren).toEqual(['sam']);
+      expect(node('ana').caredFor).toEqual(['sam']);
+    });
+
+    it("should work out grandparents from parents' parents", () => {
+      expect(node('sam').grandparents).toEqual(['nan']);
+      expect(node('kim').grandparents).toEqual(['nan']);
+      expect(node('nan').grandchildren).toEqual(['sam', 'kim']);
+    });
+
+    it('should skip relationships with members who have left', () => {
+      const partial = buildFamilyGraph(members.filter(m => m.groupMemberId !== 'dad'), relationships);
+      expect(partial.edges.map(e => e.relationshipId)).not.toContain('r3');
+      expect(partial.members.find(m => m.groupMemberId === 'sam').parents).toEqual(['mum']);
+    });
+  });
+
+  describe('getRelatedMemberIds', () => {
+    it("should get the children's relatives of the given types", () => {
+      expect(getRelatedMemberIds(relationships, ['sam', 'kim'], ['parent'])).toEqual(['mum', 'dad']);
+      expect(getRelatedMemberIds(relationships, ['sam'], ['parent', 'step_parent', 'caregiver']))
+        .toEqual(['mum', 'dad', 'steve', 'ana']);
+    });
+
+    it('should leave out the children themselves', () => {
+      expect(getRelatedMemberIds(relationships, ['sam', 'kim'], ['sibling'])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Finance Balances Tests
+ *
+ * Tests outstanding shares and who-owes-whom for finance matters
+ */
+
+const {
+  toCents,
+  pairDebts,
+  calculateMemberBalances,
+  calculateSettlements,
+  isFullyPaid,
+  splitEvenly,
+  canReviewPayment,
+} = require('../financeBalances');
+
+describe('Finance Balances Utility', () => {
+  describe('toCents', () => {
+    it('should round numbers, strings and missing amounts to whole cents', () => {
+      expect(toCents(10.005)).toBe(1001);
+      expect(toCents('19.99')).toBe(1999);
+      expect(toCents(null)).toBe(0);
+    });
+  });
+
+  describe('pairDebts', () => {
+    it('should pay the largest creditors first', () => {
+      expect(pairDebts([
+        { groupMemberId: 'mum', cents: 3000 },
+        { groupMemberId: 'nan', cents: 1000 },
+        { groupMemberId: 'dad', cents: -4000 },
+      ])).toEqual([
+        { fromMemberId: 'dad', toMemberId: 'mum', cents: 3000 },
+        { fromMemberId: 'dad', toMemberId: 'nan', cents: 1000 },
+      ]);
+    });
+
+    it('should leave what no one is owed without a recipient', () => {
+      expect(pairDebts([
+        { groupMemberId: 'mum', cents: 1000 },
+        { groupMemberId: 'dad', cents: -2500 },
+      ])).toEqual([
+        { fromMemberId: 'dad', toMemberId: 'mum', cents: 1000 },
+        { fromMemberId: 'dad', toMemberId: null, cents: 1500 },
+      ]);
+    });
+  });
+
+  describe('calculateMemberBalances', () => {
+    it('should split each member into remaining share and credit', () => {
+      const balances = calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '500.00', paidAmount: '1000.00' },
+        { groupMemberId: 'dad', expectedAmount: '500.00', paidAmount: '0.00' },
+      ]);
+
+      expect(balances).toEqual([
+        { groupMemberId: 'mum', expectedAmount: 500, paidAmount: 1000, pendingAmount: 0, remainingAmount: 0, creditAmount: 500 },
+        { groupMemberId: 'dad', expectedAmount: 500, paidAmount: 0, pendingAmount: 0, remainingAmount: 500, creditAmount: 0 },
+      ]);
+    });
+
+    it('should total unconfirmed payments per payer', () => {
+      const [, dad] = calculateMemberBalances(
+        [
+          { groupMemberId: 'mum', expectedAmount: '50.00', paidAmount: '100.00' },
+          { groupMemberId: 'dad', expectedAmount: '50.00', paidAmount: '0.00' },
+        ],
+        [
+          { fromMemberId: 'dad', amount: '10.10' },
+          { fromMemberId: 'dad', amount: '20.20' },
+          { fromMemberId: 'mum', amount: '5.00' },
+        ]
+      );
+
+      expect(dad.pendingAmount).toBe(30.3);
+    });
+
+    it('should not leave rounding errors behind', () => {
+      const [member] = calculateMemberBalances([
+        { groupMemberId: 'sam', expectedAmount: '33.33', paidAmount: 0.1 + 0.2 + 33.03 },
+      ]);
+
+      expect(member.remainingAmount).toBe(0);
+      expect(member.creditAmount).toBe(0);
+    });
+  });
+
+  describe('calculateSettlements', () => {
+    it('should have debtors pay back members who paid more than their share', () => {
+      const balances = calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '300.00', paidAmount: '900.00' },
+        { groupMemberId: 'dad', expectedAmount: '300.00', paidAmount: '0.00' },
+        { groupMemberId: 'nan', expectedAmount: '300.00', paidAmount: '0.00' },
+      ]);
+
+      expect(calculateSettlements(balances)).toEqual([
+        { fromMemberId: 'dad', toMemberId: 'mum', amount: 300 },
+        { fromMemberId: 'nan', toMemberId: 'mum', amount: 300 },
+      ]);
+    });
+
+    it('should owe the rest towards the matter when nobody has overpaid', () => {
+      const balances = calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '500.00', paidAmount: '600.00' },
+        { groupMemberId: 'dad', expectedAmount: '500.00', paidAmount: '0.00' },
+      ]);
+
+      expect(calculateSettlements(balances)).toEqual([
+        { fromMemberId: 'dad', toMemberId: 'mum', amount: 100 },
+        { fromMemberId: 'dad', toMemberId: null, amount: 400 },
+      ]);
+    });
+
+    it('should return nothing once every share is paid', () => {
+      const balances = calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '500.00', paidAmount: '500.00' },
+      ]);
+
+      expect(calculateSettlements(balances)).toEqual([]);
+    });
+  });
+
+  describe('isFullyPaid', () => {
+    it('should only be true when no member has a remaining share', () => {
+      expect(isFullyPaid(calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '500.00', paidAmount: '500.00' },
+        { groupMemberId: 'dad', expectedAmount: '500.00', paidAmount: '499.99' },
+      ]))).toBe(false);
+
+      expect(isFullyPaid(calculateMemberBalances([
+        { groupMemberId: 'mum', expectedAmount: '500.00', paidAmount: '500.00' },
+        { groupMemberId: 'dad', expectedAmount: '500.00', paidAmount: '500.00' },
+      ]))).toBe(true);
+    });
+  });
+
+  describe('splitEvenly', () => {
+    it('should give the remainder to the first members', () => {
+      expect(splitEvenly(['mum', 'dad', 'gran'], '100.00')).toEqual([
+        { groupMemberId: 'mum', expectedPercentage: 33.34, expectedAmount: 33.34, paidAmount: 0 },
+        { groupMemberId: 'dad', expectedPercentage: 33.33, expectedAmount: 33.33, paidAmount: 0 },
+        { groupMemberId: 'gran', expectedPercentage: 33.33, expectedAmount: 33.33, paidAmount: 0 },
+      ]);
+    });
+
+    it('should split two ways exactly', () => {
+      expect(splitEvenly(['mum', 'dad'], 45.5).map(share => share.expectedAmount)).toEqual([22.75, 22.75]);
+    });
+  });
+
+  describe('canReviewPayment', () => {
+    const matter = { createdBy: 'mum' };
+
+    it('should let only the recipient review a payment to a member', () => {
+      const payment = { fromMemberId: 'dad', toMemberId: 'mum', financeMatter: matter };
+
+      expect(canReviewPayment(payment, { groupMemberId: 'mum', role: 'parent' })).toBe(true);
+      expect(canReviewPayment(payment, { groupMemberId: 'gran', role: 'admin' })).toBe(false);
+    });
+
+    it('should let the matter creator or an admin review a payment towards the matter', () => {
+      const payment = { fromMemberId: 'dad', toMemberId: null, financeMatter: matter };
+
+      expect(canReviewPayment(payment, { groupMemberId: 'mum', role: 'parent' })).toBe(true);
+      expect(canReviewPayment(payment, { groupMemberId: 'gran', role: 'admin' })).toBe(true);
+      expect(canReviewPayment(payment, { groupMemberId: 'aunt', role: 'adult' })).toBe(false);
+    });
+
+    it('should not let the payer review their own payment', () => {
+      // The creator paying towards their own matter
+      expect(canReviewPayment(
+        { fromMemberId: 'mum', toMemberId: null, financeMatter: matter },
+        { groupMemberId: 'mum', role: 'admin' }
+      )).toBe(false);
+
+      // An admin paying towards someone else's matter
+      expect(canReviewPayment(
+        { fromMemberId: 'dad', toMemberId: null, financeMatter: matter },
+        { groupMemberId: 'dad', role: 'admin' }
+      )).toBe(false);
+    });
+  });
+});
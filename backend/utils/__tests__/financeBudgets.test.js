@@ -0,0 +1,73 @@
+/**
+ * Finance Budget Tests
+ *
+ * Tests spent vs budget per expense category and per child
+ */
+
+const { buildBudgetSummary } = require('../financeBudgets');
+
+const categories = [
+  { categoryId: 'medical', name: 'Medical' },
+  { categoryId: 'education', name: 'Education' },
+];
+
+describe('Finance Budget Utility', () => {
+  describe('buildBudgetSummary', () => {
+    it('should total spending per category against its budget', () => {
+      const [summary] = buildBudgetSummary({
+        matters: [
+          { currency: 'AUD', totalAmount: '120.00', categoryId: 'medical', children: [] },
+          { currency: 'AUD', totalAmount: '30.50', categoryId: 'medical', children: [] },
+          { currency: 'AUD', totalAmount: '15.00', categoryId: null, children: [] },
+        ],
+        categories,
+        budgets: [
+          { categoryId: 'medical', currency: 'AUD', amount: '500.00' },
+          { categoryId: 'education', currency: 'AUD', amount: '2000.00' },
+        ],
+      });
+
+      expect(summary.currency).toBe('AUD');
+      expect(summary.spentAmount).toBe(165.5);
+      expect(summary.budgetAmount).toBe(2500);
+      expect(summary.categories).toEqual([
+        { categoryId: 'medical', name: 'Medical', matterCount: 2, spentAmount: 150.5, budgetAmount: 500, remainingAmount: 349.5 },
+        { categoryId: 'education', name: 'Education', matterCount: 0, spentAmount: 0, budgetAmount: 2000, remainingAmount: 2000 },
+        { categoryId: null, name: 'Uncategorized', matterCount: 1, spentAmount: 15, budgetAmount: null, remainingAmount: null },
+      ]);
+    });
+
+    it('should split a matter evenly between its children', () => {
+      const [summary] = buildBudgetSummary({
+        matters: [
+          { currency: 'AUD', totalAmount: '100.00', categoryId: 'education', children: [{ groupMemberId: 'sam' }, { groupMemberId: 'alex' }, { groupMemberId: 'jo' }] },
+          { currency: 'AUD', totalAmount: '20.00', categoryId: 'medical', children: [{ groupMemberId: 'sam' }] },
+        ],
+        categories,
+        budgets: [],
+      });
+
+      const byChild = Object.fromEntries(summary.children.map(child => [child.groupMemberId, child]));
+      expect(byChild.alex.spentAmount).toBe(33.34);
+      expect(byChild.jo.spentAmount).toBe(33.33);
+      expect(byChild.sam.spentAmount).toBe(53.33);
+      expect(byChild.sam.categories).toEqual([
+        { categoryId: 'medical', spentAmount: 20 },
+        { categoryId: 'education', spentAmount: 33.33 },
+      ]);
+    });
+
+    it('should keep currencies apart', () => {
+      const summary = buildBudgetSummary({
+        matters: [
+          { currency: 'NZD', totalAmount: '10.00', categoryId: 'medical', children: [] },
+          { currency: 'AUD', totalAmount: '20.00', categoryId: 'medical', children: [] },
+        ],
+        categories,
+        budgets: [],
+      });
+
+      expect(summary.map(entry => [entry.currency, entry.spentAmount])).toEqual([['AUD', 20], ['NZD', 10]]);
+    });
+  });
+});
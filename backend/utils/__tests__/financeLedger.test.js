@@ -0,0 +1,188 @@
+/**
+ * Finance Ledger Tests
+ *
+ * Tests net balances across finance matters, settle-up suggestions and
+ * splitting a settlement payment across matters
+ */
+
+const { simplifyDebts, buildLedger, convertLedger, allocateSettlement } = require('../financeLedger');
+const { createCurrencyConverter } = require('../exchangeRates');
+
+/**
+ * Build a finance matter where `paid` members paid the whole amount up front
+ * @param {string} financeMatterId - Finance matter ID
+ * @param {Object<string, number>} shares - Expected amount per member
+ * @param {Object<string, number>} paid - Paid amount per member
+ * @param {string} currency - Currency
+ * @returns {Object} Finance matter
+ */
+function matter(financeMatterId, shares, paid, currency = 'AUD') {
+  return {
+    financeMatterId,
+    currency,
+    members: Object.keys(shares).map(groupMemberId => ({
+      groupMemberId,
+      expectedAmount: shares[groupMemberId].toFixed(2),
+      paidAmount: (paid[groupMemberId] || 0).toFixed(2),
+    })),
+    pendingPayments: [],
+  };
+}
+
+/**
+ * Net change per member from a set of allocations (positive = paid out)
+ * @param {Array<Object>} allocations - Allocations
+ * @returns {Object<string, number>} Net per member
+ */
+function netPaid(allocations) {
+  const net = {};
+  for (const allocation of allocations) {
+    net[allocation.fromMemberId] = (net[allocation.fromMemberId] || 0) + allocation.amount;
+    net[allocation.toMemberId] = (net[allocation.toMemberId] || 0) - allocation.amount;
+  }
+  return net;
+}
+
+describe('Finance Ledger Utility', () => {
+  describe('simplifyDebts', () => {
+    it('should settle independent pairs with one transfer each', () => {
+      const transfers = simplifyDebts({ a: 10, b: -10, c: 7, d: -7 });
+
+      expect(transfers).toHaveLength(2);
+      expect(transfers).toEqual(expect.arrayContaining([
+        { fromMemberId: 'b', toMemberId: 'a', amount: 10 },
+        { fromMemberId: 'd', toMemberId: 'c', amount: 7 },
+      ]));
+    });
+
+    it('should use fewer transfers than pairing largest amounts first', () => {
+      // Largest-first pairing needs 4 transfers here; {5,-5} and {6,4,-10} need 3
+      const transfers = simplifyDebts({ a: 6, b: 5, c: 4, d: -5, e: -10 });
+
+      expect(transfers).toHaveLength(3);
+      expect(transfers).toContainEqual({ fromMemberId: 'd', toMemberId: 'b', amount: 5 });
+    });
+
+    it('should ignore members who are square', () => {
+      expect(simplifyDebts({ a: 0, b: 0 })).toEqual([]);
+    });
+  });
+
+  describe('buildLedger', () => {
+    it('should net balances per currency across matters', () => {
+      const ledger = buildLedger([
+        matter('m1', { mum: 50, dad: 50 }, { mum: 100 }),
+        matter('m2', { mum: 20, dad: 20 }, { dad: 40 }),
+        matter('m3', { mum: 15, dad: 15 }, { dad: 30 }, 'NZD'),
+      ]);
+
+      expect(ledger.map(entry => entry.currency)).toEqual(['AUD', 'NZD']);
+      expect(ledger[0].matterCount).toBe(2);
+      expect(ledger[0].balances).toEqual([
+        { groupMemberId: 'mum', netAmount: 30, owedTowardsMatters: 0 },
+        { groupMemberId: 'dad', netAmount: -30, owedTowardsMatters: 0 },
+      ]);
+      expect(ledger[0].transfers).toEqual([{ fromMemberId: 'dad', toMemberId: 'mum', amount: 30 }]);
+      expect(ledger[1].transfers).toEqual([{ fromMemberId: 'mum', toMemberId: 'dad', amount: 15 }]);
+    });
+
+    it('should keep amounts still owed towards a matter out of the transfers', () => {
+      const [entry] = buildLedger([matter('m1', { mum: 50, dad: 50 }, { mum: 20 })]);
+
+      expect(entry.balances).toEqual([
+        { groupMemberId: 'mum', netAmount: 0, owedTowardsMatters: 30 },
+        { groupMemberId: 'dad', netAmount: 0, owedTowardsMatters: 50 },
+      ]);
+      expect(entry.transfers).toEqual([]);
+    });
+  });
+
+  describe('convertLedger', () => {
+    it('should combine currencies into the base currency at one date', () => {
+      const ledger = buildLedger([
+        matter('m1', { mum: 50, dad: 50 }, { mum: 100 }),
+        matter('m2', { mum: 15, dad: 15 }, { dad: 30 }, 'NZD'),
+        matter('m3', { mum: 5, dad: 5 }, { dad: 10 }, 'USD'),
+      ]);
+      const converter = createCurrencyConverter([
+        { fromCurrency: 'NZD', toCurrency: 'AUD', rate: '0.9', effectiveDate: new Date('2026-01-01T00:00:00Z') },
+      ], 'AUD');
+
+      const { entries, combined } = convertLedger(ledger, converter, new Date('2026-03-01T00:00:00Z'));
+
+      expect(entries[1].exchangeRate).toEqual({ rate: 0.9, effectiveDate: '2026-01-01' });
+      expect(entries[1].balances[0]).toMatchObject({ netAmount: -15, convertedNetAmount: -13.5 });
+      expect(entries[2].exchangeRate).toBe(null);
+      expect(combined.currency).toBe('AUD');
+      expect(combined.balances).toEqual([
+        { groupMemberId: 'mum', netAmount: 36.5, owedTowardsMatters: 0 },
+        { groupMemberId: 'dad', netAmount: -36.5, owedTowardsMatters: 0 },
+      ]);
+      expect(combined.transfers).toEqual([{ fromMemberId: 'dad', toMemberId: 'mum', amount: 36.5 }]);
+      expect(combined.missingCurrencies).toEqual(['USD']);
+    });
+  });
+
+  describe('allocateSettlement', () => {
+    it('should spread a payment across matters, oldest first', () => {
+      const { allocations, unallocatedAmount } = allocateSettlement([
+        matter('m1', { mum: 50, dad: 50 }, { mum: 100 }),
+        matter('m2', { mum: 20, dad: 20 }, { mum: 40 }),
+      ], 'dad', 'mum', 60);
+
+      expect(unallocatedAmount).toBe(0);
+      expect(allocations).toEqual([
+        { financeMatterId: 'm1', fromMemberId: 'dad', toMemberId: 'mum', amount: 50 },
+        { financeMatterId: 'm2', fromMemberId: 'dad', toMemberId: 'mum', amount: 10 },
+      ]);
+    });
+
+    it('should cancel out debts running the other way', () => {
+      const { allocations } = allocateSettlement([
+        matter('m1', { mum: 50, dad: 50 }, { mum: 100 }),
+        matter('m2', { mum: 20, dad: 20 }, { dad: 40 }),
+      ], 'dad', 'mum', 30);
+
+      expect(allocations).toEqual([
+        { financeMatterId: 'm1', fromMemberId: 'dad', toMemberId: 'mum', amount: 50 },
+        { financeMatterId: 'm2', fromMemberId: 'mum', toMemberId: 'dad', amount: 20 },
+      ]);
+      expect(netPaid(allocations)).toEqual({ dad: 30, mum: -30 });
+    });
+
+    it('should pass a payment through a member who owes the recipient', () => {
+      // Dad owes Nan on m1; Nan owes Mum on m2, so the ledger suggests Dad pays Mum
+      const { allocations, unallocatedAmount } = allocateSettlement([
+        matter('m1', { nan: 25, dad: 25 }, { nan: 50 }),
+        matter('m2', { nan: 25, mum: 25 }, { mum: 50 }),
+      ], 'dad', 'mum', 25);
+
+      expect(unallocatedAmount).toBe(0);
+      expect(allocations).toEqual([
+        { financeMatterId: 'm1', fromMemberId: 'dad', toMemberId: 'nan', amount: 25 },
+        { financeMatterId: 'm2', fromMemberId: 'nan', toMemberId: 'mum', amount: 25 },
+      ]);
+      expect(netPaid(allocations)).toEqual({ dad: 25, nan: 0, mum: -25 });
+    });
+
+    it('should not allocate what is already awaiting confirmation', () => {
+      const m1 = matter('m1', { mum: 50, dad: 50 }, { mum: 100 });
+      m1.pendingPayments = [{ fromMemberId: 'dad', toMemberId: 'mum', amount: '40.00' }];
+
+      const { allocations, unallocatedAmount } = allocateSettlement([m1], 'dad', 'mum', 25);
+
+      expect(allocations).toEqual([{ financeMatterId: 'm1', fromMemberId: 'dad', toMemberId: 'mum', amount: 10 }]);
+      expect(unallocatedAmount).toBe(15);
+    });
+
+    it('should allocate what a rejected payment did not pay', () => {
+      const m1 = matter('m1', { mum: 50, dad: 50 }, { mum: 100 });
+      m1.pendingPayments = [{ fromMemberId: 'dad', toMemberId: 'mum', amount: '40.00', isRejected: true }];
+
+      const { allocations, unallocatedAmount } = allocateSettlement([m1], 'dad', 'mum', 50);
+
+      expect(allocations).toEqual([{ financeMatterId: 'm1', fromMemberId: 'dad', toMemberId: 'mum', amount: 50 }]);
+      expect(unallocatedAmount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Finance Recurrence Tests
+ *
+ * Tests occurrence dates for recurring finance matter templates
+ */
+
+const {
+  isValidFrequency,
+  getOccurrenceDate,
+  getDueOccurrences,
+  getNextOccurrenceDate,
+} = require('../financeRecurrence');
+
+describe('Finance Recurrence Utility', () => {
+  describe('isValidFrequency', () => {
+    it('should accept the supported frequencies only', () => {
+      expect(['weekly', 'fortnightly', 'monthly', 'termly'].every(isValidFrequency)).toBe(true);
+      expect(isValidFrequency('daily')).toBe(false);
+      expect(isValidFrequency('toString')).toBe(false);
+    });
+  });
+
+  describe('getOccurrenceDate', () => {
+    const start = new Date('2026-01-31T09:00:00.000Z');
+
+    it('should step weekly and fortnightly by days', () => {
+      expect(getOccurrenceDate(start, 'weekly', 2).toISOString()).toBe('2026-02-14T09:00:00.000Z');
+      expect(getOccurrenceDate(start, 'fortnightly', 1).toISOString()).toBe('2026-02-14T09:00:00.000Z');
+    });
+
+    it('should clamp monthly occurrences to the end of shorter months', () => {
+      expect(getOccurrenceDate(start, 'monthly', 1).toISOString()).toBe('2026-02-28T09:00:00.000Z');
+      expect(getOccurrenceDate(start, 'monthly', 2).toISOString()).toBe('2026-03-31T09:00:00.000Z');
+    });
+
+    it('should step termly by three months across years', () => {
+      expect(getOccurrenceDate(start, 'termly', 1).toISOString()).toBe('2026-04-30T09:00:00.000Z');
+      expect(getOccurrenceDate(start, 'termly', 4).toISOString()).toBe('2027-01-31T09:00:00.000Z');
+    });
+  });
+
+  describe('getDueOccurrences', () => {
+    const template = {
+      startDate: new Date('2026-03-01T00:00:00.000Z'),
+      frequency: 'weekly',
+      endDate: null,
+      occurrenceCount: 1,
+    };
+
+    it('should return occurrences not yet created up to now', () => {
+      const due = getDueOccurrences(template, new Date('2026-03-16T00:00:00.000Z'), 10);
+
+      expect(due.map(occurrence => occurrence.index)).toEqual([1, 2]);
+      expect(due[1].date.toISOString()).toBe('2026-03-15T00:00:00.000Z');
+    });
+
+    it('should stop at the end date and the limit', () => {
+      const now = new Date('2026-06-01T00:00:00.000Z');
+
+      expect(getDueOccurrences({ ...template, endDate: new Date('2026-03-10T00:00:00.000Z') }, now, 10)).toHaveLength(1);
+      expect(getDueOccurrences(template, now, 3)).toHaveLength(3);
+    });
+  });
+
+  describe('getNextOccurrenceDate', () => {
+    it('should return null once the schedule has ended', () => {
+      const template = {
+        startDate: new Date('2026-03-01T00:00:00.000Z'),
+        frequency: 'monthly',
+        endDate: new Date('2026-04-15T00:00:00.000Z'),
+      };
+
+      expect(getNextOccurrenceDate(template, 1).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+      expect(getNextOccurrenceDate(template, 2)).toBeNull();
+    });
+  });
+});
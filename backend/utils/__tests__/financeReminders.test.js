@@ -0,0 +1,76 @@
+/**
+ * Finance Reminder Tests
+ *
+ * Tests due-date reminder scheduling and the overdue flag
+ */
+
+const {
+  isValidReminderDays,
+  getDueReminderDay,
+  getOverdueDays,
+  isFinanceMatterOverdue,
+  describeReminderDay,
+} = require('../financeReminders');
+
+const matter = {
+  dueDate: new Date('2026-03-10T00:00:00Z'),
+  createdAt: new Date('2026-02-01T00:00:00Z'),
+};
+
+describe('Finance Reminder Utility', () => {
+  describe('isValidReminderDays', () => {
+    it('should accept distinct whole days in range', () => {
+      expect(isValidReminderDays([-3, 0, 1, 7])).toBe(true);
+      expect(isValidReminderDays([])).toBe(true);
+    });
+
+    it('should reject bad values', () => {
+      expect(isValidReminderDays('3')).toBe(false);
+      expect(isValidReminderDays([1.5])).toBe(false);
+      expect(isValidReminderDays([1, 1])).toBe(false);
+      expect(isValidReminderDays([-31])).toBe(false);
+      expect(isValidReminderDays([1, 2, 3, 4, 5, 6, 7])).toBe(false);
+    });
+  });
+
+  describe('getDueReminderDay', () => {
+    it('should return the latest reminder that has come due', () => {
+      expect(getDueReminderDay(matter, [-3, 0, 1, 7], new Date('2026-03-06T00:00:00Z'))).toBe(null);
+      expect(getDueReminderDay(matter, [-3, 0, 1, 7], new Date('2026-03-07T00:00:00Z'))).toBe(-3);
+      expect(getDueReminderDay(matter, [-3, 0, 1, 7], new Date('2026-03-12T12:00:00Z'))).toBe(1);
+      expect(getDueReminderDay(matter, [-3, 0, 1, 7], new Date('2026-04-30T00:00:00Z'))).toBe(7);
+    });
+
+    it('should skip reminders from before the matter was created', () => {
+      const lateMatter = { ...matter, createdAt: new Date('2026-03-09T00:00:00Z') };
+      expect(getDueReminderDay(lateMatter, [-3], new Date('2026-03-09T12:00:00Z'))).toBe(null);
+    });
+
+    it('should return null without a due date', () => {
+      expect(getDueReminderDay({ dueDate: null }, [0], new Date())).toBe(null);
+    });
+  });
+
+  describe('overdue', () => {
+    it('should count whole days overdue', () => {
+      expect(getOverdueDays(matter.dueDate, new Date('2026-03-09T00:00:00Z'))).toBe(0);
+      expect(getOverdueDays(matter.dueDate, new Date('2026-03-17T06:00:00Z'))).toBe(7);
+    });
+
+    it('should flag open matters past their due date', () => {
+      const now = new Date('2026-03-11T00:00:00Z');
+      expect(isFinanceMatterOverdue(matter, now)).toBe(true);
+      expect(isFinanceMatterOverdue({ ...matter, isSettled: true }, now)).toBe(false);
+      expect(isFinanceMatterOverdue({ ...matter, isCanceled: true }, now)).toBe(false);
+      expect(isFinanceMatterOverdue({ dueDate: null }, now)).toBe(false);
+      expect(isFinanceMatterOverdue(matter, new Date('2026-03-09T00:00:00Z'))).toBe(false);
+    });
+
+    it('should describe reminder days', () => {
+      expect(describeReminderDay(-3)).toBe('is due in 3 days');
+      expect(describeReminderDay(-1)).toBe('is due tomorrow');
+      expect(describeReminderDay(0)).toBe('is due today');
+      expect(describeReminderDay(7)).toBe('is 7 days overdue');
+    });
+  });
+});
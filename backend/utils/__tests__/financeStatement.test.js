@@ -0,0 +1,155 @@
+/**
+ * Finance Statement Tests
+ *
+ * Tests the finance statement (shares, payments and outstanding balances)
+ * and its CSV export
+ */
+
+const { buildFinanceStatement, buildFinanceStatementCsv } = require('../financeStatement');
+const { createCurrencyConverter } = require('../exchangeRates');
+
+const mum = { groupMemberId: 'mum', displayName: 'Mum', user: null };
+const dad = { groupMemberId: 'dad', displayName: 'Dad', user: { displayName: 'Dad (account)' } };
+
+/**
+ * Build a finance matter split evenly between Mum and Dad
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Finance matter
+ */
+function matter(overrides = {}) {
+  return {
+    financeMatterId: 'm1',
+    name: 'School fees',
+    createdAt: new Date('2026-02-01T00:00:00.000Z'),
+    dueDate: null,
+    currency: 'AUD',
+    totalAmount: '200.00',
+    isSettled: false,
+    isCanceled: false,
+    members: [
+      { groupMemberId: 'mum', groupMember: mum, expectedAmount: '100.00', paidAmount: '200.00' },
+      { groupMemberId: 'dad', groupMember: dad, expectedAmount: '100.00', paidAmount: '40.00' },
+    ],
+    payments: [
+      {
+        paymentId: 'p2',
+        fromMemberId: 'dad',
+        toMemberId: 'mum',
+        fromMember: dad,
+        toMember: mum,
+        amount: '60.00',
+        reportedAt: new Date('2026-02-05T00:00:00.000Z'),
+        isConfirmed: false,
+        isRejected: true,
+        rejectedAt: new Date('2026-02-06T00:00:00.000Z'),
+      },
+      {
+        paymentId: 'p1',
+        fromMemberId: 'dad',
+        toMemberId: 'mum',
+        fromMember: dad,
+        toMember: mum,
+        amount: '40.00',
+        reportedAt: new Date('2026-02-02T00:00:00.000Z'),
+        isConfirmed: true,
+        isRejected: false,
+        confirmedAt: new Date('2026-02-03T00:00:00.000Z'),
+      },
+      {
+        paymentId: 'p3',
+        fromMemberId: 'dad',
+        toMemberId: 'mum',
+        fromMember: dad,
+        toMember: mum,
+        amount: '10.00',
+        reportedAt: new Date('2026-02-07T00:00:00.000Z'),
+        isConfirmed: false,
+        isRejected: false,
+      },
+    ],
+    ...overrides,
+  };
+}
+
+describe('Finance Statement Utility', () => {
+  describe('buildFinanceStatement', () => {
+    it('should list shares, outstanding balances and reviewed payments', () => {
+      const { matters, totals } = buildFinanceStatement([matter()]);
+
+      expect(matters[0].status).toBe('Open');
+      expect(matters[0].members).toEqual([
+        { groupMemberId: 'mum', displayName: 'Mum', expectedAmount: 100, paidAmount: 200, outstandingAmount: 0 },
+        { groupMemberId: 'dad', displayName: 'Dad (account)', expectedAmount: 100, paidAmount: 40, outstandingAmount: 60 },
+      ]);
+      // Pending payments are left off; the rest are in the order they were reported
+      expect(matters[0].payments.map(payment => [payment.paymentId, payment.status])).toEqual([
+        ['p1', 'Confirmed'],
+        ['p2', 'Rejected'],
+      ]);
+      expect(totals).toEqual([{
+        currency: 'AUD',
+        matterCount: 1,
+        totalAmount: 200,
+        expectedAmount: 200,
+        paidAmount: 240,
+        outstandingAmount: 60,
+        rejectedAmount: 60,
+      }]);
+    });
+
+    it('should narrow the statement to one member', () => {
+      const { matters, totals } = buildFinanceStatement([matter()], { memberId: 'mum' });
+
+      expect(matters[0].members.map(member => member.groupMemberId)).toEqual(['mum']);
+      expect(matters[0].payments).toHaveLength(2);
+      expect(totals[0].expectedAmount).toBe(100);
+      expect(totals[0].outstandingAmount).toBe(0);
+    });
+
+    it('should list canceled matters without counting them', () => {
+      const { matters, totals } = buildFinanceStatement([matter({ isCanceled: true })]);
+
+      expect(matters[0].status).toBe('Canceled');
+      expect(matters[0].members[1].outstandingAmount).toBe(0);
+      expect(totals[0]).toMatchObject({ matterCount: 1, totalAmount: 0, outstandingAmount: 0 });
+    });
+  });
+
+  describe('base currency', () => {
+    it('should convert shares at the matter date and payments at the payment date', () => {
+      const converter = createCurrencyConverter([
+        { fromCurrency: 'AUD', toCurrency: 'NZD', rate: '1.1', effectiveDate: new Date('2026-01-01T00:00:00Z') },
+        { fromCurrency: 'AUD', toCurrency: 'NZD', rate: '1.2', effectiveDate: new Date('2026-02-04T00:00:00Z') },
+      ], 'NZD');
+
+      const { matters, convertedTotals } = buildFinanceStatement([matter()], { converter });
+
+      expect(matters[0].exchangeRate).toEqual({ rate: 1.1, effectiveDate: '2026-01-01' });
+      expect(matters[0].convertedTotalAmount).toBe(220);
+      expect(matters[0].members[1]).toMatchObject({ convertedExpectedAmount: 110, convertedPaidAmount: 44, convertedOutstandingAmount: 66 });
+      expect(matters[0].payments.map(payment => payment.convertedAmount)).toEqual([44, 72]);
+      expect(convertedTotals).toEqual({
+        currency: 'NZD',
+        matterCount: 1,
+        totalAmount: 220,
+        expectedAmount: 220,
+        paidAmount: 264,
+        outstandingAmount: 66,
+        rejectedAmount: 72,
+        missingCurrencies: [],
+      });
+    });
+  });
+
+  describe('buildFinanceStatementCsv', () => {
+    it('should write one row per share and per payment', () => {
+      const csv = buildFinanceStatementCsv(buildFinanceStatement([matter()]));
+      const lines = csv.trim().split('\r\n');
+
+      expect(lines[0]).toBe('Date,Finance Matter,Status,Currency,Entry,Member,To,Amount,Paid,Outstanding,Finance Matter ID');
+      expect(lines).toHaveLength(5);
+      expect(lines[2]).toBe('2026-02-01T00:00:00.000Z,School fees,Open,AUD,Share,Dad (account),,100,40,60,m1');
+      expect(lines[4]).toBe('2026-02-06T00:00:00.000Z,School fees,Open,AUD,Rejected payment,Dad (account),Mum,60,,,m1');
+    });
+  });
+});
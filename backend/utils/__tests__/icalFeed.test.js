@@ -0,0 +1,215 @@
+/**
+ * iCal Feed Tests
+ *
+ * Tests the published .ics content: series with RRULE/EXDATE, overridden
+ * instances, responsibility descriptions and layer filtering
+ */
+
+const ICAL = require('ical.js');
+const {
+  buildEventUid,
+  isEventVisibleForLayers,
+  describeResponsibilities,
+  buildCalendarFeed,
+} = require('../icalFeed');
+
+const mum = { groupMemberId: 'mum', displayName: 'Mum', user: null };
+const dad = { groupMemberId: 'dad', displayName: 'Dad', user: { displayName: 'Dad (account)' } };
+const kid = { groupMemberId: 'kid', displayName: 'Kid', user: null };
+
+/**
+ * Build a CalendarEvent as loaded for the feed
+ */
+function calendarEvent(eventId, overrides = {}) {
+  return {
+    eventId,
+    title: `Event ${eventId}`,
+    notes: null,
+    startTime: new Date('2025-01-06T09:00:00.000Z'),
+    endTime: new Date('2025-01-06T10:00:00.000Z'),
+    isRecurring: false,
+    recurrencePattern: null,
+    recurrenceEndDate: null,
+    parentEventId: null,
+    recurrenceId: null,
+    attendees: [],
+    responsibilityEvents: [],
+    exceptionDates: [],
+    childEvents: [],
+    ...overrides,
+  };
+}
+
+/**
+ * Parse feed output back into VEVENT components
+ */
+function parseFeed(ics) {
+  return new ICAL.Component(ICAL.parse(ics)).getAllSubcomponents('vevent');
+}
+
+describe('iCal Feed Utility', () => {
+  const generatedAt = new Date('2025-01-01T00:00:00.000Z');
+
+  describe('isEventVisibleForLayers', () => {
+    const handover = calendarEvent('1', {
+      responsibilityEvents: [{ child: kid, startResponsibleMember: mum, endResponsibleMember: dad }],
+    });
+
+    it('should show everything when no layer preferences are set', () => {
+      expect(isEventVisibleForLayers(handover, [])).toBe(true);
+    });
+
+    it('should show an event if any related member layer is visible', () => {
+      const prefs = [
+        { memberLayerId: 'kid', isVisible: false },
+        { memberLayerId: 'mum', isVisible: false },
+      ];
+      // Dad has no preference, so his layer counts as visible
+      expect(isEventVisibleForLayers(handover, prefs)).toBe(true);
+      expect(isEventVisibleForLayers(handover, [...prefs, { memberLayerId: 'dad', isVisible: false }])).toBe(false);
+    });
+
+    it('should filter by attendee and keep events with nobody attached', () => {
+      const prefs = [{ memberLayerId: 'mum', isVisible: false }];
+      expect(isEventVisibleForLayers(calendarEvent('2', { attendees: [{ groupMemberId: 'mum' }] }), prefs)).toBe(false);
+      expect(isEventVisibleForLayers(calendarEvent('3'), prefs)).toBe(true);
+    });
+  });
+
+  describe('describeResponsibilities', () => {
+    it('should describe handovers between members and other people', () => {
+      expect(describeResponsibilities([
+        { child: kid, startResponsibilityType: 'member', startResponsibleMember: mum, endResponsibilityType: 'member', endResponsibleMember: dad },
+        { child: kid, startResponsibilityType: 'other', startResponsibleOtherName: 'School', endResponsibilityType: 'other', endResponsibleOtherName: 'School' },
+      ])).toEqual([
+        'Kid: Mum → Dad (account)',
+        'Kid: School',
+      ]);
+    });
+  });
+
+  describe('buildCalendarFeed', () => {
+    it('should publish a valid calendar with escaped text', () => {
+      const ics = buildCalendarFeed({
+        calendarName: 'Smith, Family',
+        events: [calendarEvent('1', { title: 'Pick-up; school, gate 2', notes: 'Bring the bag' })],
+        generatedAt,
+      });
+
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME;VALUE=TEXT:Smith\\, Family');
+
+      const [vevent] = parseFeed(ics);
+      expect(vevent.getFirstPropertyValue('uid')).toBe(buildEventUid('1'));
+      expect(vevent.getFirstPropertyValue('summary')).toBe('Pick-up; school, gate 2');
+      expect(vevent.getFirstPropertyValue('description')).toBe('Bring the bag');
+      expect(vevent.getFirstPropertyValue('dtstart').toJSDate().toISOString()).toBe('2025-01-06T09:00:00.000Z');
+    });
+
+    it('should publish series with RRULE, UNTIL and EXDATEs, and overrides with RECURRENCE-ID', () => {
+      const series = calendarEvent('series', {
+        isRecurring: true,
+        recurrencePattern: 'FREQ=WEEKLY;BYDAY=MO',
+        recurrenceEndDate: new Date('2025-03-03T00:00:00.000Z'),
+        exceptionDates: [{ recurrenceId: new Date('2025-01-13T09:00:00.000Z') }],
+        childEvents: [
+          { eventId: 'moved', recurrenceId: new Date('2025-01-20T09:00:00.000Z') },
+          { eventId: 'old-override', recurrenceId: new Date('2025-01-27T09:00:00.000Z') },
+        ],
+      });
+      const moved = calendarEvent('moved', {
+        parentEventId: 'series',
+        recurrenceId: new Date('2025-01-20T09:00:00.000Z'),
+        startTime: new Date('2025-01-20T11:00:00.000Z'),
+        endTime: new Date('2025-01-20T12:00:00.000Z'),
+      });
+
+      const [master, override] = parseFeed(buildCalendarFeed({ calendarName: 'Family', events: [series, moved], generatedAt }));
+
+      const rule = master.getFirstPropertyValue('rrule');
+      expect(rule.freq).toBe('WEEKLY');
+      // The end date includes that whole day, as when the app expands the series
+      expect(rule.until.toJSDate().toISOString()).toBe('2025-03-03T23:59:59.000Z');
+      // The override that isn't published is excluded so the original doesn't reappear
+      expect(master.getAllProperties('exdate').map(p => p.getFirstValue().toJSDate().toISOString())).toEqual([
+        '2025-01-13T09:00:00.000Z',
+        '2025-01-27T09:00:00.000Z',
+      ]);
+
+      expect(override.getFirstPropertyValue('uid')).toBe(buildEventUid('series'));
+      expect(override.getFirstPropertyValue('recurrence-id').toJSDate().toISOString()).toBe('2025-01-20T09:00:00.000Z');
+      expect(override.getFirstPropertyValue('dtstart').toJSDate().toISOString()).toBe('2025-01-20T11:00:00.000Z');
+    });
+
+    it('should publish a date-only UNTIL as the end of that day', () => {
+      const series = calendarEvent('series', {
+        isRecurring: true,
+        recurrencePattern: 'FREQ=DAILY;UNTIL=20250110',
+      });
+
+      const [master] = parseFeed(buildCalendarFeed({ calendarName: 'Family', events: [series], generatedAt }));
+
+      const rule = master.getFirstPropertyValue('rrule');
+      expect(rule.until.isDate).toBe(false);
+      expect(rule.until.toJSDate().toISOString()).toBe('2025-01-10T23:59:59.000Z');
+    });
+
+    it('should publish a series with a time zone in local time', () => {
+      const series = calendarEvent('series', {
+        isRecurring: true,
+        recurrencePattern: 'FREQ=WEEKLY',
+        startTime: new Date('2025-03-24T06:00:00.000Z'),
+        endTime: new Date('2025-03-24T07:00:00.000Z'),
+        timeZone: 'Australia/Sydney',
+      });
+
+      const ics = buildCalendarFeed({ calendarName: 'Family', events: [series], generatedAt });
+
+      expect(ics).toContain('DTSTART;TZID=Australia/Sydney:20250324T170000');
+      expect(ics).toContain('DTEND;TZID=Australia/Sydney:20250324T180000');
+    });
+
+    it('should publish a VTIMEZONE for each TZID so occurrences resolve across daylight saving', () => {
+      const series = calendarEvent('series', {
+        isRecurring: true,
+        recurrencePattern: 'FREQ=WEEKLY',
+        startTime: new Date('2025-03-24T06:00:00.000Z'),
+        endTime: new Date('2025-03-24T07:00:00.000Z'),
+        timeZone: 'Australia/Sydney',
+      });
+
+      const vcalendar = new ICAL.Component(ICAL.parse(buildCalendarFeed({ calendarName: 'Family', events: [series], generatedAt })));
+      const vtimezones = vcalendar.getAllSubcomponents('vtimezone');
+      expect(vtimezones.map(vtimezone => vtimezone.getFirstPropertyValue('tzid'))).toEqual(['Australia/Sydney']);
+      expect(vtimezones[0].getAllSubcomponents('standard')[1].getFirstPropertyValue('dtstart').toString()).toBe('2025-04-06T03:00:00');
+
+      const timezone = new ICAL.Timezone(vtimezones[0]);
+      const [vevent] = vcalendar.getAllSubcomponents('vevent');
+      const dtstart = vevent.getFirstPropertyValue('dtstart');
+      dtstart.zone = timezone;
+      const iterator = vevent.getFirstPropertyValue('rrule').iterator(dtstart);
+      const starts = [1, 2, 3].map(() => iterator.next().toJSDate().toISOString());
+
+      // 5pm in Sydney before and after the clocks go back on 6 April
+      expect(starts).toEqual(['2025-03-24T06:00:00.000Z', '2025-03-31T06:00:00.000Z', '2025-04-07T07:00:00.000Z']);
+    });
+
+    it('should leave out events hidden by layer preferences', () => {
+      const events = [
+        calendarEvent('mums', { attendees: [{ groupMemberId: 'mum' }] }),
+        calendarEvent('dads', {
+          responsibilityEvents: [{ child: kid, startResponsibilityType: 'member', startResponsibleMember: dad, endResponsibilityType: 'member', endResponsibleMember: dad }],
+        }),
+      ];
+      const layerPreferences = [
+        { memberLayerId: 'mum', isVisible: false },
+        { memberLayerId: 'kid', isVisible: false },
+      ];
+
+      const vevents = parseFeed(buildCalendarFeed({ calendarName: 'Family', events, layerPreferences, generatedAt }));
+
+      expect(vevents.map(v => v.getFirstPropertyValue('uid'))).toEqual([buildEventUid('dads')]);
+      expect(vevents[0].getFirstPropertyValue('description')).toBe('Kid: Dad (account)');
+    });
+  });
+});
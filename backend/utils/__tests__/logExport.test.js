@@ -0,0 +1,169 @@
+/**
+ * Log Export Tests
+ *
+ * Tests the files built for full log exports: CSV escaping, decrypted
+ * messages (including hidden ones) and attachment links
+ */
+
+const {
+  toCsv,
+  buildAuditLogCsv,
+  buildMessagesExport,
+  buildMediaIndex,
+  buildReadme,
+} = require('../logExport');
+
+const decrypt = (content) => {
+  if (!content.startsWith('enc:')) {
+    throw new Error('Invalid encrypted message format');
+  }
+  return content.slice(4);
+};
+
+const messageGroups = [
+  {
+    messageGroupId: 'mg1',
+    name: 'Parents',
+    createdAt: new Date('2025-01-01T00:00:00.000Z'),
+    isHidden: false,
+    messages: [
+      {
+        messageId: 'm2',
+        senderId: 'dad',
+        replyToId: 'm1',
+        sender: { displayName: 'Dad', user: { displayName: 'Dad (account)' } },
+        content: 'enc:See attached',
+        createdAt: new Date('2025-01-02T10:00:00.000Z'),
+        editedAt: new Date('2025-01-02T10:05:00.000Z'),
+        revisions: [
+          {
+            revisionNumber: 1,
+            content: 'enc:See atached',
+            writtenAt: new Date('2025-01-02T10:00:00.000Z'),
+            replacedAt: new Date('2025-01-02T10:05:00.000Z'),
+          },
+        ],
+        isHidden: true,
+        hiddenAt: new Date('2025-01-03T00:00:00.000Z'),
+        media: [
+          { mediaId: 'p1', mediaType: 'image', mimeType: 'image/jpeg', fileSizeBytes: BigInt(2048), isHidden: false },
+        ],
+      },
+      {
+        messageId: 'm1',
+        senderId: 'mum',
+        sender: { displayName: 'Mum', user: null },
+        content: 'legacy plain text',
+        createdAt: new Date('2025-01-02T09:00:00.000Z'),
+        isHidden: false,
+        media: [],
+      },
+    ],
+  },
+];
+
+describe('Log Export Utility', () => {
+  describe('toCsv', () => {
+    it('should quote cells with commas, quotes and newlines', () => {
+      const csv = toCsv([
+        { header: 'A', value: row => row.a },
+        { header: 'B', value: row => row.b },
+      ], [
+        { a: 'plain', b: 'has, comma' },
+        { a: 'say "hi"', b: 'two\nlines' },
+        { a: null, b: new Date('2025-01-01T00:00:00.000Z') },
+      ]);
+
+      expect(csv).toBe([
+        'A,B',
+        'plain,"has, comma"',
+        '"say ""hi""","two\nlines"',
+        ',2025-01-01T00:00:00.000Z',
+        '',
+      ].join('\r\n'));
+    });
+  });
+
+  describe('buildAuditLogCsv', () => {
+    it('should include log data as JSON', () => {
+      const csv = buildAuditLogCsv([{
+        logId: 'l1',
+        performedAt: new Date('2025-01-01T00:00:00.000Z'),
+        action: 'send_message',
+        actionLocation: 'messages',
+        performedByName: 'Mum',
+        performedByEmail: 'mum@example.com',
+        messageContent: 'Sent a message',
+        mediaLinks: [],
+        logData: { messageId: 'm1' },
+      }]);
+
+      const [header, row] = csv.trim().split('\r\n');
+      expect(header.startsWith('Performed At,Action,Location')).toBe(true);
+      expect(row).toBe('2025-01-01T00:00:00.000Z,send_message,messages,Mum,mum@example.com,Sent a message,,"{""messageId"":""m1""}",l1');
+    });
+  });
+
+  describe('buildMessagesExport', () => {
+    it('should decrypt messages oldest first, keeping hidden messages and legacy plain text', () => {
+      const mediaUrlById = new Map([['p1', 'https://api.example.com/logs/media/token']]);
+      const [group] = buildMessagesExport(messageGroups, { decrypt, mediaUrlById });
+
+      expect(group.messages.map(m => m.messageId)).toEqual(['m1', 'm2']);
+      expect(group.messages[0]).toMatchObject({ content: 'legacy plain text', senderName: 'Mum', isHidden: false, replyToId: null });
+      expect(group.messages[1]).toMatchObject({ content: 'See attached', senderName: 'Dad (account)', isHidden: true, replyToId: 'm1' });
+      expect(group.messages[1].media).toEqual([{
+        mediaId: 'p1',
+        mediaType: 'image',
+        mimeType: 'image/jpeg',
+        fileSizeBytes: '2048',
+        uploadedAt: null,
+        isHidden: false,
+        downloadUrl: 'https://api.example.com/logs/media/token',
+      }]);
+
+      // Edited messages keep their earlier versions
+      expect(group.messages[0].revisions).toEqual([]);
+      expect(group.messages[1].revisions).toEqual([{
+        revisionNumber: 1,
+        content: 'See atached',
+        writtenAt: new Date('2025-01-02T10:00:00.000Z'),
+        replacedAt: new Date('2025-01-02T10:05:00.000Z'),
+      }]);
+
+      // BigInt sizes are converted so the export can be serialised
+      expect(() => JSON.stringify(group)).not.toThrow();
+    });
+  });
+
+  describe('buildMediaIndex', () => {
+    it('should list every attachment with its message', () => {
+      const index = buildMediaIndex(messageGroups, new Map());
+
+      expect(index).toHaveLength(1);
+      expect(index[0]).toMatchObject({
+        mediaId: 'p1',
+        messageId: 'm2',
+        messageGroupName: 'Parents',
+        senderName: 'Dad (account)',
+        downloadUrl: null,
+      });
+    });
+  });
+
+  describe('buildReadme', () => {
+    it('should summarise the contents and link expiry', () => {
+      const readme = buildReadme({
+        groupName: 'Smith Family',
+        generatedAt: new Date('2025-01-01T00:00:00.000Z'),
+        expiresAt: new Date('2025-01-31T00:00:00.000Z'),
+        counts: { auditLogs: 10, messageGroups: 1, messages: 2, media: 1 },
+      });
+
+      expect(readme).toContain('Smith Family');
+      expect(readme).toContain('10 audit log entries');
+      expect(readme).toContain('2 messages in 1 message groups');
+      expect(readme).toContain('2025-01-31T00:00:00.000Z');
+    });
+  });
+});
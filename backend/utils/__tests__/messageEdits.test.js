@@ -0,0 +1,90 @@
+/**
+ * Message Edits Tests
+ *
+ * Tests the edit window, who can edit and the revision history
+ */
+
+const {
+  MAX_EDIT_WINDOW_MINUTES,
+  isValidEditWindow,
+  getEditBlockReason,
+  buildRevisionHistory,
+} = require('../messageEdits');
+
+const decrypt = (content) => {
+  if (!content.startsWith('enc:')) {
+    throw new Error('Invalid encrypted message format');
+  }
+  return content.slice(4);
+};
+
+describe('Message Edits Utility', () => {
+  describe('isValidEditWindow', () => {
+    it('should accept whole minutes in range, or null', () => {
+      expect(isValidEditWindow(15)).toBe(true);
+      expect(isValidEditWindow(MAX_EDIT_WINDOW_MINUTES)).toBe(true);
+      expect(isValidEditWindow(null)).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidEditWindow(0)).toBe(false);
+      expect(isValidEditWindow(1.5)).toBe(false);
+      expect(isValidEditWindow(MAX_EDIT_WINDOW_MINUTES + 1)).toBe(false);
+      expect(isValidEditWindow('15')).toBe(false);
+    });
+  });
+
+  describe('getEditBlockReason', () => {
+    const sentAt = new Date('2026-01-10T10:00:00.000Z');
+    const message = { senderId: 'mum', createdAt: sentAt, isHidden: false };
+    const minutesLater = minutes => new Date(sentAt.getTime() + minutes * 60 * 1000);
+
+    it('should let the sender edit within the window', () => {
+      expect(getEditBlockReason(message, 'mum', 15, minutesLater(15))).toBeNull();
+    });
+
+    it('should stop other members', () => {
+      expect(getEditBlockReason(message, 'dad', 15, minutesLater(1))).toBe('You can only edit your own messages');
+    });
+
+    it('should stop edits after the window', () => {
+      expect(getEditBlockReason(message, 'mum', 60, minutesLater(61)))
+        .toBe('Messages can only be edited within 1 hour of sending');
+      expect(getEditBlockReason(message, 'mum', 2880, minutesLater(2881)))
+        .toBe('Messages can only be edited within 2 days of sending');
+    });
+
+    it('should stop edits when editing is off or the message is hidden', () => {
+      expect(getEditBlockReason(message, 'mum', null, minutesLater(1))).toBe('Message editing is turned off in this group');
+      expect(getEditBlockReason({ ...message, isHidden: true }, 'mum', 15, minutesLater(1)))
+        .toBe('Hidden messages cannot be edited');
+    });
+  });
+
+  describe('buildRevisionHistory', () => {
+    it('should list earlier versions oldest first, then the current content', () => {
+      const message = {
+        content: 'enc:Pick up at 4pm',
+        createdAt: new Date('2026-01-10T10:00:00.000Z'),
+        editedAt: new Date('2026-01-10T10:07:00.000Z'),
+      };
+      const revisions = [
+        { revisionNumber: 2, content: 'enc:Pick up at 3:30', writtenAt: new Date('2026-01-10T10:02:00.000Z'), replacedAt: message.editedAt },
+        { revisionNumber: 1, content: 'legacy plain text', writtenAt: message.createdAt, replacedAt: new Date('2026-01-10T10:02:00.000Z') },
+      ];
+
+      const history = buildRevisionHistory(message, revisions, decrypt);
+
+      expect(history.map(v => v.content)).toEqual(['legacy plain text', 'Pick up at 3:30', 'Pick up at 4pm']);
+      expect(history[2]).toMatchObject({ revisionNumber: 3, writtenAt: message.editedAt, replacedAt: null, isCurrent: true });
+      expect(history[0].isCurrent).toBe(false);
+    });
+
+    it('should give an unedited message a single version', () => {
+      const createdAt = new Date('2026-01-10T10:00:00.000Z');
+      const history = buildRevisionHistory({ content: 'enc:Hi', createdAt, editedAt: null }, [], decrypt);
+
+      expect(history).toEqual([{ revisionNumber: 1, content: 'Hi', writtenAt: createdAt, replacedAt: null, isCurrent: true }]);
+    });
+  });
+});
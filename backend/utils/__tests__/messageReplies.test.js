@@ -0,0 +1,96 @@
+/**
+ * Message Replies Tests
+ *
+ * Tests which messages can be replied to and how quotes are built
+ */
+
+const {
+  QUOTE_LENGTH,
+  getReplyBlockReason,
+  truncateQuote,
+  buildQuote,
+} = require('../messageReplies');
+
+const decrypt = (content) => {
+  if (!content.startsWith('enc:')) {
+    throw new Error('Invalid encrypted message format');
+  }
+  return content.slice(4);
+};
+
+describe('Message Replies Utility', () => {
+  describe('getReplyBlockReason', () => {
+    it('should allow replies to visible messages in the same message group', () => {
+      expect(getReplyBlockReason({ messageGroupId: 'mg-1', isHidden: false }, 'mg-1')).toBeNull();
+    });
+
+    it('should block missing messages and messages from other message groups', () => {
+      expect(getReplyBlockReason(null, 'mg-1')).toMatch(/not found/);
+      expect(getReplyBlockReason({ messageGroupId: 'mg-2', isHidden: false }, 'mg-1')).toMatch(/not found/);
+    });
+
+    it('should block replies to hidden messages', () => {
+      expect(getReplyBlockReason({ messageGroupId: 'mg-1', isHidden: true }, 'mg-1'))
+        .toBe('Hidden messages cannot be replied to');
+    });
+  });
+
+  describe('truncateQuote', () => {
+    it('should keep short text on one line', () => {
+      expect(truncateQuote('Pick up\n  at 3pm')).toBe('Pick up at 3pm');
+    });
+
+    it('should cut long text on a word boundary', () => {
+      const text = 'word '.repeat(50);
+      const quote = truncateQuote(text);
+
+      expect(quote.length).toBeLessThanOrEqual(QUOTE_LENGTH + 1);
+      expect(quote.endsWith('word…')).toBe(true);
+    });
+
+    it('should cut long words that have no space to break on', () => {
+      expect(truncateQuote('a'.repeat(200), 10)).toBe(`${'a'.repeat(10)}…`);
+    });
+  });
+
+  describe('buildQuote', () => {
+    const parent = {
+      messageId: 'msg-1',
+      createdAt: new Date('2026-01-10T10:00:00.000Z'),
+      isHidden: false,
+      content: 'enc:Who is doing pickup on Friday?',
+      sender: { groupMemberId: 'dad', displayName: 'Dad', user: { displayName: 'Sam' } },
+      media: [],
+    };
+
+    it('should quote the decrypted content with the latest sender name', () => {
+      expect(buildQuote(parent, decrypt)).toEqual({
+        messageId: 'msg-1',
+        createdAt: parent.createdAt,
+        isHidden: false,
+        sender: { groupMemberId: 'dad', displayName: 'Sam' },
+        content: 'Who is doing pickup on Friday?',
+        hasMedia: false,
+      });
+    });
+
+    it('should not leak the content of hidden messages', () => {
+      const quote = buildQuote({ ...parent, isHidden: true, media: [{ mediaId: 'm-1' }] }, decrypt);
+
+      expect(quote.isHidden).toBe(true);
+      expect(quote.content).toBeNull();
+      expect(quote.hasMedia).toBe(false);
+    });
+
+    it('should fall back to stored content and flag media', () => {
+      const quote = buildQuote({ ...parent, content: 'plain text', media: [{ mediaId: 'm-1' }] }, decrypt);
+
+      expect(quote.content).toBe('plain text');
+      expect(quote.hasMedia).toBe(true);
+    });
+
+    it('should return null when the original is gone', () => {
+      expect(buildQuote(null, decrypt)).toBeNull();
+    });
+  });
+});
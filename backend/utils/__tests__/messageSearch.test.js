@@ -0,0 +1,84 @@
+/**
+ * Message Search Tests
+ *
+ * Tests the terms messages are indexed and searched under, and search snippets
+ */
+
+const {
+  MAX_QUERY_TERMS,
+  foldText,
+  getIndexTerms,
+  getQueryTerms,
+  buildSnippet,
+} = require('../messageSearch');
+
+describe('Message Search Utility', () => {
+  describe('foldText', () => {
+    it('should lower-case and remove accents without changing the length', () => {
+      expect(foldText('Café RÉSUMÉ')).toBe('cafe resume');
+      expect(foldText('Café RÉSUMÉ 🎉').length).toBe('Café RÉSUMÉ 🎉'.length);
+    });
+  });
+
+  describe('getIndexTerms', () => {
+    it('should index words and their prefixes', () => {
+      const terms = getIndexTerms('Dentist at 3pm');
+
+      expect(terms).toEqual(expect.arrayContaining(['dentist', 'den', 'dent', 'denti', 'dentis', 'at', '3pm']));
+      expect(terms).not.toContain('de');
+    });
+
+    it('should skip single characters and repeat words', () => {
+      const terms = getIndexTerms('a b ok ok OK');
+
+      expect(terms).toEqual(['ok']);
+    });
+
+    it('should handle empty content', () => {
+      expect(getIndexTerms(' ')).toEqual([]);
+      expect(getIndexTerms(null)).toEqual([]);
+    });
+  });
+
+  describe('getQueryTerms', () => {
+    it('should fold and de-duplicate the query words', () => {
+      expect(getQueryTerms('  Dentist appointment, dentist! ')).toEqual(['dentist', 'appointment']);
+    });
+
+    it('should limit the number of terms', () => {
+      expect(getQueryTerms('one two three four five six seven eight nine ten')).toHaveLength(MAX_QUERY_TERMS);
+    });
+
+    it('should find every query term among an indexed message\'s terms', () => {
+      const indexed = getIndexTerms('Reminder: the dentist appointment moved to Thursday');
+
+      for (const term of getQueryTerms('dent appoint thurs')) {
+        expect(indexed).toContain(term);
+      }
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should return short messages whole with highlights', () => {
+      const snippet = buildSnippet('Dentist on Friday', ['dent']);
+
+      expect(snippet.text).toBe('Dentist on Friday');
+      expect(snippet.highlights).toEqual([[0, 4]]);
+    });
+
+    it('should cut long messages around the first match at word boundaries', () => {
+      const text = `${'word '.repeat(40)}the dentist appointment ${'more '.repeat(40)}`;
+      const snippet = buildSnippet(text, ['dentist'], 20);
+      const [start, end] = snippet.highlights[0];
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.text.slice(start, end)).toBe('dentist');
+      expect(snippet.text).not.toMatch(/…\w{1,3} /);
+    });
+
+    it('should only match two-letter terms as whole words', () => {
+      expect(buildSnippet('on the oneway', ['on']).highlights).toEqual([[0, 2]]);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Permissions Tests
+ *
+ * Tests who can see the group calendar (shared by the calendar endpoints and feeds)
+ */
+
+const { getCalendarAccessError } = require('../permissions');
+
+describe('Permissions Utility', () => {
+  describe('getCalendarAccessError', () => {
+    it('should never let supervisors see the calendar', () => {
+      expect(getCalendarAccessError({ role: 'supervisor' }, null)).toBe('Supervisors do not have access to the calendar');
+      expect(getCalendarAccessError({ role: 'supervisor' }, { calendarVisibleToAdmins: true, calendarVisibleToSupervisors: true }))
+        .toBe('Supervisors do not have access to the calendar');
+    });
+
+    it('should only let admins see the calendar when the group allows it', () => {
+      expect(getCalendarAccessError({ role: 'admin' }, null)).toBeNull();
+      expect(getCalendarAccessError({ role: 'admin' }, { calendarVisibleToAdmins: true })).toBeNull();
+      expect(getCalendarAccessError({ role: 'admin' }, { calendarVisibleToAdmins: false })).toBe('Calendar is not visible to admins in this group');
+    });
+
+    it('should let other members see the calendar', () => {
+      expect(getCalendarAccessError({ role: 'parent' }, { calendarVisibleToAdmins: false })).toBeNull();
+      expect(getCalendarAccessError({ role: 'child' }, null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Recurrence Utility Tests
+ *
+ * Tests RRULE expansion into concrete occurrences and stable occurrence IDs
+ */
+
+const {
+  isValidRecurrenceRule,
+  buildOccurrenceId,
+  parseOccurrenceId,
+  resolveExpansionWindow,
+  getOccurrences,
+  expandEvent,
+  expandEvents,
+  findOccurrence,
+  findOverlappingOccurrences,
+  splitRecurrenceRule,
+} = require('../recurrence');
+
+const fortnightlyHandover = {
+  eventId: '11111111-1111-1111-1111-111111111111',
+  title: 'Handover',
+  startTime: new Date('2025-01-06T17:00:00.000Z'),
+  endTime: new Date('2025-01-06T18:00:00.000Z'),
+  isRecurring: true,
+  recurrencePattern: 'FREQ=WEEKLY;INTERVAL=2',
+  recurrenceEndDate: null,
+};
+
+describe('Recurrence Utility', () => {
+  describe('isValidRecurrenceRule', () => {
+    it('should accept the rules the mobile app sends', () => {
+      expect(isValidRecurrenceRule('FREQ=DAILY')).toBe(true);
+      expect(isValidRecurrenceRule('FREQ=WEEKLY;INTERVAL=2')).toBe(true);
+      expect(isValidRecurrenceRule('FREQ=MONTHLY;INTERVAL=3;UNTIL=20251231')).toBe(true);
+      expect(isValidRecurrenceRule('RRULE:FREQ=YEARLY')).toBe(true);
+    });
+
+    it('should reject missing, malformed and sub-daily rules', () => {
+      expect(isValidRecurrenceRule(null)).toBe(false);
+      expect(isValidRecurrenceRule('')).toBe(false);
+      expect(isValidRecurrenceRule('INTERVAL=2')).toBe(false);
+      expect(isValidRecurrenceRule('FREQ=FOO')).toBe(false);
+      expect(isValidRecurrenceRule('FREQ=WEEKLY;BYDAY=XX')).toBe(false);
+      expect(isValidRecurrenceRule('FREQ=HOURLY')).toBe(false);
+    });
+  });
+
+  describe('occurrence IDs', () => {
+    it('should round-trip an occurrence ID', () => {
+      const start = new Date('2025-03-03T17:00:00.000Z');
+      const occurrenceId = buildOccurrenceId(fortnightlyHandover.eventId, start);
+
+      expect(occurrenceId).toBe(`${fortnightlyHandover.eventId}_20250303T170000Z`);
+      expect(parseOccurrenceId(occurrenceId)).toEqual({
+        eventId: fortnightlyHandover.eventId,
+        recurrenceId: start,
+      });
+    });
+
+    it('should treat a plain eventId as a non-recurring occurrence', () => {
+      expect(parseOccurrenceId(fortnightlyHandover.eventId)).toEqual({
+        eventId: fortnightlyHandover.eventId,
+        recurrenceId: null,
+      });
+    });
+  });
+
+  describe('resolveExpansionWindow', () => {
+    it('should use both bounds when provided', () => {
+      const { windowStart, windowEnd } = resolveExpansionWindow('2025-01-01T00:00:00.000Z', '2025-02-01T00:00:00.000Z');
+      expect(windowStart.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+      expect(windowEnd.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    });
+
+    it('should default a missing bound to one year from the other', () => {
+      const { windowEnd } = resolveExpansionWindow('2025-01-01T00:00:00.000Z');
+      expect(windowEnd.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should expand a fortnightly series created long before the window', () => {
+      const occurrences = getOccurrences(
+        fortnightlyHandover,
+        new Date('2026-03-01T00:00:00.000Z'),
+        new Date('2026-03-31T23:59:59.999Z')
+      );
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2026-03-02T17:00:00.000Z',
+        '2026-03-16T17:00:00.000Z',
+        '2026-03-30T17:00:00.000Z',
+      ]);
+      expect(occurrences[0].endTime.toISOString()).toBe('2026-03-02T18:00:00.000Z');
+    });
+
+    it('should honour BYDAY and COUNT', () => {
+      const event = {
+        ...fortnightlyHandover,
+        recurrencePattern: 'FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3',
+      };
+      const occurrences = getOccurrences(event, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2025-01-06T17:00:00.000Z',
+        '2025-01-10T17:00:00.000Z',
+        '2025-01-13T17:00:00.000Z',
+      ]);
+    });
+
+    it('should treat a date-only UNTIL as inclusive of that day', () => {
+      const event = { ...fortnightlyHandover, recurrencePattern: 'FREQ=WEEKLY;UNTIL=20250120' };
+      const occurrences = getOccurrences(event, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(occurrences).toHaveLength(3);
+      expect(occurrences[2].startTime.toISOString()).toBe('2025-01-20T17:00:00.000Z');
+    });
+
+    it('should stop at recurrenceEndDate', () => {
+      const event = { ...fortnightlyHandover, recurrenceEndDate: new Date('2025-02-03T00:00:00.000Z') };
+      const occurrences = getOccurrences(event, new Date('2025-01-01'), new Date('2025-12-31'));
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2025-01-06T17:00:00.000Z',
+        '2025-01-20T17:00:00.000Z',
+        '2025-02-03T17:00:00.000Z',
+      ]);
+    });
+
+    it('should skip EXDATEs and overridden instances', () => {
+      const event = {
+        ...fortnightlyHandover,
+        exceptionDates: [{ recurrenceId: new Date('2025-01-20T17:00:00.000Z') }],
+        childEvents: [{ recurrenceId: new Date('2025-02-03T17:00:00.000Z') }],
+      };
+      const occurrences = getOccurrences(event, new Date('2025-01-01'), new Date('2025-02-20'));
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2025-01-06T17:00:00.000Z',
+        '2025-02-17T17:00:00.000Z',
+      ]);
+    });
+
+    it('should include an occurrence already in progress at the window start', () => {
+      const occurrences = getOccurrences(
+        fortnightlyHandover,
+        new Date('2025-01-20T17:30:00.000Z'),
+        new Date('2025-01-21T00:00:00.000Z')
+      );
+
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0].startTime.toISOString()).toBe('2025-01-20T17:00:00.000Z');
+    });
+
+    it('should keep the local time across a daylight saving change in the event time zone', () => {
+      // 5pm Monday handovers in Sydney; daylight saving ends on 6 April 2025 (UTC+11 to UTC+10)
+      const event = {
+        ...fortnightlyHandover,
+        startTime: new Date('2025-03-24T06:00:00.000Z'),
+        endTime: new Date('2025-03-24T07:00:00.000Z'),
+        recurrencePattern: 'FREQ=WEEKLY',
+        timeZone: 'Australia/Sydney',
+      };
+      const occurrences = getOccurrences(event, new Date('2025-03-20'), new Date('2025-04-15'));
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2025-03-24T06:00:00.000Z',
+        '2025-03-31T06:00:00.000Z',
+        '2025-04-07T07:00:00.000Z',
+        '2025-04-14T07:00:00.000Z',
+      ]);
+      expect(occurrences[2].endTime.toISOString()).toBe('2025-04-07T08:00:00.000Z');
+    });
+
+    it('should apply BYDAY to the local day in the event time zone', () => {
+      // 8am Monday in Sydney is Sunday evening UTC
+      const event = {
+        ...fortnightlyHandover,
+        startTime: new Date('2025-03-23T21:00:00.000Z'),
+        endTime: new Date('2025-03-23T22:00:00.000Z'),
+        recurrencePattern: 'FREQ=WEEKLY;BYDAY=MO;COUNT=3',
+        timeZone: 'Australia/Sydney',
+      };
+      const occurrences = getOccurrences(event, new Date('2025-03-01'), new Date('2025-05-01'));
+
+      expect(occurrences.map(o => o.startTime.toISOString())).toEqual([
+        '2025-03-23T21:00:00.000Z',
+        '2025-03-30T21:00:00.000Z',
+        '2025-04-06T22:00:00.000Z',
+      ]);
+    });
+  });
+
+  describe('expandEvent', () => {
+    it('should copy the event once per occurrence with a stable occurrenceId', () => {
+      const expanded = expandEvent(fortnightlyHandover, new Date('2025-01-01'), new Date('2025-01-31'));
+
+      expect(expanded).toHaveLength(2);
+      expect(expanded[1]).toMatchObject({
+        eventId: fortnightlyHandover.eventId,
+        title: 'Handover',
+        occurrenceId: `${fortnightlyHandover.eventId}_20250120T170000Z`,
+        isOccurrence: true,
+      });
+      expect(expanded[1].startTime.toISOString()).toBe('2025-01-20T17:00:00.000Z');
+      expect(expanded[1].seriesStartTime).toBe(fortnightlyHandover.startTime);
+    });
+
+    it('should give an overridden instance the occurrenceId of the occurrence it replaces', () => {
+      const override = {
+        eventId: 'override-id',
+        parentEventId: fortnightlyHandover.eventId,
+        recurrenceId: new Date('2025-01-20T17:00:00.000Z'),
+        isRecurring: false,
+        startTime: new Date('2025-01-21T09:00:00.000Z'),
+        endTime: new Date('2025-01-21T10:00:00.000Z'),
+      };
+
+      expect(expandEvent(override, new Date('2025-01-01'), new Date('2025-01-31'))[0]).toMatchObject({
+        eventId: 'override-id',
+        occurrenceId: `${fortnightlyHandover.eventId}_20250120T170000Z`,
+        isOccurrence: true,
+      });
+    });
+
+    it('should return one-off events unchanged apart from occurrence fields', () => {
+      const oneOff = { ...fortnightlyHandover, isRecurring: false, recurrencePattern: null };
+      const expanded = expandEvent(oneOff, new Date('2030-01-01'), new Date('2030-02-01'));
+
+      expect(expanded).toEqual([{
+        ...oneOff,
+        occurrenceId: oneOff.eventId,
+        recurrenceId: null,
+        isOccurrence: false,
+      }]);
+    });
+  });
+
+  describe('findOccurrence', () => {
+    it('should find an occurrence even when it has been overridden', () => {
+      const event = {
+        ...fortnightlyHandover,
+        childEvents: [{ recurrenceId: new Date('2025-01-20T17:00:00.000Z') }],
+      };
+      const occurrence = findOccurrence(event, new Date('2025-01-20T17:00:00.000Z'));
+
+      expect(occurrence.endTime.toISOString()).toBe('2025-01-20T18:00:00.000Z');
+    });
+
+    it('should return null for a start that is not in the series', () => {
+      expect(findOccurrence(fortnightlyHandover, new Date('2025-01-13T17:00:00.000Z'))).toBeNull();
+    });
+  });
+
+  describe('findOverlappingOccurrences', () => {
+    const window = [new Date('2025-01-01T00:00:00.000Z'), new Date('2025-03-01T00:00:00.000Z')];
+
+    it('should find the weeks where two recurring schedules collide', () => {
+      // Weekend with Mum every second Friday-Sunday vs. a trip with Dad every second Saturday of the month
+      const weekends = getOccurrences({
+        ...fortnightlyHandover,
+        startTime: new Date('2025-01-10T17:00:00.000Z'),
+        endTime: new Date('2025-01-12T17:00:00.000Z'),
+      }, ...window);
+      const trips = getOccurrences({
+        ...fortnightlyHandover,
+        startTime: new Date('2025-01-11T09:00:00.000Z'),
+        endTime: new Date('2025-01-11T15:00:00.000Z'),
+        recurrencePattern: 'FREQ=MONTHLY;BYDAY=2SA',
+      }, ...window);
+
+      const overlaps = findOverlappingOccurrences(weekends, trips);
+
+      expect(overlaps.map(o => o.overlapStart.toISOString())).toEqual([
+        '2025-01-11T09:00:00.000Z',
+        '2025-02-08T09:00:00.000Z',
+      ]);
+      expect(overlaps[1].overlapEnd.toISOString()).toBe('2025-02-08T15:00:00.000Z');
+      expect(overlaps[1].first.startTime.toISOString()).toBe('2025-02-07T17:00:00.000Z');
+    });
+
+    it('should not treat back-to-back handovers as overlapping', () => {
+      const mum = getOccurrences({
+        ...fortnightlyHandover,
+        endTime: new Date('2025-01-13T17:00:00.000Z'),
+      }, ...window);
+      const dad = getOccurrences({
+        ...fortnightlyHandover,
+        startTime: new Date('2025-01-13T17:00:00.000Z'),
+        endTime: new Date('2025-01-20T17:00:00.000Z'),
+      }, ...window);
+
+      expect(findOverlappingOccurrences(mum, dad)).toEqual([]);
+    });
+  });
+
+  describe('splitRecurrenceRule', () => {
+    it('should cap the earlier half just before the split', () => {
+      const { beforeRule, afterRule } = splitRecurrenceRule(
+        fortnightlyHandover,
+        new Date('2025-02-03T17:00:00.000Z')
+      );
+
+      expect(beforeRule).toBe('FREQ=WEEKLY;INTERVAL=2;UNTIL=20250203T165959Z');
+      expect(afterRule).toBe('FREQ=WEEKLY;INTERVAL=2');
+
+      const before = getOccurrences(
+        { ...fortnightlyHandover, recurrencePattern: beforeRule },
+        new Date('2025-01-01'),
+        new Date('2025-12-31')
+      );
+      expect(before).toHaveLength(2);
+    });
+
+    it('should carry the remaining COUNT into the later half', () => {
+      const event = { ...fortnightlyHandover, recurrencePattern: 'FREQ=WEEKLY;INTERVAL=2;COUNT=5' };
+      const { beforeRule, afterRule } = splitRecurrenceRule(event, new Date('2025-02-03T17:00:00.000Z'));
+
+      expect(beforeRule).not.toContain('COUNT');
+      expect(afterRule).toBe('FREQ=WEEKLY;COUNT=3;INTERVAL=2');
+    });
+
+    it('should return no later half when COUNT is used up', () => {
+      const event = { ...fortnightlyHandover, recurrencePattern: 'FREQ=WEEKLY;COUNT=2' };
+      const { afterRule } = splitRecurrenceRule(event, new Date('2025-03-01T00:00:00.000Z'));
+
+      expect(afterRule).toBeNull();
+    });
+  });
+
+  describe('expandEvents', () => {
+    it('should keep series occurrences in input order', () => {
+      const oneOff = { ...fortnightlyHandover, eventId: 'one-off', isRecurring: false };
+      const expanded = expandEvents([oneOff, fortnightlyHandover], new Date('2025-01-01'), new Date('2025-01-31'));
+
+      expect(expanded.map(e => e.occurrenceId)).toEqual([
+        'one-off',
+        `${fortnightlyHandover.eventId}_20250106T170000Z`,
+        `${fortnightlyHandover.eventId}_20250120T170000Z`,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Scheduled Messages Tests
+ *
+ * Tests schedule validation and when scheduled messages are sent
+ */
+
+const {
+  MAX_SCHEDULE_DAYS,
+  validateSchedule,
+  getSendDate,
+  getDueSend,
+} = require('../scheduledMessages');
+
+describe('Scheduled Messages Utility', () => {
+  const now = new Date('2026-01-10T09:00:00.000Z');
+
+  describe('validateSchedule', () => {
+    it('should accept one-off and recurring schedules', () => {
+      expect(validateSchedule({ scheduledFor: '2026-01-11T08:00:00.000Z' }, now)).toBeNull();
+      expect(validateSchedule({
+        scheduledFor: '2026-01-11T08:00:00.000Z',
+        frequency: 'weekly',
+        endDate: '2026-06-30T23:59:59.000Z',
+      }, now)).toBeNull();
+    });
+
+    it('should reject missing, invalid and past times', () => {
+      expect(validateSchedule({}, now)).toMatch(/valid date/);
+      expect(validateSchedule({ scheduledFor: 'tomorrow' }, now)).toMatch(/valid date/);
+      expect(validateSchedule({ scheduledFor: '2026-01-10T08:59:00.000Z' }, now)).toMatch(/in the future/);
+    });
+
+    it('should reject times too far ahead', () => {
+      const tooFar = new Date(now.getTime() + (MAX_SCHEDULE_DAYS + 1) * 24 * 60 * 60 * 1000);
+
+      expect(validateSchedule({ scheduledFor: tooFar }, now)).toMatch(/at most/);
+    });
+
+    it('should reject unknown frequencies and bad end dates', () => {
+      const scheduledFor = '2026-01-11T08:00:00.000Z';
+
+      expect(validateSchedule({ scheduledFor, frequency: 'daily' }, now)).toMatch(/frequency/);
+      expect(validateSchedule({ scheduledFor, endDate: '2026-02-01' }, now)).toMatch(/recurring/);
+      expect(validateSchedule({ scheduledFor, frequency: 'weekly', endDate: 'soon' }, now)).toMatch(/valid date/);
+      expect(validateSchedule({ scheduledFor, frequency: 'weekly', endDate: '2026-01-05' }, now)).toMatch(/before/);
+    });
+  });
+
+  describe('getSendDate', () => {
+    it('should send one-off messages once', () => {
+      const schedule = { scheduledFor: new Date('2026-01-11T08:00:00.000Z'), frequency: null };
+
+      expect(getSendDate(schedule, 0)).toEqual(new Date('2026-01-11T08:00:00.000Z'));
+      expect(getSendDate(schedule, 1)).toBeNull();
+    });
+
+    it('should follow the frequency until the end date', () => {
+      const schedule = {
+        scheduledFor: new Date('2026-01-31T08:00:00.000Z'),
+        frequency: 'monthly',
+        endDate: new Date('2026-03-31T08:00:00.000Z'),
+      };
+
+      expect(getSendDate(schedule, 1)).toEqual(new Date('2026-02-28T08:00:00.000Z'));
+      expect(getSendDate(schedule, 2)).toEqual(new Date('2026-03-31T08:00:00.000Z'));
+      expect(getSendDate(schedule, 3)).toBeNull();
+    });
+  });
+
+  describe('getDueSend', () => {
+    const schedule = {
+      scheduledFor: new Date('2026-01-01T08:00:00.000Z'),
+      frequency: 'weekly',
+      endDate: null,
+      occurrenceCount: 0,
+    };
+
+    it('should return nothing before the first send', () => {
+      expect(getDueSend({ ...schedule, scheduledFor: new Date('2026-01-11T08:00:00.000Z') }, now)).toBeNull();
+    });
+
+    it('should skip missed sends and return only the most recent', () => {
+      // 1 Jan and 8 Jan are both due; only 8 Jan is sent
+      expect(getDueSend(schedule, now)).toEqual({ index: 1, date: new Date('2026-01-08T08:00:00.000Z') });
+    });
+
+    it('should return nothing once the due send has been made', () => {
+      expect(getDueSend({ ...schedule, occurrenceCount: 2 }, now)).toBeNull();
+    });
+
+    it('should still send a late one-off message', () => {
+      const oneOff = { scheduledFor: new Date('2026-01-02T08:00:00.000Z'), frequency: null, occurrenceCount: 0 };
+
+      expect(getDueSend(oneOff, now)).toEqual({ index: 0, date: new Date('2026-01-02T08:00:00.000Z') });
+      expect(getDueSend({ ...oneOff, occurrenceCount: 1 }, now)).toBeNull();
+    });
+  });
+});
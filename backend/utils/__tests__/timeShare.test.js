@@ -0,0 +1,156 @@
+/**
+ * Custody Time-Share Tests
+ *
+ * Tests per-child hours and overnight counts, including layering and recurring events
+ */
+
+const {
+  isValidTimeZone,
+  parseReportDate,
+  getLocalMidnights,
+  computeTimeShare,
+} = require('../timeShare');
+
+const mum = { groupMemberId: 'mum', displayName: 'Mum', user: null };
+const dad = { groupMemberId: 'dad', displayName: 'Dad', user: { displayName: 'Dad (account)' } };
+const child = { groupMemberId: 'kid', displayName: 'Kid' };
+
+let nextId = 1;
+
+/**
+ * Build a ChildResponsibilityEvent for the test child
+ */
+function responsibility(startTime, endTime, startResponsible, eventOverrides = {}) {
+  const id = String(nextId++);
+  const isOther = typeof startResponsible === 'string';
+  return {
+    childId: 'kid',
+    startResponsibilityType: isOther ? 'other' : 'member',
+    startResponsibleMemberId: isOther ? null : startResponsible.groupMemberId,
+    startResponsibleMember: isOther ? null : startResponsible,
+    startResponsibleOtherName: isOther ? startResponsible : null,
+    event: {
+      eventId: id,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      isRecurring: false,
+      recurrencePattern: null,
+      recurrenceEndDate: null,
+      createdAt: new Date(Date.UTC(2024, 0, 1) + Number(id) * 1000), // Creation order = layering order
+      exceptionDates: [],
+      childEvents: [],
+      ...eventOverrides,
+    },
+  };
+}
+
+describe('Time-Share Utility', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA names and reject anything else', () => {
+      expect(isValidTimeZone('Australia/Sydney')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+
+  describe('parseReportDate', () => {
+    it('should treat date-only values as whole local days', () => {
+      expect(parseReportDate('2025-01-01', 'Australia/Sydney').toISOString()).toBe('2024-12-31T13:00:00.000Z');
+      expect(parseReportDate('2025-12-31', 'Australia/Sydney', true).toISOString()).toBe('2025-12-31T13:00:00.000Z');
+      expect(parseReportDate('2025-01-31', 'UTC', true).toISOString()).toBe('2025-02-01T00:00:00.000Z');
+    });
+
+    it('should parse date-times as instants and reject invalid values', () => {
+      expect(parseReportDate('2025-06-01T08:30:00.000Z', 'Australia/Sydney').toISOString()).toBe('2025-06-01T08:30:00.000Z');
+      expect(parseReportDate('next tuesday', 'UTC')).toBeNull();
+    });
+  });
+
+  describe('getLocalMidnights', () => {
+    it('should return local midnights within the range', () => {
+      const midnights = getLocalMidnights(
+        new Date('2025-03-01T12:00:00.000Z'),
+        new Date('2025-03-04T00:00:00.000Z'),
+        'UTC'
+      );
+
+      expect(midnights.map(m => m.toISOString())).toEqual([
+        '2025-03-02T00:00:00.000Z',
+        '2025-03-03T00:00:00.000Z',
+      ]);
+    });
+
+    it('should follow daylight saving changes', () => {
+      // Sydney leaves daylight saving on 6 April 2025 (UTC+11 -> UTC+10)
+      const midnights = getLocalMidnights(
+        new Date('2025-04-04T13:00:00.000Z'),
+        new Date('2025-04-07T14:00:00.000Z'),
+        'Australia/Sydney'
+      );
+
+      expect(midnights.map(m => m.toISOString())).toEqual([
+        '2025-04-04T13:00:00.000Z',
+        '2025-04-05T13:00:00.000Z',
+        '2025-04-06T14:00:00.000Z',
+      ]);
+    });
+  });
+
+  describe('computeTimeShare', () => {
+    const from = new Date('2025-01-06T00:00:00.000Z');
+    const to = new Date('2025-01-20T00:00:00.000Z'); // 14 days, 14 nights
+
+    it('should split a fortnightly week-on/week-off rotation evenly', () => {
+      const fortnightly = { isRecurring: true, recurrencePattern: 'FREQ=WEEKLY;INTERVAL=2' };
+      const events = [
+        responsibility('2024-12-23T00:00:00.000Z', '2024-12-30T00:00:00.000Z', mum, fortnightly),
+        responsibility('2024-12-30T00:00:00.000Z', '2025-01-06T00:00:00.000Z', dad, fortnightly),
+      ];
+
+      const [report] = computeTimeShare([child], events, { from, to });
+
+      expect(report.totalHours).toBe(336);
+      expect(report.totalNights).toBe(14);
+      expect(report.responsible).toEqual([
+        expect.objectContaining({ groupMemberId: 'mum', hours: 168, hoursPercentage: 50, nights: 7, nightsPercentage: 50 }),
+        expect.objectContaining({ groupMemberId: 'dad', displayName: 'Dad (account)', hours: 168, nights: 7 }),
+      ]);
+      expect(report.unassigned).toEqual({ hours: 0, hoursPercentage: 0, nights: 0, nightsPercentage: 0 });
+    });
+
+    it('should let later-created events override earlier ones', () => {
+      const events = [
+        responsibility('2025-01-06T00:00:00.000Z', '2025-01-20T00:00:00.000Z', mum),
+        // School on weekdays 9-3, created later so it layers on top of Mum
+        responsibility('2025-01-06T09:00:00.000Z', '2025-01-06T15:00:00.000Z', 'School', {
+          isRecurring: true,
+          recurrencePattern: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        }),
+      ];
+
+      const [report] = computeTimeShare([child], events, { from, to });
+
+      expect(report.responsible).toEqual([
+        expect.objectContaining({ groupMemberId: 'mum', hours: 276, nights: 14 }),
+        expect.objectContaining({ type: 'other', groupMemberId: null, displayName: 'School', hours: 60, nights: 0 }),
+      ]);
+    });
+
+    it('should report time without any responsibility event as unassigned', () => {
+      const events = [
+        responsibility('2025-01-01T00:00:00.000Z', '2025-01-13T12:00:00.000Z', dad),
+      ];
+
+      const [report, siblingReport] = computeTimeShare(
+        [child, { groupMemberId: 'other-kid', displayName: 'Sibling' }],
+        events,
+        { from, to }
+      );
+
+      expect(report.responsible[0]).toEqual(expect.objectContaining({ hours: 180, nights: 8 }));
+      expect(report.unassigned).toEqual(expect.objectContaining({ hours: 156, nights: 6 }));
+      expect(siblingReport.responsible).toEqual([]);
+      expect(siblingReport.unassigned.nightsPercentage).toBe(100);
+    });
+  });
+});
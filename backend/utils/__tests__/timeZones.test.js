@@ -0,0 +1,39 @@
+/**
+ * Time Zones Tests
+ *
+ * Tests wall-clock conversion and finding daylight saving changes
+ */
+
+const {
+  isValidTimeZone,
+  toLocalTime,
+  fromLocalTime,
+  getTimeZoneTransitions,
+} = require('../timeZones');
+
+describe('Time Zones Utility', () => {
+  it('should check IANA names', () => {
+    expect(isValidTimeZone('Australia/Sydney')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+
+  it('should convert between instants and wall-clock times', () => {
+    const instant = new Date('2025-04-07T07:00:00.000Z');
+
+    expect(toLocalTime(instant, 'Australia/Sydney').toISOString()).toBe('2025-04-07T17:00:00.000Z');
+    expect(fromLocalTime(new Date('2025-04-07T17:00:00.000Z'), 'Australia/Sydney')).toEqual(instant);
+  });
+
+  it('should find each daylight saving change to the minute', () => {
+    const transitions = getTimeZoneTransitions('Australia/Sydney', new Date('2025-01-01T00:00:00.000Z'), new Date('2026-01-01T00:00:00.000Z'));
+
+    expect(transitions).toEqual([
+      { at: new Date('2025-04-05T16:00:00.000Z'), offsetFromMs: 11 * 3600000, offsetToMs: 10 * 3600000 },
+      { at: new Date('2025-10-04T16:00:00.000Z'), offsetFromMs: 10 * 3600000, offsetToMs: 11 * 3600000 },
+    ]);
+  });
+
+  it('should find no changes in a zone without daylight saving', () => {
+    expect(getTimeZoneTransitions('Asia/Kolkata', new Date('2025-01-01T00:00:00.000Z'), new Date('2026-01-01T00:00:00.000Z'))).toEqual([]);
+  });
+});
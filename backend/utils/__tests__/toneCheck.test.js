@@ -0,0 +1,101 @@
+/**
+ * Tone Check Tests
+ *
+ * Tests the tone assistant's rules and the admin statistics summary
+ */
+
+const {
+  analyzeTone,
+  summarizeToneEvents,
+} = require('../toneCheck');
+
+describe('Tone Check Utility', () => {
+  describe('analyzeTone', () => {
+    it('should not flag ordinary messages', () => {
+      const result = analyzeTone('Can you pick Mia up at 3pm? She has swimming ASAP after school.');
+
+      expect(result).toEqual({ flagged: false, categories: [], issues: [], suggestions: [] });
+    });
+
+    it('should flag hostile phrasing with its position in the message', () => {
+      const text = 'That was a stupid decision.';
+      const result = analyzeTone(text);
+
+      expect(result.flagged).toBe(true);
+      expect(result.categories).toEqual(['hostile']);
+      expect(result.issues).toEqual([{ category: 'hostile', text: 'stupid', start: 11, end: 17 }]);
+      expect(result.suggestions).toHaveLength(1);
+    });
+
+    it('should flag blaming regardless of case or curly apostrophes', () => {
+      const result = analyzeTone('It’s Your Fault she missed the bus. You never check the app.');
+
+      expect(result.categories).toEqual(['blaming']);
+      expect(result.issues.map(issue => issue.text)).toEqual(['It’s Your Fault', 'You never']);
+    });
+
+    it('should flag profanity', () => {
+      expect(analyzeTone('This is bullshit').categories).toEqual(['profanity']);
+      expect(analyzeTone('what the f**king hell').categories).toEqual(['profanity']);
+    });
+
+    it('should not flag words that only contain a flagged word', () => {
+      expect(analyzeTone('Shitake mushrooms for dinner?').flagged).toBe(false);
+      expect(analyzeTone('Let us assess the classes').flagged).toBe(false);
+      expect(analyzeTone('Scrapbooking at the weekend').flagged).toBe(false);
+    });
+
+    it('should flag several shouted words but not acronyms or a single emphasised word', () => {
+      expect(analyzeTone('I said NEVER AGAIN').categories).toEqual(['all_caps']);
+      expect(analyzeTone('RSVP to the PTA by Friday, ASAP').flagged).toBe(false);
+      expect(analyzeTone('Please do NOT forget the permission slip').flagged).toBe(false);
+    });
+
+    it('should flag short messages written entirely in capitals', () => {
+      const result = analyzeTone('  STOP IT NOW!  ');
+
+      expect(result.categories).toEqual(['all_caps']);
+      expect(result.issues).toEqual([{ category: 'all_caps', text: 'STOP IT NOW!', start: 2, end: 14 }]);
+    });
+
+    it('should list every category found, in a fixed order, with issues in text order', () => {
+      const result = analyzeTone('You always do this, you idiot. WHAT THE HELL');
+
+      expect(result.categories).toEqual(['hostile', 'all_caps', 'blaming']);
+      expect(result.issues.map(issue => issue.start)).toEqual([0, 24, 31, 40]);
+      expect(result.suggestions).toHaveLength(3);
+    });
+
+    it('should ignore empty content', () => {
+      expect(analyzeTone(' ').flagged).toBe(false);
+      expect(analyzeTone(null).flagged).toBe(false);
+    });
+  });
+
+  describe('summarizeToneEvents', () => {
+    it('should count warnings, sends anyway and categories', () => {
+      const summary = summarizeToneEvents([
+        { outcome: 'warned', categories: ['hostile', 'profanity'] },
+        { outcome: 'warned', categories: ['hostile'] },
+        { outcome: 'warned', categories: ['all_caps'] },
+        { outcome: 'sent_anyway', categories: ['hostile'] },
+      ]);
+
+      expect(summary).toEqual({
+        warnings: 3,
+        sentAnyway: 1,
+        revisedOrHeld: 2,
+        byCategory: { hostile: 2, all_caps: 1, blaming: 0, profanity: 1 },
+      });
+    });
+
+    it('should return zeros when there are no events', () => {
+      expect(summarizeToneEvents([])).toEqual({
+        warnings: 0,
+        sentAnyway: 0,
+        revisedOrHeld: 0,
+        byCategory: { hostile: 0, all_caps: 0, blaming: 0, profanity: 0 },
+      });
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Approval Expiry
+ *
+ * Works out when a pending approval expires, what happens when it does and
+ * when admins who haven't voted are reminded. Each approval type can have
+ * its own policy in GroupSettings.approvalExpiryPolicies, e.g.
+ * { "add_member": { "expiryDays": 3, "onExpiry": "approve" } }; types
+ * without one expire after 7 days and are rejected.
+ *
+ * Destructive and admin-role approvals (including inviting a new admin) are
+ * always rejected on expiry, and an approval that any admin voted against is
+ * never approved on expiry.
+ *
+ * The policy is copied onto the approval when it is requested (expiresAt and
+ * expiryAction), so later changes to the settings don't move the goalposts
+ * for approvals already waiting on votes.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Approval types that can have an expiry policy
+ */
+const APPROVAL_TYPES = [
+  'add_member',
+  'remove_member',
+  'change_role_to_admin',
+  'change_role_from_admin',
+  'delete_group',
+  'delete_file',
+  'delete_log_export',
+  'delete_call_recording',
+  'change_recording_settings',
+  'create_custody_schedule',
+  'create_calendar_event',
+  'update_calendar_event',
+  'create_responsibility_event',
+  'hide_message',
+  'assign_relationship',
+  'change_relationship',
+  'change_approval_policies',
+];
+
+/**
+ * Approval types that can only be rejected on expiry - they delete data or
+ * change who the admins are, so they must never go through on silence
+ */
+const REJECT_ONLY_APPROVAL_TYPES = [
+  'remove_member',
+  'change_role_to_admin',
+  'change_role_from_admin',
+  'delete_group',
+  'delete_file',
+  'delete_log_export',
+  'delete_call_recording',
+  'create_custody_schedule',
+  'change_approval_policies',
+];
+
+/**
+ * Defaults for types without a policy (and groups without settings)
+ */
+const DEFAULT_EXPIRY_DAYS = 7;
+const DEFAULT_EXPIRY_ACTION = 'reject';
+const DEFAULT_REMINDER_HOURS = 24;
+
+const EXPIRY_ACTIONS = ['approve', 'reject'];
+const MAX_EXPIRY_DAYS = 90;
+const MAX_REMINDER_HOURS = 7 * 24;
+
+/**
+ * Parse an approval's approvalData (stored as a JSON string by older code)
+ * @param {Object} approval - Approval with approvalData
+ * @returns {Object} Approval data ({} if missing or unreadable)
+ */
+function parseApprovalData(approval) {
+  const data = approval.approvalData || {};
+  if (typeof data !== 'string') {
+    return data;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Check whether an approval can only be rejected on expiry
+ *
+ * Besides the REJECT_ONLY_APPROVAL_TYPES, an add_member request that invites
+ * the new member as an admin can't be approved on silence either.
+ *
+ * @param {string} approvalType - Approval type
+ * @param {Object|null} [approvalData] - Approval data (add_member: { targetRole })
+ * @returns {boolean} True if it must be rejected on expiry
+ */
+function isRejectOnlyApproval(approvalType, approvalData = null) {
+  if (REJECT_ONLY_APPROVAL_TYPES.includes(approvalType)) {
+    return true;
+  }
+
+  return approvalType === 'add_member' && approvalData?.targetRole === 'admin';
+}
+
+/**
+ * Check a group's approval expiry policies setting
+ * @param {*} policies - Value to check
+ * @returns {boolean} True if it maps known approval types to { expiryDays, onExpiry }
+ */
+function isValidApprovalPolicies(policies) {
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    return false;
+  }
+
+  return Object.entries(policies).every(([approvalType, policy]) =>
+    APPROVAL_TYPES.includes(approvalType) &&
+    policy && typeof policy === 'object' &&
+    (policy.expiryDays === null || (Number.isInteger(policy.expiryDays) && policy.expiryDays >= 1 && policy.expiryDays <= MAX_EXPIRY_DAYS)) &&
+    EXPIRY_ACTIONS.includes(policy.onExpiry) &&
+    !(policy.onExpiry === 'approve' && REJECT_ONLY_APPROVAL_TYPES.includes(approvalType)));
+}
+
+/**
+ * Check a group's approval reminder interval setting
+ * @param {*} hours - Value to check
+ * @returns {boolean} True for null (no reminders) or whole hours from 1 to a week
+ */
+function isValidReminderHours(hours) {
+  return hours === null || (Number.isInteger(hours) && hours >= 1 && hours <= MAX_REMINDER_HOURS);
+}
+
+/**
+ * Get the expiry policy for an approval type
+ *
+ * Approvals that can only be rejected on expiry (see isRejectOnlyApproval)
+ * are always rejected, whatever the policy says.
+ *
+ * @param {Object|null} policies - GroupSettings.approvalExpiryPolicies
+ * @param {string} approvalType - Approval type
+ * @param {Object|null} [approvalData] - Data of the approval being requested
+ * @returns {{ expiryDays: number|null, onExpiry: string }} Policy (expiryDays null = never expires)
+ */
+function getApprovalPolicy(policies, approvalType, approvalData = null) {
+  const policy = policies && policies[approvalType];
+  const canApprove = !isRejectOnlyApproval(approvalType, approvalData);
+
+  return {
+    expiryDays: policy && policy.expiryDays !== undefined ? policy.expiryDays : DEFAULT_EXPIRY_DAYS,
+    onExpiry: policy && canApprove && EXPIRY_ACTIONS.includes(policy.onExpiry) ? policy.onExpiry : DEFAULT_EXPIRY_ACTION,
+  };
+}
+
+/**
+ * Get the approval types whose expiry policy differs between two settings
+ * @param {Object|null} oldPolicies - Current GroupSettings.approvalExpiryPolicies
+ * @param {Object|null} newPolicies - Requested approvalExpiryPolicies
+ * @returns {Array<string>} Approval types whose effective policy would change
+ */
+function getChangedPolicyTypes(oldPolicies, newPolicies) {
+  return APPROVAL_TYPES.filter(approvalType => {
+    const oldPolicy = getApprovalPolicy(oldPolicies, approvalType);
+    const newPolicy = getApprovalPolicy(newPolicies, approvalType);
+    return oldPolicy.expiryDays !== newPolicy.expiryDays || oldPolicy.onExpiry !== newPolicy.onExpiry;
+  });
+}
+
+/**
+ * Describe an approval type's expiry policy, for approval and audit log text
+ * @param {Object|null} policies - GroupSettings.approvalExpiryPolicies
+ * @param {string} approvalType - Approval type
+ * @returns {string} e.g. 'add member: 3 days, then approve', 'delete group: never expires'
+ */
+function describeApprovalPolicy(policies, approvalType) {
+  const policy = getApprovalPolicy(policies, approvalType);
+  const label = approvalType.replace(/_/g, ' ');
+
+  if (policy.expiryDays === null) {
+    return `${label}: never expires`;
+  }
+
+  return `${label}: ${policy.expiryDays} day${policy.expiryDays === 1 ? '' : 's'}, then ${policy.onExpiry}`;
+}
+
+/**
+ * Get the expiry fields for a new approval
+ * @param {Object} policy - Output of getApprovalPolicy
+ * @param {Date} requestedAt - When the approval was requested
+ * @returns {{ expiresAt: Date|null, expiryAction: string|null }} Approval fields
+ */
+function getApprovalExpiry(policy, requestedAt) {
+  if (policy.expiryDays === null) {
+    return { expiresAt: null, expiryAction: null };
+  }
+
+  return {
+    expiresAt: new Date(new Date(requestedAt).getTime() + policy.expiryDays * DAY_MS),
+    expiryAction: policy.onExpiry,
+  };
+}
+
+/**
+ * Work out how an expired approval is resolved
+ *
+ * The approval's expiryAction is only followed to approve when no admin has
+ * voted against it and its type may be approved on expiry; otherwise it is
+ * rejected.
+ *
+ * @param {Object} approval - Approval with approvalType, approvalData, expiryAction and votes
+ * @returns {string} 'approved' or 'rejected'
+ */
+function getExpiryOutcome(approval) {
+  const hasRejectVote = (approval.votes || []).some(vote => vote.vote === 'reject');
+  const canApprove = !isRejectOnlyApproval(approval.approvalType, parseApprovalData(approval));
+
+  if (approval.expiryAction === 'approve' && !hasRejectVote && canApprove) {
+    return 'approved';
+  }
+
+  return 'rejected';
+}
+
+/**
+ * Get the admins who still need to vote on an approval
+ *
+ * Uses the admins snapshotted when the approval was requested
+ * (approvalData.allAdminIds), falling back to the current admins for older
+ * approvals, and leaves out anyone who is no longer an admin.
+ *
+ * @param {Object} approval - Approval with votes and approvalData
+ * @param {Array<string>} currentAdminIds - Group member IDs of the group's current admins
+ * @returns {Array<string>} Group member IDs
+ */
+function getPendingVoterIds(approval, currentAdminIds) {
+  const data = parseApprovalData(approval);
+
+  const votedIds = new Set((approval.votes || []).map(vote => vote.adminId));
+  const adminIds = Array.isArray(data.allAdminIds) && data.allAdminIds.length > 0
+    ? data.allAdminIds.filter(adminId => currentAdminIds.includes(adminId))
+    : currentAdminIds;
+
+  return adminIds.filter(adminId => adminId !== approval.requestedBy && !votedIds.has(adminId));
+}
+
+/**
+ * Check whether admins are due a reminder about a pending approval
+ * @param {Object} approval - Approval ({ requestedAt, lastRemindedAt, expiresAt })
+ * @param {number|null} reminderHours - Hours between reminders (null = no reminders)
+ * @param {Date} now - Current time
+ * @returns {boolean} True if a reminder should be sent now
+ */
+function isApprovalReminderDue(approval, reminderHours, now) {
+  if (reminderHours === null) {
+    return false;
+  }
+
+  if (approval.expiresAt && new Date(approval.expiresAt).getTime() <= now.getTime()) {
+    return false;
+  }
+
+  const lastTime = new Date(approval.lastRemindedAt || approval.requestedAt).getTime();
+  return now.getTime() - lastTime >= reminderHours * HOUR_MS;
+}
+
+/**
+ * Describe how long is left before an approval expires, for reminder text
+ * @param {Date|string} expiresAt - Expiry time
+ * @param {Date} now - Current time
+ * @returns {string} e.g. 'expires in 3 days', 'expires in 5 hours', 'expires within the hour'
+ */
+function describeTimeLeft(expiresAt, now) {
+  const hoursLeft = Math.floor((new Date(expiresAt).getTime() - now.getTime()) / HOUR_MS);
+
+  if (hoursLeft >= 48) return `expires in ${Math.floor(hoursLeft / 24)} days`;
+  if (hoursLeft >= 2) return `expires in ${hoursLeft} hours`;
+  if (hoursLeft === 1) return 'expires in 1 hour';
+  return 'expires within the hour';
+}
+
+module.exports = {
+  APPROVAL_TYPES,
+  REJECT_ONLY_APPROVAL_TYPES,
+  DEFAULT_EXPIRY_DAYS,
+  DEFAULT_EXPIRY_ACTION,
+  DEFAULT_REMINDER_HOURS,
+  MAX_EXPIRY_DAYS,
+  MAX_REMINDER_HOURS,
+  isValidApprovalPolicies,
+  isValidReminderHours,
+  isRejectOnlyApproval,
+  getApprovalPolicy,
+  getChangedPolicyTypes,
+  describeApprovalPolicy,
+  getApprovalExpiry,
+  getExpiryOutcome,
+  getPendingVoterIds,
+  isApprovalReminderDue,
+  describeTimeLeft,
+};
@@ -0,0 +1,81 @@
+/**
+ * Approval Thresholds
+ *
+ * Works out whether an approval request passes as soon as it is made: the
+ * requester's own vote (when they are an admin) plus the admins who have
+ * pre-approved the action for them through AdminPermission auto-approve flags.
+ * See APPROVAL_WORKFLOW.md, steps 7 to 12.
+ */
+
+/**
+ * AdminPermission flags that cover calendar actions
+ */
+const CALENDAR_PERMISSION_FIELDS = {
+  entries: 'autoApproveCalendarEntries',
+  child: 'autoApproveAssignChildrenToEvents',
+  caregiver: 'autoApproveAssignCaregiversToEvents',
+};
+
+/**
+ * Get the AdminPermission flags a calendar change needs
+ *
+ * Every calendar entry needs autoApproveCalendarEntries; assigning children or
+ * caregivers to the event also needs the matching assignment flag.
+ *
+ * @param {string[]} assignedRoles - Roles of the members the change assigns to the event
+ * @returns {string[]} AdminPermission field names (all must be granted to auto-approve)
+ */
+function getCalendarPermissionFields(assignedRoles = []) {
+  const fields = [CALENDAR_PERMISSION_FIELDS.entries];
+
+  if (assignedRoles.includes('child')) {
+    fields.push(CALENDAR_PERMISSION_FIELDS.child);
+  }
+  if (assignedRoles.includes('caregiver')) {
+    fields.push(CALENDAR_PERMISSION_FIELDS.caregiver);
+  }
+
+  return fields;
+}
+
+/**
+ * Get the admins who approve a request as soon as it is made
+ * @param {string[]} adminIds - Group admins at the time of the request
+ * @param {string} requesterId - Requesting group member ID
+ * @param {string[]} grantorIds - Admins who granted the requester every flag the action needs
+ * @returns {string[]} Approving admin IDs (the requester first, if they are an admin)
+ */
+function getApprovingAdminIds(adminIds, requesterId, grantorIds) {
+  const grantors = new Set(grantorIds);
+
+  return [
+    ...(adminIds.includes(requesterId) ? [requesterId] : []),
+    ...adminIds.filter(adminId => adminId !== requesterId && grantors.has(adminId)),
+  ];
+}
+
+/**
+ * Check whether the approving admins meet an approval's threshold
+ * @param {string[]} adminIds - Group admins at the time of the request
+ * @param {string[]} approvingIds - Admins approving the request
+ * @param {boolean} requiresAllAdmins - True for unanimous approvals, otherwise more than 50%
+ * @returns {boolean} True if the request passes (always true when the group has no admins)
+ */
+function hasApprovalPassed(adminIds, approvingIds, requiresAllAdmins) {
+  if (adminIds.length === 0) {
+    return true;
+  }
+
+  const approving = adminIds.filter(adminId => approvingIds.includes(adminId)).length;
+
+  return requiresAllAdmins
+    ? approving === adminIds.length
+    : approving / adminIds.length > 0.5;
+}
+
+module.exports = {
+  CALENDAR_PERMISSION_FIELDS,
+  getCalendarPermissionFields,
+  getApprovingAdminIds,
+  hasApprovalPassed,
+};
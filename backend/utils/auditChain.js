@@ -0,0 +1,88 @@
+/**
+ * Audit Log Hash Chain Verification
+ *
+ * Every AuditLog entry carries the hash of the previous entry for the same
+ * group (prevHash), its position in the chain (chainSeq) and its own hash,
+ * computed by the audit_log_hash() database function from prevHash, chainSeq
+ * and the entry's content (set by the audit_logs_chain insert trigger).
+ *
+ * Walking the chain in order, an entry is a broken link if:
+ * - its stored hash no longer matches its content (the entry was edited)
+ * - its prevHash doesn't match the previous entry's hash (an entry was replaced)
+ * - its chainSeq skips a number (entries were deleted)
+ */
+
+/**
+ * Describe a broken link
+ * @param {Object} entry - Chain entry
+ * @param {string} reason - Reason code
+ * @param {string} message - Explanation
+ * @returns {Object} Broken link
+ */
+function brokenLink(entry, reason, message) {
+  return {
+    logId: entry.logId,
+    chainSeq: entry.chainSeq,
+    performedAt: entry.performedAt,
+    action: entry.action,
+    reason: reason,
+    message: message,
+  };
+}
+
+/**
+ * Verify a run of chain entries
+ *
+ * Entries are verified in batches, so `previous` carries the last verified
+ * entry of the previous batch.
+ *
+ * @param {Array<Object>} entries - { logId, chainSeq, prevHash, hash, expectedHash, performedAt, action }, ordered by chainSeq
+ * @param {Object|null} previous - Last verified entry ({ chainSeq, hash }), or null at the start of the chain
+ * @returns {{ brokenLink: Object|null, last: Object|null }} First broken link (if any) and the last verified entry
+ */
+function verifyChainEntries(entries, previous = null) {
+  let last = previous;
+
+  for (const entry of entries) {
+    const expectedSeq = last ? last.chainSeq + 1 : 1;
+
+    if (!entry.hash) {
+      return { brokenLink: brokenLink(entry, 'missing_hash', 'Entry has no hash'), last };
+    }
+
+    if (entry.chainSeq !== expectedSeq) {
+      return {
+        brokenLink: brokenLink(
+          entry,
+          'sequence_gap',
+          entry.chainSeq > expectedSeq
+            ? `Entries ${expectedSeq} to ${entry.chainSeq - 1} are missing`
+            : `Entry ${entry.chainSeq} appears more than once`
+        ),
+        last,
+      };
+    }
+
+    if ((entry.prevHash || null) !== (last ? last.hash : null)) {
+      return {
+        brokenLink: brokenLink(entry, 'prev_hash_mismatch', 'Entry does not link to the previous entry'),
+        last,
+      };
+    }
+
+    if (entry.hash !== entry.expectedHash) {
+      return {
+        brokenLink: brokenLink(entry, 'hash_mismatch', 'Entry content has changed since it was logged'),
+        last,
+      };
+    }
+
+    last = entry;
+  }
+
+  return { brokenLink: null, last };
+}
+
+module.exports = {
+  verifyChainEntries,
+};
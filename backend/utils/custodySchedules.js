@@ -0,0 +1,145 @@
+/**
+ * Custody Schedule Templates
+ *
+ * Describes the standard custody rotations (2-2-3, week on/week off, 2-2-5-5,
+ * alternating weekends) and turns them into the recurring responsibility
+ * series that make up a full schedule.
+ *
+ * A template is a cycle of consecutive blocks, each owned by one of the two
+ * parents (index 0 = first parent, 1 = second parent). Every block becomes one
+ * CalendarEvent series repeating once per cycle, so a two-week rotation with
+ * six handovers is stored as six fortnightly series. The first parent always
+ * has the children from the start of the schedule.
+ */
+
+const { toLocalTime, fromLocalTime } = require('./timeZones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Available custody templates, keyed by pattern name
+ */
+const CUSTODY_TEMPLATES = {
+  '2-2-3': {
+    name: '2-2-3 rotation',
+    description: 'Two days with each parent, then three days, swapping each week so every weekend alternates.',
+    cycleDays: 14,
+    blocks: [
+      { parentIndex: 0, days: 2 },
+      { parentIndex: 1, days: 2 },
+      { parentIndex: 0, days: 3 },
+      { parentIndex: 1, days: 2 },
+      { parentIndex: 0, days: 2 },
+      { parentIndex: 1, days: 3 },
+    ],
+  },
+  'week-on-week-off': {
+    name: 'Week on / week off',
+    description: 'The children alternate between parents every seven days.',
+    cycleDays: 14,
+    blocks: [
+      { parentIndex: 0, days: 7 },
+      { parentIndex: 1, days: 7 },
+    ],
+  },
+  '2-2-5-5': {
+    name: '2-2-5-5 rotation',
+    description: 'Two days with each parent, then five days with each parent.',
+    cycleDays: 14,
+    blocks: [
+      { parentIndex: 0, days: 2 },
+      { parentIndex: 1, days: 2 },
+      { parentIndex: 0, days: 5 },
+      { parentIndex: 1, days: 5 },
+    ],
+  },
+  'alternating-weekends': {
+    name: 'Alternating weekends',
+    description: 'The first parent has every other weekend (start on a Friday); the second parent has the rest of the time.',
+    cycleDays: 14,
+    blocks: [
+      { parentIndex: 0, days: 2 },
+      { parentIndex: 1, days: 12 },
+    ],
+  },
+};
+
+/**
+ * Get a custody template by pattern name
+ *
+ * @param {string} pattern - Pattern name (e.g. '2-2-3')
+ * @returns {Object|null} Template definition, or null if unknown
+ */
+function getCustodyTemplate(pattern) {
+  return Object.prototype.hasOwnProperty.call(CUSTODY_TEMPLATES, pattern)
+    ? CUSTODY_TEMPLATES[pattern]
+    : null;
+}
+
+/**
+ * List custody templates for display (e.g. in the mobile wizard)
+ *
+ * @returns {Array<Object>} Templates with pattern, name, description, cycleDays and blocks
+ */
+function listCustodyTemplates() {
+  return Object.entries(CUSTODY_TEMPLATES).map(([pattern, template]) => ({
+    pattern,
+    ...template,
+  }));
+}
+
+/**
+ * Build the recurring series for a custody schedule
+ *
+ * Each block starts at the handover time on its day of the cycle and ends at the
+ * next handover, and repeats every cycle as `FREQ=WEEKLY;INTERVAL=<cycle weeks>`.
+ * Handovers are computed in whole days from `startTime` in the schedule's time
+ * zone, so they keep the same local time of day.
+ *
+ * @param {string} pattern - Pattern name
+ * @param {Date|string} startTime - First handover (start of the first block)
+ * @param {Date|string|null} [recurrenceEndDate] - Optional end of the schedule
+ * @param {string} [timeZone] - IANA time zone of the handovers (default 'UTC')
+ * @returns {Array<Object>} Series: { parentIndex, nextParentIndex, startTime, endTime, isRecurring, recurrencePattern, recurrenceEndDate }
+ * @throws {Error} If the pattern is unknown or the start time is invalid
+ */
+function buildCustodySchedule(pattern, startTime, recurrenceEndDate = null, timeZone = 'UTC') {
+  const template = getCustodyTemplate(pattern);
+  if (!template) {
+    throw new Error(`Unknown custody template: ${pattern}`);
+  }
+
+  const start = new Date(startTime);
+  if (isNaN(start.getTime())) {
+    throw new Error('Invalid start time');
+  }
+
+  const recurrencePattern = `FREQ=WEEKLY;INTERVAL=${template.cycleDays / 7}`;
+  const seriesEnd = recurrenceEndDate ? new Date(recurrenceEndDate) : null;
+
+  const localStart = toLocalTime(start, timeZone);
+  const handoverAfter = days => fromLocalTime(new Date(localStart.getTime() + days * DAY_MS), timeZone);
+
+  let offsetDays = 0;
+  return template.blocks.map((block, index) => {
+    const next = template.blocks[(index + 1) % template.blocks.length];
+    const series = {
+      parentIndex: block.parentIndex,
+      nextParentIndex: next.parentIndex,
+      startTime: handoverAfter(offsetDays),
+      endTime: handoverAfter(offsetDays + block.days),
+      isRecurring: true,
+      recurrencePattern,
+      recurrenceEndDate: seriesEnd,
+    };
+    offsetDays += block.days;
+    return series;
+  }).filter(series => !seriesEnd || series.startTime <= seriesEnd);
+}
+
+module.exports = {
+  CUSTODY_TEMPLATES,
+  getCustodyTemplate,
+  listCustodyTemplates,
+  buildCustodySchedule,
+};
@@ -0,0 +1,270 @@
+/**
+ * Evidence Bundle Builder
+ *
+ * Builds the files that go into a court-ready evidence bundle (see
+ * jobs/evidenceBundles.js) alongside the audit log PDF and media files:
+ * - calendar-events.csv, finance-matters.csv, finance-payments.csv, calls.csv
+ * - manifest.json: SHA-256 of every file, export time and exporter
+ * - VERIFY.txt: how to check the manifest signature and file hashes
+ */
+
+const crypto = require('crypto');
+const { toCsv, getMemberName } = require('./logExport');
+
+/**
+ * Manifest format version (bump if the manifest layout changes)
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * File extensions for common MIME subtypes that don't match their extension
+ */
+const EXTENSIONS_BY_SUBTYPE = {
+  jpeg: 'jpg',
+  quicktime: 'mov',
+  mpeg: 'mp3',
+  'x-m4a': 'm4a',
+  'svg+xml': 'svg',
+  plain: 'txt',
+};
+
+/**
+ * SHA-256 of a file
+ * @param {Buffer|string} content - File content
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Get a file extension from a MIME type
+ * @param {string|null} mimeType - e.g. 'image/jpeg', 'audio/webm;codecs=opus'
+ * @returns {string} Extension without the dot ('bin' if unknown)
+ */
+function getFileExtension(mimeType) {
+  const subtype = (mimeType || '').split(';')[0].split('/')[1];
+  if (!subtype) return 'bin';
+  return EXTENSIONS_BY_SUBTYPE[subtype] || subtype.replace(/[^a-z0-9]/gi, '') || 'bin';
+}
+
+/**
+ * Describe who was responsible at one end of a responsibility event
+ * @param {string} type - 'member' or 'other'
+ * @param {Object|null} member - GroupMember
+ * @param {string|null} otherName - Name of a non-member (e.g. school)
+ * @returns {string} Name
+ */
+function getResponsibleName(type, member, otherName) {
+  if (type === 'other') return otherName || 'Other';
+  return getMemberName(member) || 'Unknown';
+}
+
+/**
+ * Build calendar-events.csv
+ * @param {Array<Object>} events - CalendarEvents with creator, attendees and responsibilityEvents
+ * @returns {string} CSV text
+ */
+function buildCalendarEventsCsv(events) {
+  return toCsv([
+    { header: 'Start', value: event => event.startTime },
+    { header: 'End', value: event => event.endTime },
+    { header: 'Title', value: event => event.title },
+    {
+      header: 'Repeats',
+      value: event => (event.isRecurring
+        ? `${event.recurrencePattern} every ${event.recurrenceInterval || 1}${event.recurrenceEndDate ? ` until ${event.recurrenceEndDate.toISOString()}` : ''}`
+        : ''),
+    },
+    {
+      header: 'Responsibilities',
+      value: event => (event.responsibilityEvents || []).map(re => (
+        `${getMemberName(re.child) || 'Child'}: ${getResponsibleName(re.startResponsibilityType, re.startResponsibleMember, re.startResponsibleOtherName)}`
+        + ` -> ${getResponsibleName(re.endResponsibilityType, re.endResponsibleMember, re.endResponsibleOtherName)}`
+      )).join('; '),
+    },
+    { header: 'Attendees', value: event => (event.attendees || []).map(a => getMemberName(a.groupMember)).join('; ') },
+    { header: 'Notes', value: event => event.notes },
+    { header: 'Created By', value: event => getMemberName(event.creator) },
+    { header: 'Created At', value: event => event.createdAt },
+    { header: 'Series Event ID', value: event => event.parentEventId },
+    { header: 'Event ID', value: event => event.eventId },
+  ], events);
+}
+
+/**
+ * Describe a finance matter's status
+ * @param {Object} matter - FinanceMatter
+ * @returns {string} 'Settled', 'Canceled' or 'Open'
+ */
+function getFinanceMatterStatus(matter) {
+  if (matter.isCanceled) return 'Canceled';
+  if (matter.isSettled) return 'Settled';
+  return 'Open';
+}
+
+/**
+ * Build finance-matters.csv
+ * @param {Array<Object>} matters - FinanceMatters with creator and members (with groupMember)
+ * @returns {string} CSV text
+ */
+function buildFinanceMattersCsv(matters) {
+  return toCsv([
+    { header: 'Created At', value: matter => matter.createdAt },
+    { header: 'Name', value: matter => matter.name },
+    { header: 'Description', value: matter => matter.description },
+    { header: 'Currency', value: matter => matter.currency },
+    { header: 'Total Amount', value: matter => matter.totalAmount },
+    { header: 'Due Date', value: matter => matter.dueDate },
+    { header: 'Status', value: matter => getFinanceMatterStatus(matter) },
+    {
+      header: 'Members (expected / paid)',
+      value: matter => (matter.members || []).map(member => (
+        `${getMemberName(member.groupMember) || 'Unknown'}: ${member.expectedAmount} / ${member.paidAmount}`
+      )).join('; '),
+    },
+    { header: 'Created By', value: matter => getMemberName(matter.creator) },
+    { header: 'Settled At', value: matter => matter.settledAt },
+    { header: 'Canceled At', value: matter => matter.canceledAt },
+    { header: 'Finance Matter ID', value: matter => matter.financeMatterId },
+  ], matters);
+}
+
+/**
+ * Build finance-payments.csv
+ * @param {Array<Object>} matters - FinanceMatters with payments (with fromMember and toMember)
+ * @returns {string} CSV text
+ */
+function buildFinancePaymentsCsv(matters) {
+  const payments = matters
+    .flatMap(matter => (matter.payments || []).map(payment => ({ ...payment, matter })))
+    .sort((a, b) => new Date(a.reportedAt) - new Date(b.reportedAt));
+
+  return toCsv([
+    { header: 'Reported At', value: payment => payment.reportedAt },
+    { header: 'Finance Matter', value: payment => payment.matter.name },
+    { header: 'From', value: payment => getMemberName(payment.fromMember) },
+    { header: 'To', value: payment => (payment.toMember ? getMemberName(payment.toMember) : 'Finance matter') },
+    { header: 'Amount', value: payment => payment.amount },
+    { header: 'Currency', value: payment => payment.matter.currency },
+    { header: 'Confirmed', value: payment => (payment.isConfirmed ? 'Yes' : 'No') },
+    { header: 'Confirmed At', value: payment => payment.confirmedAt },
+    { header: 'Rejected At', value: payment => payment.rejectedAt },
+    { header: 'Receipt', value: payment => payment.receiptImageUrl },
+    { header: 'Payment ID', value: payment => payment.paymentId },
+  ], payments);
+}
+
+/**
+ * Build calls.csv (phone and video calls, with recording files in the bundle)
+ * @param {Array<Object>} calls - Calls with callType ('phone'|'video'), initiator and participants
+ * @param {Map<string, Array<string>>} recordingPathsByCallId - Bundle paths of each call's recordings
+ * @returns {string} CSV text
+ */
+function buildCallsCsv(calls, recordingPathsByCallId) {
+  const sorted = [...calls].sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+  return toCsv([
+    { header: 'Started At', value: call => call.startedAt },
+    { header: 'Type', value: call => call.callType },
+    { header: 'Status', value: call => call.status },
+    { header: 'Connected At', value: call => call.connectedAt },
+    { header: 'Ended At', value: call => call.endedAt },
+    { header: 'Duration (seconds)', value: call => (call.durationMs ? Math.round(call.durationMs / 1000) : '') },
+    { header: 'Initiated By', value: call => getMemberName(call.initiator) },
+    {
+      header: 'Participants',
+      value: call => (call.participants || []).map(p => `${getMemberName(p.participant) || 'Unknown'} (${p.status})`).join('; '),
+    },
+    { header: 'Recording Status', value: call => call.recordingStatus },
+    { header: 'Recording Hidden', value: call => (call.recordingIsHidden ? 'Yes' : 'No') },
+    { header: 'Recording Files', value: call => (recordingPathsByCallId.get(call.callId) || []).join(' ') },
+    { header: 'Call ID', value: call => call.callId },
+  ], sorted);
+}
+
+/**
+ * Build manifest.json
+ *
+ * The signature (manifest.sig) is over the exact bytes returned here, so the
+ * manifest must be written to the bundle as-is.
+ *
+ * @param {Object} details - Bundle details
+ * @param {string} details.exportId - LogExport ID
+ * @param {Object} details.group - { groupId, name }
+ * @param {Date} details.exportedAt - When the bundle was built
+ * @param {Object} details.exportedBy - { groupMemberId, name, email }
+ * @param {Object} details.filters - Filters the export was requested with
+ * @param {Array<{path: string, sha256: string, sizeBytes: number}>} details.files - Files in the bundle
+ * @param {Array<{path: string, reason: string}>} [details.missingFiles] - Referenced files that couldn't be included
+ * @param {Object|null} [details.auditChainHead] - Latest audit log hash chain entry ({ logId, chainSeq, hash, performedAt })
+ * @param {string} details.publicKeyFingerprint - Fingerprint of the signing key
+ * @returns {string} Manifest JSON
+ */
+function buildManifest({ exportId, group, exportedAt, exportedBy, filters, files, missingFiles = [], auditChainHead = null, publicKeyFingerprint }) {
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    exportId: exportId,
+    group: { groupId: group.groupId, name: group.name },
+    exportedAt: exportedAt.toISOString(),
+    exportedBy: exportedBy,
+    filters: filters || {},
+    hashAlgorithm: 'SHA-256',
+    signatureAlgorithm: 'Ed25519',
+    publicKeyFingerprint: publicKeyFingerprint,
+    files: files
+      .map(file => ({ path: file.path, sha256: file.sha256, sizeBytes: file.sizeBytes }))
+      .sort((a, b) => a.path.localeCompare(b.path)),
+    missingFiles: missingFiles,
+    auditChainHead: auditChainHead,
+  };
+
+  return JSON.stringify(manifest, null, 2);
+}
+
+/**
+ * Build VERIFY.txt
+ * @param {Object} details - Details
+ * @param {string} details.publicKeyUrl - Where the signing key is published
+ * @param {string} details.publicKeyFingerprint - Fingerprint of the signing key
+ * @returns {string} Text
+ */
+function buildVerificationInstructions({ publicKeyUrl, publicKeyFingerprint }) {
+  return [
+    'How to verify this evidence bundle',
+    '',
+    'manifest.json lists every file in this bundle with its SHA-256 hash, when the',
+    'bundle was exported and by whom. manifest.sig is an Ed25519 signature of',
+    'manifest.json made by Family Helper when the bundle was exported.',
+    '',
+    '1. Check the signing key',
+    `   public-key.pem should match the key published at ${publicKeyUrl}`,
+    `   (SHA-256 fingerprint of the DER-encoded key: ${publicKeyFingerprint}).`,
+    '',
+    '2. Check the manifest signature (OpenSSL 3):',
+    '   openssl base64 -d -A -in manifest.sig -out manifest.sig.bin',
+    '   openssl pkeyutl -verify -pubin -inkey public-key.pem -rawin -in manifest.json -sigfile manifest.sig.bin',
+    '   This prints "Signature Verified Successfully" if manifest.json is unaltered.',
+    '',
+    '3. Check each file against the hash in manifest.json:',
+    '   sha256sum <file>      (Linux)',
+    '   shasum -a 256 <file>  (macOS)',
+    '   certutil -hashfile <file> SHA256  (Windows)',
+    '',
+    'If the signature verifies and every hash matches, nothing in the bundle has',
+    'been altered since it was exported.',
+    '',
+  ].join('\r\n');
+}
+
+module.exports = {
+  sha256,
+  getFileExtension,
+  getFinanceMatterStatus,
+  buildCalendarEventsCsv,
+  buildFinanceMattersCsv,
+  buildFinancePaymentsCsv,
+  buildCallsCsv,
+  buildManifest,
+  buildVerificationInstructions,
+};
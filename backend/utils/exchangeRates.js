@@ -0,0 +1,162 @@
+/**
+ * Exchange Rates
+ *
+ * Converts finance amounts into a group's base currency using the dated
+ * exchange rates its admins maintain (FinanceExchangeRate). No rates are
+ * fetched from anywhere: an amount is converted with the most recent rate
+ * on or before its date, in either direction (a NZD -> AUD rate of 0.9 also
+ * converts AUD -> NZD at 1 / 0.9). Amounts with no usable rate are left
+ * unconverted and reported as missing rather than guessed.
+ */
+
+/**
+ * Format a date as YYYY-MM-DD (UTC), the granularity rates are kept at
+ * @param {Date|string} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Check a currency code
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a 3-letter code
+ */
+function isValidCurrency(value) {
+  return typeof value === 'string' && /^[A-Za-z]{3}$/.test(value);
+}
+
+/**
+ * Check an exchange rate value
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a positive number
+ */
+function isValidRate(value) {
+  const rate = parseFloat(value);
+  return !isNaN(rate) && isFinite(rate) && rate > 0;
+}
+
+/**
+ * Find the rate to convert between two currencies on a date
+ *
+ * @param {Array<Object>} rates - FinanceExchangeRates ({ fromCurrency, toCurrency, rate, effectiveDate })
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Currency to convert to
+ * @param {Date|string} date - Date of the amount
+ * @returns {{ rate: number, effectiveDate: string|null }|null} Rate and the date it took effect
+ *   (null for the same currency), or null if no rate is known on or before the date
+ */
+function findExchangeRate(rates, fromCurrency, toCurrency, date) {
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, effectiveDate: null };
+  }
+
+  const dateKey = toDateKey(date);
+  let best = null;
+
+  for (const rate of rates) {
+    const effectiveDate = toDateKey(rate.effectiveDate);
+    if (effectiveDate > dateKey) continue;
+
+    let value = null;
+    if (rate.fromCurrency === fromCurrency && rate.toCurrency === toCurrency) {
+      value = parseFloat(rate.rate);
+    } else if (rate.fromCurrency === toCurrency && rate.toCurrency === fromCurrency) {
+      value = 1 / parseFloat(rate.rate);
+    }
+
+    if (value !== null && (!best || effectiveDate > best.effectiveDate)) {
+      best = { rate: value, effectiveDate: effectiveDate };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Create a converter into a base currency
+ *
+ * @param {Array<Object>} rates - The group's FinanceExchangeRates
+ * @param {string} baseCurrency - Currency to convert to
+ * @returns {Object} { baseCurrency, convert(amount, currency, date), getMissingCurrencies() } -
+ *   convert returns { amount, rate, effectiveDate } or null if there is no rate
+ */
+function createCurrencyConverter(rates, baseCurrency) {
+  const missing = new Set();
+
+  return {
+    baseCurrency: baseCurrency,
+
+    convert(amount, currency, date) {
+      const found = findExchangeRate(rates, currency, baseCurrency, date);
+      if (!found) {
+        missing.add(currency);
+        return null;
+      }
+
+      return {
+        amount: Math.round(parseFloat(amount || 0) * found.rate * 100) / 100,
+        rate: found.rate,
+        effectiveDate: found.effectiveDate,
+      };
+    },
+
+    getMissingCurrencies() {
+      return Array.from(missing).sort();
+    },
+  };
+}
+
+/**
+ * Parse exchange rates from CSV
+ *
+ * Columns: date (YYYY-MM-DD), from currency, to currency, rate - e.g.
+ * "2026-01-31,NZD,AUD,0.9123". A header row is skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {{ rates: Array<Object>, errors: Array<Object> }} Rates ({ effectiveDate, fromCurrency, toCurrency, rate })
+ *   and errors ({ line, message })
+ */
+function parseExchangeRateCsv(text) {
+  const rates = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (cells.every(cell => cell === '')) return;
+
+    const [date, fromCurrency, toCurrency, rate] = cells;
+
+    // Header row
+    if (index === 0 && !/^\d/.test(date)) return;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      errors.push({ line: index + 1, message: `Invalid date "${date}" (use YYYY-MM-DD)` });
+    } else if (!isValidCurrency(fromCurrency) || !isValidCurrency(toCurrency)) {
+      errors.push({ line: index + 1, message: 'Currencies must be 3-letter codes' });
+    } else if (fromCurrency.toUpperCase() === toCurrency.toUpperCase()) {
+      errors.push({ line: index + 1, message: 'From and to currencies must be different' });
+    } else if (!isValidRate(rate)) {
+      errors.push({ line: index + 1, message: `Invalid rate "${rate}"` });
+    } else {
+      rates.push({
+        effectiveDate: date,
+        fromCurrency: fromCurrency.toUpperCase(),
+        toCurrency: toCurrency.toUpperCase(),
+        rate: parseFloat(rate),
+      });
+    }
+  });
+
+  return { rates, errors };
+}
+
+module.exports = {
+  toDateKey,
+  isValidCurrency,
+  isValidRate,
+  findExchangeRate,
+  createCurrencyConverter,
+  parseExchangeRateCsv,
+};
@@ -0,0 +1,145 @@
+/**
+ * Family Graph
+ *
+ * Relationships are stored one way round: memberId1 is the relationshipType
+ * of memberId2 (e.g. Mum is the 'parent' of Sam). Siblings and partners are
+ * the same both ways. The graph gives every member their relatives in both
+ * directions, and grandparents are also worked out from parents' parents so
+ * they don't all have to be recorded.
+ */
+
+/**
+ * Relationship types, read as "memberId1 is the <type> of memberId2"
+ */
+const RELATIONSHIP_TYPES = ['parent', 'step_parent', 'grandparent', 'caregiver', 'sibling', 'partner'];
+
+/**
+ * Types that read the same both ways round
+ */
+const SYMMETRIC_TYPES = ['sibling', 'partner'];
+
+/**
+ * Graph fields filled in for memberId1 and memberId2 of each type
+ */
+const GRAPH_FIELDS = {
+  parent: ['children', 'parents'],
+  step_parent: ['stepChildren', 'stepParents'],
+  grandparent: ['grandchildren', 'grandparents'],
+  caregiver: ['caredFor', 'caregivers'],
+  sibling: ['siblings', 'siblings'],
+  partner: ['partners', 'partners'],
+};
+
+/**
+ * Check a relationship type
+ * @param {*} type - Value to check
+ * @returns {boolean} True for one of RELATIONSHIP_TYPES
+ */
+function isValidRelationshipType(type) {
+  return RELATIONSHIP_TYPES.includes(type);
+}
+
+/**
+ * Find a relationship between two members, whichever way round it was recorded
+ * @param {Array<Object>} relationships - Relationships ({ memberId1, memberId2 })
+ * @param {string} memberIdA - One member
+ * @param {string} memberIdB - The other member
+ * @returns {Object|null} The relationship, or null
+ */
+function findRelationshipBetween(relationships, memberIdA, memberIdB) {
+  return relationships.find(r =>
+    (r.memberId1 === memberIdA && r.memberId2 === memberIdB) ||
+    (r.memberId1 === memberIdB && r.memberId2 === memberIdA)) || null;
+}
+
+/**
+ * Build the family graph for a group
+ *
+ * @param {Array<Object>} members - Group members ({ groupMemberId, displayName, role })
+ * @param {Array<Object>} relationships - Relationships ({ relationshipId, memberId1, memberId2, relationshipType })
+ * @returns {Object} { members: [{ groupMemberId, displayName, role, parents, children, stepParents,
+ *   stepChildren, grandparents, grandchildren, caregivers, caredFor, siblings, partners }], edges }
+ *   - relative lists hold group member IDs; edges are the relationships between listed members
+ */
+function buildFamilyGraph(members, relationships) {
+  const nodes = new Map(members.map(member => [member.groupMemberId, {
+    groupMemberId: member.groupMemberId,
+    displayName: member.displayName,
+    role: member.role,
+    parents: [],
+    children: [],
+    stepParents: [],
+    stepChildren: [],
+    grandparents: [],
+    grandchildren: [],
+    caregivers: [],
+    caredFor: [],
+    siblings: [],
+    partners: [],
+  }]));
+
+  const addRelative = (memberId, field, relativeId) => {
+    const node = nodes.get(memberId);
+    if (node && memberId !== relativeId && !node[field].includes(relativeId)) {
+      node[field].push(relativeId);
+    }
+  };
+
+  const edges = relationships.filter(r =>
+    nodes.has(r.memberId1) && nodes.has(r.memberId2) && GRAPH_FIELDS[r.relationshipType]);
+
+  for (const relationship of edges) {
+    const [field1, field2] = GRAPH_FIELDS[relationship.relationshipType];
+    addRelative(relationship.memberId1, field1, relationship.memberId2);
+    addRelative(relationship.memberId2, field2, relationship.memberId1);
+  }
+
+  // Parents' parents are grandparents even if that isn't recorded
+  for (const node of nodes.values()) {
+    for (const parentId of node.parents) {
+      for (const grandparentId of nodes.get(parentId).parents) {
+        addRelative(node.groupMemberId, 'grandparents', grandparentId);
+        addRelative(grandparentId, 'grandchildren', node.groupMemberId);
+      }
+    }
+  }
+
+  return {
+    members: [...nodes.values()],
+    edges: edges.map(r => ({
+      relationshipId: r.relationshipId,
+      memberId1: r.memberId1,
+      memberId2: r.memberId2,
+      relationshipType: r.relationshipType,
+      symmetric: SYMMETRIC_TYPES.includes(r.relationshipType),
+    })),
+  };
+}
+
+/**
+ * Get the members who have one of the given relationships to any of the children
+ *
+ * Used to default event attendees (the children's parents, step-parents and
+ * caregivers) and finance splits (their parents).
+ *
+ * @param {Array<Object>} relationships - Relationships ({ memberId1, memberId2, relationshipType })
+ * @param {string[]} childIds - Children's group member IDs
+ * @param {string[]} relationshipTypes - Types memberId1 must have to a child, e.g. ['parent']
+ * @returns {string[]} Member IDs in the order their relationships are listed, without duplicates or the children
+ */
+function getRelatedMemberIds(relationships, childIds, relationshipTypes) {
+  const relatedIds = relationships
+    .filter(r => childIds.includes(r.memberId2) && relationshipTypes.includes(r.relationshipType))
+    .map(r => r.memberId1)
+    .filter(memberId => !childIds.includes(memberId));
+
+  return [...new Set(relatedIds)];
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  isValidRelationshipType,
+  findRelationshipBetween,
+  buildFamilyGraph,
+  getRelatedMemberIds,
+};
@@ -0,0 +1,196 @@
+/**
+ * Finance Matter Balances
+ *
+ * Each member of a finance matter has an expected share (expectedAmount) and
+ * the amount they have paid towards it so far (paidAmount). paidAmount starts
+ * at whatever the member had already paid when the matter was created and is
+ * moved by confirmed FinancePayments:
+ * - a payment to another member adds to the payer's paidAmount and takes it
+ *   off the recipient's (the recipient had paid more than their share)
+ * - a payment towards the matter (no recipient, e.g. paying the bill directly)
+ *   only adds to the payer's paidAmount
+ *
+ * Amounts are worked out in cents so rounding never leaves a 0.01 balance.
+ * toCents and pairDebts are shared with the other finance utilities so they
+ * all round and settle up the same way.
+ */
+
+/**
+ * Convert an amount (number, string or Prisma Decimal) to whole cents
+ * @param {number|string|Object} value - Amount
+ * @returns {number} Cents
+ */
+function toCents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+/**
+ * Convert cents back to an amount
+ * @param {number} cents - Cents
+ * @returns {number} Amount
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Pair members who owe with members who are owed, largest amounts first
+ *
+ * Whatever a member owes that no one is owed is returned with toMemberId
+ * null (never the case when the amounts add up to zero).
+ *
+ * @param {Array<Object>} entries - { groupMemberId, cents } (positive = owed money, negative = owes)
+ * @returns {Array<Object>} { fromMemberId, toMemberId, cents }
+ */
+function pairDebts(entries) {
+  const creditors = entries
+    .filter((entry) => entry.cents > 0)
+    .map((entry) => ({ groupMemberId: entry.groupMemberId, cents: entry.cents }))
+    .sort((a, b) => b.cents - a.cents);
+  const debtors = entries
+    .filter((entry) => entry.cents < 0)
+    .map((entry) => ({ groupMemberId: entry.groupMemberId, cents: -entry.cents }))
+    .sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  let creditorIndex = 0;
+
+  for (const debtor of debtors) {
+    while (debtor.cents > 0 && creditorIndex < creditors.length) {
+      const creditor = creditors[creditorIndex];
+      const cents = Math.min(debtor.cents, creditor.cents);
+
+      transfers.push({ fromMemberId: debtor.groupMemberId, toMemberId: creditor.groupMemberId, cents });
+
+      debtor.cents -= cents;
+      creditor.cents -= cents;
+      if (creditor.cents === 0) creditorIndex++;
+    }
+
+    if (debtor.cents > 0) {
+      transfers.push({ fromMemberId: debtor.groupMemberId, toMemberId: null, cents: debtor.cents });
+    }
+  }
+
+  return transfers;
+}
+
+/**
+ * Work out each member's outstanding share
+ *
+ * @param {Array<Object>} members - FinanceMatterMembers ({ groupMemberId, expectedAmount, paidAmount })
+ * @param {Array<Object>} pendingPayments - Unconfirmed FinancePayments ({ fromMemberId, amount })
+ * @returns {Array<Object>} { groupMemberId, expectedAmount, paidAmount, pendingAmount, remainingAmount, creditAmount }
+ */
+function calculateMemberBalances(members, pendingPayments = []) {
+  return members.map((member) => {
+    const expected = toCents(member.expectedAmount);
+    const paid = toCents(member.paidAmount);
+    const pending = pendingPayments
+      .filter((payment) => payment.fromMemberId === member.groupMemberId)
+      .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+    return {
+      groupMemberId: member.groupMemberId,
+      expectedAmount: fromCents(expected),
+      paidAmount: fromCents(paid),
+      pendingAmount: fromCents(pending),
+      remainingAmount: fromCents(Math.max(expected - paid, 0)),
+      creditAmount: fromCents(Math.max(paid - expected, 0)),
+    };
+  });
+}
+
+/**
+ * Work out who owes whom
+ *
+ * Members with a remaining share pay back members who paid more than their
+ * share, largest amounts first. Whatever can't be paid back to a member is
+ * still owed towards the matter itself (toMemberId is null).
+ *
+ * @param {Array<Object>} balances - Output of calculateMemberBalances
+ * @returns {Array<Object>} { fromMemberId, toMemberId, amount }
+ */
+function calculateSettlements(balances) {
+  const entries = balances.map((balance) => ({
+    groupMemberId: balance.groupMemberId,
+    cents: toCents(balance.creditAmount) - toCents(balance.remainingAmount),
+  }));
+
+  return pairDebts(entries).map((transfer) => ({
+    fromMemberId: transfer.fromMemberId,
+    toMemberId: transfer.toMemberId,
+    amount: fromCents(transfer.cents),
+  }));
+}
+
+/**
+ * Check whether every member has paid their share
+ * @param {Array<Object>} balances - Output of calculateMemberBalances
+ * @returns {boolean} True if nothing is outstanding
+ */
+function isFullyPaid(balances) {
+  return balances.every((balance) => balance.remainingAmount === 0);
+}
+
+/**
+ * Split a total evenly between members
+ *
+ * Shares are rounded to the cent (and percentages to 0.01%); the first members
+ * take any remainder so the shares add up to the total exactly.
+ *
+ * @param {string[]} memberIds - Group member IDs
+ * @param {number|string} totalAmount - Amount to split
+ * @returns {Array<Object>} { groupMemberId, expectedPercentage, expectedAmount, paidAmount }
+ */
+function splitEvenly(memberIds, totalAmount) {
+  const count = memberIds.length;
+  const totalCents = toCents(totalAmount);
+
+  return memberIds.map((groupMemberId, index) => {
+    const cents = Math.floor(totalCents / count) + (index < totalCents % count ? 1 : 0);
+    const basisPoints = Math.floor(10000 / count) + (index < 10000 % count ? 1 : 0);
+
+    return {
+      groupMemberId,
+      expectedPercentage: basisPoints / 100,
+      expectedAmount: fromCents(cents),
+      paidAmount: 0,
+    };
+  });
+}
+
+/**
+ * Check whether a member can confirm or reject a pending payment
+ *
+ * A payment to a member is reviewed by that member. A payment towards the
+ * matter itself has no recipient, so it is reviewed by the matter's creator
+ * or an admin - but never by the member who made it.
+ *
+ * @param {Object} payment - FinancePayment ({ fromMemberId, toMemberId }) with its financeMatter ({ createdBy })
+ * @param {Object} reviewer - Reviewer's GroupMember ({ groupMemberId, role })
+ * @returns {boolean} True if the member can review the payment
+ */
+function canReviewPayment(payment, reviewer) {
+  if (payment.fromMemberId === reviewer.groupMemberId) {
+    return false;
+  }
+
+  if (payment.toMemberId) {
+    return payment.toMemberId === reviewer.groupMemberId;
+  }
+
+  return payment.financeMatter.createdBy === reviewer.groupMemberId ||
+    reviewer.role === 'admin';
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  pairDebts,
+  calculateMemberBalances,
+  calculateSettlements,
+  isFullyPaid,
+  splitEvenly,
+  canReviewPayment,
+};
@@ -0,0 +1,126 @@
+/**
+ * Finance Budget Summary
+ *
+ * Answers "how much did we spend on medical this year": totals finance
+ * matters per expense category and per child for one year, against the
+ * group's annual category budgets.
+ *
+ * A matter counts in full towards its category (or "Uncategorized"). A matter
+ * spent on several children is split evenly between them; the odd cents go
+ * to the first children so the split always adds up to the matter total.
+ * Amounts in different currencies are never added together.
+ */
+
+const { toCents } = require('./financeBalances');
+
+/**
+ * Split an amount evenly
+ * @param {number} cents - Amount in cents
+ * @param {number} parts - Number of parts
+ * @returns {Array<number>} Cents per part
+ */
+function splitEvenly(cents, parts) {
+  const base = Math.floor(cents / parts);
+  return Array.from({ length: parts }, (_, index) => base + (index < cents - base * parts ? 1 : 0));
+}
+
+/**
+ * Build the spent vs budget summary
+ *
+ * @param {Object} params - Summary inputs
+ * @param {Array<Object>} params.matters - Uncanceled FinanceMatters for the year
+ *   ({ currency, totalAmount, categoryId, children: [{ groupMemberId }] })
+ * @param {Array<Object>} params.categories - FinanceCategories ({ categoryId, name })
+ * @param {Array<Object>} params.budgets - FinanceCategoryBudgets for the year ({ categoryId, currency, amount })
+ * @returns {Array<Object>} Per currency: { currency, spentAmount, budgetAmount,
+ *   categories: [{ categoryId, name, matterCount, spentAmount, budgetAmount, remainingAmount }],
+ *   children: [{ groupMemberId, spentAmount, categories: [{ categoryId, spentAmount }] }] }
+ */
+function buildBudgetSummary({ matters, categories, budgets }) {
+  const currencies = new Map();
+
+  const getCurrency = (currency) => {
+    if (!currencies.has(currency)) {
+      currencies.set(currency, { categories: new Map(), children: new Map() });
+    }
+    return currencies.get(currency);
+  };
+
+  const getCategory = (entry, categoryId) => {
+    if (!entry.categories.has(categoryId)) {
+      entry.categories.set(categoryId, { matterCount: 0, spent: 0, budget: null });
+    }
+    return entry.categories.get(categoryId);
+  };
+
+  for (const budget of budgets) {
+    getCategory(getCurrency(budget.currency), budget.categoryId).budget = toCents(budget.amount);
+  }
+
+  for (const matter of matters) {
+    const entry = getCurrency(matter.currency);
+    const categoryId = matter.categoryId || null;
+    const cents = toCents(matter.totalAmount);
+
+    const category = getCategory(entry, categoryId);
+    category.matterCount++;
+    category.spent += cents;
+
+    const childIds = (matter.children || []).map(child => child.groupMemberId).sort();
+    const shares = childIds.length > 0 ? splitEvenly(cents, childIds.length) : [];
+
+    childIds.forEach((groupMemberId, index) => {
+      if (!entry.children.has(groupMemberId)) {
+        entry.children.set(groupMemberId, { spent: 0, categories: new Map() });
+      }
+      const child = entry.children.get(groupMemberId);
+      child.spent += shares[index];
+      child.categories.set(categoryId, (child.categories.get(categoryId) || 0) + shares[index]);
+    });
+  }
+
+  const categoryNames = new Map(categories.map(category => [category.categoryId, category.name]));
+  const categoryOrder = new Map(categories.map((category, index) => [category.categoryId, index]));
+
+  // Categories in the order given, then deleted ones, with Uncategorized last
+  const sortCategoryIds = ids => ids.sort((a, b) => {
+    const orderA = a === null ? Infinity : (categoryOrder.has(a) ? categoryOrder.get(a) : categories.length);
+    const orderB = b === null ? Infinity : (categoryOrder.has(b) ? categoryOrder.get(b) : categories.length);
+    return orderA - orderB;
+  });
+
+  return Array.from(currencies.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([currency, entry]) => {
+      const categoryRows = sortCategoryIds(Array.from(entry.categories.keys())).map((categoryId) => {
+        const category = entry.categories.get(categoryId);
+        return {
+          categoryId: categoryId,
+          name: categoryId === null ? 'Uncategorized' : categoryNames.get(categoryId) || 'Deleted category',
+          matterCount: category.matterCount,
+          spentAmount: category.spent / 100,
+          budgetAmount: category.budget === null ? null : category.budget / 100,
+          remainingAmount: category.budget === null ? null : (category.budget - category.spent) / 100,
+        };
+      });
+
+      return {
+        currency: currency,
+        spentAmount: categoryRows.reduce((sum, row) => sum + toCents(row.spentAmount), 0) / 100,
+        budgetAmount: categoryRows.reduce((sum, row) => sum + toCents(row.budgetAmount), 0) / 100,
+        categories: categoryRows,
+        children: Array.from(entry.children.entries()).map(([groupMemberId, child]) => ({
+          groupMemberId: groupMemberId,
+          spentAmount: child.spent / 100,
+          categories: sortCategoryIds(Array.from(child.categories.keys())).map(categoryId => ({
+            categoryId: categoryId,
+            spentAmount: child.categories.get(categoryId) / 100,
+          })),
+        })),
+      };
+    });
+}
+
+module.exports = {
+  buildBudgetSummary,
+};
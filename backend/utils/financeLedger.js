@@ -0,0 +1,366 @@
+/**
+ * Group Finance Ledger
+ *
+ * Combines the open finance matters of a group into one net position per
+ * member and currency, suggests the fewest transfers that settle everyone up,
+ * and splits a single settlement payment into FinancePayments on the
+ * underlying matters.
+ *
+ * Within a matter, members who owe (remaining share) pay members who paid
+ * more than their share (credit) - see utils/financeBalances.js. A settlement
+ * from A to B is allocated along chains of those debts: if A owes C on one
+ * matter and C owes B on another, A paying B settles both (C passes it on).
+ * Debts running both ways between A and B (A owes B on one matter, B owes A
+ * on another) are cancelled out as part of the settlement.
+ *
+ * For families split across countries the per-currency ledger can also be
+ * combined into the group's base currency (see utils/exchangeRates.js).
+ */
+
+const { toCents, pairDebts, calculateMemberBalances, calculateSettlements } = require('./financeBalances');
+
+/**
+ * Largest number of members for which the exact fewest-transfers search is used
+ * (it is exponential in the number of members; larger groups use the greedy plan)
+ */
+const MAX_EXACT_MEMBERS = 15;
+
+/**
+ * Suggest the fewest transfers that bring every net balance to zero
+ *
+ * A set of n members whose balances sum to zero can always be settled with
+ * n - 1 transfers, so the fewest transfers overall comes from splitting the
+ * members into as many zero-sum sets as possible (found by searching subsets
+ * for up to MAX_EXACT_MEMBERS members) and settling each set greedily.
+ *
+ * @param {Object<string, number>} netAmounts - Net balance per groupMemberId (positive = owed money)
+ * @returns {Array<Object>} { fromMemberId, toMemberId, amount }
+ */
+function simplifyDebts(netAmounts) {
+  const entries = Object.entries(netAmounts)
+    .map(([groupMemberId, amount]) => ({ groupMemberId, cents: toCents(amount) }))
+    .filter(entry => entry.cents !== 0);
+
+  let groups = [entries];
+
+  if (entries.length > 0 && entries.length <= MAX_EXACT_MEMBERS) {
+    const size = 1 << entries.length;
+    const sums = new Array(size).fill(0);
+    const best = new Array(size).fill(0);
+
+    for (let mask = 1; mask < size; mask++) {
+      const lowest = 31 - Math.clz32(mask & -mask);
+      sums[mask] = sums[mask & (mask - 1)] + entries[lowest].cents;
+
+      for (let i = 0; i < entries.length; i++) {
+        if (mask & (1 << i)) {
+          best[mask] = Math.max(best[mask], best[mask ^ (1 << i)]);
+        }
+      }
+      if (sums[mask] === 0) best[mask]++;
+    }
+
+    // Walk back from the full set; each zero-sum step closes off a group
+    groups = [];
+    let mask = size - 1;
+    let group = [];
+
+    while (mask) {
+      let next = -1;
+      for (let i = 0; i < entries.length && next === -1; i++) {
+        const bit = 1 << i;
+        if ((mask & bit) && best[mask ^ bit] === best[mask] - (sums[mask] === 0 ? 1 : 0)) {
+          next = i;
+        }
+      }
+
+      if (sums[mask] === 0 && group.length > 0) {
+        groups.push(group);
+        group = [];
+      }
+
+      group.push(entries[next]);
+      mask ^= 1 << next;
+    }
+    groups.push(group);
+  }
+
+  return groups
+    .flatMap(group => pairDebts(group))
+    .map(transfer => ({
+      fromMemberId: transfer.fromMemberId,
+      toMemberId: transfer.toMemberId,
+      amount: transfer.cents / 100,
+    }));
+}
+
+/**
+ * Build the ledger for a group's open finance matters
+ *
+ * @param {Array<Object>} matters - Unsettled, uncanceled FinanceMatters ({ currency, members: [{ groupMemberId, expectedAmount, paidAmount }] })
+ * @returns {Array<Object>} Per currency: { currency, matterCount, balances: [{ groupMemberId, netAmount, owedTowardsMatters }], transfers }
+ */
+function buildLedger(matters) {
+  const currencies = new Map();
+
+  for (const matter of matters) {
+    if (!currencies.has(matter.currency)) {
+      currencies.set(matter.currency, { currency: matter.currency, matterCount: 0, net: new Map(), towardsMatters: new Map() });
+    }
+
+    const entry = currencies.get(matter.currency);
+    entry.matterCount++;
+
+    for (const member of matter.members) {
+      if (!entry.net.has(member.groupMemberId)) {
+        entry.net.set(member.groupMemberId, 0);
+        entry.towardsMatters.set(member.groupMemberId, 0);
+      }
+    }
+
+    for (const settlement of calculateSettlements(calculateMemberBalances(matter.members))) {
+      const cents = toCents(settlement.amount);
+
+      if (settlement.toMemberId) {
+        entry.net.set(settlement.fromMemberId, entry.net.get(settlement.fromMemberId) - cents);
+        entry.net.set(settlement.toMemberId, entry.net.get(settlement.toMemberId) + cents);
+      } else {
+        entry.towardsMatters.set(settlement.fromMemberId, entry.towardsMatters.get(settlement.fromMemberId) + cents);
+      }
+    }
+  }
+
+  return Array.from(currencies.values())
+    .sort((a, b) => a.currency.localeCompare(b.currency))
+    .map((entry) => {
+      const netAmounts = {};
+      for (const [groupMemberId, cents] of entry.net) {
+        netAmounts[groupMemberId] = cents / 100;
+      }
+
+      return {
+        currency: entry.currency,
+        matterCount: entry.matterCount,
+        balances: Array.from(entry.net.keys()).map(groupMemberId => ({
+          groupMemberId: groupMemberId,
+          netAmount: netAmounts[groupMemberId],
+          owedTowardsMatters: entry.towardsMatters.get(groupMemberId) / 100,
+        })),
+        transfers: simplifyDebts(netAmounts),
+      };
+    });
+}
+
+/**
+ * Convert a ledger into the group's base currency
+ *
+ * Open balances are still to be paid, so every currency is converted at the
+ * rate on one date (normally today). Currencies without a rate are left out
+ * of the combined ledger and listed in missingCurrencies. Rounding leftovers
+ * (a cent or two) go to the member with the largest balance so the combined
+ * balances still add up to zero.
+ *
+ * @param {Array<Object>} ledger - Output of buildLedger
+ * @param {Object} converter - From createCurrencyConverter
+ * @param {Date} date - Date of the rates to use
+ * @returns {{ entries: Array<Object>, combined: Object }} Ledger entries with exchangeRate and converted
+ *   amounts on each balance (null without a rate), and the combined ledger
+ *   ({ currency, balances: [{ groupMemberId, netAmount, owedTowardsMatters }], transfers, missingCurrencies })
+ */
+function convertLedger(ledger, converter, date) {
+  const net = new Map();
+  const towardsMatters = new Map();
+
+  const entries = ledger.map((entry) => {
+    const sample = converter.convert(1, entry.currency, date);
+    const rate = sample ? sample.rate : null;
+
+    return {
+      ...entry,
+      exchangeRate: sample ? { rate: rate, effectiveDate: sample.effectiveDate } : null,
+      balances: entry.balances.map((balance) => {
+        if (rate === null) {
+          return { ...balance, convertedNetAmount: null, convertedOwedTowardsMatters: null };
+        }
+
+        const netCents = Math.round(balance.netAmount * rate * 100);
+        const towardsCents = Math.round(balance.owedTowardsMatters * rate * 100);
+        net.set(balance.groupMemberId, (net.get(balance.groupMemberId) || 0) + netCents);
+        towardsMatters.set(balance.groupMemberId, (towardsMatters.get(balance.groupMemberId) || 0) + towardsCents);
+
+        return { ...balance, convertedNetAmount: netCents / 100, convertedOwedTowardsMatters: towardsCents / 100 };
+      }),
+    };
+  });
+
+  const leftover = Array.from(net.values()).reduce((sum, cents) => sum + cents, 0);
+  if (leftover !== 0) {
+    const [largest] = Array.from(net.entries()).sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+    net.set(largest[0], largest[1] - leftover);
+  }
+
+  const netAmounts = {};
+  for (const [groupMemberId, cents] of net) {
+    netAmounts[groupMemberId] = cents / 100;
+  }
+
+  return {
+    entries: entries,
+    combined: {
+      currency: converter.baseCurrency,
+      balances: Array.from(net.keys()).map(groupMemberId => ({
+        groupMemberId: groupMemberId,
+        netAmount: netAmounts[groupMemberId],
+        owedTowardsMatters: towardsMatters.get(groupMemberId) / 100,
+      })),
+      transfers: simplifyDebts(netAmounts),
+      missingCurrencies: converter.getMissingCurrencies(),
+    },
+  };
+}
+
+/**
+ * Split a settlement payment into payments on the underlying matters
+ *
+ * Pending payments are treated as already made, so a settlement never
+ * allocates what is already awaiting confirmation. Rejected payments are
+ * ignored, as they were never made.
+ *
+ * @param {Array<Object>} matters - Open FinanceMatters in the settlement currency, oldest first
+ *   ({ financeMatterId, members: [{ groupMemberId, expectedAmount, paidAmount }], pendingPayments: [{ fromMemberId, toMemberId, amount, isRejected }] })
+ * @param {string} fromMemberId - Member paying
+ * @param {string} toMemberId - Member being paid
+ * @param {number} amount - Settlement amount
+ * @returns {{ allocations: Array<Object>, unallocatedAmount: number }} Allocations ({ financeMatterId, fromMemberId, toMemberId, amount })
+ *   and whatever could not be allocated
+ */
+function allocateSettlement(matters, fromMemberId, toMemberId, amount) {
+  // Per matter: member -> paid minus expected, in cents (negative = owes, positive = is owed)
+  const positions = matters.map((matter) => {
+    const position = new Map();
+    for (const member of matter.members) {
+      position.set(member.groupMemberId, toCents(member.paidAmount) - toCents(member.expectedAmount));
+    }
+    for (const payment of matter.pendingPayments || []) {
+      if (payment.isRejected) continue;
+
+      const cents = toCents(payment.amount);
+      if (position.has(payment.fromMemberId)) {
+        position.set(payment.fromMemberId, position.get(payment.fromMemberId) + cents);
+      }
+      if (payment.toMemberId && position.has(payment.toMemberId)) {
+        position.set(payment.toMemberId, position.get(payment.toMemberId) - cents);
+      }
+    }
+    return position;
+  });
+
+  /**
+   * Find the shortest chain of debts from source to target
+   * @param {string} source - Member who owes
+   * @param {string} target - Member who is owed
+   * @param {Set<string>} excluded - Members the chain may not pass through
+   * @returns {Array<Object>|null} Steps ({ matterIndex, from, to, cents }) or null
+   */
+  const findChain = (source, target, excluded = new Set()) => {
+    const previous = new Map();
+    const queue = [source];
+    const visited = new Set([source, ...excluded]);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+
+      for (let matterIndex = 0; matterIndex < positions.length; matterIndex++) {
+        const position = positions[matterIndex];
+        const owes = -(position.get(current) || 0);
+        if (owes <= 0) continue;
+
+        for (const [next, credit] of position) {
+          if (credit <= 0) continue;
+
+          const step = { matterIndex, from: current, to: next, cents: Math.min(owes, credit) };
+
+          if (next === target) {
+            const chain = [step];
+            let node = current;
+            while (node !== source) {
+              const back = previous.get(node);
+              chain.unshift(back);
+              node = back.from;
+            }
+            return chain;
+          }
+
+          if (!visited.has(next)) {
+            visited.add(next);
+            previous.set(next, step);
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    return null;
+  };
+
+  const allocated = new Map();
+
+  /**
+   * Move money along a chain
+   * @param {Array<Object>} chain - Steps from findChain
+   * @param {number} cents - Amount to move
+   */
+  const applyChain = (chain, cents) => {
+    for (const step of chain) {
+      const position = positions[step.matterIndex];
+      position.set(step.from, position.get(step.from) + cents);
+      position.set(step.to, position.get(step.to) - cents);
+
+      const key = `${step.matterIndex}:${step.from}:${step.to}`;
+      allocated.set(key, { ...step, cents: (allocated.get(key)?.cents || 0) + cents });
+    }
+  };
+
+  let remaining = toCents(amount);
+
+  while (remaining > 0) {
+    const chain = findChain(fromMemberId, toMemberId);
+    if (!chain) break;
+
+    const cents = Math.min(remaining, ...chain.map(step => step.cents));
+    applyChain(chain, cents);
+    remaining -= cents;
+  }
+
+  // Cancel out debts running both ways between the two sides. The return
+  // chain avoids the members of the outgoing one, so no matter balance is
+  // moved twice.
+  for (;;) {
+    const outgoing = findChain(fromMemberId, toMemberId);
+    if (!outgoing) break;
+
+    const returning = findChain(toMemberId, fromMemberId, new Set(outgoing.slice(1).map(step => step.from)));
+    if (!returning) break;
+
+    const cents = Math.min(...outgoing.map(step => step.cents), ...returning.map(step => step.cents));
+    applyChain(outgoing, cents);
+    applyChain(returning, cents);
+  }
+
+  return {
+    allocations: Array.from(allocated.values()).map(step => ({
+      financeMatterId: matters[step.matterIndex].financeMatterId,
+      fromMemberId: step.from,
+      toMemberId: step.to,
+      amount: step.cents / 100,
+    })),
+    unallocatedAmount: remaining / 100,
+  };
+}
+
+module.exports = {
+  simplifyDebts,
+  buildLedger,
+  convertLedger,
+  allocateSettlement,
+};
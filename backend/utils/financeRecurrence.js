@@ -0,0 +1,107 @@
+/**
+ * Recurring Finance Matter Schedule
+ *
+ * Works out when a recurring finance matter template (child support, school
+ * fees, after-school care...) produces its next finance matter.
+ *
+ * Occurrences are counted from the template's start date rather than from
+ * the previous occurrence, so a monthly template starting on the 31st falls
+ * on the last day of shorter months and goes back to the 31st afterwards.
+ */
+
+/**
+ * Supported frequencies. Termly follows the four-term school year (every
+ * 3 months).
+ */
+const FREQUENCIES = {
+  weekly: { days: 7 },
+  fortnightly: { days: 14 },
+  monthly: { months: 1 },
+  termly: { months: 3 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a frequency is supported
+ * @param {string} frequency - Frequency
+ * @returns {boolean} True if supported
+ */
+function isValidFrequency(frequency) {
+  return Object.prototype.hasOwnProperty.call(FREQUENCIES, frequency);
+}
+
+/**
+ * Get the date of the nth occurrence (0 = the start date)
+ * @param {Date} startDate - Template start date
+ * @param {string} frequency - Frequency
+ * @param {number} index - Occurrence index
+ * @returns {Date} Occurrence date
+ */
+function getOccurrenceDate(startDate, frequency, index) {
+  const start = new Date(startDate);
+  const step = FREQUENCIES[frequency];
+
+  if (step.days) {
+    return new Date(start.getTime() + index * step.days * DAY_MS);
+  }
+
+  const monthIndex = start.getUTCMonth() + index * step.months;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(start.getUTCDate(), daysInMonth),
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds(),
+    start.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * Get the occurrences that are due and not yet created
+ *
+ * @param {Object} template - { startDate, frequency, endDate, occurrenceCount }
+ * @param {Date} now - Current time
+ * @param {number} limit - Most occurrences to return (the rest are picked up next run)
+ * @returns {Array<Object>} { index, date }, oldest first
+ */
+function getDueOccurrences(template, now, limit) {
+  const due = [];
+
+  for (let index = template.occurrenceCount; due.length < limit; index++) {
+    const date = getOccurrenceDate(template.startDate, template.frequency, index);
+    if (date > now || (template.endDate && date > new Date(template.endDate))) break;
+    due.push({ index, date });
+  }
+
+  return due;
+}
+
+/**
+ * Get when the next occurrence is due
+ * @param {Object} template - { startDate, frequency, endDate }
+ * @param {number} occurrenceCount - Occurrences created so far
+ * @returns {Date|null} Next occurrence date, or null once past the end date
+ */
+function getNextOccurrenceDate(template, occurrenceCount) {
+  const date = getOccurrenceDate(template.startDate, template.frequency, occurrenceCount);
+
+  if (template.endDate && date > new Date(template.endDate)) {
+    return null;
+  }
+
+  return date;
+}
+
+module.exports = {
+  FREQUENCIES,
+  isValidFrequency,
+  getOccurrenceDate,
+  getDueOccurrences,
+  getNextOccurrenceDate,
+};
@@ -0,0 +1,113 @@
+/**
+ * Finance Reminder Scheduling
+ *
+ * Works out when finance matter due-date reminders are owed. A group sets its
+ * reminder days relative to the due date (GroupSettings.financeReminderDays):
+ * negative days are before the due date, 0 is the due date itself and
+ * positive days are after it (overdue), e.g. [-3, 0, 1, 7].
+ *
+ * Only the most recent reminder that has come due is sent, so a matter whose
+ * due date is already close when it is created (or a job that was down for a
+ * while) doesn't send a burst of stale reminders.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Defaults for groups without settings (match the GroupSettings column defaults)
+ */
+const DEFAULT_REMINDER_DAYS = [-3, 0, 1, 7];
+const DEFAULT_ESCALATION_DAYS = 7;
+
+/**
+ * Allowed reminder days (a month before to three months after the due date)
+ */
+const MIN_REMINDER_DAY = -30;
+const MAX_REMINDER_DAY = 90;
+const MAX_REMINDER_DAYS = 6;
+
+/**
+ * Check a group's reminder days setting
+ * @param {*} days - Value to check
+ * @returns {boolean} True if it is a list of up to 6 distinct whole days in range
+ */
+function isValidReminderDays(days) {
+  return Array.isArray(days) &&
+    days.length <= MAX_REMINDER_DAYS &&
+    new Set(days).size === days.length &&
+    days.every(day => Number.isInteger(day) && day >= MIN_REMINDER_DAY && day <= MAX_REMINDER_DAY);
+}
+
+/**
+ * Get the reminder that is due now for a finance matter
+ *
+ * @param {Object} matter - FinanceMatter ({ dueDate, createdAt })
+ * @param {Array<number>} reminderDays - Days relative to the due date
+ * @param {Date} now - Current time
+ * @returns {number|null} The latest reminder day that has come due (and came after the matter was created), or null
+ */
+function getDueReminderDay(matter, reminderDays, now) {
+  if (!matter.dueDate) {
+    return null;
+  }
+
+  const dueTime = new Date(matter.dueDate).getTime();
+  const createdTime = matter.createdAt ? new Date(matter.createdAt).getTime() : -Infinity;
+
+  const dueDays = reminderDays.filter(day => {
+    const reminderTime = dueTime + day * DAY_MS;
+    return reminderTime <= now.getTime() && reminderTime >= createdTime;
+  });
+
+  return dueDays.length > 0 ? Math.max(...dueDays) : null;
+}
+
+/**
+ * Get how many whole days a due date has passed
+ * @param {Date|string} dueDate - Due date
+ * @param {Date} now - Current time
+ * @returns {number} Whole days overdue (0 if not yet overdue)
+ */
+function getOverdueDays(dueDate, now) {
+  const overdueMs = now.getTime() - new Date(dueDate).getTime();
+  return overdueMs > 0 ? Math.floor(overdueMs / DAY_MS) : 0;
+}
+
+/**
+ * Check whether a finance matter is overdue
+ * @param {Object} matter - FinanceMatter ({ dueDate, isSettled, isCanceled })
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if its due date has passed and it is still open
+ */
+function isFinanceMatterOverdue(matter, now = new Date()) {
+  return !!matter.dueDate &&
+    !matter.isSettled &&
+    !matter.isCanceled &&
+    new Date(matter.dueDate).getTime() < now.getTime();
+}
+
+/**
+ * Describe a reminder day for notification text
+ * @param {number} day - Days relative to the due date
+ * @returns {string} e.g. 'is due in 3 days', 'is due today', 'is 7 days overdue'
+ */
+function describeReminderDay(day) {
+  if (day < -1) return `is due in ${-day} days`;
+  if (day === -1) return 'is due tomorrow';
+  if (day === 0) return 'is due today';
+  if (day === 1) return 'is 1 day overdue';
+  return `is ${day} days overdue`;
+}
+
+module.exports = {
+  DEFAULT_REMINDER_DAYS,
+  DEFAULT_ESCALATION_DAYS,
+  MIN_REMINDER_DAY,
+  MAX_REMINDER_DAY,
+  MAX_REMINDER_DAYS,
+  isValidReminderDays,
+  getDueReminderDay,
+  getOverdueDays,
+  isFinanceMatterOverdue,
+  describeReminderDay,
+};
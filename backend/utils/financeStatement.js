@@ -0,0 +1,260 @@
+/**
+ * Finance Statement Builder
+ *
+ * Builds a statement of finance matters for tax time or mediation: each
+ * matter with every member's expected share, what they have paid and what is
+ * outstanding, plus its confirmed and rejected payments. Optionally narrowed
+ * to one member (their share and the payments they made or received).
+ *
+ * With a currency converter every amount is also shown in the group's base
+ * currency: shares at the rate on the matter's date and payments at the rate
+ * on the payment date, with totals across all currencies.
+ *
+ * The PDF version is built by services/pdf.service.js.
+ */
+
+const { toCsv, getMemberName } = require('./logExport');
+const { getFinanceMatterStatus } = require('./evidenceBundle');
+const { toCents, calculateMemberBalances } = require('./financeBalances');
+
+/**
+ * Build the statement
+ *
+ * @param {Array<Object>} matters - FinanceMatters, oldest first, with members (with groupMember)
+ *   and payments (with fromMember and toMember)
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.memberId] - Only include this group member's share and payments
+ * @param {Object|null} [options.converter] - From createCurrencyConverter, to add base currency amounts
+ * @returns {{ matters: Array<Object>, totals: Array<Object>, convertedTotals?: Object }} Statement matters,
+ *   per-currency totals and (with a converter) totals in the base currency
+ */
+function buildFinanceStatement(matters, { memberId = null, converter = null } = {}) {
+  const totals = new Map();
+  const convertedTotal = {
+    matterCount: 0,
+    totalAmount: 0,
+    expectedAmount: 0,
+    paidAmount: 0,
+    outstandingAmount: 0,
+    rejectedAmount: 0,
+  };
+
+  /**
+   * Convert an amount into the base currency (null without a rate)
+   */
+  const convert = (amount, currency, date) => {
+    const converted = converter.convert(amount, currency, date);
+    return converted ? converted.amount : null;
+  };
+
+  const statementMatters = matters.map((matter) => {
+    const status = getFinanceMatterStatus(matter);
+    const balances = calculateMemberBalances(matter.members);
+
+    const members = matter.members
+      .map((member, index) => ({
+        groupMemberId: member.groupMemberId,
+        displayName: getMemberName(member.groupMember),
+        expectedAmount: balances[index].expectedAmount,
+        paidAmount: balances[index].paidAmount,
+        // Nothing is outstanding once a matter is settled or canceled
+        outstandingAmount: status === 'Open' ? balances[index].remainingAmount : 0,
+      }))
+      .filter(member => !memberId || member.groupMemberId === memberId);
+
+    const payments = (matter.payments || [])
+      .filter(payment => payment.isConfirmed || payment.isRejected)
+      .filter(payment => !memberId || payment.fromMemberId === memberId || payment.toMemberId === memberId)
+      .sort((a, b) => new Date(a.reportedAt) - new Date(b.reportedAt))
+      .map(payment => ({
+        paymentId: payment.paymentId,
+        status: payment.isConfirmed ? 'Confirmed' : 'Rejected',
+        reportedAt: payment.reportedAt,
+        reviewedAt: payment.isConfirmed ? payment.confirmedAt : payment.rejectedAt,
+        from: getMemberName(payment.fromMember),
+        to: payment.toMember ? getMemberName(payment.toMember) : 'Finance matter',
+        amount: toCents(payment.amount) / 100,
+      }));
+
+    let exchangeRate = null;
+    let convertedTotalAmount = null;
+
+    if (converter) {
+      const matterRate = converter.convert(1, matter.currency, matter.createdAt);
+
+      for (const member of members) {
+        member.convertedExpectedAmount = convert(member.expectedAmount, matter.currency, matter.createdAt);
+        member.convertedPaidAmount = convert(member.paidAmount, matter.currency, matter.createdAt);
+        member.convertedOutstandingAmount = convert(member.outstandingAmount, matter.currency, matter.createdAt);
+      }
+
+      for (const payment of payments) {
+        const paymentRate = converter.convert(1, matter.currency, payment.reportedAt);
+        payment.exchangeRate = paymentRate ? { rate: paymentRate.rate, effectiveDate: paymentRate.effectiveDate } : null;
+        payment.convertedAmount = convert(payment.amount, matter.currency, payment.reportedAt);
+      }
+
+      exchangeRate = matterRate ? { rate: matterRate.rate, effectiveDate: matterRate.effectiveDate } : null;
+      convertedTotalAmount = convert(matter.totalAmount, matter.currency, matter.createdAt);
+
+      // Matters without a rate are left out of the converted totals (see missingCurrencies)
+      if (matterRate) {
+        convertedTotal.matterCount++;
+        if (status !== 'Canceled') {
+          convertedTotal.totalAmount += toCents(convertedTotalAmount);
+          for (const member of members) {
+            convertedTotal.expectedAmount += toCents(member.convertedExpectedAmount);
+            convertedTotal.paidAmount += toCents(member.convertedPaidAmount);
+            convertedTotal.outstandingAmount += toCents(member.convertedOutstandingAmount);
+          }
+        }
+        for (const payment of payments) {
+          if (payment.status === 'Rejected') convertedTotal.rejectedAmount += toCents(payment.convertedAmount);
+        }
+      }
+    }
+
+    if (!totals.has(matter.currency)) {
+      totals.set(matter.currency, {
+        currency: matter.currency,
+        matterCount: 0,
+        totalAmount: 0,
+        expectedAmount: 0,
+        paidAmount: 0,
+        outstandingAmount: 0,
+        rejectedAmount: 0,
+      });
+    }
+
+    const total = totals.get(matter.currency);
+    total.matterCount++;
+
+    // Canceled matters are listed but not counted towards the totals
+    if (status !== 'Canceled') {
+      total.totalAmount += toCents(matter.totalAmount);
+      for (const member of members) {
+        total.expectedAmount += toCents(member.expectedAmount);
+        total.paidAmount += toCents(member.paidAmount);
+        total.outstandingAmount += toCents(member.outstandingAmount);
+      }
+    }
+    for (const payment of payments) {
+      if (payment.status === 'Rejected') total.rejectedAmount += toCents(payment.amount);
+    }
+
+    return {
+      financeMatterId: matter.financeMatterId,
+      name: matter.name,
+      createdAt: matter.createdAt,
+      dueDate: matter.dueDate,
+      currency: matter.currency,
+      totalAmount: toCents(matter.totalAmount) / 100,
+      status: status,
+      members: members,
+      payments: payments,
+      ...(converter ? {
+        exchangeRate: exchangeRate,
+        convertedTotalAmount: convertedTotalAmount,
+      } : {}),
+    };
+  });
+
+  return {
+    matters: statementMatters,
+    ...(converter ? {
+      convertedTotals: {
+        currency: converter.baseCurrency,
+        matterCount: convertedTotal.matterCount,
+        totalAmount: convertedTotal.totalAmount / 100,
+        expectedAmount: convertedTotal.expectedAmount / 100,
+        paidAmount: convertedTotal.paidAmount / 100,
+        outstandingAmount: convertedTotal.outstandingAmount / 100,
+        rejectedAmount: convertedTotal.rejectedAmount / 100,
+        missingCurrencies: converter.getMissingCurrencies(),
+      },
+    } : {}),
+    totals: Array.from(totals.values())
+      .sort((a, b) => a.currency.localeCompare(b.currency))
+      .map(total => ({
+        currency: total.currency,
+        matterCount: total.matterCount,
+        totalAmount: total.totalAmount / 100,
+        expectedAmount: total.expectedAmount / 100,
+        paidAmount: total.paidAmount / 100,
+        outstandingAmount: total.outstandingAmount / 100,
+        rejectedAmount: total.rejectedAmount / 100,
+      })),
+  };
+}
+
+/**
+ * Build the statement as CSV
+ *
+ * One row per member share and per payment, grouped by finance matter.
+ * Statements with base currency amounts get the converted columns too.
+ *
+ * @param {Object} statement - Output of buildFinanceStatement
+ * @returns {string} CSV text
+ */
+function buildFinanceStatementCsv(statement) {
+  const rows = statement.matters.flatMap(matter => [
+    ...matter.members.map(member => ({
+      date: matter.createdAt,
+      matter,
+      entry: 'Share',
+      member: member.displayName,
+      to: '',
+      amount: member.expectedAmount,
+      paid: member.paidAmount,
+      outstanding: member.outstandingAmount,
+      exchangeRate: matter.exchangeRate,
+      convertedAmount: member.convertedExpectedAmount,
+      convertedPaid: member.convertedPaidAmount,
+      convertedOutstanding: member.convertedOutstandingAmount,
+    })),
+    ...matter.payments.map(payment => ({
+      date: payment.reviewedAt || payment.reportedAt,
+      matter,
+      entry: payment.status === 'Confirmed' ? 'Payment' : 'Rejected payment',
+      member: payment.from,
+      to: payment.to,
+      amount: payment.amount,
+      paid: '',
+      outstanding: '',
+      exchangeRate: payment.exchangeRate,
+      convertedAmount: payment.convertedAmount,
+      convertedPaid: '',
+      convertedOutstanding: '',
+    })),
+  ]);
+
+  // Blank when there was no rate for the row's currency and date
+  const converted = value => (value === null || value === undefined ? '' : value);
+  const convertedColumns = statement.convertedTotals ? [
+    { header: 'Base Currency', value: () => statement.convertedTotals.currency },
+    { header: 'Exchange Rate', value: row => (row.exchangeRate ? row.exchangeRate.rate : '') },
+    { header: 'Converted Amount', value: row => converted(row.convertedAmount) },
+    { header: 'Converted Paid', value: row => converted(row.convertedPaid) },
+    { header: 'Converted Outstanding', value: row => converted(row.convertedOutstanding) },
+  ] : [];
+
+  return toCsv([
+    { header: 'Date', value: row => row.date },
+    { header: 'Finance Matter', value: row => row.matter.name },
+    { header: 'Status', value: row => row.matter.status },
+    { header: 'Currency', value: row => row.matter.currency },
+    { header: 'Entry', value: row => row.entry },
+    { header: 'Member', value: row => row.member },
+    { header: 'To', value: row => row.to },
+    { header: 'Amount', value: row => row.amount },
+    { header: 'Paid', value: row => row.paid },
+    { header: 'Outstanding', value: row => row.outstanding },
+    ...convertedColumns,
+    { header: 'Finance Matter ID', value: row => row.matter.financeMatterId },
+  ], rows);
+}
+
+module.exports = {
+  buildFinanceStatement,
+  buildFinanceStatementCsv,
+};
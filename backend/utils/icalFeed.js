@@ -0,0 +1,343 @@
+/**
+ * iCal Feed Builder
+ *
+ * Builds the RFC 5545 calendar served by a member's secret calendar feed URL,
+ * so the group calendar can be subscribed to from Google Calendar, Apple
+ * Calendar, Outlook, etc. Uses ical.js (as parseIcal.js and recurrence.js do)
+ * so values are escaped and long lines folded per the spec.
+ *
+ * Recurring series are published as a single VEVENT with their RRULE and
+ * EXDATEs rather than expanded, and overridden instances are published with
+ * the series UID plus a RECURRENCE-ID. A series with a time zone has its start
+ * and end published as local times with a TZID, so subscribers repeat it at the
+ * same local time across daylight saving changes as the app does. Each TZID
+ * gets a VTIMEZONE listing that zone's offset changes, worked out with Intl. Layer filtering follows the mobile
+ * calendar: an event is shown when any of its attendees, children or
+ * responsible members is on a visible layer.
+ */
+
+const ICAL = require('ical.js');
+const { parseRecurrenceRule, getSeriesEnd } = require('./recurrence');
+const { toLocalTime, getTimeZoneOffsetMs, getTimeZoneTransitions } = require('./timeZones');
+
+/**
+ * Domain part of every published UID
+ */
+const UID_DOMAIN = 'familyhelper';
+
+/**
+ * Years after the feed date whose offset changes are listed in each VTIMEZONE
+ */
+const TIME_ZONE_YEARS_AHEAD = 10;
+
+/**
+ * Build the UID for a calendar event (overrides use their series' UID)
+ * @param {string} eventId - CalendarEvent ID
+ * @returns {string} UID
+ */
+function buildEventUid(eventId) {
+  return `${eventId}@${UID_DOMAIN}`;
+}
+
+/**
+ * Get a member's display name, preferring their user profile name
+ * @param {Object|null} member - GroupMember with optional user
+ * @returns {string|null} Display name
+ */
+function getMemberName(member) {
+  if (!member) return null;
+  return member.user?.displayName || member.displayName || null;
+}
+
+/**
+ * Check whether an event is visible under a user's calendar layer preferences
+ *
+ * Mirrors the mobile calendar: with no preferences everything is visible;
+ * otherwise an event is visible if any attendee, child, start or end
+ * responsible member is on a visible layer (members without a preference
+ * count as visible). Events with nobody attached are always visible.
+ *
+ * @param {Object} event - CalendarEvent with attendees and responsibilityEvents
+ * @param {Array<Object>} layerPreferences - CalendarLayerPreference rows for the user and group
+ * @returns {boolean} True if the event should be published
+ */
+function isEventVisibleForLayers(event, layerPreferences) {
+  if (!layerPreferences || layerPreferences.length === 0) {
+    return true;
+  }
+
+  const isMemberLayerVisible = (groupMemberId) => {
+    if (!groupMemberId) return true;
+    const layer = layerPreferences.find(l => l.memberLayerId === groupMemberId);
+    return layer ? layer.isVisible : true;
+  };
+
+  const attendees = event.attendees || [];
+  const responsibilityEvents = event.responsibilityEvents || [];
+
+  if (attendees.some(attendee => isMemberLayerVisible(attendee.groupMemberId))) {
+    return true;
+  }
+
+  for (const re of responsibilityEvents) {
+    if (re.child && isMemberLayerVisible(re.child.groupMemberId)) return true;
+    if (re.startResponsibleMember && isMemberLayerVisible(re.startResponsibleMember.groupMemberId)) return true;
+    if (re.endResponsibleMember && isMemberLayerVisible(re.endResponsibleMember.groupMemberId)) return true;
+  }
+
+  return attendees.length === 0 && responsibilityEvents.length === 0;
+}
+
+/**
+ * Describe the responsibility periods of an event, one line per child
+ * e.g. "Sam: Alex → Jordan"
+ * @param {Array<Object>} responsibilityEvents - ChildResponsibilityEvents with child and responsible members
+ * @returns {string[]} Lines
+ */
+function describeResponsibilities(responsibilityEvents) {
+  return (responsibilityEvents || []).map((re) => {
+    const start = re.startResponsibilityType === 'other'
+      ? re.startResponsibleOtherName
+      : getMemberName(re.startResponsibleMember);
+    const end = re.endResponsibilityType === 'other'
+      ? re.endResponsibleOtherName
+      : getMemberName(re.endResponsibleMember);
+    const childName = getMemberName(re.child) || 'Child';
+
+    if (end && end !== start) {
+      return `${childName}: ${start || 'Unassigned'} → ${end}`;
+    }
+    return `${childName}: ${start || 'Unassigned'}`;
+  });
+}
+
+/**
+ * Build the RRULE for a series, with UNTIL set to the same end the app expands
+ * it to (getSeriesEnd), so a date-only UNTIL or recurrenceEndDate includes that
+ * whole day. Rules with COUNT are left as they are, as UNTIL can't be added to them
+ * @param {Object} event - Recurring CalendarEvent
+ * @returns {ICAL.Recur|null} Rule, or null if the pattern is not supported
+ */
+function buildRecurrenceRule(event) {
+  const rule = parseRecurrenceRule(event.recurrencePattern);
+  if (!rule) return null;
+
+  const seriesEnd = getSeriesEnd(rule, event.recurrenceEndDate);
+  if (seriesEnd && !rule.count) {
+    rule.until = ICAL.Time.fromJSDate(seriesEnd, true);
+  }
+  return rule;
+}
+
+/**
+ * Get the time zone a series is published in
+ * @param {Object} event - CalendarEvent
+ * @returns {string|null} IANA time zone, or null to publish in UTC
+ */
+function getPublishedTimeZone(event) {
+  return event.isRecurring && event.timeZone && event.timeZone !== 'UTC' ? event.timeZone : null;
+}
+
+/**
+ * Build a floating ICAL.Time from a wall-clock time
+ * @param {Date} local - Wall-clock time (UTC fields hold the local time)
+ * @returns {ICAL.Time} Time without a zone
+ */
+function toFloatingTime(local) {
+  return ICAL.Time.fromData({
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+  });
+}
+
+/**
+ * Add a date-time property, as a local time with a TZID when a time zone is given
+ * @param {ICAL.Component} vevent - VEVENT
+ * @param {string} name - Property name, e.g. 'dtstart'
+ * @param {Date|string} date - Instant
+ * @param {string|null} timeZone - IANA time zone, or null for UTC
+ */
+function addDateTime(vevent, name, date, timeZone) {
+  if (!timeZone) {
+    vevent.addPropertyWithValue(name, ICAL.Time.fromJSDate(new Date(date), true));
+    return;
+  }
+
+  const property = vevent.addPropertyWithValue(name, toFloatingTime(toLocalTime(new Date(date), timeZone)));
+  property.setParameter('tzid', timeZone);
+}
+
+/**
+ * Build the VTIMEZONE for a TZID
+ *
+ * Lists the offset in effect at the start of the range and every change after
+ * it as its own STANDARD or DAYLIGHT observance (DAYLIGHT when ahead of the
+ * zone's lowest offset in the range), each starting at the local time it
+ * takes effect.
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Range start (on or before the earliest DTSTART in the zone)
+ * @param {Date} to - Range end
+ * @returns {ICAL.Component} VTIMEZONE
+ */
+function buildVTimeZone(timeZone, from, to) {
+  const initialOffsetMs = getTimeZoneOffsetMs(from, timeZone);
+  const observances = [
+    { at: from, offsetFromMs: initialOffsetMs, offsetToMs: initialOffsetMs },
+    ...getTimeZoneTransitions(timeZone, from, to),
+  ];
+  const standardOffsetMs = Math.min(...observances.map(observance => observance.offsetToMs));
+
+  const vtimezone = new ICAL.Component('vtimezone');
+  vtimezone.addPropertyWithValue('tzid', timeZone);
+
+  observances.forEach((observance) => {
+    const component = new ICAL.Component(observance.offsetToMs > standardOffsetMs ? 'daylight' : 'standard');
+    component.addPropertyWithValue('dtstart', toFloatingTime(new Date(observance.at.getTime() + observance.offsetFromMs)));
+    component.addPropertyWithValue('tzoffsetfrom', ICAL.UtcOffset.fromSeconds(observance.offsetFromMs / 1000));
+    component.addPropertyWithValue('tzoffsetto', ICAL.UtcOffset.fromSeconds(observance.offsetToMs / 1000));
+    vtimezone.addSubcomponent(component);
+  });
+
+  return vtimezone;
+}
+
+/**
+ * Build one VEVENT
+ * @param {Object} event - CalendarEvent
+ * @param {Object} options - Options
+ * @param {Date} options.generatedAt - DTSTAMP
+ * @param {string} [options.uid] - UID (defaults to the event's own)
+ * @param {Date|null} [options.recurrenceId] - RECURRENCE-ID for overridden instances
+ * @param {Date[]} [options.exceptionDates] - EXDATEs for series
+ * @returns {ICAL.Component} VEVENT
+ */
+function buildVEvent(event, { generatedAt, uid, recurrenceId = null, exceptionDates = [] }) {
+  const vevent = new ICAL.Component('vevent');
+  const utc = date => ICAL.Time.fromJSDate(new Date(date), true);
+
+  vevent.addPropertyWithValue('uid', uid || buildEventUid(event.eventId));
+  vevent.addPropertyWithValue('dtstamp', utc(generatedAt));
+  if (event.updatedAt) {
+    vevent.addPropertyWithValue('last-modified', utc(event.updatedAt));
+  }
+  const timeZone = getPublishedTimeZone(event);
+  addDateTime(vevent, 'dtstart', event.startTime, timeZone);
+  addDateTime(vevent, 'dtend', event.endTime, timeZone);
+  vevent.addPropertyWithValue('summary', event.title || 'Untitled Event');
+
+  const description = [
+    ...describeResponsibilities(event.responsibilityEvents),
+    event.notes || null,
+  ].filter(Boolean).join('\n\n');
+  if (description) {
+    vevent.addPropertyWithValue('description', description);
+  }
+
+  if (recurrenceId) {
+    vevent.addPropertyWithValue('recurrence-id', utc(recurrenceId));
+  }
+
+  if (event.isRecurring) {
+    const rule = buildRecurrenceRule(event);
+    if (rule) {
+      vevent.addPropertyWithValue('rrule', rule);
+      exceptionDates.forEach((date) => {
+        vevent.addPropertyWithValue('exdate', utc(date));
+      });
+    }
+  }
+
+  return vevent;
+}
+
+/**
+ * Build the .ics content for a calendar feed
+ *
+ * @param {Object} options - Options
+ * @param {string} options.calendarName - Calendar name shown by subscribing apps (X-WR-CALNAME)
+ * @param {Array<Object>} options.events - CalendarEvents with attendees, responsibilityEvents (with child,
+ *   startResponsibleMember, endResponsibleMember), exceptionDates and childEvents ({ eventId, recurrenceId })
+ * @param {Array<Object>} [options.layerPreferences] - The feed owner's CalendarLayerPreference rows
+ * @param {Date} [options.generatedAt] - DTSTAMP (default now)
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildCalendarFeed({ calendarName, events, layerPreferences = [], generatedAt = new Date() }) {
+  const vcalendar = new ICAL.Component('vcalendar');
+  vcalendar.addPropertyWithValue('prodid', '-//Family Helper//Group Calendar//EN');
+  vcalendar.addPropertyWithValue('version', '2.0');
+  vcalendar.addPropertyWithValue('calscale', 'GREGORIAN');
+  vcalendar.addPropertyWithValue('method', 'PUBLISH');
+
+  // Non-standard, so typed explicitly to get TEXT escaping
+  const name = new ICAL.Property('x-wr-calname');
+  name.resetType('text');
+  name.setValue(calendarName);
+  vcalendar.addProperty(name);
+
+  // Hint to subscribing apps to refresh hourly
+  vcalendar.addPropertyWithValue('refresh-interval', ICAL.Duration.fromString('PT1H'));
+  vcalendar.addPropertyWithValue('x-published-ttl', 'PT1H');
+
+  const visibleEvents = events.filter(event => isEventVisibleForLayers(event, layerPreferences));
+  const publishedIds = new Set(visibleEvents.map(event => event.eventId));
+  const seriesById = new Map(
+    visibleEvents.filter(event => event.isRecurring).map(event => [event.eventId, event])
+  );
+
+  // One VTIMEZONE per TZID, from the year before its earliest series starts
+  const timeZoneStarts = new Map();
+  visibleEvents.forEach((event) => {
+    const timeZone = getPublishedTimeZone(event);
+    if (!timeZone) return;
+
+    const start = new Date(event.startTime);
+    if (!timeZoneStarts.has(timeZone) || start < timeZoneStarts.get(timeZone)) {
+      timeZoneStarts.set(timeZone, start);
+    }
+  });
+  const timeZoneEnd = new Date(Date.UTC(generatedAt.getUTCFullYear() + TIME_ZONE_YEARS_AHEAD + 1, 0, 1));
+  timeZoneStarts.forEach((start, timeZone) => {
+    const from = new Date(Date.UTC(start.getUTCFullYear() - 1, 0, 1));
+    vcalendar.addSubcomponent(buildVTimeZone(timeZone, from, timeZoneEnd));
+  });
+
+  visibleEvents.forEach((event) => {
+    if (event.isRecurring) {
+      // Overridden instances that are not published (filtered out or outside the
+      // feed window) are excluded so the original occurrence doesn't reappear
+      const hiddenOverrides = (event.childEvents || [])
+        .filter(child => child.recurrenceId && !publishedIds.has(child.eventId))
+        .map(child => child.recurrenceId);
+
+      vcalendar.addSubcomponent(buildVEvent(event, {
+        generatedAt,
+        exceptionDates: [
+          ...(event.exceptionDates || []).map(exception => exception.recurrenceId),
+          ...hiddenOverrides,
+        ],
+      }));
+      return;
+    }
+
+    const series = event.parentEventId && event.recurrenceId ? seriesById.get(event.parentEventId) : null;
+    vcalendar.addSubcomponent(buildVEvent(event, {
+      generatedAt,
+      uid: series ? buildEventUid(series.eventId) : undefined,
+      recurrenceId: series ? event.recurrenceId : null,
+    }));
+  });
+
+  return `${vcalendar.toString()}\r\n`;
+}
+
+module.exports = {
+  buildEventUid,
+  isEventVisibleForLayers,
+  describeResponsibilities,
+  buildCalendarFeed,
+};
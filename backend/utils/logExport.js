@@ -0,0 +1,244 @@
+/**
+ * Log Export Builder
+ *
+ * Builds the files that go into a full log export ZIP (see jobs/logExports.js):
+ * - audit-log.csv: every audit log row, oldest first
+ * - messages.json: every message group and message (including hidden ones), decrypted
+ * - media.json: every message attachment with its temporary download link
+ * - README.txt: what's in the export and when the links expire
+ */
+
+const { buildRevisionHistory } = require('./messageEdits');
+
+/**
+ * Build the AuditLog where clause for export filters
+ * (shared by PDF exports and evidence bundles)
+ * @param {string} groupId - Group ID
+ * @param {Object} filters - { dateFrom, dateTo, actionTypes, userIds }
+ * @returns {Object} Prisma where clause
+ */
+function buildAuditLogWhere(groupId, filters = {}) {
+  const where = {
+    groupId: groupId,
+  };
+
+  // Date range filter
+  if (filters.dateFrom || filters.dateTo) {
+    where.performedAt = {};
+    if (filters.dateFrom) {
+      where.performedAt.gte = new Date(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      where.performedAt.lte = new Date(filters.dateTo);
+    }
+  }
+
+  // Action types filter
+  if (filters.actionTypes && filters.actionTypes.length > 0) {
+    where.action = {
+      in: filters.actionTypes,
+    };
+  }
+
+  // Users filter
+  if (filters.userIds && filters.userIds.length > 0) {
+    where.performedBy = {
+      in: filters.userIds,
+    };
+  }
+
+  return where;
+}
+
+/**
+ * Escape one CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: string, value: Function}>} columns - Column headers and cell getters
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV text (CRLF line endings)
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsvCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => escapeCsvCell(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Build audit-log.csv
+ * @param {Array<Object>} logs - AuditLog rows
+ * @returns {string} CSV text
+ */
+function buildAuditLogCsv(logs) {
+  return toCsv([
+    { header: 'Performed At', value: log => log.performedAt },
+    { header: 'Action', value: log => log.action },
+    { header: 'Location', value: log => log.actionLocation },
+    { header: 'Performed By', value: log => log.performedByName },
+    { header: 'Performed By Email', value: log => log.performedByEmail },
+    { header: 'Details', value: log => log.messageContent },
+    { header: 'Media Links', value: log => (log.mediaLinks || []).join(' ') },
+    { header: 'Data', value: log => (log.logData ? JSON.stringify(log.logData) : '') },
+    { header: 'Log ID', value: log => log.logId },
+  ], logs);
+}
+
+/**
+ * Get a member's display name, preferring their user profile name
+ * @param {Object|null} member - GroupMember with optional user
+ * @returns {string|null} Display name
+ */
+function getMemberName(member) {
+  if (!member) return null;
+  return member.user?.displayName || member.displayName || null;
+}
+
+/**
+ * Describe one attachment for the export
+ * @param {Object} media - MessageMedia
+ * @param {Map<string, string>} mediaUrlById - Temporary download links by mediaId
+ * @param {Map<string, string>} [mediaPathById] - Paths of attachments included in the archive
+ * @returns {Object} Attachment details
+ */
+function formatMedia(media, mediaUrlById, mediaPathById) {
+  return {
+    mediaId: media.mediaId,
+    mediaType: media.mediaType,
+    mimeType: media.mimeType || null,
+    fileSizeBytes: media.fileSizeBytes !== undefined && media.fileSizeBytes !== null
+      ? media.fileSizeBytes.toString()
+      : null,
+    uploadedAt: media.uploadedAt || null,
+    isHidden: !!media.isHidden,
+    downloadUrl: mediaUrlById.get(media.mediaId) || null,
+    ...(mediaPathById && { file: mediaPathById.get(media.mediaId) || null }),
+  };
+}
+
+/**
+ * Build messages.json content
+ *
+ * Message content is decrypted with `decrypt`; content that can't be decrypted
+ * (older unencrypted messages) is exported as stored. Edited messages list their
+ * earlier versions, oldest first, under `revisions`; replies give the
+ * messageId they reply to as `replyToId`.
+ *
+ * @param {Array<Object>} messageGroups - MessageGroups with messages (with sender, media and revisions)
+ * @param {Object} options - Options
+ * @param {Function} options.decrypt - Decrypts message content
+ * @param {Map<string, string>} [options.mediaUrlById] - Temporary download links by mediaId
+ * @param {Map<string, string>} [options.mediaPathById] - Paths of attachments included in the archive
+ * @returns {Array<Object>} Message groups with decrypted messages, oldest first
+ */
+function buildMessagesExport(messageGroups, { decrypt, mediaUrlById = new Map(), mediaPathById }) {
+  return messageGroups.map(messageGroup => ({
+    messageGroupId: messageGroup.messageGroupId,
+    name: messageGroup.name,
+    createdAt: messageGroup.createdAt,
+    isHidden: !!messageGroup.isHidden,
+    messages: [...(messageGroup.messages || [])]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map((message) => {
+        let content;
+        try {
+          content = decrypt(message.content);
+        } catch (error) {
+          content = message.content;
+        }
+
+        return {
+          messageId: message.messageId,
+          sentAt: message.createdAt,
+          senderId: message.senderId,
+          senderName: getMemberName(message.sender),
+          content: content,
+          replyToId: message.replyToId || null,
+          editedAt: message.editedAt || null,
+          revisions: buildRevisionHistory(message, message.revisions || [], decrypt)
+            .filter(version => !version.isCurrent)
+            .map(version => ({
+              revisionNumber: version.revisionNumber,
+              content: version.content,
+              writtenAt: version.writtenAt,
+              replacedAt: version.replacedAt,
+            })),
+          isHidden: !!message.isHidden,
+          hiddenAt: message.hiddenAt || null,
+          media: (message.media || []).map(media => formatMedia(media, mediaUrlById, mediaPathById)),
+        };
+      }),
+  }));
+}
+
+/**
+ * Build media.json content
+ * @param {Array<Object>} messageGroups - MessageGroups with messages and media
+ * @param {Map<string, string>} mediaUrlById - Temporary download links by mediaId
+ * @returns {Array<Object>} Attachments with the message they belong to
+ */
+function buildMediaIndex(messageGroups, mediaUrlById) {
+  const index = [];
+  messageGroups.forEach((messageGroup) => {
+    (messageGroup.messages || []).forEach((message) => {
+      (message.media || []).forEach((media) => {
+        index.push({
+          ...formatMedia(media, mediaUrlById),
+          messageId: message.messageId,
+          messageGroupName: messageGroup.name,
+          senderName: getMemberName(message.sender),
+        });
+      });
+    });
+  });
+  return index;
+}
+
+/**
+ * Build README.txt
+ * @param {Object} details - Export details
+ * @param {string} details.groupName - Group name
+ * @param {Date} details.generatedAt - When the export was built
+ * @param {Date} details.expiresAt - When the export and media links expire
+ * @param {Object} details.counts - { auditLogs, messageGroups, messages, media }
+ * @returns {string} Text
+ */
+function buildReadme({ groupName, generatedAt, expiresAt, counts }) {
+  return [
+    `Family Helper log export: ${groupName}`,
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    'Contents:',
+    `- audit-log.csv: ${counts.auditLogs} audit log entries`,
+    `- messages.json: ${counts.messages} messages in ${counts.messageGroups} message groups (including hidden messages and earlier versions of edited ones, decrypted)`,
+    `- media.json: ${counts.media} attachments`,
+    '',
+    `Attachment download links expire on ${expiresAt.toISOString()}.`,
+    'Download any attachments you need to keep before then.',
+    '',
+  ].join('\r\n');
+}
+
+module.exports = {
+  buildAuditLogWhere,
+  getMemberName,
+  toCsv,
+  buildAuditLogCsv,
+  buildMessagesExport,
+  buildMediaIndex,
+  buildReadme,
+};
@@ -0,0 +1,128 @@
+/**
+ * Message Edits
+ *
+ * Senders can edit their messages for a while after sending them
+ * (GroupSettings.messageEditWindowMinutes, null turns editing off). Edits
+ * are never silent: every earlier version is kept (encrypted) as a
+ * MessageRevision, the message shows as edited, admins can read the whole
+ * history and log exports include every version.
+ */
+
+/**
+ * Edit window for groups without settings
+ */
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+
+/**
+ * Longest edit window a group can choose (7 days)
+ */
+const MAX_EDIT_WINDOW_MINUTES = 7 * 24 * 60;
+
+/**
+ * Check an edit window setting
+ * @param {*} value - Value to check
+ * @returns {boolean} True for null (editing off) or whole minutes from 1 to MAX_EDIT_WINDOW_MINUTES
+ */
+function isValidEditWindow(value) {
+  return value === null ||
+    (Number.isInteger(value) && value >= 1 && value <= MAX_EDIT_WINDOW_MINUTES);
+}
+
+/**
+ * Describe an edit window
+ * @param {number} minutes - Window in minutes
+ * @returns {string} e.g. '15 minutes', '1 hour', '2 days'
+ */
+function describeEditWindow(minutes) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (minutes % (24 * 60) === 0) {
+    return plural(minutes / (24 * 60), 'day');
+  }
+  if (minutes % 60 === 0) {
+    return plural(minutes / 60, 'hour');
+  }
+  return plural(minutes, 'minute');
+}
+
+/**
+ * Check whether a member can edit a message
+ * @param {Object} message - Message ({ senderId, createdAt, isHidden })
+ * @param {string} editorId - Editing member's group member ID
+ * @param {number|null} windowMinutes - Group's edit window (null = editing off)
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Why the edit isn't allowed, or null if it is
+ */
+function getEditBlockReason(message, editorId, windowMinutes, now = new Date()) {
+  if (message.senderId !== editorId) {
+    return 'You can only edit your own messages';
+  }
+
+  if (message.isHidden) {
+    return 'Hidden messages cannot be edited';
+  }
+
+  if (windowMinutes === null) {
+    return 'Message editing is turned off in this group';
+  }
+
+  if (now - new Date(message.createdAt) > windowMinutes * 60 * 1000) {
+    return `Messages can only be edited within ${describeEditWindow(windowMinutes)} of sending`;
+  }
+
+  return null;
+}
+
+/**
+ * Decrypt content, falling back to the stored value (old unencrypted messages)
+ * @param {string} content - Stored content
+ * @param {Function} decrypt - Decrypts message content
+ * @returns {string} Plaintext
+ */
+function decryptOrKeep(content, decrypt) {
+  try {
+    return decrypt(content);
+  } catch (error) {
+    return content;
+  }
+}
+
+/**
+ * List a message's versions, oldest first
+ *
+ * @param {Object} message - Message ({ content, createdAt, editedAt })
+ * @param {Array<Object>} revisions - Its MessageRevisions ({ revisionNumber, content, writtenAt, replacedAt })
+ * @param {Function} decrypt - Decrypts message content
+ * @returns {Array<Object>} [{ revisionNumber, content, writtenAt, replacedAt, isCurrent }] - the
+ *   earlier versions, then the current content (replacedAt null)
+ */
+function buildRevisionHistory(message, revisions, decrypt) {
+  const earlier = [...revisions]
+    .sort((a, b) => a.revisionNumber - b.revisionNumber)
+    .map(revision => ({
+      revisionNumber: revision.revisionNumber,
+      content: decryptOrKeep(revision.content, decrypt),
+      writtenAt: revision.writtenAt,
+      replacedAt: revision.replacedAt,
+      isCurrent: false,
+    }));
+
+  return [
+    ...earlier,
+    {
+      revisionNumber: earlier.length + 1,
+      content: decryptOrKeep(message.content, decrypt),
+      writtenAt: message.editedAt || message.createdAt,
+      replacedAt: null,
+      isCurrent: true,
+    },
+  ];
+}
+
+module.exports = {
+  DEFAULT_EDIT_WINDOW_MINUTES,
+  MAX_EDIT_WINDOW_MINUTES,
+  isValidEditWindow,
+  getEditBlockReason,
+  buildRevisionHistory,
+};
@@ -0,0 +1,100 @@
+/**
+ * Message Replies
+ *
+ * A message can reply to (quote) an earlier message in the same message group
+ * (Message.replyToId). Replies show a short quote of the original; if the
+ * original is hidden the quote says so instead of showing its content.
+ */
+
+/**
+ * Longest quote shown with a reply
+ */
+const QUOTE_LENGTH = 120;
+
+/**
+ * Check whether a message can be replied to
+ * @param {Object|null} parent - Message being replied to ({ messageGroupId, isHidden }), null if not found
+ * @param {string} messageGroupId - Message group the reply is sent to
+ * @returns {string|null} Why the reply isn't allowed, or null if it is
+ */
+function getReplyBlockReason(parent, messageGroupId) {
+  if (!parent || parent.messageGroupId !== messageGroupId) {
+    return 'The message you are replying to was not found in this message group';
+  }
+
+  if (parent.isHidden) {
+    return 'Hidden messages cannot be replied to';
+  }
+
+  return null;
+}
+
+/**
+ * Shorten text for a quote, on a word boundary where possible
+ * @param {string} text - Text
+ * @param {number} [maxLength] - Longest result before the ellipsis
+ * @returns {string} Text on one line, with … if it was cut
+ */
+function truncateQuote(text, maxLength = QUOTE_LENGTH) {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= maxLength) {
+    return singleLine;
+  }
+
+  const cut = singleLine.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Build the quote shown with a reply
+ *
+ * @param {Object|null} parent - Original message with sender (and media), null if it was deleted
+ * @param {Function} decrypt - Decrypts message content
+ * @returns {Object|null} { messageId, createdAt, isHidden, sender, content, hasMedia } -
+ *   content and hasMedia are null/false when the original is hidden
+ */
+function buildQuote(parent, decrypt) {
+  if (!parent) {
+    return null;
+  }
+
+  const sender = {
+    groupMemberId: parent.sender.groupMemberId,
+    displayName: parent.sender.user?.displayName || parent.sender.displayName,
+  };
+
+  if (parent.isHidden) {
+    return {
+      messageId: parent.messageId,
+      createdAt: parent.createdAt,
+      isHidden: true,
+      sender: sender,
+      content: null,
+      hasMedia: false,
+    };
+  }
+
+  let content;
+  try {
+    content = decrypt(parent.content);
+  } catch (error) {
+    content = parent.content;
+  }
+
+  return {
+    messageId: parent.messageId,
+    createdAt: parent.createdAt,
+    isHidden: false,
+    sender: sender,
+    content: truncateQuote(content),
+    hasMedia: (parent.media || []).length > 0,
+  };
+}
+
+module.exports = {
+  QUOTE_LENGTH,
+  getReplyBlockReason,
+  truncateQuote,
+  buildQuote,
+};
@@ -0,0 +1,147 @@
+/**
+ * Message Search Terms
+ *
+ * Message content is encrypted, so search uses a blind index: each message
+ * stores keyed-HMAC tokens of its words (see encryption.service blindIndex)
+ * and a search looks for messages holding every query word's token.
+ *
+ * Words are folded to lower case without accents. A message is indexed under
+ * each word of 2 or more characters and each word's prefixes of 3 or more
+ * characters, so "dent" finds "dentist".
+ */
+
+/**
+ * Shortest word that is indexed (and searched for)
+ */
+const MIN_WORD_LENGTH = 2;
+
+/**
+ * Shortest prefix that is indexed
+ */
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Longer words are indexed by their first MAX_TERM_LENGTH characters
+ */
+const MAX_TERM_LENGTH = 24;
+
+/**
+ * Most words a search query can have
+ */
+const MAX_QUERY_TERMS = 8;
+
+/**
+ * Fold text for matching: lower case with accents removed
+ *
+ * Folds each character on its own so the result lines up character for
+ * character with the original (snippets rely on this).
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text, the same length as text
+ */
+function foldText(text) {
+  let folded = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    folded += char.normalize('NFD')[0].toLowerCase()[0];
+  }
+  return folded;
+}
+
+/**
+ * Split text into folded words
+ * @param {string} text - Text
+ * @returns {string[]} Words of at least MIN_WORD_LENGTH characters, cut to MAX_TERM_LENGTH
+ */
+function getWords(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_WORD_LENGTH)
+    .map(word => word.slice(0, MAX_TERM_LENGTH));
+}
+
+/**
+ * Get the terms a message is indexed under: its words and their prefixes
+ * @param {string} text - Message content (plaintext)
+ * @returns {string[]} Unique terms
+ */
+function getIndexTerms(text) {
+  const terms = new Set();
+
+  for (const word of getWords(text)) {
+    terms.add(word);
+    for (let length = MIN_PREFIX_LENGTH; length < word.length; length++) {
+      terms.add(word.slice(0, length));
+    }
+  }
+
+  return [...terms];
+}
+
+/**
+ * Get the terms to search for; a message matches if it has all of them
+ * @param {string} query - Search query
+ * @returns {string[]} Unique terms (at most MAX_QUERY_TERMS)
+ */
+function getQueryTerms(query) {
+  return [...new Set(getWords(query))].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Build a snippet of a message around the first matching word
+ *
+ * @param {string} text - Message content (plaintext)
+ * @param {string[]} terms - Output of getQueryTerms
+ * @param {number} [radius] - Characters to keep either side of the first match
+ * @returns {Object} { text, highlights: [[start, end]] } - highlights are the
+ *   matching word starts, as offsets into the snippet text
+ */
+function buildSnippet(text, terms, radius = 60) {
+  const folded = foldText(text);
+  const matches = [];
+
+  for (const found of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = found[0].slice(0, MAX_TERM_LENGTH);
+    const term = terms.find(t => word === t || (t.length >= MIN_PREFIX_LENGTH && word.startsWith(t)));
+    if (term) {
+      matches.push([found.index, found.index + term.length]);
+    }
+  }
+
+  if (matches.length === 0) {
+    return { text: text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text, highlights: [] };
+  }
+
+  let start = Math.max(0, matches[0][0] - radius);
+  let end = Math.min(text.length, matches[0][1] + radius);
+
+  // Don't cut words in half at either end
+  while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+    start--;
+  }
+  while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) {
+    end++;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart - start + prefix.length, matchEnd - start + prefix.length]),
+  };
+}
+
+module.exports = {
+  MAX_QUERY_TERMS,
+  foldText,
+  getIndexTerms,
+  getQueryTerms,
+  buildSnippet,
+};
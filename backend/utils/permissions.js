@@ -85,8 +85,33 @@ function hasAdminPermissions(groupMember) {
   return false;
 }
 
+/**
+ * Check whether a member can see the group calendar
+ *
+ * Supervisors never can, and admins only when the group's
+ * calendarVisibleToAdmins setting allows it. Used by the calendar endpoints
+ * and the calendar feed alike, so a feed never shows more than the app does.
+ *
+ * @param {Object} groupMember - The GroupMember object
+ * @param {string} groupMember.role - The member's role in the group
+ * @param {Object|null} groupSettings - The group's GroupSettings (null if it has none)
+ * @returns {string|null} Why the calendar is hidden from them, or null if they can see it
+ */
+function getCalendarAccessError(groupMember, groupSettings) {
+  if (groupMember.role === 'supervisor') {
+    return 'Supervisors do not have access to the calendar';
+  }
+
+  if (groupMember.role === 'admin' && groupSettings && !groupSettings.calendarVisibleToAdmins) {
+    return 'Calendar is not visible to admins in this group';
+  }
+
+  return null;
+}
+
 module.exports = {
   hasAdminPermissions,
   isGroupReadOnly,
   getReadOnlyErrorResponse,
+  getCalendarAccessError,
 };
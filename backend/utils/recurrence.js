@@ -0,0 +1,413 @@
+/**
+ * Recurrence Expansion Utility
+ *
+ * Expands the RFC 5545 RRULE stored in CalendarEvent.recurrencePattern into
+ * concrete occurrences within a date window. Uses ical.js (the same library
+ * as parseIcal.js) so FREQ, INTERVAL, BYDAY, COUNT and UNTIL follow the spec.
+ *
+ * Every occurrence gets a stable occurrence ID of the form
+ * `<eventId>_<YYYYMMDDTHHMMSSZ>` where the timestamp is the occurrence's
+ * original start (its RFC 5545 RECURRENCE-ID). Non-recurring events use their
+ * eventId as the occurrence ID, so clients and jobs can key on it uniformly.
+ *
+ * Exceptions follow RFC 5545: a series skips the original starts listed in
+ * `exceptionDates` (EXDATE) and in `childEvents` (overridden instances, which
+ * are one-off CalendarEvents linked by parentEventId + recurrenceId).
+ *
+ * A series is expanded in its CalendarEvent.timeZone (UTC when unset), so
+ * occurrences keep their local start and end times across daylight saving
+ * changes, like a DTSTART and DTEND with a TZID.
+ */
+
+const ICAL = require('ical.js');
+const { toLocalTime, fromLocalTime } = require('./timeZones');
+
+/**
+ * Frequencies we accept. Sub-daily rules are rejected because they are not
+ * meaningful for family calendars and can generate huge numbers of instances.
+ */
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Default number of days either side of "now" to expand when the caller
+ * does not supply a window
+ */
+const DEFAULT_EXPANSION_DAYS = 365;
+
+/**
+ * Safety cap on iterations per series (protects against runaway rules)
+ */
+const MAX_ITERATIONS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a stored recurrence pattern into an ICAL.Recur
+ * @param {string|null} pattern - RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2" (optional "RRULE:" prefix)
+ * @returns {ICAL.Recur|null} Parsed rule, or null if missing/invalid
+ */
+function parseRecurrenceRule(pattern) {
+  if (!pattern || typeof pattern !== 'string') {
+    return null;
+  }
+
+  const value = pattern.trim().replace(/^RRULE:/i, '');
+
+  try {
+    const rule = ICAL.Recur.fromString(value);
+    if (!SUPPORTED_FREQUENCIES.includes(rule.freq)) {
+      return null;
+    }
+    return rule;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a recurrence pattern can be expanded
+ * @param {string|null} pattern - RRULE value
+ * @returns {boolean} True if the pattern is a supported RRULE
+ */
+function isValidRecurrenceRule(pattern) {
+  return parseRecurrenceRule(pattern) !== null;
+}
+
+/**
+ * Format a date as an RFC 5545 UTC date-time (e.g. "20250106T170000Z")
+ * @param {Date|string} date - Date to format
+ * @returns {string} Compact UTC timestamp
+ */
+function formatRecurrenceId(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the stable occurrence ID for one instance of a series
+ * @param {string} eventId - Series (master) event ID
+ * @param {Date|string} originalStart - The occurrence's original start time
+ * @returns {string} Occurrence ID
+ */
+function buildOccurrenceId(eventId, originalStart) {
+  return `${eventId}_${formatRecurrenceId(originalStart)}`;
+}
+
+/**
+ * Split an occurrence ID back into its event ID and original start
+ * @param {string} occurrenceId - Occurrence ID (or a plain eventId)
+ * @returns {{eventId: string, recurrenceId: Date|null}} Parsed parts
+ */
+function parseOccurrenceId(occurrenceId) {
+  const match = /^(.+)_(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(occurrenceId || '');
+  if (!match) {
+    return { eventId: occurrenceId, recurrenceId: null };
+  }
+
+  const [, eventId, year, month, day, hour, minute, second] = match;
+  return {
+    eventId,
+    recurrenceId: new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+  };
+}
+
+/**
+ * End of the UTC day containing a date (inclusive bound for date-only limits)
+ * @param {Date} date - Any instant in the day
+ * @returns {Date} 23:59:59.999 UTC on that day
+ */
+function endOfUtcDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) + DAY_MS - 1);
+}
+
+/**
+ * Resolve the expansion window for a query
+ *
+ * Missing bounds default to DEFAULT_EXPANSION_DAYS from the other bound (or from now).
+ *
+ * @param {string|Date} [startDate] - Window start
+ * @param {string|Date} [endDate] - Window end
+ * @returns {{windowStart: Date, windowEnd: Date}} Resolved window
+ */
+function resolveExpansionWindow(startDate, endDate) {
+  const span = DEFAULT_EXPANSION_DAYS * DAY_MS;
+
+  if (startDate && endDate) {
+    return { windowStart: new Date(startDate), windowEnd: new Date(endDate) };
+  }
+  if (startDate) {
+    const windowStart = new Date(startDate);
+    return { windowStart, windowEnd: new Date(windowStart.getTime() + span) };
+  }
+  if (endDate) {
+    const windowEnd = new Date(endDate);
+    return { windowStart: new Date(windowEnd.getTime() - span), windowEnd };
+  }
+
+  const now = Date.now();
+  return { windowStart: new Date(now - span), windowEnd: new Date(now + span) };
+}
+
+/**
+ * Get the latest allowed occurrence start for a series
+ *
+ * Combines the rule's UNTIL with the event's recurrenceEndDate. Date-only
+ * values (UNTIL=20250301, or a date picked in the app) include that whole UTC day.
+ *
+ * @param {ICAL.Recur} rule - Parsed rule
+ * @param {Date|string|null} recurrenceEndDate - Stored series end date
+ * @returns {Date|null} Latest allowed start, or null if open-ended
+ */
+function getSeriesEnd(rule, recurrenceEndDate) {
+  const limits = [];
+
+  if (rule.until) {
+    const until = rule.until.toJSDate();
+    limits.push(rule.until.isDate ? endOfUtcDay(until) : until);
+  }
+
+  if (recurrenceEndDate) {
+    limits.push(endOfUtcDay(recurrenceEndDate));
+  }
+
+  if (limits.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.min(...limits.map(d => d.getTime())));
+}
+
+/**
+ * Collect the original starts a series must skip (EXDATEs and overridden instances)
+ * @param {Object} event - CalendarEvent, optionally with exceptionDates/childEvents included
+ * @returns {Set<number>} Excluded start times in epoch milliseconds
+ */
+function getExcludedStarts(event) {
+  const excluded = new Set();
+
+  for (const exception of [...(event.exceptionDates || []), ...(event.childEvents || [])]) {
+    if (exception.recurrenceId) {
+      excluded.add(new Date(exception.recurrenceId).getTime());
+    }
+  }
+
+  return excluded;
+}
+
+/**
+ * Get the start/end of every occurrence of an event that overlaps a window
+ *
+ * @param {Object} event - CalendarEvent (startTime, endTime, isRecurring, recurrencePattern, recurrenceEndDate, timeZone)
+ * @param {Date} windowStart - Window start
+ * @param {Date} windowEnd - Window end
+ * @returns {Array<{originalStart: Date, startTime: Date, endTime: Date}>} Occurrences in start order
+ */
+function getOccurrences(event, windowStart, windowEnd) {
+  const seriesStart = new Date(event.startTime);
+  const durationMs = new Date(event.endTime).getTime() - seriesStart.getTime();
+  const rule = event.isRecurring ? parseRecurrenceRule(event.recurrencePattern) : null;
+
+  if (!rule) {
+    const endTime = new Date(seriesStart.getTime() + durationMs);
+    if (seriesStart > windowEnd || endTime < windowStart) {
+      return [];
+    }
+    return [{ originalStart: seriesStart, startTime: seriesStart, endTime }];
+  }
+
+  // UNTIL is applied by getSeriesEnd so date-only values are inclusive
+  const seriesEnd = getSeriesEnd(rule, event.recurrenceEndDate);
+  rule.until = null;
+
+  // Step through the series in local time, then convert each start and end back to instants
+  const timeZone = event.timeZone || 'UTC';
+  const localSeriesStart = toLocalTime(seriesStart, timeZone);
+  const localDurationMs = toLocalTime(new Date(event.endTime), timeZone).getTime() - localSeriesStart.getTime();
+  const excludedStarts = getExcludedStarts(event);
+  const iterator = rule.iterator(ICAL.Time.fromJSDate(localSeriesStart, true));
+  const occurrences = [];
+  let iterations = 0;
+  let next;
+
+  while ((next = iterator.next()) && iterations < MAX_ITERATIONS) {
+    iterations++;
+
+    const localStart = next.toJSDate();
+    const startTime = fromLocalTime(localStart, timeZone);
+    if (startTime > windowEnd || (seriesEnd && startTime > seriesEnd)) {
+      break;
+    }
+
+    const endTime = fromLocalTime(new Date(localStart.getTime() + localDurationMs), timeZone);
+    if (endTime < windowStart || excludedStarts.has(startTime.getTime())) {
+      continue;
+    }
+
+    occurrences.push({ originalStart: startTime, startTime, endTime });
+  }
+
+  return occurrences;
+}
+
+/**
+ * Expand one event into occurrence objects
+ *
+ * Recurring events become one copy per occurrence in the window, with
+ * startTime/endTime shifted and occurrence fields added. Non-recurring events
+ * are returned as-is (with occurrence fields) without window filtering, since
+ * callers already filter those in the database query. Overridden instances
+ * keep the occurrence ID of the series occurrence they replace.
+ *
+ * @param {Object} event - CalendarEvent (with any includes)
+ * @param {Date} windowStart - Window start
+ * @param {Date} windowEnd - Window end
+ * @returns {Object[]} Occurrence objects
+ */
+function expandEvent(event, windowStart, windowEnd) {
+  if (event.parentEventId && event.recurrenceId) {
+    return [{
+      ...event,
+      occurrenceId: buildOccurrenceId(event.parentEventId, event.recurrenceId),
+      isOccurrence: true,
+    }];
+  }
+
+  if (!event.isRecurring || !parseRecurrenceRule(event.recurrencePattern)) {
+    return [{
+      ...event,
+      occurrenceId: event.eventId,
+      recurrenceId: null,
+      isOccurrence: false,
+    }];
+  }
+
+  return getOccurrences(event, windowStart, windowEnd).map(occurrence => ({
+    ...event,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    occurrenceId: buildOccurrenceId(event.eventId, occurrence.originalStart),
+    recurrenceId: occurrence.originalStart,
+    isOccurrence: true,
+    seriesStartTime: event.startTime,
+    seriesEndTime: event.endTime,
+  }));
+}
+
+/**
+ * Expand a list of events, preserving input order (series occurrences stay together)
+ * @param {Object[]} events - CalendarEvents
+ * @param {Date} windowStart - Window start
+ * @param {Date} windowEnd - Window end
+ * @returns {Object[]} Occurrence objects
+ */
+function expandEvents(events, windowStart, windowEnd) {
+  return events.flatMap(event => expandEvent(event, windowStart, windowEnd));
+}
+
+/**
+ * Find a single occurrence of a series by its original start
+ *
+ * Exceptions are ignored, so an overridden instance can still be located.
+ *
+ * @param {Object} event - Recurring CalendarEvent
+ * @param {Date} originalStart - Original start (recurrence ID) of the occurrence
+ * @returns {{originalStart: Date, startTime: Date, endTime: Date}|null} Occurrence, or null if the series has none at that start
+ */
+function findOccurrence(event, originalStart) {
+  const target = new Date(originalStart);
+  const occurrences = getOccurrences({ ...event, exceptionDates: [], childEvents: [] }, target, target);
+
+  return occurrences.find(o => o.originalStart.getTime() === target.getTime()) || null;
+}
+
+/**
+ * Pair up overlapping occurrences from two events
+ *
+ * Each list must hold the occurrences of a single event in start order (so
+ * their end times are in order too). Back-to-back occurrences, where one
+ * ends exactly as the other starts, do not overlap.
+ *
+ * @param {Array<{startTime: Date, endTime: Date}>} first - Occurrences of the first event
+ * @param {Array<{startTime: Date, endTime: Date}>} second - Occurrences of the second event
+ * @returns {Array<{first: Object, second: Object, overlapStart: Date, overlapEnd: Date}>} Overlapping pairs
+ */
+function findOverlappingOccurrences(first, second) {
+  const overlaps = [];
+  let startIndex = 0;
+
+  for (const a of first) {
+    while (startIndex < second.length && second[startIndex].endTime <= a.startTime) {
+      startIndex++;
+    }
+
+    for (let i = startIndex; i < second.length && second[i].startTime < a.endTime; i++) {
+      const b = second[i];
+      if (b.endTime > a.startTime) {
+        overlaps.push({
+          first: a,
+          second: b,
+          overlapStart: new Date(Math.max(a.startTime.getTime(), b.startTime.getTime())),
+          overlapEnd: new Date(Math.min(a.endTime.getTime(), b.endTime.getTime())),
+        });
+      }
+    }
+  }
+
+  return overlaps;
+}
+
+/**
+ * Split a series at a point in time (for "this and following" edits/deletes)
+ *
+ * The returned rules keep COUNT semantics intact: the earlier half is capped
+ * with an exact UNTIL just before the split, and the later half's COUNT is
+ * reduced by the occurrences already used up. Exceptions do not consume COUNT.
+ *
+ * @param {Object} event - Recurring CalendarEvent
+ * @param {Date} splitAt - First original start that belongs to the later half
+ * @returns {{beforeRule: string, afterRule: string|null}} RRULE values; afterRule is null if nothing remains
+ */
+function splitRecurrenceRule(event, splitAt) {
+  const beforeRule = parseRecurrenceRule(event.recurrencePattern);
+  const afterRule = parseRecurrenceRule(event.recurrencePattern);
+  if (!beforeRule) {
+    throw new Error('Event does not have a valid recurrence rule');
+  }
+
+  const cutoff = new Date(splitAt.getTime() - 1000);
+  const existingEnd = getSeriesEnd(beforeRule, null);
+  beforeRule.count = null;
+  beforeRule.until = ICAL.Time.fromJSDate(existingEnd && existingEnd < cutoff ? existingEnd : cutoff, true);
+
+  if (afterRule.count) {
+    const usedCount = getOccurrences(
+      { ...event, exceptionDates: [], childEvents: [] },
+      new Date(event.startTime),
+      cutoff
+    ).length;
+    const remaining = afterRule.count - usedCount;
+    if (remaining <= 0) {
+      return { beforeRule: beforeRule.toString(), afterRule: null };
+    }
+    afterRule.count = remaining;
+  }
+
+  return { beforeRule: beforeRule.toString(), afterRule: afterRule.toString() };
+}
+
+module.exports = {
+  DEFAULT_EXPANSION_DAYS,
+  parseRecurrenceRule,
+  isValidRecurrenceRule,
+  formatRecurrenceId,
+  buildOccurrenceId,
+  parseOccurrenceId,
+  resolveExpansionWindow,
+  getSeriesEnd,
+  getOccurrences,
+  expandEvent,
+  expandEvents,
+  findOccurrence,
+  findOverlappingOccurrences,
+  splitRecurrenceRule,
+};
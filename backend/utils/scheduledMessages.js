@@ -0,0 +1,108 @@
+/**
+ * Scheduled Messages
+ *
+ * Works out when a scheduled message (ScheduledMessage) is sent. A message is
+ * sent once at scheduledFor, or - with a frequency - repeatedly from
+ * scheduledFor until the end date, using the same schedule as recurring
+ * finance matters (utils/financeRecurrence.js).
+ *
+ * Unlike finance matters, missed occurrences are not caught up: if the server
+ * was down over several occurrences only the most recent one is sent, so a
+ * group never receives a burst of the same message.
+ */
+
+const { isValidFrequency, getOccurrenceDate } = require('./financeRecurrence');
+
+/**
+ * Furthest ahead a message can be scheduled
+ */
+const MAX_SCHEDULE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a schedule is valid
+ * @param {Object} schedule - { scheduledFor, frequency, endDate }
+ * @param {Date} now - Current time
+ * @returns {string|null} What is wrong with the schedule, or null if it is valid
+ */
+function validateSchedule(schedule, now) {
+  const scheduledFor = new Date(schedule.scheduledFor);
+  if (!schedule.scheduledFor || isNaN(scheduledFor.getTime())) {
+    return 'scheduledFor must be a valid date';
+  }
+
+  if (scheduledFor <= now) {
+    return 'scheduledFor must be in the future';
+  }
+
+  if (scheduledFor.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * DAY_MS) {
+    return `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`;
+  }
+
+  if (schedule.frequency && !isValidFrequency(schedule.frequency)) {
+    return 'frequency must be one of weekly, fortnightly, monthly or termly';
+  }
+
+  if (schedule.endDate) {
+    if (!schedule.frequency) {
+      return 'endDate can only be set for recurring messages';
+    }
+
+    const endDate = new Date(schedule.endDate);
+    if (isNaN(endDate.getTime())) {
+      return 'endDate must be a valid date';
+    }
+
+    if (endDate < scheduledFor) {
+      return 'endDate must not be before scheduledFor';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the date of the nth send (0 = scheduledFor)
+ * @param {Object} schedule - { scheduledFor, frequency, endDate }
+ * @param {number} index - Send index
+ * @returns {Date|null} Send date, or null if there is no such send
+ */
+function getSendDate(schedule, index) {
+  if (!schedule.frequency) {
+    return index === 0 ? new Date(schedule.scheduledFor) : null;
+  }
+
+  const date = getOccurrenceDate(schedule.scheduledFor, schedule.frequency, index);
+  if (schedule.endDate && date > new Date(schedule.endDate)) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Get the send that is due now, skipping any missed before it
+ *
+ * @param {Object} schedule - { scheduledFor, frequency, endDate, occurrenceCount }
+ * @param {Date} now - Current time
+ * @returns {Object|null} { index, date } of the most recent due send, or null if none is due
+ */
+function getDueSend(schedule, now) {
+  let due = null;
+
+  for (let index = schedule.occurrenceCount; ; index++) {
+    const date = getSendDate(schedule, index);
+    if (!date || date > now) break;
+    due = { index, date };
+  }
+
+  return due;
+}
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  validateSchedule,
+  getSendDate,
+  getDueSend,
+};
@@ -56,7 +56,6 @@ async function sendLogExportEmail() {
       userName: 'John Doe',
       groupName: 'Smith Family',
       downloadUrl: 'https://example.com/downloads/logs/abc123',
-      password: 'SecurePass123',
       expiresIn: '7 days',
     });
     console.log('✅ Log export email sent successfully');
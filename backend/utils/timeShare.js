@@ -0,0 +1,260 @@
+/**
+ * Custody Time-Share Calculation
+ *
+ * Works out, per child, how much time and how many nights each responsible
+ * party (group member or "other" person such as a school) had over a date range.
+ *
+ * Follows the calendar's layering system: when responsibility events overlap,
+ * the most recently created event wins. Recurring events are expanded into
+ * occurrences (skipping EXDATEs and overridden instances, whose overrides are
+ * events in their own right). During an event the start responsible party has
+ * the child; the end responsible party takes over at the event's end, which is
+ * the start of the next event.
+ *
+ * A night is attributed to whoever is responsible at local midnight, so the
+ * night of Monday to Tuesday counts at 00:00 on Tuesday.
+ */
+
+const { getOccurrences } = require('./recurrence');
+const { isValidTimeZone, toLocalTime, fromLocalTime } = require('./timeZones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve a local wall-clock midnight to an instant
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month (may overflow into the next month)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant of that local midnight
+ */
+function getLocalMidnight(year, month, day, timeZone) {
+  return fromLocalTime(new Date(Date.UTC(year, month, day)), timeZone);
+}
+
+/**
+ * Parse a report range boundary
+ *
+ * Date-only values ('YYYY-MM-DD') are local days in the time zone: a start date
+ * begins at its midnight and an end date includes the whole day. Other values are
+ * parsed as instants.
+ *
+ * @param {string} value - Date or date-time string
+ * @param {string} timeZone - IANA time zone
+ * @param {boolean} [isEnd] - Whether this is the (inclusive) end date
+ * @returns {Date|null} Instant, or null if invalid
+ */
+function parseReportDate(value, timeZone, isEnd = false) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (match) {
+    const day = parseInt(match[3], 10) + (isEnd ? 1 : 0);
+    return getLocalMidnight(parseInt(match[1], 10), parseInt(match[2], 10) - 1, day, timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * List the local midnights in [from, to)
+ *
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date[]} Midnight instants
+ */
+function getLocalMidnights(from, to, timeZone) {
+  const localFrom = toLocalTime(from, timeZone);
+  let year = localFrom.getUTCFullYear();
+  let month = localFrom.getUTCMonth();
+  let day = localFrom.getUTCDate();
+
+  const midnights = [];
+  for (;;) {
+    const instant = getLocalMidnight(year, month, day, timeZone).getTime();
+
+    if (instant >= to.getTime()) {
+      break;
+    }
+    if (instant >= from.getTime()) {
+      midnights.push(new Date(instant));
+    }
+
+    const next = new Date(Date.UTC(year, month, day + 1));
+    year = next.getUTCFullYear();
+    month = next.getUTCMonth();
+    day = next.getUTCDate();
+  }
+  return midnights;
+}
+
+/**
+ * Identify the start responsible party of a ChildResponsibilityEvent
+ *
+ * @param {Object} responsibilityEvent - ChildResponsibilityEvent with startResponsibleMember
+ * @returns {Object} { key, type, groupMemberId, displayName }
+ */
+function getStartResponsibleParty(responsibilityEvent) {
+  const member = responsibilityEvent.startResponsibleMember;
+  if (responsibilityEvent.startResponsibilityType !== 'other' && (member || responsibilityEvent.startResponsibleMemberId)) {
+    const groupMemberId = member?.groupMemberId || responsibilityEvent.startResponsibleMemberId;
+    return {
+      key: `member:${groupMemberId}`,
+      type: 'member',
+      groupMemberId,
+      displayName: member?.user?.displayName || member?.displayName || 'Unknown member',
+    };
+  }
+
+  const name = responsibilityEvent.startResponsibleOtherName || 'Other';
+  return {
+    key: `other:${name.trim().toLowerCase()}`,
+    type: 'other',
+    groupMemberId: null,
+    displayName: name,
+  };
+}
+
+/**
+ * Round to a fixed number of decimal places
+ */
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Resolve which party is responsible for one child over time
+ *
+ * @param {Array<Object>} responsibilityEvents - The child's ChildResponsibilityEvents (with event)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @returns {Array<Object>} Consecutive segments: { start, end, party } (party null when unassigned)
+ */
+function resolveResponsibilitySegments(responsibilityEvents, from, to) {
+  const intervals = responsibilityEvents.flatMap((responsibilityEvent) => {
+    const party = getStartResponsibleParty(responsibilityEvent);
+    const createdAt = new Date(responsibilityEvent.event.createdAt || 0).getTime();
+    return getOccurrences(responsibilityEvent.event, from, to).map(occurrence => ({
+      start: Math.max(occurrence.startTime.getTime(), from.getTime()),
+      end: Math.min(occurrence.endTime.getTime(), to.getTime()),
+      createdAt,
+      party,
+    }));
+  }).filter(interval => interval.end > interval.start);
+
+  const boundaries = [...new Set([
+    from.getTime(),
+    to.getTime(),
+    ...intervals.flatMap(interval => [interval.start, interval.end]),
+  ])].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+
+    // Layering: the most recently created event covering this segment wins
+    let winner = null;
+    for (const interval of intervals) {
+      if (interval.start <= start && interval.end >= end
+          && (!winner || interval.createdAt > winner.createdAt)) {
+        winner = interval;
+      }
+    }
+
+    const party = winner ? winner.party : null;
+    const previous = segments[segments.length - 1];
+    if (previous && previous.end === start && (previous.party?.key || null) === (party?.key || null)) {
+      previous.end = end;
+    } else {
+      segments.push({ start, end, party });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Compute the time-share report for each child
+ *
+ * @param {Array<Object>} children - Children to report on: { groupMemberId, displayName }
+ * @param {Array<Object>} responsibilityEvents - ChildResponsibilityEvents with event (incl. exceptionDates
+ *   and childEvents), startResponsibleMember and startResponsibleOther* fields
+ * @param {Object} options - Options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} [options.timeZone] - IANA time zone for overnight counting (default 'UTC')
+ * @returns {Array<Object>} Per child: { child, totalHours, totalNights, responsible[], unassigned }
+ */
+function computeTimeShare(children, responsibilityEvents, { from, to, timeZone = 'UTC' }) {
+  const totalMs = to.getTime() - from.getTime();
+  const midnights = getLocalMidnights(from, to, timeZone);
+
+  return children.map((child) => {
+    const segments = resolveResponsibilitySegments(
+      responsibilityEvents.filter(responsibilityEvent => responsibilityEvent.childId === child.groupMemberId),
+      from,
+      to
+    );
+
+    const totals = new Map();
+    const unassigned = { ms: 0, nights: 0 };
+    const addTo = (party) => {
+      if (!party) return unassigned;
+      if (!totals.has(party.key)) {
+        totals.set(party.key, { party, ms: 0, nights: 0 });
+      }
+      return totals.get(party.key);
+    };
+
+    segments.forEach((segment) => {
+      addTo(segment.party).ms += segment.end - segment.start;
+    });
+
+    let segmentIndex = 0;
+    midnights.forEach((midnight) => {
+      const time = midnight.getTime();
+      while (segments[segmentIndex].end <= time) {
+        segmentIndex++;
+      }
+      addTo(segments[segmentIndex].party).nights += 1;
+    });
+
+    const percentage = (value, total) => (total > 0 ? round((value / total) * 100, 1) : 0);
+
+    return {
+      child: {
+        groupMemberId: child.groupMemberId,
+        displayName: child.displayName,
+      },
+      totalHours: round(totalMs / HOUR_MS, 2),
+      totalNights: midnights.length,
+      responsible: [...totals.values()]
+        .sort((a, b) => b.ms - a.ms)
+        .map(({ party, ms, nights }) => ({
+          type: party.type,
+          groupMemberId: party.groupMemberId,
+          displayName: party.displayName,
+          hours: round(ms / HOUR_MS, 2),
+          hoursPercentage: percentage(ms, totalMs),
+          nights,
+          nightsPercentage: percentage(nights, midnights.length),
+        })),
+      unassigned: {
+        hours: round(unassigned.ms / HOUR_MS, 2),
+        hoursPercentage: percentage(unassigned.ms, totalMs),
+        nights: unassigned.nights,
+        nightsPercentage: percentage(unassigned.nights, midnights.length),
+      },
+    };
+  });
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseReportDate,
+  getLocalMidnights,
+  resolveResponsibilitySegments,
+  computeTimeShare,
+};
@@ -0,0 +1,126 @@
+/**
+ * Time Zones
+ *
+ * Converts between instants and wall-clock times in IANA time zones using
+ * Intl, so no time zone data has to be shipped. A wall-clock time is held in
+ * a Date whose UTC fields read as the local time (e.g. 09:00 in Sydney is
+ * 09:00Z), which lets date arithmetic ignore DST until it is converted back.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const WEEK_MINUTES = 7 * 24 * 60;
+
+/**
+ * Check that a time zone is a valid IANA name
+ *
+ * @param {string} timeZone - e.g. 'Australia/Sydney'
+ * @returns {boolean} True if Intl accepts it
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get a time zone's UTC offset at an instant
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (local - UTC)
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Wall-clock time (UTC fields hold the local time)
+ */
+function toLocalTime(date, timeZone) {
+  return new Date(date.getTime() + getTimeZoneOffsetMs(date, timeZone));
+}
+
+/**
+ * Resolve a wall-clock time in a time zone to an instant
+ *
+ * @param {Date} localTime - Wall-clock time (UTC fields hold the local time)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function fromLocalTime(localTime, timeZone) {
+  const wallClock = localTime.getTime();
+  // Re-check the offset at the candidate instant in case it falls across a DST change
+  const instant = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffsetMs(new Date(instant), timeZone));
+}
+
+/**
+ * Find when a time zone's UTC offset changes (daylight saving and other changes)
+ *
+ * Steps through the range a week at a time, so offsets that change and change
+ * back within a week are missed; each change is then found to the minute.
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<{at: Date, offsetFromMs: number, offsetToMs: number}>} Changes in time order
+ */
+function getTimeZoneTransitions(timeZone, from, to) {
+  const offsetAtMinute = minute => getTimeZoneOffsetMs(new Date(minute * MINUTE_MS), timeZone);
+  const transitions = [];
+  let minute = Math.floor(from.getTime() / MINUTE_MS);
+  let offset = offsetAtMinute(minute);
+
+  while (minute * MINUTE_MS < to.getTime()) {
+    const nextMinute = minute + WEEK_MINUTES;
+    const nextOffset = offsetAtMinute(nextMinute);
+
+    if (nextOffset !== offset) {
+      // Narrow down to the first minute with the new offset
+      let before = minute;
+      let after = nextMinute;
+      while (after - before > 1) {
+        const middle = Math.floor((before + after) / 2);
+        if (offsetAtMinute(middle) === offset) {
+          before = middle;
+        } else {
+          after = middle;
+        }
+      }
+
+      transitions.push({ at: new Date(after * MINUTE_MS), offsetFromMs: offset, offsetToMs: offsetAtMinute(after) });
+    }
+
+    minute = nextMinute;
+    offset = nextOffset;
+  }
+
+  return transitions.filter(transition => transition.at < to);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffsetMs,
+  toLocalTime,
+  fromLocalTime,
+  getTimeZoneTransitions,
+};
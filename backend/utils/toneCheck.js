@@ -0,0 +1,176 @@
+/**
+ * Tone Check
+ *
+ * Rule-based tone assistant for outgoing messages. When a group turns it on
+ * (GroupSettings.toneCheckEnabled), messages are checked before they are
+ * stored; flagged ones are held back with suggestions so the sender can
+ * revise them or send anyway.
+ *
+ * Runs entirely locally: a small lexicon of hostile, blaming and profane
+ * phrases, plus a check for shouting in capitals. It is a prompt to pause,
+ * not a filter, so it errs towards flagging only clear cases.
+ */
+
+const { foldText } = require('./messageSearch');
+
+/**
+ * Categories a message can be flagged for
+ */
+const TONE_CATEGORIES = ['hostile', 'all_caps', 'blaming', 'profanity'];
+
+/**
+ * Suggestion shown for each category
+ */
+const SUGGESTIONS = {
+  hostile: 'Describe the problem rather than the person - name-calling and threats make agreement less likely.',
+  all_caps: 'Capital letters read as shouting. Try writing in normal case.',
+  blaming: 'Try an "I" statement ("I\'m worried that...") instead of "you always" or "you never".',
+  profanity: 'Leave out the swearing - it tends to escalate things, and messages stay in the group\'s record.',
+};
+
+/**
+ * Phrase rules, matched against folded text (lower case, no accents, straight apostrophes)
+ */
+const PHRASE_RULES = [
+  {
+    category: 'profanity',
+    pattern: /\b(?:fuck\w*|f\*+k\w*|shit(?:s|ty|head\w*)?|bullshit|bitch(?:es|y|ing)?|bastard\w*|ass ?holes?|arse ?holes?|dickheads?|wank\w*|bollocks|twats?|cunts?|piss(?:ed)? off|pricks?)\b/g,
+  },
+  {
+    category: 'hostile',
+    pattern: /\b(?:idiot\w*|stupid|morons?|pathetic|useless|worthless|losers?|liars?|disgusting|selfish|incompetent|psycho|hate you|shut up|screw you|get lost|how dare you|drop dead|go to hell|grow up|you(?:'ll| will) (?:regret|be sorry)|i'm warning you|i am warning you|see you in court)\b/g,
+  },
+  {
+    category: 'blaming',
+    pattern: /\b(?:you always|you never|(?:it's |it is |all )?your fault|because of you|you made me|you ruined|thanks to you|you don'?t care|you do not care|you only care|typical of you|you(?:'re| are) the reason|i blame you)\b/g,
+  },
+];
+
+/**
+ * Capitalised words that aren't shouting
+ */
+const ACRONYMS = new Set(['ASAP', 'FYI', 'PTA', 'IEP', 'ADHD', 'NHS', 'RSVP', 'COVID']);
+
+/**
+ * Shouted words (4+ letters, all capitals) needed to flag a message
+ */
+const MIN_SHOUTED_WORDS = 2;
+
+/**
+ * Find phrase rule matches
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Issues ({ category, text, start, end })
+ */
+function findPhraseIssues(text) {
+  // foldText keeps offsets lined up with the original text
+  const folded = foldText(text).replace(/[‘’]/g, '\'');
+  const issues = [];
+
+  for (const rule of PHRASE_RULES) {
+    for (const match of folded.matchAll(rule.pattern)) {
+      issues.push({
+        category: rule.category,
+        text: text.slice(match.index, match.index + match[0].length),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Find shouting: several words in capitals, or a message written entirely in them
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Issues ({ category: 'all_caps', text, start, end })
+ */
+function findShoutingIssues(text) {
+  const shouted = [...text.matchAll(/(?<![\p{L}\p{N}])\p{Lu}{4,}(?![\p{L}\p{N}])/gu)]
+    .filter(match => !ACRONYMS.has(match[0]));
+
+  if (shouted.length >= MIN_SHOUTED_WORDS) {
+    return shouted.map(match => ({
+      category: 'all_caps',
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+  }
+
+  // Short shouted messages ("STOP IT NOW") have few long words
+  const letters = text.match(/\p{L}/gu) || [];
+  const capitals = text.match(/\p{Lu}/gu) || [];
+  if (letters.length >= 8 && capitals.length === letters.length) {
+    const trimmed = text.trim();
+    const start = text.indexOf(trimmed);
+    return [{ category: 'all_caps', text: trimmed, start: start, end: start + trimmed.length }];
+  }
+
+  return [];
+}
+
+/**
+ * Check a message's tone
+ *
+ * @param {string} text - Message text
+ * @returns {Object} { flagged, categories, issues, suggestions } - issues are
+ *   { category, text, start, end } in text order, with offsets into text;
+ *   categories and suggestions follow TONE_CATEGORIES order
+ */
+function analyzeTone(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return { flagged: false, categories: [], issues: [], suggestions: [] };
+  }
+
+  const issues = [...findPhraseIssues(text), ...findShoutingIssues(text)]
+    .sort((a, b) => a.start - b.start);
+  const categories = TONE_CATEGORIES.filter(category => issues.some(issue => issue.category === category));
+
+  return {
+    flagged: issues.length > 0,
+    categories: categories,
+    issues: issues,
+    suggestions: categories.map(category => SUGGESTIONS[category]),
+  };
+}
+
+/**
+ * Summarise tone check events for admins (counts only, never content)
+ *
+ * @param {Array<Object>} events - ToneCheckEvents ({ outcome, categories })
+ * @returns {Object} { warnings, sentAnyway, revisedOrHeld, byCategory } - revisedOrHeld
+ *   is warnings that weren't followed by sending anyway
+ */
+function summarizeToneEvents(events) {
+  const byCategory = Object.fromEntries(TONE_CATEGORIES.map(category => [category, 0]));
+  let warnings = 0;
+  let sentAnyway = 0;
+
+  for (const event of events) {
+    if (event.outcome === 'sent_anyway') {
+      sentAnyway++;
+      continue;
+    }
+
+    warnings++;
+    for (const category of event.categories || []) {
+      if (category in byCategory) {
+        byCategory[category]++;
+      }
+    }
+  }
+
+  return {
+    warnings: warnings,
+    sentAnyway: sentAnyway,
+    revisedOrHeld: Math.max(0, warnings - sentAnyway),
+    byCategory: byCategory,
+  };
+}
+
+module.exports = {
+  TONE_CATEGORIES,
+  analyzeTone,
+  summarizeToneEvents,
+};
@@ -17,6 +17,7 @@ import { CONFIG } from './src/constants/config';
 import api from './src/services/api';
 import authEvents from './src/services/authEvents';
 import pushNotificationService from './src/services/pushNotification.service';
+import realtimeService from './src/services/realtime.service';
 import { CustomAlertProvider, setGlobalAlertHandler, useCustomAlert } from './src/components/CustomAlert';
 import ForceUpdateModal from './src/components/ForceUpdateModal';
 import { useVersionCheck } from './src/hooks/useVersionCheck';
@@ -110,12 +111,26 @@ export default function App() {
     return unsubscribe;
   }, []);
 
+  /**
+   * Keep the realtime channel open while logged in
+   */
+  useEffect(() => {
+    if (isAuthenticated) {
+      realtimeService.connect();
+    } else {
+      realtimeService.disconnect();
+    }
+  }, [isAuthenticated]);
+
   /**
    * Update app icon badge when app comes to foreground
    */
   useEffect(() => {
     const subscription = AppState.addEventListener('change', (nextAppState) => {
       if (nextAppState === 'active' && isAuthenticated) {
+        // Reconnect straight away if the socket dropped while in the background
+        realtimeService.connect();
+
         // App came to foreground - update badge count
         pushNotificationService.updateAppBadge().then((count) => {
           console.log('[App] Badge count updated on foreground:', count);
@@ -5,6 +5,9 @@
  * 1. Member Calendars - One layer per group member
  * 2. Imported Calendars - External calendars (iCal URL or file)
  *
+ * Below the layers, the user can get a secret iCal feed URL to subscribe to
+ * this calendar from other apps (the feed follows their visible layers).
+ *
  * Each layer has controls for:
  * - Visibility toggle (eye icon)
  * - Notification toggle (ear icon - matches group/message muting)
@@ -22,10 +25,12 @@ import {
   TouchableOpacity,
   Platform,
   ActivityIndicator,
+  Share,
 } from 'react-native';
 import { Title, Text, IconButton, Button } from 'react-native-paper';
 import ColorPickerModal from './ColorPickerModal';
 import ImportCalendarModal from './ImportCalendarModal';
+import { CustomAlert } from './CustomAlert';
 import api from '../services/api';
 
 /**
@@ -52,6 +57,14 @@ import api from '../services/api';
  * @property {string|null} customColor - Custom color override
  */
 
+/**
+ * @typedef {Object} CalendarFeed
+ * @property {string} feedTokenId - Feed token ID
+ * @property {string} feedUrl - Secret iCal feed URL
+ * @property {string} createdAt - When the URL was created
+ * @property {string|null} lastAccessedAt - When a calendar app last fetched it
+ */
+
 /**
  * @typedef {Object} CalendarLayersModalProps
  * @property {boolean} visible - Whether modal is visible
@@ -81,6 +94,8 @@ export default function CalendarLayersModal({
   const [selectedItem, setSelectedItem] = useState(null);
   const [selectedItemType, setSelectedItemType] = useState(null); // 'member' or 'imported'
   const [importModalVisible, setImportModalVisible] = useState(false);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [feedUpdating, setFeedUpdating] = useState(false);
 
   // Fetch layers when modal opens
   useEffect(() => {
@@ -127,6 +142,16 @@ export default function CalendarLayersModal({
       } catch (importedError) {
         console.error('Error fetching imported calendars:', importedError);
       }
+
+      // Fetch the user's calendar feed URL
+      try {
+        const feedResponse = await api.get(`/groups/${groupId}/calendar/feed`);
+        if (feedResponse.data.success) {
+          setCalendarFeed(feedResponse.data.feed);
+        }
+      } catch (feedError) {
+        console.error('Error fetching calendar feed:', feedError);
+      }
     } finally {
       setLoading(false);
     }
@@ -352,6 +377,80 @@ export default function CalendarLayersModal({
     }
   };
 
+  /**
+   * Create a calendar feed URL (replaces any existing one)
+   */
+  const createCalendarFeed = async () => {
+    try {
+      setFeedUpdating(true);
+      const response = await api.post(`/groups/${groupId}/calendar/feed`);
+      if (response.data.success) {
+        setCalendarFeed(response.data.feed);
+      }
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create calendar feed link');
+    } finally {
+      setFeedUpdating(false);
+    }
+  };
+
+  /**
+   * Turn off the calendar feed URL
+   */
+  const revokeCalendarFeed = async () => {
+    try {
+      setFeedUpdating(true);
+      await api.delete(`/groups/${groupId}/calendar/feed`);
+      setCalendarFeed(null);
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to turn off calendar feed link');
+    } finally {
+      setFeedUpdating(false);
+    }
+  };
+
+  /**
+   * Share the calendar feed URL (e.g. copy it or send it to a calendar app)
+   */
+  const shareCalendarFeed = async () => {
+    if (!calendarFeed) return;
+    try {
+      await Share.share({ message: calendarFeed.feedUrl });
+    } catch (error) {
+      console.error('Error sharing calendar feed:', error);
+    }
+  };
+
+  /**
+   * Confirm replacing the feed URL with a new one
+   */
+  const confirmResetCalendarFeed = () => {
+    CustomAlert.alert(
+      'Reset Link',
+      'The current link will stop working. Calendar apps subscribed to it will need the new link.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: createCalendarFeed },
+      ]
+    );
+  };
+
+  /**
+   * Confirm turning off the feed URL
+   */
+  const confirmRevokeCalendarFeed = () => {
+    CustomAlert.alert(
+      'Turn Off Link',
+      'Calendar apps subscribed to this link will stop receiving updates.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Turn Off', style: 'destructive', onPress: revokeCalendarFeed },
+      ]
+    );
+  };
+
   /**
    * Render a member layer row
    * @param {MemberLayer} layer
@@ -562,6 +661,49 @@ export default function CalendarLayersModal({
                     <Text style={styles.importButtonText}>Import Calendar</Text>
                   </TouchableOpacity>
                 </View>
+
+                {/* Calendar Feed Section */}
+                <View style={styles.section}>
+                  <Text style={styles.sectionHeader}>SUBSCRIBE FROM OTHER APPS</Text>
+                  <Text style={styles.feedHelpText}>
+                    A private link for Google Calendar, Apple Calendar or Outlook. It shows the
+                    events you can see here, following your layer visibility. Anyone with the
+                    link can see these events.
+                  </Text>
+
+                  {calendarFeed ? (
+                    <>
+                      <Text style={styles.feedUrl} selectable>
+                        {calendarFeed.feedUrl}
+                      </Text>
+                      <View style={styles.feedActions}>
+                        <Button mode="text" onPress={shareCalendarFeed} disabled={feedUpdating}>
+                          Share
+                        </Button>
+                        <Button mode="text" onPress={confirmResetCalendarFeed} disabled={feedUpdating}>
+                          Reset
+                        </Button>
+                        <Button
+                          mode="text"
+                          textColor="#d32f2f"
+                          onPress={confirmRevokeCalendarFeed}
+                          disabled={feedUpdating}
+                        >
+                          Turn Off
+                        </Button>
+                      </View>
+                    </>
+                  ) : (
+                    <TouchableOpacity
+                      style={styles.importButton}
+                      onPress={createCalendarFeed}
+                      disabled={feedUpdating}
+                    >
+                      <IconButton icon="link-variant" size={20} iconColor="#6200ee" />
+                      <Text style={styles.importButtonText}>Get Calendar Link</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
               </ScrollView>
             </>
           )}
@@ -739,6 +881,23 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  feedHelpText: {
+    fontSize: 12,
+    color: '#666',
+    paddingHorizontal: 4,
+    marginBottom: 8,
+  },
+  feedUrl: {
+    fontSize: 12,
+    color: '#333',
+    backgroundColor: '#f5f5f5',
+    borderRadius: 6,
+    padding: 8,
+  },
+  feedActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
   closeButton: {
     marginTop: 16,
     paddingVertical: 12,
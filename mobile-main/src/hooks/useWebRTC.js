@@ -8,6 +8,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { Platform } from 'react-native';
 import api from '../services/api';
+import realtimeService from '../services/realtime.service';
 
 // Import WebRTC classes - on mobile, use react-native-webrtc
 let RTCPeerConnectionClass;
@@ -51,6 +52,15 @@ if (Platform.OS === 'web') {
  * @property {string[]} recordingStatus - Recording status messages from server
  */
 
+/**
+ * Signal polling interval - slower while signals are pushed over the realtime
+ * channel, since polling is then only needed for peers and recording status
+ * @returns {number} Interval in milliseconds
+ */
+function getSignalPollInterval() {
+  return realtimeService.isConnected() ? 3000 : 1000;
+}
+
 /**
  * Hook for managing WebRTC calls (audio and video)
  *
@@ -425,8 +435,8 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
       // Initialize local stream
       await initializeLocalStream();
 
-      // Start polling for signals
-      pollingRef.current = setInterval(pollSignals, 1000);
+      // Start polling for signals and peers (signals also arrive over the realtime channel)
+      pollingRef.current = setInterval(pollSignals, getSignalPollInterval());
 
       setIsConnecting(false);
     } catch (err) {
@@ -491,6 +501,29 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
     }
   }, [localStream]);
 
+  // Receive signals pushed over the realtime channel while the call is active.
+  // The server only pushes (and marks consumed) while we're subscribed, so
+  // anything sent before this point is still collected by polling.
+  const processSignalsRef = useRef(processSignals);
+  processSignalsRef.current = processSignals;
+
+  useEffect(() => {
+    if (!isActive || !isWebRTCSupported || !callId) return undefined;
+
+    const topic = `call:${callId}`;
+    const unsubscribe = realtimeService.on('webrtc.signal', (data) => {
+      if (data?.callId === callId && data.signal) {
+        processSignalsRef.current([data.signal]);
+      }
+    });
+    realtimeService.subscribe(topic);
+
+    return () => {
+      realtimeService.unsubscribe(topic);
+      unsubscribe();
+    };
+  }, [isActive, callId, isWebRTCSupported]);
+
   // Start connection when call becomes active
   useEffect(() => {
     if (isActive && isWebRTCSupported) {
@@ -505,7 +538,7 @@ export function useWebRTC({ groupId, callId, isActive, isInitiator, audioOnly =
   // Poll signals while active
   useEffect(() => {
     if (isActive && localStream && !pollingRef.current && isWebRTCSupported) {
-      pollingRef.current = setInterval(pollSignals, 1000);
+      pollingRef.current = setInterval(pollSignals, getSignalPollInterval());
     }
 
     return () => {
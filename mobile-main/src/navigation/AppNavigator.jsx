@@ -35,6 +35,7 @@ import AutoApproveSettingsScreen from '../screens/groups/AutoApproveSettingsScre
 import CalendarScreen from '../screens/calendar/CalendarScreen';
 import CreateEventScreen from '../screens/calendar/CreateEventScreen';
 import CreateChildEventScreen from '../screens/calendar/CreateChildEventScreen';
+import CustodyScheduleWizardScreen from '../screens/calendar/CustodyScheduleWizardScreen';
 import EditEventScreen from '../screens/calendar/EditEventScreen';
 import EditChildEventScreen from '../screens/calendar/EditChildEventScreen';
 import FinanceListScreen from '../screens/groups/FinanceListScreen';
@@ -129,6 +130,7 @@ export default function AppNavigator({ isAuthenticated, onLoginSuccess, onLogout
             <Stack.Screen name="Calendar" component={CalendarScreen} />
             <Stack.Screen name="CreateEvent" component={CreateEventScreen} />
             <Stack.Screen name="CreateChildEvent" component={CreateChildEventScreen} />
+            <Stack.Screen name="CustodyScheduleWizard" component={CustodyScheduleWizardScreen} />
             <Stack.Screen name="EditEvent" component={EditEventScreen} />
             <Stack.Screen name="EditChildEvent" component={EditChildEventScreen} />
 
@@ -573,7 +573,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
     const regularEvents = events.filter(event => !event.isResponsibilityEvent);
 
     // STEP 1: Use scan-line algorithm to calculate slot assignments
-    const eventLayouts = new Map(); // eventId -> {column, maxColumns, columnsToUse}
+    const eventLayouts = new Map(); // occurrenceId -> {column, maxColumns, columnsToUse}
 
     // Create scan events (start and end points)
     const scanEvents = [];
@@ -604,10 +604,10 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         while (usedColumns.has(column)) {
           column++;
         }
-        eventColumns.set(scanEvent.event.eventId, column);
+        eventColumns.set(scanEvent.event.occurrenceId, column);
         activeEvents.push({ event: scanEvent.event, column });
       } else {
-        const index = activeEvents.findIndex(e => e.event.eventId === scanEvent.event.eventId);
+        const index = activeEvents.findIndex(e => e.event.occurrenceId === scanEvent.event.occurrenceId);
         if (index !== -1) {
           activeEvents.splice(index, 1);
         }
@@ -618,7 +618,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
     regularEvents.forEach((event) => {
       const eventStart = new Date(event.startTime);
       const eventEnd = new Date(event.endTime);
-      const eventColumn = eventColumns.get(event.eventId);
+      const eventColumn = eventColumns.get(event.occurrenceId);
 
       const overlappingEvents = regularEvents.filter((other) => {
         const otherStart = new Date(other.startTime);
@@ -626,9 +626,9 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         return otherStart < eventEnd && otherEnd > eventStart;
       });
 
-      const maxColumns = Math.max(...overlappingEvents.map(e => eventColumns.get(e.eventId) + 1));
+      const maxColumns = Math.max(...overlappingEvents.map(e => eventColumns.get(e.occurrenceId) + 1));
 
-      const overlappingColumns = new Set(overlappingEvents.map(e => eventColumns.get(e.eventId)));
+      const overlappingColumns = new Set(overlappingEvents.map(e => eventColumns.get(e.occurrenceId)));
       let columnsToUse = 1;
       for (let col = eventColumn + 1; col < maxColumns; col++) {
         if (!overlappingColumns.has(col)) {
@@ -638,7 +638,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         }
       }
 
-      eventLayouts.set(event.eventId, {
+      eventLayouts.set(event.occurrenceId, {
         column: eventColumn,
         maxColumns,
         columnsToUse,
@@ -674,7 +674,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         return;
       }
 
-      const layout = eventLayouts.get(event.eventId);
+      const layout = eventLayouts.get(event.occurrenceId);
       if (!layout) return;
 
       const eventStartHour = eventStart.getHours() + eventStart.getMinutes() / 60;
@@ -729,7 +729,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
 
         eventViews.push(
           <Pressable
-            key={`event_${event.eventId}_day${dayOffset}`}
+            key={`event_${event.occurrenceId}_day${dayOffset}`}
             style={{
               position: 'absolute',
               left: eventLeft,
@@ -746,6 +746,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
               navigation.navigate('EditEvent', {
                 groupId: groupId,
                 eventId: event.eventId,
+                occurrenceId: event.isOccurrence ? event.occurrenceId : undefined,
               });
             }}
             delayLongPress={300}
@@ -785,6 +786,8 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
           allResponsibilityLines.push({
             responsibilityEventId: re.responsibilityEventId,
             eventId: event.eventId,
+            occurrenceId: event.isOccurrence ? event.occurrenceId : undefined,
+            occurrenceKey: `${event.occurrenceId}_${re.responsibilityEventId}`,
             title: event.title,
             startTime: event.startTime,
             endTime: event.endTime,
@@ -826,10 +829,10 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         while (usedColumns.has(column)) {
           column++;
         }
-        lineColumns.set(scanEvent.line.responsibilityEventId, column);
+        lineColumns.set(scanEvent.line.occurrenceKey, column);
         activeLines.push({ line: scanEvent.line, column });
       } else {
-        const index = activeLines.findIndex(l => l.line.responsibilityEventId === scanEvent.line.responsibilityEventId);
+        const index = activeLines.findIndex(l => l.line.occurrenceKey === scanEvent.line.occurrenceKey);
         if (index !== -1) {
           activeLines.splice(index, 1);
         }
@@ -839,7 +842,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
     allResponsibilityLines.forEach((line) => {
       const lineStart = new Date(line.startTime);
       const lineEnd = new Date(line.endTime);
-      const lineColumn = lineColumns.get(line.responsibilityEventId);
+      const lineColumn = lineColumns.get(line.occurrenceKey);
 
       const overlappingLines = allResponsibilityLines.filter((other) => {
         const otherStart = new Date(other.startTime);
@@ -847,9 +850,9 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         return otherStart < lineEnd && otherEnd > lineStart;
       });
 
-      const maxColumns = Math.max(...overlappingLines.map(l => lineColumns.get(l.responsibilityEventId) + 1));
+      const maxColumns = Math.max(...overlappingLines.map(l => lineColumns.get(l.occurrenceKey) + 1));
 
-      const overlappingColumns = new Set(overlappingLines.map(l => lineColumns.get(l.responsibilityEventId)));
+      const overlappingColumns = new Set(overlappingLines.map(l => lineColumns.get(l.occurrenceKey)));
       let columnsToUse = 1;
       for (let col = lineColumn + 1; col < maxColumns; col++) {
         if (!overlappingColumns.has(col)) {
@@ -859,7 +862,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         }
       }
 
-      childEventLayouts.set(line.responsibilityEventId, {
+      childEventLayouts.set(line.occurrenceKey, {
         column: lineColumn,
         maxColumns,
         columnsToUse,
@@ -881,7 +884,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         return;
       }
 
-      const layout = childEventLayouts.get(line.responsibilityEventId);
+      const layout = childEventLayouts.get(line.occurrenceKey);
       if (!layout) return;
 
       const lineStartHour = lineStart.getHours() + lineStart.getMinutes() / 60;
@@ -917,7 +920,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         // Child half (left)
         childEventViews.push(
           <View
-            key={`child_${line.responsibilityEventId}_day${dayOffset}`}
+            key={`child_${line.occurrenceKey}_day${dayOffset}`}
             style={{
               position: 'absolute',
               left: eventLeft,
@@ -933,7 +936,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         // Adult half (right)
         childEventViews.push(
           <View
-            key={`adult_${line.responsibilityEventId}_day${dayOffset}`}
+            key={`adult_${line.occurrenceKey}_day${dayOffset}`}
             style={{
               position: 'absolute',
               left: eventLeft + halfWidth,
@@ -949,7 +952,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
         // Touchable overlay
         childEventViews.push(
           <Pressable
-            key={`wrapper_${line.responsibilityEventId}_day${dayOffset}`}
+            key={`wrapper_${line.occurrenceKey}_day${dayOffset}`}
             style={{
               position: 'absolute',
               left: eventLeft,
@@ -962,6 +965,7 @@ function InfiniteGrid({ externalXYFloat, onXYFloatChange, events, navigation, gr
               navigation.navigate('EditChildEvent', {
                 groupId: groupId,
                 eventId: line.eventId,
+                occurrenceId: line.occurrenceId,
               });
             }}
             delayLongPress={300}
@@ -1219,6 +1223,8 @@ export default function CalendarScreen({ navigation, route }) {
 
       // Fetch ALL events for this group (no date range filter)
       // This ensures consistent layout calculation across all scrolling positions
+      // Recurring series come back expanded into one entry per occurrence (sharing
+      // the series eventId), so layout is keyed by occurrenceId rather than eventId
       const response = await API.get(`/groups/${groupId}/calendar/events`);
 
       if (response.data.success) {
@@ -1387,6 +1393,7 @@ export default function CalendarScreen({ navigation, route }) {
       .map(importedEvent => ({
         // Map imported event to match regular event structure
         eventId: `imported-${importedEvent.eventId}`,
+        occurrenceId: `imported-${importedEvent.eventId}`,
         title: importedEvent.title,
         description: importedEvent.description,
         location: importedEvent.location,
@@ -1645,6 +1652,7 @@ export default function CalendarScreen({ navigation, route }) {
           allResponsibilityEvents.push({
             responsibilityEventId: re.responsibilityEventId,
             eventId: event.eventId,
+            occurrenceKey: `${event.occurrenceId}_${re.responsibilityEventId}`,
             startTime: event.startTime,
             endTime: event.endTime,
           });
@@ -1678,10 +1686,10 @@ export default function CalendarScreen({ navigation, route }) {
         while (usedColumns.has(column)) {
           column++;
         }
-        childBarColumns.set(scanEvent.re.responsibilityEventId, column);
+        childBarColumns.set(scanEvent.re.occurrenceKey, column);
         activeBars.push({ re: scanEvent.re, column });
       } else {
-        const index = activeBars.findIndex(b => b.re.responsibilityEventId === scanEvent.re.responsibilityEventId);
+        const index = activeBars.findIndex(b => b.re.occurrenceKey === scanEvent.re.occurrenceKey);
         if (index !== -1) {
           activeBars.splice(index, 1);
         }
@@ -1762,10 +1770,10 @@ export default function CalendarScreen({ navigation, route }) {
         while (usedRows.has(row)) {
           row++;
         }
-        eventRows.set(scanEvent.event.eventId, row);
+        eventRows.set(scanEvent.event.occurrenceId, row);
         activeEvents.push({ event: scanEvent.event, row });
       } else {
-        const index = activeEvents.findIndex(e => e.event.eventId === scanEvent.event.eventId);
+        const index = activeEvents.findIndex(e => e.event.occurrenceId === scanEvent.event.occurrenceId);
         if (index !== -1) {
           activeEvents.splice(index, 1);
         }
@@ -1776,7 +1784,7 @@ export default function CalendarScreen({ navigation, route }) {
     const lines = multiDayEvents.map(event => {
       const eventStart = new Date(event.startTime);
       const eventEnd = new Date(event.endTime);
-      const row = eventRows.get(event.eventId) || 0;
+      const row = eventRows.get(event.occurrenceId) || 0;
 
       // Check if this day is the start or end of the event
       const isStart = eventStart >= dayStart && eventStart <= dayEnd;
@@ -1788,6 +1796,7 @@ export default function CalendarScreen({ navigation, route }) {
         isStart,
         isEnd,
         eventId: event.eventId,
+        occurrenceId: event.occurrenceId,
       };
     });
 
@@ -1796,6 +1805,7 @@ export default function CalendarScreen({ navigation, route }) {
       color: getEventColor(event, prefs),
       row: idx, // Simple stacking for dots
       eventId: event.eventId,
+      occurrenceId: event.occurrenceId,
     }));
 
     // === PROCESS CHILD RESPONSIBILITY EVENTS ===
@@ -1819,11 +1829,12 @@ export default function CalendarScreen({ navigation, route }) {
             const endFraction = (visibleEnd - dayStart) / dayDuration;
 
             // Get the global column assignment for this responsibility event
-            const column = globalChildColumns.get(re.responsibilityEventId) || 0;
+            const column = globalChildColumns.get(`${event.occurrenceId}_${re.responsibilityEventId}`) || 0;
 
             allResponsibilityBars.push({
               responsibilityEventId: re.responsibilityEventId,
               eventId: event.eventId,
+              occurrenceKey: `${event.occurrenceId}_${re.responsibilityEventId}`,
               childColor: re.child.iconColor,
               adultColor: re.startResponsibleMember?.iconColor || re.startResponsibleOtherColor,
               startFraction, // 0.0 to 1.0 (position within day)
@@ -1923,7 +1934,7 @@ export default function CalendarScreen({ navigation, route }) {
 
                       return (
                         <View
-                          key={`childbar-${bar.responsibilityEventId}`}
+                          key={`childbar-${bar.occurrenceKey}`}
                           style={{
                             position: 'absolute',
                             left: `${leftPercent}%`, // Start at time-based position
@@ -1957,7 +1968,7 @@ export default function CalendarScreen({ navigation, route }) {
                     {/* Render lines for multi-day events */}
                     {lines.slice(0, 3).map((line, idx) => (
                       <View
-                        key={`line-${line.eventId}`}
+                        key={`line-${line.occurrenceId}`}
                         style={[
                           styles.monthEventLine,
                           {
@@ -1976,7 +1987,7 @@ export default function CalendarScreen({ navigation, route }) {
                       const dotBottom = 2 + (lineCount * 6) + (idx * 6); // Start above lines
                       return (
                         <View
-                          key={`dot-${dot.eventId}`}
+                          key={`dot-${dot.occurrenceId}`}
                           style={[
                             styles.monthEventDot,
                             {
@@ -2156,6 +2167,29 @@ export default function CalendarScreen({ navigation, route }) {
                 </Text>
               </View>
             </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.eventTypeButton}
+              onPress={() => {
+                setShowEventTypeModal(false);
+                // Calculate masterDateTime from probe position
+                const baseDate = new Date(2023, 9, 31); // Oct 31, 2023
+                const masterDateTime = new Date(baseDate);
+                masterDateTime.setDate(baseDate.getDate() + probeDay);
+                masterDateTime.setHours(probeHour24, 0, 0, 0);
+                navigation.navigate('CustodyScheduleWizard', {
+                  groupId,
+                  defaultStartDate: masterDateTime.toISOString()
+                });
+              }}
+            >
+              <Text style={styles.eventTypeIcon}>🔁</Text>
+              <View style={styles.eventTypeTextContainer}>
+                <Text style={styles.eventTypeTitle}>Custody Schedule</Text>
+                <Text style={styles.eventTypeDescription}>
+                  2-2-3, week on/week off and other rotations
+                </Text>
+              </View>
+            </TouchableOpacity>
             <TouchableOpacity
               style={[styles.cancelButton, { marginTop: 20 }]}
               onPress={() => setShowEventTypeModal(false)}
@@ -2209,7 +2243,7 @@ export default function CalendarScreen({ navigation, route }) {
 
                   return (
                     <TouchableOpacity
-                      key={event.eventId}
+                      key={event.occurrenceId}
                       style={styles.dayEventItem}
                       onPress={() => {
                         setShowDayEventsModal(false);
@@ -2217,11 +2251,13 @@ export default function CalendarScreen({ navigation, route }) {
                           navigation.navigate('EditChildEvent', {
                             groupId: groupId,
                             eventId: event.eventId,
+                            occurrenceId: event.isOccurrence ? event.occurrenceId : undefined,
                           });
                         } else {
                           navigation.navigate('EditEvent', {
                             groupId: groupId,
                             eventId: event.eventId,
+                            occurrenceId: event.isOccurrence ? event.occurrenceId : undefined,
                           });
                         }
                       }}
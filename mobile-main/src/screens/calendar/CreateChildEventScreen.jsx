@@ -167,7 +167,7 @@ export default function CreateChildEventScreen({ navigation, route }) {
         endResponsibleOtherColor: hasHandoff && handoffType === 'other' ? handoffOtherColor : (hasHandoff ? null : (responsibleType === 'other' ? responsibleOtherColor : null)),
       }));
 
-      const response = await API.post(`/groups/${groupId}/calendar/responsibility-events`, {
+      await submitEvent({
         title,
         notes,
         startTime: startDate.toISOString(),
@@ -177,19 +177,59 @@ export default function CreateChildEventScreen({ navigation, route }) {
         recurrenceEndDate: recurrenceEndDate ? recurrenceEndDate.toISOString() : null,
         responsibilityEvents,
         notificationMinutes,
-      });
-
-      if (response.data.success) {
-        CustomAlert.alert('Success', 'Child responsibility event created', [
-          { text: 'OK', onPress: () => navigation.goBack() },
-        ]);
-      }
+      }, true);
     } catch (error) {
       console.error('Error creating event:', error);
       CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create event');
     }
   };
 
+  /**
+   * Create the event. The first attempt asks the backend to check for clashes
+   * with existing responsibility events (including future occurrences of
+   * recurring ones) and lists them for confirmation before anything is saved.
+   */
+  const submitEvent = async (eventData, checkOverlaps) => {
+    const response = await API.post(`/groups/${groupId}/calendar/responsibility-events`, {
+      ...eventData,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      checkOverlaps,
+    });
+
+    if (response.data.requiresConfirmation) {
+      CustomAlert.alert(
+        'Overlapping Responsibility Events',
+        response.data.overlapInfo.warningMessage,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Create Anyway',
+            onPress: () => submitEvent(eventData, false).catch((error) => {
+              console.error('Error creating event:', error);
+              CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create event');
+            }),
+          },
+        ]
+      );
+      return;
+    }
+
+    if (response.data.requiresApproval) {
+      CustomAlert.alert(
+        'Approval Required',
+        'The responsibility event has been sent to the group admins for approval. It will appear on the calendar once approved.',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+      return;
+    }
+
+    if (response.data.success) {
+      CustomAlert.alert('Success', 'Child responsibility event created', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    }
+  };
+
   const generateIconLetters = (name) => {
     if (!name) return '?';
     const words = name.trim().split(' ');
@@ -186,10 +186,20 @@ export default function CreateEventScreen({ navigation, route }) {
         allDay: false,
         isRecurring: isRecurring,
         recurrenceRule: recurrenceRule,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, // Repeats keep their local time across daylight saving
         attendeeIds: selectedMemberIds, // Array of groupMemberIds
         notificationMinutes: notificationMinutes, // Minutes before event to send notification
       });
 
+      if (response.data.requiresApproval) {
+        CustomAlert.alert(
+          'Approval Required',
+          'The event has been sent to the group admins for approval. It will appear on the calendar once approved.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
       if (response.data.success) {
         CustomAlert.alert('Success', 'Event created successfully', [
           {
@@ -0,0 +1,536 @@
+/**
+ * Custody Schedule Wizard Screen
+ *
+ * Step-by-step setup of a standard custody rotation (2-2-3, week on/week off,
+ * 2-2-5-5, alternating weekends). The backend generates every recurring child
+ * responsibility event for the rotation in one go.
+ * Steps: pattern -> children -> parents -> first handover -> review.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
+import { CustomAlert } from '../../components/CustomAlert';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+import API from '../../services/api';
+import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+
+const STEPS = ['Pattern', 'Children', 'Parents', 'Handover', 'Review'];
+
+export default function CustodyScheduleWizardScreen({ navigation, route }) {
+  const { groupId, defaultStartDate } = route.params;
+
+  const [step, setStep] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Options loaded from the backend
+  const [templates, setTemplates] = useState([]);
+  const [children, setChildren] = useState([]);
+  const [adults, setAdults] = useState([]);
+
+  // Wizard selections
+  const [pattern, setPattern] = useState(null);
+  const [selectedChildren, setSelectedChildren] = useState([]);
+  const [firstParentId, setFirstParentId] = useState(null);
+  const [secondParentId, setSecondParentId] = useState(null);
+  const [startDate, setStartDate] = useState(defaultStartDate ? new Date(defaultStartDate) : new Date());
+  const [endDate, setEndDate] = useState(null);
+
+  // Modal states
+  const [showStartDatePicker, setShowStartDatePicker] = useState(false);
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+
+  useEffect(() => {
+    loadOptions();
+  }, []);
+
+  const loadOptions = async () => {
+    try {
+      const [templatesResponse, groupResponse] = await Promise.all([
+        API.get(`/groups/${groupId}/calendar/custody-templates`),
+        API.get(`/groups/${groupId}`),
+      ]);
+
+      setTemplates(templatesResponse.data.templates || []);
+
+      const allMembers = groupResponse.data.group?.members || [];
+      setChildren(allMembers.filter(m => m.role === 'child'));
+      setAdults(allMembers.filter(m =>
+        m.role === 'admin' || m.role === 'parent' || m.role === 'adult' || m.role === 'caregiver'
+      ));
+    } catch (error) {
+      console.error('Error loading custody wizard options:', error);
+      CustomAlert.alert('Error', 'Failed to load custody templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedTemplate = templates.find(t => t.pattern === pattern);
+
+  const getMemberName = (groupMemberId) => {
+    const member = adults.find(a => a.groupMemberId === groupMemberId)
+      || children.find(c => c.groupMemberId === groupMemberId);
+    return member ? member.displayName : 'None selected';
+  };
+
+  const toggleChildSelection = (childId) => {
+    if (selectedChildren.includes(childId)) {
+      setSelectedChildren(selectedChildren.filter(id => id !== childId));
+    } else {
+      setSelectedChildren([...selectedChildren, childId]);
+    }
+  };
+
+  /**
+   * Validate the current step before moving on
+   */
+  const canContinue = () => {
+    switch (step) {
+      case 0: return !!pattern;
+      case 1: return selectedChildren.length > 0;
+      case 2: return !!firstParentId && !!secondParentId && firstParentId !== secondParentId;
+      case 3: return !endDate || endDate > startDate;
+      default: return true;
+    }
+  };
+
+  const handleNext = () => {
+    if (!canContinue()) {
+      const messages = [
+        'Please choose a custody pattern',
+        'Please select at least one child',
+        'Please choose two different parents',
+        'The schedule end date must be after the first handover',
+      ];
+      CustomAlert.alert('Error', messages[step]);
+      return;
+    }
+    setStep(step + 1);
+  };
+
+  /**
+   * Create the schedule. The first attempt asks the backend for clashes with
+   * existing responsibility events and lists them for confirmation first.
+   */
+  const submitSchedule = async (checkOverlaps) => {
+    setSubmitting(true);
+    try {
+      const response = await API.post(`/groups/${groupId}/calendar/custody-schedules`, {
+        pattern,
+        childIds: selectedChildren,
+        parentMemberIds: [firstParentId, secondParentId],
+        startTime: startDate.toISOString(),
+        recurrenceEndDate: endDate ? endDate.toISOString() : null,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone, // Handovers keep their local time across daylight saving
+        checkOverlaps,
+      });
+
+      if (response.data.requiresConfirmation) {
+        CustomAlert.alert(
+          'Overlapping Responsibility Events',
+          response.data.overlapInfo.warningMessage,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Create Anyway', onPress: () => submitSchedule(false) },
+          ]
+        );
+        return;
+      }
+
+      if (response.data.requiresApproval) {
+        CustomAlert.alert(
+          'Approval Required',
+          'The custody schedule has been sent to the group admins for approval. It will appear on the calendar once approved.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
+      if (response.data.success) {
+        CustomAlert.alert('Success', 'Custody schedule created', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      }
+    } catch (error) {
+      console.error('Error creating custody schedule:', error);
+      CustomAlert.alert('Error', error.response?.data?.message || 'Failed to create custody schedule');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Describe each block of the rotation, e.g. "Days 1-2: Alex"
+   */
+  const describeBlocks = () => {
+    if (!selectedTemplate) return [];
+    const parentNames = [getMemberName(firstParentId), getMemberName(secondParentId)];
+    let day = 1;
+    return selectedTemplate.blocks.map((block) => {
+      const label = block.days === 1
+        ? `Day ${day}: ${parentNames[block.parentIndex]}`
+        : `Days ${day}-${day + block.days - 1}: ${parentNames[block.parentIndex]}`;
+      day += block.days;
+      return label;
+    });
+  };
+
+  const renderPatternStep = () => (
+    <View style={styles.section}>
+      <Text style={styles.label}>Custody Pattern</Text>
+      {templates.map(template => (
+        <TouchableOpacity
+          key={template.pattern}
+          style={[styles.optionCard, pattern === template.pattern && styles.optionCardActive]}
+          onPress={() => setPattern(template.pattern)}
+        >
+          <Text style={[styles.optionTitle, pattern === template.pattern && styles.optionTitleActive]}>
+            {template.name}
+          </Text>
+          <Text style={styles.optionDescription}>{template.description}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderChildrenStep = () => (
+    <View style={styles.section}>
+      <Text style={styles.label}>Children *</Text>
+      {children.length === 0 && (
+        <Text style={styles.helpText}>There are no children in this group yet.</Text>
+      )}
+      {children.map(child => (
+        <TouchableOpacity
+          key={child.groupMemberId}
+          style={styles.checkboxItem}
+          onPress={() => toggleChildSelection(child.groupMemberId)}
+        >
+          <View style={[styles.checkbox, selectedChildren.includes(child.groupMemberId) && styles.checkboxChecked]}>
+            {selectedChildren.includes(child.groupMemberId) && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+          <Text style={styles.checkboxLabel}>{child.displayName}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderParentList = (selectedId, onSelect, excludeId) => (
+    adults.filter(adult => adult.groupMemberId !== excludeId).map(adult => (
+      <TouchableOpacity
+        key={adult.groupMemberId}
+        style={[styles.pickerOption, selectedId === adult.groupMemberId && styles.pickerOptionActive]}
+        onPress={() => onSelect(adult.groupMemberId)}
+      >
+        <Text style={[styles.pickerOptionText, selectedId === adult.groupMemberId && styles.pickerOptionTextActive]}>
+          {adult.displayName} ({adult.role}){selectedId === adult.groupMemberId && ' ✓'}
+        </Text>
+      </TouchableOpacity>
+    ))
+  );
+
+  const renderParentsStep = () => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.label}>First Parent *</Text>
+        <Text style={styles.helpText}>Has the children from the first handover.</Text>
+        {renderParentList(firstParentId, setFirstParentId, secondParentId)}
+      </View>
+      <View style={styles.section}>
+        <Text style={styles.label}>Second Parent *</Text>
+        {renderParentList(secondParentId, setSecondParentId, firstParentId)}
+      </View>
+    </>
+  );
+
+  const renderHandoverStep = () => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.label}>First Handover</Text>
+        <Text style={styles.helpText}>
+          Start date and handover time. Every later handover happens at the same time of day.
+          {pattern === 'alternating-weekends' ? ' For alternating weekends, pick the Friday the first weekend starts.' : ''}
+        </Text>
+        <TouchableOpacity style={styles.picker} onPress={() => setShowStartDatePicker(true)}>
+          <Text style={styles.pickerText}>{formatDateByType(startDate, 1)}</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.section}>
+        <Text style={styles.label}>Schedule Ends (Optional)</Text>
+        <TouchableOpacity style={styles.picker} onPress={() => setShowEndDatePicker(true)}>
+          <Text style={styles.pickerText}>
+            {endDate ? formatDateByType(endDate, 3) : 'Never'}
+          </Text>
+        </TouchableOpacity>
+        {endDate && (
+          <TouchableOpacity onPress={() => setEndDate(null)}>
+            <Text style={styles.linkText}>Clear end date</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </>
+  );
+
+  const renderReviewStep = () => (
+    <View style={styles.section}>
+      <Text style={styles.label}>Review</Text>
+      <View style={styles.reviewCard}>
+        <Text style={styles.reviewRow}>Pattern: {selectedTemplate?.name}</Text>
+        <Text style={styles.reviewRow}>
+          Children: {selectedChildren.map(getMemberName).join(', ')}
+        </Text>
+        <Text style={styles.reviewRow}>First handover: {formatDateByType(startDate, 1)}</Text>
+        <Text style={styles.reviewRow}>Ends: {endDate ? formatDateByType(endDate, 3) : 'Never'}</Text>
+      </View>
+      <Text style={[styles.label, { marginTop: 16 }]}>
+        Every {selectedTemplate ? selectedTemplate.cycleDays / 7 : 2} weeks
+      </Text>
+      {describeBlocks().map(line => (
+        <Text key={line} style={styles.blockRow}>{line}</Text>
+      ))}
+    </View>
+  );
+
+  const renderStep = () => {
+    switch (step) {
+      case 0: return renderPatternStep();
+      case 1: return renderChildrenStep();
+      case 2: return renderParentsStep();
+      case 3: return renderHandoverStep();
+      default: return renderReviewStep();
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <CustomNavigationHeader title="Custody Schedule" onBack={() => navigation.goBack()} />
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#6200ee" />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CustomNavigationHeader
+        title="Custody Schedule"
+        onBack={() => (step > 0 ? setStep(step - 1) : navigation.goBack())}
+      />
+
+      <View style={styles.stepIndicator}>
+        {STEPS.map((name, index) => (
+          <Text key={name} style={[styles.stepText, index === step && styles.stepTextActive]}>
+            {index + 1}. {name}
+          </Text>
+        ))}
+      </View>
+
+      <ScrollView style={styles.scrollView}>
+        {renderStep()}
+
+        {step < STEPS.length - 1 ? (
+          <TouchableOpacity style={styles.createButton} onPress={handleNext}>
+            <Text style={styles.createButtonText}>Next</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.createButton, submitting && styles.createButtonDisabled]}
+            onPress={() => submitSchedule(true)}
+            disabled={submitting}
+          >
+            <Text style={styles.createButtonText}>
+              {submitting ? 'Creating...' : 'Create Schedule'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      <DateTimeSelector
+        value={startDate}
+        onChange={setStartDate}
+        format={1}
+        visible={showStartDatePicker}
+        onClose={() => setShowStartDatePicker(false)}
+        title="First Handover"
+      />
+
+      <DateTimeSelector
+        value={endDate || startDate}
+        onChange={setEndDate}
+        format={3}
+        visible={showEndDatePicker}
+        onClose={() => setShowEndDatePicker(false)}
+        title="Schedule Ends"
+        minimumDate={startDate}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+    padding: 16,
+  },
+  stepIndicator: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-around',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  stepText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  stepTextActive: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  section: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#6200ee',
+    marginTop: 8,
+  },
+  optionCard: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 10,
+    backgroundColor: '#fafafa',
+  },
+  optionCardActive: {
+    borderColor: '#6200ee',
+    backgroundColor: '#f3e5f5',
+  },
+  optionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  optionTitleActive: {
+    color: '#6200ee',
+  },
+  optionDescription: {
+    fontSize: 14,
+    color: '#666',
+  },
+  picker: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    backgroundColor: '#fafafa',
+  },
+  pickerText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  pickerOption: {
+    padding: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  pickerOptionActive: {
+    backgroundColor: '#f3e5f5',
+  },
+  pickerOptionText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  pickerOptionTextActive: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  checkboxItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderWidth: 2,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    marginRight: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#6200ee',
+    borderColor: '#6200ee',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  checkboxLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  reviewCard: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    backgroundColor: '#fafafa',
+  },
+  reviewRow: {
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 6,
+  },
+  blockRow: {
+    fontSize: 15,
+    color: '#555',
+    paddingVertical: 4,
+  },
+  createButton: {
+    backgroundColor: '#6200ee',
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 40,
+  },
+  createButtonDisabled: {
+    backgroundColor: '#b39ddb',
+  },
+  createButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
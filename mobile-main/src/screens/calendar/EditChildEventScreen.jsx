@@ -22,7 +22,7 @@ const PREDEFINED_COLORS = [
 ];
 
 export default function EditChildEventScreen({ route, navigation }) {
-  const { groupId, eventId } = route.params;
+  const { groupId, eventId, occurrenceId } = route.params;
 
   const [loading, setLoading] = useState(true);
   const [title, setTitle] = useState('');
@@ -34,6 +34,10 @@ export default function EditChildEventScreen({ route, navigation }) {
   const [recurrenceEndDate, setRecurrenceEndDate] = useState(null);
   const [isForever, setIsForever] = useState(true);
 
+  // Set when editing one occurrence of a recurring series (asks which occurrences to change)
+  const [isSeriesOccurrence, setIsSeriesOccurrence] = useState(false);
+  const [isOverride, setIsOverride] = useState(false);
+
   // Notification
   const [notificationMinutes, setNotificationMinutes] = useState(15);
   const [showNotificationModal, setShowNotificationModal] = useState(false);
@@ -56,7 +60,8 @@ export default function EditChildEventScreen({ route, navigation }) {
 
   const fetchEvent = async () => {
     try {
-      const response = await API.get(`/groups/${groupId}/calendar/events/${eventId}`);
+      const query = occurrenceId ? `?occurrenceId=${encodeURIComponent(occurrenceId)}` : '';
+      const response = await API.get(`/groups/${groupId}/calendar/events/${eventId}${query}`);
       const event = response.data.event;
 
       setTitle(event.title || '');
@@ -65,6 +70,8 @@ export default function EditChildEventScreen({ route, navigation }) {
       setEndDate(new Date(event.endTime));
       setIsRecurring(event.isRecurring || false);
       setRecurrenceRule(event.recurrencePattern || 'FREQ=DAILY');
+      setIsSeriesOccurrence(!!event.isOccurrence);
+      setIsOverride(!!event.parentEventId);
 
       if (event.recurrenceEndDate) {
         setRecurrenceEndDate(new Date(event.recurrenceEndDate));
@@ -102,7 +109,7 @@ export default function EditChildEventScreen({ route, navigation }) {
     }
   };
 
-  const handleUpdate = async () => {
+  const handleUpdate = () => {
     if (!title.trim()) {
       CustomAlert.alert('Validation Error', 'Please enter a title');
       return;
@@ -113,18 +120,69 @@ export default function EditChildEventScreen({ route, navigation }) {
       return;
     }
 
+    if (isSeriesOccurrence) {
+      // Show options for recurring events
+      CustomAlert.alert(
+        'Edit Recurring Event',
+        'Apply changes to:',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'This Event Only', onPress: () => saveUpdate('this') },
+          { text: 'This and Future Events', onPress: () => saveUpdate('following') },
+          { text: 'All Events in Series', onPress: () => saveUpdate('all') },
+        ],
+        { cancelable: true }
+      );
+    } else {
+      saveUpdate('all');
+    }
+  };
+
+  const saveUpdate = async (scope, checkOverlaps = true) => {
+    // A single occurrence keeps the series' repeat settings, and so does a
+    // series edited from one of its overridden instances
+    const includeRecurrence = scope !== 'this' && !isOverride;
+
     try {
-      await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
+      // The first attempt asks the backend to list clashes with other
+      // responsibility events (including future recurring ones) before saving
+      const response = await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
         title: title.trim(),
         description: notes.trim() || null, // Backend expects 'description' which maps to 'notes'
         startTime: startDate.toISOString(),
         endTime: endDate.toISOString(),
-        isRecurring,
-        recurrenceRule: isRecurring ? recurrenceRule : null,
-        recurrenceEndDate: isRecurring && !isForever && recurrenceEndDate ? recurrenceEndDate.toISOString() : null,
+        ...(includeRecurrence && {
+          isRecurring,
+          recurrenceRule: isRecurring ? recurrenceRule : null,
+          recurrenceEndDate: isRecurring && !isForever && recurrenceEndDate ? recurrenceEndDate.toISOString() : null,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
         notificationMinutes,
+        ...(isSeriesOccurrence && { scope, occurrenceId }),
+        checkOverlaps,
       });
 
+      if (response.data.requiresConfirmation) {
+        CustomAlert.alert(
+          'Overlapping Responsibility Events',
+          response.data.overlapInfo.warningMessage,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Save Anyway', onPress: () => saveUpdate(scope, false) },
+          ]
+        );
+        return;
+      }
+
+      if (response.data.requiresApproval) {
+        CustomAlert.alert(
+          'Approval Required',
+          'The change has been sent to the group admins for approval. The event will be updated once approved.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
       CustomAlert.alert('Success', 'Event updated successfully', [
         { text: 'OK', onPress: () => navigation.goBack() }
       ]);
@@ -135,7 +193,7 @@ export default function EditChildEventScreen({ route, navigation }) {
   };
 
   const handleDelete = () => {
-    if (isRecurring) {
+    if (isSeriesOccurrence) {
       // Show options for recurring events
       CustomAlert.alert(
         'Delete Recurring Event',
@@ -147,15 +205,15 @@ export default function EditChildEventScreen({ route, navigation }) {
           },
           {
             text: 'Delete This Event Only',
-            onPress: () => confirmDelete(false, false),
+            onPress: () => confirmDelete('this'),
           },
           {
             text: 'Delete This and Future Events',
-            onPress: () => confirmDelete(false, true),
+            onPress: () => confirmDelete('following'),
           },
           {
             text: 'Delete Entire Series',
-            onPress: () => confirmDelete(true, false),
+            onPress: () => confirmDelete('all'),
             style: 'destructive',
           },
         ],
@@ -168,19 +226,17 @@ export default function EditChildEventScreen({ route, navigation }) {
         'Are you sure you want to delete this event?',
         [
           { text: 'Cancel', style: 'cancel' },
-          { text: 'Delete', onPress: () => confirmDelete(false, false), style: 'destructive' },
+          { text: 'Delete', onPress: () => confirmDelete('all'), style: 'destructive' },
         ]
       );
     }
   };
 
-  const confirmDelete = async (deleteSeries, fromDate) => {
+  const confirmDelete = async (scope) => {
     try {
-      const params = new URLSearchParams();
-      if (deleteSeries) {
-        params.append('deleteSeries', 'true');
-      } else if (fromDate) {
-        params.append('fromDate', startDate.toISOString());
+      const params = new URLSearchParams({ scope });
+      if (isSeriesOccurrence && occurrenceId) {
+        params.append('occurrenceId', occurrenceId);
       }
 
       await API.delete(`/groups/${groupId}/calendar/events/${eventId}?${params.toString()}`);
@@ -16,11 +16,11 @@ import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSel
  *
  * @param {Object} props
  * @param {Object} props.navigation - React Navigation object
- * @param {Object} props.route - Route params including groupId, eventId
+ * @param {Object} props.route - Route params including groupId, eventId (and occurrenceId for one occurrence of a series)
  * @returns {JSX.Element}
  */
 export default function EditEventScreen({ navigation, route }) {
-  const { groupId, eventId } = route.params;
+  const { groupId, eventId, occurrenceId } = route.params;
 
   // Initialize dates - will be loaded from API
   const initialStartDate = new Date();
@@ -69,7 +69,8 @@ export default function EditEventScreen({ navigation, route }) {
   const fetchEventData = async () => {
     try {
       setEventLoading(true);
-      const response = await API.get(`/groups/${groupId}/calendar/events/${eventId}`);
+      const query = occurrenceId ? `?occurrenceId=${encodeURIComponent(occurrenceId)}` : '';
+      const response = await API.get(`/groups/${groupId}/calendar/events/${eventId}${query}`);
       if (response.data.success) {
         const event = response.data.event;
         setEventData(event);
@@ -209,10 +210,31 @@ export default function EditEventScreen({ navigation, route }) {
     }
   };
 
+  // Editing one occurrence of a recurring series (asks which occurrences to change)
+  const isSeriesOccurrence = !!eventData?.isOccurrence;
+
+  /**
+   * Ask which occurrences of a recurring series an edit/delete applies to
+   * @param {string} title - Dialog title
+   * @param {Function} onChoose - Called with 'this', 'following' or 'all'
+   */
+  const chooseRecurrenceScope = (title, onChoose) => {
+    CustomAlert.alert(
+      title,
+      'This is a recurring event. Which events should change?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'This Event Only', onPress: () => onChoose('this') },
+        { text: 'This and Following Events', onPress: () => onChoose('following') },
+        { text: 'All Events in Series', onPress: () => onChoose('all') },
+      ]
+    );
+  };
+
   /**
    * Handle form submission (UPDATE event)
    */
-  const handleSubmit = async () => {
+  const handleSubmit = () => {
     // Validation
     if (!title.trim()) {
       CustomAlert.alert('Validation Error', 'Please enter an event title');
@@ -224,6 +246,18 @@ export default function EditEventScreen({ navigation, route }) {
       return;
     }
 
+    if (isSeriesOccurrence) {
+      chooseRecurrenceScope('Edit Recurring Event', saveEvent);
+    } else {
+      saveEvent('all');
+    }
+  };
+
+  /**
+   * Save the event
+   * @param {string} scope - 'this', 'following' or 'all' occurrences of a recurring series
+   */
+  const saveEvent = async (scope) => {
     setLoading(true);
 
     try {
@@ -250,6 +284,10 @@ export default function EditEventScreen({ navigation, route }) {
         // If no end date, it repeats forever (no UNTIL clause)
       }
 
+      // A single occurrence keeps the series' repeat settings, and so does a
+      // series edited from one of its overridden instances
+      const includeRecurrence = scope !== 'this' && !eventData?.parentEventId;
+
       // Call backend API to UPDATE event
       const response = await API.put(`/groups/${groupId}/calendar/events/${eventId}`, {
         title: title.trim(),
@@ -257,12 +295,25 @@ export default function EditEventScreen({ navigation, route }) {
         startTime: startDate.toISOString(),
         endTime: endDate.toISOString(),
         allDay: false,
-        isRecurring: isRecurring,
-        recurrenceRule: recurrenceRule,
+        ...(includeRecurrence && {
+          isRecurring: isRecurring,
+          recurrenceRule: recurrenceRule,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
         attendeeIds: selectedMemberIds, // Array of groupMemberIds
         notificationMinutes: notificationMinutes, // Minutes before event to send notification
+        ...(isSeriesOccurrence && { scope, occurrenceId: eventData.occurrenceId }),
       });
 
+      if (response.data.requiresApproval) {
+        CustomAlert.alert(
+          'Approval Required',
+          'The change has been sent to the group admins for approval. The event will be updated once approved.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+        return;
+      }
+
       if (response.data.success) {
         CustomAlert.alert('Success', 'Event updated successfully', [
           {
@@ -285,7 +336,12 @@ export default function EditEventScreen({ navigation, route }) {
   /**
    * Handle delete event
    */
-  const handleDelete = async () => {
+  const handleDelete = () => {
+    if (isSeriesOccurrence) {
+      chooseRecurrenceScope('Delete Recurring Event', deleteEvent);
+      return;
+    }
+
     CustomAlert.alert(
       'Delete Event',
       'Are you sure you want to delete this event?',
@@ -294,29 +350,39 @@ export default function EditEventScreen({ navigation, route }) {
         {
           text: 'Delete',
           style: 'destructive',
-          onPress: async () => {
-            try {
-              setLoading(true);
-              const response = await API.delete(`/groups/${groupId}/calendar/events/${eventId}`);
-              if (response.data.success) {
-                CustomAlert.alert('Success', 'Event deleted successfully', [
-                  { text: 'OK', onPress: () => navigation.goBack() },
-                ]);
-              } else {
-                CustomAlert.alert('Error', response.data.message || 'Failed to delete event');
-              }
-            } catch (error) {
-              console.error('Error deleting event:', error);
-              CustomAlert.alert('Error', 'Failed to delete event');
-            } finally {
-              setLoading(false);
-            }
-          },
+          onPress: () => deleteEvent('all'),
         },
       ]
     );
   };
 
+  /**
+   * Delete the event
+   * @param {string} scope - 'this', 'following' or 'all' occurrences of a recurring series
+   */
+  const deleteEvent = async (scope) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ scope });
+      if (isSeriesOccurrence) {
+        params.append('occurrenceId', eventData.occurrenceId);
+      }
+      const response = await API.delete(`/groups/${groupId}/calendar/events/${eventId}?${params.toString()}`);
+      if (response.data.success) {
+        CustomAlert.alert('Success', 'Event deleted successfully', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else {
+        CustomAlert.alert('Error', response.data.message || 'Failed to delete event');
+      }
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      CustomAlert.alert('Error', 'Failed to delete event');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Handle delete recurring series (all future events)
    */
@@ -540,7 +606,7 @@ export default function EditEventScreen({ navigation, route }) {
               <Text style={styles.deleteButtonText}>Delete This Event</Text>
             </TouchableOpacity>
 
-            {eventData?.isRecurring && (
+            {eventData?.isRecurring && !isSeriesOccurrence && (
               <TouchableOpacity
                 style={styles.deleteSeriesButton}
                 onPress={handleDeleteSeries}
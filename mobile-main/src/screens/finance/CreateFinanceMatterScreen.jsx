@@ -2,7 +2,8 @@
  * Create Finance Matter Screen
  *
  * Allows users to create a new finance matter for a group.
- * Includes name, description, total amount, currency, due date, and member allocations.
+ * Includes name, description, total amount, currency, due date, category,
+ * the children the expense was for, and member allocations.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -48,6 +49,12 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
   const [memberAllocations, setMemberAllocations] = useState({});
   const [memberPaidAmounts, setMemberPaidAmounts] = useState({}); // Track amount already paid by each member
 
+  // Category and children state
+  const [categories, setCategories] = useState([]);
+  const [categoryId, setCategoryId] = useState(null);
+  const [children, setChildren] = useState([]);
+  const [selectedChildIds, setSelectedChildIds] = useState([]);
+
   // UI state
   const [loading, setLoading] = useState(false);
   const [loadingMembers, setLoadingMembers] = useState(true);
@@ -56,6 +63,7 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
   useEffect(() => {
     loadGroupMembers();
     loadDefaultCurrency();
+    loadCategories();
   }, [groupId]);
 
   /**
@@ -82,6 +90,7 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
       });
 
       setMembers(membersWithFinanceAccess);
+      setChildren(allMembers.filter(member => member.role === 'child'));
     } catch (err) {
       console.error('Load group members error:', err);
 
@@ -111,6 +120,30 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Load the group's expense categories
+   */
+  const loadCategories = async () => {
+    try {
+      const response = await api.get(`/groups/${groupId}/finance/categories`);
+      setCategories(response.data.categories || []);
+    } catch (err) {
+      console.error('Load finance categories error:', err);
+      // Non-blocking - the matter can be left uncategorized
+    }
+  };
+
+  /**
+   * Toggle whether the expense was for a child
+   */
+  const toggleChildSelection = (child) => {
+    setSelectedChildIds(prev => (
+      prev.includes(child.groupMemberId)
+        ? prev.filter(id => id !== child.groupMemberId)
+        : [...prev, child.groupMemberId]
+    ));
+  };
+
   /**
    * Toggle member selection
    */
@@ -291,6 +324,8 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
         currency,
         dueDate: dueDate ? dueDate.toISOString() : null,
         members: membersData,
+        categoryId,
+        childIds: selectedChildIds,
       };
 
       await api.post(`/groups/${groupId}/finance-matters`, payload);
@@ -422,6 +457,63 @@ export default function CreateFinanceMatterScreen({ navigation, route }) {
         </Card.Content>
       </Card>
 
+      {/* Category and Children Card */}
+      {(categories.length > 0 || children.length > 0) && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Category (Optional)</Title>
+            <Text style={styles.helperText}>Counts towards the group's spending summary and budgets</Text>
+            <Divider style={styles.divider} />
+
+            {categories.length > 0 && (
+              <View style={styles.chipsContainer}>
+                {categories.map(category => {
+                  const isSelected = categoryId === category.categoryId;
+                  return (
+                    <Chip
+                      key={category.categoryId}
+                      onPress={() => setCategoryId(isSelected ? null : category.categoryId)}
+                      style={[
+                        styles.chip,
+                        isSelected && styles.chipSelected
+                      ]}
+                      textStyle={isSelected && styles.chipTextSelected}
+                    >
+                      {category.name}
+                    </Chip>
+                  );
+                })}
+              </View>
+            )}
+
+            {children.length > 0 && (
+              <>
+                <Text style={[styles.helperText, styles.childrenHelperText]}>Which children was this for?</Text>
+                <View style={styles.chipsContainer}>
+                  {children.map(child => {
+                    const isSelected = selectedChildIds.includes(child.groupMemberId);
+                    return (
+                      <Chip
+                        key={child.groupMemberId}
+                        icon="account-child"
+                        onPress={() => toggleChildSelection(child)}
+                        style={[
+                          styles.chip,
+                          isSelected && styles.chipSelected
+                        ]}
+                        textStyle={isSelected && styles.chipTextSelected}
+                      >
+                        {child.displayName || child.email}
+                      </Chip>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Members Selection Card */}
       <Card style={styles.card}>
         <Card.Content>
@@ -588,6 +680,9 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 8,
   },
+  childrenHelperText: {
+    marginTop: 12,
+  },
   divider: {
     marginVertical: 12,
   },
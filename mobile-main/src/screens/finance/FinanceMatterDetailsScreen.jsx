@@ -3,8 +3,8 @@
  *
  * Shows detailed information about a finance matter including:
  * - Finance matter details (name, description, total, currency, due date)
- * - Member allocations (expected vs paid)
- * - Reimbursement calculations (who owes whom)
+ * - Member allocations (expected vs paid, outstanding share)
+ * - Who owes whom (calculated by the backend from confirmed payments)
  * - Payment recording
  * - Settlement status
  */
@@ -49,6 +49,8 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   const [userRole, setUserRole] = useState(null);
   const [currentUserGroupMemberId, setCurrentUserGroupMemberId] = useState(null);
   const [pendingPayments, setPendingPayments] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [settlements, setSettlements] = useState([]);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [sendingMessage, setSendingMessage] = useState(false);
@@ -79,6 +81,8 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
       setUserRole(response.data.userRole);
       setCurrentUserGroupMemberId(response.data.currentGroupMemberId);
       setPendingPayments(response.data.pendingPayments || []);
+      setBalances(response.data.balances || []);
+      setSettlements(response.data.settlements || []);
     } catch (err) {
       console.error('Load finance matter error:', err);
 
@@ -94,53 +98,23 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   };
 
   /**
-   * Calculate reimbursements (who owes whom)
+   * Get reimbursements (who owes whom) with member details
+   * A reimbursement without a recipient is still owed towards the matter itself
    */
-  const calculateReimbursements = () => {
+  const getReimbursements = () => {
     if (!financeMatter?.members) return [];
 
-    const reimbursements = [];
-    const balances = [];
-
-    // Calculate each member's balance (paid - expected)
-    financeMatter.members.forEach(member => {
-      const paid = parseFloat(member.paidAmount || 0);
-      const expected = parseFloat(member.expectedAmount || 0);
-      const balance = paid - expected;
-
-      if (Math.abs(balance) > 0.01) { // Ignore tiny rounding differences
-        balances.push({
-          member: member.groupMember,
-          balance: balance,
-        });
-      }
-    });
-
-    // Sort: creditors (positive balance) and debtors (negative balance)
-    const creditors = balances.filter(b => b.balance > 0).sort((a, b) => b.balance - a.balance);
-    const debtors = balances.filter(b => b.balance < 0).sort((a, b) => a.balance - b.balance);
-
-    // Match creditors with debtors
-    let i = 0, j = 0;
-    while (i < creditors.length && j < debtors.length) {
-      const creditor = creditors[i];
-      const debtor = debtors[j];
-      const amount = Math.min(creditor.balance, Math.abs(debtor.balance));
-
-      reimbursements.push({
-        from: debtor.member,
-        to: creditor.member,
-        amount: amount.toFixed(2),
-      });
-
-      creditor.balance -= amount;
-      debtor.balance += amount;
-
-      if (creditor.balance < 0.01) i++;
-      if (Math.abs(debtor.balance) < 0.01) j++;
-    }
-
-    return reimbursements;
+    const findMember = (groupMemberId) => financeMatter.members.find(
+      m => m.groupMemberId === groupMemberId
+    )?.groupMember;
+
+    return settlements
+      .map(settlement => ({
+        from: findMember(settlement.fromMemberId),
+        to: settlement.toMemberId ? findMember(settlement.toMemberId) : null,
+        amount: settlement.amount.toFixed(2),
+      }))
+      .filter(reimb => reimb.from);
   };
 
   /**
@@ -217,7 +191,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   /**
    * Handle record payment - opens the dialog
    * @param {Object} member - The member object from financeMatter.members
-   * @param {Object} recipient - The recipient from reimbursements (who they owe to)
+   * @param {Object} recipient - The recipient from reimbursements (who they owe to), or null for the matter itself
    * @param {string} reimbursementAmount - The specific amount owed to this recipient
    */
   const handleRecordPayment = (member = null, recipient = null, reimbursementAmount = null) => {
@@ -241,11 +215,6 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
       return;
     }
 
-    if (!selectedMember.recipient) {
-      CustomAlert.alert('Error', 'Payment recipient not found');
-      return;
-    }
-
     // Validate against the specific reimbursement amount
     const maxAmount = parseFloat(selectedMember.reimbursementAmount || 0);
     if (amount > maxAmount + 0.01) { // Allow small rounding error
@@ -258,10 +227,15 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
       await api.put(`/groups/${groupId}/finance-matters/${financeMatterId}/record-payment`, {
         groupMemberId: selectedMember.groupMember.groupMemberId,
         amount: amount,
-        toMemberId: selectedMember.recipient.groupMemberId,
+        toMemberId: selectedMember.recipient?.groupMemberId || null,
       });
 
-      CustomAlert.alert('Success', `Payment of ${amount.toFixed(2)} reported to ${selectedMember.recipient.displayName}. Awaiting confirmation.`);
+      CustomAlert.alert(
+        'Success',
+        selectedMember.recipient
+          ? `Payment of ${amount.toFixed(2)} reported to ${selectedMember.recipient.displayName}. Awaiting confirmation.`
+          : `Payment of ${amount.toFixed(2)} towards ${financeMatter.name} reported. Awaiting confirmation.`
+      );
       setShowPaymentDialog(false);
       setSelectedMember(null);
       setPaymentAmount('');
@@ -280,15 +254,17 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   const handleConfirmPayment = (payment) => {
     CustomAlert.alert(
       'Confirm Payment',
-      `Confirm that you received ${financeMatter.currency} ${payment.amount.toFixed(2)} from ${payment.from.displayName}?`,
+      payment.to
+        ? `Confirm that you received ${financeMatter.currency} ${payment.amount.toFixed(2)} from ${payment.from.displayName}?`
+        : `Confirm that ${payment.from.displayName} paid ${financeMatter.currency} ${payment.amount.toFixed(2)} towards ${financeMatter.name}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Confirm',
           onPress: async () => {
             try {
-              await api.post(`/groups/${groupId}/finance-matters/${financeMatterId}/payments/${payment.paymentId}/confirm`);
-              CustomAlert.alert('Success', 'Payment confirmed');
+              const response = await api.post(`/groups/${groupId}/finance-matters/${financeMatterId}/payments/${payment.paymentId}/confirm`);
+              CustomAlert.alert('Success', response.data.message || 'Payment confirmed');
               loadFinanceMatter();
             } catch (err) {
               console.error('Confirm payment error:', err);
@@ -412,7 +388,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
   }
 
   const dueDate = formatDueDate(financeMatter.dueDate);
-  const reimbursements = calculateReimbursements();
+  const reimbursements = getReimbursements();
   const totalPaid = financeMatter.members?.reduce((sum, m) => sum + parseFloat(m.paidAmount || 0), 0) || 0;
   const totalExpected = parseFloat(financeMatter.totalAmount);
   const remaining = totalExpected - totalPaid;
@@ -571,6 +547,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
             const paid = parseFloat(member.paidAmount || 0);
             const balance = paid - expected;
             const percentage = parseFloat(member.expectedPercentage);
+            const memberBalance = balances.find(b => b.groupMemberId === member.groupMemberId);
 
             return (
               <View key={member.groupMemberId} style={styles.memberRow}>
@@ -601,6 +578,11 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                       {balance > 0 ? `+${balance.toFixed(2)}` : balance.toFixed(2)}
                     </Text>
                   )}
+                  {memberBalance?.pendingAmount > 0 && (
+                    <Text style={styles.pendingBalanceText}>
+                      {financeMatter.currency} {memberBalance.pendingAmount.toFixed(2)} pending
+                    </Text>
+                  )}
                 </View>
               </View>
             );
@@ -613,7 +595,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
         <Card style={styles.card}>
           <Card.Content>
             <Title style={styles.sectionTitle}>Who Owes Whom</Title>
-            <Text style={styles.helperText}>Simplified reimbursement plan</Text>
+            <Text style={styles.helperText}>Outstanding shares, based on confirmed payments</Text>
             <Divider style={styles.divider} />
 
             {reimbursements.map((reimb, index) => {
@@ -627,9 +609,11 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
               return (
                 <View key={index}>
                   <List.Item
-                    title={`${reimb.from.displayName || reimb.from.email} owes ${reimb.to.displayName || reimb.to.email}`}
+                    title={reimb.to
+                      ? `${reimb.from.displayName || reimb.from.email} owes ${reimb.to.displayName || reimb.to.email}`
+                      : `${reimb.from.displayName || reimb.from.email} still owes towards ${financeMatter.name}`}
                     description={`Amount: ${financeMatter.currency} ${reimb.amount}`}
-                    left={(props) => <List.Icon {...props} icon="arrow-right" color="#6200ee" />}
+                    left={(props) => <List.Icon {...props} icon={reimb.to ? 'arrow-right' : 'receipt'} color="#6200ee" />}
                     style={styles.reimbursementItem}
                   />
 
@@ -660,8 +644,12 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
             <Divider style={styles.divider} />
 
             {pendingPayments.map((payment) => {
-              const isRecipient = payment.to.groupMemberId === currentUserGroupMemberId;
+              // Payments towards the matter are confirmed by its creator or an admin,
+              // but never by the member who made them
               const isSender = payment.from.groupMemberId === currentUserGroupMemberId;
+              const isRecipient = !isSender && (payment.to
+                ? payment.to.groupMemberId === currentUserGroupMemberId
+                : isCreator || userRole === 'admin');
 
               return (
                 <View key={payment.paymentId} style={styles.pendingPaymentItem}>
@@ -674,7 +662,7 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                     />
                     <View style={styles.pendingPaymentText}>
                       <Text style={styles.pendingPaymentTitle}>
-                        {payment.from.displayName} → {payment.to.displayName}
+                        {payment.from.displayName} → {payment.to ? payment.to.displayName : financeMatter.name}
                       </Text>
                       <Text style={styles.pendingPaymentAmount}>
                         {financeMatter.currency} {payment.amount.toFixed(2)}
@@ -685,7 +673,8 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                     </View>
                   </View>
 
-                  {isRecipient && !financeMatter.isCanceled && (
+                  {/* Payments from a settlement are confirmed together with the settlement */}
+                  {isRecipient && !payment.settlementId && !financeMatter.isCanceled && (
                     <View style={styles.pendingPaymentActions}>
                       <Button
                         mode="contained"
@@ -708,7 +697,13 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                     </View>
                   )}
 
-                  {isSender && !isRecipient && (
+                  {payment.settlementId && (
+                    <Chip icon="swap-horizontal" style={styles.waitingChip}>
+                      Part of a settlement
+                    </Chip>
+                  )}
+
+                  {isSender && !isRecipient && !payment.settlementId && (
                     <Chip icon="clock-outline" style={styles.waitingChip}>
                       Waiting for confirmation
                     </Chip>
@@ -755,17 +750,20 @@ export default function FinanceMatterDetailsScreen({ navigation, route }) {
                 <Text style={styles.dialogText}>
                   To:{' '}
                   <Text style={styles.dialogMemberName}>
-                    {selectedMember.recipient?.displayName || selectedMember.recipient?.email}
+                    {selectedMember.recipient
+                      ? selectedMember.recipient.displayName || selectedMember.recipient.email
+                      : `${financeMatter.name} (e.g. paying the bill directly)`}
                   </Text>
                 </Text>
 
                 <Text style={styles.dialogText}>
-                  Expected: {financeMatter.currency}{' '}
-                  {parseFloat(selectedMember.reimbursementAmount || 0).toFixed(2)}
+                  Share: {financeMatter.currency}{' '}
+                  {parseFloat(selectedMember.expectedAmount || 0).toFixed(2)}
                 </Text>
 
                 <Text style={styles.dialogText}>
-                  Already paid: {financeMatter.currency} 0.00
+                  Already paid: {financeMatter.currency}{' '}
+                  {parseFloat(selectedMember.paidAmount || 0).toFixed(2)}
                 </Text>
 
                 <Text style={styles.dialogText}>
@@ -977,6 +975,11 @@ const styles = StyleSheet.create({
   debitText: {
     color: '#d32f2f',
   },
+  pendingBalanceText: {
+    fontSize: 11,
+    color: '#f57c00',
+    marginTop: 2,
+  },
   reimbursementItem: {
     paddingVertical: 4,
   },
@@ -13,6 +13,7 @@ import { CustomAlert } from '../../components/CustomAlert';
 import { Card, Text, Button, Avatar, Chip, Divider, List } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import api from '../../services/api';
+import realtimeService from '../../services/realtime.service';
 import { getContrastTextColor } from '../../utils/colorUtils';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 
@@ -45,6 +46,17 @@ export default function ApprovalsListScreen({ navigation, route }) {
     }, [groupId])
   );
 
+  // Reload when another admin votes, or an approval is requested or canceled
+  useFocusEffect(
+    React.useCallback(() => {
+      return realtimeService.on('approval.changed', (data) => {
+        if (data?.groupId === groupId) {
+          loadApprovals();
+        }
+      });
+    }, [groupId])
+  );
+
   /**
    * Load all approvals for the group
    */
@@ -158,6 +170,26 @@ export default function ApprovalsListScreen({ navigation, route }) {
     return date.toLocaleDateString();
   };
 
+  /**
+   * Describe when a pending approval expires, or how an expired one was resolved
+   */
+  const formatExpiry = (approval) => {
+    if (approval.resolvedOnExpiry) {
+      return `Expired - automatically ${approval.status}`;
+    }
+    if (approval.status !== 'pending' || !approval.expiresAt) {
+      return null;
+    }
+
+    const hoursLeft = Math.floor((new Date(approval.expiresAt) - new Date()) / 3600000);
+    // Approvals anyone voted against are always rejected on expiry
+    const outcome = approval.expiryAction === 'approve' && !approval.rejectVotes ? 'approved' : 'rejected';
+
+    if (hoursLeft < 1) return `Expires within the hour, then ${outcome}`;
+    if (hoursLeft < 48) return `Expires in ${hoursLeft}h, then ${outcome}`;
+    return `Expires in ${Math.floor(hoursLeft / 24)} days, then ${outcome}`;
+  };
+
   /**
    * Get admin vote status for each admin
    * Shows ALL admins who were admins at the time of approval creation
@@ -251,6 +283,9 @@ export default function ApprovalsListScreen({ navigation, route }) {
             {description && (
               <Text style={styles.approvalDescription}>{description}</Text>
             )}
+            {formatExpiry(approval) && (
+              <Text style={styles.expiryText}>{formatExpiry(approval)}</Text>
+            )}
           </View>
 
           {/* Admin Vote Statuses */}
@@ -482,6 +517,11 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 20,
   },
+  expiryText: {
+    fontSize: 13,
+    color: '#e65100',
+    marginTop: 6,
+  },
   votingProgress: {
     marginBottom: 12,
   },
@@ -4,15 +4,31 @@
  * Displays all finance matters within a group.
  * Users can click on a finance matter to see details.
  * "Create Finance Request" button visibility is based on role permissions.
+ * A summary card shows this year's spending per category (against any
+ * budget) and per child; admins manage categories and budgets from it.
  */
 
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
-import { Card, Title, Text, FAB, Avatar, Chip, Badge } from 'react-native-paper';
+import {
+  Card,
+  Title,
+  Text,
+  FAB,
+  Avatar,
+  Chip,
+  Badge,
+  ProgressBar,
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+} from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import api from '../../services/api';
 import { getContrastTextColor } from '../../utils/colorUtils';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import { CustomAlert } from '../../components/CustomAlert';
 
 /**
  * @typedef {Object} FinanceListScreenProps
@@ -35,6 +51,13 @@ export default function FinanceListScreen({ navigation, route }) {
   const [userRole, setUserRole] = useState(null);
   const [canCreate, setCanCreate] = useState(false);
 
+  // Spending summary and categories
+  const [summary, setSummary] = useState([]);
+  const [summaryYear, setSummaryYear] = useState(new Date().getFullYear());
+  const [categories, setCategories] = useState([]);
+  const [categoryDialog, setCategoryDialog] = useState(null);
+  const [savingCategory, setSavingCategory] = useState(false);
+
   useEffect(() => {
     loadGroupInfo();
   }, [groupId]);
@@ -43,6 +66,7 @@ export default function FinanceListScreen({ navigation, route }) {
   useFocusEffect(
     React.useCallback(() => {
       loadFinanceMatters();
+      loadSummary();
     }, [groupId])
   );
 
@@ -101,6 +125,112 @@ export default function FinanceListScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Load this year's spending summary and the group's categories
+   */
+  const loadSummary = async () => {
+    try {
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const [summaryResponse, categoriesResponse] = await Promise.all([
+        api.get(`/groups/${groupId}/finance/summary`, { params: { timeZone } }),
+        api.get(`/groups/${groupId}/finance/categories`),
+      ]);
+      setSummary(summaryResponse.data.summary || []);
+      setSummaryYear(summaryResponse.data.year);
+      setCategories(categoriesResponse.data.categories || []);
+    } catch (err) {
+      console.error('Load finance summary error:', err);
+      // Non-blocking - the list still works without the summary
+    }
+  };
+
+  /**
+   * Open the category dialog (admins only)
+   * @param {Object|null} category - Category to edit, or null to add one
+   */
+  const openCategoryDialog = (category) => {
+    const budget = category?.budgets?.[0];
+    setCategoryDialog({
+      categoryId: category?.categoryId || null,
+      name: category?.name || '',
+      budgetAmount: budget ? String(budget.amount) : '',
+      budgetCurrency: budget?.currency || groupInfo?.settings?.defaultCurrency || 'USD',
+    });
+  };
+
+  /**
+   * Save the category name and this year's budget
+   */
+  const saveCategory = async () => {
+    const name = categoryDialog.name.trim();
+    const budgetAmount = categoryDialog.budgetAmount.trim();
+
+    if (!name) {
+      CustomAlert.alert('Error', 'Please enter a category name');
+      return;
+    }
+
+    if (budgetAmount && (isNaN(budgetAmount) || parseFloat(budgetAmount) < 0)) {
+      CustomAlert.alert('Error', 'Please enter a valid budget amount');
+      return;
+    }
+
+    setSavingCategory(true);
+    try {
+      let categoryId = categoryDialog.categoryId;
+      if (categoryId) {
+        await api.put(`/groups/${groupId}/finance/categories/${categoryId}`, { name });
+      } else {
+        const response = await api.post(`/groups/${groupId}/finance/categories`, { name });
+        categoryId = response.data.category.categoryId;
+      }
+
+      if (budgetAmount || categoryDialog.categoryId) {
+        await api.put(`/groups/${groupId}/finance/categories/${categoryId}/budget`, {
+          year: summaryYear,
+          currency: categoryDialog.budgetCurrency,
+          amount: budgetAmount ? parseFloat(budgetAmount) : null,
+        });
+      }
+
+      setCategoryDialog(null);
+      loadSummary();
+    } catch (err) {
+      console.error('Save finance category error:', err);
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to save category');
+    } finally {
+      setSavingCategory(false);
+    }
+  };
+
+  /**
+   * Delete the category being edited after confirmation
+   */
+  const deleteCategory = () => {
+    CustomAlert.alert(
+      'Delete Category',
+      `Delete "${categoryDialog.name}"? Its budgets are removed and its finance matters become uncategorized.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.delete(`/groups/${groupId}/finance/categories/${categoryDialog.categoryId}`);
+              setCategoryDialog(null);
+              loadSummary();
+              loadFinanceMatters();
+            } catch (err) {
+              console.error('Delete finance category error:', err);
+              CustomAlert.alert('Error', err.response?.data?.message || 'Failed to delete category');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   /**
    * Navigate to finance matter details screen
    */
@@ -159,7 +289,7 @@ export default function FinanceListScreen({ navigation, route }) {
    */
   const renderFinanceMatter = ({ item }) => {
     const pendingAmount = calculatePendingAmount(item);
-    const isOverdue = item.dueDate && new Date(item.dueDate) < new Date() && !item.isSettled;
+    const isOverdue = item.isOverdue;
 
     return (
       <TouchableOpacity
@@ -201,6 +331,20 @@ export default function FinanceListScreen({ navigation, route }) {
                 <Text style={[styles.dueDate, isOverdue && styles.overdueText]}>
                   {formatDueDate(item.dueDate)}
                 </Text>
+                {(item.category || item.children?.length > 0) && (
+                  <View style={styles.categoryRow}>
+                    {item.category && (
+                      <Chip compact icon="tag" style={styles.categoryChip} textStyle={styles.categoryChipText}>
+                        {item.category.name}
+                      </Chip>
+                    )}
+                    {item.children?.length > 0 && (
+                      <Text style={styles.childrenText} numberOfLines={1}>
+                        For {item.children.map(child => child.child?.displayName).join(', ')}
+                      </Text>
+                    )}
+                  </View>
+                )}
               </View>
               <View style={styles.badgeContainer}>
                 {!item.isSettled && pendingAmount > 0 && (
@@ -240,6 +384,89 @@ export default function FinanceListScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Render this year's spending summary above the list
+   */
+  const renderSummary = () => {
+    const isAdmin = userRole === 'admin';
+    if (summary.length === 0 && !isAdmin) return null;
+
+    return (
+      <Card style={styles.summaryCard}>
+        <Card.Content>
+          <Title style={styles.summaryTitle}>{summaryYear} Spending</Title>
+
+          {summary.length === 0 && (
+            <Text style={styles.summaryEmptyText}>No spending recorded this year</Text>
+          )}
+
+          {summary.map(entry => (
+            <View key={entry.currency} style={styles.summaryCurrency}>
+              <Text style={styles.summaryTotal}>
+                {entry.currency} {entry.spentAmount.toFixed(2)} spent
+                {entry.budgetAmount > 0 ? ` of ${entry.budgetAmount.toFixed(2)} budgeted` : ''}
+              </Text>
+
+              {entry.categories.map(row => {
+                const overBudget = row.budgetAmount !== null && row.remainingAmount < 0;
+                return (
+                  <View key={row.categoryId || 'uncategorized'} style={styles.summaryCategory}>
+                    <View style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>{row.name}</Text>
+                      <Text style={[styles.summaryValue, overBudget && styles.overdueText]}>
+                        {row.spentAmount.toFixed(2)}
+                        {row.budgetAmount !== null ? ` / ${row.budgetAmount.toFixed(2)}` : ''}
+                      </Text>
+                    </View>
+                    {row.budgetAmount > 0 && (
+                      <ProgressBar
+                        progress={Math.min(row.spentAmount / row.budgetAmount, 1)}
+                        color={overBudget ? '#d32f2f' : '#6200ee'}
+                        style={styles.summaryProgress}
+                      />
+                    )}
+                  </View>
+                );
+              })}
+
+              {entry.children.length > 0 && (
+                <>
+                  <Text style={styles.summarySubheading}>By child</Text>
+                  {entry.children.map(child => (
+                    <View key={child.groupMemberId} style={styles.summaryRow}>
+                      <Text style={styles.summaryLabel}>{child.displayName}</Text>
+                      <Text style={styles.summaryValue}>{child.spentAmount.toFixed(2)}</Text>
+                    </View>
+                  ))}
+                </>
+              )}
+            </View>
+          ))}
+
+          {isAdmin && (
+            <View style={styles.categoryChips}>
+              {categories.map(category => (
+                <Chip
+                  key={category.categoryId}
+                  compact
+                  icon="tag"
+                  onPress={() => openCategoryDialog(category)}
+                  style={styles.categoryChip}
+                  textStyle={styles.categoryChipText}
+                >
+                  {category.name}
+                </Chip>
+              ))}
+              <Chip compact icon="plus" onPress={() => openCategoryDialog(null)} style={styles.categoryChip}>
+                Add Category
+              </Chip>
+            </View>
+          )}
+        </Card.Content>
+      </Card>
+    );
+  };
+
   /**
    * Render empty state
    */
@@ -281,6 +508,7 @@ export default function FinanceListScreen({ navigation, route }) {
         renderItem={renderFinanceMatter}
         keyExtractor={(item) => item.financeMatterId}
         contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderSummary}
         ListEmptyComponent={renderEmptyState}
       />
 
@@ -294,6 +522,47 @@ export default function FinanceListScreen({ navigation, route }) {
           onPress={handleCreateFinanceMatter}
         />
       )}
+
+      {/* Category and Budget Dialog (admins only) */}
+      <Portal>
+        <Dialog visible={!!categoryDialog} onDismiss={() => setCategoryDialog(null)}>
+          <Dialog.Title>{categoryDialog?.categoryId ? 'Edit Category' : 'Add Category'}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Name"
+              value={categoryDialog?.name || ''}
+              onChangeText={(text) => setCategoryDialog(prev => ({ ...prev, name: text }))}
+              mode="outlined"
+              style={styles.dialogInput}
+              disabled={savingCategory}
+              placeholder="e.g., Medical, Education"
+            />
+            <TextInput
+              label={`${summaryYear} Budget (Optional)`}
+              value={categoryDialog?.budgetAmount || ''}
+              onChangeText={(text) => setCategoryDialog(prev => ({ ...prev, budgetAmount: text }))}
+              keyboardType="decimal-pad"
+              mode="outlined"
+              style={styles.dialogInput}
+              disabled={savingCategory}
+              left={<TextInput.Affix text={categoryDialog?.budgetCurrency || ''} />}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            {categoryDialog?.categoryId && (
+              <Button onPress={deleteCategory} textColor="#d32f2f" disabled={savingCategory}>
+                Delete
+              </Button>
+            )}
+            <Button onPress={() => setCategoryDialog(null)} disabled={savingCategory}>
+              Cancel
+            </Button>
+            <Button onPress={saveCategory} loading={savingCategory} disabled={savingCategory}>
+              Save
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </View>
   );
 }
@@ -421,6 +690,82 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: '#666',
   },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 6,
+  },
+  categoryChip: {
+    backgroundColor: '#ede7f6',
+  },
+  categoryChipText: {
+    fontSize: 12,
+  },
+  childrenText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+  },
+  summaryCard: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  summaryTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  summaryEmptyText: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 8,
+  },
+  summaryCurrency: {
+    marginBottom: 8,
+  },
+  summaryTotal: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2e7d32',
+    marginBottom: 8,
+  },
+  summaryCategory: {
+    marginBottom: 8,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  summaryValue: {
+    fontSize: 14,
+    color: '#666',
+  },
+  summaryProgress: {
+    height: 6,
+    borderRadius: 3,
+  },
+  summarySubheading: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  categoryChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8,
+  },
+  dialogInput: {
+    marginBottom: 12,
+  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
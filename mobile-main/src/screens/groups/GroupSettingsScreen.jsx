@@ -32,6 +32,32 @@ import UserAvatar from '../../components/shared/UserAvatar';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
 import ColorPickerModal from '../../components/ColorPickerModal';
 
+/**
+ * Message edit window choices (minutes, null = editing off)
+ */
+const EDIT_WINDOW_OPTIONS = [
+  { minutes: 5, label: '5 minutes' },
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 24 * 60, label: '1 day' },
+  { minutes: null, label: 'Off' },
+];
+
+/**
+ * Approval types that are always rejected on expiry (matches the backend)
+ */
+const REJECT_ONLY_APPROVAL_TYPES = [
+  'remove_member',
+  'change_role_to_admin',
+  'change_role_from_admin',
+  'delete_group',
+  'delete_file',
+  'delete_log_export',
+  'delete_call_recording',
+  'create_custody_schedule',
+  'change_approval_policies',
+];
+
 /**
  * @typedef {Object} GroupSettingsScreenProps
  * @property {Object} navigation - React Navigation navigation object
@@ -58,6 +84,11 @@ export default function GroupSettingsScreen({ navigation, route }) {
   const [adminPermissions, setAdminPermissions] = useState([]);
   const [savingSettings, setSavingSettings] = useState(false);
   const [currencyMenuVisible, setCurrencyMenuVisible] = useState(false);
+  const [escalationMenuVisible, setEscalationMenuVisible] = useState(false);
+  const [approvalReminderMenuVisible, setApprovalReminderMenuVisible] = useState(false);
+  const [approvalExpiryMenuType, setApprovalExpiryMenuType] = useState(null);
+  const [editWindowMenuVisible, setEditWindowMenuVisible] = useState(false);
+  const [toneStats, setToneStats] = useState(null); // Tone assistant statistics (admins)
 
   // Group details editing state
   const [editGroupName, setEditGroupName] = useState('');
@@ -76,6 +107,7 @@ export default function GroupSettingsScreen({ navigation, route }) {
     // Load settings if user is admin (will be checked in loadGroupSettings)
     loadGroupSettings();
     loadAdminPermissions();
+    loadToneStats();
   }, [groupId]);
 
 
@@ -153,6 +185,21 @@ export default function GroupSettingsScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Load tone assistant statistics for the last 30 days (admin only)
+   */
+  const loadToneStats = async () => {
+    try {
+      const response = await api.get(`/groups/${groupId}/messages/tone-stats`);
+      if (response.data.success) {
+        setToneStats(response.data.stats);
+      }
+    } catch (err) {
+      // Non-blocking error - non-admins can't see the statistics
+      setToneStats(null);
+    }
+  };
+
   /**
    * Load admin permissions (for auto-approval settings)
    */
@@ -296,6 +343,191 @@ export default function GroupSettingsScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Update a finance reminder setting
+   * @param {string} key - 'financeReminderDays' or 'financeOverdueEscalationDays'
+   * @param {*} value - New value
+   */
+  const handleFinanceReminderChange = async (key, value) => {
+    setEscalationMenuVisible(false);
+
+    try {
+      // Optimistically update UI
+      setGroupSettings(prev => ({
+        ...prev,
+        [key]: value,
+      }));
+
+      await api.put(`/groups/${groupId}/settings`, {
+        ...groupSettings,
+        [key]: value,
+      });
+    } catch (err) {
+      console.error('Change finance reminders error:', err);
+
+      if (err.isAuthError) {
+        console.log('[GroupSettings] Auth error detected - user will be logged out');
+        return;
+      }
+
+      // Revert on error
+      await loadGroupSettings();
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to change finance reminders');
+    }
+  };
+
+  /**
+   * Update how long members can edit their messages after sending
+   * @param {number|null} minutes - Edit window in minutes (null turns editing off)
+   */
+  const handleEditWindowChange = async (minutes) => {
+    setEditWindowMenuVisible(false);
+
+    try {
+      // Optimistically update UI
+      setGroupSettings(prev => ({
+        ...prev,
+        messageEditWindowMinutes: minutes,
+      }));
+
+      await api.put(`/groups/${groupId}/settings`, {
+        ...groupSettings,
+        messageEditWindowMinutes: minutes,
+      });
+    } catch (err) {
+      console.error('Change message editing error:', err);
+
+      if (err.isAuthError) {
+        console.log('[GroupSettings] Auth error detected - user will be logged out');
+        return;
+      }
+
+      // Revert on error
+      await loadGroupSettings();
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to change message editing');
+    }
+  };
+
+  /**
+   * Turn the tone assistant on or off
+   * @param {boolean} enabled - Check outgoing messages' tone
+   */
+  const handleToneCheckChange = async (enabled) => {
+    try {
+      // Optimistically update UI
+      setGroupSettings(prev => ({
+        ...prev,
+        toneCheckEnabled: enabled,
+      }));
+
+      await api.put(`/groups/${groupId}/settings`, {
+        ...groupSettings,
+        toneCheckEnabled: enabled,
+      });
+    } catch (err) {
+      console.error('Change tone assistant error:', err);
+
+      if (err.isAuthError) {
+        console.log('[GroupSettings] Auth error detected - user will be logged out');
+        return;
+      }
+
+      // Revert on error
+      await loadGroupSettings();
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to change tone assistant');
+    }
+  };
+
+  /**
+   * Turn a finance reminder day on or off (up to 6)
+   * @param {number} day - Days relative to the due date
+   */
+  const toggleFinanceReminderDay = (day) => {
+    const current = groupSettings.financeReminderDays || [];
+
+    if (current.includes(day)) {
+      handleFinanceReminderChange('financeReminderDays', current.filter(d => d !== day));
+    } else if (current.length >= 6) {
+      CustomAlert.alert('Too Many Reminders', 'Choose up to 6 reminder days');
+    } else {
+      handleFinanceReminderChange('financeReminderDays', [...current, day].sort((a, b) => a - b));
+    }
+  };
+
+  /**
+   * Label a finance reminder day
+   * @param {number} day - Days relative to the due date
+   * @returns {string} e.g. '3 days before', 'Due date', '7 days after'
+   */
+  const getReminderDayLabel = (day) => {
+    if (day === 0) return 'Due date';
+    const count = Math.abs(day);
+    return `${count} day${count === 1 ? '' : 's'} ${day < 0 ? 'before' : 'after'}`;
+  };
+
+  /**
+   * Update an approval expiry setting
+   * @param {string} key - 'approvalExpiryPolicies' or 'approvalReminderHours'
+   * @param {*} value - New value
+   */
+  const handleApprovalExpiryChange = async (key, value) => {
+    setApprovalReminderMenuVisible(false);
+    setApprovalExpiryMenuType(null);
+
+    try {
+      // Optimistically update UI
+      setGroupSettings(prev => ({
+        ...prev,
+        [key]: value,
+      }));
+
+      const response = await api.put(`/groups/${groupId}/settings`, {
+        ...groupSettings,
+        [key]: value,
+      });
+
+      // With other admins, policy changes wait for their approval
+      if (response.data.pendingPolicyApproval) {
+        await loadGroupSettings();
+        CustomAlert.alert('Approval Required', response.data.message);
+      }
+    } catch (err) {
+      console.error('Change approval expiry error:', err);
+
+      if (err.isAuthError) {
+        console.log('[GroupSettings] Auth error detected - user will be logged out');
+        return;
+      }
+
+      // Revert on error
+      await loadGroupSettings();
+      CustomAlert.alert('Error', err.response?.data?.message || 'Failed to change approval expiry');
+    }
+  };
+
+  /**
+   * Get an approval type's expiry policy (defaults match the backend: 7 days, then reject)
+   * @param {string} approvalType - Approval type
+   * @returns {Object} { expiryDays, onExpiry }
+   */
+  const getApprovalPolicy = (approvalType) => ({
+    expiryDays: 7,
+    onExpiry: 'reject',
+    ...(groupSettings.approvalExpiryPolicies || {})[approvalType],
+  });
+
+  /**
+   * Change part of an approval type's expiry policy
+   * @param {string} approvalType - Approval type
+   * @param {Object} changes - { expiryDays } and/or { onExpiry }
+   */
+  const updateApprovalPolicy = (approvalType, changes) => {
+    handleApprovalExpiryChange('approvalExpiryPolicies', {
+      ...(groupSettings.approvalExpiryPolicies || {}),
+      [approvalType]: { ...getApprovalPolicy(approvalType), ...changes },
+    });
+  };
+
   /**
    * Render a feature permission section
    * @param {string} featureName - Display name (e.g., "Message Groups")
@@ -1228,6 +1460,218 @@ export default function GroupSettingsScreen({ navigation, route }) {
         </Card>
       )}
 
+      {/* Finance Reminder Settings Section (Admin Only) */}
+      {userRole === 'admin' && groupSettings && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Finance Reminders</Title>
+            <Text style={styles.sectionDescription}>
+              Remind members who still owe money on a finance matter before and after its due date
+            </Text>
+            <Divider style={styles.divider} />
+
+            <View style={styles.reminderChips}>
+              {[-7, -3, -1, 0, 1, 3, 7, 14, 30].map(day => {
+                const isSelected = (groupSettings.financeReminderDays || []).includes(day);
+                return (
+                  <Chip
+                    key={day}
+                    selected={isSelected}
+                    onPress={() => toggleFinanceReminderDay(day)}
+                    style={isSelected && styles.reminderChipSelected}
+                  >
+                    {getReminderDayLabel(day)}
+                  </Chip>
+                );
+              })}
+            </View>
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Tell admins and the creator when overdue by</Text>
+              <Menu
+                visible={escalationMenuVisible}
+                onDismiss={() => setEscalationMenuVisible(false)}
+                anchor={
+                  <Button mode="outlined" onPress={() => setEscalationMenuVisible(true)}>
+                    {groupSettings.financeOverdueEscalationDays
+                      ? `${groupSettings.financeOverdueEscalationDays} days`
+                      : 'Never'}
+                  </Button>
+                }
+              >
+                {[3, 7, 14, 30].map(days => (
+                  <Menu.Item
+                    key={days}
+                    onPress={() => handleFinanceReminderChange('financeOverdueEscalationDays', days)}
+                    title={`${days} days`}
+                  />
+                ))}
+                <Menu.Item onPress={() => handleFinanceReminderChange('financeOverdueEscalationDays', null)} title="Never" />
+              </Menu>
+            </View>
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Message Editing Settings Section (Admin Only) */}
+      {userRole === 'admin' && groupSettings && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Message Editing</Title>
+            <Text style={styles.sectionDescription}>
+              How long members can edit a message after sending it. Edited messages are marked as edited and admins can see every earlier version.
+            </Text>
+            <Divider style={styles.divider} />
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Allow edits for</Text>
+              <Menu
+                visible={editWindowMenuVisible}
+                onDismiss={() => setEditWindowMenuVisible(false)}
+                anchor={
+                  <Button mode="outlined" onPress={() => setEditWindowMenuVisible(true)}>
+                    {EDIT_WINDOW_OPTIONS.find(option => option.minutes === groupSettings.messageEditWindowMinutes)?.label
+                      || (groupSettings.messageEditWindowMinutes ? `${groupSettings.messageEditWindowMinutes} minutes` : 'Off')}
+                  </Button>
+                }
+              >
+                {EDIT_WINDOW_OPTIONS.map(option => (
+                  <Menu.Item
+                    key={option.label}
+                    onPress={() => handleEditWindowChange(option.minutes)}
+                    title={option.label}
+                  />
+                ))}
+              </Menu>
+            </View>
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Tone Assistant Settings Section (Admin Only) */}
+      {userRole === 'admin' && groupSettings && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Tone Assistant</Title>
+            <Text style={styles.sectionDescription}>
+              Before a message is sent, warn the sender about hostile, shouting, blaming or profane phrasing and suggest another way to say it. They can still send it anyway. Checks run on our servers - no outside service sees messages.
+            </Text>
+            <Divider style={styles.divider} />
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Check messages before sending</Text>
+              <Switch
+                value={groupSettings.toneCheckEnabled ?? false}
+                onValueChange={handleToneCheckChange}
+              />
+            </View>
+
+            {toneStats && (
+              <View>
+                <Text style={styles.settingLabel}>Last 30 days</Text>
+                <Text style={styles.sectionDescription}>
+                  {toneStats.warnings} {toneStats.warnings === 1 ? 'warning' : 'warnings'} · {toneStats.revisedOrHeld} revised or not sent · {toneStats.sentAnyway} sent anyway
+                </Text>
+                {toneStats.warnings > 0 && (
+                  <Text style={styles.sectionDescription}>
+                    Hostile {toneStats.byCategory.hostile} · Shouting {toneStats.byCategory.all_caps} · Blaming {toneStats.byCategory.blaming} · Swearing {toneStats.byCategory.profanity}
+                  </Text>
+                )}
+              </View>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Approval Expiry Settings Section (Admin Only) */}
+      {userRole === 'admin' && groupSettings && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title style={styles.sectionTitle}>Approval Expiry</Title>
+            <Text style={styles.sectionDescription}>
+              Remind admins who haven't voted, and decide what happens to requests nobody finishes voting on. Changes apply to new requests and need other admins' approval. Removals, deletions, admin changes, admin invites and custody schedules are always rejected on expiry, as is any request an admin voted against.
+            </Text>
+            <Divider style={styles.divider} />
+
+            <View style={styles.settingRow}>
+              <Text style={styles.settingLabel}>Remind admins every</Text>
+              <Menu
+                visible={approvalReminderMenuVisible}
+                onDismiss={() => setApprovalReminderMenuVisible(false)}
+                anchor={
+                  <Button mode="outlined" onPress={() => setApprovalReminderMenuVisible(true)}>
+                    {groupSettings.approvalReminderHours
+                      ? `${groupSettings.approvalReminderHours} hours`
+                      : 'Never'}
+                  </Button>
+                }
+              >
+                {[12, 24, 48, 72].map(hours => (
+                  <Menu.Item
+                    key={hours}
+                    onPress={() => handleApprovalExpiryChange('approvalReminderHours', hours)}
+                    title={`${hours} hours`}
+                  />
+                ))}
+                <Menu.Item onPress={() => handleApprovalExpiryChange('approvalReminderHours', null)} title="Never" />
+              </Menu>
+            </View>
+
+            {[
+              { type: 'add_member', label: 'Add member' },
+              { type: 'remove_member', label: 'Remove member' },
+              { type: 'change_role_to_admin', label: 'Make admin' },
+              { type: 'change_role_from_admin', label: 'Remove admin' },
+              { type: 'delete_file', label: 'Delete file' },
+              { type: 'delete_log_export', label: 'Delete log export' },
+              { type: 'delete_call_recording', label: 'Delete call recording' },
+              { type: 'change_recording_settings', label: 'Recording settings' },
+              { type: 'create_custody_schedule', label: 'Custody schedule' },
+              { type: 'create_calendar_event', label: 'New calendar event' },
+              { type: 'update_calendar_event', label: 'Calendar event change' },
+              { type: 'create_responsibility_event', label: 'Responsibility event' },
+              { type: 'hide_message', label: 'Hide message' },
+              { type: 'assign_relationship', label: 'Assign relationship' },
+              { type: 'change_relationship', label: 'Change relationship' },
+              { type: 'delete_group', label: 'Delete group' },
+              { type: 'change_approval_policies', label: 'Approval expiry' },
+            ].map(({ type, label }) => {
+              const policy = getApprovalPolicy(type);
+              return (
+                <View key={type} style={styles.settingRow}>
+                  <Text style={styles.settingLabel}>{label}</Text>
+                  <Menu
+                    visible={approvalExpiryMenuType === type}
+                    onDismiss={() => setApprovalExpiryMenuType(null)}
+                    anchor={
+                      <Button mode="outlined" compact onPress={() => setApprovalExpiryMenuType(type)}>
+                        {policy.expiryDays ? `${policy.expiryDays}d` : 'Never'}
+                      </Button>
+                    }
+                  >
+                    {[1, 3, 7, 14, 30].map(days => (
+                      <Menu.Item
+                        key={days}
+                        onPress={() => updateApprovalPolicy(type, { expiryDays: days })}
+                        title={`Expire after ${days} day${days === 1 ? '' : 's'}`}
+                      />
+                    ))}
+                    <Menu.Item onPress={() => updateApprovalPolicy(type, { expiryDays: null })} title="Never expire" />
+                  </Menu>
+                  <Chip
+                    style={styles.approvalOutcomeChip}
+                    disabled={!policy.expiryDays || REJECT_ONLY_APPROVAL_TYPES.includes(type)}
+                    onPress={() => updateApprovalPolicy(type, { onExpiry: policy.onExpiry === 'approve' ? 'reject' : 'approve' })}
+                  >
+                    {policy.onExpiry === 'approve' ? 'Approve' : 'Reject'}
+                  </Chip>
+                </View>
+              );
+            })}
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Call Recording Settings Section (Admin Only) */}
       {userRole === 'admin' && groupSettings && (
         <Card style={styles.card}>
@@ -1539,6 +1983,18 @@ const styles = StyleSheet.create({
   currencyButtonContent: {
     height: 48,
   },
+  approvalOutcomeChip: {
+    marginLeft: 8,
+  },
+  reminderChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  reminderChipSelected: {
+    backgroundColor: '#ede7f6',
+  },
   // Group details editing styles
   groupActionsContainer: {
     marginTop: 16,
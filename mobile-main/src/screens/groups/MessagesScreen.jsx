@@ -34,6 +34,7 @@ if (Platform.OS === 'web') {
 const hasEmojiPicker = Platform.OS === 'web' ? WebEmojiPicker !== null : NativeEmojiPicker !== null;
 import api from '../../services/api';
 import activeScreenService from '../../services/activeScreen.service';
+import realtimeService from '../../services/realtime.service';
 import { getContrastTextColor } from '../../utils/colorUtils';
 import MediaPicker from '../../components/shared/MediaPicker';
 import ImageViewer from '../../components/shared/ImageViewer';
@@ -43,6 +44,18 @@ import AudioRecorder from '../../components/AudioRecorder';
 import AudioPlayer from '../../components/AudioPlayer';
 import { uploadFile, uploadMultipleFiles, getFileUrl } from '../../services/upload.service';
 import CustomNavigationHeader from '../../components/CustomNavigationHeader';
+import DateTimeSelector, { formatDateByType } from '../../components/DateTimeSelector';
+
+/**
+ * How often a scheduled message can repeat (null = send once)
+ */
+const SCHEDULE_FREQUENCIES = [
+  { value: null, label: 'Once' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'fortnightly', label: 'Fortnightly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'termly', label: 'Termly' },
+];
 
 /**
  * @typedef {Object} MessagesScreenProps
@@ -87,6 +100,14 @@ export default function MessagesScreen({ navigation, route }) {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showReactionPicker, setShowReactionPicker] = useState(false);
   const [reactionTargetMessage, setReactionTargetMessage] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null); // Own message being edited
+  const [editHistory, setEditHistory] = useState(null); // { messageId, loading, revisions } for the history modal
+  const [replyingTo, setReplyingTo] = useState(null); // Message being replied to
+  const [thread, setThread] = useState(null); // { messageId, loading, message, replies } for the thread modal
+  const [scheduleForm, setScheduleForm] = useState(null); // { scheduledMessageId, content, mentions, scheduledFor, frequency, endDate }
+  const [scheduleSaving, setScheduleSaving] = useState(false);
+  const [schedulePicker, setSchedulePicker] = useState(null); // 'scheduledFor' | 'endDate' while a date picker is open
+  const [scheduledList, setScheduledList] = useState(null); // { loading, items } for the scheduled messages modal
   const mediaPickerRef = useRef(null);
   const flatListRef = useRef(null);
   const inputRef = useRef(null);
@@ -207,17 +228,76 @@ export default function MessagesScreen({ navigation, route }) {
     loadMessages();
   }, [messageGroupId, loadMessages]);
 
-  // Real-time polling: Check for new messages every 3 seconds (only when screen is focused)
+  // Polling fallback: Check for new messages every 3 seconds (only when screen is focused),
+  // or every 15 seconds while the realtime channel is delivering updates
   useFocusEffect(
     useCallback(() => {
       const pollInterval = setInterval(() => {
         loadMessages(true); // true = silent refresh (no loading spinner)
-      }, 3000); // Poll every 3 seconds
+      }, realtimeService.isConnected() ? 15000 : 3000);
 
       return () => clearInterval(pollInterval);
     }, [loadMessages])
   );
 
+  // Live updates: new messages, edits, read receipts and reactions for this message group
+  useFocusEffect(
+    useCallback(() => {
+      const isThisMessageGroup = data => data?.messageGroupId === messageGroupId;
+
+      const unsubscribers = [
+        realtimeService.on('message.created', (data) => {
+          if (!isThisMessageGroup(data) || !data.message) return;
+          setMessages(prevMessages => appendMessage(prevMessages, data.message));
+        }),
+        realtimeService.on('message.updated', (data) => {
+          if (!isThisMessageGroup(data) || !data.message) return;
+          setMessages(prevMessages => prevMessages.map(msg => (
+            msg.messageId === data.message.messageId
+              ? { ...msg, content: data.message.content, editedAt: data.message.editedAt }
+              : msg
+          )));
+        }),
+        realtimeService.on('message.read', (data) => {
+          if (!isThisMessageGroup(data)) return;
+          setMessages(prevMessages => prevMessages.map((msg) => {
+            if (!data.messageIds.includes(msg.messageId)) return msg;
+            const readReceipts = msg.readReceipts || [];
+            if (readReceipts.some(r => r.groupMemberId === data.readReceipt.groupMemberId)) return msg;
+            return { ...msg, readReceipts: [...readReceipts, data.readReceipt] };
+          }));
+        }),
+        realtimeService.on('message.reaction_added', (data) => {
+          if (!isThisMessageGroup(data)) return;
+          const { reaction } = data;
+          setMessages(prevMessages => prevMessages.map((msg) => {
+            if (msg.messageId !== data.messageId) return msg;
+            // Replace our own optimistic reaction (which has no reactionId yet)
+            const reactions = (msg.reactions || []).filter(r => !(
+              r.reactionId === reaction.reactionId
+              || (!r.reactionId && r.emoji === reaction.emoji && r.reactor?.groupMemberId === reaction.reactor.groupMemberId)
+            ));
+            return { ...msg, reactions: [...reactions, reaction] };
+          }));
+        }),
+        realtimeService.on('message.reaction_removed', (data) => {
+          if (!isThisMessageGroup(data)) return;
+          setMessages(prevMessages => prevMessages.map((msg) => {
+            if (msg.messageId !== data.messageId) return msg;
+            return {
+              ...msg,
+              reactions: (msg.reactions || []).filter(
+                r => !(r.emoji === data.emoji && r.reactor?.groupMemberId === data.reactorId)
+              ),
+            };
+          }));
+        }),
+      ];
+
+      return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [messageGroupId])
+  );
+
   // Track active message group for notification suppression
   useFocusEffect(
     useCallback(() => {
@@ -613,10 +693,62 @@ export default function MessagesScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Add a message to the list (unless already there) and count it as a reply to the message it quotes
+   * @param {Array} prevMessages - Current messages
+   * @param {Object} message - New message
+   * @returns {Array} Updated messages
+   */
+  const appendMessage = (prevMessages, message) => {
+    if (prevMessages.some(msg => msg.messageId === message.messageId)) {
+      return prevMessages;
+    }
+
+    const updated = message.replyToId
+      ? prevMessages.map(msg => (
+        msg.messageId === message.replyToId
+          ? { ...msg, replyCount: (msg.replyCount || 0) + 1 }
+          : msg
+      ))
+      : prevMessages;
+
+    return [...updated, message];
+  };
+
+  /**
+   * Show the tone assistant's warning for a held-back message
+   * @param {Object} data - 422 response body ({ message, toneCheck })
+   * @param {Function} onSendAnyway - Resends the message with sendAnyway
+   */
+  const showToneCheck = (data, onSendAnyway) => {
+    const phrases = [...new Set(data.toneCheck.issues.map(issue => `"${issue.text}"`))];
+
+    CustomAlert.alert(
+      'Check Your Tone',
+      [
+        data.message,
+        `Flagged: ${phrases.join(', ')}`,
+        ...data.toneCheck.suggestions,
+      ].join('\n\n'),
+      [
+        { text: 'Revise', style: 'cancel' },
+        { text: 'Send Anyway', onPress: onSendAnyway },
+      ]
+    );
+  };
+
   /**
    * Send a new message
+   * @param {Object} [options] - { sendAnyway } to send past a tone warning
    */
-  const handleSendMessage = async () => {
+  const handleSendMessage = async (options = {}) => {
+    const sendAnyway = options.sendAnyway === true;
+
+    if (editingMessage) {
+      await handleSaveEdit({ sendAnyway });
+      return;
+    }
+
     if (!newMessage.trim() && attachedMedia.length === 0) return;
 
     // Supervisors cannot send messages (per appplan.md line 91)
@@ -632,6 +764,8 @@ export default function MessagesScreen({ navigation, route }) {
       const payload = {
         content: newMessage.trim() || ' ', // Backend requires content, use space if only media
         mentions: selectedMentions,
+        ...(replyingTo && { replyToId: replyingTo.messageId }),
+        ...(sendAnyway && { sendAnyway: true }),
       };
 
       // Add media file IDs if any
@@ -646,17 +780,24 @@ export default function MessagesScreen({ navigation, route }) {
 
       const response = await api.post(`/groups/${groupId}/message-groups/${messageGroupId}/messages`, payload);
 
-      // Add new message to list
-      setMessages([...messages, response.data.message]);
+      // Add new message to list (unless the realtime channel already delivered it)
+      setMessages(prevMessages => appendMessage(prevMessages, response.data.message));
       setNewMessage('');
       setSelectedMentions([]);
       setAttachedMedia([]);
+      setReplyingTo(null);
 
       // Scroll to bottom
       setTimeout(() => {
         flatListRef.current?.scrollToEnd({ animated: true });
       }, 100);
     } catch (err) {
+      // Held back by the tone assistant - let the sender revise or send anyway
+      if (err.response?.status === 422 && err.response.data?.toneCheck) {
+        showToneCheck(err.response.data, () => handleSendMessage({ sendAnyway: true }));
+        return;
+      }
+
       console.error('Send message error:', err);
 
       // Don't show error if it's an auth error
@@ -796,7 +937,16 @@ export default function MessagesScreen({ navigation, route }) {
     setMenuVisible(false);
 
     try {
-      await api.put(`/groups/${groupId}/message-groups/${messageGroupId}/messages/${longPressedMessage.messageId}/hide`);
+      const response = await api.put(`/groups/${groupId}/message-groups/${messageGroupId}/messages/${longPressedMessage.messageId}/hide`);
+
+      if (response.data.requiresApproval) {
+        setLongPressedMessage(null);
+        CustomAlert.alert(
+          'Approval Required',
+          'Hiding this message has been sent to the other admins for approval.'
+        );
+        return;
+      }
 
       // Update local state
       setMessages(messages.map(msg =>
@@ -841,6 +991,316 @@ export default function MessagesScreen({ navigation, route }) {
     }
   };
 
+  /**
+   * Start editing own message - loads its text into the input
+   */
+  const handleStartEdit = () => {
+    if (!longPressedMessage) return;
+
+    setMenuVisible(false);
+    setReplyingTo(null);
+    setEditingMessage(longPressedMessage);
+    setNewMessage(longPressedMessage.content);
+    setSelectedMentions([]);
+    setAttachedMedia([]);
+    setLongPressedMessage(null);
+    setTimeout(() => inputRef.current?.focus(), 100);
+  };
+
+  /**
+   * Start replying to a message - quoted above the input until sent or canceled
+   */
+  const handleStartReply = () => {
+    if (!longPressedMessage) return;
+
+    setMenuVisible(false);
+    if (editingMessage) {
+      handleCancelEdit();
+    }
+    setReplyingTo(longPressedMessage);
+    setLongPressedMessage(null);
+    setTimeout(() => inputRef.current?.focus(), 100);
+  };
+
+  /**
+   * Open a message's thread: the message and its replies
+   * @param {string} messageId - Message to open
+   */
+  const openThread = async (messageId) => {
+    setThread({ messageId, loading: true, message: null, replies: [] });
+
+    try {
+      const response = await api.get(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages/${messageId}/thread`
+      );
+      setThread({
+        messageId,
+        loading: false,
+        message: response.data.message,
+        replies: response.data.replies || [],
+      });
+    } catch (err) {
+      console.error('Load thread error:', err);
+      setThread(null);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load replies');
+      }
+    }
+  };
+
+  /**
+   * Stop editing without saving
+   */
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setNewMessage('');
+  };
+
+  /**
+   * Save the edited message
+   * @param {Object} [options] - { sendAnyway } to save past a tone warning
+   */
+  const handleSaveEdit = async (options = {}) => {
+    const content = newMessage.trim();
+    if (!content) return;
+
+    if (content === editingMessage.content) {
+      handleCancelEdit();
+      return;
+    }
+
+    try {
+      setSending(true);
+      setError(null);
+
+      const response = await api.put(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages/${editingMessage.messageId}`,
+        { content, ...(options.sendAnyway && { sendAnyway: true }) }
+      );
+
+      const { message } = response.data;
+      setMessages(prevMessages => prevMessages.map(msg => (
+        msg.messageId === message.messageId
+          ? { ...msg, content: message.content, editedAt: message.editedAt }
+          : msg
+      )));
+      setEditingMessage(null);
+      setNewMessage('');
+    } catch (err) {
+      if (err.response?.status === 422 && err.response.data?.toneCheck) {
+        showToneCheck(err.response.data, () => handleSaveEdit({ sendAnyway: true }));
+        return;
+      }
+
+      console.error('Edit message error:', err);
+      if (!err.isAuthError) {
+        setError(err.response?.data?.message || 'Failed to edit message');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * Load the current user's scheduled messages into the scheduled messages modal
+   */
+  const loadScheduledMessages = async () => {
+    setScheduledList(prev => ({ loading: true, items: prev?.items || [] }));
+
+    try {
+      const response = await api.get(`/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages`);
+      setScheduledList({ loading: false, items: response.data.scheduledMessages || [] });
+    } catch (err) {
+      console.error('Load scheduled messages error:', err);
+      setScheduledList(null);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load scheduled messages');
+      }
+    }
+  };
+
+  /**
+   * Open the schedule form for the message being typed
+   */
+  const handleOpenSchedule = () => {
+    if (attachedMedia.length > 0) {
+      CustomAlert.alert('Schedule Message', 'Scheduled messages cannot include attachments. Remove them to schedule this message.');
+      return;
+    }
+
+    // Default to the next whole hour, at least 30 minutes away
+    const scheduledFor = new Date(Date.now() + 30 * 60 * 1000);
+    scheduledFor.setHours(scheduledFor.getHours() + 1, 0, 0, 0);
+
+    setScheduleForm({
+      scheduledMessageId: null,
+      content: newMessage.trim(),
+      mentions: selectedMentions,
+      scheduledFor,
+      frequency: null,
+      endDate: null,
+    });
+  };
+
+  /**
+   * Open the schedule form for an existing scheduled message
+   * @param {Object} scheduledMessage - Scheduled message from the API
+   */
+  const handleEditScheduled = (scheduledMessage) => {
+    setScheduledList(null);
+    setScheduleForm({
+      scheduledMessageId: scheduledMessage.scheduledMessageId,
+      content: scheduledMessage.content,
+      mentions: scheduledMessage.mentions,
+      // A recurring message that has started restarts from its next send
+      scheduledFor: new Date(scheduledMessage.nextSendAt || scheduledMessage.scheduledFor),
+      frequency: scheduledMessage.frequency,
+      endDate: scheduledMessage.endDate ? new Date(scheduledMessage.endDate) : null,
+    });
+  };
+
+  /**
+   * Save the schedule form (schedule a new message or update one)
+   * @param {Object} [options] - { sendAnyway } to save past a tone warning
+   */
+  const handleSaveSchedule = async (options = {}) => {
+    const content = scheduleForm.content.trim();
+    if (!content) return;
+
+    const isEdit = !!scheduleForm.scheduledMessageId;
+    const payload = {
+      content,
+      mentions: scheduleForm.mentions,
+      scheduledFor: scheduleForm.scheduledFor.toISOString(),
+      frequency: scheduleForm.frequency,
+      endDate: scheduleForm.frequency && scheduleForm.endDate ? scheduleForm.endDate.toISOString() : null,
+      ...(options.sendAnyway && { sendAnyway: true }),
+    };
+
+    try {
+      setScheduleSaving(true);
+
+      if (isEdit) {
+        await api.put(
+          `/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages/${scheduleForm.scheduledMessageId}`,
+          payload
+        );
+      } else {
+        await api.post(`/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages`, payload);
+        setNewMessage('');
+        setSelectedMentions([]);
+        setReplyingTo(null);
+      }
+
+      setScheduleForm(null);
+      loadScheduledMessages();
+    } catch (err) {
+      if (err.response?.status === 422 && err.response.data?.toneCheck) {
+        showToneCheck(err.response.data, () => handleSaveSchedule({ sendAnyway: true }));
+        return;
+      }
+
+      console.error('Save scheduled message error:', err);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to schedule message');
+      }
+    } finally {
+      setScheduleSaving(false);
+    }
+  };
+
+  /**
+   * Cancel a scheduled message after confirmation
+   * @param {Object} scheduledMessage - Scheduled message from the API
+   */
+  const handleCancelScheduled = (scheduledMessage) => {
+    CustomAlert.alert(
+      'Cancel Scheduled Message',
+      'This message will not be sent. Are you sure?',
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Message',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await api.delete(
+                `/groups/${groupId}/message-groups/${messageGroupId}/scheduled-messages/${scheduledMessage.scheduledMessageId}`
+              );
+              setScheduledList(prev => prev && {
+                ...prev,
+                items: prev.items.filter(item => item.scheduledMessageId !== scheduledMessage.scheduledMessageId),
+              });
+            } catch (err) {
+              console.error('Cancel scheduled message error:', err);
+              if (!err.isAuthError) {
+                CustomAlert.alert('Error', err.response?.data?.message || 'Failed to cancel scheduled message');
+              }
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Describe when a scheduled message is sent
+   * @param {Object} scheduledMessage - Scheduled message (or schedule form)
+   * @returns {string} e.g. "05 Feb 2026, 08:00 · Weekly until 30 June 2026"
+   */
+  const describeSchedule = (scheduledMessage) => {
+    const when = formatDateByType(new Date(scheduledMessage.nextSendAt || scheduledMessage.scheduledFor), 1);
+    if (!scheduledMessage.frequency) {
+      return when;
+    }
+
+    const frequency = SCHEDULE_FREQUENCIES.find(option => option.value === scheduledMessage.frequency);
+    const until = scheduledMessage.endDate ? ` until ${formatDateByType(new Date(scheduledMessage.endDate), 3)}` : '';
+    return `${when} · ${frequency?.label || scheduledMessage.frequency}${until}`;
+  };
+
+  /**
+   * Show a message's edit history (admin only)
+   */
+  const handleViewEditHistory = async () => {
+    if (!longPressedMessage) return;
+
+    const { messageId } = longPressedMessage;
+    setMenuVisible(false);
+    setLongPressedMessage(null);
+    setEditHistory({ messageId, loading: true, revisions: [] });
+
+    try {
+      const response = await api.get(
+        `/groups/${groupId}/message-groups/${messageGroupId}/messages/${messageId}/revisions`
+      );
+      setEditHistory({ messageId, loading: false, revisions: response.data.revisions || [] });
+    } catch (err) {
+      console.error('Load edit history error:', err);
+      setEditHistory(null);
+      if (!err.isAuthError) {
+        CustomAlert.alert('Error', err.response?.data?.message || 'Failed to load edit history');
+      }
+    }
+  };
+
+  /**
+   * Render the text of a quoted message (hidden originals aren't shown)
+   * @param {Object} quote - replyTo from the API
+   * @returns {JSX.Element}
+   */
+  const renderQuoteText = (quote) => {
+    if (quote.isHidden) {
+      return <Text style={[styles.quoteText, styles.quoteTextHidden]}>Message hidden</Text>;
+    }
+
+    if (!quote.content && quote.hasMedia) {
+      return <Text style={[styles.quoteText, styles.quoteTextHidden]}>Attachment</Text>;
+    }
+
+    return <Text style={styles.quoteText} numberOfLines={2}>{quote.content}</Text>;
+  };
+
   /**
    * Render message item
    */
@@ -873,6 +1333,14 @@ export default function MessagesScreen({ navigation, route }) {
                 </View>
               )}
 
+              {/* Quote of the message this replies to */}
+              {item.replyTo && (
+                <TouchableOpacity style={styles.quoteContainer} onPress={() => openThread(item.replyTo.messageId)}>
+                  <Text style={styles.quoteSender}>{item.replyTo.sender?.displayName || 'Unknown'}</Text>
+                  {renderQuoteText(item.replyTo)}
+                </TouchableOpacity>
+              )}
+
               {/* Render attached media */}
               {item.media && item.media.length > 0 && (
                 <View style={styles.mediaContainer}>
@@ -936,12 +1404,22 @@ export default function MessagesScreen({ navigation, route }) {
                     {item.sender?.displayName || 'Unknown'}
                   </Text>
                   <View style={styles.timeAndReceipt}>
+                    {item.editedAt && <Text style={styles.editedLabel}>edited</Text>}
                     <Text style={styles.messageTime}>{formatTime(item.createdAt)}</Text>
                     {isMyMessage && renderReadReceipt(item)}
                   </View>
                 </View>
               )}
 
+              {/* Reply count - opens the thread */}
+              {item.replyCount > 0 && (
+                <TouchableOpacity onPress={() => openThread(item.messageId)}>
+                  <Text style={styles.replyCountText}>
+                    {item.replyCount === 1 ? '1 reply' : `${item.replyCount} replies`}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
               {/* Minimal footer for single emoji */}
               {isSingleEmoji && (
                 <View style={styles.messageFooterMinimal}>
@@ -1123,6 +1601,26 @@ export default function MessagesScreen({ navigation, route }) {
           </ScrollView>
         )}
 
+        {/* Editing banner */}
+        {editingMessage && (
+          <View style={styles.editingBanner}>
+            <IconButton icon="pencil" size={16} style={styles.editingBannerIcon} />
+            <Text style={styles.editingBannerText}>Editing message</Text>
+            <IconButton icon="close" size={16} onPress={handleCancelEdit} disabled={sending} />
+          </View>
+        )}
+
+        {/* Replying banner */}
+        {replyingTo && !editingMessage && (
+          <View style={styles.editingBanner}>
+            <IconButton icon="reply" size={16} style={styles.editingBannerIcon} />
+            <Text style={styles.editingBannerText} numberOfLines={1}>
+              Replying to {replyingTo.sender?.displayName || 'Unknown'}: {replyingTo.content?.trim() || 'Attachment'}
+            </Text>
+            <IconButton icon="close" size={16} onPress={() => setReplyingTo(null)} disabled={sending} />
+          </View>
+        )}
+
         {/* Upload/Processing progress indicator */}
         {(uploading || processing) && (
           <View style={styles.uploadingContainer}>
@@ -1156,7 +1654,7 @@ export default function MessagesScreen({ navigation, route }) {
                   mode="outlined"
                   size={32}
                   onPress={() => setMoreMenuVisible(true)}
-                  disabled={uploading || sending || processing}
+                  disabled={uploading || sending || processing || !!editingMessage}
                   style={styles.addButton}
                 />
               }
@@ -1185,6 +1683,23 @@ export default function MessagesScreen({ navigation, route }) {
                 }}
                 title="Record Audio"
               />
+              <MenuDivider />
+              <Menu.Item
+                leadingIcon="clock-outline"
+                onPress={() => {
+                  setMoreMenuVisible(false);
+                  handleOpenSchedule();
+                }}
+                title="Schedule Message"
+              />
+              <Menu.Item
+                leadingIcon="calendar-clock"
+                onPress={() => {
+                  setMoreMenuVisible(false);
+                  loadScheduledMessages();
+                }}
+                title="Scheduled Messages"
+              />
               {/* Add Emoji - available on all platforms with emoji picker */}
               {hasEmojiPicker && (
                 <>
@@ -1216,12 +1731,12 @@ export default function MessagesScreen({ navigation, route }) {
               }}
             />
             <IconButton
-              icon="send"
+              icon={editingMessage ? 'check' : 'send'}
               mode="contained"
               iconColor="#fff"
               containerColor="#6200ee"
               size={24}
-              onPress={handleSendMessage}
+              onPress={() => handleSendMessage()}
               disabled={(!newMessage.trim() && attachedMedia.length === 0) || sending || uploading}
               style={styles.sendButton}
             />
@@ -1293,6 +1808,29 @@ export default function MessagesScreen({ navigation, route }) {
               </TouchableOpacity>
             )}
 
+            {/* Reply option - available to members who can send messages */}
+            {!isHidden && isMember && userRole !== 'supervisor' && (
+              <TouchableOpacity style={styles.menuItem} onPress={handleStartReply}>
+                <IconButton icon="reply" size={20} />
+                <Text style={styles.menuItemText}>Reply</Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Edit option for own messages (the server enforces the edit window) */}
+            {isMyMessage && !isHidden && isMember && userRole !== 'supervisor' && !!longPressedMessage.content?.trim() && (
+              <TouchableOpacity style={styles.menuItem} onPress={handleStartEdit}>
+                <IconButton icon="pencil" size={20} />
+                <Text style={styles.menuItemText}>Edit Message</Text>
+              </TouchableOpacity>
+            )}
+
+            {userRole === 'admin' && longPressedMessage.editedAt && (
+              <TouchableOpacity style={styles.menuItem} onPress={handleViewEditHistory}>
+                <IconButton icon="history" size={20} />
+                <Text style={styles.menuItemText}>Edit History</Text>
+              </TouchableOpacity>
+            )}
+
             {userRole !== 'admin' && isMyMessage && !isHidden && (
               <TouchableOpacity style={styles.menuItem} onPress={handleHideMessage}>
                 <IconButton icon="delete" size={20} />
@@ -1316,6 +1854,301 @@ export default function MessagesScreen({ navigation, route }) {
     );
   };
 
+  /**
+   * Render the edit history modal (admin only)
+   */
+  const renderEditHistory = () => {
+    if (!editHistory) return null;
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setEditHistory(null)}
+      >
+        <TouchableOpacity
+          style={styles.menuOverlay}
+          activeOpacity={1}
+          onPress={() => setEditHistory(null)}
+        >
+          <Pressable style={[styles.menuContainer, styles.editHistoryContainer]} onPress={(e) => e.stopPropagation()}>
+            <Text style={styles.menuTitle}>Edit History</Text>
+            <MenuDivider />
+
+            {editHistory.loading ? (
+              <ActivityIndicator size="small" color="#6200ee" style={styles.editHistoryLoading} />
+            ) : (
+              <ScrollView style={styles.editHistoryList}>
+                {editHistory.revisions.map(revision => (
+                  <View key={revision.revisionNumber} style={styles.editHistoryItem}>
+                    <Text style={styles.editHistoryMeta}>
+                      {revision.revisionNumber === 1 ? 'Original' : `Edit ${revision.revisionNumber - 1}`}
+                      {' · '}{formatTime(revision.writtenAt)}
+                      {revision.isCurrent ? ' · Current' : ''}
+                    </Text>
+                    <Text style={styles.editHistoryContent}>{revision.content}</Text>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+
+            <MenuDivider />
+            <TouchableOpacity style={styles.menuItem} onPress={() => setEditHistory(null)}>
+              <Text style={[styles.menuItemText, styles.cancelText]}>Close</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
+  /**
+   * Render a message in the thread modal
+   * @param {Object} message - Message from the thread API
+   * @param {boolean} isOriginal - The message the replies are to
+   * @returns {JSX.Element}
+   */
+  const renderThreadMessage = (message, isOriginal) => (
+    <View key={message.messageId} style={[styles.editHistoryItem, isOriginal && styles.threadOriginal]}>
+      <Text style={styles.editHistoryMeta}>
+        {message.sender?.displayName || 'Unknown'}
+        {' · '}{formatTime(message.createdAt)}
+        {message.isHidden ? ' · Hidden' : ''}
+        {message.editedAt ? ' · edited' : ''}
+      </Text>
+      {message.content === null ? (
+        <Text style={[styles.editHistoryContent, styles.quoteTextHidden]}>Message hidden</Text>
+      ) : (
+        <Text style={styles.editHistoryContent}>
+          {message.content.trim() || (message.media?.length ? 'Attachment' : '')}
+        </Text>
+      )}
+    </View>
+  );
+
+  /**
+   * Render the thread modal: a message and its replies
+   */
+  const renderThread = () => {
+    if (!thread) return null;
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setThread(null)}
+      >
+        <TouchableOpacity
+          style={styles.menuOverlay}
+          activeOpacity={1}
+          onPress={() => setThread(null)}
+        >
+          <Pressable style={[styles.menuContainer, styles.editHistoryContainer]} onPress={(e) => e.stopPropagation()}>
+            <Text style={styles.menuTitle}>Replies</Text>
+            <MenuDivider />
+
+            {thread.loading ? (
+              <ActivityIndicator size="small" color="#6200ee" style={styles.editHistoryLoading} />
+            ) : (
+              <ScrollView style={styles.editHistoryList}>
+                {renderThreadMessage(thread.message, true)}
+                {thread.replies.length === 0 && (
+                  <Text style={styles.threadEmptyText}>No replies yet</Text>
+                )}
+                {thread.replies.map(reply => renderThreadMessage(reply, false))}
+              </ScrollView>
+            )}
+
+            <MenuDivider />
+            <TouchableOpacity style={styles.menuItem} onPress={() => setThread(null)}>
+              <Text style={[styles.menuItemText, styles.cancelText]}>Close</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
+  /**
+   * Render the schedule form modal (new or edited scheduled message)
+   */
+  const renderScheduleForm = () => {
+    if (!scheduleForm) return null;
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setScheduleForm(null)}
+      >
+        <TouchableOpacity
+          style={styles.menuOverlay}
+          activeOpacity={1}
+          onPress={() => setScheduleForm(null)}
+        >
+          <Pressable style={[styles.menuContainer, styles.editHistoryContainer]} onPress={(e) => e.stopPropagation()}>
+            <Text style={styles.menuTitle}>
+              {scheduleForm.scheduledMessageId ? 'Edit Scheduled Message' : 'Schedule Message'}
+            </Text>
+            <MenuDivider />
+
+            <ScrollView style={styles.editHistoryList}>
+              <TextInput
+                value={scheduleForm.content}
+                onChangeText={(content) => setScheduleForm(prev => ({ ...prev, content }))}
+                placeholder="Type a message..."
+                mode="outlined"
+                multiline
+                maxLength={10000}
+                style={styles.scheduleInput}
+                disabled={scheduleSaving}
+              />
+
+              <Text style={styles.scheduleLabel}>{scheduleForm.frequency ? 'First send' : 'Send at'}</Text>
+              <TouchableOpacity style={styles.scheduleDateButton} onPress={() => setSchedulePicker('scheduledFor')}>
+                <Text style={styles.editHistoryContent}>{formatDateByType(scheduleForm.scheduledFor, 1)}</Text>
+              </TouchableOpacity>
+
+              <Text style={styles.scheduleLabel}>Repeat</Text>
+              <View style={styles.scheduleChips}>
+                {SCHEDULE_FREQUENCIES.map(option => (
+                  <Chip
+                    key={option.label}
+                    selected={scheduleForm.frequency === option.value}
+                    onPress={() => setScheduleForm(prev => ({ ...prev, frequency: option.value }))}
+                    compact
+                  >
+                    {option.label}
+                  </Chip>
+                ))}
+              </View>
+
+              {scheduleForm.frequency && (
+                <>
+                  <Text style={styles.scheduleLabel}>Repeat until</Text>
+                  <View style={styles.scheduleEndRow}>
+                    <TouchableOpacity
+                      style={[styles.scheduleDateButton, styles.scheduleEndButton]}
+                      onPress={() => setSchedulePicker('endDate')}
+                    >
+                      <Text style={styles.editHistoryContent}>
+                        {scheduleForm.endDate ? formatDateByType(scheduleForm.endDate, 3) : 'No end date'}
+                      </Text>
+                    </TouchableOpacity>
+                    {scheduleForm.endDate && (
+                      <IconButton icon="close" size={16} onPress={() => setScheduleForm(prev => ({ ...prev, endDate: null }))} />
+                    )}
+                  </View>
+                </>
+              )}
+            </ScrollView>
+
+            <MenuDivider />
+            <TouchableOpacity
+              style={styles.menuItem}
+              onPress={() => handleSaveSchedule()}
+              disabled={scheduleSaving || !scheduleForm.content.trim()}
+            >
+              {scheduleSaving ? (
+                <ActivityIndicator size="small" color="#6200ee" />
+              ) : (
+                <IconButton icon="clock-check-outline" size={20} />
+              )}
+              <Text style={styles.menuItemText}>{scheduleForm.scheduledMessageId ? 'Save Changes' : 'Schedule'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.menuItem} onPress={() => setScheduleForm(null)}>
+              <Text style={[styles.menuItemText, styles.cancelText]}>Cancel</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </TouchableOpacity>
+
+        {/* Date pickers are rendered inside the form's modal so they show above it */}
+        <DateTimeSelector
+          value={scheduleForm.scheduledFor}
+          onChange={(scheduledFor) => setScheduleForm(prev => ({ ...prev, scheduledFor }))}
+          format={1}
+          visible={schedulePicker === 'scheduledFor'}
+          onClose={() => setSchedulePicker(null)}
+          title={scheduleForm.frequency ? 'First Send' : 'Send At'}
+          minimumDate={new Date()}
+        />
+        <DateTimeSelector
+          value={scheduleForm.endDate || scheduleForm.scheduledFor}
+          onChange={(endDate) => {
+            // Include the whole of the last day
+            const endOfDay = new Date(endDate);
+            endOfDay.setHours(23, 59, 59, 999);
+            setScheduleForm(prev => ({ ...prev, endDate: endOfDay }));
+          }}
+          format={3}
+          visible={schedulePicker === 'endDate'}
+          onClose={() => setSchedulePicker(null)}
+          title="Repeat Until"
+          minimumDate={scheduleForm.scheduledFor}
+        />
+      </Modal>
+    );
+  };
+
+  /**
+   * Render the scheduled messages modal (the current user's, in this message group)
+   */
+  const renderScheduledList = () => {
+    if (!scheduledList) return null;
+
+    return (
+      <Modal
+        visible={true}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setScheduledList(null)}
+      >
+        <TouchableOpacity
+          style={styles.menuOverlay}
+          activeOpacity={1}
+          onPress={() => setScheduledList(null)}
+        >
+          <Pressable style={[styles.menuContainer, styles.editHistoryContainer]} onPress={(e) => e.stopPropagation()}>
+            <Text style={styles.menuTitle}>Scheduled Messages</Text>
+            <MenuDivider />
+
+            {scheduledList.loading && scheduledList.items.length === 0 ? (
+              <ActivityIndicator size="small" color="#6200ee" style={styles.editHistoryLoading} />
+            ) : (
+              <ScrollView style={styles.editHistoryList}>
+                {scheduledList.items.length === 0 && (
+                  <Text style={styles.threadEmptyText}>No scheduled messages</Text>
+                )}
+                {scheduledList.items.map(item => (
+                  <View key={item.scheduledMessageId} style={styles.editHistoryItem}>
+                    <Text style={styles.editHistoryMeta}>{describeSchedule(item)}</Text>
+                    <Text style={styles.editHistoryContent}>{item.content}</Text>
+                    <View style={styles.scheduledActions}>
+                      <TouchableOpacity onPress={() => handleEditScheduled(item)}>
+                        <Text style={styles.replyCountText}>Edit</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => handleCancelScheduled(item)}>
+                        <Text style={[styles.replyCountText, styles.scheduledCancelText]}>Cancel</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+
+            <MenuDivider />
+            <TouchableOpacity style={styles.menuItem} onPress={() => setScheduledList(null)}>
+              <Text style={[styles.menuItemText, styles.cancelText]}>Close</Text>
+            </TouchableOpacity>
+          </Pressable>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
   return (
     <View style={styles.container}>
       {/* Custom Navigation Header */}
@@ -1354,6 +2187,10 @@ export default function MessagesScreen({ navigation, route }) {
 
       {renderMentionPicker()}
       {renderMessageMenu()}
+      {renderEditHistory()}
+      {renderThread()}
+      {renderScheduleForm()}
+      {renderScheduledList()}
       {renderInputArea()}
 
       {/* Image Viewer */}
@@ -1588,6 +2425,11 @@ const styles = StyleSheet.create({
     fontSize: 10,
     color: '#999',
   },
+  editedLabel: {
+    fontSize: 10,
+    color: '#999',
+    fontStyle: 'italic',
+  },
   messageFooter: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1768,6 +2610,118 @@ const styles = StyleSheet.create({
     width: '100%',
     marginLeft: 0,
   },
+  editHistoryContainer: {
+    width: '90%',
+    maxWidth: 400,
+    maxHeight: '80%',
+  },
+  editHistoryLoading: {
+    padding: 20,
+  },
+  editHistoryList: {
+    paddingHorizontal: 12,
+  },
+  editHistoryItem: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  editHistoryMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  editHistoryContent: {
+    fontSize: 15,
+    color: '#333',
+  },
+  quoteContainer: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#6200ee',
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+    borderRadius: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  quoteSender: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#6200ee',
+  },
+  quoteText: {
+    fontSize: 13,
+    color: '#555',
+  },
+  quoteTextHidden: {
+    fontStyle: 'italic',
+    color: '#999',
+  },
+  replyCountText: {
+    fontSize: 11,
+    color: '#6200ee',
+    marginTop: 4,
+  },
+  threadOriginal: {
+    backgroundColor: '#f5f5f5',
+    paddingHorizontal: 8,
+    borderRadius: 4,
+  },
+  threadEmptyText: {
+    fontSize: 13,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  scheduleInput: {
+    maxHeight: 150,
+    marginTop: 8,
+  },
+  scheduleLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  scheduleDateButton: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 4,
+    padding: 10,
+  },
+  scheduleChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  scheduleEndRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  scheduleEndButton: {
+    flex: 1,
+  },
+  scheduledActions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  scheduledCancelText: {
+    color: '#d32f2f',
+  },
+  editingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ede7f6',
+    paddingLeft: 4,
+  },
+  editingBannerIcon: {
+    margin: 0,
+  },
+  editingBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#6200ee',
+  },
   mediaContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -0,0 +1,202 @@
+/**
+ * Realtime Service
+ *
+ * Keeps a WebSocket open to the backend's /realtime channel while the user is
+ * logged in, so screens get new messages, read receipts, reactions, approval
+ * changes and call signals as they happen instead of waiting for the next poll.
+ *
+ * Screens keep polling as a fallback (more slowly while connected), since the
+ * socket can drop at any time. Events are `{ type, data, sentAt }`.
+ *
+ * Usage:
+ *   const off = realtimeService.on('message.created', (data) => { ... });
+ *   realtimeService.subscribe(`call:${callId}`); // per-screen topics
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import { CONFIG } from '../constants/config';
+
+const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
+const REALTIME_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/realtime`;
+
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+let socket = null;
+let shouldConnect = false;
+let reconnectTimer = null;
+let reconnectDelay = MIN_RECONNECT_DELAY_MS;
+
+/** @type {Map<string, Set<Function>>} */
+const listeners = new Map();
+
+/** Topics to (re)subscribe to whenever the socket opens */
+const topics = new Set();
+
+/**
+ * Send a JSON message if the socket is open
+ * @param {Object} message - Message
+ */
+function send(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Call the listeners for an event type
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+function emit(type, data) {
+  (listeners.get(type) || []).forEach((listener) => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error(`[Realtime] Listener for ${type} failed:`, error);
+    }
+  });
+}
+
+/**
+ * Schedule a reconnect with exponential backoff
+ */
+function scheduleReconnect() {
+  if (!shouldConnect || reconnectTimer) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    openSocket();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+}
+
+/**
+ * Open the socket with the current access token
+ * (read each time so refreshed tokens are picked up on reconnect)
+ */
+async function openSocket() {
+  if (!shouldConnect || socket) return;
+
+  const token = await SecureStore.getItemAsync(CONFIG.STORAGE_KEYS.ACCESS_TOKEN);
+  if (!token || !shouldConnect || socket) {
+    scheduleReconnect();
+    return;
+  }
+
+  const ws = new WebSocket(`${REALTIME_URL}?token=${encodeURIComponent(token)}`);
+  socket = ws;
+
+  ws.onopen = () => {
+    reconnectDelay = MIN_RECONNECT_DELAY_MS;
+    topics.forEach(topic => send({ type: 'subscribe', topic }));
+    emit('open', {});
+  };
+
+  ws.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    if (message?.type) {
+      emit(message.type, message.data);
+    }
+  };
+
+  ws.onerror = () => {
+    // onclose follows and handles the reconnect
+  };
+
+  ws.onclose = () => {
+    if (socket === ws) {
+      socket = null;
+      emit('close', {});
+      scheduleReconnect();
+    }
+  };
+}
+
+/**
+ * Connect (call after login). Safe to call when already connected.
+ */
+function connect() {
+  shouldConnect = true;
+  reconnectDelay = MIN_RECONNECT_DELAY_MS;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  openSocket();
+}
+
+/**
+ * Disconnect and stop reconnecting (call on logout)
+ */
+function disconnect() {
+  shouldConnect = false;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close();
+    emit('close', {});
+  }
+  topics.clear();
+}
+
+/**
+ * Check if the socket is open
+ * @returns {boolean} True if events are being received
+ */
+function isConnected() {
+  return !!socket && socket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Listen for an event type ('open' and 'close' report connection changes)
+ * @param {string} type - Event type, e.g. 'message.created'
+ * @param {Function} listener - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+function on(type, listener) {
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+  }
+  listeners.get(type).add(listener);
+
+  return () => {
+    listeners.get(type)?.delete(listener);
+  };
+}
+
+/**
+ * Subscribe to a topic (kept across reconnects)
+ * @param {string} topic - Topic, e.g. 'call:<callId>'
+ */
+function subscribe(topic) {
+  topics.add(topic);
+  send({ type: 'subscribe', topic });
+}
+
+/**
+ * Unsubscribe from a topic
+ * @param {string} topic - Topic
+ */
+function unsubscribe(topic) {
+  topics.delete(topic);
+  send({ type: 'unsubscribe', topic });
+}
+
+export default {
+  connect,
+  disconnect,
+  isConnected,
+  on,
+  subscribe,
+  unsubscribe,
+};
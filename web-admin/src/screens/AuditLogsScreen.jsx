@@ -31,6 +31,7 @@ export default function AuditLogsScreen({ navigation }) {
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [loading, setLoading] = useState(true);
   const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -57,6 +58,15 @@ export default function AuditLogsScreen({ navigation }) {
   // Previous exports section collapsed by default
   const [exportsExpanded, setExportsExpanded] = useState(false);
 
+  // Full (password-protected ZIP) export
+  const [fullExportVisible, setFullExportVisible] = useState(false);
+  const [exportPassword, setExportPassword] = useState('');
+  const [exportPasswordConfirm, setExportPasswordConfirm] = useState('');
+  const [requestingFullExport, setRequestingFullExport] = useState(false);
+
+  // Evidence bundle (PDF + raw data + media with a signed hash manifest)
+  const [requestingEvidenceBundle, setRequestingEvidenceBundle] = useState(false);
+
   useEffect(() => {
     fetchGroups();
   }, []);
@@ -67,6 +77,17 @@ export default function AuditLogsScreen({ navigation }) {
     }
   }, [selectedGroup]);
 
+  // Poll while a full export is being built so status/progress stay current
+  const hasExportInProgress = previousExports.some(
+    exp => exp.status === 'pending' || exp.status === 'processing'
+  );
+  useEffect(() => {
+    if (!selectedGroup || !hasExportInProgress) return undefined;
+
+    const interval = setInterval(() => fetchPreviousExports({ silent: true }), 5000);
+    return () => clearInterval(interval);
+  }, [selectedGroup, hasExportInProgress]);
+
   // Fetch logs when filters change
   useEffect(() => {
     if (selectedGroup) {
@@ -161,6 +182,32 @@ export default function AuditLogsScreen({ navigation }) {
     fetchPreviousExports();
   }
 
+  async function handleVerifyChain() {
+    try {
+      setVerifying(true);
+      setError(null);
+      const response = await api.get(`/logs/groups/${selectedGroup.groupId}/verify`);
+      const { valid, entriesChecked, chainHead, firstBrokenLink } = response.data;
+
+      if (valid) {
+        setSuccess(
+          `Audit log verified: ${entriesChecked} entries intact.` +
+          (chainHead ? ` Chain head #${chainHead.chainSeq}: ${chainHead.hash}` : '')
+        );
+      } else {
+        setError(
+          `Audit log integrity check failed at entry #${firstBrokenLink.chainSeq ?? '?'} ` +
+          `(${formatDate(firstBrokenLink.performedAt)}, ${firstBrokenLink.action}): ${firstBrokenLink.message}`
+        );
+      }
+    } catch (err) {
+      console.error('Failed to verify audit logs:', err);
+      setError(err.response?.data?.message || 'Failed to verify audit logs');
+    } finally {
+      setVerifying(false);
+    }
+  }
+
   function handleClearFilters() {
     setSelectedActions([]);
     setSelectedUsers([]);
@@ -194,18 +241,103 @@ export default function AuditLogsScreen({ navigation }) {
     }));
   }
 
-  async function fetchPreviousExports() {
+  async function fetchPreviousExports({ silent = false } = {}) {
     if (!selectedGroup) return;
 
     try {
-      setLoadingExports(true);
+      if (!silent) setLoadingExports(true);
       const response = await api.get(`/logs/${selectedGroup.groupId}/exports`);
       setPreviousExports(response.data.exports || []);
     } catch (err) {
       console.error('Failed to fetch exports:', err);
     } finally {
-      setLoadingExports(false);
+      if (!silent) setLoadingExports(false);
+    }
+  }
+
+  async function handleRequestEvidenceBundle() {
+    try {
+      setRequestingEvidenceBundle(true);
+      setError(null);
+
+      const filters = await buildExportFilters();
+      await api.post(`/logs/${selectedGroup.groupId}/evidence-bundle`, { filters });
+
+      setSuccess('Evidence bundle requested. It will appear in "Previous Exports" when ready.');
+      setExportsExpanded(true);
+      fetchPreviousExports();
+    } catch (err) {
+      console.error('Failed to request evidence bundle:', err);
+      setError(err.response?.data?.message || 'Failed to request evidence bundle');
+    } finally {
+      setRequestingEvidenceBundle(false);
+    }
+  }
+
+  async function handleRequestFullExport() {
+    if (exportPassword.length < 8) {
+      setError('Export password must be at least 8 characters');
+      return;
+    }
+    if (exportPassword !== exportPasswordConfirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setRequestingFullExport(true);
+      setError(null);
+      await api.post('/logs/exports', {
+        groupId: selectedGroup.groupId,
+        password: exportPassword,
+      });
+
+      setSuccess('Full export requested. We\'ll email you when it\'s ready to download from "Previous Exports".');
+      setFullExportVisible(false);
+      setExportPassword('');
+      setExportPasswordConfirm('');
+      setExportsExpanded(true);
+      fetchPreviousExports();
+    } catch (err) {
+      console.error('Failed to request full export:', err);
+      setError(err.response?.data?.message || 'Failed to request export');
+    } finally {
+      setRequestingFullExport(false);
+    }
+  }
+
+  function getExportStatusText(exp) {
+    switch (exp.status) {
+      case 'pending':
+        return 'Queued';
+      case 'processing':
+        return `Building... ${exp.progress || 0}%`;
+      case 'failed':
+        return `Failed${exp.errorMessage ? `: ${exp.errorMessage}` : ''}`;
+      default:
+        return null;
+    }
+  }
+
+  async function buildExportFilters() {
+    const filters = {};
+
+    if (fromDate) {
+      filters.dateFrom = fromDate;
+    }
+    if (toDate) {
+      filters.dateTo = toDate;
+    }
+    if (selectedActions.length > 0) {
+      filters.actionTypes = selectedActions;
+    }
+    if (selectedUsers.length > 0) {
+      // Convert emails to group member IDs
+      const memberIds = await getUserIdsFromEmails(selectedUsers);
+      filters.userIds = memberIds;
     }
+
+    return filters;
   }
 
   async function handleExportLogs() {
@@ -213,23 +345,7 @@ export default function AuditLogsScreen({ navigation }) {
       setExporting(true);
       setError(null);
 
-      // Build filters object
-      const filters = {};
-
-      if (fromDate) {
-        filters.dateFrom = fromDate;
-      }
-      if (toDate) {
-        filters.dateTo = toDate;
-      }
-      if (selectedActions.length > 0) {
-        filters.actionTypes = selectedActions;
-      }
-      if (selectedUsers.length > 0) {
-        // Convert emails to group member IDs
-        const memberIds = await getUserIdsFromEmails(selectedUsers);
-        filters.userIds = memberIds;
-      }
+      const filters = await buildExportFilters();
 
       // Call backend to generate PDF
       const response = await api.post(
@@ -295,7 +411,8 @@ export default function AuditLogsScreen({ navigation }) {
       );
 
       // Create download link
-      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const isZip = fileName?.endsWith('.zip');
+      const blob = new Blob([response.data], { type: isZip ? 'application/zip' : 'application/pdf' });
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
@@ -479,6 +596,15 @@ export default function AuditLogsScreen({ navigation }) {
                   onPress={handleRefresh}
                   disabled={!selectedGroup}
                 />
+                <Button
+                  mode="outlined"
+                  onPress={handleVerifyChain}
+                  icon="shield-check"
+                  disabled={!selectedGroup || verifying}
+                  loading={verifying}
+                >
+                  Verify
+                </Button>
                 <Button
                   mode={filterVisible ? 'contained' : 'outlined'}
                   onPress={() => setFilterVisible(!filterVisible)}
@@ -496,9 +622,77 @@ export default function AuditLogsScreen({ navigation }) {
                 >
                   {exporting ? 'Exporting...' : 'Export Logs'}
                 </Button>
+                <Button
+                  mode={fullExportVisible ? 'contained' : 'outlined'}
+                  onPress={() => setFullExportVisible(!fullExportVisible)}
+                  icon="folder-zip"
+                  disabled={!selectedGroup}
+                >
+                  Full Export (ZIP)
+                </Button>
+                <Button
+                  mode="outlined"
+                  onPress={handleRequestEvidenceBundle}
+                  icon="gavel"
+                  disabled={!selectedGroup || requestingEvidenceBundle}
+                  loading={requestingEvidenceBundle}
+                >
+                  Evidence Bundle
+                </Button>
               </View>
             </View>
 
+            {/* Full Export - password-protected ZIP built in the background */}
+            {fullExportVisible && selectedGroup && (
+              <Card style={styles.filterCard}>
+                <Card.Content>
+                  <Title style={styles.filterTitle}>Full Export</Title>
+                  <Paragraph style={styles.fullExportText}>
+                    Builds a password-protected ZIP with the complete audit log, all messages (including hidden
+                    messages) and download links for media attachments. We'll email you when it's ready.
+                    You'll need this password to open the ZIP - it can't be recovered.
+                  </Paragraph>
+                  <View style={styles.dateRow}>
+                    <TextInput
+                      label="Password (min 8 characters)"
+                      value={exportPassword}
+                      onChangeText={setExportPassword}
+                      secureTextEntry
+                      mode="outlined"
+                      style={styles.dateInput}
+                      dense
+                    />
+                    <TextInput
+                      label="Confirm Password"
+                      value={exportPasswordConfirm}
+                      onChangeText={setExportPasswordConfirm}
+                      secureTextEntry
+                      mode="outlined"
+                      style={styles.dateInput}
+                      dense
+                    />
+                  </View>
+                  <View style={styles.fullExportActions}>
+                    <Button
+                      mode="text"
+                      onPress={() => setFullExportVisible(false)}
+                      disabled={requestingFullExport}
+                    >
+                      Cancel
+                    </Button>
+                    <Button
+                      mode="contained"
+                      onPress={handleRequestFullExport}
+                      disabled={requestingFullExport || !exportPassword || !exportPasswordConfirm}
+                      loading={requestingFullExport}
+                    >
+                      Request Export
+                    </Button>
+                  </View>
+                </Card.Content>
+              </Card>
+            )}
+
             {/* Previous Exports - Collapsible, moved to top */}
             {selectedGroup && (
               <Card style={styles.exportsCard}>
@@ -536,9 +730,25 @@ export default function AuditLogsScreen({ navigation }) {
                             <Text style={styles.exportDate}>
                               Created: {formatDate(exp.createdAt)}
                             </Text>
-                            <Text style={styles.exportSize}>
-                              Size: {formatFileSize(exp.fileSizeBytes)}
-                            </Text>
+                            {getExportStatusText(exp) ? (
+                              <Text style={[styles.exportSize, exp.status === 'failed' && styles.exportFailed]}>
+                                Status: {getExportStatusText(exp)}
+                              </Text>
+                            ) : (
+                              <Text style={styles.exportSize}>
+                                Size: {formatFileSize(exp.fileSizeBytes)}
+                              </Text>
+                            )}
+                            {exp.manifestSha256 && (
+                              <Text style={styles.exportDate} selectable>
+                                Manifest SHA-256: {exp.manifestSha256}
+                              </Text>
+                            )}
+                            {exp.format === 'zip' && exp.expiresAt && (
+                              <Text style={styles.exportDate}>
+                                Expires: {formatDate(exp.expiresAt)}
+                              </Text>
+                            )}
                             {exp.filters && Object.keys(exp.filters).length > 0 && (
                               <View style={styles.filtersSummary}>
                                 <Text style={styles.filtersSummaryText}>
@@ -553,6 +763,7 @@ export default function AuditLogsScreen({ navigation }) {
                               onPress={() => handleDownloadExport(exp.exportId, exp.fileName)}
                               icon="download"
                               compact
+                              disabled={exp.status !== 'completed'}
                             >
                               Download
                             </Button>
@@ -663,7 +874,9 @@ export default function AuditLogsScreen({ navigation }) {
                   <IconButton icon="information" size={20} iconColor="#1976d2" />
                   <Text style={styles.infoText}>
                     Audit logs are immutable records of all group actions. Click "Export Logs" to download a PDF
-                    with the current filter settings. All exports are saved and can be re-downloaded from "Previous Exports".
+                    with the current filter settings, or "Full Export (ZIP)" for a password-protected archive of the full log,
+                    messages and media links. "Evidence Bundle" builds a ZIP for mediators and courts with the PDF,
+                    raw data, media files and a signed manifest of file hashes. All exports are saved and can be re-downloaded from "Previous Exports".
                   </Text>
                 </View>
               </Card.Content>
@@ -970,6 +1183,19 @@ const styles = StyleSheet.create({
   deleteButton: {
     borderColor: '#f44336',
   },
+  exportFailed: {
+    color: '#f44336',
+  },
+  fullExportText: {
+    color: '#666',
+    marginBottom: 8,
+  },
+  fullExportActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 12,
+  },
   toolbarRight: {
     flexDirection: 'row',
     gap: 8,